@@ -0,0 +1,23 @@
+-- Migration: 008_training_session_lifecycle.sql
+-- Server-side training sessions: sessions are created when a trainee starts a
+-- scenario, turns are appended as they happen and grading closes the session.
+
+ALTER TABLE training_sessions
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed'
+        CHECK (status IN ('active', 'completed', 'abandoned')),
+    ADD COLUMN IF NOT EXISTS scenario JSONB,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE training_sessions ALTER COLUMN messages SET DEFAULT '[]'::jsonb;
+
+-- Sessions recorded before this migration were graded when saved
+UPDATE training_sessions SET completed_at = created_at WHERE completed_at IS NULL AND status = 'completed';
+
+-- Finding the unfinished session to resume
+CREATE INDEX IF NOT EXISTS idx_training_sessions_active
+    ON training_sessions(user_id, persona_id, scenario_id)
+    WHERE status = 'active';
+
+COMMENT ON COLUMN training_sessions.status IS 'active (in progress), completed (graded) or abandoned';
+COMMENT ON COLUMN training_sessions.scenario IS 'Snapshot of the scenario the session was started with';
@@ -0,0 +1,65 @@
+-- Migration: 009_training_scenarios.sql
+-- Training scenarios authored per persona (replaces the hard-coded scenario list).
+-- Built-in scenarios for the default personas have no company and keep their
+-- legacy slugs so existing training_sessions.scenario_id values still resolve.
+
+CREATE TABLE IF NOT EXISTS training_scenarios (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    persona_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    slug VARCHAR(100) UNIQUE,
+
+    -- Shown to the trainee
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    setup_brief TEXT NOT NULL,
+    difficulty VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    skills JSONB DEFAULT '[]',
+    opening_message TEXT,
+
+    -- Hidden from the trainee: steers the persona and the grader
+    persona_goal TEXT,
+    success_conditions JSONB DEFAULT '[]',
+    rubric_override JSONB,
+
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_scenarios_persona ON training_scenarios(persona_id);
+CREATE INDEX IF NOT EXISTS idx_training_scenarios_company ON training_scenarios(company_id);
+
+DROP TRIGGER IF EXISTS update_training_scenarios_updated_at ON training_scenarios;
+CREATE TRIGGER update_training_scenarios_updated_at
+    BEFORE UPDATE ON training_scenarios
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN training_scenarios.setup_brief IS 'Situation shown to the trainee before and during the session';
+COMMENT ON COLUMN training_scenarios.persona_goal IS 'What the persona wants out of the conversation (never shown to the trainee)';
+COMMENT ON COLUMN training_scenarios.success_conditions IS 'Hidden conditions the trainee must meet for the issue to count as resolved';
+COMMENT ON COLUMN training_scenarios.rubric_override IS 'Grading rubric used instead of the persona''s grading_rubric';
+
+-- Seed the built-in scenarios for the default personas
+INSERT INTO training_scenarios (persona_id, slug, title, description, setup_brief, difficulty, skills)
+SELECT p.id, s.slug, s.title, s.description, s.setup_brief, s.difficulty, s.skills::jsonb
+FROM (VALUES
+    ('The Hunter', 'hunter-easy', 'easy', 'Late CRM Update', 'Jordan hasn''t updated their big deals in weeks', 'You are Jordan''s manager. Jordan has been neglecting CRM updates for weeks, leaving leadership without visibility into the sales pipeline.', '["Managing accountability", "Empathy"]'),
+    ('The Hunter', 'hunter-medium', 'medium', 'Commission Dispute', 'Jordan claims quota was unfair this quarter', 'Jordan is disputing their commission, claiming the quota was set unfairly high compared to other AEs.', '["Negotiation", "Policy explanation"]'),
+    ('The Hunter', 'hunter-hard', 'hard', 'Top Performer Leaving', 'Jordan got a competing offer, wants counteroffer', 'Jordan just received a lucrative offer from a competitor and is considering leaving. They''ve been your top performer.', '["Retention", "Executive presence"]'),
+    ('The Craftsman', 'craft-easy', 'easy', 'Meeting Overload', 'Alex refuses to attend standups', 'Alex has stopped attending daily standups, saying they''re a waste of time that interrupts deep work.', '["Finding common ground"]'),
+    ('The Craftsman', 'craft-medium', 'medium', 'Documentation Resistance', 'Alex won''t document critical system', 'Alex built a critical system that only they understand, but refuses to write documentation.', '["Influencing without authority"]'),
+    ('The Craftsman', 'craft-hard', 'hard', 'Production Outage Blame', 'Alex''s code caused downtime, being defensive', 'Alex''s recent deployment caused a 4-hour production outage. They''re being defensive and blaming QA.', '["Crisis communication"]'),
+    ('The Diplomat', 'diplo-easy', 'easy', 'Feature Prioritization', 'Maya overwhelmed by conflicting requests', 'Maya is overwhelmed by conflicting feature requests from sales, support, and engineering.', '["Active listening", "Prioritization"]'),
+    ('The Diplomat', 'diplo-medium', 'medium', 'Stakeholder Conflict', 'Engineering and Sales disagree on roadmap', 'Engineering wants to focus on tech debt while Sales demands new features. Maya is caught in the middle.', '["Mediation", "Decision-making"]'),
+    ('The Diplomat', 'diplo-hard', 'hard', 'Product Launch Crisis', 'Major bug found day before launch', 'A critical bug was found 24 hours before a major product launch. Stakeholders are panicking.', '["Crisis management", "Leadership"]'),
+    ('The Guardian', 'guard-easy', 'easy', 'Benefits Confusion', 'Employee frustrated about policy', 'An employee is frustrated and confused about recent changes to the benefits policy.', '["Clear communication", "Patience"]'),
+    ('The Guardian', 'guard-medium', 'medium', 'Harassment Complaint', 'Sensitive report requiring investigation', 'An employee has come to you with a harassment complaint about their manager.', '["Empathy", "Compliance"]'),
+    ('The Guardian', 'guard-hard', 'hard', 'Mass Layoff Announcement', 'Preparing managers for reductions', 'The company is planning a 20% workforce reduction. You need to prepare managers for the announcement.', '["Emotional intelligence", "Leadership"]'),
+    ('The Oracle', 'oracle-easy', 'easy', 'Data Access Request', 'David needs database permissions urgently', 'David needs urgent database access for an important analysis, but normal approval takes a week.', '["Service orientation"]'),
+    ('The Oracle', 'oracle-medium', 'medium', 'Strategy Disagreement', 'David''s analysis contradicts exec decision', 'David''s data analysis contradicts a strategic decision already announced by the CEO.', '["Influence", "Diplomacy"]'),
+    ('The Oracle', 'oracle-hard', 'hard', 'Model Bias Discovery', 'AI model has discriminatory patterns', 'David discovered that your company''s AI model has significant bias against certain demographics.', '["Ethics", "Stakeholder management"]')
+) AS s(archetype, slug, difficulty, title, description, setup_brief, skills)
+JOIN personas p ON p.is_default = true AND p.vector_profile->>'archetype' = s.archetype
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Migration: 010_similarity_search_modes.sql
+-- Find My Persona can rank by VCPQ vectors as well as by the LLM.
+-- Vector searches have no free-text description, so it becomes optional.
+
+ALTER TABLE similarity_searches
+    ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'llm'
+        CHECK (mode IN ('llm', 'vector', 'hybrid')),
+    ADD COLUMN IF NOT EXISTS user_vectors JSONB;
+
+ALTER TABLE similarity_searches ALTER COLUMN description DROP NOT NULL;
+
+-- "My past searches"
+CREATE INDEX IF NOT EXISTS idx_similarity_searches_user_created
+    ON similarity_searches(user_id, created_at DESC);
+
+COMMENT ON COLUMN similarity_searches.mode IS 'llm (description only), vector (VCPQ self-assessment) or hybrid (both, blended)';
+COMMENT ON COLUMN similarity_searches.user_vectors IS 'Meta-vectors computed from the searcher''s VCPQ self-assessment';
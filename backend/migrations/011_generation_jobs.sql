@@ -0,0 +1,61 @@
+-- Migration: 011_generation_jobs.sql
+-- Persona generation runs as a background job instead of inside the HTTP request.
+-- Each job clusters the questionnaire's unprocessed responses once and stores the
+-- clusters, so a failed cluster can be retried on its own.
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    questionnaire_id UUID NOT NULL REFERENCES questionnaires(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'partial', 'failed', 'done')),
+    options JSONB NOT NULL DEFAULT '{}',
+    total_clusters INTEGER NOT NULL DEFAULT 0,
+    completed_clusters INTEGER NOT NULL DEFAULT 0,
+    failed_clusters INTEGER NOT NULL DEFAULT 0,
+    stats JSONB DEFAULT '{}',
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS generation_job_clusters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES generation_jobs(id) ON DELETE CASCADE,
+    cluster_index INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'done', 'failed')),
+    size INTEGER NOT NULL,
+    member_ids JSONB NOT NULL DEFAULT '[]',
+    centroid JSONB NOT NULL,
+    avg_scores JSONB NOT NULL,
+    demographics JSONB DEFAULT '{}',
+    cohesion DECIMAL(3,2),
+    persona_id UUID REFERENCES personas(id) ON DELETE SET NULL,
+    result JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (job_id, cluster_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_questionnaire ON generation_jobs(questionnaire_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_queued ON generation_jobs(created_at) WHERE status = 'queued';
+
+-- One queued or running job per questionnaire
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_jobs_active
+    ON generation_jobs(questionnaire_id)
+    WHERE status IN ('queued', 'running');
+
+DROP TRIGGER IF EXISTS update_generation_jobs_updated_at ON generation_jobs;
+CREATE TRIGGER update_generation_jobs_updated_at
+    BEFORE UPDATE ON generation_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN generation_jobs.status IS 'queued, running, done (every cluster generated), partial (some clusters failed) or failed';
+COMMENT ON COLUMN generation_jobs.options IS 'maxPersonas, domain and generateInsights as requested';
+COMMENT ON COLUMN generation_job_clusters.result IS 'Per-persona generation stats once the cluster is done';
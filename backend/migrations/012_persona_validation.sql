@@ -0,0 +1,16 @@
+-- Migration: 012_persona_validation.sql
+-- Generated personas are checked with the VCPQ self-assessment ("Self-Turing Test")
+-- before they are saved. The best attempt's correlation, per-dimension analysis and
+-- recommendations are kept on the persona.
+
+ALTER TABLE personas
+ADD COLUMN IF NOT EXISTS validation_status VARCHAR(20)
+    CHECK (validation_status IN ('passed', 'failed', 'error')),
+ADD COLUMN IF NOT EXISTS validation_correlation DECIMAL(4,3),
+ADD COLUMN IF NOT EXISTS validation_result JSONB,
+ADD COLUMN IF NOT EXISTS validated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_personas_validation_status ON personas(validation_status);
+
+COMMENT ON COLUMN personas.validation_correlation IS 'Pearson correlation between input and self-assessed meta-vectors';
+COMMENT ON COLUMN personas.validation_result IS 'Dimension analysis, recommendations and attempt history of the validation gate';
@@ -0,0 +1,51 @@
+-- Migration: 013_persona_versions.sql
+-- Every change to a persona (prompt, vectors, profile, rubric) is kept as a numbered
+-- snapshot with a diff against the previous version, so changes can be compared and
+-- rolled back. Conversations and training sessions record the version they ran
+-- against so feedback can be attributed to the right prompt.
+
+CREATE TABLE IF NOT EXISTS persona_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    persona_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL
+        CHECK (change_type IN ('create', 'update', 'rollback', 'archive')),
+    snapshot JSONB NOT NULL,
+    diff JSONB NOT NULL DEFAULT '{}',
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    note TEXT,
+    restored_from INTEGER,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (persona_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_versions_persona ON persona_versions(persona_id, version DESC);
+
+ALTER TABLE personas ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS persona_version INTEGER;
+ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS persona_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_persona_version ON conversations(persona_id, persona_version);
+
+-- Existing personas start at version 1
+INSERT INTO persona_versions (persona_id, version, change_type, snapshot, note)
+SELECT id, 1, 'create', jsonb_build_object(
+    'name', name,
+    'tagline', tagline,
+    'status', status,
+    'summary', summary,
+    'extended_profile', extended_profile,
+    'system_prompt', system_prompt,
+    'personality_vectors', personality_vectors,
+    'grading_rubric', grading_rubric,
+    'domain_context', domain_context
+), 'Snapshot taken when versioning was introduced'
+FROM personas
+ON CONFLICT (persona_id, version) DO NOTHING;
+
+UPDATE conversations SET persona_version = 1 WHERE persona_version IS NULL;
+UPDATE training_sessions SET persona_version = 1 WHERE persona_version IS NULL;
+
+COMMENT ON TABLE persona_versions IS 'Snapshots of every persona change for diffing and rollback';
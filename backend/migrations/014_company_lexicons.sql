@@ -0,0 +1,41 @@
+-- Migration: 014_company_lexicons.sql
+-- Company-authored domain lexicons. Each lexicon inherits from a built-in domain
+-- (engineering, legal, executive, hr, general): style, formatting and emotional
+-- settings left unset fall back to the base, and vocabulary/phrase lists are
+-- either appended to the base lists or replace them (extend_base).
+
+CREATE TABLE IF NOT EXISTS company_lexicons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    base_domain VARCHAR(50) NOT NULL DEFAULT 'general'
+        CHECK (base_domain IN ('engineering', 'legal', 'executive', 'hr', 'general')),
+    extend_base BOOLEAN NOT NULL DEFAULT true,
+
+    vocabulary JSONB NOT NULL DEFAULT '[]',
+    phrases JSONB NOT NULL DEFAULT '[]',
+    style JSONB NOT NULL DEFAULT '{}',
+    formatting JSONB NOT NULL DEFAULT '{}',
+    emotional JSONB NOT NULL DEFAULT '{}',
+
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(company_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_lexicons_company ON company_lexicons(company_id);
+
+DROP TRIGGER IF EXISTS update_company_lexicons_updated_at ON company_lexicons;
+CREATE TRIGGER update_company_lexicons_updated_at
+    BEFORE UPDATE ON company_lexicons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN company_lexicons.extend_base IS 'Append vocabulary, phrases and triggers to the base domain lists (false replaces them)';
+COMMENT ON COLUMN company_lexicons.style IS 'Overrides for the base domain style modifiers (skepticism, verbosity, formality, ...)';
+
+-- Personas remember the custom lexicon they were generated with
+ALTER TABLE personas
+ADD COLUMN IF NOT EXISTS lexicon_id UUID REFERENCES company_lexicons(id) ON DELETE SET NULL;
@@ -0,0 +1,9 @@
+-- Migration: 015_custom_question_answers.sql
+-- Custom questions feed persona generation: Likert items can map onto a
+-- meta-vector (custom_questions[].vector_mapping: { meta, weight, reversed }),
+-- and each planned cluster keeps a summary of its custom answers so a
+-- retried cluster is generated from the same material.
+
+ALTER TABLE generation_job_clusters ADD COLUMN IF NOT EXISTS custom_answers JSONB;
+
+COMMENT ON COLUMN generation_job_clusters.custom_answers IS 'Mapped Likert averages, choice distributions and free-text samples of the cluster';
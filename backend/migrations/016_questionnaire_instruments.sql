@@ -0,0 +1,46 @@
+-- Migration: 016_questionnaire_instruments.sql
+-- Questionnaire templates become scored instruments: every item is a 1-5
+-- Likert statement mapped onto a meta-vector ({ id, question, module,
+-- meta_vector, reversed, weight }). Templates belong to a company (or to
+-- every company when company_id is NULL) and are versioned; a questionnaire
+-- is scored against the version it was created from. The built-in VCPQ is
+-- served from code and stays template_id NULL.
+
+ALTER TABLE questionnaire_templates
+    ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+-- The seeded templates predate instruments (the discovery template has no
+-- vector mappings, the VCPQ copy duplicates the built-in one)
+UPDATE questionnaire_templates SET is_active = false WHERE company_id IS NULL AND created_by IS NULL;
+
+CREATE TABLE IF NOT EXISTS questionnaire_template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES questionnaire_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    questions JSONB NOT NULL,
+    note TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (template_id, version)
+);
+
+INSERT INTO questionnaire_template_versions (template_id, version, name, description, questions)
+SELECT id, version, name, description, questions FROM questionnaire_templates
+ON CONFLICT (template_id, version) DO NOTHING;
+
+ALTER TABLE questionnaires ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_questionnaire_templates_company ON questionnaire_templates(company_id) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_questionnaire_templates_updated_at ON questionnaire_templates;
+CREATE TRIGGER update_questionnaire_templates_updated_at
+    BEFORE UPDATE ON questionnaire_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN questionnaire_templates.company_id IS 'Owning company; NULL templates are available to every company';
+COMMENT ON COLUMN questionnaire_templates.version IS 'Current version; bumped whenever the items change';
+COMMENT ON COLUMN questionnaires.template_version IS 'Instrument version the questionnaire is scored against (NULL for the built-in VCPQ)';
@@ -0,0 +1,15 @@
+-- Migration: 017_delivery_modes.sql
+-- Questionnaires choose how their instrument is delivered: in full, as a
+-- short form (one item per meta-vector) or adaptively (follow-up items of a
+-- meta-vector are only asked while its answers disagree). Responses to
+-- short and adaptive questionnaires are scored with a per-dimension
+-- confidence (vector_profile.confidence).
+
+ALTER TABLE questionnaires
+    ADD COLUMN IF NOT EXISTS delivery_mode VARCHAR(20) NOT NULL DEFAULT 'full';
+
+ALTER TABLE questionnaires DROP CONSTRAINT IF EXISTS questionnaires_delivery_mode_check;
+ALTER TABLE questionnaires
+    ADD CONSTRAINT questionnaires_delivery_mode_check CHECK (delivery_mode IN ('full', 'short', 'adaptive'));
+
+COMMENT ON COLUMN questionnaires.delivery_mode IS 'How the instrument is delivered: full, short (one item per meta-vector) or adaptive';
@@ -0,0 +1,27 @@
+-- Migration: 018_response_quality.sql
+-- Submitted responses are screened before they reach clustering:
+-- straight-lining, contradictory forward/reversed item pairs, implausibly
+-- fast completion and duplicate submissions. Flagged responses are left
+-- out of persona generation until an admin approves them.
+
+ALTER TABLE questionnaire_responses
+    ADD COLUMN IF NOT EXISTS quality_status VARCHAR(20) NOT NULL DEFAULT 'ok',
+    ADD COLUMN IF NOT EXISTS quality_flags JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE questionnaire_responses DROP CONSTRAINT IF EXISTS questionnaire_responses_quality_status_check;
+ALTER TABLE questionnaire_responses
+    ADD CONSTRAINT questionnaire_responses_quality_status_check
+    CHECK (quality_status IN ('ok', 'flagged', 'approved', 'rejected'));
+
+-- started_at is sent by the respondent's browser; responses without it are not timed
+ALTER TABLE questionnaire_responses ALTER COLUMN started_at DROP DEFAULT;
+
+CREATE INDEX IF NOT EXISTS idx_responses_fingerprint ON questionnaire_responses(questionnaire_id, fingerprint);
+CREATE INDEX IF NOT EXISTS idx_responses_quality ON questionnaire_responses(questionnaire_id, quality_status);
+
+COMMENT ON COLUMN questionnaire_responses.quality_status IS 'ok, flagged (excluded from generation), approved or rejected by an admin';
+COMMENT ON COLUMN questionnaire_responses.quality_flags IS 'Screening results: [{ code, message, details }]';
+COMMENT ON COLUMN questionnaire_responses.fingerprint IS 'SHA-256 of the answers, for duplicate detection';
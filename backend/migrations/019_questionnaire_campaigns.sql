@@ -0,0 +1,50 @@
+-- Migration: 019_questionnaire_campaigns.sql
+-- Questionnaire distribution campaigns: admins add recipients (uploaded or
+-- picked from company users), each gets a unique link, and opens, starts and
+-- completions are tracked per recipient. Reminders go out before ends_at and
+-- the questionnaire closes itself when ends_at passes.
+
+ALTER TABLE questionnaires
+    ADD COLUMN IF NOT EXISTS reminder_hours JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN questionnaires.reminder_hours IS 'Hours before ends_at to remind recipients who have not completed, e.g. [72, 24]';
+COMMENT ON COLUMN questionnaires.closed_at IS 'When the questionnaire was closed, by an admin or automatically at ends_at';
+
+CREATE TABLE IF NOT EXISTS questionnaire_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    questionnaire_id UUID NOT NULL REFERENCES questionnaires(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    token VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed', 'opened', 'started', 'completed')),
+    -- Only set for questionnaires that are not anonymous
+    response_id UUID REFERENCES questionnaire_responses(id) ON DELETE SET NULL,
+    send_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    reminder_count INTEGER NOT NULL DEFAULT 0,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (questionnaire_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipients_questionnaire ON questionnaire_recipients(questionnaire_id, status);
+
+-- Active questionnaires the scheduler has to look at
+CREATE INDEX IF NOT EXISTS idx_questionnaires_ends_at ON questionnaires(ends_at) WHERE status = 'active' AND ends_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_questionnaire_recipients_updated_at ON questionnaire_recipients;
+CREATE TRIGGER update_questionnaire_recipients_updated_at
+    BEFORE UPDATE ON questionnaire_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN questionnaire_recipients.token IS 'Secret in the recipient''s link (/q/:code?r=token)';
+COMMENT ON COLUMN questionnaire_recipients.response_id IS 'The recipient''s response; never recorded for anonymous questionnaires';
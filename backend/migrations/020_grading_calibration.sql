@@ -0,0 +1,49 @@
+-- Migration: 020_grading_calibration.sql
+-- Grading calibration: golden transcripts per persona with the score band a
+-- well-calibrated grader should give, and the stored results of each
+-- calibration run so bias, inter-pass agreement and drift can be tracked.
+
+CREATE TABLE IF NOT EXISTS grading_golden_transcripts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    persona_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    scenario_id UUID REFERENCES training_scenarios(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    messages JSONB NOT NULL,
+    expected_min INTEGER NOT NULL CHECK (expected_min BETWEEN 0 AND 100),
+    expected_max INTEGER NOT NULL CHECK (expected_max BETWEEN 0 AND 100),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (expected_min <= expected_max)
+);
+
+CREATE INDEX IF NOT EXISTS idx_golden_transcripts_persona ON grading_golden_transcripts(persona_id) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_grading_golden_transcripts_updated_at ON grading_golden_transcripts;
+CREATE TRIGGER update_grading_golden_transcripts_updated_at
+    BEFORE UPDATE ON grading_golden_transcripts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN grading_golden_transcripts.messages IS 'Conversation as graded: [{ role: user|assistant, content }]';
+COMMENT ON COLUMN grading_golden_transcripts.expected_min IS 'Lowest overall score a calibrated grader should give';
+COMMENT ON COLUMN grading_golden_transcripts.expected_max IS 'Highest overall score a calibrated grader should give';
+
+CREATE TABLE IF NOT EXISTS grading_calibration_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    persona_id UUID REFERENCES personas(id) ON DELETE CASCADE,
+    providers VARCHAR(255),
+    source VARCHAR(20) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'cli')),
+    passed BOOLEAN NOT NULL,
+    summary JSONB NOT NULL,
+    results JSONB NOT NULL,
+    tolerance JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calibration_runs_persona ON grading_calibration_runs(persona_id, created_at DESC);
+
+COMMENT ON COLUMN grading_calibration_runs.summary IS 'Bias, band hit rate, inter-pass agreement and drift against the previous run';
+COMMENT ON COLUMN grading_calibration_runs.results IS 'Per-transcript scores: [{ transcript_id, score, strict, balanced, spread, within_band, ... }]';
@@ -0,0 +1,50 @@
+-- Migration: 021_group_conversations.sql
+-- Group conversations: a user convenes 2-6 personas in one room. A
+-- turn-taking orchestrator picks who speaks after each message, and every
+-- message records its speaker so transcripts can be graded later.
+
+CREATE TABLE IF NOT EXISTS group_conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    topic TEXT,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_conversations_user ON group_conversations(user_id, last_message_at DESC);
+
+DROP TRIGGER IF EXISTS update_group_conversations_updated_at ON group_conversations;
+CREATE TRIGGER update_group_conversations_updated_at
+    BEFORE UPDATE ON group_conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON COLUMN group_conversations.topic IS 'What the meeting is about; shared with every persona in the room';
+
+CREATE TABLE IF NOT EXISTS group_conversation_participants (
+    group_conversation_id UUID NOT NULL REFERENCES group_conversations(id) ON DELETE CASCADE,
+    persona_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    persona_version INTEGER,
+    seat INTEGER NOT NULL,
+    PRIMARY KEY (group_conversation_id, persona_id)
+);
+
+COMMENT ON COLUMN group_conversation_participants.seat IS 'Order the personas were invited in (breaks turn-taking ties)';
+
+CREATE TABLE IF NOT EXISTS group_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_conversation_id UUID NOT NULL REFERENCES group_conversations(id) ON DELETE CASCADE,
+    speaker_type VARCHAR(20) NOT NULL CHECK (speaker_type IN ('user', 'persona')),
+    persona_id UUID REFERENCES personas(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    turn_reason VARCHAR(255),
+    tokens_used INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_messages_conversation ON group_messages(group_conversation_id, created_at);
+
+COMMENT ON COLUMN group_messages.persona_id IS 'Persona that spoke (null for user messages)';
+COMMENT ON COLUMN group_messages.turn_reason IS 'Why the orchestrator gave this persona the floor (e.g. addressed by name)';
@@ -0,0 +1,33 @@
+-- Migration: 022_persona_simulations.sql
+-- Persona-to-persona simulations for team-fit analysis: two personas
+-- discuss a workplace prompt for a number of turns, and the transcript is
+-- scored for friction, consensus and turn dominance. The latest simulation
+-- of each pair on a prompt fills the company's compatibility matrix.
+
+CREATE TABLE IF NOT EXISTS persona_simulations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    persona_a_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    persona_b_id UUID NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    prompt TEXT NOT NULL,
+    turns INTEGER NOT NULL CHECK (turns BETWEEN 2 AND 20),
+    transcript JSONB NOT NULL,
+    friction INTEGER NOT NULL CHECK (friction BETWEEN 0 AND 100),
+    consensus INTEGER NOT NULL CHECK (consensus BETWEEN 0 AND 100),
+    dominance INTEGER NOT NULL CHECK (dominance BETWEEN 0 AND 100),
+    compatibility INTEGER NOT NULL CHECK (compatibility BETWEEN 0 AND 100),
+    details JSONB,
+    providers VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (persona_a_id <> persona_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_persona_simulations_company_prompt ON persona_simulations(company_id, prompt, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_persona_simulations_pair ON persona_simulations(persona_a_id, persona_b_id);
+
+COMMENT ON COLUMN persona_simulations.transcript IS 'Simulated discussion: [{ persona_id, name, content }] in speaking order';
+COMMENT ON COLUMN persona_simulations.friction IS 'Share of turns with disagreement or hostility (0 = none)';
+COMMENT ON COLUMN persona_simulations.consensus IS 'How far the pair converged, weighted toward the end of the discussion';
+COMMENT ON COLUMN persona_simulations.dominance IS 'How unevenly the talking was split (0 = even, 100 = one persona only)';
+COMMENT ON COLUMN persona_simulations.details IS 'Per-persona word share, questions and marker counts behind the scores';
@@ -0,0 +1,12 @@
+-- Migration: 023_account_recovery.sql
+-- Self-service password reset and email verification. Reset and
+-- verification tokens are signed and expiring, so nothing is stored for
+-- them; a reset records when the password changed so access and refresh
+-- tokens issued before it stop working, alongside revoking open sessions.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.password_changed_at IS 'Last password change; tokens issued before it are rejected';
+COMMENT ON COLUMN users.email_verified_at IS 'When the user confirmed their email address (NULL for invitations and older accounts)';
@@ -0,0 +1,31 @@
+-- Migration: 024_mfa.sql
+-- TOTP multi-factor authentication. A user's secret is stored when they
+-- start enrollment and only takes effect once a code from their
+-- authenticator app confirms it. Recovery codes are stored hashed and each
+-- works once. Companies can require MFA for their admins.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS mfa_secret TEXT,
+    ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS mfa_last_step BIGINT;
+
+COMMENT ON COLUMN users.mfa_secret IS 'Base32 TOTP secret; pending until mfa_enabled is set';
+COMMENT ON COLUMN users.mfa_last_step IS 'Last accepted TOTP time step, so a code cannot be replayed';
+
+ALTER TABLE companies
+    ADD COLUMN IF NOT EXISTS require_admin_mfa BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN companies.require_admin_mfa IS 'Company and super admins must enroll in MFA before using admin features';
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id) WHERE used_at IS NULL;
+
+COMMENT ON COLUMN mfa_recovery_codes.code_hash IS 'SHA-256 of the normalized code; the code itself is shown once';
@@ -0,0 +1,189 @@
+/**
+ * Grading calibration check.
+ *
+ * Grades golden transcripts with the training grader and fails (exit code 1)
+ * when bias, band hit rate, inter-pass agreement or drift is outside
+ * tolerance. Runs offline against the mock LLM provider:
+ *   npm run calibrate -- --provider mock
+ *
+ * Golden transcripts come from a JSON file (scripts/calibration/golden-transcripts.json
+ * by default) or, with --persona, from the database; database runs are
+ * recorded and drift is measured against the persona's previous run.
+ *
+ * Options:
+ *   --file <path>         Golden transcript file
+ *   --persona <id>        Use the persona's stored golden transcripts instead
+ *   --no-save             With --persona: do not record the run
+ *   --provider <id>       LLM provider to grade with (e.g. mock, groq, gemini)
+ *   --model <name>        Model for that provider
+ *   --baseline <path>     Earlier --out report to measure drift against
+ *   --out <path>          Write the full report as JSON
+ *   --json                Print the report as JSON instead of a table
+ *   --max-bias <n>  --min-band-rate <n>  --max-pass-spread <n>  --max-drift <n>
+ *
+ * Exit codes: 0 within tolerance, 1 outside tolerance, 2 usage or setup error.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'calibration', 'golden-transcripts.json');
+
+const TOLERANCE_FLAGS = {
+  '--max-bias': 'maxBias',
+  '--min-band-rate': 'minBandRate',
+  '--max-pass-spread': 'maxPassSpread',
+  '--max-drift': 'maxDrift',
+};
+
+const VALUE_FLAGS = ['--file', '--persona', '--provider', '--model', '--baseline', '--out', ...Object.keys(TOLERANCE_FLAGS)];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options; throws on unknown flags or missing values
+ */
+function parseArgs(argv) {
+  const options = { save: true, json: false, tolerance: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--no-save') { options.save = false; continue; }
+    if (flag === '--json') { options.json = true; continue; }
+    if (!VALUE_FLAGS.includes(flag)) throw new Error(`Unknown option: ${flag}`);
+
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`${flag} needs a value`);
+
+    if (TOLERANCE_FLAGS[flag]) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) throw new Error(`${flag} must be a non-negative number`);
+      options.tolerance[TOLERANCE_FLAGS[flag]] = number;
+    } else {
+      options[flag.slice(2)] = value;
+    }
+  }
+
+  if (options.persona && (options.file || options.baseline)) {
+    throw new Error('--persona reads transcripts and the baseline from the database; drop --file/--baseline');
+  }
+  return options;
+}
+
+const formatNumber = (value) => (value === null || value === undefined ? '-' : String(value));
+
+/**
+ * Render a calibration report as text
+ */
+function formatReport(report) {
+  const { summary, results, tolerance, failures } = report;
+  const lines = [];
+
+  lines.push(`Graders: ${report.providers || 'default'}`);
+  lines.push('');
+  for (const r of results) {
+    const band = `${r.expected_min}-${r.expected_max}`;
+    const status = r.error ? 'ERROR' : r.within_band ? 'ok' : 'MISS';
+    const detail = r.error
+      ? r.error
+      : `score ${r.score} (strict ${r.strict}, balanced ${r.balanced}${r.single_pass ? ', single pass' : ''})`;
+    lines.push(`  ${status.padEnd(5)} ${String(r.name || r.transcript_id).padEnd(36)} band ${band.padEnd(7)} ${detail}`);
+  }
+
+  lines.push('');
+  lines.push(`Band hit rate:   ${formatNumber(summary.band_hit_rate)} (min ${tolerance.minBandRate})`);
+  lines.push(`Bias:            ${formatNumber(summary.bias)} (max ±${tolerance.maxBias}), mean band error ${formatNumber(summary.mean_abs_error)}`);
+  lines.push(`Pass agreement:  mean spread ${formatNumber(summary.agreement.mean_spread)} (max ${tolerance.maxPassSpread}), worst ${formatNumber(summary.agreement.max_spread)}`);
+  lines.push(summary.drift
+    ? `Drift:           ${summary.drift.mean_abs_delta} mean abs over ${summary.drift.compared} transcripts (max ${tolerance.maxDrift}), net ${summary.drift.mean_delta}`
+    : 'Drift:           no baseline');
+  lines.push('');
+  lines.push(failures.length
+    ? `FAIL\n${failures.map(f => `  - ${f}`).join('\n')}`
+    : 'PASS: grader is within tolerance');
+  return lines.join('\n');
+}
+
+/**
+ * Run the calibration check
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} io - { log, error } output streams (console by default)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = console) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    io.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  // The provider has to be chosen before the LLM services resolve it
+  if (options.provider) process.env.LLM_PROVIDER = options.provider;
+  const calibration = require('../src/services/calibration.service');
+  const { describeProviders } = require('../src/services/llmProvider.service');
+  const llm = options.model ? { provider: process.env.LLM_PROVIDER, model: options.model } : undefined;
+
+  let report;
+  let providers;
+  try {
+    providers = describeProviders(llm).join(', ');
+
+    if (options.persona) {
+      const { query, pool } = require('../src/config/database');
+      try {
+        const persona = await query('SELECT * FROM personas WHERE id = $1', [options.persona]);
+        if (!persona.rows[0]) {
+          io.error(`❌ Persona ${options.persona} not found`);
+          return 2;
+        }
+
+        report = await calibration.calibratePersona(persona.rows[0], {
+          tolerance: options.tolerance,
+          llm,
+          providers,
+          source: 'cli',
+          save: options.save,
+        });
+        if (!report) {
+          io.error(`❌ ${persona.rows[0].name} has no active golden transcripts`);
+          return 2;
+        }
+      } finally {
+        await pool.end();
+      }
+    } else {
+      const file = options.file ? path.resolve(options.file) : DEFAULT_FILE;
+      const baseline = options.baseline ? JSON.parse(fs.readFileSync(options.baseline, 'utf8')) : null;
+      report = await calibration.runCalibration({
+        cases: calibration.loadCasesFromFile(file),
+        previousResults: baseline?.results || null,
+        tolerance: options.tolerance,
+        llm,
+      });
+    }
+  } catch (error) {
+    io.error(`❌ Calibration failed to run: ${error.message}`);
+    return 2;
+  }
+
+  report = { created_at: new Date().toISOString(), ...report, providers };
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  io.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  return report.passed ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs, formatReport };
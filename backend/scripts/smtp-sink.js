@@ -0,0 +1,131 @@
+/**
+ * Local SMTP stand-in for development and tests.
+ *
+ * Accepts every message without authentication and prints the recipient,
+ * subject and links instead of delivering it. Point the API at it with
+ *   SMTP_HOST=127.0.0.1 SMTP_PORT=1025
+ * and run
+ *   npm run smtp-sink            (or: node scripts/smtp-sink.js [port])
+ */
+
+const net = require('net');
+
+const DEFAULT_PORT = 1025;
+
+// Undo quoted-printable soft line breaks and escapes so links can be read
+const decodeQuotedPrintable = (text) => text
+  .replace(/=\r?\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Decode each MIME part by its own Content-Transfer-Encoding (7bit parts are left as they are)
+const decodeParts = (raw) => raw.split(/\r?\n--[^\r\n]+\r?\n/).map((part) => {
+  const [head, ...body] = part.split(/\r?\n\r?\n/);
+  const encoding = (head.match(/^content-transfer-encoding:\s*(\S+)/im) || [])[1]?.toLowerCase();
+  if (encoding === 'quoted-printable') return `${head}\n\n${decodeQuotedPrintable(body.join('\n\n'))}`;
+  if (encoding === 'base64') return `${head}\n\n${Buffer.from(body.join('').replace(/\s+/g, ''), 'base64').toString('utf8')}`;
+  return part;
+}).join('\n');
+
+/**
+ * Parse the parts of a raw message the sink reports
+ * @param {string} raw - Message as received after DATA
+ * @returns {Object} { to, subject, links, raw }
+ */
+function parseMessage(raw) {
+  const [head] = raw.split(/\r?\n\r?\n/);
+  const header = (name) => {
+    const match = head.match(new RegExp(`^${name}:\\s*(.*(?:\\r?\\n[ \\t].*)*)`, 'im'));
+    return match ? match[1].replace(/\r?\n[ \t]+/g, ' ').trim() : null;
+  };
+  const links = [...new Set(decodeParts(raw).match(/https?:\/\/[^\s"'<>]+/g) || [])];
+  return { to: header('To'), subject: header('Subject'), links, raw };
+}
+
+/**
+ * Start an SMTP server that keeps what it receives
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {Function} options.onMessage - Called with each parsed message
+ * @returns {Promise<Object>} { server, port, messages, close }
+ */
+function createSmtpSink({ port = DEFAULT_PORT, onMessage } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 localhost smtp-sink ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+
+          const message = { ...parseMessage(raw), envelope };
+          messages.push(message);
+          if (onMessage) onMessage(message);
+          envelope = { from: null, to: [] };
+          reply('250 OK: message accepted');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') reply('250 localhost');
+        else if (command === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+        else if (command === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+        else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+        else if (command === 'NOOP') reply('250 OK');
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+        else reply('502 Command not implemented');
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        server,
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+  createSmtpSink({
+    port,
+    onMessage: (message) => {
+      console.log(`\n📧 To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      message.links.forEach(link => console.log(`   Link: ${link}`));
+    }
+  }).then(() => {
+    console.log(`📭 SMTP sink listening on 127.0.0.1:${port} (set SMTP_HOST=127.0.0.1 SMTP_PORT=${port})`);
+  }).catch((error) => {
+    console.error('❌ Failed to start SMTP sink:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSmtpSink, parseMessage };
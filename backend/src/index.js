@@ -28,10 +28,16 @@ const questionnairesRoutes = require('./routes/questionnaires.routes');
 const personasRoutes = require('./routes/personas.routes');
 const vcpqRoutes = require('./routes/vcpq.routes');
 const trainingRoutes = require('./routes/training.routes');
+const lexiconsRoutes = require('./routes/lexicons.routes');
+const groupConversationsRoutes = require('./routes/groupConversations.routes');
+const simulationsRoutes = require('./routes/simulations.routes');
+const auditLogsRoutes = require('./routes/auditLogs.routes');
 
 // Import services
 const { initializeTransporter } = require('./services/email.service');
 const { testConnection: testLLM } = require('./services/llm.service');
+const generationJobs = require('./services/generationJob.service');
+const campaigns = require('./services/campaign.service');
 
 const app = express();
 // Enable trust proxy for correct client IP handling (fixes rate limit issues)
@@ -114,6 +120,10 @@ app.use('/api/questionnaires', questionnairesRoutes);
 app.use('/api/personas', personasRoutes);
 app.use('/api/vcpq', vcpqRoutes);
 app.use('/api/training', trainingRoutes);
+app.use('/api/lexicons', lexiconsRoutes);
+app.use('/api/group-conversations', groupConversationsRoutes);
+app.use('/api/simulations', simulationsRoutes);
+app.use('/api/audit-logs', auditLogsRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -156,15 +166,27 @@ const startServer = async () => {
     initializeTransporter();
 
     // Test LLM connection (optional)
-    if (process.env.GROQ_API_KEY) {
+    if (process.env.GROQ_API_KEY || process.env.LLM_PROVIDER) {
       const llmStatus = await testLLM();
       if (llmStatus.success) {
-        console.log('✅ LLM connection established');
+        console.log(`✅ LLM connection established: ${llmStatus.providers.join(' → ')}`);
       } else {
         console.log('⚠️  LLM connection failed:', llmStatus.error);
       }
     } else {
-      console.log('⚠️  GROQ_API_KEY not set - LLM features disabled');
+      console.log('⚠️  No LLM provider configured (set GROQ_API_KEY or LLM_PROVIDER) - LLM features disabled');
+    }
+
+    // Background persona generation (disable on instances that should only serve the API)
+    if (process.env.GENERATION_WORKER !== 'false') {
+      await generationJobs.startWorker();
+      console.log('✅ Persona generation worker started');
+    }
+
+    // Questionnaire reminders and closing at ends_at
+    if (process.env.CAMPAIGN_SCHEDULER !== 'false') {
+      campaigns.startScheduler();
+      console.log('✅ Campaign scheduler started');
     }
 
     // Start server
@@ -190,12 +212,16 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  generationJobs.stopWorker();
+  campaigns.stopScheduler();
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  generationJobs.stopWorker();
+  campaigns.stopScheduler();
   await pool.end();
   process.exit(0);
 });
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { issuedBeforePasswordChange } = require('../services/accountToken.service');
+const { setupRequired: mfaSetupRequired } = require('../services/mfa.service');
 
 // Generate access token (short-lived)
 const generateAccessToken = (user) => {
@@ -30,8 +32,9 @@ const generateTokens = (user) => ({
   refreshToken: generateRefreshToken(user),
 });
 
-// Verify access token middleware
-const authenticate = async (req, res, next) => {
+// Verify access token middleware. Admins whose company requires MFA get a
+// 403 until they enroll, except on routes built with allowMfaSetup.
+const authenticateWith = ({ allowMfaSetup = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -46,7 +49,8 @@ const authenticate = async (req, res, next) => {
       
       // Get fresh user data
       const result = await query(
-        `SELECT u.*, c.name as company_name, c.slug as company_slug, c.subscription_status
+        `SELECT u.*, c.name as company_name, c.slug as company_slug, c.subscription_status,
+                c.require_admin_mfa
          FROM users u 
          LEFT JOIN companies c ON u.company_id = c.id 
          WHERE u.id = $1 AND u.is_active = true`,
@@ -57,6 +61,18 @@ const authenticate = async (req, res, next) => {
         return res.status(401).json({ error: 'User not found or inactive' });
       }
 
+      // A password reset signs out every existing session
+      if (issuedBeforePasswordChange(decoded, result.rows[0])) {
+        return res.status(401).json({ error: 'Session revoked, please log in again' });
+      }
+
+      if (!allowMfaSetup && mfaSetupRequired(result.rows[0])) {
+        return res.status(403).json({
+          error: 'Set up multi-factor authentication to continue',
+          code: 'MFA_SETUP_REQUIRED',
+        });
+      }
+
       req.user = result.rows[0];
       next();
     } catch (jwtError) {
@@ -71,6 +87,11 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+const authenticate = authenticateWith();
+
+// For the routes an admin needs to finish required MFA enrollment
+const authenticateForMfaSetup = authenticateWith({ allowMfaSetup: true });
+
 // Verify refresh token and issue new tokens
 const refreshTokens = async (req, res) => {
   try {
@@ -94,6 +115,10 @@ const refreshTokens = async (req, res) => {
       }
 
       const user = result.rows[0];
+      if (issuedBeforePasswordChange(decoded, user)) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+
       const tokens = generateTokens(user);
 
       res.json(tokens);
@@ -172,6 +197,7 @@ module.exports = {
   generateRefreshToken,
   generateTokens,
   authenticate,
+  authenticateForMfaSetup,
   refreshTokens,
   authorize,
   requireCompanyAccess,
@@ -0,0 +1,126 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { authenticate, requireAdminAccess } = require('../middleware/auth');
+const audit = require('../services/audit.service');
+
+const router = express.Router();
+
+// All routes require authentication and admin access
+router.use(authenticate);
+router.use(requireAdminAccess);
+
+const filterValidation = [
+  queryParam('companyId').optional().isUUID(),
+  queryParam('userId').optional().isUUID(),
+  queryParam('action').optional().isString().trim().isLength({ max: 100 }),
+  queryParam('entityType').optional().isString().trim().isLength({ max: 50 }),
+  queryParam('entityId').optional().isUUID(),
+  queryParam('startDate').optional().isISO8601(),
+  queryParam('endDate').optional().isISO8601(),
+];
+
+// Company admins only see their own company; super admins all, or one with companyId
+const filtersFrom = (req) => ({
+  companyId: req.user.role === 'super_admin' ? req.query.companyId : req.user.company_id,
+  userId: req.query.userId,
+  action: req.query.action,
+  entityType: req.query.entityType,
+  entityId: req.query.entityId,
+  startDate: req.query.startDate,
+  endDate: req.query.endDate,
+});
+
+/**
+ * GET /api/audit-logs
+ * Audit logs, newest first, with the diff of each entry's old and new values
+ */
+router.get(
+  '/',
+  [
+    ...filterValidation,
+    queryParam('page').optional().isInt({ min: 1 }).toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await audit.getLogs({
+        ...filtersFrom(req),
+        page: req.query.page || 1,
+        limit: req.query.limit || 50,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({ error: 'Failed to get audit logs' });
+    }
+  }
+);
+
+/**
+ * GET /api/audit-logs/actions
+ * Known actions, grouped by area (the part before the dot)
+ */
+router.get('/actions', (req, res) => {
+  const groups = {};
+  for (const action of Object.values(audit.ACTIONS)) {
+    const [group] = action.split('.');
+    (groups[group] = groups[group] || []).push(action);
+  }
+  res.json({ actions: Object.values(audit.ACTIONS), groups });
+});
+
+/**
+ * GET /api/audit-logs/export
+ * Download matching logs as CSV or NDJSON (`format`), up to MAX_EXPORT_ROWS
+ */
+router.get(
+  '/export',
+  [
+    ...filterValidation,
+    queryParam('format').optional().isIn(Object.keys(audit.EXPORT_FORMATS)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const format = req.query.format || 'csv';
+      const { contentType, header, line } = audit.EXPORT_FORMATS[format];
+      const filters = filtersFrom(req);
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: req.user.company_id,
+        action: audit.ACTIONS.AUDIT_EXPORT,
+        entityType: 'audit_log',
+        metadata: { format, filters },
+        req,
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${date}.${format}"`);
+      res.write(header);
+      for await (const rows of audit.streamLogs(filters)) {
+        res.write(rows.map(line).join(''));
+      }
+      res.end();
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to export audit logs' });
+      } else {
+        res.end();
+      }
+    }
+  }
+);
+
+module.exports = router;
@@ -2,9 +2,12 @@ const express = require('express');
 const passport = require('passport');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { generateTokens, authenticate, refreshTokens } = require('../middleware/auth');
+const { query, transaction } = require('../config/database');
+const { generateTokens, authenticateForMfaSetup, refreshTokens } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/security');
+const accountTokens = require('../services/accountToken.service');
+const mfa = require('../services/mfa.service');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/email.service');
 const audit = require('../services/audit.service');
 
 const router = express.Router();
@@ -23,6 +26,69 @@ const validateRegister = [
   body('inviteToken').optional().isString(),
 ];
 
+const validateResetPassword = [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+];
+
+const validateMfaCode = [
+  body('code').isString().trim().isLength({ min: 6, max: 20 }),
+];
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const LOGIN_USER_SQL = `SELECT u.*, c.name as company_name, c.slug as company_slug, c.require_admin_mfa
+       FROM users u
+       LEFT JOIN companies c ON u.company_id = c.id`;
+
+// Issue tokens for a user who has passed every sign-in step
+const completeLogin = async (req, res, user, metadata) => {
+  await query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+
+  const tokens = generateTokens(user);
+
+  await audit.log({
+    userId: user.id,
+    companyId: user.company_id,
+    action: audit.ACTIONS.USER_LOGIN,
+    entityType: 'user',
+    entityId: user.id,
+    metadata,
+    req,
+  });
+
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      avatarUrl: user.avatar_url,
+      role: user.role,
+      emailVerified: user.email_verified,
+      mfaEnabled: !!user.mfa_enabled,
+      mfaSetupRequired: mfa.setupRequired(user),
+      companyId: user.company_id,
+      companyName: user.company_name,
+      companySlug: user.company_slug,
+    },
+    ...tokens,
+  });
+};
+
+// A short-lived token that lets the holder attempt the second step, nothing more
+const mfaChallenge = (user) => ({
+  mfaRequired: true,
+  mfaToken: accountTokens.createToken(user, 'mfa_challenge'),
+});
+
+// Email a verification link for the user's current address
+const sendVerificationLink = (user) => sendVerificationEmail({
+  to: user.email,
+  firstName: user.first_name,
+  verifyLink: `${frontendUrl()}/verify-email?token=${encodeURIComponent(accountTokens.createToken(user, 'email_verification'))}`,
+});
+
 /**
  * POST /api/auth/register
  * Register a new user (requires invite token for company users)
@@ -76,7 +142,7 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
     const result = await query(
       `INSERT INTO users (email, password_hash, first_name, last_name, role, company_id, email_verified)
        VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, email, first_name, last_name, role, company_id`,
+       RETURNING id, email, first_name, last_name, role, company_id, email_verified`,
       [email, passwordHash, firstName, lastName, role, companyId, !!inviteToken]
     );
 
@@ -88,6 +154,9 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
         `UPDATE user_invitations SET status = 'accepted', accepted_at = NOW() WHERE id = $1`,
         [invitation.id]
       );
+    } else {
+      // The invitation email already proved the address; everyone else confirms it
+      await sendVerificationLink(user);
     }
 
     // Generate tokens
@@ -110,6 +179,7 @@ router.post('/register', authLimiter, validateRegister, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         role: user.role,
+        emailVerified: user.email_verified,
       },
       ...tokens,
     });
@@ -133,13 +203,7 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
     const { email, password } = req.body;
 
     // Find user
-    const result = await query(
-      `SELECT u.*, c.name as company_name, c.slug as company_slug
-       FROM users u
-       LEFT JOIN companies c ON u.company_id = c.id
-       WHERE u.email = $1`,
-      [email]
-    );
+    const result = await query(`${LOGIN_USER_SQL} WHERE u.email = $1`, [email]);
 
     const user = result.rows[0];
 
@@ -152,53 +216,354 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
-    // Debug logging for password comparison
-    console.log('Login attempt:', { email, password });
-    console.log('Stored hash:', user.password_hash);
+    const isValid = await bcrypt.compare(password, user.password_hash);
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Tokens wait for the second step when MFA is on
+    if (user.mfa_enabled) {
+      return res.json(mfaChallenge(user));
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/login/mfa
+ * Second sign-in step: an authenticator or recovery code for the mfaToken
+ * returned by /login (or the OAuth callback)
+ */
+router.post(
+  '/login/mfa',
+  authLimiter,
+  [body('mfaToken').isString().notEmpty(), ...validateMfaCode],
+  async (req, res) => {
     try {
-      const isValid = await bcrypt.compare(password, user.password_hash);
-      console.log('bcrypt.compare result:', isValid);
-      if (!isValid) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const challenged = await accountTokens.verifyToken(req.body.mfaToken, 'mfa_challenge');
+      if (!challenged || !challenged.mfa_enabled) {
+        return res.status(401).json({ error: 'Sign-in expired, please log in again' });
       }
-    } catch (err) {
-      console.error('bcrypt.compare error:', err);
-      return res.status(500).json({ error: 'Password comparison failed', details: err.message });
+
+      const method = await mfa.verifyChallenge(challenged, req.body.code);
+      if (!method) {
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+
+      const result = await query(`${LOGIN_USER_SQL} WHERE u.id = $1`, [challenged.id]);
+      await completeLogin(req, res, result.rows[0], { mfa: method });
+    } catch (error) {
+      console.error('MFA login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. The response is the same whether or not the
+ * address has an account, so it cannot be used to discover accounts.
+ */
+router.post('/forgot-password', authLimiter, [body('email').isEmail().normalizeEmail()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Update last login
-    await query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    const result = await query('SELECT * FROM users WHERE email = $1 AND is_active = true', [req.body.email]);
+    const user = result.rows[0];
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    if (user) {
+      const token = accountTokens.createToken(user, 'password_reset');
+      await sendPasswordResetEmail({
+        to: user.email,
+        firstName: user.first_name,
+        resetLink: `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+      });
+
+      await audit.log({
+        userId: user.id,
+        companyId: user.company_id,
+        action: audit.ACTIONS.PASSWORD_RESET_REQUEST,
+        entityType: 'user',
+        entityId: user.id,
+        req,
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password from a reset link; signs the user out everywhere
+ */
+router.post('/reset-password', authLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountTokens.verifyToken(req.body.token, 'password_reset');
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 12);
+
+    // The link came to the user's inbox, so it also confirms the address
+    const revoked = await transaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1, password_changed_at = NOW(),
+             email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $2`,
+        [passwordHash, user.id]
+      );
+      const sessions = await client.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [user.id]
+      );
+      return sessions.rowCount || 0;
+    });
 
-    // Audit log
     await audit.log({
       userId: user.id,
       companyId: user.company_id,
-      action: audit.ACTIONS.USER_LOGIN,
+      action: audit.ACTIONS.PASSWORD_RESET,
       entityType: 'user',
       entityId: user.id,
+      metadata: { revokedSessions: revoked },
       req,
     });
 
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        avatarUrl: user.avatar_url,
-        role: user.role,
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm the user's email address from a verification link
+ */
+router.post('/verify-email', authLimiter, [body('token').isString().notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountTokens.verifyToken(req.body.token, 'email_verification');
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    if (!user.email_verified) {
+      await query(
+        'UPDATE users SET email_verified = true, email_verified_at = NOW() WHERE id = $1',
+        [user.id]
+      );
+
+      await audit.log({
+        userId: user.id,
         companyId: user.company_id,
-        companyName: user.company_name,
-        companySlug: user.company_slug,
-      },
-      ...tokens,
+        action: audit.ACTIONS.EMAIL_VERIFY,
+        entityType: 'user',
+        entityId: user.id,
+        req,
+      });
+    }
+
+    res.json({ message: 'Email verified', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send the current user a new verification link
+ */
+router.post('/resend-verification', authenticateForMfaSetup, authLimiter, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    const result = await sendVerificationLink(req.user);
+    if (!result.success) {
+      return res.status(503).json({ error: 'Verification email could not be sent' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * GET /api/auth/mfa
+ * The current user's MFA status
+ */
+router.get('/mfa', authenticateForMfaSetup, async (req, res) => {
+  try {
+    res.json(await mfa.getStatus(req.user));
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({ error: 'Failed to get MFA status' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start enrollment: a new secret with its otpauth URL and QR code
+ */
+router.post('/mfa/setup', authenticateForMfaSetup, async (req, res) => {
+  try {
+    if (req.user.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+
+    res.json(await mfa.beginEnrollment(req.user));
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ error: 'Failed to start MFA setup' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enable
+ * Finish enrollment with a code from the authenticator app; returns the
+ * recovery codes, which are not shown again
+ */
+router.post('/mfa/enable', authenticateForMfaSetup, authLimiter, validateMfaCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+    if (!req.user.mfa_secret) {
+      return res.status(400).json({ error: 'Start MFA setup first' });
+    }
+
+    const recoveryCodes = await mfa.enable(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: req.user.company_id,
+      action: audit.ACTIONS.MFA_ENABLE,
+      entityType: 'user',
+      entityId: req.user.id,
+      req,
     });
+
+    res.json({ message: 'MFA enabled', recoveryCodes });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('MFA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable MFA' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn MFA off with an authenticator or recovery code, unless the company
+ * requires it for the user's role
+ */
+router.post('/mfa/disable', authenticateForMfaSetup, authLimiter, validateMfaCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled' });
+    }
+    if (mfa.isRequiredFor(req.user)) {
+      return res.status(403).json({ error: 'Your company requires multi-factor authentication for admins' });
+    }
+
+    if (!await mfa.verifyChallenge(req.user, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await mfa.disable(req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: req.user.company_id,
+      action: audit.ACTIONS.MFA_DISABLE,
+      entityType: 'user',
+      entityId: req.user.id,
+      req,
+    });
+
+    res.json({ message: 'MFA disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable MFA' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes; needs an authenticator or recovery code
+ */
+router.post('/mfa/recovery-codes', authenticateForMfaSetup, authLimiter, validateMfaCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled' });
+    }
+    if (!await mfa.verifyChallenge(req.user, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await mfa.regenerateRecoveryCodes(req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: req.user.company_id,
+      action: audit.ACTIONS.MFA_RECOVERY_CODES,
+      entityType: 'user',
+      entityId: req.user.id,
+      req,
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
 });
 
@@ -212,13 +577,13 @@ router.post('/refresh', refreshTokens);
  * GET /api/auth/me
  * Get current user info
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticateForMfaSetup, async (req, res) => {
   try {
     const result = await query(
       `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, u.role, 
-              u.company_id, u.email_verified, u.created_at,
+              u.company_id, u.email_verified, u.mfa_enabled, u.created_at,
               c.name as company_name, c.slug as company_slug, c.subscription_status,
-              c.license_count, c.licenses_used
+              c.license_count, c.licenses_used, c.require_admin_mfa
        FROM users u
        LEFT JOIN companies c ON u.company_id = c.id
        WHERE u.id = $1`,
@@ -235,6 +600,8 @@ router.get('/me', authenticate, async (req, res) => {
       avatarUrl: user.avatar_url,
       role: user.role,
       emailVerified: user.email_verified,
+      mfaEnabled: !!user.mfa_enabled,
+      mfaSetupRequired: mfa.setupRequired(user),
       createdAt: user.created_at,
       company: user.company_id ? {
         id: user.company_id,
@@ -243,6 +610,7 @@ router.get('/me', authenticate, async (req, res) => {
         subscriptionStatus: user.subscription_status,
         licenseCount: user.license_count,
         licensesUsed: user.licenses_used,
+        requireAdminMfa: !!user.require_admin_mfa,
       } : null,
     });
   } catch (error) {
@@ -255,7 +623,7 @@ router.get('/me', authenticate, async (req, res) => {
  * POST /api/auth/logout
  * Logout (client should delete tokens)
  */
-router.post('/logout', authenticate, async (req, res) => {
+router.post('/logout', authenticateForMfaSetup, async (req, res) => {
   await audit.log({
     userId: req.user.id,
     companyId: req.user.company_id,
@@ -278,6 +646,12 @@ router.get(
   passport.authenticate('google', { session: false, failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed` }),
   async (req, res) => {
     try {
+      // With MFA on, the provider sign-in is only the first step
+      if (req.user.mfa_enabled) {
+        const { mfaToken } = mfaChallenge(req.user);
+        return res.redirect(`${process.env.FRONTEND_URL}/auth/callback?mfaToken=${encodeURIComponent(mfaToken)}`);
+      }
+
       const tokens = generateTokens(req.user);
       
       await audit.log({
@@ -309,6 +683,12 @@ router.get(
   passport.authenticate('microsoft', { session: false, failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed` }),
   async (req, res) => {
     try {
+      // With MFA on, the provider sign-in is only the first step
+      if (req.user.mfa_enabled) {
+        const { mfaToken } = mfaChallenge(req.user);
+        return res.redirect(`${process.env.FRONTEND_URL}/auth/callback?mfaToken=${encodeURIComponent(mfaToken)}`);
+      }
+
       const tokens = generateTokens(req.user);
       
       await audit.log({
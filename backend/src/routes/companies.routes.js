@@ -230,6 +230,7 @@ router.put(
     body('industry').optional().trim().isLength({ max: 100 }),
     body('companySize').optional().isIn(['small', 'medium', 'large', 'enterprise']),
     body('settings').optional().isObject(),
+    body('requireAdminMfa').optional().isBoolean().toBoolean(),
   ],
   async (req, res) => {
     try {
@@ -246,7 +247,13 @@ router.put(
         return res.status(404).json({ error: 'Company not found' });
       }
 
-      const { name, industry, companySize, settings } = req.body;
+      const { name, industry, companySize, settings, requireAdminMfa } = req.body;
+
+      // Requiring it for your own company before enrolling would lock you out of admin pages
+      if (requireAdminMfa && companyId === req.user.company_id && !req.user.mfa_enabled) {
+        return res.status(400).json({ error: 'Enable MFA on your own account before requiring it for admins' });
+      }
+
       const updates = [];
       const values = [];
       let paramIndex = 1;
@@ -267,6 +274,10 @@ router.put(
         updates.push(`settings = $${paramIndex++}`);
         values.push(JSON.stringify(settings));
       }
+      if (requireAdminMfa !== undefined) {
+        updates.push(`require_admin_mfa = $${paramIndex++}`);
+        values.push(requireAdminMfa);
+      }
 
       if (updates.length === 0) {
         return res.json(current.rows[0]);
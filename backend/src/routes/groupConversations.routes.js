@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { validateUUIDParams, llmLimiter } = require('../middleware/security');
+const { query } = require('../config/database');
+const groups = require('../services/groupConversation.service');
+const { getCompanyLLMConfig } = require('../services/llmProvider.service');
+const audit = require('../services/audit.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Load a group conversation owned by the current user
+const findOwnConversation = async (req, res) => {
+  const conversation = await groups.getGroupConversation(req.params.id);
+  if (!conversation) {
+    res.status(404).json({ error: 'Group conversation not found' });
+    return null;
+  }
+  if (conversation.user_id !== req.user.id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return conversation;
+};
+
+const userDisplayName = (user) => user.first_name || 'The facilitator';
+
+/**
+ * GET /api/group-conversations
+ * Current user's group conversations
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await groups.listGroupConversations(req.user.id);
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Get group conversations error:', error);
+    res.status(500).json({ error: 'Failed to get group conversations' });
+  }
+});
+
+/**
+ * POST /api/group-conversations
+ * Convene 2-6 personas in one room
+ */
+router.post(
+  '/',
+  [
+    body('personaIds').isArray({ min: groups.MIN_PARTICIPANTS, max: groups.MAX_PARTICIPANTS })
+      .withMessage(`Invite ${groups.MIN_PARTICIPANTS} to ${groups.MAX_PARTICIPANTS} personas`),
+    body('personaIds.*').isUUID(),
+    body('title').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+    body('topic').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { personaIds, title, topic } = req.body;
+      if (new Set(personaIds).size !== personaIds.length) {
+        return res.status(400).json({ error: 'Each persona can only be invited once' });
+      }
+
+      const result = await query(
+        "SELECT * FROM personas WHERE id = ANY($1) AND status = 'active'",
+        [personaIds]
+      );
+      if (result.rows.length !== personaIds.length) {
+        return res.status(404).json({ error: 'Persona not found or not active' });
+      }
+
+      // Default personas are open to everyone; the rest to their company
+      const denied = result.rows.some(p => (
+        !p.is_default && req.user.role !== 'super_admin' && p.company_id !== req.user.company_id
+      ));
+      if (denied) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      // Seats follow the order the personas were invited in
+      const personas = personaIds.map(id => result.rows.find(p => p.id === id));
+      const conversation = await groups.createGroupConversation({ user: req.user, personas, title, topic });
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: req.user.company_id,
+        action: audit.ACTIONS.GROUP_CONVERSATION_START,
+        entityType: 'group_conversation',
+        entityId: conversation.id,
+        metadata: { personaIds },
+        req,
+      });
+
+      res.status(201).json({
+        conversation,
+        participants: await groups.getParticipants(conversation.id),
+      });
+    } catch (error) {
+      console.error('Create group conversation error:', error);
+      res.status(500).json({ error: 'Failed to create group conversation' });
+    }
+  }
+);
+
+/**
+ * GET /api/group-conversations/:id
+ * Conversation, participants and the transcript with per-speaker attribution
+ */
+router.get('/:id', validateUUIDParams('id'), async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const [participants, messages] = await Promise.all([
+      groups.getParticipants(conversation.id),
+      groups.getMessages(conversation.id),
+    ]);
+
+    res.json({
+      conversation,
+      participants: participants.map(p => ({
+        id: p.id,
+        name: p.name,
+        tagline: p.tagline,
+        avatar_url: p.avatar_url,
+        seat: p.seat,
+        persona_version: p.joined_version,
+      })),
+      messages,
+    });
+  } catch (error) {
+    console.error('Get group conversation error:', error);
+    res.status(500).json({ error: 'Failed to get group conversation' });
+  }
+});
+
+/**
+ * POST /api/group-conversations/:id/messages
+ * Send a message to the room; the orchestrator picks who replies (up to maxReplies)
+ */
+router.post(
+  '/:id/messages',
+  validateUUIDParams('id'),
+  llmLimiter,
+  [
+    body('content').isString().trim().isLength({ min: 1, max: 4000 }),
+    body('maxReplies').optional().isInt({ min: 1, max: groups.MAX_PARTICIPANTS }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const conversation = await findOwnConversation(req, res);
+      if (!conversation) return;
+
+      const [participants, previous] = await Promise.all([
+        groups.getParticipants(conversation.id),
+        groups.getMessages(conversation.id),
+      ]);
+      const userName = userDisplayName(req.user);
+
+      const message = await groups.addMessage({
+        conversationId: conversation.id,
+        speakerType: 'user',
+        content: req.body.content,
+      });
+
+      const replies = await groups.orchestrateReplies({
+        participants,
+        transcript: [
+          ...previous.map(m => (m.speaker_type === 'user' ? { ...m, speaker_name: userName } : m)),
+          { ...message, speaker_name: userName },
+        ],
+        topic: conversation.topic,
+        userName,
+        maxReplies: Math.min(req.body.maxReplies || groups.DEFAULT_MAX_REPLIES, participants.length),
+        llm: await getCompanyLLMConfig(conversation.company_id),
+        onReply: ({ persona, content, reason, tokens }) => groups.addMessage({
+          conversationId: conversation.id,
+          speakerType: 'persona',
+          personaId: persona.id,
+          content,
+          turnReason: reason,
+          tokens,
+        }),
+      });
+
+      res.json({ message, replies });
+    } catch (error) {
+      console.error('Group message error:', error);
+      res.status(500).json({ error: 'Failed to get replies' });
+    }
+  }
+);
+
+module.exports = router;
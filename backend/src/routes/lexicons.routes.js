@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate, requireAdminAccess } = require('../middleware/auth');
+const { validateUUIDParams } = require('../middleware/security');
+const companyLexicons = require('../services/companyLexicon.service');
+const lexiconService = require('../services/lexicon.service');
+const audit = require('../services/audit.service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Company whose lexicons are listed or created (super admins pass companyId)
+const targetCompanyId = (req) => (
+  req.user.role === 'super_admin'
+    ? req.query.companyId || req.body.companyId || req.user.company_id
+    : req.user.company_id
+);
+
+// Load a lexicon the user's company owns
+const findCompanyLexicon = async (req, res) => {
+  const lexicon = await companyLexicons.getLexicon(req.params.id);
+  if (!lexicon) {
+    res.status(404).json({ error: 'Lexicon not found' });
+    return null;
+  }
+  if (req.user.role !== 'super_admin' && lexicon.company_id !== req.user.company_id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return lexicon;
+};
+
+const lexiconValidation = (isCreate) => {
+  const optional = (chain) => (isCreate ? chain : chain.optional());
+  return [
+    optional(body('name').isString().trim().isLength({ min: 1, max: 100 })),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+    body('base_domain').optional().isString(),
+    body('extend_base').optional().isBoolean(),
+    body('vocabulary').optional().isArray(),
+    body('phrases').optional().isArray(),
+    body('style').optional().isObject(),
+    body('formatting').optional().isObject(),
+    body('emotional').optional().isObject(),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+/**
+ * GET /api/lexicons
+ * List the company's custom lexicons and the built-in domains they can inherit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const companyId = targetCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ error: 'companyId is required' });
+    }
+
+    const lexicons = await companyLexicons.listLexicons(companyId, {
+      activeOnly: req.query.active === 'true'
+    });
+
+    res.json({
+      lexicons,
+      domains: lexiconService.getAvailableDomains()
+    });
+  } catch (error) {
+    console.error('List lexicons error:', error);
+    res.status(500).json({ error: 'Failed to list lexicons' });
+  }
+});
+
+/**
+ * GET /api/lexicons/:id
+ * Get a lexicon with its resolved (base + overrides) form
+ */
+router.get('/:id', validateUUIDParams('id'), async (req, res) => {
+  try {
+    const lexicon = await findCompanyLexicon(req, res);
+    if (!lexicon) return;
+
+    res.json({
+      lexicon,
+      resolved: lexiconService.buildLexicon(lexicon)
+    });
+  } catch (error) {
+    console.error('Get lexicon error:', error);
+    res.status(500).json({ error: 'Failed to get lexicon' });
+  }
+});
+
+/**
+ * POST /api/lexicons
+ * Create a custom lexicon (admin only)
+ */
+router.post('/', requireAdminAccess, lexiconValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invalid = companyLexicons.validateLexicon(req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid lexicon', details: invalid });
+    }
+
+    const companyId = targetCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ error: 'companyId is required' });
+    }
+
+    const lexicon = await companyLexicons.createLexicon(companyId, req.body, req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId,
+      action: audit.ACTIONS.LEXICON_CREATE,
+      entityType: 'lexicon',
+      entityId: lexicon.id,
+      newValues: lexicon,
+      req,
+    });
+
+    res.status(201).json({ lexicon });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A lexicon with this name already exists' });
+    }
+    console.error('Create lexicon error:', error);
+    res.status(500).json({ error: 'Failed to create lexicon' });
+  }
+});
+
+/**
+ * PUT /api/lexicons/:id
+ * Update a custom lexicon (admin only). Existing personas keep their prompts.
+ */
+router.put('/:id', validateUUIDParams('id'), requireAdminAccess, lexiconValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invalid = companyLexicons.validateLexicon(req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid lexicon', details: invalid });
+    }
+
+    const existing = await findCompanyLexicon(req, res);
+    if (!existing) return;
+
+    const lexicon = await companyLexicons.updateLexicon(existing.id, req.body);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: existing.company_id,
+      action: audit.ACTIONS.LEXICON_UPDATE,
+      entityType: 'lexicon',
+      entityId: existing.id,
+      oldValues: existing,
+      newValues: lexicon,
+      req,
+    });
+
+    res.json({ lexicon });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A lexicon with this name already exists' });
+    }
+    console.error('Update lexicon error:', error);
+    res.status(500).json({ error: 'Failed to update lexicon' });
+  }
+});
+
+/**
+ * DELETE /api/lexicons/:id
+ * Delete a custom lexicon (admin only)
+ */
+router.delete('/:id', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const existing = await findCompanyLexicon(req, res);
+    if (!existing) return;
+
+    await companyLexicons.deleteLexicon(existing.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: existing.company_id,
+      action: audit.ACTIONS.LEXICON_DELETE,
+      entityType: 'lexicon',
+      entityId: existing.id,
+      oldValues: existing,
+      req,
+    });
+
+    res.json({ message: 'Lexicon deleted' });
+  } catch (error) {
+    console.error('Delete lexicon error:', error);
+    res.status(500).json({ error: 'Failed to delete lexicon' });
+  }
+});
+
+module.exports = router;
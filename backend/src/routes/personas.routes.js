@@ -1,13 +1,37 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { authenticate, requireCompanyAccess, requireAdminAccess } = require('../middleware/auth');
 const { validateUUIDParams, llmLimiter } = require('../middleware/security');
 const { chatWithPersona, streamChatWithPersona, findSimilarPersona } = require('../services/llm.service');
+const { getCompanyLLMConfig, describeProviders } = require('../services/llmProvider.service');
 const audit = require('../services/audit.service');
+const vectorService = require('../services/vector.service');
+const matching = require('../services/matching.service');
+const personaVersions = require('../services/personaVersion.service');
+const calibration = require('../services/calibration.service');
+const rubrics = require('../services/rubric.service');
 
 const router = express.Router();
 
+const SEARCH_MODES = ['llm', 'vector', 'hybrid'];
+
+/**
+ * Attach persona details to similarity results
+ */
+const enrichSearchResults = (results, personas) => results.map(r => {
+  const persona = personas.find(p => p.id === r.persona_id);
+  return {
+    ...r,
+    persona: persona ? {
+      id: persona.id,
+      name: persona.name,
+      tagline: persona.tagline,
+      summary: persona.summary,
+    } : null,
+  };
+});
+
 router.use(authenticate);
 
 /**
@@ -29,8 +53,8 @@ router.get('/', requireCompanyAccess, async (req, res) => {
 
     const result = await query(
       `SELECT p.id, p.name, p.avatar_url, p.tagline, p.status, p.summary,
-              p.cluster_size, p.confidence_score, p.created_at, p.generated_at,
-              q.name as questionnaire_name
+              p.cluster_size, p.confidence_score, p.validation_status, p.validation_correlation,
+              p.created_at, p.generated_at, q.name as questionnaire_name
        FROM personas p
        LEFT JOIN questionnaires q ON p.questionnaire_id = q.id
        WHERE p.company_id = $1 AND p.status = $2 AND (p.is_default IS NULL OR p.is_default = false)
@@ -153,6 +177,53 @@ router.get('/engagement-stats', requireCompanyAccess, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/personas/similarity-searches
+ * The current user's past Find My Persona searches
+ */
+router.get('/similarity-searches', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM similarity_searches WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    const result = await query(
+      `SELECT id, mode, description, results, user_vectors, created_at
+       FROM similarity_searches
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    // Personas may have been renamed or removed since the search
+    const personaIds = [...new Set(result.rows.flatMap(s => (s.results || []).map(r => r.persona_id)))];
+    const personas = personaIds.length > 0
+      ? await query('SELECT id, name, tagline, summary FROM personas WHERE id = ANY($1)', [personaIds])
+      : { rows: [] };
+
+    const total = parseInt(countResult.rows[0].count);
+    res.json({
+      searches: result.rows.map(s => ({
+        ...s,
+        results: enrichSearchResults(s.results || [], personas.rows),
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('List similarity searches error:', error);
+    res.status(500).json({ error: 'Failed to list past searches' });
+  }
+});
+
 /**
  * GET /api/personas/:id
  * Get persona details
@@ -196,7 +267,7 @@ router.get('/:id', validateUUIDParams('id'), requireCompanyAccess, async (req, r
 
 /**
  * PUT /api/personas/:id
- * Update persona
+ * Update persona (gradingRubric: criterion weights must sum to 100)
  */
 router.put(
   '/:id',
@@ -207,7 +278,10 @@ router.put(
     body('tagline').optional().trim().isLength({ max: 500 }),
     body('summary').optional().isObject(),
     body('extendedProfile').optional().isObject(),
+    body('systemPrompt').optional().isString().isLength({ min: 1, max: 50000 }),
     body('status').optional().isIn(['active', 'archived']),
+    body('gradingRubric').optional({ nullable: true }).isObject(),
+    body('changeNote').optional().trim().isLength({ max: 500 }),
   ],
   async (req, res) => {
     try {
@@ -216,6 +290,14 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
+      const { gradingRubric } = req.body;
+      if (gradingRubric) {
+        const rubricErrors = rubrics.validateRubric(gradingRubric);
+        if (rubricErrors.length) {
+          return res.status(400).json({ error: 'Invalid grading rubric', details: rubricErrors });
+        }
+      }
+
       const persona = await query('SELECT * FROM personas WHERE id = $1', [req.params.id]);
       if (!persona.rows[0]) {
         return res.status(404).json({ error: 'Persona not found' });
@@ -226,7 +308,7 @@ router.put(
         return res.status(403).json({ error: 'Access denied' });
       }
 
-      const { name, tagline, summary, extendedProfile, status } = req.body;
+      const { name, tagline, summary, extendedProfile, systemPrompt, status, changeNote } = req.body;
       const updates = [];
       const values = [];
       let paramIndex = 1;
@@ -247,20 +329,39 @@ router.put(
         updates.push(`extended_profile = $${paramIndex++}`);
         values.push(JSON.stringify(extendedProfile));
       }
+      if (systemPrompt) {
+        updates.push(`system_prompt = $${paramIndex++}`);
+        values.push(systemPrompt);
+      }
       if (status) {
         updates.push(`status = $${paramIndex++}`);
         values.push(status);
       }
+      // null clears the rubric so the default one applies
+      if (gradingRubric !== undefined) {
+        updates.push(`grading_rubric = $${paramIndex++}`);
+        values.push(gradingRubric ? JSON.stringify(rubrics.normalizeRubric(gradingRubric)) : null);
+      }
 
       if (updates.length === 0) {
         return res.json(persona.rows[0]);
       }
 
       values.push(req.params.id);
-      const result = await query(
-        `UPDATE personas SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
-        values
-      );
+      const result = await transaction(async (client) => {
+        const updated = await client.query(
+          `UPDATE personas SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+          values
+        );
+        const version = await personaVersions.recordVersion({
+          persona: updated.rows[0],
+          changeType: status === 'archived' && persona.rows[0].status !== 'archived' ? 'archive' : 'update',
+          userId: req.user.id,
+          note: changeNote || null,
+        }, client);
+        if (version) updated.rows[0].current_version = version.version;
+        return updated;
+      });
 
       await audit.log({
         userId: req.user.id,
@@ -281,14 +382,431 @@ router.put(
   }
 );
 
+// ============================================
+// VERSION ROUTES
+// ============================================
+
+/**
+ * Load a persona the user may see, or send 404/403
+ */
+const findAccessiblePersona = async (req, res) => {
+  const persona = await query('SELECT * FROM personas WHERE id = $1', [req.params.id]);
+  if (!persona.rows[0]) {
+    res.status(404).json({ error: 'Persona not found' });
+    return null;
+  }
+  if (req.user.role !== 'super_admin' && persona.rows[0].company_id !== req.user.company_id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return persona.rows[0];
+};
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * GET /api/personas/:id/versions
+ * Version history with per-version conversation counts and feedback
+ */
+router.get('/:id/versions', validateUUIDParams('id'), requireCompanyAccess, async (req, res) => {
+  try {
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    const versions = await personaVersions.listVersions(req.params.id);
+    res.json({ current_version: persona.current_version, versions });
+  } catch (error) {
+    console.error('List persona versions error:', error);
+    res.status(500).json({ error: 'Failed to list persona versions' });
+  }
+});
+
+/**
+ * GET /api/personas/:id/versions/compare?from=1&to=3
+ * Diff two versions
+ */
+router.get('/:id/versions/compare', validateUUIDParams('id'), requireCompanyAccess, async (req, res) => {
+  try {
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    const comparison = await personaVersions.compareVersions(req.params.id, from, to);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Compare persona versions error:', error);
+    res.status(500).json({ error: 'Failed to compare persona versions' });
+  }
+});
+
+/**
+ * GET /api/personas/:id/versions/:version
+ * A single version with its full snapshot
+ */
+router.get('/:id/versions/:version', validateUUIDParams('id'), requireCompanyAccess, async (req, res) => {
+  try {
+    const versionNumber = parseVersion(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Invalid version number' });
+    }
+
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    const version = await personaVersions.getVersion(req.params.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Get persona version error:', error);
+    res.status(500).json({ error: 'Failed to get persona version' });
+  }
+});
+
+/**
+ * POST /api/personas/:id/versions/:version/rollback
+ * Restore an earlier version (recorded as a new version)
+ */
+router.post(
+  '/:id/versions/:version/rollback',
+  validateUUIDParams('id'),
+  requireAdminAccess,
+  [body('note').optional().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const versionNumber = parseVersion(req.params.version);
+      if (!versionNumber) {
+        return res.status(400).json({ error: 'Invalid version number' });
+      }
+
+      const persona = await findAccessiblePersona(req, res);
+      if (!persona) return;
+
+      const target = await personaVersions.getVersion(req.params.id, versionNumber);
+      if (!target) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      if (versionNumber === persona.current_version) {
+        return res.status(400).json({ error: 'This is already the current version' });
+      }
+
+      const result = await transaction((client) => personaVersions.rollbackToVersion({
+        personaId: req.params.id,
+        target,
+        userId: req.user.id,
+        note: req.body.note,
+      }, client));
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: persona.company_id,
+        action: audit.ACTIONS.PERSONA_ROLLBACK,
+        entityType: 'persona',
+        entityId: req.params.id,
+        oldValues: persona,
+        newValues: result.persona,
+        metadata: { restoredFrom: versionNumber, version: result.version.version },
+        req,
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Rollback persona error:', error);
+      res.status(500).json({ error: 'Failed to roll back persona' });
+    }
+  }
+);
+
+/**
+ * GET /api/personas/:id/rubric/suggestion
+ * Grading rubric generated from the persona's personality vectors (not saved)
+ */
+router.get('/:id/rubric/suggestion', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    if (!persona.personality_vectors || Object.keys(persona.personality_vectors).length === 0) {
+      return res.status(400).json({ error: 'Persona has no personality vectors to build a rubric from' });
+    }
+
+    res.json({ rubric: rubrics.generateRubric(persona.personality_vectors, { name: persona.name }) });
+  } catch (error) {
+    console.error('Suggest rubric error:', error);
+    res.status(500).json({ error: 'Failed to suggest rubric' });
+  }
+});
+
+const goldenTranscriptRules = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+  return [
+    field('name').trim().isLength({ min: 1, max: 255 }),
+    field('messages').custom((messages) => {
+      const errors = calibration.validateMessages(messages);
+      if (errors.length) throw new Error(errors.join('; '));
+      return true;
+    }),
+    field('expectedMin').isInt({ min: 0, max: 100 }).toInt(),
+    field('expectedMax').isInt({ min: 0, max: 100 }).toInt(),
+    body('notes').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+    ...(isCreate ? [body('scenarioId').optional({ nullable: true }).isUUID()] : [body('isActive').optional().isBoolean().toBoolean()]),
+  ];
+};
+
+/**
+ * GET /api/personas/:id/golden-transcripts
+ * Golden transcripts the persona's grader is calibrated against
+ */
+router.get('/:id/golden-transcripts', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    const transcripts = await calibration.listGoldenTranscripts(req.params.id);
+    res.json({ transcripts });
+  } catch (error) {
+    console.error('List golden transcripts error:', error);
+    res.status(500).json({ error: 'Failed to get golden transcripts' });
+  }
+});
+
+/**
+ * POST /api/personas/:id/golden-transcripts
+ * Add a conversation with the score band a calibrated grader should give it
+ */
+router.post(
+  '/:id/golden-transcripts',
+  validateUUIDParams('id'),
+  requireAdminAccess,
+  goldenTranscriptRules(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const bandErrors = calibration.validateBand(req.body.expectedMin, req.body.expectedMax);
+      if (bandErrors.length) {
+        return res.status(400).json({ error: 'Invalid score band', details: bandErrors });
+      }
+
+      const persona = await findAccessiblePersona(req, res);
+      if (!persona) return;
+
+      const transcript = await calibration.createGoldenTranscript(req.params.id, req.body, req.user.id);
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: persona.company_id,
+        action: audit.ACTIONS.GOLDEN_TRANSCRIPT_CREATE,
+        entityType: 'persona',
+        entityId: req.params.id,
+        newValues: transcript,
+        req,
+      });
+
+      res.status(201).json(transcript);
+    } catch (error) {
+      console.error('Create golden transcript error:', error);
+      res.status(500).json({ error: 'Failed to create golden transcript' });
+    }
+  }
+);
+
+/**
+ * PUT /api/personas/:id/golden-transcripts/:transcriptId
+ * Update a golden transcript
+ */
+router.put(
+  '/:id/golden-transcripts/:transcriptId',
+  validateUUIDParams('id', 'transcriptId'),
+  requireAdminAccess,
+  goldenTranscriptRules(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const persona = await findAccessiblePersona(req, res);
+      if (!persona) return;
+
+      const existing = await calibration.getGoldenTranscript(req.params.id, req.params.transcriptId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Golden transcript not found' });
+      }
+
+      const bandErrors = calibration.validateBand(
+        req.body.expectedMin ?? existing.expected_min,
+        req.body.expectedMax ?? existing.expected_max
+      );
+      if (bandErrors.length) {
+        return res.status(400).json({ error: 'Invalid score band', details: bandErrors });
+      }
+
+      const transcript = await calibration.updateGoldenTranscript(req.params.transcriptId, req.body);
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: persona.company_id,
+        action: audit.ACTIONS.GOLDEN_TRANSCRIPT_UPDATE,
+        entityType: 'persona',
+        entityId: req.params.id,
+        oldValues: existing,
+        newValues: transcript,
+        req,
+      });
+
+      res.json(transcript);
+    } catch (error) {
+      console.error('Update golden transcript error:', error);
+      res.status(500).json({ error: 'Failed to update golden transcript' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/personas/:id/golden-transcripts/:transcriptId
+ * Delete a golden transcript
+ */
+router.delete(
+  '/:id/golden-transcripts/:transcriptId',
+  validateUUIDParams('id', 'transcriptId'),
+  requireAdminAccess,
+  async (req, res) => {
+    try {
+      const persona = await findAccessiblePersona(req, res);
+      if (!persona) return;
+
+      const existing = await calibration.getGoldenTranscript(req.params.id, req.params.transcriptId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Golden transcript not found' });
+      }
+
+      await calibration.deleteGoldenTranscript(req.params.transcriptId);
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: persona.company_id,
+        action: audit.ACTIONS.GOLDEN_TRANSCRIPT_DELETE,
+        entityType: 'persona',
+        entityId: req.params.id,
+        oldValues: existing,
+        req,
+      });
+
+      res.json({ success: true, message: 'Golden transcript deleted' });
+    } catch (error) {
+      console.error('Delete golden transcript error:', error);
+      res.status(500).json({ error: 'Failed to delete golden transcript' });
+    }
+  }
+);
+
+/**
+ * GET /api/personas/:id/calibration-runs
+ * Calibration history (bias, agreement and drift per run), newest first
+ */
+router.get('/:id/calibration-runs', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const persona = await findAccessiblePersona(req, res);
+    if (!persona) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await calibration.listRuns(req.params.id, { limit });
+    res.json({ runs });
+  } catch (error) {
+    console.error('List calibration runs error:', error);
+    res.status(500).json({ error: 'Failed to get calibration runs' });
+  }
+});
+
+/**
+ * POST /api/personas/:id/calibration-runs
+ * Grade the persona's golden transcripts with the company's LLM and record the run
+ */
+router.post(
+  '/:id/calibration-runs',
+  validateUUIDParams('id'),
+  requireAdminAccess,
+  llmLimiter,
+  [body('tolerance').optional().isObject()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const persona = await findAccessiblePersona(req, res);
+      if (!persona) return;
+
+      const llm = await getCompanyLLMConfig(persona.company_id || req.user.company_id);
+      const run = await calibration.calibratePersona(persona, {
+        tolerance: req.body.tolerance,
+        llm,
+        providers: describeProviders(llm).join(', '),
+        userId: req.user.id,
+      });
+      if (!run) {
+        return res.status(400).json({ error: 'Add golden transcripts before running a calibration' });
+      }
+
+      await audit.log({
+        userId: req.user.id,
+        companyId: persona.company_id,
+        action: audit.ACTIONS.CALIBRATION_RUN,
+        entityType: 'persona',
+        entityId: req.params.id,
+        metadata: { runId: run.id, passed: run.passed, failures: run.failures },
+        req,
+      });
+
+      res.status(201).json(run);
+    } catch (error) {
+      console.error('Calibration run error:', error);
+      res.status(500).json({ error: 'Failed to run calibration' });
+    }
+  }
+);
+
 /**
  * POST /api/personas/find-similar
- * Find personas similar to a description
+ * Find personas similar to the user.
+ * mode "llm" ranks a free-text description, "vector" ranks a VCPQ
+ * self-assessment by distance to each persona's personality_vectors,
+ * "hybrid" blends both scores.
  */
 router.post(
   '/find-similar',
   requireCompanyAccess,
-  [body('description').trim().isLength({ min: 10, max: 2000 })],
+  [
+    body('mode').optional().isIn(SEARCH_MODES),
+    body('description').optional({ checkFalsy: true }).trim().isLength({ min: 10, max: 2000 }),
+    body('responses').optional().isObject(),
+    body('vectorWeight').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -302,11 +820,26 @@ router.post(
         return res.status(400).json({ error: 'Company ID required' });
       }
 
-      const { description } = req.body;
+      const { mode = 'llm', description, responses, vectorWeight } = req.body;
+      const usesLLM = mode !== 'vector';
+      const usesVectors = mode !== 'llm';
+
+      if (usesLLM && !description) {
+        return res.status(400).json({ error: 'A description of at least 10 characters is required' });
+      }
+
+      let assessment = null;
+      if (usesVectors) {
+        const check = vectorService.validateResponses(responses || {});
+        if (!check.valid) {
+          return res.status(400).json({ error: 'Invalid VCPQ responses', details: check.errors });
+        }
+        assessment = vectorService.processVCPQResponses(responses);
+      }
 
       // Get company personas
       const personas = await query(
-        `SELECT id, name, tagline, summary
+        `SELECT id, name, tagline, summary, personality_vectors
          FROM personas
          WHERE company_id = $1 AND status = 'active'`,
         [companyId]
@@ -316,31 +849,43 @@ router.post(
         return res.status(404).json({ error: 'No personas found for this company' });
       }
 
-      // Find similar personas
-      const results = await findSimilarPersona(description, personas.rows);
+      // Rank personas
+      const vectorResults = usesVectors
+        ? matching.rankPersonasByVectors(assessment.meta_vectors, personas.rows)
+        : [];
+
+      let llmResults = [];
+      if (usesLLM) {
+        const llm = await getCompanyLLMConfig(companyId);
+        llmResults = await findSimilarPersona(description, personas.rows, { llm });
+      }
+
+      const results = mode === 'vector' ? vectorResults
+        : mode === 'hybrid' ? matching.blendRankings(vectorResults, llmResults, vectorWeight)
+          : llmResults;
 
       // Save search
-      await query(
-        `INSERT INTO similarity_searches (company_id, user_id, description, results)
-         VALUES ($1, $2, $3, $4)`,
-        [companyId, req.user.id, description, JSON.stringify(results)]
+      const search = await query(
+        `INSERT INTO similarity_searches (company_id, user_id, description, results, mode, user_vectors)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, created_at`,
+        [
+          companyId,
+          req.user.id,
+          description || null,
+          JSON.stringify(results),
+          mode,
+          assessment ? JSON.stringify(assessment.meta_vectors) : null,
+        ]
       );
 
-      // Enrich results with full persona data
-      const enrichedResults = results.map(r => {
-        const persona = personas.rows.find(p => p.id === r.persona_id);
-        return {
-          ...r,
-          persona: persona ? {
-            id: persona.id,
-            name: persona.name,
-            tagline: persona.tagline,
-            summary: persona.summary,
-          } : null,
-        };
+      res.json({
+        search_id: search.rows[0]?.id,
+        mode,
+        user_vectors: assessment?.meta_vectors || null,
+        user_profile: assessment?.profile || null,
+        results: enrichSearchResults(results, personas.rows),
       });
-
-      res.json({ results: enrichedResults });
     } catch (error) {
       console.error('Find similar error:', error);
       res.status(500).json({ error: 'Failed to find similar personas' });
@@ -350,7 +895,7 @@ router.post(
 
 /**
  * DELETE /api/personas/:id
- * Delete persona
+ * Archive persona (kept, with its version history and conversations)
  */
 router.delete('/:id', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
@@ -364,7 +909,22 @@ router.delete('/:id', validateUUIDParams('id'), requireAdminAccess, async (req,
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    await query('DELETE FROM personas WHERE id = $1', [req.params.id]);
+    if (persona.rows[0].status === 'archived') {
+      return res.json({ message: 'Persona archived' });
+    }
+
+    const archived = await transaction(async (client) => {
+      const updated = await client.query(
+        'UPDATE personas SET status = $2 WHERE id = $1 RETURNING *',
+        [req.params.id, 'archived']
+      );
+      await personaVersions.recordVersion({
+        persona: updated.rows[0],
+        changeType: 'archive',
+        userId: req.user.id,
+      }, client);
+      return updated.rows[0];
+    });
 
     await audit.log({
       userId: req.user.id,
@@ -373,10 +933,11 @@ router.delete('/:id', validateUUIDParams('id'), requireAdminAccess, async (req,
       entityType: 'persona',
       entityId: req.params.id,
       oldValues: persona.rows[0],
+      newValues: archived,
       req,
     });
 
-    res.json({ message: 'Persona deleted' });
+    res.json({ message: 'Persona archived' });
   } catch (error) {
     console.error('Delete persona error:', error);
     res.status(500).json({ error: 'Failed to delete persona' });
@@ -445,10 +1006,10 @@ router.post('/:id/conversations', validateUUIDParams('id'), async (req, res) =>
     const title = req.body.title || `Conversation with ${persona.rows[0].name}`;
 
     const result = await query(
-      `INSERT INTO conversations (persona_id, user_id, title)
-       VALUES ($1, $2, $3)
+      `INSERT INTO conversations (persona_id, user_id, title, persona_version)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [req.params.id, req.user.id, title]
+      [req.params.id, req.user.id, title, persona.rows[0].current_version || 1]
     );
 
     await audit.log({
@@ -457,7 +1018,7 @@ router.post('/:id/conversations', validateUUIDParams('id'), async (req, res) =>
       action: audit.ACTIONS.CONVERSATION_START,
       entityType: 'conversation',
       entityId: result.rows[0].id,
-      metadata: { personaId: req.params.id },
+      metadata: { personaId: req.params.id, personaVersion: result.rows[0].persona_version },
       req,
     });
 
@@ -515,6 +1076,83 @@ router.get('/conversations/:conversationId', validateUUIDParams('conversationId'
   }
 });
 
+/**
+ * Load a conversation with its persona for the message routes.
+ * Sends the 404/403 response itself and returns null when the caller may not post.
+ */
+const loadConversationForMessage = async (req, res) => {
+  const conversation = await query(
+    `SELECT c.*, p.*, p.id as persona_id
+     FROM conversations c
+     JOIN personas p ON c.persona_id = p.id
+     WHERE c.id = $1`,
+    [req.params.conversationId]
+  );
+
+  if (!conversation.rows[0]) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  const conv = conversation.rows[0];
+
+  // Verify ownership
+  if (conv.user_id !== req.user.id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return conv;
+};
+
+/**
+ * Save the user message and return the full history plus the persona to answer with
+ */
+const prepareReply = async (conv, conversationId, content) => {
+  // Save user message
+  await query(
+    `INSERT INTO messages (conversation_id, role, content)
+     VALUES ($1, 'user', $2)`,
+    [conversationId, content]
+  );
+
+  // Get conversation history
+  const history = await query(
+    'SELECT role, content FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
+    [conversationId]
+  );
+
+  const persona = {
+    name: conv.name,
+    tagline: conv.tagline,
+    summary: conv.summary,
+    extended_profile: conv.extended_profile,
+    system_prompt: conv.system_prompt,
+  };
+
+  return { history: history.rows, persona };
+};
+
+/**
+ * Persist the assistant reply and bump the conversation timestamp
+ */
+const saveAssistantMessage = async (conversationId, content, tokens) => {
+  const assistantMsg = await query(
+    `INSERT INTO messages (conversation_id, role, content, tokens_used)
+     VALUES ($1, 'assistant', $2, $3)
+     RETURNING *`,
+    [conversationId, content, tokens]
+  );
+
+  // Update conversation timestamp
+  await query(
+    'UPDATE conversations SET last_message_at = NOW() WHERE id = $1',
+    [conversationId]
+  );
+
+  return assistantMsg.rows[0];
+};
+
 /**
  * POST /api/personas/conversations/:conversationId/messages
  * Send a message in a conversation
@@ -531,73 +1169,100 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Get conversation with persona
-      const conversation = await query(
-        `SELECT c.*, p.*, p.id as persona_id
-         FROM conversations c
-         JOIN personas p ON c.persona_id = p.id
-         WHERE c.id = $1`,
-        [req.params.conversationId]
-      );
+      const conv = await loadConversationForMessage(req, res);
+      if (!conv) return;
 
-      if (!conversation.rows[0]) {
-        return res.status(404).json({ error: 'Conversation not found' });
-      }
+      const { history, persona } = await prepareReply(conv, req.params.conversationId, req.body.content);
 
-      const conv = conversation.rows[0];
+      // Generate response
+      const llm = await getCompanyLLMConfig(conv.company_id || req.user.company_id);
+      const response = await chatWithPersona(persona, history, { llm });
 
-      // Verify ownership
-      if (conv.user_id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
+      const message = await saveAssistantMessage(req.params.conversationId, response.content, response.tokens);
+
+      res.json({
+        message,
+        tokens: response.tokens,
+      });
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  }
+);
+
+/**
+ * POST /api/personas/conversations/:conversationId/messages/stream
+ * Send a message and stream the reply as server-sent events:
+ * `token` ({ content }) per delta, then `done` ({ message, tokens, aborted }) or `error`.
+ * If the client disconnects mid-stream the partial reply is still saved.
+ */
+router.post(
+  '/conversations/:conversationId/messages/stream',
+  validateUUIDParams('conversationId'),
+  llmLimiter,
+  [body('content').trim().isLength({ min: 1, max: 5000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      const { content } = req.body;
+      const conv = await loadConversationForMessage(req, res);
+      if (!conv) return;
 
-      // Save user message
-      await query(
-        `INSERT INTO messages (conversation_id, role, content)
-         VALUES ($1, 'user', $2)`,
-        [req.params.conversationId, content]
-      );
+      const { history, persona } = await prepareReply(conv, req.params.conversationId, req.body.content);
+      const llm = await getCompanyLLMConfig(conv.company_id || req.user.company_id);
 
-      // Get conversation history
-      const history = await query(
-        'SELECT role, content FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
-        [req.params.conversationId]
-      );
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
 
-      // Generate response
-      const persona = {
-        name: conv.name,
-        tagline: conv.tagline,
-        summary: conv.summary,
-        extended_profile: conv.extended_profile,
-        system_prompt: conv.system_prompt,
+      const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers output unless flushed
+        if (res.flush) res.flush();
       };
 
-      const response = await chatWithPersona(persona, history.rows);
+      // Stop generating when the client goes away
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
 
-      // Save assistant message
-      const assistantMsg = await query(
-        `INSERT INTO messages (conversation_id, role, content, tokens_used)
-         VALUES ($1, 'assistant', $2, $3)
-         RETURNING *`,
-        [req.params.conversationId, response.content, response.tokens]
-      );
+      let response;
+      try {
+        response = await streamChatWithPersona(
+          persona,
+          history,
+          (content) => sendEvent('token', { content }),
+          { llm, signal: controller.signal }
+        );
+      } catch (error) {
+        console.error('Stream message error:', error);
+        sendEvent('error', { error: 'Failed to generate response' });
+        return res.end();
+      }
 
-      // Update conversation timestamp
-      await query(
-        'UPDATE conversations SET last_message_at = NOW() WHERE id = $1',
-        [req.params.conversationId]
-      );
+      const aborted = response.aborted || controller.signal.aborted;
+      let message = null;
+      if (response.content) {
+        message = await saveAssistantMessage(req.params.conversationId, response.content, response.tokens);
+      }
 
-      res.json({
-        message: assistantMsg.rows[0],
-        tokens: response.tokens,
-      });
+      sendEvent('done', { message, tokens: response.tokens, aborted });
+      res.end();
     } catch (error) {
-      console.error('Send message error:', error);
-      res.status(500).json({ error: 'Failed to send message' });
+      console.error('Stream message error:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to send message' });
+      }
+      res.end();
     }
   }
 );
@@ -688,6 +1353,20 @@ router.delete('/conversations/:conversationId', validateUUIDParams('conversation
 
     await query('DELETE FROM conversations WHERE id = $1', [req.params.conversationId]);
 
+    await audit.log({
+      userId: req.user.id,
+      companyId: conversation.rows[0].company_id,
+      action: audit.ACTIONS.CONVERSATION_DELETE,
+      entityType: 'conversation',
+      entityId: req.params.conversationId,
+      oldValues: {
+        persona_id: conversation.rows[0].persona_id,
+        user_id: conversation.rows[0].user_id,
+        title: conversation.rows[0].title,
+      },
+      req,
+    });
+
     res.json({ message: 'Conversation deleted' });
   } catch (error) {
     console.error('Delete conversation error:', error);
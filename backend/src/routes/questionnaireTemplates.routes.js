@@ -0,0 +1,182 @@
+const express = require('express');
+const { requireAdminAccess } = require('../middleware/auth');
+const { validateUUIDParams, isValidUUID } = require('../middleware/security');
+const instruments = require('../services/instrument.service');
+const audit = require('../services/audit.service');
+
+// Mounted by questionnaires.routes under /templates, behind authenticate
+const router = express.Router();
+
+// Company whose instruments are listed or created (super admins pass companyId,
+// and create shared instruments without one)
+const targetCompanyId = (req) => (
+  req.user.role === 'super_admin'
+    ? req.query.companyId || req.body.companyId || null
+    : req.user.company_id
+);
+
+// Load a template the user's company can see; shared templates are visible to all
+const findVisibleTemplate = async (req, res) => {
+  const template = await instruments.getTemplate(req.params.templateId);
+  if (!template) {
+    res.status(404).json({ error: 'Template not found' });
+    return null;
+  }
+  if (req.user.role !== 'super_admin' && template.company_id !== null && template.company_id !== req.user.company_id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return template;
+};
+
+// Load a template the user may change: their company's, or any for super admins
+const findEditableTemplate = async (req, res) => {
+  const template = await findVisibleTemplate(req, res);
+  if (!template) return null;
+  if (req.user.role !== 'super_admin' && template.company_id === null) {
+    res.status(403).json({ error: 'Shared templates can only be changed by a super admin' });
+    return null;
+  }
+  return template;
+};
+
+/**
+ * GET /api/questionnaires/templates
+ * List the built-in VCPQ and the instruments the company can use
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await instruments.listTemplates(targetCompanyId(req));
+    res.json({
+      templates: [instruments.getBuiltInTemplate(), ...templates]
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+/**
+ * GET /api/questionnaires/templates/:templateId
+ * Get an instrument with its version history ('vcpq' for the built-in one)
+ */
+router.get('/:templateId', async (req, res) => {
+  try {
+    if (req.params.templateId === instruments.BUILT_IN_ID) {
+      return res.json({ template: instruments.getBuiltInTemplate(), versions: [] });
+    }
+    if (!isValidUUID(req.params.templateId)) {
+      return res.status(400).json({ error: 'Invalid templateId format' });
+    }
+
+    const template = await findVisibleTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      template,
+      versions: await instruments.listVersions(template.id)
+    });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+/**
+ * POST /api/questionnaires/templates
+ * Create an instrument at version 1 (admin only)
+ */
+router.post('/', requireAdminAccess, async (req, res) => {
+  try {
+    const invalid = instruments.validateInstrument(req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: invalid });
+    }
+
+    const companyId = targetCompanyId(req);
+    const template = await instruments.createTemplate(companyId, req.body, req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId,
+      action: audit.ACTIONS.TEMPLATE_CREATE,
+      entityType: 'questionnaire_template',
+      entityId: template.id,
+      newValues: template,
+      req,
+    });
+
+    res.status(201).json({ template });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+/**
+ * PUT /api/questionnaires/templates/:templateId
+ * Update an instrument (admin only). Changing its items creates a new version.
+ */
+router.put('/:templateId', validateUUIDParams('templateId'), requireAdminAccess, async (req, res) => {
+  try {
+    const invalid = instruments.validateInstrument(req.body, { isCreate: false });
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: invalid });
+    }
+
+    const existing = await findEditableTemplate(req, res);
+    if (!existing) return;
+    if (!existing.is_active) {
+      return res.status(400).json({ error: 'Template has been retired' });
+    }
+
+    const { template, versioned } = await instruments.updateTemplate(existing, req.body, req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: existing.company_id,
+      action: audit.ACTIONS.TEMPLATE_UPDATE,
+      entityType: 'questionnaire_template',
+      entityId: existing.id,
+      oldValues: existing,
+      newValues: template,
+      metadata: { versioned, version: template.version },
+      req,
+    });
+
+    res.json({ template, versioned });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+/**
+ * DELETE /api/questionnaires/templates/:templateId
+ * Retire an instrument (admin only). Questionnaires created from it keep being scored.
+ */
+router.delete('/:templateId', validateUUIDParams('templateId'), requireAdminAccess, async (req, res) => {
+  try {
+    const existing = await findEditableTemplate(req, res);
+    if (!existing) return;
+
+    await instruments.deactivateTemplate(existing.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: existing.company_id,
+      action: audit.ACTIONS.TEMPLATE_DELETE,
+      entityType: 'questionnaire_template',
+      entityId: existing.id,
+      oldValues: existing,
+      req,
+    });
+
+    res.json({ message: 'Template retired' });
+  } catch (error) {
+    console.error('Error retiring template:', error);
+    res.status(500).json({ error: 'Failed to retire template' });
+  }
+});
+
+module.exports = router;
@@ -1,64 +1,126 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const { query } = require('../config/database');
-const vcpqService = require('../services/vcpq.service');
-const vectorService = require('../services/vector.service');
+const { query, transaction } = require('../config/database');
 const promptCompiler = require('../services/promptCompiler.service');
-const { questionnaireLimiter } = require('../middleware/security');
-
-// Get questionnaire templates (including VCPQ)
-router.get('/templates', async (req, res) => {
-  try {
-    const vcpqQuestions = vcpqService.getVCPQQuestions();
-    const templates = [
-      {
-        id: 'vcpq',
-        name: 'VCPQ - Persona Assessment',
-        description: 'Vectorizable Corporate Persona Questionnaire - 28 questions across 4 modules (Cognition, Communication, Hierarchy, Operational) to generate accurate AI personas.',
-        question_count: 28,
-        modules: ['Cognition (8)', 'Communication (8)', 'Hierarchy (6)', 'Operational (6)'],
-        questions: vcpqQuestions,
-        is_default: true
-      }
-    ];
-    res.json({ templates });
-  } catch (error) {
-    console.error('Error fetching templates:', error);
-    res.status(500).json({ error: 'Failed to fetch templates' });
+const clusteringService = require('../services/clustering.service');
+const generation = require('../services/personaGeneration.service');
+const generationJobs = require('../services/generationJob.service');
+const personaVersions = require('../services/personaVersion.service');
+const companyLexicons = require('../services/companyLexicon.service');
+const customQuestionService = require('../services/customQuestion.service');
+const instruments = require('../services/instrument.service');
+const vectorService = require('../services/vector.service');
+const responseQuality = require('../services/responseQuality.service');
+const campaigns = require('../services/campaign.service');
+const templatesRoutes = require('./questionnaireTemplates.routes');
+const audit = require('../services/audit.service');
+const { authenticate, requireCompanyAccess, requireAdminAccess } = require('../middleware/auth');
+const { questionnaireLimiter, validateUUIDParams, isValidUUID } = require('../middleware/security');
+
+// How often the job events stream checks for progress
+const JOB_EVENTS_INTERVAL_MS = 1000;
+
+// Load a questionnaire the user's company owns (super admins see every company's)
+const findCompanyQuestionnaire = async (req, res) => {
+  const result = await query('SELECT * FROM questionnaires WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Questionnaire not found' });
+    return null;
   }
+  if (req.user.role !== 'super_admin' && result.rows[0].company_id !== req.user.company_id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+const isAdmin = (user) => user.role === 'super_admin' || user.role === 'company_admin';
+
+const invalidDeliveryMode = (res) => res.status(400).json({
+  error: 'Invalid delivery mode',
+  details: [`deliveryMode must be one of: ${vectorService.DELIVERY_MODES.join(', ')}`]
 });
 
-// Get questionnaire by access code (public endpoint)
+// Load an active questionnaire by its public access code (past ends_at counts
+// as closed even before the campaign scheduler gets to it)
+const findByAccessCode = async (code) => {
+  const result = await query(
+    `SELECT * FROM questionnaires WHERE access_code = $1 AND status = 'active'
+     AND (ends_at IS NULL OR ends_at > NOW())`,
+    [code]
+  );
+  return result.rows[0] || null;
+};
+
+const hasEnded = (questionnaire) => Boolean(questionnaire.ends_at) && new Date(questionnaire.ends_at) <= new Date();
+
+// Validate endsAt/reminderHours from a create or update body into column values
+const parseSchedule = (body) => {
+  const errors = [];
+  const schedule = {};
+  if (body.endsAt !== undefined) {
+    schedule.ends_at = body.endsAt === null ? null : new Date(body.endsAt);
+    if (schedule.ends_at && Number.isNaN(schedule.ends_at.getTime())) errors.push('endsAt must be a date');
+  }
+  if (body.reminderHours !== undefined) {
+    const { hours, errors: invalid } = campaigns.normalizeReminderHours(body.reminderHours);
+    schedule.reminder_hours = hours;
+    errors.push(...invalid);
+  }
+  return { schedule, errors };
+};
+
+// The instrument items among submitted answers
+const instrumentScores = (answers, instrument) => Object.fromEntries(
+  Object.keys(instrument.meta)
+    .filter(key => answers?.[key] !== undefined && answers?.[key] !== null)
+    .map(key => [key, answers[key]])
+);
+
+// Questionnaire instruments (built-in VCPQ plus company templates)
+router.use('/templates', authenticate, templatesRoutes);
+
+// Get questionnaire by access code (public endpoint). Short-form questionnaires
+// only send the short-form items; adaptive ones send every item and ask
+// /access/:code/next-items which follow-ups to show.
+// A campaign link adds ?r=<recipient token>, which records the open.
 router.get('/access/:code', async (req, res) => {
   try {
-    const { code } = req.params;
-    const questionnaire = await query(
-      `SELECT * FROM questionnaires WHERE access_code = $1 AND status = 'active'`,
-      [code]
-    );
-    if (questionnaire.rows.length === 0) {
+    const q = await findByAccessCode(req.params.code);
+    if (!q) {
       return res.status(404).json({ error: 'Questionnaire not found or inactive' });
     }
-    const q = questionnaire.rows[0];
-
-    // Build VCPQ questions
-    let questions = [];
-    if (!q.template_id) {
-      const vcpqQuestions = vcpqService.getVCPQQuestions();
-      questions = vcpqQuestions.map(vq => ({
-        id: vq.id,
-        question: vq.question,
+    const deliveryMode = q.delivery_mode || 'full';
+
+    let recipient = null;
+    if (req.query.r) {
+      const found = await campaigns.findRecipient(q.id, req.query.r);
+      if (found) {
+        if (found.status !== 'completed') await campaigns.recordProgress(q, req.query.r, 'opened');
+        // Anonymous questionnaires do not greet recipients by name
+        recipient = { name: q.is_anonymous ? null : found.name, completed: found.status === 'completed' };
+      }
+    }
+
+    // Build the instrument's questions
+    const instrument = await instruments.loadInstrument(q);
+    let questions = instruments.getInstrumentQuestions(instrument)
+      .filter(item => deliveryMode !== 'short' || item.short_form)
+      .map(item => ({
+        id: item.id,
+        question: item.question,
         type: 'likert',
-        required: true,
-        options: vq.scale.labels,
-        category: vq.module
+        required: deliveryMode !== 'adaptive' || item.short_form === true,
+        short_form: item.short_form === true,
+        options: item.scale.labels,
+        category: item.module || instrument.name
       }));
-    }
 
-    // Add custom questions
-    const customQuestions = typeof q.custom_questions === 'string'
-      ? JSON.parse(q.custom_questions) : (q.custom_questions || []);
+    // Add custom questions (vector mappings stay private)
+    const customQuestions = customQuestionService.toPublicQuestions(
+      customQuestionService.parseCustomQuestions(q.custom_questions)
+    );
     questions = [...questions, ...customQuestions];
 
     res.json({
@@ -66,6 +128,9 @@ router.get('/access/:code', async (req, res) => {
       name: q.name,
       description: q.description,
       is_anonymous: q.is_anonymous,
+      delivery_mode: deliveryMode,
+      ends_at: q.ends_at,
+      recipient,
       questions: questions,
       status: q.status
     });
@@ -75,10 +140,42 @@ router.get('/access/:code', async (req, res) => {
   }
 });
 
-// Get all questionnaires
-router.get('/', async (req, res) => {
+// Adaptive delivery: the instrument items still to ask given the answers so far (public endpoint)
+router.post('/access/:code/next-items', questionnaireLimiter, async (req, res) => {
+  try {
+    const q = await findByAccessCode(req.params.code);
+    if (!q) {
+      return res.status(404).json({ error: 'Questionnaire not found or inactive' });
+    }
+    const instrument = await instruments.loadInstrument(q);
+    const next = vectorService.getAdaptiveNextItems(instrumentScores(req.body.answers, instrument), instrument.meta);
+    res.json({ next, complete: next.length === 0 });
+  } catch (error) {
+    console.error('Error finding next items:', error);
+    res.status(500).json({ error: 'Failed to find next questions' });
+  }
+});
+
+// A campaign recipient answered their first question (public endpoint)
+router.post('/access/:code/started', questionnaireLimiter, async (req, res) => {
   try {
-    const { companyId, status } = req.query;
+    const q = await findByAccessCode(req.params.code);
+    if (!q) return res.status(404).json({ error: 'Questionnaire not found or inactive' });
+    const recipient = await campaigns.findRecipient(q.id, req.body.recipientToken);
+    if (!recipient) return res.status(404).json({ error: 'Recipient not found' });
+    const updated = await campaigns.recordProgress(q, req.body.recipientToken, 'started');
+    res.json({ status: (updated || recipient).status });
+  } catch (error) {
+    console.error('Error recording start:', error);
+    res.status(500).json({ error: 'Failed to record progress' });
+  }
+});
+
+// Get the company's questionnaires (super admins may pass companyId, or omit it to list all)
+router.get('/', authenticate, requireCompanyAccess, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const companyId = req.user.role === 'super_admin' ? req.query.companyId : req.user.company_id;
     let sql = 'SELECT * FROM questionnaires';
     const params = [];
     const conditions = [];
@@ -94,36 +191,43 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single questionnaire with responses
-router.get('/:id', async (req, res) => {
+// Get single questionnaire (raw responses are included for admins only)
+router.get('/:id', authenticate, validateUUIDParams('id'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const questionnaire = await query('SELECT * FROM questionnaires WHERE id = $1', [id]);
-    if (questionnaire.rows.length === 0) {
-      return res.status(404).json({ error: 'Questionnaire not found' });
+    const q = await findCompanyQuestionnaire(req, res);
+    if (!q) return;
+    const instrument = await instruments.loadInstrument(q);
+    const questions = instruments.getInstrumentQuestions(instrument);
+    const instrumentInfo = { id: instrument.id, name: instrument.name, version: instrument.version };
+    const customQuestions = customQuestionService.parseCustomQuestions(q.custom_questions);
+    if (!isAdmin(req.user)) {
+      const publicQuestions = customQuestionService.toPublicQuestions(customQuestions);
+      return res.json({ ...q, instrument: instrumentInfo, custom_questions: publicQuestions, questions: [...questions, ...publicQuestions] });
     }
+
     const responses = await query(
-      'SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1 ORDER BY created_at DESC', [id]
+      'SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1 ORDER BY created_at DESC', [q.id]
     );
-    const q = questionnaire.rows[0];
-    let questions = !q.template_id ? vcpqService.getVCPQQuestions() : [];
-    const customQuestions = typeof q.custom_questions === 'string'
-      ? JSON.parse(q.custom_questions) : (q.custom_questions || []);
-    res.json({ ...q, questions: [...questions, ...customQuestions], responses: responses.rows });
+    res.json({ ...q, instrument: instrumentInfo, questions: [...questions, ...customQuestions], responses: responses.rows });
   } catch (error) {
     console.error('Error fetching questionnaire:', error);
     res.status(500).json({ error: 'Failed to fetch questionnaire' });
   }
 });
 
-// Get responses for a questionnaire
-router.get('/:id/responses', async (req, res) => {
+// Get responses for a questionnaire (filter with processed and quality, e.g. ?quality=flagged)
+router.get('/:id/responses', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const { processed } = req.query;
+    if (!await findCompanyQuestionnaire(req, res)) return;
+    const { processed, quality } = req.query;
+    if (quality !== undefined && !responseQuality.QUALITY_STATUSES.includes(quality)) {
+      return res.status(400).json({ error: `quality must be one of: ${responseQuality.QUALITY_STATUSES.join(', ')}` });
+    }
     let sql = 'SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1';
     const params = [id];
-    if (processed !== undefined) { sql += ' AND processed = $2'; params.push(processed === 'true'); }
+    if (processed !== undefined) { params.push(processed === 'true'); sql += ` AND processed = $${params.length}`; }
+    if (quality !== undefined) { params.push(quality); sql += ` AND quality_status = $${params.length}`; }
     sql += ' ORDER BY created_at DESC';
     const result = await query(sql, params);
     res.json(result.rows);
@@ -133,16 +237,83 @@ router.get('/:id/responses', async (req, res) => {
   }
 });
 
-// Create new questionnaire
-router.post('/', async (req, res) => {
+// Approve or reject a screened response (approved ones are used for generation, rejected ones never)
+router.patch('/:id/responses/:responseId/quality', authenticate, validateUUIDParams('id', 'responseId'), requireAdminAccess, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['approved', 'rejected'].includes(status)) return res.status(400).json({ error: 'status must be approved or rejected' });
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+
+    const existing = await query(
+      'SELECT * FROM questionnaire_responses WHERE id = $1 AND questionnaire_id = $2', [req.params.responseId, questionnaire.id]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Response not found' });
+    if (existing.rows[0].processed) return res.status(400).json({ error: 'Response has already been used for generation' });
+
+    const response = await responseQuality.reviewResponse(req.params.responseId, status, req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.RESPONSE_REVIEW,
+      entityType: 'questionnaire_response',
+      entityId: response.id,
+      oldValues: { quality_status: existing.rows[0].quality_status },
+      newValues: { quality_status: response.quality_status },
+      metadata: { flags: (existing.rows[0].quality_flags || []).map(flag => flag.code) },
+      req,
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error reviewing response:', error);
+    res.status(500).json({ error: 'Failed to review response' });
+  }
+});
+
+// Create new questionnaire (super admins choose the company with companyId).
+// templateId picks the instrument: 'vcpq' or none for the built-in one, else a
+// template UUID, pinned to its current version
+router.post('/', authenticate, requireAdminAccess, async (req, res) => {
   try {
-    const { name, description, templateId, customQuestions, isAnonymous, companyId } = req.body;
+    const { name, description, templateId, customQuestions, isAnonymous, deliveryMode = 'full' } = req.body;
+    const companyId = req.user.role === 'super_admin' ? req.body.companyId : req.user.company_id;
+    if (!companyId) return res.status(400).json({ error: 'companyId is required' });
+    if (!vectorService.DELIVERY_MODES.includes(deliveryMode)) return invalidDeliveryMode(res);
+    const { schedule, errors: scheduleErrors } = parseSchedule(req.body);
+    if (scheduleErrors.length > 0) return res.status(400).json({ error: 'Invalid schedule', details: scheduleErrors });
+
+    let template = null;
+    if (templateId && templateId !== instruments.BUILT_IN_ID) {
+      if (!isValidUUID(templateId)) return res.status(400).json({ error: 'Invalid templateId format' });
+      template = await instruments.resolveTemplate(templateId, companyId);
+      if (!template) return res.status(400).json({ error: 'Template not found' });
+    }
+    const instrument = template ? instruments.toInstrument(template) : instruments.getBuiltInInstrument();
+
+    if (customQuestions !== undefined) {
+      const invalid = customQuestionService.validateCustomQuestions(customQuestions, instrument.meta);
+      if (invalid.length > 0) return res.status(400).json({ error: 'Invalid custom questions', details: invalid });
+    }
     const accessCode = crypto.randomBytes(4).toString('hex').toUpperCase();
     const result = await query(
-      `INSERT INTO questionnaires (name, description, template_id, custom_questions, is_anonymous, company_id, access_code, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'active') RETURNING *`,
-      [name, description || '', templateId === 'vcpq' ? null : null, JSON.stringify(customQuestions || []), isAnonymous || false, companyId, accessCode]
+      `INSERT INTO questionnaires (name, description, template_id, template_version, custom_questions, is_anonymous, company_id, access_code, status, delivery_mode, ends_at, reminder_hours)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', $9, $10, $11) RETURNING *`,
+      [name, description || '', template?.id || null, template?.version || null, JSON.stringify(customQuestions || []), isAnonymous || false, companyId, accessCode, deliveryMode,
+        schedule.ends_at || null, JSON.stringify(schedule.reminder_hours || [])]
     );
+
+    await audit.log({
+      userId: req.user.id,
+      companyId,
+      action: audit.ACTIONS.QUESTIONNAIRE_CREATE,
+      entityType: 'questionnaire',
+      entityId: result.rows[0].id,
+      newValues: result.rows[0],
+      req,
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error creating questionnaire:', error);
@@ -150,21 +321,56 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update questionnaire
-router.put('/:id', async (req, res) => {
+// Update questionnaire (the delivery mode is fixed once responses come in).
+// endsAt and reminderHours schedule the campaign reminders and the automatic close.
+router.put('/:id', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, status, customQuestions, isAnonymous } = req.body;
+    const existing = await findCompanyQuestionnaire(req, res);
+    if (!existing) return;
+    const { name, description, status, customQuestions, isAnonymous, deliveryMode } = req.body;
+    if (deliveryMode !== undefined && deliveryMode !== existing.delivery_mode) {
+      if (!vectorService.DELIVERY_MODES.includes(deliveryMode)) return invalidDeliveryMode(res);
+      if (existing.total_responses > 0) return res.status(400).json({ error: 'Delivery mode cannot change once responses exist' });
+    }
+    const { schedule, errors: scheduleErrors } = parseSchedule(req.body);
+    if (scheduleErrors.length > 0) return res.status(400).json({ error: 'Invalid schedule', details: scheduleErrors });
+    if (customQuestions !== undefined) {
+      const instrument = await instruments.loadInstrument(existing);
+      const invalid = customQuestionService.validateCustomQuestions(customQuestions, instrument.meta);
+      if (invalid.length > 0) return res.status(400).json({ error: 'Invalid custom questions', details: invalid });
+    }
     const updates = []; const values = []; let paramCount = 1;
     if (name !== undefined) { updates.push(`name = $${paramCount++}`); values.push(name); }
     if (description !== undefined) { updates.push(`description = $${paramCount++}`); values.push(description); }
-    if (status !== undefined) { updates.push(`status = $${paramCount++}`); values.push(status); }
+    if (status !== undefined) {
+      updates.push(`status = $${paramCount++}`); values.push(status);
+      if (status !== existing.status) updates.push(status === 'closed' ? 'closed_at = NOW()' : 'closed_at = NULL');
+    }
     if (customQuestions !== undefined) { updates.push(`custom_questions = $${paramCount++}`); values.push(JSON.stringify(customQuestions)); }
     if (isAnonymous !== undefined) { updates.push(`is_anonymous = $${paramCount++}`); values.push(isAnonymous); }
+    if (deliveryMode !== undefined) { updates.push(`delivery_mode = $${paramCount++}`); values.push(deliveryMode); }
+    if (schedule.ends_at !== undefined) { updates.push(`ends_at = $${paramCount++}`); values.push(schedule.ends_at); }
+    if (schedule.reminder_hours !== undefined) { updates.push(`reminder_hours = $${paramCount++}`); values.push(JSON.stringify(schedule.reminder_hours)); }
     if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
     values.push(id);
     const result = await query(`UPDATE questionnaires SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramCount} RETURNING *`, values);
     if (result.rows.length === 0) return res.status(404).json({ error: 'Questionnaire not found' });
+
+    const action = status === 'active' && existing.status !== 'active' ? audit.ACTIONS.QUESTIONNAIRE_PUBLISH
+      : status === 'closed' && existing.status !== 'closed' ? audit.ACTIONS.QUESTIONNAIRE_CLOSE
+        : audit.ACTIONS.QUESTIONNAIRE_UPDATE;
+    await audit.log({
+      userId: req.user.id,
+      companyId: existing.company_id,
+      action,
+      entityType: 'questionnaire',
+      entityId: id,
+      oldValues: existing,
+      newValues: result.rows[0],
+      req,
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error updating questionnaire:', error);
@@ -172,76 +378,224 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Submit questionnaire response (with rate limiting)
-router.post('/:id/responses', questionnaireLimiter, async (req, res) => {
+// Submit questionnaire response (public, with rate limiting). The response is
+// screened for quality; flagged ones are stored but left out of generation.
+// recipientToken (from a campaign link) marks the recipient completed; the
+// response is only linked to them when the questionnaire is not anonymous.
+router.post('/:id/responses', questionnaireLimiter, validateUUIDParams('id'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { answers, demographics, respondentInfo } = req.body;
+    const { answers = {}, demographics, respondentInfo, startedAt, recipientToken } = req.body;
     const questionnaire = await query('SELECT * FROM questionnaires WHERE id = $1', [id]);
     if (questionnaire.rows.length === 0) return res.status(404).json({ error: 'Questionnaire not found' });
-    if (questionnaire.rows[0].status !== 'active') return res.status(400).json({ error: 'Questionnaire is not accepting responses' });
+    if (questionnaire.rows[0].status !== 'active' || hasEnded(questionnaire.rows[0])) {
+      return res.status(400).json({ error: 'Questionnaire is not accepting responses' });
+    }
+    const isAnonymous = questionnaire.rows[0].is_anonymous;
+
+    let recipient = null;
+    if (recipientToken !== undefined) {
+      recipient = await campaigns.findRecipient(id, recipientToken);
+      if (!recipient) return res.status(400).json({ error: 'Invalid recipient link' });
+      if (recipient.status === 'completed') return res.status(400).json({ error: 'This link has already been used to respond' });
+    }
+
+    // Short and adaptive forms are partial by design, so check they asked what they had to
+    const instrument = await instruments.loadInstrument(questionnaire.rows[0]);
+    if (instrument.delivery_mode !== 'full') {
+      const validation = vectorService.validateResponses(instrumentScores(answers, instrument), instrument.meta, instrument.delivery_mode);
+      if (!validation.valid) return res.status(400).json({ error: 'Incomplete responses', details: validation.errors });
+    }
+
+    let respondent = demographics || respondentInfo || {};
+    if (recipient && !isAnonymous) {
+      respondent = { ...respondent, email: recipient.email, name: respondent.name || recipient.name || undefined };
+    }
+    const completedAt = new Date();
+    const started = responseQuality.parseStartedAt(startedAt, completedAt);
+    const fingerprint = responseQuality.fingerprintAnswers(answers);
+    const flags = responseQuality.screenResponse({ answers, instrument, startedAt: started, completedAt });
+    const duplicate = await responseQuality.findDuplicate(id, fingerprint, isAnonymous ? null : respondent.email);
+    if (duplicate) flags.push(duplicate);
 
     const result = await query(
-      `INSERT INTO questionnaire_responses (questionnaire_id, answers, demographics) VALUES ($1, $2, $3) RETURNING *`,
-      [id, JSON.stringify(answers), JSON.stringify(demographics || respondentInfo || {})]
+      `INSERT INTO questionnaire_responses
+       (questionnaire_id, answers, demographics, started_at, completed_at, fingerprint, quality_flags, quality_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [id, JSON.stringify(answers), JSON.stringify(respondent), started, completedAt, fingerprint,
+        JSON.stringify(flags), flags.length > 0 ? 'flagged' : 'ok']
     );
     await query('UPDATE questionnaires SET total_responses = total_responses + 1 WHERE id = $1', [id]);
-    res.status(201).json(result.rows[0]);
+    if (recipient) {
+      await campaigns.recordProgress(questionnaire.rows[0], recipientToken, 'completed', result.rows[0].id);
+    }
+
+    // Anonymous submissions are logged against the questionnaire, without the
+    // response id or the respondent's IP and user agent
+    await audit.log({
+      companyId: questionnaire.rows[0].company_id,
+      action: audit.ACTIONS.RESPONSE_SUBMIT,
+      ...(isAnonymous
+        ? { entityType: 'questionnaire', entityId: id }
+        : { entityType: 'questionnaire_response', entityId: result.rows[0].id, req }),
+    });
+
+    // Respondents are not told how their response was screened
+    const { quality_flags: _flags, quality_status: _status, fingerprint: _fingerprint, ...response } = result.rows[0];
+    res.status(201).json(response);
   } catch (error) {
     console.error('Error submitting response:', error);
     res.status(500).json({ error: 'Failed to submit response' });
   }
 });
 
+// Campaign recipients with their progress and the funnel totals
+router.get('/:id/recipients', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+    const recipients = await campaigns.listRecipients(questionnaire);
+    res.json({ recipients, stats: campaigns.summarizeRecipients(recipients) });
+  } catch (error) {
+    console.error('Error fetching recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch recipients' });
+  }
+});
+
+// Add campaign recipients: { recipients: [{ email, name }] }, { csv } (uploaded file
+// text) and/or { userIds } (company users). Emails already on the list are skipped.
+router.post('/:id/recipients', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+    const { recipients = [], csv, userIds = [] } = req.body;
+    if (!Array.isArray(recipients) || !Array.isArray(userIds)) return res.status(400).json({ error: 'recipients and userIds must be arrays' });
+    if (userIds.some(userId => !isValidUUID(userId))) return res.status(400).json({ error: 'Invalid userIds format' });
+
+    const uploaded = csv ? campaigns.parseRecipientCsv(csv) : { recipients: [], invalid: [] };
+    const users = userIds.length ? await campaigns.loadCompanyUsers(questionnaire.company_id, userIds) : { recipients: [], invalid: [] };
+    const normalized = campaigns.normalizeRecipients([...recipients, ...uploaded.recipients, ...users.recipients], users.recipients);
+    const invalid = [...normalized.invalid, ...uploaded.invalid, ...users.invalid];
+    if (invalid.length > 0) return res.status(400).json({ error: 'Invalid recipients', details: invalid });
+    if (normalized.recipients.length === 0) return res.status(400).json({ error: 'No recipients given' });
+    if (normalized.recipients.length > campaigns.MAX_RECIPIENTS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${campaigns.MAX_RECIPIENTS_PER_REQUEST} recipients per request` });
+    }
+
+    const added = await campaigns.addRecipients(questionnaire, normalized.recipients, req.user.id);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.RECIPIENTS_ADD,
+      entityType: 'questionnaire',
+      entityId: questionnaire.id,
+      metadata: { added: added.length, skipped: normalized.recipients.length - added.length },
+      req,
+    });
+
+    res.status(201).json({ added, skipped: normalized.recipients.length - added.length });
+  } catch (error) {
+    console.error('Error adding recipients:', error);
+    res.status(500).json({ error: 'Failed to add recipients' });
+  }
+});
+
+// Email recipients who have not been sent their link yet (optionally only recipientIds)
+router.post('/:id/recipients/send', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+    if (questionnaire.status !== 'active' || hasEnded(questionnaire)) return res.status(400).json({ error: 'Questionnaire is not accepting responses' });
+    const { recipientIds } = req.body;
+    if (recipientIds !== undefined && (!Array.isArray(recipientIds) || recipientIds.some(rid => !isValidUUID(rid)))) {
+      return res.status(400).json({ error: 'Invalid recipientIds format' });
+    }
+
+    const result = await campaigns.sendInvitations(questionnaire, recipientIds);
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.CAMPAIGN_SEND,
+      entityType: 'questionnaire',
+      entityId: questionnaire.id,
+      metadata: result,
+      req,
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending invitations:', error);
+    res.status(500).json({ error: 'Failed to send invitations' });
+  }
+});
+
+// Remove a recipient (a response they already submitted is kept)
+router.delete('/:id/recipients/:recipientId', authenticate, validateUUIDParams('id', 'recipientId'), requireAdminAccess, async (req, res) => {
+  try {
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+    if (!await campaigns.removeRecipient(questionnaire.id, req.params.recipientId)) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.RECIPIENT_REMOVE,
+      entityType: 'questionnaire',
+      entityId: questionnaire.id,
+      metadata: { recipientId: req.params.recipientId },
+      req,
+    });
+    res.json({ success: true, message: 'Recipient removed' });
+  } catch (error) {
+    console.error('Error removing recipient:', error);
+    res.status(500).json({ error: 'Failed to remove recipient' });
+  }
+});
+
+// Cluster confidence below which a dimension is reported as unreliable
+const LOW_CONFIDENCE = 0.5;
+
+// Clustering choices accepted by preview and generation
+const CLUSTERING_OPTION_KEYS = ['algorithm', 'kSelection', 'k', 'seed', 'linkage', 'eps', 'minPts'];
+
+const pickClusteringOptions = (body) => Object.fromEntries(
+  CLUSTERING_OPTION_KEYS.filter(key => body[key] !== undefined && body[key] !== null && body[key] !== '')
+    .map(key => [key, body[key]])
+);
+
 // Preview cluster analysis before generating personas
-router.post('/:id/preview-clusters', async (req, res) => {
+router.post('/:id/preview-clusters', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const { maxPersonas = 10 } = req.body;
+    const { maxPersonas = 10, includeFlagged = false } = req.body;
+    const clusteringOptions = pickClusteringOptions(req.body);
 
-    const questionnaire = await query('SELECT * FROM questionnaires WHERE id = $1', [id]);
-    if (questionnaire.rows.length === 0) return res.status(404).json({ error: 'Questionnaire not found' });
+    const invalid = clusteringService.validateClusteringOptions({ maxPersonas, ...clusteringOptions });
+    if (invalid.length > 0) return res.status(400).json({ error: 'Invalid clustering options', details: invalid });
 
-    const responses = await query(
-      `SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1 AND processed = false`, [id]
-    );
-    if (responses.rows.length === 0) return res.status(400).json({ error: 'No unprocessed responses found' });
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
 
-    // Process responses into vectors
-    const processedResponses = [];
-    for (const response of responses.rows) {
-      try {
-        const answers = typeof response.answers === 'string' ? JSON.parse(response.answers) : response.answers;
-        const demographics = typeof response.demographics === 'string' ? JSON.parse(response.demographics) : (response.demographics || {});
-
-        const vcpqScores = {};
-        for (const key of Object.keys(answers)) {
-          if (/^[A-D][1-8]$/.test(key)) {
-            vcpqScores[key] = parseInt(answers[key]) || 3;
-          }
-        }
+    const responses = await generation.loadUnprocessedResponses(id, { includeFlagged: includeFlagged === true });
+    if (responses.length === 0) return res.status(400).json({ error: 'No unprocessed responses found' });
 
-        if (Object.keys(vcpqScores).length < 6) continue;
-
-        const vectorResult = vectorService.processVCPQResponses(vcpqScores);
-        processedResponses.push({
-          id: response.id,
-          vcpqScores,
-          demographics,
-          vectorResult
-        });
-      } catch (err) {
-        console.error('Error processing response for preview:', response.id, err.message);
-      }
-    }
+    // Process responses into vectors against the questionnaire's instrument (mapped custom Likert items included)
+    const processedResponses = generation.processResponses(
+      responses,
+      customQuestionService.parseCustomQuestions(questionnaire.custom_questions),
+      await instruments.loadInstrument(questionnaire)
+    );
 
     if (processedResponses.length < 3) {
       return res.status(400).json({ error: 'Need at least 3 valid responses to preview clusters' });
     }
 
     // Run clustering
-    const clusteringService = require('../services/clustering.service');
-    const clusters = clusteringService.clusterResponses(processedResponses, { maxPersonas });
+    const { clusters, metrics } = clusteringService.runClustering(processedResponses, { maxPersonas, ...clusteringOptions });
 
     // Build preview data with dominant traits per cluster
     const clusterPreviews = clusters.map((cluster, index) => {
@@ -267,7 +621,11 @@ router.post('/:id/preview-clusters', async (req, res) => {
           common_role: aggregatedDemo.role || aggregatedDemo.job_title || 'Various',
           common_department: aggregatedDemo.department || 'Mixed'
         },
-        cohesion_score: cluster.avgDistance ? Math.round((1 - cluster.avgDistance / 2) * 100) / 100 : null
+        cohesion_score: cluster.avgDistance ? Math.round((1 - cluster.avgDistance / 2) * 100) / 100 : null,
+        // Dimensions the members answered too little or too inconsistently to rely on
+        low_confidence_traits: Object.entries(cluster.confidence || {})
+          .filter(([, value]) => value < LOW_CONFIDENCE)
+          .map(([key]) => key)
       };
     });
 
@@ -275,6 +633,7 @@ router.post('/:id/preview-clusters', async (req, res) => {
       total_responses: processedResponses.length,
       suggested_clusters: clusters.length,
       clusters: clusterPreviews,
+      metrics,
       recommendation: processedResponses.length < 10
         ? 'Consider collecting more responses for higher-fidelity personas'
         : processedResponses.length > 50
@@ -287,231 +646,284 @@ router.post('/:id/preview-clusters', async (req, res) => {
   }
 });
 
-// Generate personas from questionnaire responses using VCPQ + Clustering
-router.post('/:id/generate-personas', async (req, res) => {
-  const startTime = Date.now();
+// Queue persona generation (VCPQ + clustering) as a background job
+router.post('/:id/generate-personas', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const { maxPersonas = 10, domain: requestDomain, generateInsights = true } = req.body;
+    const {
+      maxPersonas = 10,
+      domain: requestDomain,
+      lexiconId,
+      generateInsights = true,
+      includeFlagged = false,
+      validate = true,
+      validationThreshold = generation.VALIDATION_THRESHOLD,
+      maxValidationAttempts = generation.MAX_VALIDATION_ATTEMPTS
+    } = req.body;
+    const clusteringOptions = pickClusteringOptions(req.body);
+
+    const invalid = clusteringService.validateClusteringOptions({ maxPersonas, ...clusteringOptions });
+    if (invalid.length > 0) return res.status(400).json({ error: 'Invalid clustering options', details: invalid });
+
+    if (typeof validationThreshold !== 'number' || validationThreshold < -1 || validationThreshold > 1) {
+      return res.status(400).json({ error: 'validationThreshold must be a number between -1 and 1' });
+    }
+    if (!Number.isInteger(maxValidationAttempts) || maxValidationAttempts < 1 || maxValidationAttempts > 5) {
+      return res.status(400).json({ error: 'maxValidationAttempts must be an integer between 1 and 5' });
+    }
 
-    const questionnaire = await query('SELECT * FROM questionnaires WHERE id = $1', [id]);
-    if (questionnaire.rows.length === 0) return res.status(404).json({ error: 'Questionnaire not found' });
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
 
-    const domain = requestDomain || questionnaire.rows[0].domain || 'general';
-    const companyId = questionnaire.rows[0].company_id;
+    // A custom lexicon must belong to the questionnaire's company; its base domain wins
+    let lexicon = null;
+    if (lexiconId) {
+      lexicon = isValidUUID(lexiconId)
+        ? await companyLexicons.resolveLexicon(lexiconId, questionnaire.company_id)
+        : null;
+      if (!lexicon) return res.status(400).json({ error: 'Lexicon not found' });
+    }
 
-    const responses = await query(
-      `SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1 AND processed = false`, [id]
+    // Flagged responses wait for review unless includeFlagged is set
+    const unprocessed = await query(
+      'SELECT COUNT(*) FROM questionnaire_responses WHERE questionnaire_id = $1 AND processed = false AND quality_status = ANY($2)',
+      [id, responseQuality.usableStatuses(includeFlagged === true)]
     );
-    if (responses.rows.length === 0) return res.status(400).json({ error: 'No unprocessed responses found' });
-
-    console.log(`[Clustering] Processing ${responses.rows.length} responses into max ${maxPersonas} personas`);
-
-    // Step 1: Process all responses into VCPQ vectors
-    const processedResponses = [];
-    for (const response of responses.rows) {
-      try {
-        const answers = typeof response.answers === 'string' ? JSON.parse(response.answers) : response.answers;
-        const demographics = typeof response.demographics === 'string' ? JSON.parse(response.demographics) : (response.demographics || {});
-
-        const vcpqScores = {};
-        for (const key of Object.keys(answers)) {
-          if (/^[A-D][1-8]$/.test(key)) {
-            vcpqScores[key] = parseInt(answers[key]) || 3;
-          }
-        }
+    if (parseInt(unprocessed.rows[0].count) === 0) return res.status(400).json({ error: 'No unprocessed responses found' });
+
+    const job = await generationJobs.enqueueGenerationJob({
+      questionnaire,
+      userId: req.user.id,
+      options: {
+        maxPersonas,
+        domain: lexicon?.base_domain || requestDomain || questionnaire.domain || 'general',
+        lexiconId: lexicon?.id || null,
+        lexiconName: lexicon?.name || null,
+        generateInsights,
+        includeFlagged: includeFlagged === true,
+        validation: {
+          enabled: validate !== false,
+          threshold: validationThreshold,
+          maxAttempts: maxValidationAttempts
+        },
+        ...clusteringOptions
+      }
+    });
+    if (!job) return res.status(409).json({ error: 'Persona generation is already in progress for this questionnaire' });
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.PERSONA_GENERATE,
+      entityType: 'questionnaire',
+      entityId: id,
+      metadata: { jobId: job.id, options: job.options },
+      req,
+    });
 
-        if (Object.keys(vcpqScores).length < 6) {
-          console.log('Response lacks VCPQ format, skipping:', response.id);
-          continue;
-        }
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Error queueing persona generation:', error);
+    res.status(500).json({ error: 'Failed to start persona generation' });
+  }
+});
 
-        const vectorResult = vectorService.processVCPQResponses(vcpqScores);
-        processedResponses.push({
-          id: response.id,
-          vcpqScores,
-          demographics,
-          vectorResult
-        });
-      } catch (err) {
-        console.error('Error processing response:', response.id, err.message);
-      }
-    }
+// Load a generation job that belongs to the questionnaire in the URL
+const findQuestionnaireJob = async (req, res) => {
+  if (!await findCompanyQuestionnaire(req, res)) return null;
+  const job = await generationJobs.getJob(req.params.jobId);
+  if (!job || job.questionnaire_id !== req.params.id) {
+    res.status(404).json({ error: 'Generation job not found' });
+    return null;
+  }
+  return job;
+};
 
-    if (processedResponses.length === 0) {
-      return res.status(400).json({ error: 'No valid VCPQ responses to process' });
-    }
+// List recent generation jobs
+router.get('/:id/generation-jobs', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+  try {
+    if (!await findCompanyQuestionnaire(req, res)) return;
+    const jobs = await generationJobs.listJobs(req.params.id, Math.min(parseInt(req.query.limit) || 10, 50));
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error listing generation jobs:', error);
+    res.status(500).json({ error: 'Failed to list generation jobs' });
+  }
+});
 
-    // Step 2: Cluster responses using k-means
-    const clusteringService = require('../services/clustering.service');
-    const clusters = clusteringService.clusterResponses(processedResponses, { maxPersonas });
+// Get a generation job with per-cluster progress (for polling)
+router.get('/:id/generation-jobs/:jobId', authenticate, validateUUIDParams('id', 'jobId'), requireAdminAccess, async (req, res) => {
+  try {
+    const job = await findQuestionnaireJob(req, res);
+    if (!job) return;
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({ error: 'Failed to fetch generation job' });
+  }
+});
 
-    console.log(`[Clustering] Created ${clusters.length} clusters from ${processedResponses.length} responses`);
+// Follow a generation job over server-sent events: "progress" on every change, "done" once finished
+router.get('/:id/generation-jobs/:jobId/events', authenticate, validateUUIDParams('id', 'jobId'), requireAdminAccess, async (req, res) => {
+  try {
+    let job = await findQuestionnaireJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
 
-    // Step 3: Generate one persona per cluster with extended insights
-    const generatedPersonas = [];
-    const perPersonaStats = [];
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers output unless flushed
+      if (res.flush) res.flush();
+    };
+
+    let lastSent = JSON.stringify(job);
+    sendEvent('progress', { job });
+    if (generationJobs.TERMINAL_STATUSES.includes(job.status)) {
+      sendEvent('done', { job });
+      return res.end();
+    }
 
-    for (const cluster of clusters) {
+    // The worker may run in another process, so follow the database
+    const timer = setInterval(async () => {
       try {
-        const centroidVectors = cluster.centroid;
-        const aggregatedDemo = clusteringService.aggregateDemographics(cluster.members);
-
-        // Average the VCPQ scores from cluster members
-        const avgScores = {};
-        const scoreKeys = Object.keys(cluster.members[0].vcpqScores);
-        for (const key of scoreKeys) {
-          const sum = cluster.members.reduce((acc, m) => acc + (m.vcpqScores[key] || 3), 0);
-          avgScores[key] = Math.round(sum / cluster.members.length);
+        job = await generationJobs.getJob(req.params.jobId);
+        const snapshot = JSON.stringify(job);
+        if (snapshot !== lastSent) {
+          lastSent = snapshot;
+          sendEvent('progress', { job });
         }
+        if (generationJobs.TERMINAL_STATUSES.includes(job.status)) {
+          clearInterval(timer);
+          sendEvent('done', { job });
+          res.end();
+        }
+      } catch (error) {
+        console.error('Error following generation job:', error);
+        clearInterval(timer);
+        sendEvent('error', { error: 'Failed to follow generation job' });
+        res.end();
+      }
+    }, JOB_EVENTS_INTERVAL_MS);
 
-        // Generate persona using averaged scores
-        const vcpqResult = await vcpqService.generateVCPQPersona(avgScores, aggregatedDemo, domain);
+    res.on('close', () => clearInterval(timer));
+  } catch (error) {
+    console.error('Error streaming generation job:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to follow generation job' });
+  }
+});
 
-        // Generate extended insights if requested
-        let insights = null;
-        if (generateInsights) {
-          insights = await vcpqService.generatePersonaInsights(centroidVectors, aggregatedDemo, domain);
-        }
+// Retry the failed clusters of a finished job (all of them, or body.clusterIds)
+router.post('/:id/generation-jobs/:jobId/retry', authenticate, validateUUIDParams('id', 'jobId'), requireAdminAccess, async (req, res) => {
+  try {
+    const job = await findQuestionnaireJob(req, res);
+    if (!job) return;
 
-        // Find vector extremes
-        const vectorEntries = Object.entries(centroidVectors);
-        const highest = vectorEntries.reduce((a, b) => b[1] > a[1] ? b : a);
-        const lowest = vectorEntries.reduce((a, b) => b[1] < a[1] ? b : a);
-
-        // Build summary with insights
-        const summary = {
-          demographics: vcpqResult.demographics || aggregatedDemo,
-          communication_style: {
-            preferred: vcpqResult.communication_style || 'balanced',
-            traits: vcpqResult.traits || []
-          },
-          values: vcpqResult.goals || [],
-          pain_points: vcpqResult.challenges || [],
-          motivations: vcpqResult.goals || [],
-          key_traits: vcpqResult.traits || [],
-          cluster_info: {
-            size: cluster.size,
-            member_ids: cluster.members.map(m => m.id)
-          },
-          // New: Extended insights
-          strengths: insights?.strengths || [],
-          areas_for_growth: insights?.areas_for_growth || [],
-          learning_style: insights?.learning_style || null,
-          work_style: insights?.work_style || null,
-          compatibility: insights?.compatibility || null
-        };
-
-        const extendedProfile = {
-          background_story: vcpqResult.background || '',
-          detailed_preferences: centroidVectors,
-          behavioral_patterns: vcpqResult.applied_rules || [],
-          conversation_guidelines: vcpqResult.decision_making || '',
-          vcpq_domain: domain,
-          vector_profile: {
-            centroid_vectors: centroidVectors,
-            avg_scores: avgScores,
-            applied_rules: vcpqResult.applied_rules
-          },
-          // New: Insights metadata
-          insights_generated: insights !== null,
-          insights_source: insights?.generated_by || null
-        };
-
-        const role = aggregatedDemo.role || aggregatedDemo.job_title || 'Team Member';
-        const dept = aggregatedDemo.department || 'General';
-        const tagline = `${role} - ${dept} (${cluster.size} similar responses)`;
-
-        // Calculate cluster cohesion
-        const cohesion = cluster.avgDistance ? Math.round((1 - cluster.avgDistance / 2) * 100) / 100 : 0.85;
-
-        const personaResult = await query(
-          `INSERT INTO personas
-           (company_id, questionnaire_id, name, tagline, status, summary, extended_profile, 
-            system_prompt, personality_vectors, raw_survey_scores, domain_context, 
-            cluster_size, confidence_score, generated_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
-           RETURNING *`,
-          [
-            companyId,
-            id,
-            vcpqResult.name,
-            tagline,
-            'active',
-            JSON.stringify(summary),
-            JSON.stringify(extendedProfile),
-            vcpqResult.system_prompt,
-            JSON.stringify(centroidVectors),
-            JSON.stringify(avgScores),
-            domain,
-            cluster.size,
-            cohesion
-          ]
-        );
-
-        generatedPersonas.push(personaResult.rows[0]);
-
-        // Track per-persona stats
-        perPersonaStats.push({
-          name: vcpqResult.name,
-          cluster_size: cluster.size,
-          cluster_cohesion: cohesion,
-          vector_extremes: { highest: highest[0], lowest: lowest[0] },
-          insights_generated: insights ? Object.keys(insights).length : 0
-        });
-
-        // Mark all cluster members as processed
-        for (const member of cluster.members) {
-          await query('UPDATE questionnaire_responses SET processed = true WHERE id = $1', [member.id]);
-        }
+    if (!['partial', 'failed'].includes(job.status)) {
+      return res.status(400).json({ error: 'Only failed or partially failed jobs can be retried' });
+    }
 
-        console.log(`[Clustering] Created persona "${vcpqResult.name}" from cluster of ${cluster.size} responses`);
-      } catch (personaError) {
-        console.error('Error generating clustered persona:', personaError);
-      }
+    // Responses of failed clusters may have been picked up by a newer job
+    const [latest] = await generationJobs.listJobs(req.params.id, 1);
+    if (latest && latest.id !== job.id) {
+      return res.status(409).json({ error: 'Only the latest generation job can be retried' });
     }
 
-    const processingTime = Date.now() - startTime;
+    const { clusterIds } = req.body;
+    if (clusterIds !== undefined && !Array.isArray(clusterIds)) {
+      return res.status(400).json({ error: 'clusterIds must be an array' });
+    }
 
-    res.json({
-      success: true,
-      message: `Generated ${generatedPersonas.length} personas from ${processedResponses.length} responses using clustering`,
-      personas: generatedPersonas,
-      generation_stats: {
-        total_responses_processed: processedResponses.length,
-        clusters_formed: clusters.length,
-        processing_time_ms: processingTime,
-        domain_used: domain,
-        insights_enabled: generateInsights,
-        per_persona_stats: perPersonaStats
-      }
+    const result = await generationJobs.retryJob(job, clusterIds);
+    if (!result.job) return res.status(409).json({ error: 'Persona generation is already in progress for this questionnaire' });
+    if (result.retried === 0) return res.status(400).json({ error: 'No failed clusters to retry' });
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: job.company_id,
+      action: audit.ACTIONS.GENERATION_RETRY,
+      entityType: 'questionnaire',
+      entityId: req.params.id,
+      metadata: { jobId: job.id, retried: result.retried },
+      req,
     });
+
+    res.status(202).json({ success: true, job: result.job, retried: result.retried });
   } catch (error) {
-    console.error('Error generating personas:', error);
-    res.status(500).json({ error: 'Failed to generate personas: ' + error.message });
+    console.error('Error retrying generation job:', error);
+    res.status(500).json({ error: 'Failed to retry generation job' });
   }
 });
 
-// Delete personas for a questionnaire (preserves raw responses)
-router.delete('/:id/personas', async (req, res) => {
+// Archive personas for a questionnaire so they can be regenerated (preserves raw responses)
+router.delete('/:id/personas', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await query('DELETE FROM personas WHERE questionnaire_id = $1 RETURNING id', [id]);
-    await query('UPDATE questionnaire_responses SET processed = false WHERE questionnaire_id = $1', [id]);
-    res.json({ success: true, message: 'Personas deleted', count: result.rowCount });
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
+    // Archive rather than delete, so version history and conversations survive regeneration
+    const archived = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE personas SET status = 'archived'
+         WHERE questionnaire_id = $1 AND status != 'archived'
+         RETURNING *`,
+        [id]
+      );
+      for (const persona of result.rows) {
+        await personaVersions.recordVersion({
+          persona,
+          changeType: 'archive',
+          userId: req.user.id,
+          note: 'Archived to regenerate personas'
+        }, client);
+      }
+      await client.query('UPDATE questionnaire_responses SET processed = false WHERE questionnaire_id = $1', [id]);
+      return result.rows;
+    });
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.PERSONA_DELETE,
+      entityType: 'questionnaire',
+      entityId: id,
+      metadata: { archivedCount: archived.length },
+      req,
+    });
+
+    res.json({ success: true, message: 'Personas archived', count: archived.length });
   } catch (error) {
-    console.error('Error deleting personas:', error);
-    res.status(500).json({ error: 'Failed to delete personas' });
+    console.error('Error archiving personas:', error);
+    res.status(500).json({ error: 'Failed to archive personas' });
   }
 });
 
 // Delete questionnaire
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
   try {
     const { id } = req.params;
+    const questionnaire = await findCompanyQuestionnaire(req, res);
+    if (!questionnaire) return;
     await query('DELETE FROM questionnaire_responses WHERE questionnaire_id = $1', [id]);
     const result = await query('DELETE FROM questionnaires WHERE id = $1 RETURNING *', [id]);
     if (result.rows.length === 0) return res.status(404).json({ error: 'Questionnaire not found' });
+
+    await audit.log({
+      userId: req.user.id,
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.QUESTIONNAIRE_DELETE,
+      entityType: 'questionnaire',
+      entityId: id,
+      oldValues: questionnaire,
+      req,
+    });
+
     res.json({ success: true, message: 'Questionnaire deleted' });
   } catch (error) {
     console.error('Error deleting questionnaire:', error);
@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { authenticate, requireAdminAccess } = require('../middleware/auth');
+const { validateUUIDParams, llmLimiter } = require('../middleware/security');
+const { query } = require('../config/database');
+const simulations = require('../services/personaSimulation.service');
+const { getCompanyLLMConfig, describeProviders } = require('../services/llmProvider.service');
+const audit = require('../services/audit.service');
+
+const router = express.Router();
+
+// All routes require authentication and admin access
+router.use(authenticate);
+router.use(requireAdminAccess);
+
+// Company whose personas are simulated (super admins pass companyId)
+const targetCompanyId = (req) => (
+  req.user.role === 'super_admin'
+    ? req.query.companyId || req.body.companyId || req.user.company_id
+    : req.user.company_id
+);
+
+const promptValidation = (location) => location('prompt').optional().isString().trim().isLength({ min: 10, max: 2000 });
+const turnsValidation = body('turns').optional()
+  .isInt({ min: simulations.MIN_TURNS, max: simulations.MAX_TURNS }).toInt();
+
+/**
+ * GET /api/simulations/prompts
+ * Preset workplace prompts
+ */
+router.get('/prompts', (req, res) => {
+  res.json({ prompts: simulations.WORKPLACE_PROMPTS });
+});
+
+/**
+ * POST /api/simulations
+ * Simulate a discussion between two of the company's personas and score it
+ */
+router.post(
+  '/',
+  llmLimiter,
+  [
+    body('personaAId').isUUID(),
+    body('personaBId').isUUID(),
+    promptValidation(body),
+    turnsValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { personaAId, personaBId } = req.body;
+      if (personaAId === personaBId) {
+        return res.status(400).json({ error: 'Pick two different personas' });
+      }
+
+      const result = await query(
+        "SELECT * FROM personas WHERE id = ANY($1) AND status = 'active'",
+        [[personaAId, personaBId]]
+      );
+      const personaA = result.rows.find(p => p.id === personaAId);
+      const personaB = result.rows.find(p => p.id === personaBId);
+      if (!personaA || !personaB) {
+        return res.status(404).json({ error: 'Persona not found or not active' });
+      }
+
+      const companyId = targetCompanyId(req);
+      if (personaA.company_id !== companyId || personaB.company_id !== companyId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const llm = await getCompanyLLMConfig(companyId);
+      const simulation = await simulations.runSimulation({
+        personaA,
+        personaB,
+        prompt: req.body.prompt || simulations.WORKPLACE_PROMPTS[0],
+        turns: req.body.turns || simulations.DEFAULT_TURNS,
+        llm,
+        providers: describeProviders(llm).join(', '),
+        companyId,
+        userId: req.user.id,
+      });
+
+      await audit.log({
+        userId: req.user.id,
+        companyId,
+        action: audit.ACTIONS.PERSONA_SIMULATION_RUN,
+        entityType: 'persona_simulation',
+        entityId: simulation.id,
+        metadata: { personaIds: [personaAId, personaBId], compatibility: simulation.compatibility },
+        req,
+      });
+
+      res.status(201).json(simulation);
+    } catch (error) {
+      console.error('Persona simulation error:', error);
+      res.status(500).json({ error: 'Failed to run simulation' });
+    }
+  }
+);
+
+/**
+ * GET /api/simulations/compatibility
+ * Pairwise compatibility matrix of the company's personas on a prompt
+ */
+router.get('/compatibility', [promptValidation(queryParam)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const matrix = await simulations.getCompatibilityMatrix(
+      targetCompanyId(req),
+      req.query.prompt || simulations.WORKPLACE_PROMPTS[0]
+    );
+    res.json(matrix);
+  } catch (error) {
+    console.error('Get compatibility matrix error:', error);
+    res.status(500).json({ error: 'Failed to get compatibility matrix' });
+  }
+});
+
+/**
+ * POST /api/simulations/compatibility/run
+ * Simulate the next pair missing from the matrix; call again while
+ * `remaining` is above zero. `refresh` re-runs every pair: pass the
+ * returned `refreshBefore` on the follow-up calls so finished pairs are skipped.
+ */
+router.post(
+  '/compatibility/run',
+  llmLimiter,
+  [
+    promptValidation(body),
+    turnsValidation,
+    body('refresh').optional().isBoolean().toBoolean(),
+    body('refreshBefore').optional().isISO8601().toDate(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const companyId = targetCompanyId(req);
+      const prompt = req.body.prompt || simulations.WORKPLACE_PROMPTS[0];
+      const refreshBefore = req.body.refreshBefore || (req.body.refresh ? new Date() : null);
+      const llm = await getCompanyLLMConfig(companyId);
+      const { ran, remaining } = await simulations.runCompatibilityMatrix({
+        companyId,
+        prompt,
+        turns: req.body.turns || simulations.DEFAULT_TURNS,
+        refreshBefore,
+        llm,
+        providers: describeProviders(llm).join(', '),
+        userId: req.user.id,
+      });
+
+      if (ran > 0) {
+        await audit.log({
+          userId: req.user.id,
+          companyId,
+          action: audit.ACTIONS.PERSONA_SIMULATION_RUN,
+          entityType: 'company',
+          entityId: companyId,
+          metadata: { prompt, pairs: ran, remaining },
+          req,
+        });
+      }
+
+      res.json({
+        ran,
+        remaining,
+        refreshBefore,
+        matrix: await simulations.getCompatibilityMatrix(companyId, prompt),
+      });
+    } catch (error) {
+      console.error('Compatibility run error:', error);
+      res.status(500).json({ error: 'Failed to run compatibility simulations' });
+    }
+  }
+);
+
+/**
+ * GET /api/simulations/:id
+ * A simulation with its transcript and score breakdown
+ */
+router.get('/:id', validateUUIDParams('id'), async (req, res) => {
+  try {
+    const simulation = await simulations.getSimulation(req.params.id);
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    if (req.user.role !== 'super_admin' && simulation.company_id !== req.user.company_id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    res.json(simulation);
+  } catch (error) {
+    console.error('Get simulation error:', error);
+    res.status(500).json({ error: 'Failed to get simulation' });
+  }
+});
+
+module.exports = router;
@@ -1,78 +1,203 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
-const { gradeWithMultiPass } = require('../services/llm.service');
-const { saveTrainingSession, getScenarioProgress, calculateImprovement } = require('../services/progress.service');
+const { body, validationResult } = require('express-validator');
+const { authenticate, requireAdminAccess } = require('../middleware/auth');
+const { validateUUIDParams, llmLimiter } = require('../middleware/security');
+const { chatWithPersona, gradeWithMultiPass } = require('../services/llm.service');
+const {
+    saveTrainingSession,
+    createTrainingSession,
+    findActiveSession,
+    getTrainingSession,
+    appendSessionMessages,
+    completeTrainingSession,
+    listTrainingSessions,
+    getScenarioProgress,
+    calculateImprovement
+} = require('../services/progress.service');
+const { getOpeningMessage, scoreConversation } = require('../services/training.service');
+const scenarioService = require('../services/scenario.service');
+const skillProgress = require('../services/skillProgress.service');
+const audit = require('../services/audit.service');
+const { getCompanyLLMConfig } = require('../services/llmProvider.service');
 const db = require('../config/database');
 
 // All routes require authentication
 router.use(authenticate);
 
+/**
+ * Load a persona the user may train against (a default persona or one of their company's)
+ */
+async function getTrainablePersona(personaId, user) {
+    const result = await db.query('SELECT * FROM personas WHERE id = $1', [personaId]);
+    const persona = result.rows[0];
+
+    if (!persona) {
+        return { status: 404, message: 'Persona not found' };
+    }
+    if (!persona.is_default && user.role !== 'super_admin' && persona.company_id !== user.company_id) {
+        return { status: 403, message: 'Access denied' };
+    }
+    return { persona };
+}
+
+/**
+ * Load a session owned by the current user
+ */
+async function getOwnSession(sessionId, user) {
+    const session = await getTrainingSession(sessionId);
+
+    if (!session) {
+        return { status: 404, message: 'Training session not found' };
+    }
+    if (session.user_id !== user.id) {
+        return { status: 403, message: 'Access denied' };
+    }
+    return { session };
+}
+
+/**
+ * Session as returned to the trainee (hidden scenario fields removed)
+ */
+function toSessionResponse(session) {
+    return { ...session, scenario: scenarioService.toPublicScenario(session.scenario) };
+}
+
+/**
+ * Grade a conversation and attach progress metrics.
+ * The final score is computed here from the rubric-weighted criteria and
+ * deterministic conversation signals, not taken from the LLM.
+ * Returns null when `save` stored nothing (the session was graded meanwhile).
+ */
+async function gradeWithProgress(persona, conversation, scenario, req, save) {
+    const user = req.user;
+    const llm = await getCompanyLLMConfig(persona.company_id || user.company_id);
+    const llmResult = await gradeWithMultiPass(persona, conversation, scenario, { llm });
+    const gradingResult = { ...llmResult, ...scoreConversation(llmResult, persona, conversation, scenario) };
+
+    // Get progress before saving new session
+    const previousProgress = await getScenarioProgress(user.id, scenario && scenarioService.getScenarioKey(scenario));
+
+    const session = await save(gradingResult);
+    if (!session) return null;
+
+    await audit.log({
+        userId: user.id,
+        companyId: user.company_id,
+        action: audit.ACTIONS.TRAINING_SESSION_GRADE,
+        entityType: 'training_session',
+        entityId: session?.id,
+        metadata: {
+            personaId: persona.id,
+            scenarioId: scenario ? scenarioService.getScenarioKey(scenario) : null,
+            overallScore: gradingResult.overall_score
+        },
+        req,
+    });
+
+    // Calculate improvement metrics
+    const improvement = calculateImprovement(gradingResult.overall_score, previousProgress);
+
+    return {
+        ...gradingResult,
+        session_id: session?.id,
+        progress: {
+            attempts: previousProgress.attempts + 1,
+            previousBest: previousProgress.bestScore,
+            ...improvement
+        }
+    };
+}
+
 /**
  * POST /api/training/grade
- * Grade a training session using multi-pass grading and track progress
+ * Grade a training session using multi-pass grading and track progress.
+ * Pass `sessionId` to grade (and close) a server-side session from its stored transcript;
+ * `personaId` + `messages` is still accepted for one-off transcripts.
  */
-router.post('/grade', async (req, res) => {
+router.post('/grade', llmLimiter, async (req, res) => {
     try {
-        const { personaId, scenarioId, messages } = req.body;
+        const { sessionId, personaId, scenarioId, messages } = req.body;
+
+        if (sessionId) {
+            const { session, status, message } = await getOwnSession(sessionId, req.user);
+            if (!session) {
+                return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Forbidden', message });
+            }
+            if (session.status !== 'active') {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'Training session has already been graded'
+                });
+            }
+            if (!session.messages.some(m => m.role === 'user')) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'Send at least one message before grading'
+                });
+            }
+
+            const personaResult = await db.query('SELECT * FROM personas WHERE id = $1', [session.persona_id]);
+            const result = await gradeWithProgress(
+                personaResult.rows[0],
+                session.messages,
+                session.scenario,
+                req,
+                (gradingResult) => completeTrainingSession(session.id, gradingResult)
+            );
+            if (!result) {
+                return res.status(409).json({
+                    error: 'Conflict',
+                    message: 'Training session has already been graded'
+                });
+            }
+
+            return res.json(result);
+        }
 
         if (!personaId || !messages || messages.length === 0) {
             return res.status(400).json({
                 error: 'Bad Request',
-                message: 'personaId and messages are required'
+                message: 'sessionId, or personaId and messages, are required'
             });
         }
 
-        // Get persona with grading rubric
-        const personaResult = await db.query(
-            'SELECT * FROM personas WHERE id = $1',
-            [personaId]
-        );
-
-        if (personaResult.rows.length === 0) {
-            return res.status(404).json({
-                error: 'Not Found',
-                message: 'Persona not found'
-            });
+        const { persona, status, message } = await getTrainablePersona(personaId, req.user);
+        if (!persona) {
+            return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Forbidden', message });
         }
 
-        const persona = personaResult.rows[0];
-
         // Format messages for grading
         const conversation = messages.map(m => ({
             role: m.role || 'user',
             content: m.content
         }));
 
-        // Use multi-pass grading for improved accuracy
-        const gradingResult = await gradeWithMultiPass(persona, conversation, { scenarioId });
-
-        // Get progress before saving new session
-        const previousProgress = await getScenarioProgress(req.user.id, scenarioId);
-
-        // Save training session for progress tracking
-        await saveTrainingSession({
-            userId: req.user.id,
-            personaId,
-            scenarioId,
-            messages: conversation,
-            gradeResult: gradingResult
-        });
-
-        // Calculate improvement metrics
-        const improvement = calculateImprovement(gradingResult.overall_score, previousProgress);
+        // A scenario is optional, but one that is named must be active and belong to the persona
+        const scenario = scenarioId ? await scenarioService.getScenario(scenarioId) : null;
+        if (scenarioId && (!scenario || !scenario.is_active || scenario.persona_id !== persona.id)) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Scenario not found'
+            });
+        }
 
-        // Add progress metrics to response
-        const response = {
-            ...gradingResult,
-            progress: {
-                attempts: previousProgress.attempts + 1,
-                previousBest: previousProgress.bestScore,
-                ...improvement
-            }
-        };
+        const result = await gradeWithProgress(
+            persona,
+            conversation,
+            scenario,
+            req,
+            (gradingResult) => saveTrainingSession({
+                userId: req.user.id,
+                personaId,
+                // The same key sessions and progress use, however the scenario was named
+                scenarioId: scenario ? scenarioService.getScenarioKey(scenario) : null,
+                messages: conversation,
+                gradeResult: gradingResult
+            })
+        );
 
-        res.json(response);
+        res.json(result);
     } catch (error) {
         console.error('Training grade error:', error);
         res.status(500).json({
@@ -119,8 +244,8 @@ router.post('/chat', async (req, res) => {
         }));
 
         // Generate response with scenario context
-        const { chatWithPersona } = require('../services/llm.service');
-        const response = await chatWithPersona(persona, conversation, { scenario });
+        const llm = await getCompanyLLMConfig(persona.company_id || req.user.company_id);
+        const response = await chatWithPersona(persona, conversation, { scenario, llm });
 
         res.json({
             message: response.content,
@@ -137,24 +262,11 @@ router.post('/chat', async (req, res) => {
 
 /**
  * GET /api/training/scenarios
- * Get all available training scenarios
+ * Get all available training scenarios, grouped by persona
  */
 router.get('/scenarios', async (req, res) => {
     try {
-        // Get default personas for training
-        const result = await db.query(
-            'SELECT id, name, tagline, vector_profile, grading_rubric FROM personas WHERE is_default = true'
-        );
-
-        const scenarios = result.rows.map(persona => ({
-            persona_id: persona.id,
-            persona_name: persona.name,
-            persona_tagline: persona.tagline,
-            archetype: persona.vector_profile?.archetype,
-            grading_focus: persona.grading_rubric?.criteria?.[0]?.name || 'Communication',
-            scenarios: getPersonaScenarios(persona.vector_profile?.archetype)
-        }));
-
+        const scenarios = await scenarioService.listTrainingCatalog(req.user);
         res.json({ scenarios });
     } catch (error) {
         console.error('Get scenarios error:', error);
@@ -165,14 +277,323 @@ router.get('/scenarios', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/training/scenarios/:id
+ * Get a single training scenario (by id or slug).
+ * Hidden fields are only included for admins who can edit it.
+ */
+router.get('/scenarios/:id', async (req, res) => {
+    try {
+        const scenario = await scenarioService.getScenario(req.params.id);
+        const persona = scenario && { company_id: scenario.persona_company_id, is_default: scenario.persona_is_default };
+
+        if (!scenario || (!persona.is_default && req.user.role !== 'super_admin' && persona.company_id !== req.user.company_id)) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Scenario not found'
+            });
+        }
+
+        res.json({
+            scenario: scenarioService.canManageScenarios(req.user, persona)
+                ? scenario
+                : scenarioService.toPublicScenario(scenario)
+        });
+    } catch (error) {
+        console.error('Get scenario error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get training scenario'
+        });
+    }
+});
+
+/**
+ * GET /api/training/personas/:personaId/scenarios
+ * List every scenario for a persona, hidden fields included (admin only)
+ */
+router.get('/personas/:personaId/scenarios', validateUUIDParams('personaId'), requireAdminAccess, async (req, res) => {
+    try {
+        const personaResult = await db.query('SELECT * FROM personas WHERE id = $1', [req.params.personaId]);
+        const persona = personaResult.rows[0];
+
+        if (!persona) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Persona not found'
+            });
+        }
+        if (!scenarioService.canManageScenarios(req.user, persona)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Access denied'
+            });
+        }
+
+        const scenarios = await scenarioService.listPersonaScenarios(persona.id);
+        res.json({ scenarios });
+    } catch (error) {
+        console.error('List persona scenarios error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get persona scenarios'
+        });
+    }
+});
+
+const scenarioValidation = (isCreate) => {
+    const optional = (chain) => (isCreate ? chain : chain.optional());
+    return [
+        ...(isCreate ? [body('personaId').isUUID()] : []),
+        optional(body('title').trim().isLength({ min: 1, max: 255 })),
+        optional(body('setup_brief').trim().isLength({ min: 1, max: 5000 })),
+        body('description').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+        body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+        body('skills').optional().isArray({ max: 10 }),
+        body('opening_message').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+        body('persona_goal').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+        body('success_conditions').optional().isArray({ max: 10 }),
+        body('success_conditions.*').isString().trim().isLength({ min: 1, max: 500 }),
+        body('rubric_override').optional({ nullable: true }).isObject(),
+        body('rubric_override.criteria').optional().isArray({ min: 1 }),
+        body('is_active').optional().isBoolean(),
+    ];
+};
+
+/**
+ * POST /api/training/scenarios
+ * Author a scenario for a persona (admin only)
+ */
+router.post('/scenarios', requireAdminAccess, scenarioValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const personaResult = await db.query('SELECT * FROM personas WHERE id = $1', [req.body.personaId]);
+        const persona = personaResult.rows[0];
+
+        if (!persona) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Persona not found'
+            });
+        }
+        if (!scenarioService.canManageScenarios(req.user, persona)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Access denied'
+            });
+        }
+
+        const scenario = await scenarioService.createScenario(persona, req.body, req.user.id);
+
+        await audit.log({
+            userId: req.user.id,
+            companyId: persona.company_id,
+            action: audit.ACTIONS.SCENARIO_CREATE,
+            entityType: 'training_scenario',
+            entityId: scenario.id,
+            newValues: scenario,
+            metadata: { personaId: persona.id },
+            req,
+        });
+
+        res.status(201).json({ scenario });
+    } catch (error) {
+        console.error('Create scenario error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create scenario'
+        });
+    }
+});
+
+/**
+ * PUT /api/training/scenarios/:id
+ * Update a scenario (admin only)
+ */
+router.put('/scenarios/:id', validateUUIDParams('id'), requireAdminAccess, scenarioValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const existing = await scenarioService.getScenario(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Scenario not found'
+            });
+        }
+        if (!scenarioService.canManageScenarios(req.user, { company_id: existing.persona_company_id, is_default: existing.persona_is_default })) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Access denied'
+            });
+        }
+
+        const scenario = await scenarioService.updateScenario(existing.id, req.body);
+
+        await audit.log({
+            userId: req.user.id,
+            companyId: existing.company_id,
+            action: audit.ACTIONS.SCENARIO_UPDATE,
+            entityType: 'training_scenario',
+            entityId: existing.id,
+            oldValues: existing,
+            newValues: scenario,
+            req,
+        });
+
+        res.json({ scenario });
+    } catch (error) {
+        console.error('Update scenario error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update scenario'
+        });
+    }
+});
+
+/**
+ * DELETE /api/training/scenarios/:id
+ * Delete a scenario (admin only). Past sessions keep their snapshot.
+ */
+router.delete('/scenarios/:id', validateUUIDParams('id'), requireAdminAccess, async (req, res) => {
+    try {
+        const existing = await scenarioService.getScenario(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Scenario not found'
+            });
+        }
+        if (!scenarioService.canManageScenarios(req.user, { company_id: existing.persona_company_id, is_default: existing.persona_is_default })) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Access denied'
+            });
+        }
+
+        await scenarioService.deleteScenario(existing.id);
+
+        await audit.log({
+            userId: req.user.id,
+            companyId: existing.company_id,
+            action: audit.ACTIONS.SCENARIO_DELETE,
+            entityType: 'training_scenario',
+            entityId: existing.id,
+            oldValues: existing,
+            req,
+        });
+
+        res.json({ message: 'Scenario deleted' });
+    } catch (error) {
+        console.error('Delete scenario error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete scenario'
+        });
+    }
+});
+
+/**
+ * POST /api/training/sessions
+ * Start a training session for a persona and scenario.
+ * Resumes the user's unfinished session for the same pair unless `restart` is set.
+ */
+router.post('/sessions', async (req, res) => {
+    try {
+        const { personaId, scenarioId, restart = false } = req.body;
+
+        if (!personaId || !scenarioId) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'personaId and scenarioId are required'
+            });
+        }
+
+        const { persona, status, message } = await getTrainablePersona(personaId, req.user);
+        if (!persona) {
+            return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Forbidden', message });
+        }
+
+        const scenario = await scenarioService.getScenario(scenarioId);
+        if (!scenario || !scenario.is_active || scenario.persona_id !== persona.id) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Scenario not found'
+            });
+        }
+
+        const scenarioKey = scenarioService.getScenarioKey(scenario);
+        const existing = await findActiveSession(req.user.id, personaId, scenarioKey);
+        if (existing && !restart) {
+            return res.json({ session: toSessionResponse(existing), resumed: true });
+        }
+        if (existing) {
+            await db.query(
+                `UPDATE training_sessions SET status = 'abandoned', updated_at = NOW() WHERE id = $1`,
+                [existing.id]
+            );
+        }
+
+        // The session keeps a snapshot so later edits don't change a run in progress
+        const { persona_name, persona_company_id, persona_is_default, ...snapshot } = scenario;
+        const session = await createTrainingSession({
+            userId: req.user.id,
+            personaId,
+            scenarioId: scenarioKey,
+            scenario: snapshot,
+            messages: [{ role: 'assistant', content: getOpeningMessage(persona, scenario) }]
+        });
+
+        await audit.log({
+            userId: req.user.id,
+            companyId: req.user.company_id,
+            action: audit.ACTIONS.TRAINING_SESSION_START,
+            entityType: 'training_session',
+            entityId: session.id,
+            metadata: { personaId, scenarioId: scenarioKey, abandonedSessionId: existing?.id || null },
+            req,
+        });
+
+        res.status(201).json({ session: toSessionResponse(session), resumed: false });
+    } catch (error) {
+        console.error('Start session error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to start training session'
+        });
+    }
+});
+
 /**
  * GET /api/training/sessions
- * Get user's training history
+ * Get user's training history (paginated, newest first)
  */
 router.get('/sessions', async (req, res) => {
     try {
-        // For now, return empty history (can be expanded with a training_sessions table)
-        res.json({ sessions: [] });
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const { status } = req.query;
+
+        const { sessions, total } = await listTrainingSessions(req.user.id, {
+            status,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            sessions,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        });
     } catch (error) {
         console.error('Get sessions error:', error);
         res.status(500).json({
@@ -182,37 +603,123 @@ router.get('/sessions', async (req, res) => {
     }
 });
 
-// Helper function to get scenarios for a persona archetype
-function getPersonaScenarios(archetype) {
-    const scenariosMap = {
-        'The Hunter': [
-            { id: 'hunter-easy', difficulty: 'easy', title: 'Late CRM Update', description: 'Jordan hasn\'t updated their big deals in weeks' },
-            { id: 'hunter-medium', difficulty: 'medium', title: 'Commission Dispute', description: 'Jordan claims quota was unfair this quarter' },
-            { id: 'hunter-hard', difficulty: 'hard', title: 'Top Performer Leaving', description: 'Jordan got a competing offer, wants counteroffer' },
-        ],
-        'The Craftsman': [
-            { id: 'craft-easy', difficulty: 'easy', title: 'Meeting Overload', description: 'Alex refuses to attend standups' },
-            { id: 'craft-medium', difficulty: 'medium', title: 'Documentation Resistance', description: 'Alex won\'t document critical system' },
-            { id: 'craft-hard', difficulty: 'hard', title: 'Production Outage Blame', description: 'Alex\'s code caused downtime, being defensive' },
-        ],
-        'The Diplomat': [
-            { id: 'diplo-easy', difficulty: 'easy', title: 'Feature Prioritization', description: 'Maya overwhelmed by conflicting requests' },
-            { id: 'diplo-medium', difficulty: 'medium', title: 'Stakeholder Conflict', description: 'Engineering and Sales disagree on roadmap' },
-            { id: 'diplo-hard', difficulty: 'hard', title: 'Product Launch Crisis', description: 'Major bug found day before launch' },
-        ],
-        'The Guardian': [
-            { id: 'guard-easy', difficulty: 'easy', title: 'Benefits Confusion', description: 'Employee frustrated about policy' },
-            { id: 'guard-medium', difficulty: 'medium', title: 'Harassment Complaint', description: 'Sensitive report requiring investigation' },
-            { id: 'guard-hard', difficulty: 'hard', title: 'Mass Layoff Announcement', description: 'Preparing managers for reductions' },
-        ],
-        'The Oracle': [
-            { id: 'oracle-easy', difficulty: 'easy', title: 'Data Access Request', description: 'David needs database permissions urgently' },
-            { id: 'oracle-medium', difficulty: 'medium', title: 'Strategy Disagreement', description: 'David\'s analysis contradicts exec decision' },
-            { id: 'oracle-hard', difficulty: 'hard', title: 'Model Bias Discovery', description: 'AI model has discriminatory patterns' },
-        ],
-    };
+/**
+ * GET /api/training/sessions/:id
+ * Get a training session with its transcript and grade
+ */
+router.get('/sessions/:id', validateUUIDParams('id'), async (req, res) => {
+    try {
+        const { session, status, message } = await getOwnSession(req.params.id, req.user);
+        if (!session) {
+            return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Forbidden', message });
+        }
 
-    return scenariosMap[archetype] || [];
-}
+        res.json({ session: toSessionResponse(session) });
+    } catch (error) {
+        console.error('Get session error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get training session'
+        });
+    }
+});
+
+/**
+ * GET /api/training/progress
+ * Current user's per-criterion skill levels, score trend and practice streak
+ */
+router.get('/progress', async (req, res) => {
+    try {
+        const progress = await skillProgress.getUserSkillProgress(req.user.id);
+        res.json(progress);
+    } catch (error) {
+        console.error('Get progress error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get training progress'
+        });
+    }
+});
+
+/**
+ * GET /api/training/recommendations
+ * Scenarios to practise next, from weakest criteria and time since last practice
+ */
+router.get('/recommendations', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 10);
+        const recommendations = await skillProgress.getRecommendations(req.user, { limit });
+        res.json({ recommendations });
+    } catch (error) {
+        console.error('Get recommendations error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get training recommendations'
+        });
+    }
+});
+
+/**
+ * POST /api/training/sessions/:id/message
+ * Add a trainee turn to an active session and get the persona's reply
+ */
+router.post('/sessions/:id/message', validateUUIDParams('id'), llmLimiter, async (req, res) => {
+    try {
+        const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+        if (!content || content.length > 5000) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'content is required (max 5000 characters)'
+            });
+        }
+
+        const { session, status, message } = await getOwnSession(req.params.id, req.user);
+        if (!session) {
+            return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Forbidden', message });
+        }
+        if (session.status !== 'active') {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'Training session is no longer active'
+            });
+        }
+
+        const personaResult = await db.query('SELECT * FROM personas WHERE id = $1', [session.persona_id]);
+        const persona = personaResult.rows[0];
+
+        const userMessage = { role: 'user', content };
+        const llm = await getCompanyLLMConfig(persona.company_id || req.user.company_id);
+        const response = await chatWithPersona(persona, [...session.messages, userMessage], {
+            scenario: session.scenario,
+            llm
+        });
+
+        // Both turns are stored together so a failed reply doesn't leave a dangling message
+        const updated = await appendSessionMessages(session.id, [
+            userMessage,
+            { role: 'assistant', content: response.content }
+        ]);
+
+        if (!updated) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'Training session is no longer active'
+            });
+        }
+
+        res.json({
+            message: response.content,
+            tokens: response.tokens,
+            messageCount: updated.messages.length
+        });
+    } catch (error) {
+        console.error('Session message error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to generate response'
+        });
+    }
+});
 
 module.exports = router;
@@ -10,11 +10,33 @@ const vcpqService = require('../services/vcpq.service');
 const vectorService = require('../services/vector.service');
 const lexiconService = require('../services/lexicon.service');
 const promptCompiler = require('../services/promptCompiler.service');
+const personaVersions = require('../services/personaVersion.service');
+const companyLexicons = require('../services/companyLexicon.service');
+const audit = require('../services/audit.service');
+const { authenticate } = require('../middleware/auth');
+const { isValidUUID } = require('../middleware/security');
 const db = require('../config/database');
 
+// Delivery mode of posted responses (full when omitted); null if unknown
+const deliveryModeOf = (body) => {
+  const mode = body.mode || 'full';
+  return vectorService.DELIVERY_MODES.includes(mode) ? mode : null;
+};
+
+const invalidMode = (res) => res.status(400).json({
+  error: 'Invalid mode',
+  details: [`mode must be one of: ${vectorService.DELIVERY_MODES.join(', ')}`]
+});
+
+// Saved company lexicons are private, so previewing one requires a login
+const authenticateForLexicon = (req, res, next) => (
+  req.body?.lexicon_id ? authenticate(req, res, next) : next()
+);
+
 /**
  * GET /api/vcpq/questions
- * Get the 28-item VCPQ questionnaire structure
+ * Get the 28-item VCPQ questionnaire structure, with the short-form items
+ * and the rule adaptive delivery stops asking by
  */
 router.get('/questions', (req, res) => {
   try {
@@ -26,7 +48,12 @@ router.get('/questions', (req, res) => {
         version: 'vcpq-v1',
         question_count: questions.length,
         modules: ['Cognition', 'Communication', 'Hierarchy', 'Operational'],
-        questions
+        questions,
+        delivery: {
+          modes: vectorService.DELIVERY_MODES,
+          short_form_ids: vectorService.getShortFormIds(),
+          stop_rule: vectorService.ADAPTIVE_STOP_RULE
+        }
       }
     });
   } catch (error) {
@@ -75,19 +102,42 @@ router.get('/domains/:domain', (req, res) => {
   }
 });
 
+/**
+ * POST /api/vcpq/next-items
+ * Adaptive delivery: the items still to ask given the answers so far
+ */
+router.post('/next-items', (req, res) => {
+  try {
+    const { responses = {} } = req.body;
+    const next = vectorService.getAdaptiveNextItems(responses);
+    res.json({
+      success: true,
+      next,
+      complete: next.length === 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/vcpq/calculate-vectors
- * Calculate vectors from raw survey responses without generating persona
+ * Calculate vectors from raw survey responses without generating persona.
+ * `mode` (full, short or adaptive) says how the responses were collected.
  */
 router.post('/calculate-vectors', (req, res) => {
   try {
     const { responses } = req.body;
+    const mode = deliveryModeOf(req.body);
     
     if (!responses) {
       return res.status(400).json({ error: 'Missing responses object' });
     }
+    if (!mode) {
+      return invalidMode(res);
+    }
     
-    const validation = vectorService.validateResponses(responses);
+    const validation = vectorService.validateResponses(responses, vectorService.QUESTION_META, mode);
     if (!validation.valid) {
       return res.status(400).json({ 
         error: 'Invalid responses',
@@ -96,7 +146,10 @@ router.post('/calculate-vectors', (req, res) => {
       });
     }
     
-    const result = vectorService.processVCPQResponses(responses);
+    const result = vectorService.processVCPQResponses(responses, [], {
+      ...vectorService.VCPQ_INSTRUMENT,
+      delivery_mode: mode
+    });
     
     res.json({
       success: true,
@@ -109,18 +162,48 @@ router.post('/calculate-vectors', (req, res) => {
 
 /**
  * POST /api/vcpq/preview-prompt
- * Preview the compiled prompt without creating a persona
+ * Preview the compiled prompt without creating a persona.
+ * Pass `lexicon_id` to preview a saved company lexicon, or `lexicon`
+ * (base_domain plus overrides) to preview unsaved edits.
  */
-router.post('/preview-prompt', (req, res) => {
+router.post('/preview-prompt', authenticateForLexicon, async (req, res) => {
   try {
-    const { responses, domain = 'general', demographics = {} } = req.body;
+    const { responses, demographics = {}, lexicon_id, lexicon: draft } = req.body;
+    const mode = deliveryModeOf(req.body);
+    let domain = req.body.domain || 'general';
     
     if (!responses) {
       return res.status(400).json({ error: 'Missing responses object' });
     }
+    if (!mode) {
+      return invalidMode(res);
+    }
+    
+    if (lexicon_id) {
+      if (!isValidUUID(lexicon_id)) {
+        return res.status(400).json({ error: 'Invalid lexicon_id' });
+      }
+      const lexicon = await companyLexicons.resolveLexicon(
+        lexicon_id,
+        req.user.role === 'super_admin' ? null : req.user.company_id
+      );
+      if (!lexicon) {
+        return res.status(404).json({ error: 'Lexicon not found' });
+      }
+      domain = lexicon;
+    } else if (draft) {
+      const invalid = companyLexicons.validateLexicon(draft);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid lexicon', details: invalid });
+      }
+      domain = lexiconService.buildLexicon(draft);
+    }
     
     // Process vectors
-    const vectorResult = vectorService.processVCPQResponses(responses);
+    const vectorResult = vectorService.processVCPQResponses(responses, [], {
+      ...vectorService.VCPQ_INSTRUMENT,
+      delivery_mode: mode
+    });
     const modifiedVectors = lexiconService.applyDomainModifiers(
       vectorResult.meta_vectors,
       domain
@@ -142,7 +225,7 @@ router.post('/preview-prompt', (req, res) => {
 
 /**
  * POST /api/vcpq/generate-persona
- * Generate a VCPQ-based persona
+ * Generate a VCPQ-based persona (`mode` as for calculate-vectors)
  */
 router.post('/generate-persona', async (req, res) => {
   try {
@@ -158,11 +241,26 @@ router.post('/generate-persona', async (req, res) => {
       return res.status(400).json({ error: 'Missing responses object' });
     }
     
+    const mode = deliveryModeOf(req.body);
+    if (!mode) {
+      return invalidMode(res);
+    }
+    const validation = vectorService.validateResponses(responses, vectorService.QUESTION_META, mode);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid responses',
+        details: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+    
     // Generate persona
     const persona = await vcpqService.generateVCPQPersona(
       responses,
       demographics,
-      domain
+      domain,
+      {},
+      { instrument: { ...vectorService.VCPQ_INSTRUMENT, delivery_mode: mode } }
     );
     
     // Optionally save to database
@@ -212,7 +310,19 @@ router.post('/generate-persona', async (req, res) => {
       
       const result = await db.query(insertQuery, values);
       persona.id = result.rows[0].id;
+      await personaVersions.recordVersion({ persona: result.rows[0], changeType: 'create' });
       persona.saved = true;
+
+      await audit.log({
+        userId: req.user?.id,
+        companyId: result.rows[0].company_id,
+        action: audit.ACTIONS.PERSONA_CREATE,
+        entityType: 'persona',
+        entityId: persona.id,
+        newValues: result.rows[0],
+        metadata: { questionnaireId: questionnaire_id, source: 'vcpq', domain },
+        req,
+      });
     }
     
     res.json({
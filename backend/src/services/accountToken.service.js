@@ -0,0 +1,97 @@
+/**
+ * Account Token Service
+ *
+ * Signed, expiring tokens for password reset and email verification links,
+ * and for the second step of an MFA sign-in.
+ * Each purpose signs with its own key derived from JWT_ACCESS_SECRET, so a
+ * link token is never accepted as an access token (or the other way round).
+ * The key also covers something the token must not outlive: the password
+ * hash for resets (a reset link works once) and the email address for
+ * verification (and, for an MFA challenge, the password that was checked).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+
+const PURPOSES = {
+  password_reset: {
+    expiresIn: '1h',
+    binding: (user) => user.password_hash || '',
+  },
+  email_verification: {
+    expiresIn: '24h',
+    binding: (user) => user.email.toLowerCase(),
+  },
+  mfa_challenge: {
+    expiresIn: '5m',
+    binding: (user) => user.password_hash || '',
+  },
+};
+
+const signingKey = (purpose, user) => crypto
+  .createHmac('sha256', process.env.JWT_ACCESS_SECRET)
+  .update(`${purpose}:${user.id}:${PURPOSES[purpose].binding(user)}`)
+  .digest();
+
+/**
+ * Create a link token for a user
+ *
+ * @param {Object} user - User row (id, email, password_hash)
+ * @param {string} purpose - password_reset | email_verification | mfa_challenge
+ * @returns {string} Token
+ */
+const createToken = (user, purpose) => {
+  if (!PURPOSES[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+  return jwt.sign(
+    { purpose },
+    signingKey(purpose, user),
+    { subject: user.id, expiresIn: PURPOSES[purpose].expiresIn }
+  );
+};
+
+/**
+ * Check a link token and load its active user
+ *
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Purpose it must have been created for
+ * @returns {Promise<Object|null>} User row, or null if the token is invalid,
+ *   expired, used up, or its user is gone or inactive
+ */
+const verifyToken = async (token, purpose) => {
+  const decoded = typeof token === 'string' ? jwt.decode(token) : null;
+  if (!decoded?.sub || decoded.purpose !== purpose || !PURPOSES[purpose]) {
+    return null;
+  }
+
+  const result = await query('SELECT * FROM users WHERE id = $1 AND is_active = true', [decoded.sub]);
+  const user = result.rows[0];
+  if (!user) return null;
+
+  try {
+    jwt.verify(token, signingKey(purpose, user), { subject: user.id });
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a JWT was issued before the user's last password change
+ *
+ * @param {Object} decoded - Verified token payload (iat in seconds)
+ * @param {Object} user - User row
+ */
+const issuedBeforePasswordChange = (decoded, user) => (
+  !!user.password_changed_at
+  && decoded.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000)
+);
+
+module.exports = {
+  createToken,
+  verifyToken,
+  issuedBeforePasswordChange,
+  PURPOSES,
+};
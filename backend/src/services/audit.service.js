@@ -44,6 +44,12 @@ const ACTIONS = {
   USER_LOGOUT: 'user.logout',
   USER_REGISTER: 'user.register',
   PASSWORD_CHANGE: 'user.password_change',
+  PASSWORD_RESET_REQUEST: 'user.password_reset_request',
+  PASSWORD_RESET: 'user.password_reset',
+  EMAIL_VERIFY: 'user.email_verify',
+  MFA_ENABLE: 'user.mfa_enable',
+  MFA_DISABLE: 'user.mfa_disable',
+  MFA_RECOVERY_CODES: 'user.mfa_recovery_codes',
   
   // Users
   USER_CREATE: 'user.create',
@@ -64,89 +70,162 @@ const ACTIONS = {
   QUESTIONNAIRE_PUBLISH: 'questionnaire.publish',
   QUESTIONNAIRE_CLOSE: 'questionnaire.close',
   RESPONSE_SUBMIT: 'questionnaire.response_submit',
+  RESPONSE_REVIEW: 'questionnaire.response_review',
+  RECIPIENTS_ADD: 'questionnaire.recipients_add',
+  CAMPAIGN_SEND: 'questionnaire.campaign_send',
+  RECIPIENT_REMOVE: 'questionnaire.recipient_remove',
+  GENERATION_RETRY: 'questionnaire.generation_retry',
+
+  // Questionnaire instruments
+  TEMPLATE_CREATE: 'template.create',
+  TEMPLATE_UPDATE: 'template.update',
+  TEMPLATE_DELETE: 'template.delete',
   
   // Personas
   PERSONA_GENERATE: 'persona.generate',
+  PERSONA_CREATE: 'persona.create',
   PERSONA_UPDATE: 'persona.update',
   PERSONA_DELETE: 'persona.delete',
+  PERSONA_ROLLBACK: 'persona.rollback',
+  GOLDEN_TRANSCRIPT_CREATE: 'persona.golden_transcript_create',
+  GOLDEN_TRANSCRIPT_UPDATE: 'persona.golden_transcript_update',
+  GOLDEN_TRANSCRIPT_DELETE: 'persona.golden_transcript_delete',
+  CALIBRATION_RUN: 'persona.calibration_run',
+  PERSONA_SIMULATION_RUN: 'persona.simulation_run',
+  
+  // Lexicons
+  LEXICON_CREATE: 'lexicon.create',
+  LEXICON_UPDATE: 'lexicon.update',
+  LEXICON_DELETE: 'lexicon.delete',
   
   // Conversations
   CONVERSATION_START: 'conversation.start',
   CONVERSATION_SAVE: 'conversation.save',
+  CONVERSATION_DELETE: 'conversation.delete',
   MESSAGE_SEND: 'conversation.message',
+  GROUP_CONVERSATION_START: 'conversation.group_start',
+  
+  // Training
+  SCENARIO_CREATE: 'training.scenario_create',
+  SCENARIO_UPDATE: 'training.scenario_update',
+  SCENARIO_DELETE: 'training.scenario_delete',
+  TRAINING_SESSION_START: 'training.session_start',
+  TRAINING_SESSION_GRADE: 'training.session_grade',
   
   // Admin
   LICENSE_UPDATE: 'admin.license_update',
   SETTINGS_UPDATE: 'admin.settings_update',
+  AUDIT_EXPORT: 'admin.audit_export',
 };
 
+// Columns that change on every write and would only add noise to diffs
+const DIFF_IGNORED_FIELDS = ['updated_at'];
+
+// Most rows a single export returns
+const MAX_EXPORT_ROWS = 10000;
+
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'action', 'entity_type', 'entity_id', 'company_id',
+  'user_id', 'user_email', 'ip_address', 'user_agent', 'old_values', 'new_values', 'metadata',
+];
+
 /**
- * Get audit logs with filtering and pagination
+ * Top-level fields that differ between an entry's old and new values.
+ * Creations list every field with before null, deletions with after null.
+ *
+ * @returns {Object|null} { field: { before, after } }, null without values
  */
-const getLogs = async ({
-  companyId,
-  userId,
-  action,
-  entityType,
-  entityId,
-  startDate,
-  endDate,
-  page = 1,
-  limit = 50,
-}) => {
+const diffValues = (oldValues, newValues) => {
+  if (!oldValues && !newValues) return null;
+  const changes = {};
+  const keys = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+  for (const key of keys) {
+    if (DIFF_IGNORED_FIELDS.includes(key)) continue;
+    const before = oldValues ? oldValues[key] ?? null : null;
+    const after = newValues ? newValues[key] ?? null : null;
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+    changes[key] = { before, after };
+  }
+  return changes;
+};
+
+/**
+ * WHERE clause and parameters for the log filters
+ */
+const buildFilters = ({ companyId, userId, action, entityType, entityId, startDate, endDate }) => {
   const conditions = [];
   const params = [];
   let paramIndex = 1;
 
   if (companyId) {
-    conditions.push(`company_id = $${paramIndex++}`);
+    conditions.push(`al.company_id = $${paramIndex++}`);
     params.push(companyId);
   }
   if (userId) {
-    conditions.push(`user_id = $${paramIndex++}`);
+    conditions.push(`al.user_id = $${paramIndex++}`);
     params.push(userId);
   }
   if (action) {
-    conditions.push(`action = $${paramIndex++}`);
-    params.push(action);
+    // A trailing dot selects a whole group, e.g. "persona."
+    if (action.endsWith('.')) {
+      conditions.push(`al.action LIKE $${paramIndex++}`);
+      params.push(`${action}%`);
+    } else {
+      conditions.push(`al.action = $${paramIndex++}`);
+      params.push(action);
+    }
   }
   if (entityType) {
-    conditions.push(`entity_type = $${paramIndex++}`);
+    conditions.push(`al.entity_type = $${paramIndex++}`);
     params.push(entityType);
   }
   if (entityId) {
-    conditions.push(`entity_id = $${paramIndex++}`);
+    conditions.push(`al.entity_id = $${paramIndex++}`);
     params.push(entityId);
   }
   if (startDate) {
-    conditions.push(`created_at >= $${paramIndex++}`);
+    conditions.push(`al.created_at >= $${paramIndex++}`);
     params.push(startDate);
   }
   if (endDate) {
-    conditions.push(`created_at <= $${paramIndex++}`);
+    conditions.push(`al.created_at <= $${paramIndex++}`);
     params.push(endDate);
   }
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+};
+
+const selectLogs = (whereClause, paramCount) => `SELECT al.*, u.email as user_email, u.first_name, u.last_name
+     FROM audit_logs al
+     LEFT JOIN users u ON al.user_id = u.id
+     ${whereClause}
+     ORDER BY al.created_at DESC, al.id
+     LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+
+/**
+ * Get audit logs with filtering and pagination.
+ * Each log carries `changes`, the diff of its old and new values.
+ */
+const getLogs = async ({
+  page = 1,
+  limit = 50,
+  ...filters
+}) => {
+  const { whereClause, params } = buildFilters(filters);
   const offset = (page - 1) * limit;
 
   const countResult = await query(
-    `SELECT COUNT(*) FROM audit_logs ${whereClause}`,
+    `SELECT COUNT(*) FROM audit_logs al ${whereClause}`,
     params
   );
 
-  const result = await query(
-    `SELECT al.*, u.email as user_email, u.first_name, u.last_name
-     FROM audit_logs al
-     LEFT JOIN users u ON al.user_id = u.id
-     ${whereClause}
-     ORDER BY al.created_at DESC
-     LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
-    [...params, limit, offset]
-  );
+  const result = await query(selectLogs(whereClause, params.length), [...params, limit, offset]);
 
   return {
-    logs: result.rows,
+    logs: result.rows.map(row => ({ ...row, changes: diffValues(row.old_values, row.new_values) })),
     total: parseInt(countResult.rows[0].count),
     page,
     limit,
@@ -154,8 +233,55 @@ const getLogs = async ({
   };
 };
 
+/**
+ * Matching logs in batches, newest first, for exports
+ *
+ * @param {Object} filters - As for getLogs
+ * @param {Object} options - { batchSize, maxRows }
+ */
+async function* streamLogs(filters, { batchSize = 500, maxRows = MAX_EXPORT_ROWS } = {}) {
+  const { whereClause, params } = buildFilters(filters);
+  for (let offset = 0; offset < maxRows; offset += batchSize) {
+    const result = await query(
+      selectLogs(whereClause, params.length),
+      [...params, Math.min(batchSize, maxRows - offset), offset]
+    );
+    if (result.rows.length > 0) yield result.rows;
+    if (result.rows.length < batchSize) return;
+  }
+}
+
+// Quote where needed; a leading quote keeps spreadsheets from running formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const raw = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export formats: header (if any) and one line per log
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: `${EXPORT_COLUMNS.join(',')}\n`,
+    line: (row) => `${EXPORT_COLUMNS.map(column => csvCell(row[column])).join(',')}\n`,
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: '',
+    line: (row) => `${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column] ?? null])))}\n`,
+  },
+};
+
 module.exports = {
   log,
   getLogs,
+  streamLogs,
+  diffValues,
   ACTIONS,
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
 };
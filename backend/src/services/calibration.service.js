@@ -0,0 +1,432 @@
+/**
+ * Grading Calibration Service
+ *
+ * Checks the training grader against golden transcripts: conversations with
+ * the score band a well-calibrated grader should give them. A run grades
+ * every transcript with gradeWithMultiPass and reports
+ *   - bias: how far scores sit above (lenient) or below (harsh) the band centre
+ *   - band hit rate: share of transcripts scored inside their band
+ *   - inter-pass agreement: spread between the strict and balanced passes
+ *   - drift: per-transcript score change since the previous run
+ * and fails when any of them is outside tolerance.
+ */
+
+const fs = require('fs');
+const { query } = require('../config/database');
+const { gradeWithMultiPass } = require('./llm.service');
+
+const DEFAULT_TOLERANCE = {
+  maxBias: 8,          // |mean(score - band centre)|
+  minBandRate: 0.8,    // share of transcripts scored inside their band
+  maxPassSpread: 10,   // mean |strict - balanced| across transcripts
+  maxDrift: 5,         // mean |score - previous score| per transcript
+};
+
+const MAX_MESSAGES = 100;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const TRANSCRIPT_COLUMNS = `id, persona_id, scenario_id, name, messages, expected_min, expected_max,
+  notes, is_active, created_by, created_at, updated_at`;
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Merge tolerance overrides onto the defaults, ignoring values that are not numbers
+ * @param {Object} overrides - Partial tolerance
+ * @returns {Object} Complete tolerance
+ */
+function resolveTolerance(overrides = {}) {
+  const tolerance = { ...DEFAULT_TOLERANCE };
+  for (const key of Object.keys(DEFAULT_TOLERANCE)) {
+    const value = Number(overrides?.[key]);
+    if (overrides?.[key] !== undefined && overrides[key] !== null && Number.isFinite(value) && value >= 0) {
+      tolerance[key] = value;
+    }
+  }
+  return tolerance;
+}
+
+/**
+ * Validate a conversation stored as a golden transcript
+ * @param {Array} messages - [{ role, content }]
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return ['messages must be a non-empty array'];
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return [`messages may have at most ${MAX_MESSAGES} entries`];
+  }
+
+  const errors = [];
+  messages.forEach((message, i) => {
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      errors.push(`messages[${i}].role must be "user" or "assistant"`);
+    }
+    if (typeof message?.content !== 'string' || !message.content.trim()) {
+      errors.push(`messages[${i}].content must be a non-empty string`);
+    } else if (message.content.length > MAX_MESSAGE_LENGTH) {
+      errors.push(`messages[${i}].content may be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  });
+  if (errors.length === 0 && !messages.some(m => m.role === 'user')) {
+    errors.push('messages must include at least one user message to grade');
+  }
+  return errors;
+}
+
+/**
+ * Validate an expected score band
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateBand(min, max) {
+  const errors = [];
+  if (!Number.isInteger(min) || min < 0 || min > 100) errors.push('expectedMin must be an integer from 0 to 100');
+  if (!Number.isInteger(max) || max < 0 || max > 100) errors.push('expectedMax must be an integer from 0 to 100');
+  if (errors.length === 0 && min > max) errors.push('expectedMin must not be greater than expectedMax');
+  return errors;
+}
+
+/**
+ * Grade one golden transcript and compare the score with its band
+ * @param {Object} persona - Persona row (name, grading_rubric)
+ * @param {Object} transcript - { id, name, messages, expected_min, expected_max }
+ * @param {Object} options - { llm, scenario, grade } (grade defaults to gradeWithMultiPass)
+ * @returns {Promise<Object>} Per-transcript result; grading failures are reported in `error`
+ */
+async function gradeTranscript(persona, transcript, options = {}) {
+  const grade = options.grade || gradeWithMultiPass;
+  const result = {
+    transcript_id: transcript.id,
+    name: transcript.name,
+    persona_id: persona.id,
+    expected_min: transcript.expected_min,
+    expected_max: transcript.expected_max,
+  };
+
+  try {
+    const graded = await grade(persona, transcript.messages, options.scenario || null, { llm: options.llm });
+    const score = graded.overall_score;
+    if (typeof score !== 'number' || !Number.isFinite(score)) {
+      throw new Error('Grader returned no overall score');
+    }
+
+    // gradeWithMultiPass falls back to a single pass when a pass fails
+    const strict = graded.multiPass?.strictScore ?? score;
+    const balanced = graded.multiPass?.balancedScore ?? score;
+    const centre = (transcript.expected_min + transcript.expected_max) / 2;
+
+    return {
+      ...result,
+      score,
+      strict,
+      balanced,
+      spread: graded.multiPass ? Math.abs(strict - balanced) : null,
+      single_pass: !graded.multiPass,
+      within_band: score >= transcript.expected_min && score <= transcript.expected_max,
+      deviation: score - centre,
+      band_error: score > transcript.expected_max ? score - transcript.expected_max
+        : score < transcript.expected_min ? score - transcript.expected_min : 0,
+    };
+  } catch (error) {
+    return { ...result, score: null, error: error.message };
+  }
+}
+
+/**
+ * Summarize a calibration run and check it against tolerance
+ * @param {Object[]} results - Output of gradeTranscript
+ * @param {Object[]|null} previousResults - Results of the previous run, matched by transcript_id
+ * @param {Object} tolerance - Complete tolerance (see resolveTolerance)
+ * @returns {Object} { summary, failures, passed }
+ */
+function summarizeCalibration(results, previousResults = null, tolerance = DEFAULT_TOLERANCE) {
+  const graded = results.filter(r => r.score !== null && r.score !== undefined);
+  const multiPass = graded.filter(r => r.spread !== null && r.spread !== undefined);
+  const spreads = multiPass.map(r => r.spread);
+
+  const summary = {
+    transcripts: results.length,
+    graded: graded.length,
+    errors: results.length - graded.length,
+    single_pass: graded.filter(r => r.single_pass).length,
+    band_hit_rate: graded.length ? round(graded.filter(r => r.within_band).length / graded.length, 3) : null,
+    bias: round(mean(graded.map(r => r.deviation))),
+    mean_abs_error: round(mean(graded.map(r => Math.abs(r.band_error)))),
+    agreement: {
+      mean_spread: round(mean(spreads)),
+      max_spread: spreads.length ? Math.max(...spreads) : null,
+      within_tolerance_rate: spreads.length
+        ? round(spreads.filter(s => s <= tolerance.maxPassSpread).length / spreads.length, 3)
+        : null,
+    },
+    drift: null,
+  };
+
+  if (previousResults?.length) {
+    const previousScores = new Map(previousResults
+      .filter(r => r.score !== null && r.score !== undefined)
+      .map(r => [r.transcript_id, r.score]));
+    const deltas = graded
+      .filter(r => previousScores.has(r.transcript_id))
+      .map(r => r.score - previousScores.get(r.transcript_id));
+
+    if (deltas.length) {
+      summary.drift = {
+        compared: deltas.length,
+        mean_delta: round(mean(deltas)),
+        mean_abs_delta: round(mean(deltas.map(Math.abs))),
+        max_abs_delta: Math.max(...deltas.map(Math.abs)),
+      };
+    }
+  }
+
+  const failures = [];
+  if (summary.errors > 0) {
+    failures.push(`${summary.errors} transcript${summary.errors === 1 ? '' : 's'} could not be graded`);
+  }
+  if (summary.graded === 0) {
+    failures.push('No transcripts were graded');
+  } else {
+    if (Math.abs(summary.bias) > tolerance.maxBias) {
+      failures.push(`Bias ${summary.bias > 0 ? '+' : ''}${summary.bias} exceeds ±${tolerance.maxBias} (grader is too ${summary.bias > 0 ? 'lenient' : 'harsh'})`);
+    }
+    if (summary.band_hit_rate < tolerance.minBandRate) {
+      failures.push(`Band hit rate ${summary.band_hit_rate} is below ${tolerance.minBandRate}`);
+    }
+  }
+  if (summary.agreement.mean_spread !== null && summary.agreement.mean_spread > tolerance.maxPassSpread) {
+    failures.push(`Mean inter-pass spread ${summary.agreement.mean_spread} exceeds ${tolerance.maxPassSpread}`);
+  }
+  if (summary.drift && summary.drift.mean_abs_delta > tolerance.maxDrift) {
+    failures.push(`Drift ${summary.drift.mean_abs_delta} since the previous run exceeds ${tolerance.maxDrift}`);
+  }
+
+  return { summary, failures, passed: failures.length === 0 };
+}
+
+/**
+ * Grade a set of golden transcripts and summarize the run
+ * @param {Object} options
+ * @param {Object[]} options.cases - [{ persona, transcript, scenario? }]
+ * @param {Object[]} options.previousResults - Results of the previous run (for drift)
+ * @param {Object} options.tolerance - Tolerance overrides
+ * @param {Object} options.llm - Optional { provider, model, fallbacks }
+ * @param {Function} options.grade - Grader override (defaults to gradeWithMultiPass)
+ * @returns {Promise<Object>} { passed, failures, summary, results, tolerance }
+ */
+async function runCalibration({ cases, previousResults = null, tolerance: overrides, llm, grade } = {}) {
+  const tolerance = resolveTolerance(overrides);
+  const results = [];
+
+  // One at a time: the grader makes two LLM calls per transcript
+  for (const { persona, transcript, scenario } of cases) {
+    results.push(await gradeTranscript(persona, transcript, { llm, scenario, grade }));
+  }
+
+  const { summary, failures, passed } = summarizeCalibration(results, previousResults, tolerance);
+  return { passed, failures, summary, results, tolerance };
+}
+
+/**
+ * Read golden transcripts from a JSON file
+ * Format: { personas: [{ id, name, grading_rubric, transcripts: [{ id, name, messages, expected_min, expected_max }] }] }
+ * @param {string} filePath - Path to the file
+ * @returns {Object[]} Cases for runCalibration
+ */
+function loadCasesFromFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.personas)) {
+    throw new Error(`${filePath}: expected a "personas" array`);
+  }
+
+  const cases = [];
+  for (const entry of data.personas) {
+    const { transcripts = [], ...persona } = entry;
+    for (const transcript of transcripts) {
+      const label = `${persona.name || persona.id} / ${transcript.name || transcript.id}`;
+      const errors = [
+        ...(transcript.id ? [] : ['id is required']),
+        ...validateMessages(transcript.messages),
+        ...validateBand(transcript.expected_min, transcript.expected_max),
+      ];
+      if (errors.length) {
+        throw new Error(`${filePath}: ${label}: ${errors.join('; ')}`);
+      }
+      cases.push({ persona, transcript });
+    }
+  }
+  return cases;
+}
+
+/**
+ * List a persona's golden transcripts
+ * @param {string} personaId - Persona UUID
+ * @param {Object} options - { activeOnly }
+ */
+async function listGoldenTranscripts(personaId, { activeOnly = false } = {}) {
+  const result = await query(
+    `SELECT ${TRANSCRIPT_COLUMNS} FROM grading_golden_transcripts
+     WHERE persona_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+     ORDER BY created_at`,
+    [personaId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a golden transcript belonging to a persona
+ */
+async function getGoldenTranscript(personaId, transcriptId) {
+  const result = await query(
+    `SELECT ${TRANSCRIPT_COLUMNS} FROM grading_golden_transcripts WHERE id = $1 AND persona_id = $2`,
+    [transcriptId, personaId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a golden transcript
+ */
+async function createGoldenTranscript(personaId, { name, messages, expectedMin, expectedMax, notes, scenarioId }, userId) {
+  const result = await query(
+    `INSERT INTO grading_golden_transcripts
+       (persona_id, scenario_id, name, messages, expected_min, expected_max, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${TRANSCRIPT_COLUMNS}`,
+    [personaId, scenarioId || null, name, JSON.stringify(messages), expectedMin, expectedMax, notes || null, userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update a golden transcript (only the given fields change)
+ */
+async function updateGoldenTranscript(transcriptId, { name, messages, expectedMin, expectedMax, notes, isActive }) {
+  const result = await query(
+    `UPDATE grading_golden_transcripts SET
+       name = COALESCE($2, name),
+       messages = COALESCE($3, messages),
+       expected_min = COALESCE($4, expected_min),
+       expected_max = COALESCE($5, expected_max),
+       notes = COALESCE($6, notes),
+       is_active = COALESCE($7, is_active)
+     WHERE id = $1
+     RETURNING ${TRANSCRIPT_COLUMNS}`,
+    [
+      transcriptId,
+      name ?? null,
+      messages ? JSON.stringify(messages) : null,
+      expectedMin ?? null,
+      expectedMax ?? null,
+      notes ?? null,
+      isActive ?? null,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a golden transcript
+ */
+async function deleteGoldenTranscript(transcriptId) {
+  const result = await query('DELETE FROM grading_golden_transcripts WHERE id = $1 RETURNING id', [transcriptId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Most recent calibration run for a persona
+ */
+async function getLatestRun(personaId) {
+  const result = await query(
+    `SELECT * FROM grading_calibration_runs WHERE persona_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [personaId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Calibration history for a persona, newest first (without per-transcript results)
+ */
+async function listRuns(personaId, { limit = 20 } = {}) {
+  const result = await query(
+    `SELECT id, persona_id, providers, source, passed, summary, tolerance, created_by, created_at
+     FROM grading_calibration_runs
+     WHERE persona_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [personaId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Store the outcome of runCalibration
+ */
+async function saveRun(personaId, run, { providers, source = 'api', userId = null } = {}) {
+  const result = await query(
+    `INSERT INTO grading_calibration_runs
+       (persona_id, providers, source, passed, summary, results, tolerance, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      personaId,
+      providers || null,
+      source,
+      run.passed,
+      JSON.stringify({ ...run.summary, failures: run.failures }),
+      JSON.stringify(run.results),
+      JSON.stringify(run.tolerance),
+      userId,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Calibrate a persona's grader against its stored golden transcripts;
+ * drift is measured against the persona's previous recorded run
+ * @param {Object} persona - Persona row
+ * @param {Object} options - { tolerance, llm, providers, source, userId, save }
+ * @returns {Promise<Object|null>} Run (with the stored id and created_at when saved),
+ *   or null when the persona has no active golden transcripts
+ */
+async function calibratePersona(persona, { tolerance, llm, providers, source = 'api', userId = null, save = true } = {}) {
+  const transcripts = await listGoldenTranscripts(persona.id, { activeOnly: true });
+  if (transcripts.length === 0) return null;
+
+  const previous = await getLatestRun(persona.id);
+  const run = await runCalibration({
+    cases: transcripts.map(transcript => ({ persona, transcript })),
+    previousResults: previous?.results || null,
+    tolerance,
+    llm,
+  });
+  if (!save) return run;
+
+  const saved = await saveRun(persona.id, run, { providers, source, userId });
+  return { id: saved.id, created_at: saved.created_at, ...run };
+}
+
+module.exports = {
+  resolveTolerance,
+  validateMessages,
+  validateBand,
+  gradeTranscript,
+  summarizeCalibration,
+  runCalibration,
+  loadCasesFromFile,
+  listGoldenTranscripts,
+  getGoldenTranscript,
+  createGoldenTranscript,
+  updateGoldenTranscript,
+  deleteGoldenTranscript,
+  getLatestRun,
+  listRuns,
+  saveRun,
+  calibratePersona,
+  DEFAULT_TOLERANCE,
+};
@@ -0,0 +1,499 @@
+/**
+ * Campaign Service
+ *
+ * Distributes a questionnaire by email. Each recipient gets a link with a
+ * personal token (/q/:code?r=token) so opens, starts and completions can be
+ * tracked per recipient. For anonymous questionnaires the recipient row is
+ * never linked to the response it produced.
+ *
+ * A scheduler in the API process sends reminders the configured number of
+ * hours before ends_at and closes questionnaires once ends_at has passed.
+ *
+ * Recipient status: pending → sent | failed → opened → started → completed
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const emailService = require('./email.service');
+const audit = require('./audit.service');
+
+// Ordered: progress only ever moves a recipient to a later status
+const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'opened', 'started', 'completed'];
+
+// Progress a recipient's link can report
+const PROGRESS_EVENTS = ['opened', 'started', 'completed'];
+
+// Statuses of recipients who were emailed and have not completed
+const REMINDABLE_STATUSES = ['sent', 'opened', 'started'];
+
+const MAX_RECIPIENTS_PER_REQUEST = 1000;
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_HOURS = 24 * 30;
+
+// Recipient columns admins see (the token stays with the recipient)
+const RECIPIENT_COLUMNS = `id, questionnaire_id, user_id, email, name, status, response_id, send_error,
+  sent_at, opened_at, started_at, completed_at, reminder_count, last_reminded_at, created_at`;
+
+// Same rule as the users.email_format constraint
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+const DEFAULT_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+let running = false;
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+const isValidToken = (token) => typeof token === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(token);
+
+/**
+ * Parse uploaded recipients: one per line, email plus an optional name, separated
+ * by commas, semicolons or tabs. A header row naming an email column is skipped.
+ * @param {string} text - CSV text
+ * @returns {Object} { recipients: [{ email, name }], invalid: string[] }
+ */
+function parseRecipientCsv(text) {
+  const recipients = [];
+  const invalid = [];
+
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    const cells = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim()).filter(Boolean);
+    if (cells.length === 0) return;
+
+    const email = cells.find(cell => EMAIL_PATTERN.test(cell));
+    if (!email) {
+      if (index === 0 && cells.some(cell => /e-?mail/i.test(cell))) return;
+      invalid.push(`Line ${index + 1}: no valid email address`);
+      return;
+    }
+    const name = cells.filter(cell => cell !== email).join(' ') || null;
+    recipients.push({ email, name });
+  });
+
+  return { recipients, invalid };
+}
+
+/**
+ * Validate and de-duplicate recipients given as strings or { email, name }.
+ * A user_id in the list is ignored: recipients are only linked to the
+ * company users passed in (output of loadCompanyUsers), matched by email.
+ * @param {Array} list - Recipients
+ * @param {Object[]} [companyUsers] - Verified { email, user_id } of the questionnaire's company
+ * @returns {Object} { recipients: [{ email, name, user_id }], invalid: string[] }
+ */
+function normalizeRecipients(list = [], companyUsers = []) {
+  const userIds = new Map(companyUsers.map(user => [user.email.toLowerCase(), user.user_id]));
+  const seen = new Set();
+  const recipients = [];
+  const invalid = [];
+
+  list.forEach((entry, index) => {
+    const email = String(typeof entry === 'string' ? entry : entry?.email || '').trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      invalid.push(`Recipient ${index + 1}: invalid email "${email}"`);
+      return;
+    }
+    const key = email.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    recipients.push({
+      email: key,
+      name: typeof entry === 'object' && entry.name ? String(entry.name).trim().slice(0, 255) : null,
+      user_id: userIds.get(key) || null
+    });
+  });
+
+  return { recipients, invalid };
+}
+
+/**
+ * Validate reminder offsets (hours before ends_at)
+ * @param {*} value - Submitted reminderHours
+ * @returns {Object} { hours: number[] (largest first), errors: string[] }
+ */
+function normalizeReminderHours(value) {
+  if (!Array.isArray(value)) return { hours: [], errors: ['reminderHours must be an array of hours'] };
+  if (value.length > MAX_REMINDERS) return { hours: [], errors: [`At most ${MAX_REMINDERS} reminders`] };
+
+  const errors = value
+    .filter(hours => !Number.isInteger(hours) || hours < 1 || hours > MAX_REMINDER_HOURS)
+    .map(hours => `Reminder hours must be whole numbers from 1 to ${MAX_REMINDER_HOURS} (got ${hours})`);
+  const hours = [...new Set(value)].sort((a, b) => b - a);
+  return { hours: errors.length ? [] : hours, errors };
+}
+
+/**
+ * Number of reminders due by now: offsets whose time before ends_at has been reached
+ * @param {number[]} reminderHours - Hours before ends_at
+ * @param {Date|string} endsAt - Questionnaire end
+ * @param {Date} now
+ * @returns {number}
+ */
+function dueReminderCount(reminderHours = [], endsAt, now = new Date()) {
+  if (!endsAt) return 0;
+  const end = new Date(endsAt).getTime();
+  if (end <= now.getTime()) return 0;
+  return reminderHours.filter(hours => end - hours * 3600 * 1000 <= now.getTime()).length;
+}
+
+/**
+ * The personal link a recipient is sent
+ * @param {Object} questionnaire - Questionnaire row
+ * @param {string} token - Recipient token
+ * @returns {string}
+ */
+function buildAccessLink(questionnaire, token) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base}/q/${questionnaire.access_code}?r=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Active users of a company, as recipients
+ * @param {string} companyId - Company UUID
+ * @param {string[]} userIds - User UUIDs
+ * @returns {Object} { recipients, invalid } - invalid lists ids not found in the company
+ */
+async function loadCompanyUsers(companyId, userIds) {
+  const result = await query(
+    `SELECT id, email, first_name, last_name FROM users
+     WHERE company_id = $1 AND id = ANY($2) AND is_active = true`,
+    [companyId, userIds]
+  );
+  const found = new Set(result.rows.map(user => user.id));
+  return {
+    recipients: result.rows.map(user => ({
+      email: user.email,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+      user_id: user.id
+    })),
+    invalid: userIds.filter(id => !found.has(id)).map(id => `User ${id} is not an active member of this company`)
+  };
+}
+
+/**
+ * Add recipients to a questionnaire; emails already on the list are skipped
+ * @param {Object} questionnaire - Questionnaire row
+ * @param {Object[]} recipients - Output of normalizeRecipients
+ * @param {string} addedBy - Admin user UUID
+ * @returns {Object[]} Inserted recipient rows
+ */
+async function addRecipients(questionnaire, recipients, addedBy) {
+  if (recipients.length === 0) return [];
+  const result = await query(
+    `INSERT INTO questionnaire_recipients (questionnaire_id, company_id, added_by, email, name, user_id, token)
+     SELECT $1, $2, $3, r.email, r.name, r.user_id, r.token
+     FROM unnest($4::text[], $5::text[], $6::uuid[], $7::text[]) AS r(email, name, user_id, token)
+     ON CONFLICT (questionnaire_id, email) DO NOTHING
+     RETURNING ${RECIPIENT_COLUMNS}`,
+    [
+      questionnaire.id,
+      questionnaire.company_id,
+      addedBy || null,
+      recipients.map(r => r.email),
+      recipients.map(r => r.name),
+      recipients.map(r => r.user_id),
+      recipients.map(() => generateToken())
+    ]
+  );
+  return result.rows;
+}
+
+// Progress timestamps line up with when a response was started or submitted,
+// so anonymous questionnaires keep only each recipient's status
+const PROGRESS_TIMESTAMPS = ['opened_at', 'started_at', 'completed_at'];
+
+/**
+ * A questionnaire's recipients
+ * @param {Object} questionnaire - Questionnaire row
+ * @returns {Object[]} Recipient rows without tokens (and, when anonymous, without progress times)
+ */
+async function listRecipients(questionnaire) {
+  const result = await query(
+    `SELECT ${RECIPIENT_COLUMNS} FROM questionnaire_recipients
+     WHERE questionnaire_id = $1
+     ORDER BY created_at, email`,
+    [questionnaire.id]
+  );
+  if (!questionnaire.is_anonymous) return result.rows;
+  return result.rows.map(row => {
+    const visible = { ...row };
+    PROGRESS_TIMESTAMPS.forEach(column => { delete visible[column]; });
+    return visible;
+  });
+}
+
+/**
+ * Campaign funnel. opened and started count everyone who got at least that far.
+ * @param {Object[]} recipients - Recipient rows
+ * @returns {Object} { total, pending, failed, sent, opened, started, completed, completion_rate }
+ */
+function summarizeRecipients(recipients) {
+  const atLeast = (status) => recipients.filter(
+    r => RECIPIENT_STATUSES.indexOf(r.status) >= RECIPIENT_STATUSES.indexOf(status)
+  ).length;
+  const emailed = recipients.filter(r => r.status !== 'pending' && r.status !== 'failed').length;
+  const completed = atLeast('completed');
+
+  return {
+    total: recipients.length,
+    pending: recipients.filter(r => r.status === 'pending').length,
+    failed: recipients.filter(r => r.status === 'failed').length,
+    sent: emailed,
+    opened: atLeast('opened'),
+    started: atLeast('started'),
+    completed,
+    completion_rate: emailed > 0 ? Math.round((completed / emailed) * 100) / 100 : 0
+  };
+}
+
+/**
+ * Remove a recipient (their response, if any, is kept)
+ * @returns {boolean} Whether a recipient was removed
+ */
+async function removeRecipient(questionnaireId, recipientId) {
+  const result = await query(
+    'DELETE FROM questionnaire_recipients WHERE id = $1 AND questionnaire_id = $2 RETURNING id',
+    [recipientId, questionnaireId]
+  );
+  return result.rows.length > 0;
+}
+
+const companyName = async (companyId) => {
+  const result = await query('SELECT name FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0]?.name || 'Your company';
+};
+
+/**
+ * Email recipients their links. Rows must already be claimed (see sendInvitations
+ * and sendDueReminders) so concurrent senders never email the same person twice.
+ * @returns {Object} { sent, failed }
+ */
+async function deliver(questionnaire, recipients, { reminder = false } = {}) {
+  const company = await companyName(questionnaire.company_id);
+  let sent = 0;
+  let failed = 0;
+
+  for (const recipient of recipients) {
+    const result = await emailService.sendQuestionnaireEmail({
+      to: recipient.email,
+      recipientName: recipient.name,
+      companyName: company,
+      questionnaireName: questionnaire.name,
+      accessLink: buildAccessLink(questionnaire, recipient.token),
+      endsAt: questionnaire.ends_at,
+      reminder
+    });
+
+    if (result.success) {
+      sent++;
+    } else {
+      failed++;
+      // A failed reminder leaves the recipient's progress alone
+      if (!reminder) {
+        await query(
+          `UPDATE questionnaire_recipients SET status = 'failed', send_error = $2 WHERE id = $1`,
+          [recipient.id, result.error || result.reason || 'Send failed']
+        );
+      }
+    }
+  }
+  return { sent, failed };
+}
+
+/**
+ * Send invitations to recipients not yet emailed (pending, or failed before)
+ * @param {Object} questionnaire - Questionnaire row
+ * @param {string[]} [recipientIds] - Only these recipients
+ * @returns {Object} { sent, failed }
+ */
+async function sendInvitations(questionnaire, recipientIds) {
+  const params = [questionnaire.id];
+  let filter = '';
+  if (recipientIds?.length) {
+    params.push(recipientIds);
+    filter = 'AND id = ANY($2)';
+  }
+
+  const claimed = await query(
+    `UPDATE questionnaire_recipients
+     SET status = 'sent', sent_at = NOW(), send_error = NULL
+     WHERE questionnaire_id = $1 AND status IN ('pending', 'failed') ${filter}
+     RETURNING *`,
+    params
+  );
+  return deliver(questionnaire, claimed.rows);
+}
+
+/**
+ * Find a questionnaire's recipient by link token
+ * @returns {Object|null} Recipient row
+ */
+async function findRecipient(questionnaireId, token) {
+  if (!isValidToken(token)) return null;
+  const result = await query(
+    'SELECT * FROM questionnaire_recipients WHERE questionnaire_id = $1 AND token = $2',
+    [questionnaireId, token]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record progress from a recipient's link. Timestamps are kept from the first
+ * time each step happened; completed recipients are left alone. Anonymous
+ * questionnaires only move the status forward and store no times or response.
+ * @param {Object} questionnaire - Questionnaire row
+ * @param {string} token - Recipient token
+ * @param {string} event - opened | started | completed
+ * @param {string|null} responseId - Ignored for anonymous questionnaires
+ * @returns {Object|null} Updated recipient row
+ */
+async function recordProgress(questionnaire, token, event, responseId = null) {
+  if (!PROGRESS_EVENTS.includes(event) || !isValidToken(token)) return null;
+  const tracked = !questionnaire.is_anonymous;
+  const result = await query(
+    `UPDATE questionnaire_recipients
+     SET opened_at = CASE WHEN $6 THEN COALESCE(opened_at, NOW()) ELSE opened_at END,
+         started_at = CASE WHEN $6 AND $3 IN ('started', 'completed') THEN COALESCE(started_at, NOW()) ELSE started_at END,
+         completed_at = CASE WHEN $6 AND $3 = 'completed' THEN NOW() ELSE completed_at END,
+         response_id = COALESCE($4, response_id),
+         status = CASE WHEN array_position($5::text[], status::text) < array_position($5::text[], $3::text) THEN $3 ELSE status END
+     WHERE questionnaire_id = $1 AND token = $2 AND status <> 'completed'
+     RETURNING *`,
+    [questionnaire.id, token, event, tracked ? responseId : null, RECIPIENT_STATUSES, tracked]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Remind recipients who have not completed, once per reminder offset reached.
+ * Recipients first emailed after the latest due reminder wait for the next one.
+ * @param {Date} now
+ * @returns {number} Reminders sent
+ */
+async function sendDueReminders(now = new Date()) {
+  const questionnaires = await query(
+    `SELECT * FROM questionnaires
+     WHERE status = 'active' AND ends_at > $1 AND jsonb_array_length(reminder_hours) > 0`,
+    [now]
+  );
+
+  let reminded = 0;
+  for (const questionnaire of questionnaires.rows) {
+    const hours = [...(questionnaire.reminder_hours || [])].sort((x, y) => y - x);
+    const due = dueReminderCount(hours, questionnaire.ends_at, now);
+    if (due === 0) continue;
+
+    // Largest offset first, so the latest due reminder is hours[due - 1]
+    const latestDue = new Date(new Date(questionnaire.ends_at).getTime() - hours[due - 1] * 3600 * 1000);
+    const claimed = await query(
+      `UPDATE questionnaire_recipients
+       SET reminder_count = $2, last_reminded_at = NOW()
+       WHERE questionnaire_id = $1 AND reminder_count < $2
+         AND status = ANY($3) AND sent_at <= $4
+       RETURNING *`,
+      [questionnaire.id, due, REMINDABLE_STATUSES, latestDue]
+    );
+    if (claimed.rows.length === 0) continue;
+
+    const { sent } = await deliver(questionnaire, claimed.rows, { reminder: true });
+    reminded += sent;
+  }
+  return reminded;
+}
+
+/**
+ * Close active questionnaires whose ends_at has passed
+ * @param {Date} now
+ * @returns {Object[]} Closed questionnaire rows
+ */
+async function closeExpiredQuestionnaires(now = new Date()) {
+  const result = await query(
+    `UPDATE questionnaires
+     SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+     WHERE status = 'active' AND ends_at IS NOT NULL AND ends_at <= $1
+     RETURNING *`,
+    [now]
+  );
+
+  for (const questionnaire of result.rows) {
+    await audit.log({
+      companyId: questionnaire.company_id,
+      action: audit.ACTIONS.QUESTIONNAIRE_CLOSE,
+      entityType: 'questionnaire',
+      entityId: questionnaire.id,
+      newValues: { status: 'closed' },
+      metadata: { automatic: true, ends_at: questionnaire.ends_at },
+    });
+  }
+  return result.rows;
+}
+
+/**
+ * One scheduler pass: reminders first, so the last ones go out before closing
+ * @param {Date} now
+ * @returns {Object} { reminded, closed }
+ */
+async function runScheduledTasks(now = new Date()) {
+  const reminded = await sendDueReminders(now);
+  const closed = await closeExpiredQuestionnaires(now);
+  return { reminded, closed: closed.length };
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { reminded, closed } = await runScheduledTasks();
+    if (reminded || closed) {
+      console.log(`📬 Campaigns: ${reminded} reminder(s) sent, ${closed} questionnaire(s) closed`);
+    }
+  } catch (error) {
+    console.error('Campaign scheduler error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start sending reminders and closing questionnaires in this process
+ */
+function startScheduler({ intervalMs = DEFAULT_SCHEDULER_INTERVAL_MS } = {}) {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref?.();
+  setImmediate(tick);
+}
+
+/**
+ * Stop the scheduler (the current pass finishes)
+ */
+function stopScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  parseRecipientCsv,
+  normalizeRecipients,
+  normalizeReminderHours,
+  dueReminderCount,
+  buildAccessLink,
+  loadCompanyUsers,
+  addRecipients,
+  listRecipients,
+  summarizeRecipients,
+  removeRecipient,
+  sendInvitations,
+  findRecipient,
+  recordProgress,
+  sendDueReminders,
+  closeExpiredQuestionnaires,
+  runScheduledTasks,
+  startScheduler,
+  stopScheduler,
+  isValidToken,
+  RECIPIENT_STATUSES,
+  PROGRESS_EVENTS,
+  MAX_RECIPIENTS_PER_REQUEST,
+  MAX_REMINDERS
+};
@@ -1,10 +1,33 @@
 /**
  * Clustering Service
- * 
- * Implements k-means clustering on VCPQ meta-vectors to group similar
- * responses into aggregated personas.
+ *
+ * Groups VCPQ meta-vectors of similar responses into aggregated personas.
+ *
+ * Algorithms: k-means (k-means++ seeding), hierarchical agglomerative,
+ * DBSCAN and Gaussian mixture (diagonal covariance). For the k-based
+ * algorithms k is chosen by silhouette score, elbow or gap statistic
+ * (or the legacy sqrt(n/2) heuristic). All randomness comes from a
+ * seeded RNG so the same responses and seed give the same personas.
  */
 
+const DEFAULT_SEED = 42;
+
+const ALGORITHMS = ['kmeans', 'hierarchical', 'dbscan', 'gmm'];
+const K_SELECTION_METHODS = ['silhouette', 'elbow', 'gap', 'heuristic'];
+const LINKAGES = ['average', 'complete', 'single', 'ward'];
+
+// k-means restarts; the lowest-inertia run wins
+const KMEANS_RESTARTS = 5;
+
+// Reference datasets for the gap statistic
+const GAP_REFERENCES = 5;
+
+// Silhouette is O(n²): score a seeded sample on large datasets
+const SILHOUETTE_SAMPLE = 1000;
+
+// Agglomerative clustering is O(n³)
+const HIERARCHICAL_MAX_POINTS = 1000;
+
 /**
  * Calculate Euclidean distance between two meta-vector objects
  */
@@ -19,159 +42,536 @@ function euclideanDistance(vec1, vec2) {
 }
 
 /**
- * Calculate centroid (average) of a cluster of meta-vectors
+ * Calculate centroid (average) of a cluster of meta-vectors. With
+ * confidences, each member counts in proportion to its confidence in the
+ * dimension (a plain average where nobody measured it).
+ * @param {Object[]} vectors - Meta-vectors
+ * @param {Object[]} confidences - Optional confidence per meta-vector, per vector
  */
-function calculateCentroid(vectors) {
+function calculateCentroid(vectors, confidences = null) {
     if (vectors.length === 0) return null;
 
     const keys = Object.keys(vectors[0]);
     const centroid = {};
 
     for (const key of keys) {
-        const sum = vectors.reduce((acc, v) => acc + (v[key] || 0), 0);
-        centroid[key] = Math.round((sum / vectors.length) * 100) / 100;
+        const weights = vectors.map((_, i) => confidenceOf(confidences?.[i], key));
+        const totalWeight = weights.reduce((acc, w) => acc + w, 0);
+        const sum = totalWeight > 0
+            ? vectors.reduce((acc, v, i) => acc + (v[key] || 0) * weights[i], 0) / totalWeight
+            : vectors.reduce((acc, v) => acc + (v[key] || 0), 0) / vectors.length;
+        centroid[key] = Math.round(sum * 100) / 100;
     }
 
     return centroid;
 }
 
 /**
- * Initialize centroids using k-means++ algorithm for better starting positions
+ * Confidence of a response in one meta-vector (1 when it carries none)
  */
-function initializeCentroids(vectors, k) {
-    const centroids = [];
-    const usedIndices = new Set();
+function confidenceOf(confidence, key) {
+    return confidence?.[key] ?? 1;
+}
 
-    // Pick first centroid randomly
-    const firstIdx = Math.floor(Math.random() * vectors.length);
-    centroids.push({ ...vectors[firstIdx] });
-    usedIndices.add(firstIdx);
+/**
+ * Feature rows for clustering. Each dimension is pulled towards neutral by
+ * the response's confidence in it, so uncertain dimensions (short or
+ * adaptive answers, items that disagree) separate respondents less.
+ */
+function featureMatrix(dataPoints, keys) {
+    return dataPoints.map(dp => keys.map(key => (dp.metaVectors[key] || 0) * confidenceOf(dp.confidence, key)));
+}
 
-    // Pick remaining centroids with probability proportional to distance
-    while (centroids.length < k) {
-        const distances = vectors.map((v, i) => {
-            if (usedIndices.has(i)) return 0;
-            const minDist = Math.min(...centroids.map(c => euclideanDistance(v, c)));
-            return minDist * minDist; // Square for probability weighting
-        });
+// =====================================================
+// SEEDED RNG
+// =====================================================
+
+/**
+ * Hash a numeric or string seed to a 32-bit integer (FNV-1a for strings)
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRng(seed = DEFAULT_SEED) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// =====================================================
+// VECTOR HELPERS (arrays)
+// =====================================================
+
+function squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+    return sum;
+}
+
+function distance(a, b) {
+    return Math.sqrt(squaredDistance(a, b));
+}
+
+function meanOf(rows) {
+    const mean = new Array(rows[0].length).fill(0);
+    for (const row of rows) {
+        for (let i = 0; i < row.length; i++) mean[i] += row[i];
+    }
+    return mean.map(v => v / rows.length);
+}
+
+/**
+ * Group row indices by label (noise, label -1, is skipped)
+ */
+function groupByLabel(labels) {
+    const groups = new Map();
+    labels.forEach((label, i) => {
+        if (label < 0) return;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(i);
+    });
+    return groups;
+}
+
+/**
+ * Renumber labels 0..k-1 in order of first appearance
+ */
+function normalizeLabels(labels) {
+    const mapping = new Map();
+    return labels.map(label => {
+        if (label < 0) return label;
+        if (!mapping.has(label)) mapping.set(label, mapping.size);
+        return mapping.get(label);
+    });
+}
+
+function labelCentroids(X, labels) {
+    const centroids = new Map();
+    for (const [label, indices] of groupByLabel(labels)) {
+        centroids.set(label, meanOf(indices.map(i => X[i])));
+    }
+    return centroids;
+}
+
+// =====================================================
+// QUALITY METRICS
+// =====================================================
+
+/**
+ * Within-cluster sum of squares
+ */
+function inertia(X, labels) {
+    const centroids = labelCentroids(X, labels);
+    let total = 0;
+    labels.forEach((label, i) => {
+        if (label >= 0) total += squaredDistance(X[i], centroids.get(label));
+    });
+    return total;
+}
+
+/**
+ * Mean silhouette coefficient (-1 to 1, higher is better separated).
+ * Undefined (null) for fewer than 2 or more than n-1 clusters.
+ */
+function silhouetteScore(X, labels, rng = createRng()) {
+    const groups = groupByLabel(labels);
+    const clustered = labels.filter(l => l >= 0).length;
+    if (groups.size < 2 || groups.size >= clustered) return null;
+
+    let sample = labels.map((l, i) => i).filter(i => labels[i] >= 0);
+    if (sample.length > SILHOUETTE_SAMPLE) {
+        // Seeded partial shuffle
+        for (let i = 0; i < SILHOUETTE_SAMPLE; i++) {
+            const j = i + Math.floor(rng() * (sample.length - i));
+            [sample[i], sample[j]] = [sample[j], sample[i]];
+        }
+        sample = sample.slice(0, SILHOUETTE_SAMPLE);
+    }
 
-        const totalDist = distances.reduce((a, b) => a + b, 0);
-        if (totalDist === 0) break;
+    let total = 0;
+    for (const i of sample) {
+        const own = groups.get(labels[i]);
+        if (own.length === 1) continue; // silhouette of a singleton is 0
+
+        let a = 0;
+        for (const j of own) if (j !== i) a += distance(X[i], X[j]);
+        a /= own.length - 1;
+
+        let b = Infinity;
+        for (const [label, members] of groups) {
+            if (label === labels[i]) continue;
+            let sum = 0;
+            for (const j of members) sum += distance(X[i], X[j]);
+            b = Math.min(b, sum / members.length);
+        }
+
+        total += (b - a) / Math.max(a, b) || 0;
+    }
+    return total / sample.length;
+}
+
+/**
+ * Davies-Bouldin index (lower is better)
+ */
+function daviesBouldinIndex(X, labels) {
+    const groups = groupByLabel(labels);
+    if (groups.size < 2) return null;
+
+    const centroids = labelCentroids(X, labels);
+    const scatter = new Map();
+    for (const [label, members] of groups) {
+        scatter.set(label, members.reduce((sum, i) => sum + distance(X[i], centroids.get(label)), 0) / members.length);
+    }
 
-        let random = Math.random() * totalDist;
-        for (let i = 0; i < distances.length; i++) {
-            random -= distances[i];
-            if (random <= 0 && !usedIndices.has(i)) {
-                centroids.push({ ...vectors[i] });
-                usedIndices.add(i);
+    let total = 0;
+    for (const a of groups.keys()) {
+        let worst = 0;
+        for (const b of groups.keys()) {
+            if (a === b) continue;
+            const separation = distance(centroids.get(a), centroids.get(b));
+            if (separation > 0) worst = Math.max(worst, (scatter.get(a) + scatter.get(b)) / separation);
+        }
+        total += worst;
+    }
+    return total / groups.size;
+}
+
+// =====================================================
+// K-MEANS
+// =====================================================
+
+/**
+ * Initialize centroids using k-means++ for better starting positions.
+ * Returns fewer than k centroids when there are fewer distinct points.
+ */
+function initializeCentroids(X, k, rng) {
+    const centroids = [X[Math.floor(rng() * X.length)]];
+
+    while (centroids.length < k) {
+        const weights = X.map(x => Math.min(...centroids.map(c => squaredDistance(x, c))));
+        const total = weights.reduce((a, b) => a + b, 0);
+        if (total === 0) break;
+
+        let target = rng() * total;
+        let next = weights.length - 1;
+        for (let i = 0; i < weights.length; i++) {
+            target -= weights[i];
+            if (target <= 0 && weights[i] > 0) {
+                next = i;
                 break;
             }
         }
+        centroids.push(X[next]);
     }
 
-    return centroids;
+    return centroids.map(c => [...c]);
 }
 
 /**
- * Assign each vector to nearest centroid
+ * Assign each row to its nearest centroid
  */
-function assignToClusters(vectors, centroids) {
-    return vectors.map(v => {
-        let minDist = Infinity;
-        let cluster = 0;
-
+function assignToNearest(X, centroids) {
+    return X.map(x => {
+        let best = 0;
+        let bestDist = Infinity;
         centroids.forEach((c, i) => {
-            const dist = euclideanDistance(v, c);
-            if (dist < minDist) {
-                minDist = dist;
-                cluster = i;
+            const d = squaredDistance(x, c);
+            if (d < bestDist) {
+                bestDist = d;
+                best = i;
             }
         });
-
-        return { cluster, distance: minDist };
+        return best;
     });
 }
 
 /**
- * K-means clustering algorithm
- * @param {Array} dataPoints - Array of {id, metaVectors, ...otherData}
- * @param {number} k - Number of clusters (max personas)
- * @param {number} maxIterations - Max iterations for convergence
- * @returns {Array} Clusters with assigned data points
+ * One k-means run from k-means++ seeds
  */
-function kMeansClustering(dataPoints, k, maxIterations = 50) {
-    if (dataPoints.length === 0) return [];
-    if (dataPoints.length <= k) {
-        // If fewer points than clusters, each is its own cluster
-        return dataPoints.map((dp, i) => ({
-            clusterId: i,
-            centroid: dp.metaVectors,
-            members: [dp],
-            size: 1
-        }));
+function kMeansRun(X, k, rng, maxIterations) {
+    let centroids = initializeCentroids(X, k, rng);
+    let labels = assignToNearest(X, centroids);
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        const groups = groupByLabel(labels);
+        // Keep the old centroid if a cluster is empty
+        const next = centroids.map((c, i) => groups.has(i) ? meanOf(groups.get(i).map(j => X[j])) : c);
+        const shift = Math.max(...next.map((c, i) => distance(c, centroids[i])));
+        centroids = next;
+        labels = assignToNearest(X, centroids);
+        if (shift <= 0.001) break;
     }
 
-    const vectors = dataPoints.map(dp => dp.metaVectors);
-    let centroids = initializeCentroids(vectors, k);
-    let assignments = [];
+    return { labels: normalizeLabels(labels), inertia: inertia(X, labels) };
+}
 
-    for (let iter = 0; iter < maxIterations; iter++) {
-        // Assign points to clusters
-        assignments = assignToClusters(vectors, centroids);
-
-        // Calculate new centroids
-        const newCentroids = [];
-        for (let i = 0; i < k; i++) {
-            const clusterVectors = vectors.filter((_, idx) => assignments[idx].cluster === i);
-            if (clusterVectors.length > 0) {
-                newCentroids.push(calculateCentroid(clusterVectors));
-            } else {
-                // Keep old centroid if cluster is empty
-                newCentroids.push(centroids[i]);
-            }
+/**
+ * k-means with restarts
+ * @returns {number[]} Labels
+ */
+function kMeansLabels(X, k, { rng = createRng(), maxIterations = 50, restarts = KMEANS_RESTARTS } = {}) {
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+        const result = kMeansRun(X, k, rng, maxIterations);
+        if (!best || result.inertia < best.inertia) best = result;
+    }
+    return best.labels;
+}
+
+// =====================================================
+// HIERARCHICAL AGGLOMERATIVE
+// =====================================================
+
+/**
+ * Build the full merge sequence with Lance-Williams distance updates.
+ * Ward linkage works on squared distances.
+ * @returns {Array} Merges [keep, absorbed] in order
+ */
+function agglomerativeMerges(X, linkage = 'average') {
+    const n = X.length;
+    if (n > HIERARCHICAL_MAX_POINTS) {
+        throw new Error(`Hierarchical clustering supports up to ${HIERARCHICAL_MAX_POINTS} responses`);
+    }
+
+    const D = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const d = linkage === 'ward' ? squaredDistance(X[i], X[j]) : distance(X[i], X[j]);
+            D[i * n + j] = d;
+            D[j * n + i] = d;
         }
+    }
 
-        // Check for convergence
-        let converged = true;
-        for (let i = 0; i < k; i++) {
-            if (euclideanDistance(centroids[i], newCentroids[i]) > 0.001) {
-                converged = false;
-                break;
+    const size = new Array(n).fill(1);
+    const active = new Set(X.map((_, i) => i));
+    const merges = [];
+
+    while (active.size > 1) {
+        let bestI = -1;
+        let bestJ = -1;
+        let best = Infinity;
+        for (const i of active) {
+            for (const j of active) {
+                if (j <= i) continue;
+                if (D[i * n + j] < best) {
+                    best = D[i * n + j];
+                    bestI = i;
+                    bestJ = j;
+                }
             }
         }
 
-        centroids = newCentroids;
+        const ni = size[bestI];
+        const nj = size[bestJ];
+        for (const k of active) {
+            if (k === bestI || k === bestJ) continue;
+            const dik = D[bestI * n + k];
+            const djk = D[bestJ * n + k];
+            let d;
+            if (linkage === 'single') d = Math.min(dik, djk);
+            else if (linkage === 'complete') d = Math.max(dik, djk);
+            else if (linkage === 'ward') {
+                const nk = size[k];
+                d = ((ni + nk) * dik + (nj + nk) * djk - nk * best) / (ni + nj + nk);
+            } else d = (ni * dik + nj * djk) / (ni + nj);
+            D[bestI * n + k] = d;
+            D[k * n + bestI] = d;
+        }
+
+        size[bestI] = ni + nj;
+        active.delete(bestJ);
+        merges.push([bestI, bestJ]);
+    }
+
+    return merges;
+}
+
+/**
+ * Cut the dendrogram into k clusters by replaying the first n-k merges
+ */
+function cutDendrogram(n, merges, k) {
+    const parent = Array.from({ length: n }, (_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (const [keep, absorbed] of merges.slice(0, Math.max(0, n - k))) {
+        parent[find(absorbed)] = find(keep);
+    }
+    return normalizeLabels(parent.map((_, i) => find(i)));
+}
+
+// =====================================================
+// DBSCAN
+// =====================================================
 
-        if (converged) {
-            console.log(`[Clustering] Converged after ${iter + 1} iterations`);
-            break;
+/**
+ * Pick eps at the knee of the sorted minPts-nearest-neighbour distances
+ */
+function estimateEps(X, minPts) {
+    const kDistances = X.map((x, i) => {
+        const d = X.filter((_, j) => j !== i).map(y => distance(x, y)).sort((a, b) => a - b);
+        return d[Math.min(minPts, d.length) - 1] || 0;
+    }).sort((a, b) => a - b);
+
+    const knee = kneeIndex(kDistances);
+    return kDistances[knee] || kDistances[Math.floor(kDistances.length / 2)] || 0.5;
+}
+
+/**
+ * DBSCAN labels; noise points get -1
+ */
+function dbscanLabels(X, eps, minPts) {
+    const labels = new Array(X.length).fill(undefined);
+    const neighbours = (i) => X.map((_, j) => j).filter(j => distance(X[i], X[j]) <= eps);
+    let cluster = -1;
+
+    for (let i = 0; i < X.length; i++) {
+        if (labels[i] !== undefined) continue;
+        const seeds = neighbours(i);
+        if (seeds.length < minPts) {
+            labels[i] = -1;
+            continue;
+        }
+
+        cluster++;
+        labels[i] = cluster;
+        const queue = seeds.filter(j => j !== i);
+        while (queue.length > 0) {
+            const j = queue.shift();
+            if (labels[j] === -1) labels[j] = cluster; // border point
+            if (labels[j] !== undefined) continue;
+            labels[j] = cluster;
+            const more = neighbours(j);
+            if (more.length >= minPts) queue.push(...more);
         }
     }
 
-    // Build cluster objects
-    const clusters = [];
-    for (let i = 0; i < k; i++) {
-        const members = dataPoints.filter((_, idx) => assignments[idx].cluster === i);
-        if (members.length > 0) {
-            clusters.push({
-                clusterId: i,
-                centroid: centroids[i],
-                members,
-                size: members.length,
-                avgDistance: members.reduce((sum, m, idx) => {
-                    const origIdx = dataPoints.indexOf(m);
-                    return sum + assignments[origIdx].distance;
-                }, 0) / members.length
-            });
+    return labels;
+}
+
+/**
+ * Every response needs a persona: attach noise points to the nearest
+ * cluster and merge the smallest clusters until at most maxK remain
+ */
+function finalizeDensityLabels(X, labels, maxK) {
+    let result = [...labels];
+    if (!result.some(l => l >= 0)) return result.map(() => 0);
+
+    let centroids = labelCentroids(X, result);
+    const nearest = (x, exclude) => {
+        let best = null;
+        let bestDist = Infinity;
+        for (const [label, c] of centroids) {
+            if (label === exclude) continue;
+            const d = squaredDistance(x, c);
+            if (d < bestDist) {
+                bestDist = d;
+                best = label;
+            }
         }
+        return best;
+    };
+
+    result = result.map((label, i) => (label >= 0 ? label : nearest(X[i])));
+
+    while (centroids.size > maxK) {
+        const groups = groupByLabel(result);
+        const [smallest] = [...groups.entries()].sort((a, b) => a[1].length - b[1].length)[0];
+        const target = nearest(centroids.get(smallest), smallest);
+        result = result.map(l => (l === smallest ? target : l));
+        centroids = labelCentroids(X, result);
     }
 
-    return clusters.sort((a, b) => b.size - a.size); // Sort by size descending
+    return normalizeLabels(result);
+}
+
+// =====================================================
+// GAUSSIAN MIXTURE (diagonal covariance, EM)
+// =====================================================
+
+const VARIANCE_FLOOR = 1e-3;
+
+function logSumExp(values) {
+    const max = Math.max(...values);
+    if (max === -Infinity) return max;
+    return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
 }
 
 /**
- * Determine optimal k using elbow method or silhouette
- * For simplicity, we use a heuristic: sqrt(n/2) capped at maxK
+ * Fit a diagonal-covariance Gaussian mixture, initialized from k-means
+ * @returns {Object} { labels, logLikelihood, bic }
+ */
+function gmmFit(X, k, { rng = createRng(), maxIterations = 100, tolerance = 1e-4 } = {}) {
+    const n = X.length;
+    const d = X[0].length;
+    const initial = kMeansLabels(X, k, { rng });
+    const groups = [...groupByLabel(initial).values()];
+    const components = groups.length;
+
+    let means = groups.map(g => meanOf(g.map(i => X[i])));
+    let variances = groups.map((g, c) => means[c].map((m, dim) =>
+        Math.max(VARIANCE_FLOOR, g.reduce((s, i) => s + (X[i][dim] - m) ** 2, 0) / g.length)));
+    let weights = groups.map(g => g.length / n);
+
+    let logLikelihood = -Infinity;
+    let resp = [];
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        // E-step
+        let total = 0;
+        resp = X.map(x => {
+            const logs = means.map((mean, c) => {
+                let lp = Math.log(weights[c]);
+                for (let dim = 0; dim < d; dim++) {
+                    lp -= 0.5 * (Math.log(2 * Math.PI * variances[c][dim]) + (x[dim] - mean[dim]) ** 2 / variances[c][dim]);
+                }
+                return lp;
+            });
+            const norm = logSumExp(logs);
+            total += norm;
+            return logs.map(lp => Math.exp(lp - norm));
+        });
+
+        // M-step
+        const mass = means.map((_, c) => resp.reduce((s, r) => s + r[c], 0) + 1e-10);
+        weights = mass.map(m => m / n);
+        means = mass.map((m, c) => new Array(d).fill(0).map((_, dim) => resp.reduce((s, r, i) => s + r[c] * X[i][dim], 0) / m));
+        variances = mass.map((m, c) => new Array(d).fill(0).map((_, dim) =>
+            Math.max(VARIANCE_FLOOR, resp.reduce((s, r, i) => s + r[c] * (X[i][dim] - means[c][dim]) ** 2, 0) / m)));
+
+        const converged = Math.abs(total - logLikelihood) < tolerance * Math.abs(total || 1);
+        logLikelihood = total;
+        if (converged) break;
+    }
+
+    const labels = normalizeLabels(resp.map(r => r.indexOf(Math.max(...r))));
+    const parameters = components * 2 * d + (components - 1);
+    return { labels, logLikelihood, bic: -2 * logLikelihood + parameters * Math.log(n) };
+}
+
+// =====================================================
+// K SELECTION
+// =====================================================
+
+/**
+ * Determine optimal k using the legacy heuristic: sqrt(n/2) capped at maxK
  */
 function determineOptimalK(n, maxK = 10, minK = 3) {
     if (n <= minK) return n;
@@ -181,6 +581,132 @@ function determineOptimalK(n, maxK = 10, minK = 3) {
     return Math.max(minK, Math.min(maxK, suggested));
 }
 
+/**
+ * Index of the point furthest below the chord from first to last point
+ */
+function kneeIndex(values) {
+    if (values.length < 3) return 0;
+    const last = values.length - 1;
+    const span = values[last] - values[0];
+    let best = 0;
+    let bestGap = -Infinity;
+    values.forEach((v, i) => {
+        const chord = values[0] + (span * i) / last;
+        const gap = Math.abs(chord - v);
+        if (gap > bestGap) {
+            bestGap = gap;
+            best = i;
+        }
+    });
+    return best;
+}
+
+/**
+ * Gap statistic for each k: compares log(inertia) with uniform reference
+ * data in the bounding box (references clustered with k-means)
+ */
+function gapStatistics(X, ks, inertias, seed) {
+    const d = X[0].length;
+    const mins = new Array(d).fill(0).map((_, dim) => Math.min(...X.map(x => x[dim])));
+    const maxs = new Array(d).fill(0).map((_, dim) => Math.max(...X.map(x => x[dim])));
+    const rng = createRng(`${seed}:gap`);
+
+    const references = Array.from({ length: GAP_REFERENCES }, () =>
+        X.map(() => mins.map((min, dim) => min + rng() * (maxs[dim] - min))));
+
+    return ks.map((k, idx) => {
+        const logs = references.map((ref, r) => {
+            const labels = kMeansLabels(ref, k, { rng: createRng(`${seed}:gap:${k}:${r}`), restarts: 1 });
+            return Math.log(inertia(ref, labels) || 1e-10);
+        });
+        const mean = logs.reduce((a, b) => a + b, 0) / logs.length;
+        const sd = Math.sqrt(logs.reduce((s, v) => s + (v - mean) ** 2, 0) / logs.length);
+        return {
+            gap: mean - Math.log(inertias[idx] || 1e-10),
+            gap_se: sd * Math.sqrt(1 + 1 / GAP_REFERENCES)
+        };
+    });
+}
+
+/**
+ * Pick k among candidates
+ * @returns {Object} { k, reason }
+ */
+function pickK(method, candidates, n, maxK, minK) {
+    if (method === 'heuristic') {
+        return { k: determineOptimalK(n, maxK, minK), reason: 'sqrt(n/2) heuristic' };
+    }
+
+    if (method === 'elbow') {
+        const knee = kneeIndex(candidates.map(c => c.inertia));
+        return { k: candidates[knee].k, reason: 'Largest bend in the within-cluster sum of squares' };
+    }
+
+    if (method === 'gap') {
+        // Smallest k with Gap(k) >= Gap(k+1) - s(k+1)
+        for (let i = 0; i < candidates.length - 1; i++) {
+            if (candidates[i].gap >= candidates[i + 1].gap - candidates[i + 1].gap_se) {
+                return { k: candidates[i].k, reason: 'Smallest k whose gap is within one standard error of the next' };
+            }
+        }
+        return { k: candidates[candidates.length - 1].k, reason: 'Gap kept growing up to the maximum k' };
+    }
+
+    const scored = candidates.filter(c => c.silhouette !== null);
+    if (scored.length === 0) {
+        return { k: candidates[0].k, reason: 'Too few responses to compute silhouette scores' };
+    }
+    const best = scored.reduce((a, b) => (b.silhouette > a.silhouette ? b : a));
+    return { k: best.k, reason: 'Highest mean silhouette score' };
+}
+
+// =====================================================
+// CLUSTER OBJECTS
+// =====================================================
+
+/**
+ * Turn labels into cluster objects
+ * ({ clusterId, centroid, confidence, members, size, avgDistance }), largest first
+ */
+function buildClusters(dataPoints, labels) {
+    const clusters = [];
+    for (const [label, indices] of groupByLabel(labels)) {
+        const members = indices.map(i => dataPoints[i]);
+        const confidences = members.map(m => m.confidence);
+        const centroid = calculateCentroid(members.map(m => m.metaVectors), confidences);
+        clusters.push({
+            clusterId: label,
+            centroid,
+            confidence: Object.fromEntries(Object.keys(centroid).map(key => [
+                key,
+                Math.round(confidences.reduce((acc, c) => acc + confidenceOf(c, key), 0) / members.length * 100) / 100
+            ])),
+            members,
+            size: members.length,
+            avgDistance: members.reduce((sum, m) => sum + euclideanDistance(m.metaVectors, centroid), 0) / members.length
+        });
+    }
+    return clusters.sort((a, b) => b.size - a.size); // Sort by size descending
+}
+
+/**
+ * K-means clustering algorithm
+ * @param {Array} dataPoints - Array of {id, metaVectors, ...otherData}
+ * @param {number} k - Number of clusters (max personas)
+ * @param {Object} options - { seed, maxIterations }
+ * @returns {Array} Clusters with assigned data points
+ */
+function kMeansClustering(dataPoints, k, options = {}) {
+    if (dataPoints.length === 0) return [];
+    if (dataPoints.length <= k) {
+        return buildClusters(dataPoints, dataPoints.map((_, i) => i));
+    }
+
+    const X = featureMatrix(dataPoints, Object.keys(dataPoints[0].metaVectors));
+    const labels = kMeansLabels(X, k, { rng: createRng(options.seed ?? DEFAULT_SEED), maxIterations: options.maxIterations });
+    return buildClusters(dataPoints, labels);
+}
+
 /**
  * Aggregate demographics from cluster members
  */
@@ -210,36 +736,172 @@ function aggregateDemographics(members) {
 }
 
 /**
- * Main clustering function for persona generation
- * @param {Array} responses - Array of processed responses with metaVectors
- * @param {Object} options - Clustering options
- * @returns {Array} Clustered personas ready for insertion
+ * Check clustering options
+ * @returns {string[]} Errors (empty when valid)
  */
-function clusterResponses(responses, options = {}) {
-    const { maxPersonas = 10, minPersonas = 3 } = options;
+function validateClusteringOptions(options = {}) {
+    const errors = [];
+    if (options.algorithm !== undefined && !ALGORITHMS.includes(options.algorithm)) {
+        errors.push(`algorithm must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+    if (options.kSelection !== undefined && !K_SELECTION_METHODS.includes(options.kSelection)) {
+        errors.push(`kSelection must be one of: ${K_SELECTION_METHODS.join(', ')}`);
+    }
+    if (options.linkage !== undefined && !LINKAGES.includes(options.linkage)) {
+        errors.push(`linkage must be one of: ${LINKAGES.join(', ')}`);
+    }
+    for (const key of ['k', 'maxPersonas', 'minPts']) {
+        if (options[key] !== undefined && options[key] !== null && !(Number.isInteger(options[key]) && options[key] >= 1)) {
+            errors.push(`${key} must be a positive integer`);
+        }
+    }
+    if (options.eps !== undefined && !(typeof options.eps === 'number' && options.eps > 0)) {
+        errors.push('eps must be a positive number');
+    }
+    return errors;
+}
+
+const round = (value, digits = 4) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
 
-    console.log(`[Clustering] Processing ${responses.length} responses into max ${maxPersonas} personas`);
+/**
+ * Cluster responses and report how the clustering was chosen
+ * @param {Array} responses - Processed responses ({ id, vcpqScores, customAnswers, demographics, vectorResult });
+ *   vectorResult.confidence weights each dimension (see featureMatrix)
+ * @param {Object} options
+ * @param {string} options.algorithm - kmeans | hierarchical | dbscan | gmm
+ * @param {string} options.kSelection - silhouette | elbow | gap | heuristic
+ * @param {number} options.k - Fixed number of clusters (skips k selection)
+ * @param {number} options.maxPersonas - Upper bound for k
+ * @param {number} options.minPersonas - Lower bound for k
+ * @param {number|string} options.seed - RNG seed
+ * @param {string} options.linkage - Hierarchical linkage (average, complete, single, ward)
+ * @param {number} options.eps - DBSCAN neighbourhood radius (estimated when omitted)
+ * @param {number} options.minPts - DBSCAN core point threshold
+ * @returns {Object} { clusters, metrics }
+ */
+function runClustering(responses, options = {}) {
+    const {
+        algorithm = 'kmeans',
+        kSelection = 'silhouette',
+        maxPersonas = 10,
+        minPersonas = 3,
+        seed = DEFAULT_SEED,
+        linkage = 'average'
+    } = options;
+
+    const errors = validateClusteringOptions(options);
+    if (errors.length > 0) throw new Error(errors.join('; '));
 
     // Prepare data points
     const dataPoints = responses.map(r => ({
         id: r.id,
         metaVectors: r.vectorResult.meta_vectors,
+        confidence: r.vectorResult.confidence || null,
         vcpqScores: r.vcpqScores,
+        customAnswers: r.customAnswers,
         demographics: r.demographics,
         vectorResult: r.vectorResult
     }));
 
-    // Determine k
-    const k = determineOptimalK(responses.length, maxPersonas, minPersonas);
-    console.log(`[Clustering] Using k=${k} clusters for ${responses.length} responses`);
+    const metrics = { algorithm, seed, responses: dataPoints.length };
+    if (dataPoints.length === 0) return { clusters: [], metrics };
+
+    const X = featureMatrix(dataPoints, Object.keys(dataPoints[0].metaVectors));
+    const n = X.length;
+
+    let labels;
+    if (algorithm === 'dbscan') {
+        const minPts = options.minPts || Math.max(3, Math.min(10, Math.round(Math.log(n))));
+        const eps = options.eps || estimateEps(X, minPts);
+        const raw = n > 1 ? dbscanLabels(X, eps, minPts) : [0];
+        labels = finalizeDensityLabels(X, raw, Math.max(1, maxPersonas));
+        Object.assign(metrics, {
+            eps: round(eps),
+            min_pts: minPts,
+            noise_points: raw.filter(l => l < 0).length,
+            k_selection: { method: 'density', reason: 'DBSCAN finds the number of clusters from point density' }
+        });
+    } else {
+        let labelsFor;
+        if (algorithm === 'hierarchical') {
+            const merges = agglomerativeMerges(X, linkage);
+            labelsFor = (k) => cutDendrogram(n, merges, k);
+            metrics.linkage = linkage;
+        } else if (algorithm === 'gmm') {
+            labelsFor = (k) => gmmFit(X, k, { rng: createRng(`${seed}:${k}`) }).labels;
+        } else {
+            labelsFor = (k) => kMeansLabels(X, k, { rng: createRng(`${seed}:${k}`) });
+        }
+
+        if (options.k) {
+            const k = Math.min(options.k, n);
+            labels = labelsFor(k);
+            metrics.k_selection = { method: 'fixed', reason: 'k set explicitly' };
+        } else {
+            const upper = Math.max(1, Math.min(maxPersonas, n));
+            const lower = Math.min(Math.max(1, minPersonas), upper);
+            const ks = [];
+            for (let k = lower; k <= upper; k++) ks.push(k);
+
+            const candidateLabels = ks.map(k => labelsFor(k));
+            const candidates = ks.map((k, i) => ({
+                k,
+                silhouette: silhouetteScore(X, candidateLabels[i], createRng(`${seed}:silhouette`)),
+                inertia: inertia(X, candidateLabels[i])
+            }));
+
+            if (kSelection === 'gap') {
+                gapStatistics(X, ks, candidates.map(c => c.inertia), seed)
+                    .forEach((gap, i) => Object.assign(candidates[i], gap));
+            }
+
+            const choice = pickK(kSelection, candidates, n, upper, lower);
+            const chosen = ks.indexOf(choice.k);
+            labels = chosen >= 0 ? candidateLabels[chosen] : labelsFor(choice.k);
+
+            metrics.k_selection = {
+                method: kSelection,
+                min_k: lower,
+                max_k: upper,
+                reason: choice.reason,
+                candidates: candidates.map(c => ({
+                    k: c.k,
+                    silhouette: round(c.silhouette),
+                    inertia: round(c.inertia),
+                    ...(c.gap !== undefined ? { gap: round(c.gap), gap_se: round(c.gap_se) } : {})
+                }))
+            };
+        }
+
+        if (algorithm === 'gmm') {
+            const k = new Set(labels).size;
+            metrics.bic = round(gmmFit(X, k, { rng: createRng(`${seed}:${k}`) }).bic, 2);
+        }
+    }
+
+    const clusters = buildClusters(dataPoints, labels);
+
+    Object.assign(metrics, {
+        k: clusters.length,
+        silhouette: round(silhouetteScore(X, labels, createRng(`${seed}:silhouette`))),
+        davies_bouldin: round(daviesBouldinIndex(X, labels)),
+        inertia: round(inertia(X, labels))
+    });
 
-    // Run clustering
-    const clusters = kMeansClustering(dataPoints, k);
+    console.log(`[Clustering] ${algorithm}: ${clusters.length} clusters from ${n} responses`,
+        clusters.map(c => c.size));
 
-    console.log(`[Clustering] Created ${clusters.length} clusters:`,
-        clusters.map(c => `Cluster ${c.clusterId}: ${c.size} members`));
+    return { clusters, metrics };
+}
 
-    return clusters;
+/**
+ * Main clustering function for persona generation
+ * @param {Array} responses - Array of processed responses with metaVectors
+ * @param {Object} options - Clustering options (see runClustering)
+ * @returns {Array} Clustered personas ready for insertion
+ */
+function clusterResponses(responses, options = {}) {
+    return runClustering(responses, options).clusters;
 }
 
 module.exports = {
@@ -248,5 +910,13 @@ module.exports = {
     kMeansClustering,
     determineOptimalK,
     aggregateDemographics,
-    clusterResponses
+    clusterResponses,
+    runClustering,
+    validateClusteringOptions,
+    silhouetteScore,
+    createRng,
+    ALGORITHMS,
+    K_SELECTION_METHODS,
+    LINKAGES,
+    DEFAULT_SEED
 };
@@ -0,0 +1,222 @@
+/**
+ * Company Lexicon Service
+ *
+ * Custom domain lexicons authored by company admins (company_lexicons
+ * table). Each one inherits from a built-in domain and is turned into a
+ * full lexicon with lexiconService.buildLexicon before prompt compilation.
+ */
+
+const { query } = require('../config/database');
+const lexiconService = require('./lexicon.service');
+
+// Columns admins can set
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'base_domain',
+  'extend_base',
+  'vocabulary',
+  'phrases',
+  'style',
+  'formatting',
+  'emotional',
+  'is_active'
+];
+
+const JSON_FIELDS = ['vocabulary', 'phrases', 'style', 'formatting', 'emotional'];
+
+// Style modifiers and their allowed ranges
+const STYLE_RANGES = {
+  defaultSkepticism: [0, 1],
+  dataEmphasis: [0, 1],
+  verbosityModifier: [-1, 1],
+  formalityModifier: [-1, 1]
+};
+
+const STYLE_TEXT_FIELDS = ['preferredFormat', 'questioningStyle'];
+
+const FORMATTING_FLAGS = [
+  'useBullets',
+  'useCodeBlocks',
+  'includeMetrics',
+  'preferDiagrams',
+  'usePassiveVoice',
+  'includeDisclosures',
+  'requireExecutiveSummary',
+  'useHeadings',
+  'useSandwichFeedback',
+  'warmClosings'
+];
+
+const MAX_LIST_ITEMS = 200;
+
+const isStringList = (value) => Array.isArray(value)
+  && value.length <= MAX_LIST_ITEMS
+  && value.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= 300);
+
+/**
+ * Check the lexicon sections a request sets
+ * @param {Object} data - Request body
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateLexicon(data) {
+  const errors = [];
+
+  if (data.base_domain !== undefined && !lexiconService.DOMAIN_LEXICONS[data.base_domain]) {
+    errors.push(`base_domain must be one of: ${Object.keys(lexiconService.DOMAIN_LEXICONS).join(', ')}`);
+  }
+
+  for (const field of ['vocabulary', 'phrases']) {
+    if (data[field] !== undefined && !isStringList(data[field])) {
+      errors.push(`${field} must be a list of up to ${MAX_LIST_ITEMS} non-empty strings`);
+    }
+  }
+
+  if (data.style !== undefined) {
+    for (const [key, value] of Object.entries(data.style || {})) {
+      if (value === null) continue;
+      if (STYLE_RANGES[key]) {
+        const [min, max] = STYLE_RANGES[key];
+        if (typeof value !== 'number' || value < min || value > max) {
+          errors.push(`style.${key} must be a number between ${min} and ${max}`);
+        }
+      } else if (STYLE_TEXT_FIELDS.includes(key)) {
+        if (typeof value !== 'string' || value.length > 50) errors.push(`style.${key} must be a short string`);
+      } else {
+        errors.push(`Unknown style setting: ${key}`);
+      }
+    }
+  }
+
+  if (data.formatting !== undefined) {
+    for (const [key, value] of Object.entries(data.formatting || {})) {
+      if (value === null) continue;
+      if (key === 'maxParagraphLength') {
+        if (!Number.isInteger(value) || value < 1 || value > 20) {
+          errors.push('formatting.maxParagraphLength must be an integer between 1 and 20');
+        }
+      } else if (FORMATTING_FLAGS.includes(key)) {
+        if (typeof value !== 'boolean') errors.push(`formatting.${key} must be true or false`);
+      } else {
+        errors.push(`Unknown formatting setting: ${key}`);
+      }
+    }
+  }
+
+  if (data.emotional !== undefined) {
+    for (const [key, value] of Object.entries(data.emotional || {})) {
+      if (value === null) continue;
+      if (key === 'frustrationTriggers' || key === 'enthusiasmTriggers') {
+        if (!isStringList(value)) errors.push(`emotional.${key} must be a list of non-empty strings`);
+      } else if (key === 'defaultTone') {
+        if (typeof value !== 'string' || value.length > 50) errors.push('emotional.defaultTone must be a short string');
+      } else {
+        errors.push(`Unknown emotional setting: ${key}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * List a company's lexicons
+ * @param {string} companyId - Company UUID
+ * @param {Object} options - { activeOnly }
+ * @returns {Object[]} Lexicon rows
+ */
+async function listLexicons(companyId, { activeOnly = false } = {}) {
+  const result = await query(
+    `SELECT l.*,
+            (SELECT COUNT(*) FROM personas p WHERE p.lexicon_id = l.id)::int as persona_count
+     FROM company_lexicons l
+     WHERE l.company_id = $1 ${activeOnly ? 'AND l.is_active = true' : ''}
+     ORDER BY l.name`,
+    [companyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one lexicon
+ * @param {string} id - Lexicon UUID
+ * @returns {Object|null} Lexicon row
+ */
+async function getLexicon(id) {
+  const result = await query('SELECT * FROM company_lexicons WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a lexicon
+ * @param {string} companyId - Owning company
+ * @param {Object} data - Editable fields
+ * @param {string} userId - Author
+ * @returns {Object} Lexicon row
+ */
+async function createLexicon(companyId, data, userId) {
+  const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+  const values = fields.map(field => (JSON_FIELDS.includes(field) ? JSON.stringify(data[field]) : data[field]));
+
+  const result = await query(
+    `INSERT INTO company_lexicons (company_id, created_by${fields.map(f => `, ${f}`).join('')})
+     VALUES ($1, $2${fields.map((_, i) => `, $${i + 3}`).join('')})
+     RETURNING *`,
+    [companyId, userId, ...values]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update a lexicon
+ * @param {string} id - Lexicon UUID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated row
+ */
+async function updateLexicon(id, data) {
+  const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+  if (fields.length === 0) {
+    return getLexicon(id);
+  }
+
+  const values = fields.map(field => (JSON_FIELDS.includes(field) ? JSON.stringify(data[field]) : data[field]));
+  const result = await query(
+    `UPDATE company_lexicons SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+     WHERE id = $1 RETURNING *`,
+    [id, ...values]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Delete a lexicon. Personas generated with it keep their compiled prompt.
+ * @param {string} id - Lexicon UUID
+ */
+async function deleteLexicon(id) {
+  await query('DELETE FROM company_lexicons WHERE id = $1', [id]);
+}
+
+/**
+ * Load a company's active lexicon and build it on its base domain
+ * @param {string} id - Lexicon UUID
+ * @param {string|null} companyId - Company the lexicon must belong to (null skips the check, for super admins)
+ * @returns {Object|null} Built lexicon, or null if missing, inactive or another company's
+ */
+async function resolveLexicon(id, companyId) {
+  const row = await getLexicon(id);
+  if (!row || (companyId !== null && row.company_id !== companyId) || row.is_active === false) {
+    return null;
+  }
+  return lexiconService.buildLexicon(row);
+}
+
+module.exports = {
+  validateLexicon,
+  listLexicons,
+  getLexicon,
+  createLexicon,
+  updateLexicon,
+  deleteLexicon,
+  resolveLexicon,
+  EDITABLE_FIELDS
+};
@@ -0,0 +1,283 @@
+/**
+ * Custom Question Service
+ *
+ * Turns answers to a questionnaire's custom questions into persona
+ * material. Likert items mapped onto a meta-vector are weighted into the
+ * VCPQ vectors, choice answers are tallied per cluster, and free-text
+ * answers are distilled by the LLM into quotes and pain points.
+ */
+
+const { query } = require('../config/database');
+const vectorService = require('./vector.service');
+const { createChatCompletion } = require('./llmProvider.service');
+
+const CUSTOM_QUESTION_TYPES = ['single_choice', 'multiple_choice', 'text', 'likert'];
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+
+// Upper bound for a mapped item's weight (a VCPQ item weighs 1)
+const MAX_MAPPING_WEIGHT = 3;
+
+// Free-text answers kept per question and cluster, and their length
+const MAX_TEXT_SAMPLES = 25;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Parse a questionnaire's custom_questions column
+ * @param {string|Object[]} value - Stored custom questions
+ * @returns {Object[]} Custom questions
+ */
+function parseCustomQuestions(value) {
+  const questions = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(questions) ? questions : [];
+}
+
+/**
+ * Load a questionnaire's custom questions
+ * @param {string} questionnaireId - Questionnaire UUID
+ * @returns {Object[]} Custom questions
+ */
+async function loadCustomQuestions(questionnaireId) {
+  const result = await query('SELECT custom_questions FROM questionnaires WHERE id = $1', [questionnaireId]);
+  return parseCustomQuestions(result.rows[0]?.custom_questions);
+}
+
+/**
+ * Check custom question definitions
+ * @param {Object[]} questions - Custom questions from a request
+ * @param {Object} instrumentMeta - Item metadata of the questionnaire's instrument, whose ids are reserved
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateCustomQuestions(questions, instrumentMeta = vectorService.QUESTION_META) {
+  if (!Array.isArray(questions)) {
+    return ['customQuestions must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  questions.forEach((q, index) => {
+    const label = `customQuestions[${index}]`;
+    if (!q || typeof q.id !== 'string' || !q.id.trim()) {
+      errors.push(`${label}.id is required`);
+      return;
+    }
+    if (instrumentMeta[q.id]) {
+      const owner = instrumentMeta === vectorService.QUESTION_META ? 'VCPQ' : 'instrument';
+      errors.push(`${label}.id ${q.id} is reserved for ${owner} items`);
+    }
+    if (seen.has(q.id)) {
+      errors.push(`${label}.id ${q.id} is used more than once`);
+    }
+    seen.add(q.id);
+
+    if (typeof q.question !== 'string' || !q.question.trim()) {
+      errors.push(`${label}.question is required`);
+    }
+    if (!CUSTOM_QUESTION_TYPES.includes(q.type)) {
+      errors.push(`${label}.type must be one of: ${CUSTOM_QUESTION_TYPES.join(', ')}`);
+    }
+    if (CHOICE_TYPES.includes(q.type) && (!Array.isArray(q.options) || q.options.length < 2)) {
+      errors.push(`${label}.options needs at least 2 options`);
+    }
+
+    const mapping = q.vector_mapping;
+    if (mapping === undefined || mapping === null) return;
+    if (q.type !== 'likert') {
+      errors.push(`${label}.vector_mapping is only allowed on likert questions`);
+      return;
+    }
+    if (!vectorService.META_VECTOR_LABELS[mapping.meta]) {
+      errors.push(`${label}.vector_mapping.meta must be a meta-vector`);
+    }
+    if (mapping.weight !== undefined
+      && (typeof mapping.weight !== 'number' || mapping.weight <= 0 || mapping.weight > MAX_MAPPING_WEIGHT)) {
+      errors.push(`${label}.vector_mapping.weight must be greater than 0 and at most ${MAX_MAPPING_WEIGHT}`);
+    }
+    if (mapping.reversed !== undefined && typeof mapping.reversed !== 'boolean') {
+      errors.push(`${label}.vector_mapping.reversed must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Hide scoring details from respondents
+ * @param {Object[]} questions - Custom questions
+ * @returns {Object[]} Questions without vector mappings
+ */
+function toPublicQuestions(questions) {
+  return questions.map(({ vector_mapping, ...question }) => question);
+}
+
+/**
+ * Pick one response's answers to the custom questions, by question type
+ * @param {Object} answers - Response answers keyed by question id
+ * @param {Object[]} questions - Custom questions
+ * @returns {Object} { likert, choices, text } keyed by question id
+ */
+function extractCustomAnswers(answers, questions) {
+  const custom = { likert: {}, choices: {}, text: {} };
+
+  for (const q of questions) {
+    const value = answers[q.id];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (q.type === 'likert') {
+      const score = Number(value);
+      if (score >= 1 && score <= 5) custom.likert[q.id] = score;
+    } else if (CHOICE_TYPES.includes(q.type)) {
+      custom.choices[q.id] = Array.isArray(value) ? value.map(String) : [String(value)];
+    } else if (q.type === 'text' && typeof value === 'string' && value.trim()) {
+      custom.text[q.id] = value.trim().slice(0, MAX_TEXT_LENGTH);
+    }
+  }
+
+  return custom;
+}
+
+/**
+ * Turn Likert scores for mapped questions into items for vector scoring
+ * @param {Object[]} questions - Custom questions
+ * @param {Object} likertScores - Scores keyed by question id
+ * @returns {Object[]} { id, meta, score, weight, reversed }
+ */
+function getMappedItems(questions, likertScores) {
+  return questions
+    .filter(q => q.type === 'likert' && q.vector_mapping?.meta && likertScores[q.id] !== undefined)
+    .map(q => ({
+      id: q.id,
+      meta: q.vector_mapping.meta,
+      score: likertScores[q.id],
+      weight: q.vector_mapping.weight ?? 1,
+      reversed: q.vector_mapping.reversed === true
+    }));
+}
+
+/**
+ * Summarize a cluster's custom answers, so the persona can be generated
+ * later from the stored cluster alone
+ * @param {Object[]} members - Processed responses with customAnswers
+ * @param {Object[]} questions - Custom questions
+ * @returns {Object|null} { mapped_items, choices, text }
+ */
+function summarizeCustomAnswers(members, questions) {
+  if (questions.length === 0) return null;
+
+  // Mapped Likert items, averaged across the cluster
+  const avgLikert = {};
+  for (const q of questions.filter(item => item.type === 'likert')) {
+    const scores = members.map(m => m.customAnswers?.likert[q.id]).filter(score => score !== undefined);
+    if (scores.length > 0) {
+      avgLikert[q.id] = Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100;
+    }
+  }
+
+  const choices = questions
+    .filter(q => CHOICE_TYPES.includes(q.type))
+    .map(q => {
+      const picked = members.map(m => m.customAnswers?.choices[q.id]).filter(Boolean);
+      const counts = {};
+      for (const option of q.options || []) counts[option] = 0;
+      for (const selection of picked) {
+        for (const option of selection) counts[option] = (counts[option] || 0) + 1;
+      }
+      return {
+        id: q.id,
+        question: q.question,
+        type: q.type,
+        answered: picked.length,
+        distribution: Object.entries(counts)
+          .map(([option, count]) => ({
+            option,
+            count,
+            percentage: picked.length ? Math.round((count / picked.length) * 100) : 0
+          }))
+          .sort((a, b) => b.count - a.count)
+      };
+    })
+    .filter(summary => summary.answered > 0);
+
+  const text = questions
+    .filter(q => q.type === 'text')
+    .map(q => ({
+      id: q.id,
+      question: q.question,
+      answers: members.map(m => m.customAnswers?.text[q.id]).filter(Boolean).slice(0, MAX_TEXT_SAMPLES)
+    }))
+    .filter(summary => summary.answers.length > 0);
+
+  return {
+    mapped_items: getMappedItems(questions, avgLikert),
+    choices,
+    text
+  };
+}
+
+/**
+ * Distill a cluster's free-text answers into representative quotes and pain points
+ * @param {Object[]} text - Text summaries from summarizeCustomAnswers
+ * @param {Object} llm - Company LLM config
+ * @returns {Object|null} { quotes, pain_points, generated_by }, or null without answers
+ */
+async function distillFreeText(text, llm = {}) {
+  if (!text || text.length === 0) return null;
+
+  const answerBlock = text
+    .map(q => `QUESTION: ${q.question}\n${q.answers.map(a => `- "${a.replace(/\s+/g, ' ')}"`).join('\n')}`)
+    .join('\n\n');
+
+  const prompt = `You are summarizing open-ended survey answers from a group of employees with similar working styles.
+
+${answerBlock}
+
+Generate a JSON object with these exact keys:
+{
+  "quotes": ["quote1", "quote2", "quote3"],
+  "pain_points": ["pain point1", "pain point2", "pain point3"]
+}
+
+RULES:
+- Quotes must be copied from the answers above (you may shorten them), choosing the most representative ones
+- Pain points are short phrases describing recurring frustrations or obstacles
+- Use at most 3 quotes and 5 pain points
+- Return ONLY valid JSON, no markdown or explanation`;
+
+  try {
+    const response = await createChatCompletion({
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 500,
+      temperature: 0.3
+    }, llm);
+
+    const content = response.choices[0]?.message?.content?.trim() || '';
+    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const distilled = JSON.parse(jsonMatch ? jsonMatch[1].trim() : content);
+
+    return {
+      quotes: (distilled.quotes || []).filter(q => typeof q === 'string').slice(0, 3),
+      pain_points: (distilled.pain_points || []).filter(p => typeof p === 'string').slice(0, 5),
+      generated_by: 'llm'
+    };
+  } catch (error) {
+    console.error('Error distilling free-text answers, using fallback:', error.message);
+    return {
+      quotes: text.flatMap(q => q.answers).slice(0, 3),
+      pain_points: [],
+      generated_by: 'fallback'
+    };
+  }
+}
+
+module.exports = {
+  parseCustomQuestions,
+  loadCustomQuestions,
+  validateCustomQuestions,
+  toPublicQuestions,
+  extractCustomAnswers,
+  getMappedItems,
+  summarizeCustomAnswers,
+  distillFreeText,
+  CUSTOM_QUESTION_TYPES,
+  MAX_MAPPING_WEIGHT
+};
@@ -9,10 +9,11 @@ const initializeTransporter = () => {
       host: process.env.SMTP_HOST,
       port: parseInt(process.env.SMTP_PORT) || 587,
       secure: process.env.SMTP_PORT === '465',
-      auth: {
+      // A local stand-in (scripts/smtp-sink.js) takes mail without credentials
+      auth: process.env.SMTP_USER ? {
         user: process.env.SMTP_USER,
         pass: process.env.SMTP_PASS,
-      },
+      } : undefined,
     });
     console.log('✅ Email service configured');
   } else {
@@ -35,6 +36,13 @@ const initializeTransporter = () => {
   }
 };
 
+// Recipient names come from uploaded lists, so keep them out of the markup
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 /**
  * Send user invitation email
  */
@@ -123,18 +131,26 @@ If you didn't expect this email, you can safely ignore it.
 };
 
 /**
- * Send questionnaire invitation email
+ * Send questionnaire invitation email (or a reminder, when reminder is true)
  */
-const sendQuestionnaireEmail = async ({ to, companyName, questionnaireName, accessLink }) => {
+const sendQuestionnaireEmail = async ({ to, recipientName, companyName, questionnaireName, accessLink, endsAt, reminder = false }) => {
   if (!transporter) {
     console.log('Email not sent (no transporter):', { to, accessLink });
     return { success: false, reason: 'Email service not configured' };
   }
 
+  const deadline = endsAt ? new Date(endsAt).toUTCString() : null;
+  const greeting = recipientName ? `Hi ${recipientName},` : 'Hi,';
+  const intro = reminder
+    ? `This is a reminder that <strong>${companyName}</strong> is still waiting for your answers.`
+    : `<strong>${companyName}</strong> has invited you to complete a questionnaire to help build better team personas.`;
+
   const mailOptions = {
     from: process.env.EMAIL_FROM || 'noreply@personaplatform.com',
     to,
-    subject: `${companyName} - Please complete the ${questionnaireName}`,
+    subject: reminder
+      ? `Reminder: ${companyName} - Please complete the ${questionnaireName}`
+      : `${companyName} - Please complete the ${questionnaireName}`,
     html: `
       <!DOCTYPE html>
       <html>
@@ -150,8 +166,10 @@ const sendQuestionnaireEmail = async ({ to, companyName, questionnaireName, acce
         <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px;">
           <h2 style="color: #1f2937; margin-top: 0;">${questionnaireName}</h2>
           
+          <p style="color: #4b5563;">${escapeHtml(greeting)}</p>
+
           <p style="color: #4b5563;">
-            <strong>${companyName}</strong> has invited you to complete a questionnaire to help build better team personas.
+            ${intro}
           </p>
           
           <p style="color: #4b5563;">
@@ -165,12 +183,97 @@ const sendQuestionnaireEmail = async ({ to, companyName, questionnaireName, acce
           </div>
           
           <p style="color: #6b7280; font-size: 14px;">
-            This should take about 5-10 minutes to complete.
+            This should take about 5-10 minutes to complete.${deadline ? ` The questionnaire closes on ${deadline}.` : ''}
+          </p>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+
+          <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+            This link is personal to you. If the button doesn't work, copy and paste it into your browser:<br>
+            <a href="${accessLink}" style="color: #10b981;">${accessLink}</a>
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+${greeting}
+
+${reminder ? `This is a reminder that ${companyName} is still waiting for your answers to the ${questionnaireName}.` : `${companyName} has invited you to complete the ${questionnaireName}.`}
+
+Open this link to start (it is personal to you):
+${accessLink}
+
+This should take about 5-10 minutes to complete.${deadline ? `\nThe questionnaire closes on ${deadline}.` : ''}
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Email send error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send an account email with one call-to-action link (password reset,
+ * email verification). The link is a credential, so it is never logged.
+ */
+const sendAccountLinkEmail = async ({ to, subject, heading, intro, buttonLabel, link, footnote }) => {
+  if (!transporter) {
+    console.log('Email not sent (no transporter):', { to, subject });
+    return { success: false, reason: 'Email service not configured' };
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@personaplatform.com',
+    to,
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 24px;">Persona Platform</h1>
+        </div>
+
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #1f2937; margin-top: 0;">${heading}</h2>
+
+          <p style="color: #4b5563;">${escapeHtml(intro)}</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block;">
+              ${buttonLabel}
+            </a>
+          </div>
+
+          <p style="color: #6b7280; font-size: 14px;">${footnote}</p>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+
+          <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+            If the button doesn't work, copy and paste this link into your browser:<br>
+            <a href="${link}" style="color: #667eea;">${link}</a>
           </p>
         </div>
       </body>
       </html>
     `,
+    text: `
+${intro}
+
+${buttonLabel}:
+${link}
+
+${footnote}
+    `,
   };
 
   try {
@@ -182,8 +285,36 @@ const sendQuestionnaireEmail = async ({ to, companyName, questionnaireName, acce
   }
 };
 
+/**
+ * Send a password reset link
+ */
+const sendPasswordResetEmail = ({ to, firstName, resetLink }) => sendAccountLinkEmail({
+  to,
+  subject: 'Reset your Persona Platform password',
+  heading: 'Reset your password',
+  intro: `${firstName ? `Hi ${firstName}, w` : 'W'}e received a request to reset the password for your account.`,
+  buttonLabel: 'Choose a new password',
+  link: resetLink,
+  footnote: 'This link expires in 1 hour and can be used once. Resetting your password signs you out everywhere. If you didn\'t ask for this, you can safely ignore this email.',
+});
+
+/**
+ * Send an email address verification link
+ */
+const sendVerificationEmail = ({ to, firstName, verifyLink }) => sendAccountLinkEmail({
+  to,
+  subject: 'Verify your email for Persona Platform',
+  heading: 'Verify your email',
+  intro: `${firstName ? `Hi ${firstName}, p` : 'P'}lease confirm this is your email address.`,
+  buttonLabel: 'Verify email',
+  link: verifyLink,
+  footnote: 'This link expires in 24 hours. If you didn\'t create an account, you can safely ignore this email.',
+});
+
 module.exports = {
   initializeTransporter,
   sendInvitationEmail,
   sendQuestionnaireEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
 };
@@ -0,0 +1,441 @@
+/**
+ * Generation Job Service
+ *
+ * Postgres-backed queue for questionnaire persona generation.
+ * POST /generate-personas enqueues a job; the worker in this process
+ * claims queued jobs (FOR UPDATE SKIP LOCKED, so several API instances
+ * can share the queue), clusters the responses once, then generates one
+ * persona per cluster, retrying each cluster independently.
+ *
+ * Job status: queued → running → done | partial | failed
+ */
+
+const { query, transaction } = require('../config/database');
+const { getCompanyLLMConfig } = require('./llmProvider.service');
+const clusteringService = require('./clustering.service');
+const generation = require('./personaGeneration.service');
+const companyLexicons = require('./companyLexicon.service');
+const customQuestions = require('./customQuestion.service');
+const instruments = require('./instrument.service');
+
+// Attempts per cluster each time a job runs
+const MAX_CLUSTER_ATTEMPTS = 3;
+
+// Running jobs not updated for this long are assumed to belong to a dead worker
+const STALE_JOB_MINUTES = 10;
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+const TERMINAL_STATUSES = ['done', 'partial', 'failed'];
+
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Queue a generation job for a questionnaire
+ * @param {Object} params
+ * @param {Object} params.questionnaire - Questionnaire row
+ * @param {string} params.userId - Requesting user
+ * @param {Object} params.options - { maxPersonas, domain, lexiconId, lexiconName, generateInsights, validation, ...clustering options }
+ * @returns {Object|null} Job row, or null if the questionnaire already has an active job
+ */
+async function enqueueGenerationJob({ questionnaire, userId, options }) {
+  try {
+    const result = await query(
+      `INSERT INTO generation_jobs (questionnaire_id, company_id, created_by, options)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [questionnaire.id, questionnaire.company_id, userId || null, JSON.stringify(options)]
+    );
+    kick();
+    return result.rows[0];
+  } catch (error) {
+    // idx_generation_jobs_active: one queued/running job per questionnaire
+    if (error.code === '23505') return null;
+    throw error;
+  }
+}
+
+/**
+ * Get a job with its clusters
+ * @param {string} jobId - Job UUID
+ * @returns {Object|null} Job with clusters[]
+ */
+async function getJob(jobId) {
+  const job = await query('SELECT * FROM generation_jobs WHERE id = $1', [jobId]);
+  if (!job.rows[0]) return null;
+
+  const clusters = await query(
+    `SELECT c.id, c.cluster_index, c.status, c.size, c.cohesion, c.persona_id, c.result,
+            c.attempts, c.error, c.started_at, c.finished_at, p.name as persona_name
+     FROM generation_job_clusters c
+     LEFT JOIN personas p ON c.persona_id = p.id
+     WHERE c.job_id = $1
+     ORDER BY c.cluster_index`,
+    [jobId]
+  );
+
+  return { ...job.rows[0], clusters: clusters.rows };
+}
+
+/**
+ * List a questionnaire's most recent jobs
+ * @param {string} questionnaireId - Questionnaire UUID
+ * @param {number} limit - Max jobs
+ * @returns {Object[]} Job rows, newest first
+ */
+async function listJobs(questionnaireId, limit = 10) {
+  const result = await query(
+    `SELECT * FROM generation_jobs
+     WHERE questionnaire_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [questionnaireId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Requeue a finished job so its failed clusters run again.
+ * A job that failed before clustering is re-clustered from scratch.
+ * @param {Object} job - Job row (status partial or failed)
+ * @param {string[]} [clusterIds] - Only retry these clusters
+ * @returns {Object} { job, retried } - retried is the number of clusters reset;
+ *   job is null if the questionnaire already has an active job
+ */
+async function retryJob(job, clusterIds) {
+  try {
+    const retried = await transaction(async (client) => {
+      const params = [job.id];
+      let clusterFilter = '';
+      if (clusterIds?.length) {
+        params.push(clusterIds);
+        clusterFilter = 'AND id = ANY($2)';
+      }
+
+      const reset = await client.query(
+        `UPDATE generation_job_clusters
+         SET status = 'pending', error = NULL, started_at = NULL, finished_at = NULL
+         WHERE job_id = $1 AND status = 'failed' ${clusterFilter}
+         RETURNING id`,
+        params
+      );
+
+      const planned = job.total_clusters > 0;
+      if (planned && reset.rows.length === 0) return 0;
+
+      await client.query(
+        `UPDATE generation_jobs
+         SET status = 'queued', error = NULL, finished_at = NULL
+         WHERE id = $1`,
+        [job.id]
+      );
+      return planned ? reset.rows.length : 1;
+    });
+
+    if (retried > 0) kick();
+    return { job: await getJob(job.id), retried };
+  } catch (error) {
+    if (error.code === '23505') return { job: null, retried: 0 };
+    throw error;
+  }
+}
+
+/**
+ * Claim the oldest queued job
+ * @returns {Object|null} Job row now marked running
+ */
+async function claimNextJob() {
+  const result = await query(
+    `UPDATE generation_jobs
+     SET status = 'running', started_at = COALESCE(started_at, NOW())
+     WHERE id = (
+       SELECT id FROM generation_jobs
+       WHERE status = 'queued'
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cluster the questionnaire's unprocessed responses and store the clusters
+ * @param {Object} job - Job row
+ * @returns {Object[]} Cluster rows
+ */
+async function planClusters(job) {
+  const { maxPersonas = 10, domain, lexiconId, lexiconName, generateInsights, validation, includeFlagged, ...clusteringOptions } = job.options;
+
+  const responses = await generation.loadUnprocessedResponses(job.questionnaire_id, { includeFlagged });
+  if (responses.length === 0) {
+    throw new Error('No unprocessed responses found');
+  }
+
+  const questions = await customQuestions.loadCustomQuestions(job.questionnaire_id);
+  const instrument = await instruments.loadQuestionnaireInstrument(job.questionnaire_id);
+  const processedResponses = generation.processResponses(responses, questions, instrument);
+  if (processedResponses.length === 0) {
+    throw new Error('No valid VCPQ responses to process');
+  }
+
+  const { clusters, metrics } = clusteringService.runClustering(processedResponses, { maxPersonas, ...clusteringOptions });
+
+  // Clusters and the job's total are stored together, so a failure here never
+  // leaves a job with clusters it does not know about
+  const rows = await transaction(async (client) => {
+    const stored = [];
+    for (const [index, cluster] of clusters.entries()) {
+      const summary = generation.summarizeCluster(cluster, questions);
+      const result = await client.query(
+        `INSERT INTO generation_job_clusters
+         (job_id, cluster_index, size, member_ids, centroid, avg_scores, demographics, cohesion, custom_answers)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          job.id,
+          index,
+          summary.size,
+          JSON.stringify(summary.member_ids),
+          JSON.stringify(summary.centroid),
+          JSON.stringify(summary.avg_scores),
+          JSON.stringify(summary.demographics),
+          summary.cohesion,
+          summary.custom_answers ? JSON.stringify(summary.custom_answers) : null
+        ]
+      );
+      stored.push(result.rows[0]);
+    }
+
+    await client.query(
+      `UPDATE generation_jobs
+       SET total_clusters = $2, stats = stats || $3
+       WHERE id = $1`,
+      [job.id, stored.length, JSON.stringify({
+        total_responses_processed: processedResponses.length,
+        clusters_formed: stored.length,
+        domain_used: domain,
+        lexicon_used: lexiconId ? { id: lexiconId, name: lexiconName } : null,
+        instrument_used: { id: instrument.id, name: instrument.name, version: instrument.version },
+        flagged_included: includeFlagged === true,
+        insights_enabled: generateInsights,
+        validation_enabled: validation?.enabled !== false,
+        clustering: metrics
+      })]
+    );
+    return stored;
+  });
+
+  console.log(`[Generation] Job ${job.id}: ${rows.length} clusters from ${processedResponses.length} responses`);
+  return rows;
+}
+
+/**
+ * Generate one cluster's persona, retrying up to MAX_CLUSTER_ATTEMPTS times
+ * @param {Object} job - Job row
+ * @param {Object} cluster - Cluster row
+ * @param {Object} llm - Company LLM config
+ * @param {Object} lexicon - Built company lexicon, if the job uses one
+ * @param {Object} instrument - Instrument the questionnaire is scored against
+ * @returns {boolean} Whether the cluster succeeded
+ */
+async function runCluster(job, cluster, llm, lexicon = null, instrument = instruments.getBuiltInInstrument()) {
+  await query(
+    `UPDATE generation_job_clusters SET status = 'running', started_at = NOW() WHERE id = $1`,
+    [cluster.id]
+  );
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_CLUSTER_ATTEMPTS; attempt++) {
+    await query('UPDATE generation_job_clusters SET attempts = attempts + 1 WHERE id = $1', [cluster.id]);
+    try {
+      const { persona, stats } = await generation.generateClusterPersona({
+        questionnaireId: job.questionnaire_id,
+        companyId: job.company_id,
+        domain: job.options.domain,
+        lexicon,
+        generateInsights: job.options.generateInsights,
+        llm,
+        cluster: { ...cluster, cohesion: parseFloat(cluster.cohesion) },
+        validation: job.options.validation,
+        instrument,
+        userId: job.created_by
+      });
+
+      await query(
+        `UPDATE generation_job_clusters
+         SET status = 'done', persona_id = $2, result = $3, error = NULL, finished_at = NOW()
+         WHERE id = $1`,
+        [cluster.id, persona.id, JSON.stringify(stats)]
+      );
+      return true;
+    } catch (error) {
+      lastError = error;
+      console.error(`[Generation] Job ${job.id} cluster ${cluster.cluster_index} attempt ${attempt} failed:`, error.message);
+    }
+  }
+
+  await query(
+    `UPDATE generation_job_clusters
+     SET status = 'failed', error = $2, finished_at = NOW()
+     WHERE id = $1`,
+    [cluster.id, lastError.message]
+  );
+  return false;
+}
+
+/**
+ * Recount a job's clusters into its progress columns
+ * @param {string} jobId - Job UUID
+ * @returns {Object} { total, done, failed }
+ */
+async function updateProgress(jobId) {
+  const counts = await query(
+    `SELECT COUNT(*) as total,
+            COUNT(*) FILTER (WHERE status = 'done') as done,
+            COUNT(*) FILTER (WHERE status = 'failed') as failed
+     FROM generation_job_clusters WHERE job_id = $1`,
+    [jobId]
+  );
+  const total = parseInt(counts.rows[0].total);
+  const done = parseInt(counts.rows[0].done);
+  const failed = parseInt(counts.rows[0].failed);
+
+  await query(
+    `UPDATE generation_jobs
+     SET completed_clusters = $2, failed_clusters = $3
+     WHERE id = $1`,
+    [jobId, done, failed]
+  );
+  return { total, done, failed };
+}
+
+/**
+ * Run a claimed job to completion
+ * @param {Object} job - Job row (status running)
+ */
+async function runJob(job) {
+  const startTime = Date.now();
+  try {
+    const existing = await query(
+      'SELECT * FROM generation_job_clusters WHERE job_id = $1 ORDER BY cluster_index',
+      [job.id]
+    );
+    const clusters = existing.rows.length > 0 ? existing.rows : await planClusters(job);
+
+    const llm = await getCompanyLLMConfig(job.company_id);
+    // A lexicon deleted or deactivated since queueing falls back to its base domain
+    const lexicon = job.options.lexiconId
+      ? await companyLexicons.resolveLexicon(job.options.lexiconId, job.company_id)
+      : null;
+    const instrument = await instruments.loadQuestionnaireInstrument(job.questionnaire_id);
+    // Pending clusters, plus any left running by a worker that died; failed
+    // clusters only run again once a retry resets them
+    for (const cluster of clusters.filter(c => ['pending', 'running'].includes(c.status))) {
+      await runCluster(job, cluster, llm, lexicon, instrument);
+      await updateProgress(job.id);
+    }
+
+    const { total, done } = await updateProgress(job.id);
+    const status = done === total ? 'done' : done > 0 ? 'partial' : 'failed';
+
+    await query(
+      `UPDATE generation_jobs
+       SET status = $2, finished_at = NOW(),
+           error = CASE WHEN $2 = 'done' THEN NULL ELSE $3 END,
+           stats = stats || $4
+       WHERE id = $1`,
+      [job.id, status, `${total - done} of ${total} clusters failed`, JSON.stringify({ processing_time_ms: Date.now() - startTime })]
+    );
+    console.log(`[Generation] Job ${job.id} ${status}: ${done}/${total} personas`);
+  } catch (error) {
+    console.error(`[Generation] Job ${job.id} failed:`, error);
+    await query(
+      `UPDATE generation_jobs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+      [job.id, error.message]
+    );
+  }
+}
+
+/**
+ * Process queued jobs until the queue is empty
+ */
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Generation] Worker error:', error);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Wake the worker (if this process runs one) without waiting for the next poll
+ */
+function kick() {
+  if (pollTimer) setImmediate(drainQueue);
+}
+
+/**
+ * Requeue running jobs whose worker died mid-job; their finished clusters are kept
+ */
+async function recoverStaleJobs() {
+  const result = await query(
+    `UPDATE generation_jobs
+     SET status = 'queued'
+     WHERE status = 'running' AND updated_at < NOW() - ($1 || ' minutes')::interval
+     RETURNING id`,
+    [String(STALE_JOB_MINUTES)]
+  );
+  if (result.rows.length > 0) {
+    await query(
+      `UPDATE generation_job_clusters SET status = 'pending'
+       WHERE status = 'running' AND job_id = ANY($1)`,
+      [result.rows.map(r => r.id)]
+    );
+    console.log(`[Generation] Requeued ${result.rows.length} stale job(s)`);
+  }
+}
+
+/**
+ * Start polling the queue
+ * @param {Object} options
+ * @param {number} options.intervalMs - Poll interval
+ */
+async function startWorker({ intervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+  if (pollTimer) return;
+  await recoverStaleJobs();
+  pollTimer = setInterval(drainQueue, intervalMs);
+  pollTimer.unref?.();
+  setImmediate(drainQueue);
+}
+
+/**
+ * Stop polling the queue (the job in progress, if any, finishes)
+ */
+function stopWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  enqueueGenerationJob,
+  getJob,
+  listJobs,
+  retryJob,
+  claimNextJob,
+  runJob,
+  drainQueue,
+  startWorker,
+  stopWorker,
+  TERMINAL_STATUSES,
+  MAX_CLUSTER_ATTEMPTS
+};
@@ -0,0 +1,339 @@
+/**
+ * Group Conversation Service
+ *
+ * Simulated meetings: a user convenes 2-6 personas in one room. After each
+ * user message a turn-taking orchestrator decides who speaks, scoring every
+ * persona from its personality vectors: social_energy makes it speak up,
+ * conflict_mode pulls it into disagreements, and deference makes it answer
+ * the user but hold back while colleagues are talking. Personas see the
+ * whole transcript with speaker names, so they react to each other as well
+ * as to the user.
+ */
+
+const { query, transaction } = require('../config/database');
+const { chatWithPersona, generateSystemPrompt } = require('./llm.service');
+
+const MIN_PARTICIPANTS = 2;
+const MAX_PARTICIPANTS = 6;
+const DEFAULT_MAX_REPLIES = 3;
+
+// Someone always answers the user; further reactions need at least this score
+const REACTION_THRESHOLD = 1.1;
+
+// Random spread added to each score so meetings don't replay identically
+const JITTER = 0.2;
+
+// Phrases that signal disagreement in the last message. A bare "but" or
+// "however" is left out: polite agreement uses them too.
+const TENSION_PATTERN = /\b(disagree|don't agree|do not agree|wrong|no way|not convinced|not sure|concern(ed)?|push back|problem)\b/i;
+
+/**
+ * Whether a message pushes back on something
+ *
+ * @param {string} text - Message content
+ * @returns {boolean}
+ */
+const detectTension = (text) => TENSION_PATTERN.test(text || '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a message names the persona (full or first name)
+ *
+ * @param {Object} persona - Participant
+ * @param {string} text - Message content
+ * @returns {boolean}
+ */
+const isAddressed = (persona, text) => {
+  const names = [persona.name, persona.name.split(' ')[0]].filter(Boolean);
+  return names.some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text || ''));
+};
+
+/**
+ * How strongly a persona wants the floor after the last message
+ *
+ * @param {Object} persona - Participant with personality_vectors
+ * @param {Object} context - { last, transcript, random }
+ * @returns {Object} { score, reason }
+ */
+const scoreSpeaker = (persona, { last, transcript, random = Math.random }) => {
+  const vectors = persona.personality_vectors || {};
+  const socialEnergy = vectors.social_energy || 0;
+  const conflictMode = vectors.conflict_mode || 0;
+  const deference = vectors.deference || 0;
+
+  const addressed = isAddressed(persona, last.content);
+  const tension = detectTension(last.content);
+  const fromUser = last.speaker_type === 'user';
+
+  // Messages since this persona last spoke (capped: everyone gets a turn eventually)
+  const lastSpokeAt = transcript.map(m => m.persona_id).lastIndexOf(persona.id);
+  const turnsSinceSpoke = lastSpokeAt === -1 ? 5 : Math.min(transcript.length - 1 - lastSpokeAt, 5);
+
+  let score = 0.5
+    + 0.4 * socialEnergy
+    + 0.1 * turnsSinceSpoke
+    + (fromUser ? 0.3 : -0.3) * deference
+    + (random() - 0.5) * JITTER;
+  if (addressed) score += 2;
+  if (tension) score += 0.4 * conflictMode;
+
+  let reason;
+  if (addressed) reason = 'Addressed by name';
+  else if (tension && conflictMode > 0.3) reason = 'Pushes back on the disagreement';
+  else if (fromUser) reason = 'Answers the user';
+  else reason = `Reacts to ${last.speaker_name}`;
+
+  return { score, reason };
+};
+
+/**
+ * Pick the next speaker, or null when nobody wants the floor
+ *
+ * @param {Object} params - { participants, transcript, spoken, first, random }
+ *   spoken: ids that already replied this round; first: the reply to the user
+ * @returns {Object|null} { persona, score, reason }
+ */
+const pickNextSpeaker = ({ participants, transcript, spoken = new Set(), first = false, random = Math.random }) => {
+  const last = transcript[transcript.length - 1];
+
+  const ranked = participants
+    .filter(p => !spoken.has(p.id) && p.id !== last.persona_id)
+    .map(persona => ({ persona, ...scoreSpeaker(persona, { last, transcript, random }) }))
+    // Seat order breaks ties
+    .sort((a, b) => b.score - a.score || a.persona.seat - b.persona.seat);
+
+  const next = ranked[0];
+  if (!next || (!first && next.score < REACTION_THRESHOLD)) return null;
+  return next;
+};
+
+/**
+ * System prompt for a persona in the room: its own prompt plus who else is there
+ *
+ * @param {Object} persona - Speaking persona
+ * @param {Object} params - { participants, topic, userName }
+ * @returns {string}
+ */
+const buildGroupSystemPrompt = (persona, { participants, topic, userName }) => {
+  const others = participants
+    .filter(p => p.id !== persona.id)
+    .map(p => `- ${p.name}${p.tagline ? ` (${p.tagline})` : ''}`)
+    .join('\n');
+
+  return `${persona.system_prompt || generateSystemPrompt(persona)}
+
+## Group Meeting
+You are in a meeting with ${userName} and these colleagues:
+${others}
+${topic ? `\nThe meeting is about: ${topic}\n` : ''}
+Messages from others are prefixed with the speaker's name. Reply only as ${persona.name}, without a name prefix, in 1-3 sentences. You can respond to ${userName} or to a colleague by name, agree, build on or push back on what was said, as ${persona.name} naturally would.`;
+};
+
+/**
+ * The transcript as chat messages from one persona's point of view: its own
+ * lines are the assistant's, everyone else's are user turns with the speaker's name
+ *
+ * @param {Object} persona - Speaking persona
+ * @param {Array} transcript - Messages with speaker_type, persona_id, speaker_name, content
+ * @returns {Array} { role, content }
+ */
+const toPersonaMessages = (persona, transcript) => {
+  const messages = [];
+  for (const message of transcript) {
+    const own = message.persona_id === persona.id;
+    const entry = own
+      ? { role: 'assistant', content: message.content }
+      : { role: 'user', content: `${message.speaker_name}: ${message.content}` };
+
+    // Merge consecutive turns from others so roles alternate
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === 'user' && entry.role === 'user') {
+      previous.content += `\n\n${entry.content}`;
+    } else {
+      messages.push(entry);
+    }
+  }
+  return messages;
+};
+
+// Models sometimes echo the "Name:" prefix they see on other turns
+const stripSpeakerPrefix = (persona, content) => content
+  .replace(new RegExp(`^\\s*\\**${escapeRegExp(persona.name)}\\**\\s*:\\s*`, 'i'), '')
+  .trim();
+
+/**
+ * Orchestrate the personas' replies to the latest message
+ *
+ * @param {Object} params - { participants, transcript, topic, userName, maxReplies, llm, random, onReply }
+ *   onReply(reply) persists each reply as it is generated and returns the stored message
+ * @returns {Promise<Array>} Stored replies in speaking order
+ */
+const orchestrateReplies = async ({
+  participants,
+  transcript,
+  topic,
+  userName,
+  maxReplies = DEFAULT_MAX_REPLIES,
+  llm,
+  random = Math.random,
+  onReply
+}) => {
+  const replies = [];
+  const spoken = new Set();
+  const history = [...transcript];
+
+  while (replies.length < maxReplies) {
+    const next = pickNextSpeaker({ participants, transcript: history, spoken, first: replies.length === 0, random });
+    if (!next) break;
+
+    const { persona, reason } = next;
+    let response;
+    try {
+      response = await chatWithPersona(
+        { ...persona, system_prompt: buildGroupSystemPrompt(persona, { participants, topic, userName }) },
+        toPersonaMessages(persona, history),
+        { llm, maxTokens: 300 }
+      );
+    } catch (error) {
+      // Keep the replies already given; only fail when nobody answered
+      if (replies.length === 0) throw error;
+      console.error(`[Group] ${persona.name} failed to reply:`, error.message);
+      break;
+    }
+
+    const content = stripSpeakerPrefix(persona, response.content);
+    if (!content) break;
+
+    const stored = await onReply({ persona, content, reason, tokens: response.tokens });
+    const message = { ...stored, speaker_type: 'persona', persona_id: persona.id, speaker_name: persona.name, content };
+    history.push(message);
+    replies.push(message);
+    spoken.add(persona.id);
+  }
+
+  return replies;
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Create a group conversation with its participants
+ *
+ * @param {Object} params - { user, personas, title, topic }
+ * @returns {Promise<Object>} Conversation row
+ */
+const createGroupConversation = async ({ user, personas, title, topic }) => transaction(async (client) => {
+  const result = await client.query(
+    `INSERT INTO group_conversations (user_id, company_id, title, topic)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [user.id, user.company_id, title || `Meeting with ${personas.map(p => p.name).join(', ')}`, topic || null]
+  );
+  const conversation = result.rows[0];
+
+  for (const [seat, persona] of personas.entries()) {
+    await client.query(
+      `INSERT INTO group_conversation_participants (group_conversation_id, persona_id, persona_version, seat)
+       VALUES ($1, $2, $3, $4)`,
+      [conversation.id, persona.id, persona.current_version || 1, seat]
+    );
+  }
+
+  return conversation;
+});
+
+/**
+ * Load a group conversation row
+ */
+const getGroupConversation = async (id) => {
+  const result = await query('SELECT * FROM group_conversations WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Participants (full persona rows) in seat order
+ */
+const getParticipants = async (conversationId) => {
+  const result = await query(
+    `SELECT p.*, gp.seat, gp.persona_version as joined_version
+     FROM group_conversation_participants gp
+     JOIN personas p ON gp.persona_id = p.id
+     WHERE gp.group_conversation_id = $1
+     ORDER BY gp.seat`,
+    [conversationId]
+  );
+  return result.rows;
+};
+
+/**
+ * Messages with the speaker's name, oldest first
+ */
+const getMessages = async (conversationId) => {
+  const result = await query(
+    `SELECT gm.*, p.name as speaker_name
+     FROM group_messages gm
+     LEFT JOIN personas p ON gm.persona_id = p.id
+     WHERE gm.group_conversation_id = $1
+     ORDER BY gm.created_at ASC`,
+    [conversationId]
+  );
+  return result.rows;
+};
+
+/**
+ * Store a message and bump the conversation timestamp
+ *
+ * @param {Object} params - { conversationId, speakerType, personaId, content, turnReason, tokens }
+ * @returns {Promise<Object>} Message row
+ */
+const addMessage = async ({ conversationId, speakerType, personaId = null, content, turnReason = null, tokens = null }) => {
+  const result = await query(
+    `INSERT INTO group_messages (group_conversation_id, speaker_type, persona_id, content, turn_reason, tokens_used)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [conversationId, speakerType, personaId, content, turnReason, tokens]
+  );
+  await query('UPDATE group_conversations SET last_message_at = NOW() WHERE id = $1', [conversationId]);
+  return result.rows[0];
+};
+
+/**
+ * A user's group conversations with participant names, newest first
+ */
+const listGroupConversations = async (userId) => {
+  const result = await query(
+    `SELECT gc.*,
+            (SELECT array_agg(p.name ORDER BY gp.seat)
+             FROM group_conversation_participants gp
+             JOIN personas p ON gp.persona_id = p.id
+             WHERE gp.group_conversation_id = gc.id) as persona_names,
+            (SELECT COUNT(*) FROM group_messages gm WHERE gm.group_conversation_id = gc.id)::integer as message_count
+     FROM group_conversations gc
+     WHERE gc.user_id = $1
+     ORDER BY COALESCE(gc.last_message_at, gc.created_at) DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  detectTension,
+  isAddressed,
+  scoreSpeaker,
+  pickNextSpeaker,
+  buildGroupSystemPrompt,
+  toPersonaMessages,
+  orchestrateReplies,
+  createGroupConversation,
+  getGroupConversation,
+  getParticipants,
+  getMessages,
+  addMessage,
+  listGroupConversations,
+  MIN_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  DEFAULT_MAX_REPLIES
+};
@@ -0,0 +1,367 @@
+/**
+ * Instrument Service
+ *
+ * Questionnaire instruments: the scored Likert items a questionnaire asks
+ * and the meta-vector each item measures. The VCPQ is built in; companies
+ * author their own in questionnaire_templates. Every change to an
+ * instrument's items is stored as a new version, and questionnaires are
+ * scored against the version they were created from.
+ */
+
+const { query, transaction } = require('../config/database');
+const vectorService = require('./vector.service');
+const vcpqService = require('./vcpq.service');
+
+const BUILT_IN_ID = 'vcpq';
+
+const MIN_ITEMS = 4;
+const MAX_ITEMS = 100;
+
+// Upper bound for an item's weight (a VCPQ item weighs 1)
+const MAX_ITEM_WEIGHT = 3;
+
+const ITEM_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+
+const LIKERT_SCALE = {
+  min: 1,
+  max: 5,
+  labels: ['Strongly Disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly Agree']
+};
+
+/**
+ * Parse a stored questions column
+ * @param {string|Object[]} value - Stored items
+ * @returns {Object[]} Items
+ */
+function parseItems(value) {
+  const items = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Check an instrument a request creates or updates
+ * @param {Object} data - { name, description, questions }
+ * @param {Object} options - { isCreate }
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateInstrument(data, { isCreate = true } = {}) {
+  const errors = [];
+
+  if (isCreate || data.name !== undefined) {
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 255) {
+      errors.push('name is required (at most 255 characters)');
+    }
+  }
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (!isCreate && data.questions === undefined) return errors;
+  if (!Array.isArray(data.questions) || data.questions.length < MIN_ITEMS || data.questions.length > MAX_ITEMS) {
+    errors.push(`questions must be a list of ${MIN_ITEMS} to ${MAX_ITEMS} items`);
+    return errors;
+  }
+
+  const seen = new Set();
+  data.questions.forEach((item, index) => {
+    const label = `questions[${index}]`;
+    if (!item || typeof item.id !== 'string' || !ITEM_ID_PATTERN.test(item.id)) {
+      errors.push(`${label}.id must start with a letter and use only letters, digits, - and _`);
+      return;
+    }
+    if (seen.has(item.id)) {
+      errors.push(`${label}.id ${item.id} is used more than once`);
+    }
+    seen.add(item.id);
+
+    if (typeof item.question !== 'string' || !item.question.trim()) {
+      errors.push(`${label}.question is required`);
+    }
+    if (item.module !== undefined && item.module !== null && typeof item.module !== 'string') {
+      errors.push(`${label}.module must be a string`);
+    }
+    if (!vectorService.META_VECTOR_LABELS[item.meta_vector]) {
+      errors.push(`${label}.meta_vector must be a meta-vector`);
+    }
+    if (item.reversed !== undefined && typeof item.reversed !== 'boolean') {
+      errors.push(`${label}.reversed must be true or false`);
+    }
+    if (item.weight !== undefined
+      && (typeof item.weight !== 'number' || item.weight <= 0 || item.weight > MAX_ITEM_WEIGHT)) {
+      errors.push(`${label}.weight must be greater than 0 and at most ${MAX_ITEM_WEIGHT}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Store items in one shape, whatever the request left out
+ * @param {Object[]} questions - Validated items
+ * @returns {Object[]} { id, module, question, meta_vector, reversed, weight }
+ */
+function normalizeItems(questions) {
+  return questions.map(item => ({
+    id: item.id,
+    module: item.module?.trim() || null,
+    question: item.question.trim(),
+    meta_vector: item.meta_vector,
+    reversed: item.reversed === true,
+    weight: item.weight ?? 1
+  }));
+}
+
+/**
+ * Build the scoring form of a template or one of its versions
+ * @param {Object} row - Template row, or version row ({ template_id, version, name, questions })
+ * @returns {Object} { id, name, version, label, items, meta }
+ */
+function toInstrument(row) {
+  const templateId = row.template_id || row.id;
+  const items = parseItems(row.questions);
+  return {
+    id: templateId,
+    name: row.name,
+    version: row.version,
+    label: `${templateId}@v${row.version}`,
+    items,
+    meta: Object.fromEntries(items.map(item => [
+      item.id,
+      { meta: item.meta_vector, reversed: item.reversed === true, weight: item.weight ?? 1 }
+    ]))
+  };
+}
+
+/**
+ * The built-in VCPQ in instrument form
+ * @returns {Object} { id, name, version, label, items, meta }
+ */
+function getBuiltInInstrument() {
+  return {
+    ...vectorService.VCPQ_INSTRUMENT,
+    name: 'VCPQ - Persona Assessment',
+    version: 1,
+    items: vcpqService.getVCPQQuestions()
+  };
+}
+
+/**
+ * The built-in VCPQ as a template listing entry
+ * @returns {Object} Template summary
+ */
+function getBuiltInTemplate() {
+  return {
+    id: BUILT_IN_ID,
+    name: 'VCPQ - Persona Assessment',
+    description: 'Vectorizable Corporate Persona Questionnaire - 28 questions across 4 modules (Cognition, Communication, Hierarchy, Operational) to generate accurate AI personas.',
+    question_count: 28,
+    modules: ['Cognition (8)', 'Communication (8)', 'Hierarchy (6)', 'Operational (6)'],
+    questions: vcpqService.getVCPQQuestions(),
+    version: 1,
+    is_default: true,
+    is_built_in: true
+  };
+}
+
+/**
+ * Questions an instrument asks, in the shape of vcpqService.getVCPQQuestions
+ * @param {Object} instrument - Output of loadInstrument
+ * @returns {Object[]} { id, module, question, meta_vector, reversed, weight, short_form, scale }
+ */
+function getInstrumentQuestions(instrument) {
+  if (instrument.id === BUILT_IN_ID) {
+    return vcpqService.getVCPQQuestions();
+  }
+  const shortForm = vectorService.getShortFormIds(instrument.meta);
+  return instrument.items.map(item => ({ ...item, short_form: shortForm.includes(item.id), scale: LIKERT_SCALE }));
+}
+
+/**
+ * List the instruments a company can use: its own and the shared ones
+ * @param {string|null} companyId - Company UUID (null lists shared instruments only)
+ * @returns {Object[]} Template rows with question_count and questionnaire_count
+ */
+async function listTemplates(companyId) {
+  const result = await query(
+    `SELECT t.*,
+            jsonb_array_length(t.questions)::int as question_count,
+            (SELECT COUNT(*) FROM questionnaires q WHERE q.template_id = t.id)::int as questionnaire_count
+     FROM questionnaire_templates t
+     WHERE t.is_active = true AND (t.company_id IS NULL OR t.company_id = $1)
+     ORDER BY t.name`,
+    [companyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one template
+ * @param {string} id - Template UUID
+ * @returns {Object|null} Template row
+ */
+async function getTemplate(id) {
+  const result = await query('SELECT * FROM questionnaire_templates WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List a template's versions, newest first
+ * @param {string} id - Template UUID
+ * @returns {Object[]} Version rows
+ */
+async function listVersions(id) {
+  const result = await query(
+    `SELECT v.*, jsonb_array_length(v.questions)::int as question_count
+     FROM questionnaire_template_versions v
+     WHERE v.template_id = $1
+     ORDER BY v.version DESC`,
+    [id]
+  );
+  return result.rows;
+}
+
+/**
+ * Create a template at version 1
+ * @param {string|null} companyId - Owning company (null shares it with every company)
+ * @param {Object} data - { name, description, questions }
+ * @param {string} userId - Author
+ * @returns {Object} Template row
+ */
+async function createTemplate(companyId, data, userId) {
+  const questions = JSON.stringify(normalizeItems(data.questions));
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO questionnaire_templates (company_id, name, description, questions, created_by, version, is_default)
+       VALUES ($1, $2, $3, $4, $5, 1, false)
+       RETURNING *`,
+      [companyId, data.name.trim(), data.description || null, questions, userId]
+    );
+    const template = result.rows[0];
+
+    await client.query(
+      `INSERT INTO questionnaire_template_versions (template_id, version, name, description, questions, note, created_by)
+       VALUES ($1, 1, $2, $3, $4, $5, $6)`,
+      [template.id, template.name, template.description, questions, 'Created', userId]
+    );
+    return template;
+  });
+}
+
+/**
+ * Update a template. Changed items are stored as a new version; questionnaires
+ * created from earlier versions keep being scored against those.
+ * @param {Object} existing - Current template row
+ * @param {Object} data - { name, description, questions, note }
+ * @param {string} userId - Who made the change
+ * @returns {Object} { template, versioned }
+ */
+async function updateTemplate(existing, data, userId) {
+  const questions = data.questions !== undefined ? normalizeItems(data.questions) : null;
+  const versioned = questions !== null
+    && JSON.stringify(questions) !== JSON.stringify(parseItems(existing.questions));
+
+  const name = data.name !== undefined ? data.name.trim() : existing.name;
+  const description = data.description !== undefined ? data.description : existing.description;
+  const version = versioned ? existing.version + 1 : existing.version;
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE questionnaire_templates
+       SET name = $2, description = $3, questions = $4, version = $5
+       WHERE id = $1 RETURNING *`,
+      [existing.id, name, description, JSON.stringify(versioned ? questions : parseItems(existing.questions)), version]
+    );
+
+    if (versioned) {
+      await client.query(
+        `INSERT INTO questionnaire_template_versions (template_id, version, name, description, questions, note, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [existing.id, version, name, description, JSON.stringify(questions), data.note || null, userId]
+      );
+    }
+    return { template: result.rows[0], versioned };
+  });
+}
+
+/**
+ * Retire a template. Questionnaires already using it keep their version.
+ * @param {string} id - Template UUID
+ */
+async function deactivateTemplate(id) {
+  await query('UPDATE questionnaire_templates SET is_active = false WHERE id = $1', [id]);
+}
+
+/**
+ * Find an active template a company may create questionnaires from
+ * @param {string} id - Template UUID
+ * @param {string} companyId - Company creating the questionnaire
+ * @returns {Object|null} Template row, or null if missing, retired or another company's
+ */
+async function resolveTemplate(id, companyId) {
+  const template = await getTemplate(id);
+  if (!template || template.is_active === false
+    || (template.company_id !== null && template.company_id !== companyId)) {
+    return null;
+  }
+  return template;
+}
+
+/**
+ * Load the instrument a questionnaire was created from
+ * @param {Object} questionnaire - Questionnaire row ({ template_id, template_version, delivery_mode })
+ * @returns {Object} { id, name, version, label, items, meta, delivery_mode }
+ */
+async function loadInstrument(questionnaire) {
+  const deliveryMode = questionnaire.delivery_mode || 'full';
+  if (!questionnaire.template_id) {
+    return { ...getBuiltInInstrument(), delivery_mode: deliveryMode };
+  }
+
+  // Questionnaires without a pinned version use the template's latest one
+  const result = await query(
+    `SELECT * FROM questionnaire_template_versions
+     WHERE template_id = $1 AND ($2::int IS NULL OR version = $2)
+     ORDER BY version DESC LIMIT 1`,
+    [questionnaire.template_id, questionnaire.template_version ?? null]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Instrument ${questionnaire.template_id} v${questionnaire.template_version} not found`);
+  }
+  return { ...toInstrument(result.rows[0]), delivery_mode: deliveryMode };
+}
+
+/**
+ * Load the instrument of a questionnaire by id
+ * @param {string} questionnaireId - Questionnaire UUID
+ * @returns {Object} Instrument (the built-in VCPQ if the questionnaire is missing)
+ */
+async function loadQuestionnaireInstrument(questionnaireId) {
+  const result = await query(
+    'SELECT template_id, template_version, delivery_mode FROM questionnaires WHERE id = $1',
+    [questionnaireId]
+  );
+  return loadInstrument(result.rows[0] || {});
+}
+
+module.exports = {
+  validateInstrument,
+  normalizeItems,
+  toInstrument,
+  getBuiltInInstrument,
+  getBuiltInTemplate,
+  getInstrumentQuestions,
+  listTemplates,
+  getTemplate,
+  listVersions,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  resolveTemplate,
+  loadInstrument,
+  loadQuestionnaireInstrument,
+  BUILT_IN_ID,
+  MIN_ITEMS,
+  MAX_ITEMS,
+  MAX_ITEM_WEIGHT
+};
@@ -290,34 +290,109 @@ const DOMAIN_LEXICONS = {
   }
 };
 
+// Alternative names accepted for the built-in domains
+const DOMAIN_ALIASES = {
+  'eng': 'engineering',
+  'it': 'engineering',
+  'tech': 'engineering',
+  'law': 'legal',
+  'compliance': 'legal',
+  'exec': 'executive',
+  'leadership': 'executive',
+  'c-suite': 'executive',
+  'human resources': 'hr',
+  'people ops': 'hr',
+  'operations': 'hr',
+  'default': 'general',
+  'none': 'general'
+};
+
+// Lexicon sections merged key by key onto the base domain
+const MERGED_SECTIONS = ['style', 'formatting', 'emotional'];
+
+// List fields that a custom lexicon extends (or replaces) on its base domain
+const EMOTIONAL_LISTS = ['frustrationTriggers', 'enthusiasmTriggers'];
+
+/**
+ * Resolve a domain name or alias to a built-in domain key
+ * @param {string} domain - Domain name or alias
+ * @returns {string} Built-in domain key (general when unknown)
+ */
+function resolveDomain(domain) {
+  const normalizedDomain = (domain || 'general').toLowerCase().trim();
+  const resolvedDomain = DOMAIN_ALIASES[normalizedDomain] || normalizedDomain;
+  return DOMAIN_LEXICONS[resolvedDomain] ? resolvedDomain : 'general';
+}
+
 /**
  * Get lexicon for a specific domain
- * @param {string} domain - Domain name (engineering, legal, executive, hr, general)
+ * @param {string|Object} domain - Domain name (engineering, legal, executive, hr, general),
+ *   or a lexicon already built by buildLexicon
  * @returns {Object} Domain lexicon
  */
 function getLexicon(domain) {
-  const normalizedDomain = (domain || 'general').toLowerCase().trim();
-  
-  // Handle aliases
-  const aliases = {
-    'eng': 'engineering',
-    'it': 'engineering',
-    'tech': 'engineering',
-    'law': 'legal',
-    'compliance': 'legal',
-    'exec': 'executive',
-    'leadership': 'executive',
-    'c-suite': 'executive',
-    'human resources': 'hr',
-    'people ops': 'hr',
-    'operations': 'hr',
-    'default': 'general',
-    'none': 'general'
+  if (domain && typeof domain === 'object') {
+    return domain;
+  }
+
+  return DOMAIN_LEXICONS[resolveDomain(domain)];
+}
+
+/**
+ * Domain name to store for a domain or custom lexicon
+ * @param {string|Object} domain - Domain name or built lexicon
+ * @returns {string} Domain name (the base domain for custom lexicons)
+ */
+function getDomainKey(domain) {
+  if (domain && typeof domain === 'object') {
+    return domain.base_domain;
+  }
+  return domain;
+}
+
+const mergeList = (base = [], custom = [], extend = true) => {
+  if (!extend) return [...custom];
+  return [...new Set([...base, ...custom])];
+};
+
+/**
+ * Build a custom lexicon on top of a built-in domain.
+ * Unset style/formatting/emotional keys inherit the base values; vocabulary,
+ * phrases and emotional triggers are appended to the base lists, or replace
+ * them when extendBase is false (an empty list always inherits).
+ * @param {Object} custom - { id, name, base_domain, extend_base, vocabulary, phrases, style, formatting, emotional }
+ * @returns {Object} Lexicon usable anywhere a domain name is accepted
+ */
+function buildLexicon(custom) {
+  const baseDomain = resolveDomain(custom.base_domain);
+  const base = DOMAIN_LEXICONS[baseDomain];
+  const extend = custom.extend_base !== false;
+  const listOrBase = (baseList, customList) => (
+    customList && customList.length > 0 ? mergeList(baseList, customList, extend) : [...baseList]
+  );
+
+  const lexicon = {
+    id: custom.id || null,
+    name: custom.name || base.name,
+    shortCode: base.shortCode,
+    base_domain: baseDomain,
+    custom: true,
+    vocabulary: listOrBase(base.vocabulary, custom.vocabulary),
+    phrases: listOrBase(base.phrases, custom.phrases)
   };
-  
-  const resolvedDomain = aliases[normalizedDomain] || normalizedDomain;
-  
-  return DOMAIN_LEXICONS[resolvedDomain] || DOMAIN_LEXICONS.general;
+
+  for (const section of MERGED_SECTIONS) {
+    const overrides = Object.fromEntries(
+      Object.entries(custom[section] || {}).filter(([, value]) => value !== null && value !== undefined)
+    );
+    lexicon[section] = { ...base[section], ...overrides };
+  }
+
+  for (const key of EMOTIONAL_LISTS) {
+    lexicon.emotional[key] = listOrBase(base.emotional[key], custom.emotional?.[key]);
+  }
+
+  return lexicon;
 }
 
 /**
@@ -429,6 +504,9 @@ function getFormattingInstructions(domain) {
 
 module.exports = {
   getLexicon,
+  resolveDomain,
+  getDomainKey,
+  buildLexicon,
   getRandomVocabulary,
   getRandomPhrases,
   applyDomainModifiers,
@@ -1,12 +1,7 @@
-﻿const Groq = require('groq-sdk');
+﻿const { createChatCompletion, describeProviders, DEFAULT_MODELS } = require('./llmProvider.service');
 
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
-
-// Model to use (Llama 3 70B is best for persona simulation)
-const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+// Default Groq model (Llama 3 70B is best for persona simulation)
+const DEFAULT_MODEL = DEFAULT_MODELS.groq;
 
 /**
  * Generate system prompt from VCPQ persona data (vectors-based)
@@ -223,7 +218,7 @@ const chatWithPersona = async (persona, messages, options = {}) => {
 
     // Inject scenario context if provided
     if (options.scenario) {
-      const { title, description, context, difficulty } = options.scenario;
+      const { title, description, context, setup_brief, difficulty, persona_goal, success_conditions } = options.scenario;
 
       // Difficulty-based behavioral instructions
       const difficultyInstructions = {
@@ -236,19 +231,19 @@ const chatWithPersona = async (persona, messages, options = {}) => {
 
       systemPrompt += `\n\n## CURRENT TRAINING SCENARIO
 **Scenario:** ${title}
-**Situation:** ${description || context}
-
+**Situation:** ${setup_brief || context || description}
+${persona_goal ? `**What You Want From This Conversation:** ${persona_goal}\n` : ''}
 ### Your Role in This Scenario
 - Stay focused on this specific issue throughout the conversation
 - Respond authentically as this persona would in this situation
 - ${behaviorInstruction}
-- If the issue is genuinely resolved, acknowledge it and indicate the conversation can end naturally
+${success_conditions?.length ? `- Only consider the issue resolved once the other person has:\n${success_conditions.map(c => `  - ${c}`).join('\n')}\n- Never reveal or hint at these conditions directly\n` : ''}- If the issue is genuinely resolved, acknowledge it and indicate the conversation can end naturally
 
 IMPORTANT: Do not break character. Do not mention that this is a training scenario. Stay in the moment of this situation.`;
     }
 
-    const completion = await groq.chat.completions.create({
-      model: options.model || DEFAULT_MODEL,
+    const completion = await createChatCompletion({
+      model: options.model,
       messages: [
         { role: 'system', content: systemPrompt },
         ...messages.map(m => ({
@@ -260,7 +255,7 @@ IMPORTANT: Do not break character. Do not mention that this is a training scenar
       max_tokens: options.maxTokens || 1024,
       top_p: options.topP || 0.9,
       stream: options.stream || false,
-    });
+    }, options.llm);
 
     return {
       content: completion.choices[0]?.message?.content || '',
@@ -275,43 +270,80 @@ IMPORTANT: Do not break character. Do not mention that this is a training scenar
 
 /**
  * Stream chat response with persona
+ * @param {Object} persona - Persona record
+ * @param {Array} messages - Conversation history
+ * @param {Function} onChunk - Called with (content, finishReason) for every delta
+ * @param {Object} options - { model, llm, signal } where signal is an AbortSignal
+ * @returns {Object} { content, tokens, finishReason, aborted }
  */
-const streamChatWithPersona = async (persona, messages, onChunk) => {
+const streamChatWithPersona = async (persona, messages, onChunk, options = {}) => {
   try {
     const systemPrompt = persona.system_prompt || generateSystemPrompt(persona);
 
-    const stream = await groq.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const stream = await createChatCompletion({
+      model: options.model,
       messages: [
         { role: 'system', content: systemPrompt },
-        ...messages,
+        ...messages.map(m => ({
+          role: m.role,
+          content: m.content,
+        })),
       ],
       temperature: 0.8,
       max_tokens: 1024,
       stream: true,
-    });
+    }, options.llm);
 
     let fullContent = '';
+    let usage = null;
+    let finishReason = null;
+    let aborted = false;
 
     for await (const chunk of stream) {
+      if (options.signal?.aborted) {
+        aborted = true;
+        // Stop the upstream request as well (Groq SDK streams expose a controller)
+        stream.controller?.abort();
+        break;
+      }
+
       const content = chunk.choices[0]?.delta?.content || '';
       fullContent += content;
-      if (onChunk) {
+      finishReason = chunk.choices[0]?.finish_reason || finishReason;
+      // Groq reports usage on the final chunk under x_groq, OpenAI-compatible APIs under usage
+      usage = chunk.usage || chunk.x_groq?.usage || usage;
+
+      if (onChunk && content) {
         onChunk(content, chunk.choices[0]?.finish_reason);
       }
     }
 
-    return { content: fullContent };
+    return {
+      content: fullContent,
+      tokens: usage?.total_tokens || estimateTokens(systemPrompt, messages, fullContent),
+      finishReason,
+      aborted,
+    };
   } catch (error) {
     console.error('LLM stream error:', error);
     throw new Error(`Stream generation failed: ${error.message}`);
   }
 };
 
+/**
+ * Rough token estimate (~4 characters per token) for streams without usage data
+ */
+const estimateTokens = (systemPrompt, messages, completion) => {
+  const characters = systemPrompt.length
+    + messages.reduce((sum, m) => sum + (m.content || '').length, 0)
+    + completion.length;
+  return Math.ceil(characters / 4);
+};
+
 /**
  * Find similar personas based on a description
  */
-const findSimilarPersona = async (description, personas) => {
+const findSimilarPersona = async (description, personas, options = {}) => {
   try {
     const personaSummaries = personas.map(p => ({
       id: p.id,
@@ -332,12 +364,11 @@ Rank the personas by similarity to the description. Return a JSON array of objec
 
 Return ONLY the JSON array, ordered by similarity_score descending.`;
 
-    const completion = await groq.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const completion = await createChatCompletion({
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.3,
       max_tokens: 1024,
-    });
+    }, options.llm);
 
     const responseText = completion.choices[0]?.message?.content || '';
     const jsonMatch = responseText.match(/\[[\s\S]*\]/);
@@ -356,16 +387,16 @@ Return ONLY the JSON array, ordered by similarity_score descending.`;
 /**
  * Test LLM connection
  */
-const testConnection = async () => {
+const testConnection = async (llmConfig = {}) => {
   try {
-    const completion = await groq.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const completion = await createChatCompletion({
       messages: [{ role: 'user', content: 'Say "Hello" in one word.' }],
       max_tokens: 10,
-    });
+    }, llmConfig);
     return {
       success: true,
-      model: DEFAULT_MODEL,
+      model: completion.model,
+      providers: describeProviders(llmConfig),
       response: completion.choices[0]?.message?.content,
     };
   } catch (error) {
@@ -382,7 +413,7 @@ const testConnection = async () => {
  */
 const gradeWithPersona = async (persona, conversation, scenario = null, options = {}) => {
   try {
-    const rubric = persona.grading_rubric || getDefaultRubric();
+    const rubric = scenario?.rubric_override || persona.grading_rubric || getDefaultRubric();
     const criteria = rubric.criteria || [];
 
     // Build grading prompt that embodies the persona's values
@@ -403,7 +434,8 @@ ${criteria.map(c => `- **${c.name}** (${c.weight}%): ${c.description}`).join('\n
 
 ## The Conversation
 ${conversation.map(m => `${m.role === 'user' ? 'THEM' : 'YOU'}: ${m.content}`).join('\n\n')}
-${scenario ? `\n## Context\nThis was a training scenario: "${scenario.title}" - ${scenario.description}` : ''}
+${scenario ? `\n## Context\nThis was a training scenario: "${scenario.title}" - ${scenario.setup_brief || scenario.description}` : ''}
+${scenario?.success_conditions?.length ? `\n## Success Conditions\nThe issue only counts as RESOLVED if they:\n${scenario.success_conditions.map(c => `- ${c}`).join('\n')}` : ''}
 
 ## RESOLUTION-FIRST GRADING (MANDATORY)
 
@@ -458,12 +490,11 @@ Return a JSON object:
 
 Return ONLY valid JSON, no other text.`;
 
-    const completion = await groq.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const completion = await createChatCompletion({
       messages: [{ role: 'user', content: gradingPrompt }],
       temperature: options.temperature || 0.4,
       max_tokens: 1500,
-    });
+    }, options.llm);
 
     const responseText = completion.choices[0]?.message?.content || '';
 
@@ -534,17 +565,17 @@ const analyzeConversationArc = (conversation) => {
  * Grade with multi-pass for consistency
  * Grades twice with different temperatures and averages the results
  */
-const gradeWithMultiPass = async (persona, conversation, scenario = null) => {
+const gradeWithMultiPass = async (persona, conversation, scenario = null, options = {}) => {
   try {
     // Analyze conversation arc
     const arcAnalysis = analyzeConversationArc(conversation);
 
     // Pass 1: Strict/Conservative (lower temperature)
-    const pass1Options = { temperature: 0.3 };
+    const pass1Options = { temperature: 0.3, llm: options.llm };
     const strictGrade = await gradeWithPersona(persona, conversation, scenario, pass1Options);
 
     // Pass 2: Balanced (moderate temperature)
-    const pass2Options = { temperature: 0.6 };
+    const pass2Options = { temperature: 0.6, llm: options.llm };
     const balancedGrade = await gradeWithPersona(persona, conversation, scenario, pass2Options);
 
     // Average the overall scores
@@ -583,7 +614,7 @@ const gradeWithMultiPass = async (persona, conversation, scenario = null) => {
   } catch (error) {
     console.error('Multi-pass grading error:', error);
     // Fallback to single-pass grading
-    return gradeWithPersona(persona, conversation, scenario);
+    return gradeWithPersona(persona, conversation, scenario, { llm: options.llm });
   }
 };
 
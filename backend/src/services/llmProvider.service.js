@@ -0,0 +1,298 @@
+/**
+ * LLM Provider Service
+ *
+ * Single entry point for every chat completion call in the platform.
+ * Providers expose the OpenAI-style `chat.completions.create` surface:
+ * - groq: Groq cloud (primary and optional backup key)
+ * - openai: any OpenAI-compatible endpoint (OpenAI, vLLM, Ollama, LM Studio...)
+ * - mock: deterministic offline stand-in (see mockLLM.service)
+ *
+ * Selection order:
+ * 1. Per-company settings (companies.settings.llm = { provider, model, fallbacks })
+ * 2. Environment (LLM_PROVIDER, LLM_FALLBACK_PROVIDERS)
+ * 3. Groq, with the backup key as fallback when GROQ_API_BACKUPKEY is set
+ */
+
+const Groq = require('groq-sdk');
+const { query } = require('../config/database');
+const { createMockClient, MOCK_MODEL } = require('./mockLLM.service');
+
+// Default models per provider
+const DEFAULT_MODELS = {
+  groq: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+  openai: process.env.OPENAI_COMPAT_MODEL || 'gpt-4o-mini',
+  mock: MOCK_MODEL
+};
+
+/**
+ * Minimal OpenAI-compatible client built on fetch
+ */
+function createOpenAICompatibleClient({ baseURL, apiKey }) {
+  const endpoint = `${(baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify(params)
+          });
+
+          if (!response.ok) {
+            const error = new Error(`OpenAI-compatible request failed: ${response.status} ${await response.text()}`);
+            error.status = response.status;
+            throw error;
+          }
+
+          if (!params.stream) {
+            return response.json();
+          }
+
+          return parseEventStream(response.body);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Turn an SSE response body into an async iterator of completion chunks
+ */
+async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// Provider factories, keyed by provider id
+const PROVIDERS = {
+  groq: {
+    available: () => !!process.env.GROQ_API_KEY,
+    create: () => new Groq({ apiKey: process.env.GROQ_API_KEY })
+  },
+  'groq-backup': {
+    available: () => !!process.env.GROQ_API_BACKUPKEY,
+    create: () => new Groq({ apiKey: process.env.GROQ_API_BACKUPKEY }),
+    modelFamily: 'groq'
+  },
+  openai: {
+    available: () => !!process.env.OPENAI_COMPAT_BASE_URL || !!process.env.OPENAI_COMPAT_API_KEY,
+    create: () => createOpenAICompatibleClient({
+      baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+      apiKey: process.env.OPENAI_COMPAT_API_KEY
+    })
+  },
+  mock: {
+    available: () => true,
+    create: () => createMockClient()
+  }
+};
+
+// Lazily constructed clients (Groq throws without an API key)
+const clients = {};
+
+// Last provider that failed over, skipped first on subsequent calls
+let demotedProvider = null;
+
+/**
+ * Get (or build) the client for a provider id
+ */
+function getClient(providerId) {
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerId}`);
+  }
+  if (!clients[providerId]) {
+    clients[providerId] = provider.create();
+  }
+  return clients[providerId];
+}
+
+/**
+ * Resolve the default model for a provider id
+ */
+function getDefaultModel(providerId) {
+  const family = PROVIDERS[providerId]?.modelFamily || providerId;
+  return DEFAULT_MODELS[family];
+}
+
+/**
+ * Parse a comma-separated provider list
+ */
+function parseProviderList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Build the ordered provider chain for a request
+ * @param {Object} llmConfig - Optional { provider, model, fallbacks } override
+ * @returns {Object[]} Array of { id, model }
+ */
+function resolveProviderChain(llmConfig = {}) {
+  let ids;
+
+  if (llmConfig.provider) {
+    ids = [llmConfig.provider, ...parseProviderList(llmConfig.fallbacks)];
+  } else if (process.env.LLM_PROVIDER) {
+    ids = [process.env.LLM_PROVIDER, ...parseProviderList(process.env.LLM_FALLBACK_PROVIDERS)];
+  } else {
+    ids = ['groq', ...parseProviderList(process.env.LLM_FALLBACK_PROVIDERS)];
+  }
+
+  const unknown = ids.filter(id => !PROVIDERS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown LLM provider: ${unknown.join(', ')} (supported: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  // Falling back silently would hide a misconfiguration (possibly onto the mock provider)
+  const selected = ids[0];
+  if (!PROVIDERS[selected].available()) {
+    throw new Error(`LLM provider ${selected} is selected but not configured (missing credentials)`);
+  }
+
+  // Groq's backup key always trails the primary key
+  if (ids.includes('groq') && !ids.includes('groq-backup')) {
+    ids.splice(ids.indexOf('groq') + 1, 0, 'groq-backup');
+  }
+
+  // Fallbacks without credentials are skipped
+  const chain = [...new Set(ids)]
+    .filter(id => PROVIDERS[id].available())
+    .map(id => ({
+      id,
+      // An explicit model only applies to the selected provider
+      model: id === selected && llmConfig.model ? llmConfig.model : getDefaultModel(id)
+    }));
+
+  // Try the previously rate-limited provider last
+  if (demotedProvider && chain.length > 1 && chain[0].id === demotedProvider) {
+    chain.push(chain.shift());
+  }
+
+  return chain;
+}
+
+/**
+ * Whether an error should trigger failover to the next provider
+ */
+function isRetryableError(error) {
+  const status = error.status || error.response?.status;
+  return status === 429
+    || (status >= 500 && status < 600)
+    || error.message?.includes('rate_limit')
+    || error.error?.code === 'rate_limit_exceeded'
+    || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND'].includes(error.code)
+    || error.name === 'APIConnectionError';
+}
+
+/**
+ * Run an API call against the provider chain, failing over on rate limits,
+ * server errors and connection failures.
+ * @param {Function} apiCall - async (client, { id, model }) => result
+ * @param {Object} llmConfig - Optional provider override ({ provider, model, fallbacks })
+ * @returns {*} Result of the first successful call
+ */
+async function executeWithFailover(apiCall, llmConfig = {}) {
+  const chain = resolveProviderChain(llmConfig);
+  let lastError;
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    try {
+      const result = await apiCall(getClient(provider.id), provider);
+      if (demotedProvider === provider.id) {
+        demotedProvider = null;
+      }
+      return result;
+    } catch (error) {
+      lastError = error;
+      const next = chain[i + 1];
+      if (!next || !isRetryableError(error)) {
+        throw error;
+      }
+      console.log(`[LLM] ${provider.id} failed (${error.status || error.code || error.message}), failing over to ${next.id}...`);
+      demotedProvider = provider.id;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Create a chat completion through the provider chain.
+ * `params.model` is filled in per provider unless explicitly set.
+ */
+async function createChatCompletion(params, llmConfig = {}) {
+  return executeWithFailover(
+    (client, provider) => client.chat.completions.create({
+      ...params,
+      model: params.model || provider.model
+    }),
+    llmConfig
+  );
+}
+
+/**
+ * Load a company's LLM settings (companies.settings.llm)
+ * @param {string} companyId - Company UUID
+ * @returns {Object} { provider, model, fallbacks } or {} when unset
+ */
+async function getCompanyLLMConfig(companyId) {
+  if (!companyId) return {};
+  try {
+    const result = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+    const llm = result.rows[0]?.settings?.llm;
+    return llm && PROVIDERS[llm.provider] ? llm : {};
+  } catch (error) {
+    console.error('Failed to load company LLM settings:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Describe configured providers (for startup logs and health checks)
+ */
+function describeProviders(llmConfig = {}) {
+  return resolveProviderChain(llmConfig).map(p => `${p.id} (${p.model})`);
+}
+
+/**
+ * Get available provider ids
+ */
+function getAvailableProviders() {
+  return Object.entries(PROVIDERS)
+    .filter(([, provider]) => provider.available())
+    .map(([id]) => id);
+}
+
+module.exports = {
+  executeWithFailover,
+  createChatCompletion,
+  resolveProviderChain,
+  getCompanyLLMConfig,
+  describeProviders,
+  getAvailableProviders,
+  getDefaultModel,
+  isRetryableError,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,153 @@
+/**
+ * Persona Matching Service
+ *
+ * Deterministic "Find My Persona" ranking: compares a user's VCPQ
+ * meta-vectors with each persona's personality_vectors.
+ *
+ * Score = average of the cosine score ((cos + 1) / 2) and the distance
+ * score (1 - euclidean / max possible distance), both in [0, 1].
+ */
+
+const vectorService = require('./vector.service');
+const { cosineSimilarity } = require('./validate.service');
+
+// Per-dimension difference thresholds (meta-vectors range from -1 to 1)
+const MATCH_THRESHOLD = 0.25;
+const DIVERGE_THRESHOLD = 0.75;
+
+// Values closer to 0 than this read as "balanced" rather than either pole
+const NEUTRAL_BAND = 0.2;
+
+// Default share of the vector score in hybrid mode
+const DEFAULT_VECTOR_WEIGHT = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Describe where a value sits on a meta-vector
+ * @param {string} dimension - Meta-vector key
+ * @param {number} value - Value between -1 and 1
+ * @returns {string} Pole label, or "Balanced <dimension>"
+ */
+function describeValue(dimension, value) {
+  const labels = vectorService.META_VECTOR_LABELS[dimension];
+  if (Math.abs(value) < NEUTRAL_BAND) {
+    return `Balanced ${dimension.replace(/_/g, ' ')}`;
+  }
+  return value > 0 ? labels.high : labels.low;
+}
+
+/**
+ * Compare a user's meta-vectors with a persona's personality vectors.
+ * Only the 14 VCPQ meta-vectors are compared; domain modifiers are ignored.
+ * @param {Object} userVectors - User meta-vectors
+ * @param {Object} personaVectors - Persona personality_vectors
+ * @returns {Object|null} Scores and per-dimension breakdown, or null if the persona has no vectors
+ */
+function compareMetaVectors(userVectors, personaVectors) {
+  const dimensions = Object.keys(vectorService.META_VECTOR_LABELS)
+    .filter(key => typeof userVectors?.[key] === 'number' && typeof personaVectors?.[key] === 'number');
+
+  if (dimensions.length === 0) {
+    return null;
+  }
+
+  const userValues = dimensions.map(key => userVectors[key]);
+  const personaValues = dimensions.map(key => personaVectors[key]);
+
+  const cosine = cosineSimilarity(userValues, personaValues);
+  const euclidean = Math.sqrt(
+    userValues.reduce((sum, value, i) => sum + (value - personaValues[i]) ** 2, 0)
+  );
+  const maxDistance = 2 * Math.sqrt(dimensions.length);
+  const similarity = ((cosine + 1) / 2 + (1 - euclidean / maxDistance)) / 2;
+
+  const breakdown = dimensions.map((key, i) => {
+    const difference = Math.abs(userValues[i] - personaValues[i]);
+    return {
+      dimension: key,
+      user: round(userValues[i]),
+      persona: round(personaValues[i]),
+      difference: round(difference),
+      status: difference <= MATCH_THRESHOLD ? 'matching'
+        : difference >= DIVERGE_THRESHOLD ? 'diverging'
+          : 'neutral'
+    };
+  });
+
+  return {
+    similarity_score: round(similarity),
+    cosine_similarity: round(cosine),
+    euclidean_distance: round(euclidean),
+    matching_traits: breakdown
+      .filter(d => d.status === 'matching')
+      .sort((a, b) => a.difference - b.difference)
+      .map(d => describeValue(d.dimension, (d.user + d.persona) / 2)),
+    diverging_traits: breakdown
+      .filter(d => d.status === 'diverging')
+      .sort((a, b) => b.difference - a.difference)
+      .map(d => `You: ${describeValue(d.dimension, d.user)} / Persona: ${describeValue(d.dimension, d.persona)}`),
+    dimensions: breakdown
+  };
+}
+
+/**
+ * Rank personas by vector similarity to a user
+ * @param {Object} userVectors - User meta-vectors
+ * @param {Object[]} personas - Personas with id and personality_vectors
+ * @returns {Object[]} Results ordered by similarity_score descending
+ */
+function rankPersonasByVectors(userVectors, personas) {
+  return personas
+    .map(persona => {
+      const comparison = compareMetaVectors(userVectors, persona.personality_vectors);
+      return comparison ? { persona_id: persona.id, ...comparison } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.similarity_score - a.similarity_score);
+}
+
+/**
+ * Blend vector and LLM rankings into a hybrid ranking.
+ * A persona missing from one ranking keeps the score of the other.
+ * @param {Object[]} vectorResults - Output of rankPersonasByVectors
+ * @param {Object[]} llmResults - Output of llm.service findSimilarPersona
+ * @param {number} vectorWeight - Share of the vector score (0-1)
+ * @returns {Object[]} Results ordered by similarity_score descending
+ */
+function blendRankings(vectorResults, llmResults, vectorWeight = DEFAULT_VECTOR_WEIGHT) {
+  const byPersona = new Map();
+
+  for (const result of vectorResults) {
+    byPersona.set(result.persona_id, { ...result, vector_score: result.similarity_score });
+  }
+
+  for (const result of llmResults) {
+    const existing = byPersona.get(result.persona_id) || { persona_id: result.persona_id };
+    const llmTraits = Array.isArray(result.matching_traits) ? result.matching_traits : [];
+    byPersona.set(result.persona_id, {
+      ...existing,
+      llm_score: typeof result.similarity_score === 'number' ? result.similarity_score : null,
+      matching_traits: [...new Set([...(existing.matching_traits || []), ...llmTraits])]
+    });
+  }
+
+  return [...byPersona.values()]
+    .map(result => {
+      const hasVector = typeof result.vector_score === 'number';
+      const hasLLM = typeof result.llm_score === 'number';
+      const score = hasVector && hasLLM
+        ? vectorWeight * result.vector_score + (1 - vectorWeight) * result.llm_score
+        : hasVector ? result.vector_score : (result.llm_score || 0);
+      return { ...result, similarity_score: round(score) };
+    })
+    .sort((a, b) => b.similarity_score - a.similarity_score);
+}
+
+module.exports = {
+  compareMetaVectors,
+  rankPersonasByVectors,
+  blendRankings,
+  describeValue,
+  DEFAULT_VECTOR_WEIGHT
+};
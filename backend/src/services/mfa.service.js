@@ -0,0 +1,268 @@
+/**
+ * MFA Service
+ *
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+ * steps) and single-use recovery codes. Enrollment stores a new secret on
+ * the user, and it only protects the account once a code from the
+ * authenticator app has confirmed it. Accepted time steps are recorded so a
+ * code cannot be used twice.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { query, transaction } = require('../config/database');
+
+const ISSUER = 'Persona';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+// Steps either side of now that are still accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const ADMIN_ROLES = ['super_admin', 'company_admin'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * One-time password for a time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / 30)
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, step, digits = DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code against the steps around now
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {Object} [options]
+ * @param {number|string|null} [options.lastStep] - Last accepted step; it and earlier steps are refused
+ * @param {number} [options.now] - Current time in ms
+ * @returns {number|null} Matching step, or null
+ */
+const verifyTotp = (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(digits)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastStep !== null && candidate <= Number(lastStep)) continue;
+    const expected = generateTotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const otpauthUrl = (secret, email) => {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(email)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes look like 3f9a2-c81d0; case and separators are ignored when checking
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Replace a user's recovery codes inside a transaction; returns the new plain codes
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+  await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO mfa_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+};
+
+/**
+ * Whether the user's company requires MFA for their role
+ *
+ * @param {Object} user - User row joined with companies.require_admin_mfa
+ */
+const isRequiredFor = (user) => ADMIN_ROLES.includes(user.role) && !!user.require_admin_mfa;
+
+/**
+ * Whether the user must enroll before using anything but MFA setup
+ *
+ * @param {Object} user - User row joined with companies.require_admin_mfa
+ */
+const setupRequired = (user) => isRequiredFor(user) && !user.mfa_enabled;
+
+/**
+ * Start (or restart) enrollment with a new secret
+ *
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await query(
+    'UPDATE users SET mfa_secret = $1, mfa_last_step = NULL WHERE id = $2 AND mfa_enabled = false',
+    [secret, user.id]
+  );
+  const url = otpauthUrl(secret, user.email);
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ *
+ * @param {Object} user - User row with its pending mfa_secret
+ * @param {string} code - Current code
+ * @returns {Promise<string[]|null>} Recovery codes to show once, or null if the code is wrong
+ */
+const enable = async (user, code) => {
+  const step = verifyTotp(user.mfa_secret, code);
+  if (step === null) return null;
+
+  return transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET mfa_enabled = true, mfa_enabled_at = NOW(), mfa_last_step = $1
+       WHERE id = $2`,
+      [step, user.id]
+    );
+    return replaceRecoveryCodes(client, user.id);
+  });
+};
+
+/**
+ * Turn MFA off and forget the secret and recovery codes
+ *
+ * @param {string} userId - User UUID
+ */
+const disable = (userId) => transaction(async (client) => {
+  await client.query(
+    `UPDATE users SET mfa_enabled = false, mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+});
+
+/**
+ * Issue a fresh set of recovery codes, invalidating the old ones
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<string[]>} New recovery codes
+ */
+const regenerateRecoveryCodes = (userId) => transaction(client => replaceRecoveryCodes(client, userId));
+
+/**
+ * Check a second-factor code: an authenticator code, or else an unused recovery code
+ *
+ * @param {Object} user - User row with MFA enabled
+ * @param {string} code - What the user typed
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', or null if neither matched
+ */
+const verifyChallenge = async (user, code) => {
+  if (!user.mfa_enabled) return null;
+
+  const step = verifyTotp(user.mfa_secret, code, { lastStep: user.mfa_last_step });
+  if (step !== null) {
+    // Conditional so two requests racing with the same code cannot both pass
+    const claimed = await query(
+      `UPDATE users SET mfa_last_step = $1
+       WHERE id = $2 AND (mfa_last_step IS NULL OR mfa_last_step < $1)`,
+      [step, user.id]
+    );
+    return claimed.rowCount ? 'totp' : null;
+  }
+
+  if (!normalizeRecoveryCode(code)) return null;
+  const used = await query(
+    `UPDATE mfa_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  return used.rows.length ? 'recovery_code' : null;
+};
+
+/**
+ * MFA status for the settings page
+ *
+ * @param {Object} user - User row joined with companies.require_admin_mfa
+ */
+const getStatus = async (user) => {
+  const result = await query(
+    'SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  return {
+    enabled: !!user.mfa_enabled,
+    enabledAt: user.mfa_enabled_at || null,
+    recoveryCodesRemaining: user.mfa_enabled ? parseInt(result.rows[0]?.count || 0, 10) : 0,
+    required: isRequiredFor(user),
+  };
+};
+
+module.exports = {
+  generateTotp,
+  verifyTotp,
+  generateSecret,
+  otpauthUrl,
+  base32Encode,
+  base32Decode,
+  isRequiredFor,
+  setupRequired,
+  beginEnrollment,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  verifyChallenge,
+  getStatus,
+  ADMIN_ROLES,
+  RECOVERY_CODE_COUNT,
+};
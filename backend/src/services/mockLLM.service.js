@@ -0,0 +1,300 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic, offline stand-in for the chat completion APIs.
+ * Exposes the same `chat.completions.create` surface as the Groq and
+ * OpenAI-compatible clients so the persona pipeline, grading and the
+ * test suite can run without network access.
+ *
+ * The response is derived from the prompt itself: the same request
+ * always produces the same answer.
+ */
+
+const crypto = require('crypto');
+const vectorService = require('./vector.service');
+
+const MOCK_MODEL = 'mock-persona-v1';
+
+const MOCK_NAMES = [
+  'Alex Morgan', 'Jordan Lee', 'Taylor Reed', 'Casey Brooks', 'Riley Chen',
+  'Morgan Hayes', 'Sam Patel', 'Jamie Ortiz', 'Avery Novak', 'Quinn Foster'
+];
+
+/**
+ * Stable 32-bit hash of a string
+ */
+function hashString(text) {
+  return crypto.createHash('sha256').update(text).digest().readUInt32BE(0);
+}
+
+/**
+ * Estimate token count (roughly 4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil((text || '').length / 4));
+}
+
+/**
+ * Pull meta-vector values out of a compiled system prompt.
+ * Matches lines like "- innovation: 0.60 (Strong Innovative/Risk-Taking)".
+ */
+function extractVectors(text) {
+  const vectors = {};
+  const labels = vectorService.getMetaVectorLabels();
+  const pattern = /^\s*-\s*([a-z_]+):\s*(-?\d+(?:\.\d+)?)\s*\(/gm;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (labels[match[1]]) {
+      vectors[match[1]] = parseFloat(match[2]);
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Answer the VCPQ self-assessment consistently with the persona's vectors
+ */
+function answerSelfAssessment(systemPrompt) {
+  const vectors = extractVectors(systemPrompt);
+  const scores = {};
+
+  for (const [id, meta] of Object.entries(vectorService.getQuestionMeta())) {
+    const value = vectors[meta.meta] || 0;
+    const signed = meta.reversed ? -value : value;
+    scores[id] = Math.max(1, Math.min(5, Math.round(3 + signed * 2)));
+  }
+
+  return JSON.stringify(scores);
+}
+
+/**
+ * Grade a transcript using simple, repeatable heuristics
+ */
+function answerGrading(prompt) {
+  const criteria = [];
+  const criterionPattern = /^- \*\*(.+?)\*\* \((\d+)%\)/gm;
+  let match;
+  while ((match = criterionPattern.exec(prompt)) !== null) {
+    criteria.push(match[1]);
+  }
+
+  const transcript = prompt.split('## The Conversation')[1] || '';
+  const userLines = transcript.split('\n').filter(line => line.startsWith('THEM:'));
+  const userText = userLines.join(' ').toLowerCase();
+
+  const resolved = /(i will|i'll|let's|we can|plan|next step|schedule|agreed|solution)/.test(userText);
+  const empathetic = /(understand|appreciate|sorry|hear you|makes sense|thank)/.test(userText);
+
+  const base = resolved ? 75 : userLines.length > 1 ? 60 : 40;
+  const overall = Math.min(100, base + (empathetic ? 10 : 0) + Math.min(userLines.length, 5));
+
+  return JSON.stringify({
+    reasoning: `RESOLUTION: ${resolved ? 'YES' : userLines.length > 1 ? 'PARTIAL' : 'NO'}. Base score: ${base}. Communication: ${empathetic ? 'good' : 'poor'}. Final: ${overall}`,
+    overall_score: overall,
+    criteria_scores: criteria.map((name, i) => ({
+      name,
+      score: Math.max(0, Math.min(100, overall + ((i % 2 === 0) ? 3 : -3))),
+      feedback: `Mock feedback for ${name}.`
+    })),
+    overall_feedback: resolved
+      ? 'You addressed the issue and moved us toward a concrete outcome.'
+      : 'I still do not see a concrete way forward.',
+    tips: ['Summarize the agreed next step', 'Acknowledge my perspective before proposing a fix']
+  });
+}
+
+/**
+ * Rank personas listed in a similarity prompt by word overlap
+ */
+function answerSimilarity(prompt) {
+  const description = (prompt.match(/"([\s\S]*?)"\n/) || [])[1] || '';
+  const words = new Set(description.toLowerCase().match(/[a-z]{4,}/g) || []);
+  const listMatch = prompt.match(/\[[\s\S]*\]/);
+  let personas = [];
+  try {
+    personas = listMatch ? JSON.parse(listMatch[0]) : [];
+  } catch (error) {
+    personas = [];
+  }
+
+  return JSON.stringify(personas
+    .map(p => {
+      const traits = [...(p.key_traits || []), ...(p.values || [])];
+      const haystack = JSON.stringify(p).toLowerCase();
+      const hits = [...words].filter(w => haystack.includes(w));
+      return {
+        persona_id: p.id,
+        similarity_score: Math.round(Math.min(1, 0.3 + hits.length * 0.1) * 100) / 100,
+        matching_traits: traits.filter(t => hits.some(w => String(t).toLowerCase().includes(w)))
+      };
+    })
+    .sort((a, b) => b.similarity_score - a.similarity_score));
+}
+
+/**
+ * Build a JSON insights object matching generatePersonaInsights' schema
+ */
+function answerInsights() {
+  return JSON.stringify({
+    strengths: ['Reliable follow-through', 'Clear communication', 'Structured problem-solving'],
+    areas_for_growth: ['Delegating earlier', 'Seeking broader input'],
+    learning_style: {
+      type: 'Practical Learner',
+      preferences: ['Worked examples', 'Short written guides', 'Hands-on practice'],
+      recommendations: ['Provide context before details', 'Allow time for processing']
+    },
+    work_style: {
+      collaboration: 'Prefers scheduled, focused collaboration',
+      feedback_preference: 'Specific, written feedback',
+      conflict_approach: 'Addresses issues once facts are clear',
+      decision_making: 'Balances data with experience',
+      stress_response: 'Stays methodical under pressure'
+    },
+    compatibility: {
+      works_well_with: ['Organized planners', 'Pragmatic executors'],
+      potential_friction_with: ['Highly improvisational colleagues'],
+      ideal_manager_style: 'Clear goals with room for autonomy',
+      ideal_team_role: 'Executor or Specialist'
+    }
+  });
+}
+
+/**
+ * Distill free-text survey answers: quote the first answers, and turn
+ * answers that sound like complaints into pain points
+ */
+function answerFreeText(prompt) {
+  const answers = [...prompt.matchAll(/^- "(.*)"$/gm)].map(match => match[1]);
+  const complaint = /(slow|hard|difficult|unclear|too many|too much|lack|waiting|blocked|frustrat|never|no time)/i;
+
+  return JSON.stringify({
+    quotes: answers.slice(0, 3).map(answer => answer.split(/(?<=[.!?])\s/)[0]),
+    pain_points: answers
+      .filter(answer => complaint.test(answer))
+      .map(answer => answer.split(/[.!?,;]/)[0].trim())
+      .slice(0, 5)
+  });
+}
+
+/**
+ * Produce a short in-character chat reply
+ */
+function answerChat(messages) {
+  const system = messages.find(m => m.role === 'system')?.content || '';
+  const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const name = (system.match(/"([^"]+)"/) || system.match(/You are ([A-Z][\w .'-]+?)[,.]/) || [])[1] || 'I';
+  const topic = lastUser.split(/[.?!]/)[0].trim().slice(0, 80);
+  const openers = [
+    'Fair point.',
+    'I hear you.',
+    'Let me be straight with you.',
+    'Okay, let us think about this.'
+  ];
+  const opener = openers[hashString(system + lastUser) % openers.length];
+
+  if (!topic) {
+    return `${opener} What would you like to discuss?`;
+  }
+  return `${opener} As ${name}, my take on "${topic}" is that we need a clear next step before I commit.`;
+}
+
+/**
+ * Route a request to the matching canned responder
+ */
+function respond(messages) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const system = messages.find(m => m.role === 'system')?.content || '';
+
+  if (lastUser.includes('JSON object mapping question IDs to scores')) {
+    return answerSelfAssessment(system);
+  }
+  if (lastUser.includes('"overall_score"')) {
+    return answerGrading(lastUser);
+  }
+  if (lastUser.includes('similarity_score')) {
+    return answerSimilarity(lastUser);
+  }
+  if (lastUser.includes('"strengths"') && lastUser.includes('"work_style"')) {
+    return answerInsights();
+  }
+  if (lastUser.includes('"quotes"') && lastUser.includes('"pain_points"')) {
+    return answerFreeText(lastUser);
+  }
+  if (lastUser.includes('Return ONLY the full name')) {
+    return MOCK_NAMES[hashString(lastUser) % MOCK_NAMES.length];
+  }
+  if (lastUser.includes('professional background')) {
+    const name = (lastUser.match(/Name: (.+)/) || [])[1] || 'This professional';
+    return `${name} has spent several years in cross-functional roles and is known for steady, dependable delivery.`;
+  }
+  if (lastUser.includes('Say "Hello"')) {
+    return 'Hello';
+  }
+  return answerChat(messages);
+}
+
+/**
+ * Split a reply into stream chunks in the OpenAI delta format.
+ * Usage is reported on the final chunk, as OpenAI-compatible APIs do.
+ */
+async function* streamChunks(content, model, usage) {
+  const parts = content.match(/\S+\s*/g) || [content];
+  for (let i = 0; i < parts.length; i++) {
+    const last = i === parts.length - 1;
+    yield {
+      model,
+      choices: [{
+        index: 0,
+        delta: { content: parts[i] },
+        finish_reason: last ? 'stop' : null
+      }],
+      ...(last ? { usage } : {})
+    };
+  }
+}
+
+/**
+ * Create a mock client with the chat.completions.create surface
+ * @param {Object} config - Provider config ({ model })
+ * @returns {Object} Client
+ */
+function createMockClient(config = {}) {
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const model = params.model || config.model || MOCK_MODEL;
+          const content = respond(params.messages || []);
+          const promptTokens = estimateTokens((params.messages || []).map(m => m.content).join('\n'));
+          const completionTokens = estimateTokens(content);
+          const usage = {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+          };
+
+          if (params.stream) {
+            return streamChunks(content, model, usage);
+          }
+
+          return {
+            id: `mock-${hashString(content).toString(16)}`,
+            model,
+            choices: [{
+              index: 0,
+              message: { role: 'assistant', content },
+              finish_reason: 'stop'
+            }],
+            usage
+          };
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMockClient,
+  extractVectors,
+  MOCK_MODEL
+};
@@ -0,0 +1,385 @@
+/**
+ * Persona Generation Service
+ *
+ * The steps behind questionnaire persona generation: turning responses
+ * into VCPQ vectors, summarizing clusters and generating one persona
+ * per cluster. Used by the preview route and the generation job worker.
+ * Responses are scored against the questionnaire's instrument (see
+ * instrument.service); answers to custom questions are carried along
+ * (see customQuestion.service).
+ *
+ * Each persona gets a grading rubric generated from its vectors
+ * (see rubric.service), which admins can edit afterwards.
+ *
+ * Every generated persona passes through a validation gate: the persona
+ * answers the VCPQ itself and its answers must correlate with the input
+ * vectors. Below the threshold the prompt is reinforced and re-checked.
+ */
+
+const { query, transaction } = require('../config/database');
+const vcpqService = require('./vcpq.service');
+const vectorService = require('./vector.service');
+const clusteringService = require('./clustering.service');
+const validateService = require('./validate.service');
+const promptCompiler = require('./promptCompiler.service');
+const personaVersions = require('./personaVersion.service');
+const customQuestions = require('./customQuestion.service');
+const responseQuality = require('./responseQuality.service');
+const rubrics = require('./rubric.service');
+
+const VALIDATION_THRESHOLD = 0.8;
+const MAX_VALIDATION_ATTEMPTS = 3;
+
+/**
+ * Load the responses that have not been turned into a persona yet. Responses
+ * flagged by quality screening are left out unless includeFlagged is set;
+ * rejected ones always are.
+ * @param {string} questionnaireId - Questionnaire UUID
+ * @param {Object} options - { includeFlagged }
+ * @returns {Object[]} Response rows
+ */
+async function loadUnprocessedResponses(questionnaireId, { includeFlagged = false } = {}) {
+  const result = await query(
+    'SELECT * FROM questionnaire_responses WHERE questionnaire_id = $1 AND processed = false AND quality_status = ANY($2)',
+    [questionnaireId, responseQuality.usableStatuses(includeFlagged)]
+  );
+  return result.rows;
+}
+
+/**
+ * Convert response rows into VCPQ vectors, skipping responses that do not
+ * answer the instrument. Mapped custom Likert items are weighted into the vectors.
+ * @param {Object[]} rows - questionnaire_responses rows
+ * @param {Object[]} questions - The questionnaire's custom questions
+ * @param {Object} instrument - Instrument the questionnaire was created from (defaults to the VCPQ)
+ * @returns {Object[]} Processed responses ({ id, vcpqScores, customAnswers, demographics, vectorResult })
+ */
+function processResponses(rows, questions = [], instrument = vectorService.VCPQ_INSTRUMENT) {
+  const processedResponses = [];
+  const itemIds = Object.keys(instrument.meta);
+  const deliveryMode = instrument.delivery_mode || 'full';
+
+  for (const response of rows) {
+    try {
+      const answers = typeof response.answers === 'string' ? JSON.parse(response.answers) : response.answers;
+      const demographics = typeof response.demographics === 'string' ? JSON.parse(response.demographics) : (response.demographics || {});
+
+      const vcpqScores = {};
+      for (const key of itemIds) {
+        if (answers[key] !== undefined && answers[key] !== null) {
+          vcpqScores[key] = parseInt(answers[key]) || 3;
+        }
+      }
+
+      // Short and adaptive responses need the short form; a missing follow-up only lowers confidence
+      const incomplete = deliveryMode === 'full'
+        ? Object.keys(vcpqScores).length < Math.min(6, itemIds.length)
+        : !vectorService.validateResponses(vcpqScores, instrument.meta, 'short').valid;
+      if (incomplete) {
+        console.log('Response lacks instrument answers, skipping:', response.id);
+        continue;
+      }
+
+      const customAnswers = customQuestions.extractCustomAnswers(answers, questions);
+
+      processedResponses.push({
+        id: response.id,
+        vcpqScores,
+        customAnswers,
+        demographics,
+        vectorResult: vectorService.processVCPQResponses(
+          vcpqScores,
+          customQuestions.getMappedItems(questions, customAnswers.likert),
+          instrument
+        )
+      });
+    } catch (err) {
+      console.error('Error processing response:', response.id, err.message);
+    }
+  }
+
+  return processedResponses;
+}
+
+/**
+ * Reduce a cluster to what persona generation needs, so a cluster can be
+ * stored and regenerated later without its members in memory
+ * @param {Object} cluster - Cluster from clusteringService.clusterResponses
+ * @param {Object[]} questions - The questionnaire's custom questions
+ * @returns {Object} { size, member_ids, centroid, avg_scores, demographics, custom_answers, cohesion }
+ */
+function summarizeCluster(cluster, questions = []) {
+  // Average the VCPQ scores from cluster members. Short and adaptive
+  // responses answer different items, so each item averages its answerers.
+  const avgScores = {};
+  const scoreKeys = [...new Set(cluster.members.flatMap(m => Object.keys(m.vcpqScores)))];
+  for (const key of scoreKeys) {
+    const answered = cluster.members.filter(m => m.vcpqScores[key] !== undefined);
+    const sum = answered.reduce((acc, m) => acc + (m.vcpqScores[key] || 3), 0);
+    avgScores[key] = Math.round(sum / answered.length);
+  }
+
+  return {
+    size: cluster.size,
+    member_ids: cluster.members.map(m => m.id),
+    centroid: cluster.centroid,
+    avg_scores: avgScores,
+    demographics: clusteringService.aggregateDemographics(cluster.members),
+    custom_answers: customQuestions.summarizeCustomAnswers(cluster.members, questions),
+    cohesion: cluster.avgDistance ? Math.round((1 - cluster.avgDistance / 2) * 100) / 100 : 0.85
+  };
+}
+
+/**
+ * Validate a persona prompt, reinforcing it until the self-assessment
+ * passes or the attempts run out. The best-scoring prompt is kept.
+ * @param {Object} params
+ * @param {string} params.systemPrompt - Compiled system prompt
+ * @param {Object} params.metaVectors - Vectors the prompt was compiled from
+ * @param {Object} params.llm - Company LLM config
+ * @param {number} params.threshold - Minimum correlation to pass
+ * @param {number} params.maxAttempts - Validation attempts including the first
+ * @returns {Object} { status, system_prompt, correlation, result }
+ */
+async function validateGeneratedPersona({
+  systemPrompt,
+  metaVectors,
+  llm = {},
+  threshold = VALIDATION_THRESHOLD,
+  maxAttempts = MAX_VALIDATION_ATTEMPTS
+}) {
+  const attempts = [];
+  let prompt = systemPrompt;
+  let best = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const validation = await vcpqService.validateVCPQPersona(prompt, metaVectors, llm);
+
+    if (!validation.success || validation.correlation === undefined) {
+      attempts.push({ attempt, error: validation.error || 'Validation failed' });
+      continue;
+    }
+
+    const valid = validation.correlation >= threshold;
+    attempts.push({ attempt, correlation: validation.correlation, valid });
+
+    if (!best || validation.correlation > best.validation.correlation) {
+      best = { prompt, validation: { ...validation, valid, threshold }, attempt };
+    }
+    if (valid) break;
+
+    if (attempt < maxAttempts) {
+      prompt = promptCompiler.reinforcePrompt(systemPrompt, metaVectors, validation.dimension_analysis, attempt);
+    }
+  }
+
+  if (!best) {
+    return {
+      status: 'error',
+      system_prompt: systemPrompt,
+      correlation: null,
+      result: { threshold, attempts, error: attempts[attempts.length - 1]?.error }
+    };
+  }
+
+  const { validation } = best;
+  return {
+    status: validation.valid ? 'passed' : 'failed',
+    system_prompt: best.prompt,
+    correlation: validation.correlation,
+    result: {
+      threshold,
+      cosine_similarity: validation.cosine_similarity,
+      mean_absolute_error: validation.mean_absolute_error,
+      dimension_analysis: validation.dimension_analysis,
+      worst_dimensions: validation.worst_dimensions,
+      recommendation: validation.valid
+        ? 'Persona is consistent with input vectors'
+        : validation.recommendation,
+      ...validateService.generateRecommendations(validation),
+      selected_attempt: best.attempt,
+      regenerated: best.prompt !== systemPrompt,
+      attempts
+    }
+  };
+}
+
+/**
+ * Generate and store the persona for one summarized cluster, then mark
+ * its responses as processed
+ * @param {Object} params
+ * @param {string} params.questionnaireId - Questionnaire UUID
+ * @param {string} params.companyId - Owning company
+ * @param {string} params.domain - Lexicon domain
+ * @param {Object} params.lexicon - Built company lexicon (overrides domain when set)
+ * @param {boolean} params.generateInsights - Whether to generate extended insights
+ * @param {Object} params.llm - Company LLM config
+ * @param {Object} params.cluster - Output of summarizeCluster
+ * @param {Object} params.validation - { enabled, threshold, maxAttempts }
+ * @param {Object} params.instrument - Instrument the cluster's scores answer (defaults to the VCPQ)
+ * @param {string} params.userId - Who started the generation
+ * @returns {Object} { persona, stats }
+ */
+async function generateClusterPersona({ questionnaireId, companyId, domain, lexicon = null, generateInsights, llm, cluster, validation = {}, instrument = vectorService.VCPQ_INSTRUMENT, userId = null }) {
+  const centroidVectors = cluster.centroid;
+  const aggregatedDemo = cluster.demographics || {};
+  const avgScores = cluster.avg_scores;
+  const domainLexicon = lexicon || domain;
+  const domainKey = lexicon ? lexicon.base_domain : domain;
+  const customAnswers = cluster.custom_answers || null;
+  const mappedItems = customAnswers?.mapped_items || [];
+
+  // Generate persona using averaged scores
+  const vcpqResult = await vcpqService.generateVCPQPersona(avgScores, aggregatedDemo, domainLexicon, llm, { mappedItems, instrument });
+
+  // Validation gate: check (and if needed reinforce) the prompt before saving
+  let fidelity = null;
+  if (validation.enabled !== false) {
+    fidelity = await validateGeneratedPersona({
+      systemPrompt: vcpqResult.system_prompt,
+      metaVectors: vcpqResult.personality_vectors,
+      llm,
+      threshold: validation.threshold,
+      maxAttempts: validation.maxAttempts
+    });
+  }
+
+  // Generate extended insights if requested
+  let insights = null;
+  if (generateInsights) {
+    insights = await vcpqService.generatePersonaInsights(centroidVectors, aggregatedDemo, domainLexicon, llm);
+  }
+
+  // What the cluster said in its own words
+  const distilled = await customQuestions.distillFreeText(customAnswers?.text, llm);
+
+  // Find vector extremes
+  const vectorEntries = Object.entries(centroidVectors);
+  const highest = vectorEntries.reduce((a, b) => b[1] > a[1] ? b : a);
+  const lowest = vectorEntries.reduce((a, b) => b[1] < a[1] ? b : a);
+
+  // Build summary with insights
+  const summary = {
+    demographics: vcpqResult.demographics || aggregatedDemo,
+    communication_style: {
+      preferred: vcpqResult.communication_style || 'balanced',
+      traits: vcpqResult.traits || []
+    },
+    values: vcpqResult.goals || [],
+    pain_points: [...(vcpqResult.challenges || []), ...(distilled?.pain_points || [])],
+    quotes: distilled?.quotes || [],
+    custom_answers: customAnswers?.choices || [],
+    motivations: vcpqResult.goals || [],
+    key_traits: vcpqResult.traits || [],
+    cluster_info: {
+      size: cluster.size,
+      member_ids: cluster.member_ids
+    },
+    strengths: insights?.strengths || [],
+    areas_for_growth: insights?.areas_for_growth || [],
+    learning_style: insights?.learning_style || null,
+    work_style: insights?.work_style || null,
+    compatibility: insights?.compatibility || null
+  };
+
+  const extendedProfile = {
+    background_story: vcpqResult.background || '',
+    detailed_preferences: centroidVectors,
+    behavioral_patterns: vcpqResult.applied_rules || [],
+    conversation_guidelines: vcpqResult.decision_making || '',
+    vcpq_domain: domainKey,
+    lexicon: lexicon ? { id: lexicon.id, name: lexicon.name } : null,
+    vector_profile: {
+      centroid_vectors: centroidVectors,
+      avg_scores: avgScores,
+      mapped_items: mappedItems,
+      instrument: vcpqResult.vector_version,
+      delivery_mode: instrument.delivery_mode || 'full',
+      confidence: vcpqResult.vector_confidence,
+      applied_rules: vcpqResult.applied_rules
+    },
+    free_text_source: distilled?.generated_by || null,
+    insights_generated: insights !== null,
+    insights_source: insights?.generated_by || null
+  };
+
+  const role = aggregatedDemo.role || aggregatedDemo.job_title || 'Team Member';
+  const dept = aggregatedDemo.department || 'General';
+  const tagline = `${role} - ${dept} (${cluster.size} similar responses)`;
+
+  // Persona, first version and processed responses are written together, so a
+  // retried cluster never leaves a half-created persona behind
+  const personaResult = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO personas
+       (company_id, questionnaire_id, name, tagline, status, summary, extended_profile,
+        system_prompt, personality_vectors, raw_survey_scores, domain_context,
+        cluster_size, confidence_score, validation_status, validation_correlation,
+        validation_result, validated_at, lexicon_id, grading_rubric, generated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
+       RETURNING *`,
+      [
+        companyId,
+        questionnaireId,
+        vcpqResult.name,
+        tagline,
+        'active',
+        JSON.stringify(summary),
+        JSON.stringify(extendedProfile),
+        fidelity?.system_prompt || vcpqResult.system_prompt,
+        JSON.stringify(centroidVectors),
+        JSON.stringify(avgScores),
+        domainKey,
+        cluster.size,
+        cluster.cohesion,
+        fidelity?.status || null,
+        fidelity?.correlation ?? null,
+        fidelity ? JSON.stringify(fidelity.result) : null,
+        fidelity ? new Date() : null,
+        lexicon?.id || null,
+        JSON.stringify(rubrics.generateRubric(centroidVectors, { name: vcpqResult.name }))
+      ]
+    );
+
+    await personaVersions.recordVersion({
+      persona: result.rows[0],
+      changeType: 'create',
+      userId,
+      note: 'Generated from questionnaire responses'
+    }, client);
+
+    // Mark all cluster members as processed
+    await client.query(
+      'UPDATE questionnaire_responses SET processed = true WHERE id = ANY($1)',
+      [cluster.member_ids]
+    );
+    return result;
+  });
+
+  console.log(`[Clustering] Created persona "${vcpqResult.name}" from cluster of ${cluster.size} responses`);
+
+  return {
+    persona: personaResult.rows[0],
+    stats: {
+      name: vcpqResult.name,
+      cluster_size: cluster.size,
+      cluster_cohesion: cluster.cohesion,
+      vector_extremes: { highest: highest[0], lowest: lowest[0] },
+      insights_generated: insights ? Object.keys(insights).length : 0,
+      custom_questions_used: mappedItems.length + (customAnswers?.choices.length || 0) + (customAnswers?.text.length || 0),
+      validation_status: fidelity?.status || 'skipped',
+      validation_correlation: fidelity?.correlation ?? null,
+      validation_attempts: fidelity?.result.attempts.length || 0
+    }
+  };
+}
+
+module.exports = {
+  loadUnprocessedResponses,
+  processResponses,
+  summarizeCluster,
+  validateGeneratedPersona,
+  generateClusterPersona,
+  VALIDATION_THRESHOLD,
+  MAX_VALIDATION_ATTEMPTS
+};
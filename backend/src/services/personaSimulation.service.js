@@ -0,0 +1,340 @@
+/**
+ * Persona Simulation Service
+ *
+ * Team-fit analysis from simulated discussions instead of single-vector
+ * guesses: two personas take turns on a workplace prompt through
+ * chatWithVCPQPersona, and the transcript is scored for friction (pushback
+ * and hostility), consensus (agreement, weighted toward the end) and turn
+ * dominance (how unevenly the talking was split). The latest simulation of
+ * every pair fills a company's compatibility matrix.
+ */
+
+const { query } = require('../config/database');
+const { chatWithVCPQPersona } = require('./vcpq.service');
+const { generateSystemPrompt } = require('./llm.service');
+
+const MIN_TURNS = 2;
+const MAX_TURNS = 20;
+const DEFAULT_TURNS = 8;
+
+// Pairs simulated per matrix run request; each pair is a full discussion of
+// LLM calls, so the page calls again for the rest
+const MAX_PAIRS_PER_RUN = 1;
+
+const WORKPLACE_PROMPTS = [
+  'The launch date is at risk. Decide together whether to cut scope or ask for a two-week extension.',
+  'The team budget was cut by 20%. Agree on what to stop doing next quarter.',
+  'A teammate proposes replacing the current project tracking tool. Decide whether to switch.',
+  'A customer escalation landed on both of you. Agree on who owns it and what to tell the customer.'
+];
+
+// No bare "but"/"however": polite replies hedge with them all the time
+const DISAGREEMENT_PATTERN = /\b(disagree|don't agree|do not agree|not convinced|i doubt|won't work|will not work|wrong|no way|push back|concerns?|concerned)\b/i;
+const HOSTILITY_PATTERN = /\b(ridiculous|nonsense|waste of time|you always|you never|unacceptable|frankly|obviously)\b|!{2,}/i;
+const AGREEMENT_PATTERN = /\b(agree|agreed|makes sense|good point|fair point|fair enough|sounds good|works for me|happy to|let's do|deal|on board|you're right|exactly)\b/i;
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * Score a simulated discussion
+ *
+ * @param {Array} transcript - [{ persona_id, content }] in speaking order
+ * @param {string[]} personaIds - The two persona ids
+ * @returns {Object} { friction, consensus, dominance, compatibility, details }
+ */
+const scoreTranscript = (transcript, personaIds) => {
+  const n = transcript.length;
+  let disagreements = 0;
+  let hostile = 0;
+  let agreements = 0;
+  let weightedAgreement = 0;
+  let totalWeight = 0;
+  const words = Object.fromEntries(personaIds.map(id => [id, 0]));
+  const questions = Object.fromEntries(personaIds.map(id => [id, 0]));
+
+  transcript.forEach((turn, i) => {
+    const disagrees = DISAGREEMENT_PATTERN.test(turn.content);
+    const hostileTurn = HOSTILITY_PATTERN.test(turn.content);
+    const agrees = AGREEMENT_PATTERN.test(turn.content);
+    if (disagrees) disagreements += 1;
+    if (hostileTurn) hostile += 1;
+    if (agrees) agreements += 1;
+
+    // Later turns count up to twice as much: where the pair ends up matters most
+    const weight = 1 + (n > 1 ? i / (n - 1) : 0);
+    weightedAgreement += agrees && !hostileTurn ? weight : 0;
+    totalWeight += weight;
+
+    words[turn.persona_id] += wordCount(turn.content);
+    questions[turn.persona_id] += (turn.content.match(/\?/g) || []).length;
+  });
+
+  const friction = n ? clampScore((100 * (disagreements + hostile)) / n) : 0;
+  const consensus = totalWeight ? clampScore((100 * weightedAgreement) / totalWeight) : 0;
+
+  const totalWords = personaIds.reduce((sum, id) => sum + words[id], 0);
+  const shares = Object.fromEntries(personaIds.map(id => [
+    id,
+    totalWords ? Math.round((words[id] / totalWords) * 100) / 100 : 0.5
+  ]));
+  const dominance = clampScore(Math.abs(shares[personaIds[0]] - 0.5) * 200);
+  const dominant = dominance >= 20
+    ? personaIds.reduce((a, b) => (shares[a] >= shares[b] ? a : b))
+    : null;
+
+  return {
+    friction,
+    consensus,
+    dominance,
+    compatibility: clampScore(0.45 * consensus + 0.4 * (100 - friction) + 0.15 * (100 - dominance)),
+    details: {
+      word_share: shares,
+      questions,
+      disagreements,
+      hostile_turns: hostile,
+      agreements,
+      dominant_persona_id: dominant
+    }
+  };
+};
+
+/**
+ * A persona's system prompt for the discussion
+ */
+const buildSimulationPrompt = (persona, partner, prompt) => `${persona.system_prompt || generateSystemPrompt(persona)}
+
+## Workplace Discussion
+You are discussing this with ${partner.name}${partner.tagline ? ` (${partner.tagline})` : ''}: ${prompt}
+Stay in character and reply to ${partner.name} directly in 1-3 sentences. Agree, push back or negotiate as you naturally would.`;
+
+/**
+ * The transcript from one speaker's side: its own turns are the assistant's,
+ * the partner's are user turns. The first speaker gets a kickoff message.
+ *
+ * @returns {Object} { history, message } where message is the turn to answer
+ */
+const toSpeakerView = (speaker, partner, transcript, prompt) => {
+  const turns = transcript.map(turn => ({
+    role: turn.persona_id === speaker.id ? 'assistant' : 'user',
+    content: turn.content
+  }));
+  if (transcript.length === 0 || transcript[0].persona_id === speaker.id) {
+    turns.unshift({ role: 'user', content: `The discussion with ${partner.name} starts now: ${prompt} Open it.` });
+  }
+  const message = turns.pop();
+  return { history: turns, message: message.content };
+};
+
+/**
+ * Let two personas discuss a prompt, alternating turns (A speaks first)
+ *
+ * @param {Object} params - { personaA, personaB, prompt, turns, llm, chat }
+ *   chat defaults to chatWithVCPQPersona(systemPrompt, history, message, llm)
+ * @returns {Promise<Array>} [{ persona_id, name, content }]
+ */
+const simulateDiscussion = async ({ personaA, personaB, prompt, turns = DEFAULT_TURNS, llm = {}, chat = chatWithVCPQPersona }) => {
+  const speakers = [personaA, personaB];
+  const systemPrompts = [
+    buildSimulationPrompt(personaA, personaB, prompt),
+    buildSimulationPrompt(personaB, personaA, prompt)
+  ];
+  const transcript = [];
+
+  for (let turn = 0; turn < turns; turn++) {
+    const speaker = speakers[turn % 2];
+    const partner = speakers[(turn + 1) % 2];
+    const { history, message } = toSpeakerView(speaker, partner, transcript, prompt);
+    const content = await chat(systemPrompts[turn % 2], history, message, llm);
+    transcript.push({ persona_id: speaker.id, name: speaker.name, content: (content || '').trim() });
+  }
+
+  return transcript;
+};
+
+/**
+ * Simulate a pair, score it and store the result
+ *
+ * @param {Object} params - { personaA, personaB, prompt, turns, llm, providers, companyId, userId, chat }
+ * @returns {Promise<Object>} Stored simulation
+ */
+const runSimulation = async ({ personaA, personaB, prompt, turns = DEFAULT_TURNS, llm, providers = null, companyId, userId = null, chat }) => {
+  const transcript = await simulateDiscussion({ personaA, personaB, prompt, turns, llm, chat });
+  const scores = scoreTranscript(transcript, [personaA.id, personaB.id]);
+
+  const result = await query(
+    `INSERT INTO persona_simulations
+       (company_id, persona_a_id, persona_b_id, prompt, turns, transcript,
+        friction, consensus, dominance, compatibility, details, providers, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      companyId,
+      personaA.id,
+      personaB.id,
+      prompt,
+      turns,
+      JSON.stringify(transcript),
+      scores.friction,
+      scores.consensus,
+      scores.dominance,
+      scores.compatibility,
+      JSON.stringify(scores.details),
+      providers,
+      userId
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Load a simulation with both persona names
+ */
+const getSimulation = async (id) => {
+  const result = await query(
+    `SELECT s.*, pa.name as persona_a_name, pb.name as persona_b_name
+     FROM persona_simulations s
+     JOIN personas pa ON s.persona_a_id = pa.id
+     JOIN personas pb ON s.persona_b_id = pb.id
+     WHERE s.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Active, company-owned personas that take part in the matrix
+ */
+const getCompanyPersonas = async (companyId) => {
+  const result = await query(
+    `SELECT * FROM personas
+     WHERE company_id = $1 AND status = 'active' AND (is_default IS NULL OR is_default = false)
+     ORDER BY name ASC`,
+    [companyId]
+  );
+  return result.rows;
+};
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+/**
+ * Latest simulation per persona pair on a prompt
+ */
+const getLatestPairs = async (companyId, prompt) => {
+  const result = await query(
+    `SELECT DISTINCT ON (LEAST(persona_a_id, persona_b_id), GREATEST(persona_a_id, persona_b_id))
+            id, persona_a_id, persona_b_id, friction, consensus, dominance, compatibility, created_at
+     FROM persona_simulations
+     WHERE company_id = $1 AND prompt = $2
+     ORDER BY LEAST(persona_a_id, persona_b_id), GREATEST(persona_a_id, persona_b_id), created_at DESC`,
+    [companyId, prompt]
+  );
+  return new Map(result.rows.map(row => [pairKey(row.persona_a_id, row.persona_b_id), row]));
+};
+
+/**
+ * Every unordered pair of personas
+ */
+const allPairs = (personas) => personas.flatMap((a, i) => personas.slice(i + 1).map(b => [a, b]));
+
+/**
+ * Pairwise compatibility matrix for a company's personas on a prompt
+ *
+ * @param {string} companyId - Company UUID
+ * @param {string} prompt - Workplace prompt the pairs discussed
+ * @returns {Promise<Object>} { prompt, personas, pairs, missing }
+ *   personas carry average_compatibility, best_match_id and most_friction_id
+ */
+const getCompatibilityMatrix = async (companyId, prompt) => {
+  const [personas, latest] = await Promise.all([getCompanyPersonas(companyId), getLatestPairs(companyId, prompt)]);
+
+  const pairs = [];
+  let missing = 0;
+  for (const [a, b] of allPairs(personas)) {
+    const simulation = latest.get(pairKey(a.id, b.id));
+    if (!simulation) {
+      missing += 1;
+      continue;
+    }
+    pairs.push({
+      persona_a_id: a.id,
+      persona_b_id: b.id,
+      simulation_id: simulation.id,
+      compatibility: simulation.compatibility,
+      friction: simulation.friction,
+      consensus: simulation.consensus,
+      dominance: simulation.dominance,
+      created_at: simulation.created_at
+    });
+  }
+
+  return {
+    prompt,
+    personas: personas.map(persona => {
+      const own = pairs
+        .filter(p => p.persona_a_id === persona.id || p.persona_b_id === persona.id)
+        .map(p => ({ partner: p.persona_a_id === persona.id ? p.persona_b_id : p.persona_a_id, ...p }))
+        .sort((x, y) => y.compatibility - x.compatibility);
+      return {
+        id: persona.id,
+        name: persona.name,
+        tagline: persona.tagline,
+        average_compatibility: own.length
+          ? Math.round(own.reduce((sum, p) => sum + p.compatibility, 0) / own.length)
+          : null,
+        best_match_id: own[0]?.partner || null,
+        most_friction_id: own.length ? own.reduce((x, y) => (y.friction > x.friction ? y : x)).partner : null
+      };
+    }),
+    pairs,
+    missing
+  };
+};
+
+/**
+ * Simulate the pairs the matrix is missing, plus those last simulated before
+ * `refreshBefore` when re-running, at most `limit` per call
+ *
+ * @param {Object} params - { companyId, prompt, turns, refreshBefore, limit, llm, providers, userId, chat }
+ * @returns {Promise<Object>} { ran, remaining }
+ */
+const runCompatibilityMatrix = async ({
+  companyId,
+  prompt,
+  turns = DEFAULT_TURNS,
+  refreshBefore = null,
+  limit = MAX_PAIRS_PER_RUN,
+  llm,
+  providers,
+  userId,
+  chat
+}) => {
+  const [personas, latest] = await Promise.all([getCompanyPersonas(companyId), getLatestPairs(companyId, prompt)]);
+  const todo = allPairs(personas).filter(([a, b]) => {
+    const simulation = latest.get(pairKey(a.id, b.id));
+    return !simulation || (refreshBefore && new Date(simulation.created_at) < refreshBefore);
+  });
+
+  let ran = 0;
+  for (const [personaA, personaB] of todo.slice(0, limit)) {
+    await runSimulation({ personaA, personaB, prompt, turns, llm, providers, companyId, userId, chat });
+    ran += 1;
+  }
+
+  return { ran, remaining: todo.length - ran };
+};
+
+module.exports = {
+  scoreTranscript,
+  simulateDiscussion,
+  runSimulation,
+  getSimulation,
+  getCompatibilityMatrix,
+  runCompatibilityMatrix,
+  WORKPLACE_PROMPTS,
+  MIN_TURNS,
+  MAX_TURNS,
+  DEFAULT_TURNS,
+  MAX_PAIRS_PER_RUN
+};
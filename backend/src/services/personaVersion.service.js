@@ -0,0 +1,292 @@
+/**
+ * Persona Version Service
+ *
+ * Every change to a persona's prompt, vectors, profile or rubric is kept
+ * as a numbered snapshot in persona_versions, with a diff against the
+ * previous version. Versions can be compared and rolled back, and
+ * conversations record the version they ran against.
+ */
+
+const { query } = require('../config/database');
+
+// Persona columns captured in each snapshot
+const VERSIONED_FIELDS = [
+  'name',
+  'tagline',
+  'status',
+  'summary',
+  'extended_profile',
+  'system_prompt',
+  'personality_vectors',
+  'grading_rubric',
+  'domain_context'
+];
+
+// Fields a rollback restores (status changes are not undone by a rollback)
+const RESTORABLE_FIELDS = VERSIONED_FIELDS.filter(field => field !== 'status');
+
+const JSON_FIELDS = ['summary', 'extended_profile', 'personality_vectors', 'grading_rubric'];
+
+const CHANGE_TYPES = ['create', 'update', 'rollback', 'archive'];
+
+// Longest prompt (in lines) diffed line by line
+const MAX_DIFF_LINES = 2000;
+
+const parseJSON = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Pick the versioned fields of a persona row
+ * @param {Object} persona - personas row
+ * @returns {Object} Snapshot
+ */
+function snapshotPersona(persona) {
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    const value = persona[field] ?? null;
+    snapshot[field] = JSON_FIELDS.includes(field) && value !== null ? parseJSON(value) : value;
+  }
+  return snapshot;
+}
+
+/**
+ * Line diff of two texts (LCS), returning only added and removed lines
+ * @returns {Object} { added, removed, lines: [{ type, line, text }] }
+ */
+function diffText(before = '', after = '') {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return { added: b.length, removed: a.length, lines: [], truncated: true };
+  }
+
+  // LCS lengths, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push({ type: 'added', line: j + 1, text: b[j] });
+      j++;
+    } else {
+      lines.push({ type: 'removed', line: i + 1, text: a[i] });
+      i++;
+    }
+  }
+
+  return {
+    added: lines.filter(l => l.type === 'added').length,
+    removed: lines.filter(l => l.type === 'removed').length,
+    lines
+  };
+}
+
+/**
+ * Per-key changes between two objects
+ * @param {boolean} numeric - Include the delta for numeric values (vectors)
+ */
+function diffObject(before, after, numeric = false) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before?.[key];
+    const to = after?.[key];
+    if (sameValue(from, to)) continue;
+    changes[key] = { before: from ?? null, after: to ?? null };
+    if (numeric && typeof from === 'number' && typeof to === 'number') {
+      changes[key].delta = Math.round((to - from) * 1000) / 1000;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diff two snapshots, field by field. Unchanged fields are omitted.
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} { field: change }
+ */
+function diffSnapshots(before = {}, after = {}) {
+  const diff = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (sameValue(before[field], after[field])) continue;
+
+    if (field === 'system_prompt') {
+      diff[field] = diffText(before[field], after[field]);
+    } else if (JSON_FIELDS.includes(field)) {
+      diff[field] = { changes: diffObject(before[field], after[field], field === 'personality_vectors') };
+    } else {
+      diff[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  }
+  return diff;
+}
+
+/**
+ * Record the persona's current state as a new version
+ * @param {Object} params
+ * @param {Object} params.persona - personas row after the change
+ * @param {string} params.changeType - create | update | rollback | archive
+ * @param {string} params.userId - Who made the change (null for the system)
+ * @param {string} params.note - Optional change note
+ * @param {number} params.restoredFrom - Version restored by a rollback
+ * @param {Object} client - Transaction client (defaults to the pool)
+ * @returns {Object|null} Version row, or null when nothing changed
+ */
+async function recordVersion({ persona, changeType, userId = null, note = null, restoredFrom = null }, client = { query }) {
+  const snapshot = snapshotPersona(persona);
+
+  const previous = await client.query(
+    'SELECT version, snapshot FROM persona_versions WHERE persona_id = $1 ORDER BY version DESC LIMIT 1',
+    [persona.id]
+  );
+  const last = previous.rows[0];
+  const diff = last ? diffSnapshots(parseJSON(last.snapshot), snapshot) : {};
+
+  if (last && changeType === 'update' && Object.keys(diff).length === 0) {
+    return null;
+  }
+
+  const version = (last?.version || 0) + 1;
+  const result = await client.query(
+    `INSERT INTO persona_versions
+     (persona_id, version, change_type, snapshot, diff, changed_fields, note, restored_from, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      persona.id,
+      version,
+      changeType,
+      JSON.stringify(snapshot),
+      JSON.stringify(diff),
+      Object.keys(diff),
+      note,
+      restoredFrom,
+      userId
+    ]
+  );
+
+  await client.query('UPDATE personas SET current_version = $2 WHERE id = $1', [persona.id, version]);
+
+  return result.rows[0];
+}
+
+/**
+ * List a persona's versions, newest first, with who made each change and
+ * the conversations that ran against it
+ * @param {string} personaId - Persona UUID
+ * @returns {Object[]} Versions (without snapshots)
+ */
+async function listVersions(personaId) {
+  const result = await query(
+    `SELECT v.id, v.version, v.change_type, v.changed_fields, v.note, v.restored_from,
+            v.created_at, v.created_by, u.first_name, u.last_name, u.email as created_by_email,
+            COALESCE(c.conversation_count, 0)::int as conversation_count, c.avg_feedback_rating
+     FROM persona_versions v
+     LEFT JOIN users u ON v.created_by = u.id
+     LEFT JOIN (
+       SELECT persona_version, COUNT(*) as conversation_count,
+              ROUND(AVG(feedback_rating)::numeric, 2) as avg_feedback_rating
+       FROM conversations
+       WHERE persona_id = $1
+       GROUP BY persona_version
+     ) c ON c.persona_version = v.version
+     WHERE v.persona_id = $1
+     ORDER BY v.version DESC`,
+    [personaId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one version with its snapshot
+ * @returns {Object|null} Version row
+ */
+async function getVersion(personaId, version) {
+  const result = await query(
+    'SELECT * FROM persona_versions WHERE persona_id = $1 AND version = $2',
+    [personaId, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Diff two versions of a persona
+ * @returns {Object|null} { from, to, diff }, or null if either version is missing
+ */
+async function compareVersions(personaId, fromVersion, toVersion) {
+  const [from, to] = await Promise.all([
+    getVersion(personaId, fromVersion),
+    getVersion(personaId, toVersion)
+  ]);
+  if (!from || !to) return null;
+
+  return {
+    from: fromVersion,
+    to: toVersion,
+    diff: diffSnapshots(parseJSON(from.snapshot), parseJSON(to.snapshot))
+  };
+}
+
+/**
+ * Restore a persona to an earlier version's snapshot. The rollback is
+ * itself recorded as a new version.
+ * @param {Object} params
+ * @param {string} params.personaId - Persona UUID
+ * @param {Object} params.target - Version row to restore
+ * @param {string} params.userId - Who rolled back
+ * @param {string} params.note - Optional note
+ * @param {Object} client - Transaction client
+ * @returns {Object} { persona, version }
+ */
+async function rollbackToVersion({ personaId, target, userId, note = null }, client = { query }) {
+  const snapshot = parseJSON(target.snapshot);
+
+  const assignments = RESTORABLE_FIELDS.map((field, i) => `${field} = $${i + 2}`);
+  const values = RESTORABLE_FIELDS.map(field => (
+    JSON_FIELDS.includes(field) && snapshot[field] !== null && snapshot[field] !== undefined
+      ? JSON.stringify(snapshot[field])
+      : snapshot[field] ?? null
+  ));
+
+  const result = await client.query(
+    `UPDATE personas SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+    [personaId, ...values]
+  );
+  const persona = result.rows[0];
+
+  const version = await recordVersion({
+    persona,
+    changeType: 'rollback',
+    userId,
+    note: note || `Rolled back to version ${target.version}`,
+    restoredFrom: target.version
+  }, client);
+
+  return { persona: { ...persona, current_version: version.version }, version };
+}
+
+module.exports = {
+  snapshotPersona,
+  diffText,
+  diffSnapshots,
+  recordVersion,
+  listVersions,
+  getVersion,
+  compareVersions,
+  rollbackToVersion,
+  VERSIONED_FIELDS,
+  CHANGE_TYPES
+};
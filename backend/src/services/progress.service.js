@@ -7,8 +7,8 @@ const saveTrainingSession = async ({ userId, personaId, scenarioId, messages, gr
 }) => {
     try {
         const result = await query(
-            `INSERT INTO training_sessions (user_id, persona_id, scenario_id, messages, grade_result, overall_score)
-       VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO training_sessions (user_id, persona_id, scenario_id, messages, grade_result, overall_score, persona_version)
+       VALUES ($1, $2, $3, $4, $5, $6, (SELECT p.current_version FROM personas p WHERE p.id = $2))
        RETURNING *`,
             [
                 userId,
@@ -26,6 +26,115 @@ const saveTrainingSession = async ({ userId, personaId, scenarioId, messages, gr
     }
 };
 
+/**
+ * Start a new, ungraded training session
+ */
+const createTrainingSession = async ({ userId, personaId, scenarioId, scenario, messages = [] }) => {
+    const result = await query(
+        `INSERT INTO training_sessions (user_id, persona_id, scenario_id, scenario, messages, status, persona_version)
+       VALUES ($1, $2, $3, $4, $5, 'active', (SELECT p.current_version FROM personas p WHERE p.id = $2))
+       RETURNING *`,
+        [userId, personaId, scenarioId, JSON.stringify(scenario), JSON.stringify(messages)]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find the user's unfinished session for a persona and scenario, if any
+ */
+const findActiveSession = async (userId, personaId, scenarioId) => {
+    const result = await query(
+        `SELECT * FROM training_sessions
+       WHERE user_id = $1 AND persona_id = $2 AND scenario_id = $3 AND status = 'active'
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+        [userId, personaId, scenarioId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Get a session by id
+ */
+const getTrainingSession = async (sessionId) => {
+    const result = await query(
+        `SELECT ts.*, p.name as persona_name, p.company_id
+       FROM training_sessions ts
+       JOIN personas p ON ts.persona_id = p.id
+       WHERE ts.id = $1`,
+        [sessionId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Append turns to an active session
+ */
+const appendSessionMessages = async (sessionId, messages) => {
+    const result = await query(
+        `UPDATE training_sessions
+       SET messages = messages || $2::jsonb, updated_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+        [sessionId, JSON.stringify(messages)]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Store the grade on a session and close it.
+ * Returns null if the session was no longer active (graded concurrently).
+ */
+const completeTrainingSession = async (sessionId, gradeResult) => {
+    const result = await query(
+        `UPDATE training_sessions
+       SET grade_result = $2, overall_score = $3, status = 'completed',
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+        [sessionId, JSON.stringify(gradeResult), gradeResult.overall_score]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List a user's sessions, newest first
+ */
+const listTrainingSessions = async (userId, { status, limit = 20, offset = 0 } = {}) => {
+    const params = [userId];
+    let statusClause = '';
+    if (status) {
+        params.push(status);
+        statusClause = `AND ts.status = $${params.length}`;
+    }
+
+    const countResult = await query(
+        `SELECT COUNT(*) FROM training_sessions ts WHERE ts.user_id = $1 ${statusClause}`,
+        params
+    );
+
+    const result = await query(
+        `SELECT ts.id, ts.persona_id, ts.scenario_id, ts.status, ts.overall_score,
+              ts.scenario->>'title' as scenario_title,
+              ts.scenario->>'difficulty' as difficulty,
+              jsonb_array_length(ts.messages) as message_count,
+              ts.grade_result->'criteria_scores' as criteria_scores,
+              ts.created_at, ts.updated_at, ts.completed_at,
+              p.name as persona_name
+       FROM training_sessions ts
+       JOIN personas p ON ts.persona_id = p.id
+       WHERE ts.user_id = $1 ${statusClause}
+       ORDER BY COALESCE(ts.completed_at, ts.updated_at, ts.created_at) DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+
+    return {
+        sessions: result.rows,
+        total: parseInt(countResult.rows[0].count)
+    };
+};
+
 /**
  * Get progress metrics for a specific scenario
  */
@@ -39,7 +148,7 @@ const getScenarioProgress = async (userId, scenarioId) => {
         MIN(created_at) as first_attempt,
         MAX(created_at) as last_attempt
        FROM training_sessions
-       WHERE user_id = $1 AND scenario_id = $2`,
+       WHERE user_id = $1 AND scenario_id = $2 AND status = 'completed'`,
             [userId, scenarioId]
         );
 
@@ -49,7 +158,7 @@ const getScenarioProgress = async (userId, scenarioId) => {
         const recentSessions = await query(
             `SELECT overall_score, created_at
        FROM training_sessions
-       WHERE user_id = $1 AND scenario_id = $2
+       WHERE user_id = $1 AND scenario_id = $2 AND status = 'completed'
        ORDER BY created_at DESC
        LIMIT 5`,
             [userId, scenarioId]
@@ -102,7 +211,7 @@ const getUserOverallProgress = async (userId) => {
         AVG(overall_score)::integer as overall_average,
         MAX(overall_score) as highest_score
        FROM training_sessions
-       WHERE user_id = $1`,
+       WHERE user_id = $1 AND status = 'completed'`,
             [userId]
         );
 
@@ -115,6 +224,12 @@ const getUserOverallProgress = async (userId) => {
 
 module.exports = {
     saveTrainingSession,
+    createTrainingSession,
+    findActiveSession,
+    getTrainingSession,
+    appendSessionMessages,
+    completeTrainingSession,
+    listTrainingSessions,
     getScenarioProgress,
     calculateImprovement,
     getUserOverallProgress
@@ -225,7 +225,7 @@ Do not defer simply because someone is senior.`
 /**
  * Compile a deterministic prompt from personality vectors
  * @param {Object} metaVectors - Meta-vector values from VCPQ
- * @param {string} domain - Domain context (engineering, legal, etc.)
+ * @param {string|Object} domain - Domain context (engineering, legal, etc.) or a built company lexicon
  * @param {Object} demographics - Demographic info (name, role, etc.)
  * @returns {Object} Compiled prompt with system and context sections
  */
@@ -265,8 +265,9 @@ function compilePrompt(metaVectors, domain = 'general', demographics = {}) {
   return {
     system_prompt: systemPrompt,
     applied_rules: appliedRules,
-    domain: domain,
+    domain: lexiconService.getDomainKey(domain),
     domain_name: lexicon.name,
+    lexicon_id: lexicon.id || null,
     vector_summary: vectorSummary,
     vocabulary_sample: vocabulary,
     phrase_sample: phrases,
@@ -384,6 +385,44 @@ function buildVectorSummary(metaVectors) {
   return summary;
 }
 
+/**
+ * Reinforce a system prompt after a failed self-assessment.
+ * Adds a calibration section restating the dimensions that drifted,
+ * worded more strongly on each attempt.
+ * @param {string} systemPrompt - Prompt from compilePrompt
+ * @param {Object} metaVectors - Meta-vectors the persona should express
+ * @param {Object[]} dimensionAnalysis - validatePersona dimension_analysis
+ * @param {number} attempt - Regeneration attempt (1-based)
+ * @returns {string} Reinforced system prompt
+ */
+function reinforcePrompt(systemPrompt, metaVectors, dimensionAnalysis, attempt = 1) {
+  const profile = vectorService.generateProfile(metaVectors);
+  const drifted = dimensionAnalysis.filter(d => !d.accurate && profile[d.dimension]);
+  if (drifted.length === 0) return systemPrompt;
+
+  const emphasis = attempt >= 2
+    ? 'NON-NEGOTIABLE: Every answer, self-description and opinion you give MUST reflect these traits at full strength.'
+    : 'IMPORTANT: Your answers and self-descriptions must clearly reflect these traits.';
+
+  const labels = vectorService.getMetaVectorLabels();
+  const lines = drifted.map(d => {
+    const { value, description } = profile[d.dimension];
+    const drift = d.assessed < d.input ? labels[d.dimension].low : labels[d.dimension].high;
+    return `- ${d.dimension} → ${description} (${value.toFixed(2)}). You have been coming across as too ${drift}.`;
+  });
+
+  const calibration = `=== PERSONALITY CALIBRATION ===
+${emphasis}
+${lines.join('\n')}
+
+`;
+
+  const marker = '=== FINAL DIRECTIVE ===';
+  return systemPrompt.includes(marker)
+    ? systemPrompt.replace(marker, calibration + marker)
+    : systemPrompt + '\n' + calibration;
+}
+
 /**
  * Get all available injection rules
  * @returns {Object} Rule metadata
@@ -412,6 +451,7 @@ function testRules(metaVectors) {
 
 module.exports = {
   compilePrompt,
+  reinforcePrompt,
   getAvailableRules,
   testRules,
   INJECTION_RULES
@@ -0,0 +1,239 @@
+/**
+ * Response Quality Service
+ *
+ * Screens questionnaire submissions before they reach clustering:
+ * straight-lining, contradictory forward/reversed item pairs, implausibly
+ * fast completion, incomplete full-form answers and duplicate submissions.
+ * Flagged responses are left out of persona generation until an admin
+ * approves them.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const vectorService = require('./vector.service');
+
+const QUALITY_STATUSES = ['ok', 'flagged', 'approved', 'rejected'];
+
+// Statuses generation uses by default; flagged ones only when asked to
+const USABLE_STATUSES = ['ok', 'approved'];
+
+// Straight-lining: at least this many items, nearly all with the same answer
+const STRAIGHT_LINE_MIN_ITEMS = 6;
+const STRAIGHT_LINE_SHARE = 0.9;
+
+// A forward/reversed pair contradicts when its normalized answers are this far apart
+// (agreeing with both statements, or disagreeing with both)
+const CONTRADICTION_GAP = 1.5;
+const CONTRADICTION_LIMIT = 3;
+
+// Reading and answering an item takes at least this long
+const MIN_SECONDS_PER_ITEM = 2;
+
+// Oldest started_at accepted from a browser
+const MAX_SESSION_HOURS = 24 * 7;
+
+/**
+ * Forward/reversed item pairs of each meta-vector, matched in order
+ * @param {Object} questionMeta - Item metadata of the instrument
+ * @returns {Array} [forwardId, reversedId] pairs
+ */
+function getItemPairs(questionMeta = vectorService.QUESTION_META) {
+  const pairs = [];
+  for (const ids of Object.values(vectorService.getItemsByMeta(questionMeta))) {
+    const forward = ids.filter(id => !questionMeta[id].reversed);
+    const reversed = ids.filter(id => questionMeta[id].reversed);
+    for (let i = 0; i < Math.min(forward.length, reversed.length); i++) {
+      pairs.push([forward[i], reversed[i]]);
+    }
+  }
+  return pairs;
+}
+
+const isLikertValue = (value) => typeof value === 'number' && value >= 1 && value <= 5;
+
+/**
+ * Most of the items answered with the same value
+ */
+function checkStraightLining(scores) {
+  const values = Object.values(scores);
+  if (values.length < STRAIGHT_LINE_MIN_ITEMS) return null;
+
+  const counts = {};
+  for (const value of values) counts[value] = (counts[value] || 0) + 1;
+  const [value, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (count / values.length < STRAIGHT_LINE_SHARE) return null;
+
+  return {
+    code: 'straight_lining',
+    message: `${count} of ${values.length} items answered ${value}`,
+    details: { value: Number(value), count, answered: values.length }
+  };
+}
+
+/**
+ * Forward and reversed statements about the same trait both agreed (or both disagreed) with
+ */
+function checkContradictions(scores, questionMeta) {
+  const contradictions = getItemPairs(questionMeta)
+    .filter(([forward, reversed]) => scores[forward] !== undefined && scores[reversed] !== undefined)
+    .filter(([forward, reversed]) => Math.abs(
+      vectorService.normalizeScore(scores[forward], false) - vectorService.normalizeScore(scores[reversed], true)
+    ) >= CONTRADICTION_GAP);
+  if (contradictions.length < CONTRADICTION_LIMIT) return null;
+
+  return {
+    code: 'contradictions',
+    message: `${contradictions.length} forward/reversed item pairs contradict each other`,
+    details: { pairs: contradictions }
+  };
+}
+
+/**
+ * Completed faster than the items can be read
+ */
+function checkCompletionTime(answeredCount, startedAt, completedAt) {
+  if (!startedAt || !completedAt || answeredCount === 0) return null;
+
+  const seconds = (completedAt - startedAt) / 1000;
+  const minimum = answeredCount * MIN_SECONDS_PER_ITEM;
+  if (seconds >= minimum) return null;
+
+  return {
+    code: 'too_fast',
+    message: `Completed in ${Math.round(seconds)}s, under ${minimum}s for ${answeredCount} items`,
+    details: { seconds: Math.round(seconds), minimum }
+  };
+}
+
+/**
+ * Screen one submission
+ * @param {Object} params
+ * @param {Object} params.answers - Submitted answers
+ * @param {Object} params.instrument - Instrument of the questionnaire ({ meta, delivery_mode })
+ * @param {Date|null} params.startedAt - When the respondent opened the questionnaire
+ * @param {Date} params.completedAt - When it was submitted
+ * @returns {Object[]} Flags ({ code, message, details }); empty when the response looks fine
+ */
+function screenResponse({ answers = {}, instrument, startedAt = null, completedAt = new Date() }) {
+  const questionMeta = instrument?.meta || vectorService.QUESTION_META;
+  const scores = Object.fromEntries(
+    Object.keys(questionMeta)
+      .filter(id => isLikertValue(answers[id]))
+      .map(id => [id, answers[id]])
+  );
+  const flags = [];
+
+  // Short and adaptive forms are validated on submission; a full form may arrive with gaps
+  if ((instrument?.delivery_mode || 'full') === 'full') {
+    const validation = vectorService.validateResponses(answers, questionMeta);
+    if (!validation.valid) {
+      flags.push({
+        code: 'incomplete',
+        message: `${validation.errors.length} instrument items missing or invalid`,
+        details: { errors: validation.errors }
+      });
+    }
+  }
+
+  const answeredCount = Object.values(answers).filter(value => value !== undefined && value !== null && value !== '').length;
+  for (const flag of [
+    checkStraightLining(scores),
+    checkContradictions(scores, questionMeta),
+    checkCompletionTime(answeredCount, startedAt, completedAt)
+  ]) {
+    if (flag) flags.push(flag);
+  }
+  return flags;
+}
+
+/**
+ * Parse the started_at a browser sent, ignoring values in the future or implausibly old
+ * @param {string} value - ISO timestamp
+ * @param {Date} now - Submission time
+ * @returns {Date|null}
+ */
+function parseStartedAt(value, now = new Date()) {
+  if (!value) return null;
+  const startedAt = new Date(value);
+  if (Number.isNaN(startedAt.getTime())) return null;
+  if (startedAt > now || now - startedAt > MAX_SESSION_HOURS * 3600 * 1000) return null;
+  return startedAt;
+}
+
+/**
+ * Fingerprint of a response's answers, independent of key order
+ * @param {Object} answers - Submitted answers
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintAnswers(answers = {}) {
+  const canonical = Object.keys(answers).sort().map(key => [key, answers[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Find an earlier submission with the same answers, or from the same email
+ * @param {string} questionnaireId - Questionnaire UUID
+ * @param {string} fingerprint - Output of fingerprintAnswers
+ * @param {string|null} email - Respondent email (only for non-anonymous questionnaires)
+ * @returns {Object|null} { code, message, details } flag
+ */
+async function findDuplicate(questionnaireId, fingerprint, email = null) {
+  const result = await query(
+    `SELECT id, fingerprint FROM questionnaire_responses
+     WHERE questionnaire_id = $1 AND quality_status <> 'rejected'
+       AND (fingerprint = $2 OR ($3::text IS NOT NULL AND LOWER(demographics->>'email') = LOWER($3)))
+     ORDER BY created_at LIMIT 1`,
+    [questionnaireId, fingerprint, email || null]
+  );
+  if (result.rows.length === 0) return null;
+
+  const sameAnswers = result.rows[0].fingerprint === fingerprint;
+  return {
+    code: 'duplicate',
+    message: sameAnswers ? 'Same answers as an earlier response' : 'Same email as an earlier response',
+    details: { response_id: result.rows[0].id, match: sameAnswers ? 'answers' : 'email' }
+  };
+}
+
+/**
+ * Statuses persona generation draws responses from
+ * @param {boolean} includeFlagged - Also use responses nobody has reviewed yet
+ * @returns {string[]}
+ */
+function usableStatuses(includeFlagged = false) {
+  return includeFlagged ? [...USABLE_STATUSES, 'flagged'] : USABLE_STATUSES;
+}
+
+/**
+ * Record an admin's decision on a response
+ * @param {string} responseId - Response UUID
+ * @param {string} status - approved | rejected
+ * @param {string} userId - Reviewer
+ * @returns {Object} Updated response row
+ */
+async function reviewResponse(responseId, status, userId) {
+  const result = await query(
+    `UPDATE questionnaire_responses
+     SET quality_status = $2, reviewed_by = $3, reviewed_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [responseId, status, userId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  getItemPairs,
+  screenResponse,
+  parseStartedAt,
+  fingerprintAnswers,
+  findDuplicate,
+  usableStatuses,
+  reviewResponse,
+  QUALITY_STATUSES,
+  USABLE_STATUSES,
+  STRAIGHT_LINE_MIN_ITEMS,
+  STRAIGHT_LINE_SHARE,
+  CONTRADICTION_GAP,
+  CONTRADICTION_LIMIT,
+  MIN_SECONDS_PER_ITEM
+};
@@ -0,0 +1,234 @@
+/**
+ * Grading Rubric Service
+ *
+ * Builds a persona's grading rubric from its personality_vectors: the
+ * strongest dimensions become criteria (high directness → "Directness",
+ * low stress resilience → "Reassurance"), weighted by how strongly the
+ * persona leans, and supply the likes and dislikes the grader reacts to.
+ * Also validates rubrics edited by admins.
+ */
+
+const { META_VECTOR_LABELS } = require('./vector.service');
+
+// Dimensions weaker than this say too little about how the persona grades
+const MIN_STRENGTH = 0.25;
+const MAX_GENERATED_CRITERIA = 4;
+const MIN_CRITERIA = 3;
+
+const MAX_CRITERIA = 8;
+const MAX_PREFERENCES = 10;
+
+/**
+ * What each pole of a dimension asks of the trainee
+ */
+const DIMENSION_CRITERIA = {
+  innovation: {
+    high: { name: 'Openness to New Ideas', description: 'Did you bring fresh options and stay open to experimenting?', like: 'Creative, forward-looking proposals', dislike: 'Defending the status quo without reason' },
+    low: { name: 'Proven Approaches', description: 'Did you build on what already works and limit unnecessary risk?', like: 'Tried-and-tested solutions', dislike: 'Untested, risky changes' }
+  },
+  diligence: {
+    high: { name: 'Thoroughness', description: 'Did you cover the details and get the facts right?', like: 'Careful, accurate detail', dislike: 'Sloppy or incomplete information' },
+    low: { name: 'Pragmatism', description: 'Did you keep things moving without over-engineering?', like: 'Good-enough solutions delivered fast', dislike: 'Getting lost in minor details' }
+  },
+  social_energy: {
+    high: { name: 'Collaboration', description: 'Did you involve them and work it through together?', like: 'Working through problems together', dislike: 'Cold, transactional exchanges' },
+    low: { name: 'Respect for Focus', description: 'Did you keep it focused and avoid pulling them into unnecessary meetings?', like: 'Async, focused communication', dislike: 'Unnecessary meetings or group settings' }
+  },
+  agreeableness: {
+    high: { name: 'Rapport', description: 'Did you keep the exchange warm and cooperative?', like: 'Friendly, cooperative tone', dislike: 'Needless confrontation' },
+    low: { name: 'Intellectual Honesty', description: 'Did you engage with their challenges instead of smoothing them over?', like: 'Candid debate', dislike: 'Empty agreement' }
+  },
+  directness: {
+    high: { name: 'Directness', description: 'Were you forward and straight to the point?', like: 'Getting to the point quickly', dislike: 'Beating around the bush' },
+    low: { name: 'Tact', description: 'Did you raise difficult points diplomatically?', like: 'Diplomatic phrasing', dislike: 'Blunt or harsh delivery' }
+  },
+  verbosity: {
+    high: { name: 'Context and Explanation', description: 'Did you give enough background and reasoning?', like: 'Thorough explanations', dislike: 'Terse, unexplained requests' },
+    low: { name: 'Brevity', description: 'Were your messages short and to the point?', like: 'Short, focused messages', dislike: 'Long-winded or rambling messages' }
+  },
+  formality: {
+    high: { name: 'Professionalism', description: 'Was your tone professional and well structured?', like: 'Professional, structured communication', dislike: 'Overly casual tone' },
+    low: { name: 'Approachability', description: 'Did you keep it relaxed and human?', like: 'Casual, friendly tone', dislike: 'Stiff corporate speak' }
+  },
+  jargon_density: {
+    high: { name: 'Technical Precision', description: 'Did you use accurate domain terminology?', like: 'Precise technical language', dislike: 'Vague, hand-wavy explanations' },
+    low: { name: 'Plain Language', description: 'Did you explain things without jargon?', like: 'Plain, accessible language', dislike: 'Jargon and buzzwords' }
+  },
+  deference: {
+    high: { name: 'Respect for Process', description: 'Did you respect roles, hierarchy and the agreed process?', like: 'Following the agreed process', dislike: 'Dismissing policies as bureaucracy' },
+    low: { name: 'Respect for Autonomy', description: 'Did you trust their judgment instead of dictating?', like: 'Being trusted to decide', dislike: 'Micromanagement or a demanding tone' }
+  },
+  autonomy: {
+    high: { name: 'Ownership', description: 'Did you give them room to own the outcome?', like: 'Clear goals with freedom in how', dislike: 'Being told exactly how to do things' },
+    low: { name: 'Guidance', description: 'Did you give clear direction and support?', like: 'Clear instructions and check-ins', dislike: 'Unclear expectations' }
+  },
+  sycophancy: {
+    high: { name: 'Recognition', description: 'Did you acknowledge their contribution?', like: 'Appreciation for their effort', dislike: 'Criticism without acknowledgment' },
+    low: { name: 'Credibility', description: 'Were your claims backed up rather than flattering?', like: 'Straight talk backed by facts', dislike: 'Flattery or empty praise' }
+  },
+  conflict_mode: {
+    high: { name: 'Confidence', description: 'Did you hold your position with conviction?', like: 'A confident, assertive stance', dislike: 'Hesitant or wishy-washy tone' },
+    low: { name: 'De-escalation', description: 'Did you lower the tension and look for common ground?', like: 'A calm, non-confrontational approach', dislike: 'Aggressive or demanding tone' }
+  },
+  decision_basis: {
+    high: { name: 'Evidence', description: 'Did you support your points with data and reasoning?', like: 'Data and a clear rationale', dislike: 'Gut-feel arguments without evidence' },
+    low: { name: 'Practical Judgment', description: 'Did you speak to real experience and practical impact?', like: 'Real-world examples', dislike: 'Drowning in numbers' }
+  },
+  stress_resilience: {
+    high: { name: 'Composure', description: 'Did you stay calm and solution-focused?', like: 'Calm under pressure', dislike: 'Drama or panic' },
+    low: { name: 'Reassurance', description: 'Did you acknowledge the pressure they are under and reassure them?', like: 'Reassurance and a clear plan', dislike: 'Ignoring the emotional impact of decisions' }
+  }
+};
+
+// Fill-in criteria when too few dimensions stand out
+const FALLBACK_CRITERIA = [
+  { name: 'Clarity', description: 'Were explanations clear and easy to understand?' },
+  { name: 'Problem-Solving', description: 'Did you offer helpful solutions?' },
+  { name: 'Empathy', description: 'Did you acknowledge their perspective?' }
+];
+
+/**
+ * Split 100 across items in proportion to their importance (largest remainder)
+ * @param {number[]} importances - Positive numbers
+ * @returns {number[]} Integer weights summing to 100
+ */
+function distributeWeights(importances) {
+  const total = importances.reduce((sum, v) => sum + v, 0);
+  const exact = importances.map(v => (v / total) * 100);
+  const weights = exact.map(Math.floor);
+  let remainder = 100 - weights.reduce((sum, w) => sum + w, 0);
+
+  const byFraction = exact
+    .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (const { i } of byFraction) {
+    if (remainder === 0) break;
+    weights[i] += 1;
+    remainder -= 1;
+  }
+  return weights;
+}
+
+/**
+ * Generate a grading rubric from a persona's personality vectors
+ * @param {Object} vectors - personality_vectors (-1..1 per dimension)
+ * @param {Object} options - { name } used in the grading style
+ * @returns {Object} { grading_style, criteria, likes, dislikes, generated_from }
+ */
+function generateRubric(vectors = {}, { name = 'This persona' } = {}) {
+  const strongest = Object.entries(vectors || {})
+    .filter(([dimension, value]) => DIMENSION_CRITERIA[dimension] && Number.isFinite(value) && Math.abs(value) >= MIN_STRENGTH)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, MAX_GENERATED_CRITERIA)
+    .map(([dimension, value]) => ({
+      dimension,
+      value,
+      pole: value > 0 ? 'high' : 'low',
+      ...DIMENSION_CRITERIA[dimension][value > 0 ? 'high' : 'low']
+    }));
+
+  const picked = [...strongest];
+  for (const fallback of FALLBACK_CRITERIA) {
+    if (picked.length >= MIN_CRITERIA) break;
+    if (!picked.some(c => c.name === fallback.name)) {
+      picked.push({ ...fallback, value: MIN_STRENGTH });
+    }
+  }
+
+  const weights = distributeWeights(picked.map(c => Math.abs(c.value)));
+  const traits = strongest.map(c => META_VECTOR_LABELS[c.dimension][c.pole]);
+
+  return {
+    grading_style: traits.length
+      ? `${name} is ${traits.join(', ')} and grades through that lens. ${picked[0].name} counts most.`
+      : 'Evaluate based on clear communication and professionalism.',
+    criteria: picked.map((c, i) => ({ name: c.name, weight: weights[i], description: c.description })),
+    likes: strongest.map(c => c.like),
+    dislikes: strongest.map(c => c.dislike),
+    generated_from: 'personality_vectors'
+  };
+}
+
+const isStringList = (value, max) => Array.isArray(value)
+  && value.length <= max
+  && value.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= 200);
+
+/**
+ * Validate a rubric submitted by an admin
+ * @param {Object} rubric - { grading_style, criteria: [{ name, weight, description }], likes, dislikes }
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return ['Rubric must be an object'];
+  }
+
+  const errors = [];
+  const { criteria, likes = [], dislikes = [], grading_style: style } = rubric;
+
+  if (style !== undefined && style !== null && (typeof style !== 'string' || style.length > 1000)) {
+    errors.push('grading_style must be text of at most 1000 characters');
+  }
+
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    errors.push(`criteria must list 1 to ${MAX_CRITERIA} criteria`);
+  } else {
+    const names = new Set();
+    criteria.forEach((criterion, i) => {
+      const criterionName = typeof criterion?.name === 'string' ? criterion.name.trim() : '';
+      if (!criterionName || criterionName.length > 100) {
+        errors.push(`criteria[${i}].name must be 1 to 100 characters`);
+      } else if (names.has(criterionName.toLowerCase())) {
+        errors.push(`criteria[${i}].name "${criterionName}" is used more than once`);
+      } else {
+        names.add(criterionName.toLowerCase());
+      }
+      if (!Number.isInteger(criterion?.weight) || criterion.weight < 1 || criterion.weight > 100) {
+        errors.push(`criteria[${i}].weight must be an integer from 1 to 100`);
+      }
+      if (criterion?.description !== undefined && (typeof criterion.description !== 'string' || criterion.description.length > 500)) {
+        errors.push(`criteria[${i}].description must be text of at most 500 characters`);
+      }
+    });
+
+    const total = criteria.reduce((sum, c) => sum + (Number.isInteger(c?.weight) ? c.weight : 0), 0);
+    if (errors.length === 0 && total !== 100) {
+      errors.push(`Criterion weights must sum to 100 (currently ${total})`);
+    }
+  }
+
+  if (!isStringList(likes, MAX_PREFERENCES)) {
+    errors.push(`likes must be up to ${MAX_PREFERENCES} non-empty strings of at most 200 characters`);
+  }
+  if (!isStringList(dislikes, MAX_PREFERENCES)) {
+    errors.push(`dislikes must be up to ${MAX_PREFERENCES} non-empty strings of at most 200 characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Keep only the fields a rubric is made of, trimmed
+ * @param {Object} rubric - A rubric that passed validateRubric
+ * @returns {Object} Rubric as stored
+ */
+function normalizeRubric(rubric) {
+  return {
+    grading_style: rubric.grading_style?.trim() || '',
+    criteria: rubric.criteria.map(c => ({
+      name: c.name.trim(),
+      weight: c.weight,
+      description: c.description?.trim() || ''
+    })),
+    likes: (rubric.likes || []).map(l => l.trim()),
+    dislikes: (rubric.dislikes || []).map(d => d.trim())
+  };
+}
+
+module.exports = {
+  generateRubric,
+  validateRubric,
+  normalizeRubric,
+  distributeWeights,
+  DIMENSION_CRITERIA
+};
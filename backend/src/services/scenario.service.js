@@ -0,0 +1,233 @@
+/**
+ * Scenario Service
+ * Training scenarios authored per persona (training_scenarios table)
+ */
+
+const { query } = require('../config/database');
+
+// Fields the trainee never sees: they steer the persona and the grader
+const HIDDEN_FIELDS = ['persona_goal', 'success_conditions', 'rubric_override'];
+
+// Columns admins can set
+const EDITABLE_FIELDS = [
+    'title',
+    'description',
+    'setup_brief',
+    'difficulty',
+    'skills',
+    'opening_message',
+    'persona_goal',
+    'success_conditions',
+    'rubric_override',
+    'is_active'
+];
+
+const JSON_FIELDS = ['skills', 'success_conditions', 'rubric_override'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Identifier used in training URLs and training_sessions.scenario_id.
+ * Built-in scenarios keep their legacy slug (e.g. hunter-easy).
+ *
+ * @param {Object} scenario - Scenario row
+ * @returns {string} Slug or id
+ */
+const getScenarioKey = (scenario) => scenario.slug || scenario.id;
+
+/**
+ * Strip the hidden fields for trainees
+ *
+ * @param {Object} scenario - Scenario row
+ * @returns {Object} Trainee-facing scenario
+ */
+const toPublicScenario = (scenario) => {
+    if (!scenario) return scenario;
+    const publicScenario = { ...scenario, key: getScenarioKey(scenario) };
+    for (const field of HIDDEN_FIELDS) {
+        delete publicScenario[field];
+    }
+    return publicScenario;
+};
+
+/**
+ * Look up a scenario by id or slug
+ *
+ * @param {string} key - Scenario UUID or slug
+ * @returns {Object|null} Scenario with persona company/archetype, or null
+ */
+const getScenario = async (key) => {
+    if (!key) return null;
+
+    const column = UUID_PATTERN.test(key) ? 's.id' : 's.slug';
+    const result = await query(
+        `SELECT s.*, p.name as persona_name, p.company_id as persona_company_id,
+                p.is_default as persona_is_default, p.vector_profile->>'archetype' as archetype
+         FROM training_scenarios s
+         JOIN personas p ON s.persona_id = p.id
+         WHERE ${column} = $1`,
+        [key]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List active scenarios a user can train on, grouped by persona:
+ * the default personas plus the personas of the user's company
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {Array} Personas with their scenarios
+ */
+const listTrainingCatalog = async (user) => {
+    const params = [];
+    let companyClause = '';
+    if (user.role !== 'super_admin') {
+        params.push(user.company_id);
+        companyClause = `AND (p.is_default = true OR p.company_id = $1)`;
+    }
+
+    const result = await query(
+        `SELECT s.*, p.name as persona_name, p.tagline as persona_tagline,
+                p.vector_profile->>'archetype' as archetype, p.grading_rubric, p.is_default as persona_is_default
+         FROM training_scenarios s
+         JOIN personas p ON s.persona_id = p.id
+         WHERE s.is_active = true AND p.status = 'active' ${companyClause}
+         ORDER BY p.is_default DESC, p.name,
+                  CASE s.difficulty WHEN 'easy' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, s.created_at`,
+        params
+    );
+
+    const personas = new Map();
+    for (const row of result.rows) {
+        if (!personas.has(row.persona_id)) {
+            personas.set(row.persona_id, {
+                persona_id: row.persona_id,
+                persona_name: row.persona_name,
+                persona_tagline: row.persona_tagline,
+                is_default: row.persona_is_default,
+                archetype: row.archetype,
+                grading_focus: row.grading_rubric?.criteria?.[0]?.name || 'Communication',
+                grading_criteria: (row.grading_rubric?.criteria || []).map(c => c.name),
+                scenarios: []
+            });
+        }
+        const { persona_name, persona_tagline, archetype, grading_rubric, persona_is_default, ...scenario } = row;
+        personas.get(row.persona_id).scenarios.push(toPublicScenario(scenario));
+    }
+
+    return [...personas.values()];
+};
+
+/**
+ * List every scenario for a persona, hidden fields and inactive ones included (admin view)
+ *
+ * @param {string} personaId - Persona UUID
+ * @returns {Array} Scenarios
+ */
+const listPersonaScenarios = async (personaId) => {
+    const result = await query(
+        `SELECT * FROM training_scenarios
+         WHERE persona_id = $1
+         ORDER BY CASE difficulty WHEN 'easy' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, created_at`,
+        [personaId]
+    );
+    return result.rows;
+};
+
+/**
+ * Whether a user may author scenarios for a persona.
+ * Company admins manage their company's personas; default personas are super admin only.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} persona - Persona row ({ company_id, is_default })
+ * @returns {boolean}
+ */
+const canManageScenarios = (user, persona) => {
+    if (user.role === 'super_admin') return true;
+    if (user.role !== 'company_admin') return false;
+    return !persona.is_default && persona.company_id === user.company_id;
+};
+
+/**
+ * Serialize editable fields for a write
+ */
+const pickEditable = (data) => {
+    const values = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) {
+            values[field] = JSON_FIELDS.includes(field) && data[field] !== null
+                ? JSON.stringify(data[field])
+                : data[field];
+        }
+    }
+    return values;
+};
+
+/**
+ * Create a scenario for a persona
+ *
+ * @param {Object} persona - Persona row the scenario belongs to
+ * @param {Object} data - Editable fields
+ * @param {string} userId - Author
+ * @returns {Object} Created scenario
+ */
+const createScenario = async (persona, data, userId) => {
+    const values = pickEditable(data);
+    const columns = ['persona_id', 'company_id', 'created_by', ...Object.keys(values)];
+    const params = [persona.id, persona.company_id, userId, ...Object.values(values)];
+
+    const result = await query(
+        `INSERT INTO training_scenarios (${columns.join(', ')})
+         VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING *`,
+        params
+    );
+    return result.rows[0];
+};
+
+/**
+ * Update a scenario
+ *
+ * @param {string} scenarioId - Scenario UUID
+ * @param {Object} data - Editable fields to change
+ * @returns {Object|null} Updated scenario
+ */
+const updateScenario = async (scenarioId, data) => {
+    const values = pickEditable(data);
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+        const current = await query('SELECT * FROM training_scenarios WHERE id = $1', [scenarioId]);
+        return current.rows[0] || null;
+    }
+
+    const result = await query(
+        `UPDATE training_scenarios
+         SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [scenarioId, ...Object.values(values)]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Delete a scenario. Past sessions keep their scenario snapshot.
+ *
+ * @param {string} scenarioId - Scenario UUID
+ */
+const deleteScenario = async (scenarioId) => {
+    await query('DELETE FROM training_scenarios WHERE id = $1', [scenarioId]);
+};
+
+module.exports = {
+    getScenarioKey,
+    toPublicScenario,
+    getScenario,
+    listTrainingCatalog,
+    listPersonaScenarios,
+    canManageScenarios,
+    createScenario,
+    updateScenario,
+    deleteScenario,
+    HIDDEN_FIELDS
+};
@@ -0,0 +1,325 @@
+/**
+ * Skill Progress Service
+ *
+ * Trainee progress across sessions: per-criterion skill levels (recent
+ * sessions count most), score trends, practice streaks, and a spaced-practice
+ * recommender that suggests the next scenario from the trainee's weakest
+ * criteria and how long ago each scenario was practised.
+ */
+
+const { query } = require('../config/database');
+const { getDefaultRubric } = require('./llm.service');
+const scenarioService = require('./scenario.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Completed sessions considered when building progress
+const HISTORY_LIMIT = 200;
+
+// Each older session counts this much less than the one after it
+const RECENCY_DECAY = 0.8;
+
+const SKILL_LEVELS = [
+    { min: 85, level: 'expert' },
+    { min: 70, level: 'proficient' },
+    { min: 50, level: 'developing' },
+    { min: 0, level: 'novice' }
+];
+
+// Days until a scenario is due again, by the score of its last attempt
+const REVIEW_INTERVALS = [
+    { below: 60, days: 1 },
+    { below: 75, days: 3 },
+    { below: 85, days: 7 },
+    { below: Infinity, days: 14 }
+];
+
+// Need assumed for criteria the trainee has never been graded on
+const UNKNOWN_SKILL_NEED = 40;
+const NEW_SCENARIO_SPACING = 60;
+const MASTERED_SCORE = 90;
+
+/**
+ * Level name for a skill score
+ *
+ * @param {number} score - 0-100
+ * @returns {string} novice, developing, proficient or expert
+ */
+const getSkillLevel = (score) => SKILL_LEVELS.find(l => score >= l.min).level;
+
+/**
+ * Days to wait before practising a scenario again
+ *
+ * @param {number} score - Score of the last attempt
+ * @returns {number} Days
+ */
+const getReviewInterval = (score) => REVIEW_INTERVALS.find(i => (score ?? 0) < i.below).days;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Per-criterion skill levels across sessions, weakest first
+ *
+ * @param {Array} sessions - Completed sessions, oldest first, with criteria_scores
+ * @returns {Array} { name, score, level, sessions, best, latest, trend, last_practiced }
+ */
+const aggregateSkills = (sessions) => {
+    const byName = new Map();
+
+    for (const session of sessions) {
+        for (const criterion of session.criteria_scores || []) {
+            if (typeof criterion?.score !== 'number' || !criterion.name) continue;
+            const key = criterion.name.trim().toLowerCase();
+            if (!byName.has(key)) {
+                byName.set(key, { name: criterion.name.trim(), scores: [], last_practiced: null });
+            }
+            const skill = byName.get(key);
+            skill.scores.push(criterion.score);
+            skill.last_practiced = session.completed_at;
+        }
+    }
+
+    return [...byName.values()].map(({ name, scores, last_practiced }) => {
+        // Newest score has weight 1, the one before it RECENCY_DECAY, and so on
+        let weighted = 0;
+        let totalWeight = 0;
+        scores.forEach((score, i) => {
+            const weight = RECENCY_DECAY ** (scores.length - 1 - i);
+            weighted += score * weight;
+            totalWeight += weight;
+        });
+        const score = Math.round(weighted / totalWeight);
+
+        // Recent three against the three before them
+        const recent = scores.slice(-3);
+        const earlier = scores.slice(-6, -3);
+
+        return {
+            name,
+            score,
+            level: getSkillLevel(score),
+            sessions: scores.length,
+            best: Math.max(...scores),
+            latest: scores[scores.length - 1],
+            trend: earlier.length ? Math.round(average(recent) - average(earlier)) : null,
+            last_practiced
+        };
+    }).sort((a, b) => a.score - b.score || a.name.localeCompare(b.name));
+};
+
+/**
+ * Score history for trend charts, oldest first
+ *
+ * @param {Array} sessions - Completed sessions, oldest first
+ * @returns {Array} { session_id, completed_at, overall_score, persona_name, scenario_title, criteria }
+ */
+const buildTrend = (sessions) => sessions.map(session => ({
+    session_id: session.id,
+    completed_at: session.completed_at,
+    overall_score: session.overall_score,
+    persona_name: session.persona_name,
+    scenario_title: session.scenario_title,
+    criteria: Object.fromEntries(
+        (session.criteria_scores || [])
+            .filter(c => c?.name && typeof c.score === 'number')
+            .map(c => [c.name.trim(), c.score])
+    )
+}));
+
+/**
+ * Consecutive days (UTC) with at least one completed session
+ *
+ * @param {Array} sessions - Completed sessions
+ * @param {Date} now - Reference time
+ * @returns {Object} { current, longest, practiced_today, last_practiced }
+ */
+const calculateStreak = (sessions, now = new Date()) => {
+    const days = [...new Set(sessions.map(s => dayKey(s.completed_at)))].sort();
+    if (days.length === 0) {
+        return { current: 0, longest: 0, practiced_today: false, last_practiced: null };
+    }
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = Date.parse(days[i]) - Date.parse(days[i - 1]) === DAY_MS ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    // The streak is still alive until a whole day passes without practice
+    const today = dayKey(now);
+    const yesterday = dayKey(now.getTime() - DAY_MS);
+    const last = days[days.length - 1];
+
+    return {
+        current: last === today || last === yesterday ? run : 0,
+        longest,
+        practiced_today: last === today,
+        last_practiced: last
+    };
+};
+
+/**
+ * Rank scenarios to practise next. Priority mixes the trainee's need on the
+ * persona's criteria (weakest criterion first) with spacing: scenarios become
+ * due again after an interval that grows with the last score.
+ *
+ * @param {Object} params - { catalog, sessions, skills, now, limit }
+ * @returns {Array} Recommendations, highest priority first
+ */
+const recommendScenarios = ({ catalog, sessions, skills, now = new Date(), limit = 3 }) => {
+    const skillsByName = new Map(skills.map(s => [s.name.toLowerCase(), s]));
+    const defaultCriteria = getDefaultRubric().criteria.map(c => c.name);
+    const averageScore = sessions.length ? average(sessions.map(s => s.overall_score || 0)) : null;
+
+    const candidates = [];
+    for (const persona of catalog) {
+        const criteria = persona.grading_criteria?.length ? persona.grading_criteria : defaultCriteria;
+        const known = criteria
+            .map(name => skillsByName.get(name.toLowerCase()))
+            .filter(Boolean)
+            .sort((a, b) => a.score - b.score);
+        const weakest = known[0];
+        const need = weakest ? 100 - weakest.score : UNKNOWN_SKILL_NEED;
+
+        for (const scenario of persona.scenarios) {
+            const history = sessions.filter(s => s.persona_id === persona.persona_id && s.scenario_id === scenario.key);
+            const reasons = [];
+            let spacing;
+            let dueAt = null;
+            let lastPracticed = null;
+
+            if (weakest && weakest.score < 70) {
+                reasons.push(`Works on ${weakest.name}, your weakest skill here (${weakest.score})`);
+            }
+
+            if (history.length === 0) {
+                spacing = NEW_SCENARIO_SPACING;
+                reasons.push('You have not tried this scenario yet');
+            } else {
+                const last = history[history.length - 1];
+                const interval = getReviewInterval(last.overall_score);
+                const daysSince = (now - new Date(last.completed_at)) / DAY_MS;
+                spacing = Math.min(daysSince / interval, 2) * 50;
+                lastPracticed = last.completed_at;
+                dueAt = new Date(new Date(last.completed_at).getTime() + interval * DAY_MS).toISOString();
+                reasons.push(daysSince >= interval
+                    ? `Due for review: last practised ${Math.floor(daysSince)} day(s) ago`
+                    : `Practised recently; next review in ${Math.ceil(interval - daysSince)} day(s)`);
+            }
+
+            let priority = 0.6 * need + 0.4 * spacing;
+
+            // Steer struggling trainees away from hard scenarios and strong ones away from easy ones
+            if (averageScore !== null && averageScore < 60 && scenario.difficulty === 'hard') priority -= 15;
+            if (averageScore !== null && averageScore >= 80 && scenario.difficulty === 'easy') priority -= 15;
+
+            const best = history.length ? Math.max(...history.map(s => s.overall_score || 0)) : null;
+            if (best !== null && best >= MASTERED_SCORE) {
+                priority /= 2;
+                reasons.push(`Already mastered (best ${best})`);
+            }
+
+            candidates.push({
+                persona_id: persona.persona_id,
+                persona_name: persona.persona_name,
+                scenario_id: scenario.id,
+                scenario_key: scenario.key,
+                title: scenario.title,
+                difficulty: scenario.difficulty,
+                priority: Math.max(0, Math.round(priority)),
+                focus_criteria: known.filter(s => s.score < 70).map(s => s.name),
+                attempts: history.length,
+                last_practiced: lastPracticed,
+                due_at: dueAt,
+                reasons
+            });
+        }
+    }
+
+    candidates.sort((a, b) => b.priority - a.priority || a.title.localeCompare(b.title));
+
+    // One scenario per persona first, so the suggestions vary
+    const picked = [];
+    const personas = new Set();
+    for (const candidate of candidates) {
+        if (picked.length >= limit) break;
+        if (!personas.has(candidate.persona_id)) {
+            picked.push(candidate);
+            personas.add(candidate.persona_id);
+        }
+    }
+    for (const candidate of candidates) {
+        if (picked.length >= limit) break;
+        if (!picked.includes(candidate)) picked.push(candidate);
+    }
+    return picked.sort((a, b) => b.priority - a.priority);
+};
+
+/**
+ * Load a user's completed sessions, oldest first
+ *
+ * @param {string} userId - User UUID
+ * @returns {Array} Sessions with criteria scores
+ */
+const loadCompletedSessions = async (userId) => {
+    const result = await query(
+        `SELECT ts.id, ts.persona_id, ts.scenario_id, ts.overall_score, ts.completed_at,
+                ts.scenario->>'title' as scenario_title,
+                ts.grade_result->'criteria_scores' as criteria_scores,
+                p.name as persona_name
+         FROM training_sessions ts
+         JOIN personas p ON ts.persona_id = p.id
+         WHERE ts.user_id = $1 AND ts.status = 'completed' AND ts.completed_at IS NOT NULL
+         ORDER BY ts.completed_at DESC
+         LIMIT $2`,
+        [userId, HISTORY_LIMIT]
+    );
+    return result.rows.reverse();
+};
+
+/**
+ * Skill levels, trend and streak for a user
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - { now }
+ * @returns {Object} { skills, trend, streak, sessions_completed, average_score }
+ */
+const getUserSkillProgress = async (userId, { now = new Date() } = {}) => {
+    const sessions = await loadCompletedSessions(userId);
+    return {
+        skills: aggregateSkills(sessions),
+        trend: buildTrend(sessions),
+        streak: calculateStreak(sessions, now),
+        sessions_completed: sessions.length,
+        average_score: sessions.length ? Math.round(average(sessions.map(s => s.overall_score || 0))) : null
+    };
+};
+
+/**
+ * Scenarios the user should practise next
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { limit, now }
+ * @returns {Array} Recommendations
+ */
+const getRecommendations = async (user, { limit = 3, now = new Date() } = {}) => {
+    const [catalog, sessions] = await Promise.all([
+        scenarioService.listTrainingCatalog(user),
+        loadCompletedSessions(user.id)
+    ]);
+    return recommendScenarios({ catalog, sessions, skills: aggregateSkills(sessions), now, limit });
+};
+
+module.exports = {
+    getSkillLevel,
+    getReviewInterval,
+    aggregateSkills,
+    buildTrend,
+    calculateStreak,
+    recommendScenarios,
+    getUserSkillProgress,
+    getRecommendations
+};
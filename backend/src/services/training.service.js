@@ -5,6 +5,31 @@
 
 const { gradeWithPersona, getDefaultRubric } = require('./llm.service');
 
+/**
+ * Persona's first line when a session starts
+ *
+ * @param {Object} persona - The persona being trained against
+ * @param {Object} scenario - The scenario being played
+ * @returns {string} Opening message
+ */
+const getOpeningMessage = (persona, scenario) => {
+    if (scenario.opening_message) {
+        return scenario.opening_message;
+    }
+
+    const topic = scenario.title.toLowerCase();
+
+    const openings = {
+        'The Hunter': `Look, I know you wanted to talk about ${topic}. Can we make this quick? I've got three calls back-to-back this afternoon.`,
+        'The Craftsman': `*responds via Slack* Hey. About ${topic} - I assume this is why you pinged me? What do you need?`,
+        'The Diplomat': `Thanks for reaching out. I know we need to discuss ${topic}. I have about 15 minutes before my next sync - let's make the most of it.`,
+        'The Guardian': `Hi there. I appreciate you taking the time to meet. I understand you wanted to talk about ${topic}. How can I help?`,
+        'The Oracle': `*looks up from laptop* Oh, right - ${topic}. I was just running some analysis. What's your take on it?`,
+    };
+
+    return openings[persona.vector_profile?.archetype] || `Let's discuss ${topic}.`;
+};
+
 /**
  * Grade a training session using the persona's specific rubric
  * Each persona evaluates users differently based on their character
@@ -31,13 +56,14 @@ const gradeSession = async (session, persona, scenario = null) => {
 
 /**
  * Get the grading rubric for a persona
- * Returns persona-specific rubric or default if none defined
+ * Returns the scenario's override, the persona-specific rubric, or the default
  * 
  * @param {Object} persona - The persona to get rubric for
+ * @param {Object} scenario - Optional scenario (may carry rubric_override)
  * @returns {Object} The grading rubric
  */
-const getPersonaRubric = (persona) => {
-    return persona.grading_rubric || getDefaultRubric();
+const getPersonaRubric = (persona, scenario = null) => {
+    return scenario?.rubric_override || persona.grading_rubric || getDefaultRubric();
 };
 
 /**
@@ -63,6 +89,247 @@ const calculateWeightedScore = (criteriaScores) => {
     return Math.round(weightedSum / totalWeight);
 };
 
+// Share of the final score taken from the rubric criteria; the rest comes from conversation signals
+const RUBRIC_SHARE = 80;
+
+// Words per message that suit a persona of neutral verbosity (doubles per +1 of the vector)
+const BASE_MESSAGE_WORDS = 30;
+
+const RESOLUTION_PATTERN = /\b(i will|i'll|we will|we'll|let's|we can|next steps?|schedule|agreed?|plan|deadline|follow up|action items?|commit to|by (monday|tuesday|wednesday|thursday|friday|tomorrow|end of (the )?(day|week)|eod))\b/;
+const HEDGE_PATTERN = /\b(maybe|kind of|sort of|possibly|i guess|perhaps|somewhat|a bit)\b/g;
+const DEMAND_PATTERN = /(\b(no excuses|right now|immediately|asap|i don't care|whatever|we clear)\b|!{2,})/;
+const EMPATHY_PATTERN = /\b(understand|appreciate|sorry|hear you|feel|thank)/;
+const ACKNOWLEDGE_PATTERN = /\b(i know|i realize|i understand|i appreciate|i get that|i hear you)\b/;
+
+/**
+ * Behaviours a persona's dislikes can name, each with a check on the
+ * trainee's messages. A dislike is checked by every detector whose
+ * `dislike` pattern matches its text and counts as triggered if any fires.
+ */
+const DISLIKE_DETECTORS = [
+    {
+        dislike: /pleasantr|small talk|chit-?chat/,
+        triggered: ({ text }) => /\b(how are you|how's it going|how was your (weekend|day)|hope you're (well|doing))/.test(text)
+    },
+    {
+        dislike: /rambl|verbose|long-?winded|wasting time|lengthy/,
+        triggered: ({ averageWords, targetWords }) => averageWords > targetWords * 2
+    },
+    {
+        dislike: /aggress|demand|pushy|rude|disrespect/,
+        triggered: ({ text }) => DEMAND_PATTERN.test(text)
+    },
+    {
+        dislike: /vague|unclear|wishy|hesitant|indirect/,
+        triggered: ({ text }) => (text.match(HEDGE_PATTERN) || []).length >= 2
+    },
+    {
+        dislike: /buzzword|jargon|corporate speak|fluff/,
+        triggered: ({ text }) => /\b(synergy|leverage|circle back|paradigm|bandwidth|move the needle|low-hanging fruit|deep dive|touch base)\b/.test(text)
+    },
+    {
+        dislike: /bureaucra|red tape|dismiss\w* polic/,
+        triggered: ({ text }) => /\b(red tape|bureaucra\w*|skip the process|ignore the policy)\b/.test(text)
+    },
+    {
+        dislike: /emotional impact|ignoring .*(feeling|emotion)|cold/,
+        triggered: ({ text }) => !EMPATHY_PATTERN.test(text)
+    }
+];
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * Share of the trainee's messages that ask a question.
+ * Around a quarter to a half is ideal; none reads as telling, not listening,
+ * and nothing but questions reads as an interrogation.
+ */
+const scoreQuestionRatio = (userMessages) => {
+    const asked = userMessages.filter(m => m.content.includes('?')).length;
+    const ratio = asked / userMessages.length;
+    const score = ratio < 0.25 ? 40 + (60 * ratio) / 0.25
+        : ratio <= 0.6 ? 100
+            : 100 - (30 * (ratio - 0.6)) / 0.4;
+
+    return {
+        key: 'question_ratio',
+        label: 'Questions asked',
+        score: clampScore(score),
+        value: Number(ratio.toFixed(2)),
+        detail: `${asked} of ${userMessages.length} messages asked a question`
+    };
+};
+
+/**
+ * Average message length against the length the persona's verbosity suits.
+ * Within 1.5x either way scores full marks.
+ */
+const scoreMessageLength = (averageWords, targetWords) => {
+    const distance = Math.abs(Math.log2(averageWords / targetWords));
+    const score = distance <= Math.log2(1.5) ? 100 : 100 - 60 * (distance - Math.log2(1.5));
+
+    return {
+        key: 'message_length',
+        label: 'Message length',
+        score: clampScore(Math.max(score, 20)),
+        value: Math.round(averageWords),
+        detail: `${Math.round(averageWords)} words per message; this persona suits about ${targetWords}`
+    };
+};
+
+/**
+ * Whether the trainee avoided (or openly acknowledged) what the persona dislikes.
+ * Dislikes no detector understands are left out; null when none can be checked.
+ */
+const scoreDislikes = (dislikes, userMessages, stats) => {
+    const results = [];
+
+    for (const dislike of dislikes) {
+        const lower = dislike.toLowerCase();
+        const keywords = lower.match(/[a-z]{5,}/g) || [];
+        const acknowledged = userMessages.some(m => {
+            const content = m.content.toLowerCase();
+            return ACKNOWLEDGE_PATTERN.test(content) && keywords.some(k => content.includes(k));
+        });
+        const detectors = DISLIKE_DETECTORS.filter(d => d.dislike.test(lower));
+
+        if (acknowledged) {
+            results.push({ dislike, status: 'acknowledged' });
+        } else if (detectors.length) {
+            results.push({ dislike, status: detectors.some(d => d.triggered(stats)) ? 'triggered' : 'avoided' });
+        }
+    }
+
+    if (results.length === 0) {
+        return null;
+    }
+
+    const triggered = results.filter(r => r.status === 'triggered');
+    return {
+        key: 'dislikes',
+        label: "Avoided the persona's dislikes",
+        score: clampScore(100 * (1 - triggered.length / results.length)),
+        value: results.length - triggered.length,
+        detail: triggered.length
+            ? `Ran into: ${triggered.map(r => r.dislike).join('; ')}`
+            : `Avoided or acknowledged all ${results.length} checked dislikes`,
+        dislikes: results
+    };
+};
+
+/**
+ * Whether the trainee closed on a commitment or next step.
+ * A commitment in the last two messages counts fully; one earlier on counts partly.
+ */
+const scoreResolution = (userMessages) => {
+    const index = userMessages.map(m => RESOLUTION_PATTERN.test(m.content.toLowerCase())).lastIndexOf(true);
+    const closing = index >= userMessages.length - 2;
+    const score = index === -1 ? 20 : closing ? 100 : 60;
+
+    return {
+        key: 'resolution',
+        label: 'Closed on a next step',
+        score,
+        value: index !== -1,
+        detail: index === -1
+            ? 'No commitment, plan or next step was offered'
+            : closing ? 'Ended with a concrete commitment or next step' : 'A next step came up but the conversation moved on from it'
+    };
+};
+
+/**
+ * Deterministic, non-LLM signals from the trainee's side of a conversation
+ *
+ * @param {Array} conversation - Messages [{role, content}]
+ * @param {Object} persona - The persona (personality_vectors.verbosity, rubric dislikes)
+ * @param {Object} scenario - Optional scenario (rubric_override)
+ * @returns {Array} Signals [{key, label, score, value, detail}]
+ */
+const analyzeConversationSignals = (conversation, persona, scenario = null) => {
+    const userMessages = conversation.filter(m => m.role === 'user' && m.content);
+    if (userMessages.length === 0) {
+        return [];
+    }
+
+    const verbosity = Number(persona.personality_vectors?.verbosity) || 0;
+    const stats = {
+        text: userMessages.map(m => m.content).join('\n').toLowerCase(),
+        averageWords: userMessages.reduce((sum, m) => sum + countWords(m.content), 0) / userMessages.length,
+        targetWords: Math.round(BASE_MESSAGE_WORDS * 2 ** Math.max(-1, Math.min(1, verbosity)))
+    };
+
+    return [
+        scoreQuestionRatio(userMessages),
+        scoreDislikes(getPersonaRubric(persona, scenario).dislikes || [], userMessages, stats),
+        scoreMessageLength(Math.max(stats.averageWords, 1), stats.targetWords),
+        scoreResolution(userMessages)
+    ].filter(Boolean);
+};
+
+/**
+ * Compute the final score server-side: the LLM's criterion scores weighted by
+ * the rubric, blended with the deterministic conversation signals. The LLM's
+ * own overall score is kept in the breakdown for reference only.
+ *
+ * @param {Object} gradingResult - Result of gradeWithPersona / gradeWithMultiPass
+ * @param {Object} persona - The grading persona
+ * @param {Array} conversation - Messages that were graded
+ * @param {Object} scenario - Optional scenario
+ * @returns {Object} { overall_score, score_breakdown }
+ */
+const scoreConversation = (gradingResult, persona, conversation, scenario = null) => {
+    const rubricCriteria = getPersonaRubric(persona, scenario).criteria || [];
+    const weightFor = (name) => rubricCriteria.find(c => c.name.toLowerCase() === String(name).toLowerCase())?.weight;
+
+    // Criteria the rubric knows about carry its weight; if none match, each counts equally
+    const graded = (gradingResult.criteria_scores || []).filter(c => Number.isFinite(c.score));
+    const matched = graded.filter(c => weightFor(c.name) !== undefined);
+    const criteria = (matched.length ? matched : graded).map(c => ({
+        name: c.name,
+        score: clampScore(c.score),
+        weight: weightFor(c.name)
+    }));
+
+    // Without either there is nothing to score, and a made-up number must not be saved
+    if (!criteria.length && !Number.isFinite(gradingResult.overall_score)) {
+        throw new Error('Grading returned no scores');
+    }
+
+    const rubricScore = criteria.length ? calculateWeightedScore(criteria) : clampScore(gradingResult.overall_score);
+    const totalWeight = criteria.reduce((sum, c) => sum + (c.weight || 25), 0);
+
+    const signals = analyzeConversationSignals(conversation, persona, scenario);
+    const signalScore = signals.length
+        ? Math.round(signals.reduce((sum, s) => sum + s.score, 0) / signals.length)
+        : null;
+
+    const rubricShare = signalScore === null ? 100 : RUBRIC_SHARE;
+    const overall = clampScore((rubricScore * rubricShare + (signalScore ?? 0) * (100 - rubricShare)) / 100);
+
+    return {
+        overall_score: overall,
+        score_breakdown: {
+            rubric: {
+                score: rubricScore,
+                weight: rubricShare,
+                criteria: criteria.map(c => ({
+                    ...c,
+                    weight: c.weight || 25,
+                    contribution: Number(((c.score * (c.weight || 25)) / totalWeight).toFixed(1))
+                }))
+            },
+            signals: {
+                score: signalScore,
+                weight: 100 - rubricShare,
+                items: signals
+            },
+            llm_overall_score: gradingResult.overall_score
+        }
+    };
+};
+
 /**
  * Generate comparative feedback showing how different personas
  * would have graded the same conversation differently
@@ -157,9 +424,12 @@ const getLetterGrade = (score) => {
 };
 
 module.exports = {
+    getOpeningMessage,
     gradeSession,
     getPersonaRubric,
     calculateWeightedScore,
+    analyzeConversationSignals,
+    scoreConversation,
     generateComparativeAnalysis,
     formatGradingResult,
     getLetterGrade
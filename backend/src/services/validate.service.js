@@ -248,8 +248,13 @@ function validatePersona(inputMetaVectors, assessedScores, threshold = 0.8) {
   const assessedResult = vectorService.processVCPQResponses(assessedScores);
   const assessedMetaVectors = assessedResult.meta_vectors;
   
+  // Only the core meta-vectors are self-assessed; ignore domain modifiers
+  const coreInput = Object.fromEntries(
+    Object.entries(inputMetaVectors).filter(([key]) => key in assessedMetaVectors)
+  );
+  
   // Convert to arrays for comparison
-  const input = metaVectorsToArray(inputMetaVectors);
+  const input = metaVectorsToArray(coreInput);
   const assessed = metaVectorsToArray(assessedMetaVectors);
   
   // Ensure same keys
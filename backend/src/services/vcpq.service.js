@@ -11,62 +11,36 @@
  * - Persona validation
  */
 
-const Groq = require('groq-sdk');
 const vectorService = require('./vector.service');
 const lexiconService = require('./lexicon.service');
 const promptCompiler = require('./promptCompiler.service');
 const validateService = require('./validate.service');
-
-// Initialize Groq client
-const groqPrimary = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
-
-const groqBackup = process.env.GROQ_API_BACKUPKEY
-  ? new Groq({ apiKey: process.env.GROQ_API_BACKUPKEY })
-  : null;
-
-let useBackupKey = false;
-
-// Wrapper for automatic failover
-async function executeWithFailover(apiCall) {
-  const primary = useBackupKey ? groqBackup : groqPrimary;
-  const fallback = useBackupKey ? groqPrimary : groqBackup;
-
-  try {
-    return await apiCall(primary || groqPrimary);
-  } catch (error) {
-    const isRateLimit = error.status === 429 || error.message?.includes('rate_limit') || error.error?.code === 'rate_limit_exceeded';
-    if (isRateLimit && fallback) {
-      console.log(`[VCPQ] Rate limit hit, switching to ${useBackupKey ? 'primary' : 'backup'} key...`);
-      useBackupKey = !useBackupKey;
-      return await apiCall(fallback);
-    }
-    throw error;
-  }
-}
-
-// Legacy alias for existing code
-const groq = groqPrimary;
-
-const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+const { createChatCompletion } = require('./llmProvider.service');
 
 /**
  * Generate a persona using VCPQ vector-based system
  * @param {Object} vcpqResponses - Raw VCPQ survey responses (A1-D6, values 1-5)
  * @param {Object} demographics - Demographic info (name, role, department, etc.)
- * @param {string} domain - Domain context (engineering, legal, executive, hr, general)
+ * @param {string|Object} domain - Domain context (engineering, legal, executive, hr, general) or a built company lexicon
+ * @param {Object} llm - Optional LLM provider override ({ provider, model, fallbacks })
+ * @param {Object} scoring - How responses are scored
+ * @param {Object[]} scoring.mappedItems - Custom Likert items mapped onto meta-vectors ({ meta, score, weight, reversed })
+ * @param {Object} scoring.instrument - Instrument the responses answer ({ id, label, meta, delivery_mode }); defaults to the VCPQ
  * @returns {Object} Generated persona with vectors and compiled prompt
  */
-async function generateVCPQPersona(vcpqResponses, demographics = {}, domain = 'general') {
-  // Validate responses
-  const validation = vectorService.validateResponses(vcpqResponses);
+async function generateVCPQPersona(vcpqResponses, demographics = {}, domain = 'general', llm = {}, scoring = {}) {
+  const { mappedItems = [], instrument = vectorService.VCPQ_INSTRUMENT } = scoring;
+
+  // Validate responses. Short and adaptive answers only need the short form here:
+  // a cluster's averaged answers need not repeat the follow-ups of each member.
+  const deliveryMode = (instrument.delivery_mode || 'full') === 'full' ? 'full' : 'short';
+  const validation = vectorService.validateResponses(vcpqResponses, instrument.meta, deliveryMode);
   if (!validation.valid) {
     throw new Error(`Invalid VCPQ responses: ${validation.errors.join(', ')}`);
   }
 
   // Process vectors
-  const vectorResult = vectorService.processVCPQResponses(vcpqResponses);
+  const vectorResult = vectorService.processVCPQResponses(vcpqResponses, mappedItems, instrument);
 
   // Apply domain modifiers
   const modifiedVectors = lexiconService.applyDomainModifiers(
@@ -83,11 +57,11 @@ async function generateVCPQPersona(vcpqResponses, demographics = {}, domain = 'g
 
   // Generate persona name if not provided
   if (!demographics.name) {
-    demographics.name = await generatePersonaName(domain, modifiedVectors);
+    demographics.name = await generatePersonaName(domain, modifiedVectors, llm);
   }
 
   // Generate background narrative (optional enrichment)
-  const background = await generateBackground(demographics, modifiedVectors, domain);
+  const background = await generateBackground(demographics, modifiedVectors, domain, llm);
 
   return {
     name: demographics.name,
@@ -98,14 +72,16 @@ async function generateVCPQPersona(vcpqResponses, demographics = {}, domain = 'g
       department: demographics.department || lexiconService.getLexicon(domain).name,
       experience_level: demographics.experience_level || 'Mid-level'
     },
-    domain_context: domain,
+    domain_context: lexiconService.getDomainKey(domain),
+    lexicon_id: lexiconService.getLexicon(domain).id || null,
     personality_vectors: modifiedVectors,
     raw_survey_scores: vcpqResponses,
     vector_profile: vectorResult.profile,
+    vector_confidence: vectorResult.confidence,
     system_prompt: compiledPrompt.system_prompt,
     applied_rules: compiledPrompt.applied_rules,
     background,
-    vector_version: 'vcpq-v1',
+    vector_version: vectorResult.version,
     generated_at: new Date().toISOString()
   };
 }
@@ -113,7 +89,7 @@ async function generateVCPQPersona(vcpqResponses, demographics = {}, domain = 'g
 /**
  * Generate a persona name using LLM
  */
-async function generatePersonaName(domain, vectors) {
+async function generatePersonaName(domain, vectors, llm = {}) {
   const lexicon = lexiconService.getLexicon(domain);
 
   const prompt = `Generate a realistic professional name for a persona with these traits:
@@ -124,12 +100,11 @@ async function generatePersonaName(domain, vectors) {
 Return ONLY the full name (first and last), nothing else.`;
 
   try {
-    const response = await executeWithFailover(async (client) => client.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const response = await createChatCompletion({
       messages: [{ role: 'user', content: prompt }],
       max_tokens: 50,
       temperature: 0.8
-    }));
+    }, llm);
 
     return response.choices[0]?.message?.content?.trim() || 'Alex Morgan';
   } catch (error) {
@@ -141,7 +116,7 @@ Return ONLY the full name (first and last), nothing else.`;
 /**
  * Generate background narrative for persona
  */
-async function generateBackground(demographics, vectors, domain) {
+async function generateBackground(demographics, vectors, domain, llm = {}) {
   const lexicon = lexiconService.getLexicon(domain);
   const vectorDescriptions = vectorService.generateProfile(vectors);
 
@@ -160,12 +135,11 @@ Key traits: ${personalityTraits}
 Keep it factual and professional. Focus on career background, not personality.`;
 
   try {
-    const response = await executeWithFailover(async (client) => client.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const response = await createChatCompletion({
       messages: [{ role: 'user', content: prompt }],
       max_tokens: 200,
       temperature: 0.7
-    }));
+    }, llm);
 
     return response.choices[0]?.message?.content?.trim() || '';
   } catch (error) {
@@ -197,9 +171,10 @@ function inferAgeRange(experienceLevel) {
  * @param {string} systemPrompt - Compiled system prompt from persona
  * @param {Array} messageHistory - Array of {role, content} messages
  * @param {string} userMessage - New user message
+ * @param {Object} llm - Optional LLM provider override
  * @returns {string} Persona response
  */
-async function chatWithVCPQPersona(systemPrompt, messageHistory = [], userMessage) {
+async function chatWithVCPQPersona(systemPrompt, messageHistory = [], userMessage, llm = {}) {
   const messages = [
     { role: 'system', content: systemPrompt },
     ...messageHistory,
@@ -207,12 +182,11 @@ async function chatWithVCPQPersona(systemPrompt, messageHistory = [], userMessag
   ];
 
   try {
-    const response = await executeWithFailover(async (client) => client.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const response = await createChatCompletion({
       messages,
       max_tokens: 1000,
       temperature: 0.7
-    }));
+    }, llm);
 
     return response.choices[0]?.message?.content?.trim() || '';
   } catch (error) {
@@ -225,9 +199,10 @@ async function chatWithVCPQPersona(systemPrompt, messageHistory = [], userMessag
  * Validate a persona using self-assessment
  * @param {string} systemPrompt - Persona's system prompt
  * @param {Object} inputMetaVectors - Original meta-vectors
+ * @param {Object} llm - Optional LLM provider override
  * @returns {Object} Validation result
  */
-async function validateVCPQPersona(systemPrompt, inputMetaVectors) {
+async function validateVCPQPersona(systemPrompt, inputMetaVectors, llm = {}) {
   const validationPrompt = validateService.buildValidationPrompt();
   const questions = validateService.generateSelfAssessmentQuestions();
 
@@ -239,15 +214,14 @@ async function validateVCPQPersona(systemPrompt, inputMetaVectors) {
   const fullPrompt = `${validationPrompt}\n\nQuestions:\n${questionText}`;
 
   try {
-    const response = await executeWithFailover(async (client) => client.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const response = await createChatCompletion({
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: fullPrompt }
       ],
       max_tokens: 500,
       temperature: 0.3 // Lower temperature for consistent scoring
-    }));
+    }, llm);
 
     const responseText = response.choices[0]?.message?.content || '';
     const parsed = validateService.parseValidationResponse(responseText);
@@ -285,17 +259,19 @@ async function createPersonaPipeline(options) {
     demographics = {},
     domain = 'general',
     validate = false,
-    validationThreshold = 0.8
+    validationThreshold = 0.8,
+    llm = {}
   } = options;
 
   // Generate the persona
-  const persona = await generateVCPQPersona(vcpqResponses, demographics, domain);
+  const persona = await generateVCPQPersona(vcpqResponses, demographics, domain, llm);
 
   // Optionally validate
   if (validate) {
     const validationResult = await validateVCPQPersona(
       persona.system_prompt,
-      persona.personality_vectors
+      persona.personality_vectors,
+      llm
     );
 
     persona.validation = validationResult;
@@ -315,9 +291,10 @@ async function createPersonaPipeline(options) {
  * @param {Object} vectors - Personality meta-vectors (-1 to 1 scale)
  * @param {Object} demographics - Persona demographics
  * @param {string} domain - Domain context
+ * @param {Object} llm - Optional LLM provider override
  * @returns {Object} Comprehensive insights object
  */
-async function generatePersonaInsights(vectors, demographics = {}, domain = 'general') {
+async function generatePersonaInsights(vectors, demographics = {}, domain = 'general', llm = {}) {
   const lexicon = lexiconService.getLexicon(domain);
 
   // Build vector summary for LLM
@@ -369,12 +346,11 @@ RULES:
 - Return ONLY valid JSON, no markdown or explanation`;
 
   try {
-    const response = await executeWithFailover(async (client) => client.chat.completions.create({
-      model: DEFAULT_MODEL,
+    const response = await createChatCompletion({
       messages: [{ role: 'user', content: prompt }],
       max_tokens: 1000,
       temperature: 0.6
-    }));
+    }, llm);
 
     const content = response.choices[0]?.message?.content?.trim() || '';
 
@@ -515,6 +491,7 @@ function getAvailableDomains() {
  */
 function getVCPQQuestions() {
   const meta = vectorService.getQuestionMeta();
+  const shortForm = vectorService.getShortFormIds(meta);
   const questions = [];
 
   // First-person self-assessment questions
@@ -564,6 +541,7 @@ function getVCPQQuestions() {
       question: questionTexts[id],
       meta_vector: metaInfo.meta,
       reversed: metaInfo.reversed,
+      short_form: shortForm.includes(id),
       scale: {
         min: 1,
         max: 5,
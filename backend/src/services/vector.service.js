@@ -7,6 +7,15 @@
  * Formula: V = (S - 3) / 2
  * Where S is the Likert score (1-5), producing V in range [-1, 1]
  * Reversed items are multiplied by -1
+ *
+ * Scoring runs against an instrument: the built-in VCPQ below, or a
+ * company instrument from questionnaire_templates (see instrument.service),
+ * which maps its own item ids onto the same meta-vectors.
+ *
+ * Instruments are delivered in full, as a short form (one item per
+ * meta-vector) or adaptively (a dimension's follow-up items are skipped
+ * once its answers agree). Partial answers are scored with a per-dimension
+ * confidence.
  */
 
 // Question metadata with reversal flags
@@ -48,6 +57,23 @@ const QUESTION_META = {
   D6: { meta: 'stress_resilience', reversed: true }
 };
 
+// The built-in instrument, used when a questionnaire has no template.
+// delivery_mode (full, short or adaptive) defaults to full.
+const VCPQ_INSTRUMENT = {
+  id: 'vcpq',
+  label: 'vcpq-v1',
+  meta: QUESTION_META
+};
+
+const DELIVERY_MODES = ['full', 'short', 'adaptive'];
+
+// Adaptive delivery: a dimension is settled by one strongly held answer,
+// or by answers within maxSpread of each other (normalized, reversals applied)
+const ADAPTIVE_STOP_RULE = {
+  strongAnswer: 1,
+  maxSpread: 0.5
+};
+
 // Meta-vector labels for human-readable output
 const META_VECTOR_LABELS = {
   innovation: { low: 'Traditional/Conservative', high: 'Innovative/Risk-Taking' },
@@ -91,17 +117,20 @@ function normalizeScore(score, reversed = false) {
 }
 
 /**
- * Process all 28 raw survey scores into normalized values
- * @param {Object} rawScores - Object with keys A1-D6 and Likert values 1-5
+ * Process all raw survey scores into normalized values
+ * @param {Object} rawScores - Object with the instrument's item ids and Likert values 1-5
+ * @param {Object} questionMeta - Item metadata of the instrument (defaults to the VCPQ)
+ * @param {Object} options - { allowMissing } skips unanswered items instead of throwing
  * @returns {Object} Normalized scores with same keys
  */
-function normalizeAllScores(rawScores) {
+function normalizeAllScores(rawScores, questionMeta = QUESTION_META, { allowMissing = false } = {}) {
   const normalized = {};
   
-  for (const [questionId, meta] of Object.entries(QUESTION_META)) {
+  for (const [questionId, meta] of Object.entries(questionMeta)) {
     const rawScore = rawScores[questionId];
     
     if (rawScore === undefined || rawScore === null) {
+      if (allowMissing) continue;
       throw new Error(`Missing required score for question: ${questionId}`);
     }
     
@@ -113,31 +142,137 @@ function normalizeAllScores(rawScores) {
 
 /**
  * Aggregate normalized scores into meta-vectors
- * @param {Object} normalizedScores - Object with normalized values for A1-D6
- * @returns {Object} Meta-vector object with 14 dimensions
+ * @param {Object} normalizedScores - Object with normalized values per item
+ * @param {Object[]} mappedItems - Extra Likert items mapped onto a meta-vector
+ *   ({ meta, score, weight, reversed }); instrument items weigh 1 unless they set a weight
+ * @param {Object} questionMeta - Item metadata of the instrument (defaults to the VCPQ)
+ * @returns {Object} Meta-vector object with 14 dimensions; those no item measures stay neutral (0)
  */
-function calculateMetaVectors(normalizedScores) {
+function calculateMetaVectors(normalizedScores, mappedItems = [], questionMeta = QUESTION_META) {
   const metaVectors = {};
+  for (const meta of Object.keys(META_VECTOR_LABELS)) {
+    metaVectors[meta] = 0;
+  }
   
   // Group scores by meta-vector
   const grouped = {};
-  for (const [questionId, score] of Object.entries(normalizedScores)) {
-    const meta = QUESTION_META[questionId].meta;
+  const addScore = (meta, value, weight) => {
     if (!grouped[meta]) {
       grouped[meta] = [];
     }
-    grouped[meta].push(score);
+    grouped[meta].push({ value, weight });
+  };
+  for (const [questionId, score] of Object.entries(normalizedScores)) {
+    addScore(questionMeta[questionId].meta, score, questionMeta[questionId].weight ?? 1);
+  }
+  for (const item of mappedItems) {
+    if (!META_VECTOR_LABELS[item.meta]) continue;
+    addScore(item.meta, normalizeScore(item.score, item.reversed), item.weight ?? 1);
   }
   
-  // Calculate average for each meta-vector
+  // Calculate weighted average for each meta-vector
   for (const [meta, scores] of Object.entries(grouped)) {
-    const sum = scores.reduce((a, b) => a + b, 0);
-    metaVectors[meta] = Math.round((sum / scores.length) * 100) / 100;
+    const sum = scores.reduce((a, b) => a + b.value * b.weight, 0);
+    const totalWeight = scores.reduce((a, b) => a + b.weight, 0);
+    metaVectors[meta] = Math.round((sum / totalWeight) * 100) / 100;
   }
   
   return metaVectors;
 }
 
+/**
+ * Group an instrument's items by meta-vector, the short-form item first
+ * (the first forward-keyed item, or the first item if all are reversed)
+ * @param {Object} questionMeta - Item metadata of the instrument
+ * @returns {Object} Item ids per meta-vector, in asking order
+ */
+function getItemsByMeta(questionMeta = QUESTION_META) {
+  const byMeta = {};
+  for (const [questionId, meta] of Object.entries(questionMeta)) {
+    if (!byMeta[meta.meta]) {
+      byMeta[meta.meta] = [];
+    }
+    byMeta[meta.meta].push(questionId);
+  }
+
+  for (const ids of Object.values(byMeta)) {
+    const primary = ids.find(id => !questionMeta[id].reversed) || ids[0];
+    ids.splice(ids.indexOf(primary), 1);
+    ids.unshift(primary);
+  }
+  return byMeta;
+}
+
+/**
+ * Items of the short form: one per meta-vector the instrument measures
+ * @param {Object} questionMeta - Item metadata of the instrument
+ * @returns {string[]} Item ids
+ */
+function getShortFormIds(questionMeta = QUESTION_META) {
+  return Object.values(getItemsByMeta(questionMeta)).map(ids => ids[0]);
+}
+
+/**
+ * Whether a dimension's answers are settled enough to stop asking about it
+ * @param {number[]} values - Normalized answers for the dimension so far
+ * @param {number} totalItems - Items the instrument has for the dimension
+ * @returns {boolean}
+ */
+function isDimensionStable(values, totalItems) {
+  if (values.length === 0) return false;
+  if (values.length >= totalItems) return true;
+  if (values.length === 1) return Math.abs(values[0]) >= ADAPTIVE_STOP_RULE.strongAnswer;
+  return Math.max(...values) - Math.min(...values) <= ADAPTIVE_STOP_RULE.maxSpread;
+}
+
+/**
+ * Items adaptive delivery still has to ask: the short-form item of every
+ * dimension, then the next follow-up of each dimension that is not stable
+ * @param {Object} rawScores - Answers so far
+ * @param {Object} questionMeta - Item metadata of the instrument
+ * @returns {string[]} Item ids (empty once every dimension is settled)
+ */
+function getAdaptiveNextItems(rawScores, questionMeta = QUESTION_META) {
+  const next = [];
+  for (const ids of Object.values(getItemsByMeta(questionMeta))) {
+    const answered = ids.filter(id => rawScores[id] !== undefined && rawScores[id] !== null);
+    const values = answered.map(id => normalizeScore(rawScores[id], questionMeta[id].reversed));
+    if (!isDimensionStable(values, ids.length)) {
+      next.push(ids.find(id => !answered.includes(id)));
+    }
+  }
+  return next;
+}
+
+/**
+ * How much to trust each meta-vector: the share of its item weight that was
+ * answered, times how well the answers agree (1 - spread / 2)
+ * @param {Object} normalizedScores - Normalized values of the answered items
+ * @param {Object} questionMeta - Item metadata of the instrument
+ * @returns {Object} Confidence between 0 and 1 per meta-vector (0 when not measured)
+ */
+function calculateConfidence(normalizedScores, questionMeta = QUESTION_META) {
+  const confidence = {};
+  const itemsByMeta = getItemsByMeta(questionMeta);
+
+  for (const meta of Object.keys(META_VECTOR_LABELS)) {
+    const ids = itemsByMeta[meta] || [];
+    const answered = ids.filter(id => normalizedScores[id] !== undefined);
+    if (answered.length === 0) {
+      confidence[meta] = 0;
+      continue;
+    }
+
+    const weightOf = id => questionMeta[id].weight ?? 1;
+    const coverage = answered.reduce((a, id) => a + weightOf(id), 0) / ids.reduce((a, id) => a + weightOf(id), 0);
+    const values = answered.map(id => normalizedScores[id]);
+    const consistency = 1 - (Math.max(...values) - Math.min(...values)) / 2;
+    confidence[meta] = Math.round(coverage * consistency * 100) / 100;
+  }
+
+  return confidence;
+}
+
 /**
  * Generate human-readable personality profile from meta-vectors
  * @param {Object} metaVectors - Meta-vector values
@@ -181,15 +316,22 @@ function generateProfile(metaVectors) {
 
 /**
  * Full pipeline: raw scores → normalized → meta-vectors → profile
- * @param {Object} rawScores - Raw survey responses (A1-D6 with values 1-5)
- * @returns {Object} Complete vector analysis
+ * @param {Object} rawScores - Raw survey responses (item ids with values 1-5)
+ * @param {Object[]} mappedItems - Custom Likert items mapped onto meta-vectors
+ * @param {Object} instrument - { id, label, meta, delivery_mode } the responses were collected with;
+ *   short and adaptive delivery score the answered items only
+ * @returns {Object} Complete vector analysis, with a confidence per meta-vector
  */
-function processVCPQResponses(rawScores) {
+function processVCPQResponses(rawScores, mappedItems = [], instrument = VCPQ_INSTRUMENT) {
+  const deliveryMode = instrument.delivery_mode || 'full';
+
   // Step 1: Normalize all scores
-  const normalizedScores = normalizeAllScores(rawScores);
+  const normalizedScores = normalizeAllScores(rawScores, instrument.meta, {
+    allowMissing: deliveryMode !== 'full'
+  });
   
-  // Step 2: Calculate meta-vectors
-  const metaVectors = calculateMetaVectors(normalizedScores);
+  // Step 2: Calculate meta-vectors (custom items weighted in)
+  const metaVectors = calculateMetaVectors(normalizedScores, mappedItems, instrument.meta);
   
   // Step 3: Generate profile
   const profile = generateProfile(metaVectors);
@@ -198,26 +340,35 @@ function processVCPQResponses(rawScores) {
     raw_scores: rawScores,
     normalized_scores: normalizedScores,
     meta_vectors: metaVectors,
+    confidence: calculateConfidence(normalizedScores, instrument.meta),
     profile,
-    version: 'vcpq-v1',
+    delivery_mode: deliveryMode,
+    version: instrument.label,
     processed_at: new Date().toISOString()
   };
 }
 
 /**
- * Validate that all required questions are answered
+ * Validate that all required questions are answered. Full delivery needs
+ * every item, the short form its items, and adaptive delivery the short-form
+ * items plus the follow-ups of every dimension that is not settled.
  * @param {Object} rawScores - Survey responses
+ * @param {Object} questionMeta - Item metadata of the instrument (defaults to the VCPQ)
+ * @param {string} deliveryMode - full | short | adaptive
  * @returns {Object} Validation result with errors if any
  */
-function validateResponses(rawScores) {
+function validateResponses(rawScores, questionMeta = QUESTION_META, deliveryMode = 'full') {
   const errors = [];
   const warnings = [];
+  const required = deliveryMode === 'full' ? Object.keys(questionMeta) : getShortFormIds(questionMeta);
   
-  for (const questionId of Object.keys(QUESTION_META)) {
+  for (const questionId of Object.keys(questionMeta)) {
     const value = rawScores[questionId];
     
     if (value === undefined || value === null) {
-      errors.push(`Missing response for ${questionId}`);
+      if (required.includes(questionId)) {
+        errors.push(`Missing response for ${questionId}`);
+      }
     } else if (typeof value !== 'number') {
       errors.push(`Invalid response type for ${questionId}: expected number, got ${typeof value}`);
     } else if (value < 1 || value > 5) {
@@ -226,12 +377,18 @@ function validateResponses(rawScores) {
       warnings.push(`Non-integer value for ${questionId}: ${value} (will be used as-is)`);
     }
   }
+
+  if (deliveryMode === 'adaptive' && errors.length === 0) {
+    for (const questionId of getAdaptiveNextItems(rawScores, questionMeta)) {
+      errors.push(`Missing follow-up response for ${questionId}`);
+    }
+  }
   
   return {
     valid: errors.length === 0,
     errors,
     warnings,
-    questionCount: Object.keys(QUESTION_META).length,
+    questionCount: required.length,
     answeredCount: Object.keys(rawScores).filter(k => 
       rawScores[k] !== undefined && rawScores[k] !== null
     ).length
@@ -259,10 +416,18 @@ module.exports = {
   normalizeAllScores,
   calculateMetaVectors,
   generateProfile,
+  getItemsByMeta,
+  getShortFormIds,
+  isDimensionStable,
+  getAdaptiveNextItems,
+  calculateConfidence,
   processVCPQResponses,
   validateResponses,
   getQuestionMeta,
   getMetaVectorLabels,
   QUESTION_META,
-  META_VECTOR_LABELS
+  META_VECTOR_LABELS,
+  VCPQ_INSTRUMENT,
+  DELIVERY_MODES,
+  ADAPTIVE_STOP_RULE
 };
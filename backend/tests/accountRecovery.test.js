@@ -0,0 +1,237 @@
+/**
+ * Account Recovery Tests
+ *
+ * Password reset and email verification links: signed per purpose, expiring,
+ * single-use for resets, and a reset revoking every existing session. The
+ * users table is held in memory by a database stub and outgoing email is
+ * captured instead of sent.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+jest.mock('../src/services/email.service', () => ({
+  sendPasswordResetEmail: jest.fn(async () => ({ success: true })),
+  sendVerificationEmail: jest.fn(async () => ({ success: true }))
+}));
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.FRONTEND_URL = 'https://app.test';
+
+const http = require('http');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { query } = require('../src/config/database');
+const email = require('../src/services/email.service');
+const { generateTokens } = require('../src/middleware/auth');
+const { authLimiter } = require('../src/middleware/security');
+const authRoutes = require('../src/routes/auth.routes');
+const accountTokens = require('../src/services/accountToken.service');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  ['127.0.0.1', '::ffff:127.0.0.1'].forEach(ip => authLimiter.resetKey(ip));
+  db = {
+    users: [{
+      id: USER_ID,
+      email: 'maya@acme.test',
+      first_name: 'Maya',
+      role: 'user',
+      company_id: null,
+      is_active: true,
+      email_verified: false,
+      password_hash: await bcrypt.hash('old-password', 4),
+      password_changed_at: null
+    }],
+    sessions: [{ user_id: USER_ID, revoked_at: null }, { user_id: USER_ID, revoked_at: null }],
+    audit: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    const user = db.users[0];
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push(params[2]);
+      return { rows: [] };
+    }
+    if (sql.includes('FROM users')) {
+      const match = sql.includes('WHERE id = $1') || sql.includes('WHERE u.id = $1')
+        ? user.id === params[0]
+        : user.email === params[0];
+      return { rows: match && user.is_active ? [{ ...user }] : [] };
+    }
+    if (sql.includes('SET password_hash = $1')) {
+      Object.assign(user, { password_hash: params[0], password_changed_at: new Date(), email_verified: true });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('UPDATE sessions SET revoked_at')) {
+      const open = db.sessions.filter(s => s.user_id === params[0] && !s.revoked_at);
+      open.forEach(s => { s.revoked_at = new Date(); });
+      return { rows: [], rowCount: open.length };
+    }
+    if (sql.includes('SET email_verified = true')) {
+      user.email_verified = true;
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('UPDATE users SET last_login_at')) {
+      return { rows: [] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, accessToken) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const tokenFromLink = (link) => decodeURIComponent(new URL(link).searchParams.get('token'));
+
+describe('account tokens', () => {
+  test('are bound to their purpose and cannot be used as access tokens', async () => {
+    const user = db.users[0];
+    const reset = accountTokens.createToken(user, 'password_reset');
+
+    expect(await accountTokens.verifyToken(reset, 'password_reset')).toMatchObject({ id: USER_ID });
+    expect(await accountTokens.verifyToken(reset, 'email_verification')).toBeNull();
+    expect(() => jwt.verify(reset, process.env.JWT_ACCESS_SECRET)).toThrow();
+    expect(await accountTokens.verifyToken('not-a-token', 'password_reset')).toBeNull();
+  });
+
+  test('expire', async () => {
+    const user = db.users[0];
+    const token = accountTokens.createToken(user, 'email_verification');
+    jest.useFakeTimers({ now: Date.now() + 25 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      expect(await accountTokens.verifyToken(token, 'email_verification')).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('password reset', () => {
+  test('answers the same for unknown addresses and only emails real accounts', async () => {
+    const unknown = await request('POST', '/api/auth/forgot-password', { email: 'nobody@acme.test' });
+    const known = await request('POST', '/api/auth/forgot-password', { email: 'maya@acme.test' });
+
+    expect(unknown.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(email.sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    expect(email.sendPasswordResetEmail.mock.calls[0][0].resetLink).toMatch(/^https:\/\/app\.test\/reset-password\?token=/);
+    expect(db.audit).toEqual(['user.password_reset_request']);
+  });
+
+  test('sets the new password once, revokes sessions and rejects older tokens', async () => {
+    const { accessToken, refreshToken } = generateTokens(db.users[0]);
+    await request('POST', '/api/auth/forgot-password', { email: 'maya@acme.test' });
+    const token = tokenFromLink(email.sendPasswordResetEmail.mock.calls[0][0].resetLink);
+
+    expect((await request('POST', '/api/auth/reset-password', { token, password: 'short' })).status).toBe(400);
+
+    // Tokens issued in an earlier second than the reset
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const res = await request('POST', '/api/auth/reset-password', { token, password: 'new-password-123' });
+    expect(res.status).toBe(200);
+    expect(await bcrypt.compare('new-password-123', db.users[0].password_hash)).toBe(true);
+    expect(db.users[0].email_verified).toBe(true);
+    expect(db.sessions.every(s => s.revoked_at)).toBe(true);
+    expect(db.audit).toContain('user.password_reset');
+
+    // The link is used up once the password has changed
+    const again = await request('POST', '/api/auth/reset-password', { token, password: 'another-password' });
+    expect(again.status).toBe(400);
+
+    expect((await request('GET', '/api/auth/me', null, accessToken)).status).toBe(401);
+    expect((await request('POST', '/api/auth/refresh', { refreshToken })).status).toBe(401);
+
+    const login = await request('POST', '/api/auth/login', { email: 'maya@acme.test', password: 'new-password-123' });
+    expect(login.status).toBe(200);
+    expect((await request('GET', '/api/auth/me', null, login.body.accessToken)).status).toBe(200);
+  });
+
+  test('login no longer logs submitted credentials', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      await request('POST', '/api/auth/login', { email: 'maya@acme.test', password: 'old-password' });
+      const logged = JSON.stringify(log.mock.calls);
+      expect(logged).not.toContain('old-password');
+      expect(logged).not.toContain(db.users[0].password_hash);
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe('email verification', () => {
+  test('verifies the address from the link, and resends only while unverified', async () => {
+    const { accessToken } = generateTokens(db.users[0]);
+    const resend = await request('POST', '/api/auth/resend-verification', null, accessToken);
+    expect(resend.status).toBe(200);
+
+    const token = tokenFromLink(email.sendVerificationEmail.mock.calls[0][0].verifyLink);
+    const res = await request('POST', '/api/auth/verify-email', { token });
+    expect(res.status).toBe(200);
+    expect(db.users[0].email_verified).toBe(true);
+    expect(db.audit).toEqual(['user.email_verify']);
+
+    expect((await request('POST', '/api/auth/resend-verification', null, accessToken)).status).toBe(400);
+    expect((await request('POST', '/api/auth/verify-email', { token: `${token}x` })).status).toBe(400);
+  });
+
+  test('a link for an old address stops working after the email changes', async () => {
+    const token = accountTokens.createToken(db.users[0], 'email_verification');
+    db.users[0].email = 'maya@newco.test';
+    expect((await request('POST', '/api/auth/verify-email', { token })).status).toBe(400);
+  });
+});
+
+describe('throttling', () => {
+  test('limits repeated reset requests', async () => {
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      statuses.push((await request('POST', '/api/auth/forgot-password', { email: 'maya@acme.test' })).status);
+    }
+    expect(statuses.slice(0, 10).every(status => status === 200)).toBe(true);
+    expect(statuses[10]).toBe(429);
+  });
+});
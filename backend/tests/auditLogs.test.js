@@ -0,0 +1,190 @@
+/**
+ * Audit Log Tests
+ *
+ * Old/new value diffs, company scoping of the audit log routes, and the
+ * CSV and NDJSON exports, with the audit_logs table held in memory by a
+ * database stub that applies the generated WHERE clause.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const auditRoutes = require('../src/routes/auditLogs.routes');
+const audit = require('../src/services/audit.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_COMPANY_ID = '44444444-4444-4444-8444-444444444444';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID, email: 'admin@acme.test' };
+const SUPER_ADMIN = { ...ADMIN, id: '33333333-3333-4333-8333-333333333333', role: 'super_admin' };
+const MEMBER = { ...ADMIN, id: '55555555-5555-4555-8555-555555555555', role: 'user' };
+
+const entry = (n, companyId, action, extra = {}) => ({
+  id: `eeeeeeee-eeee-4eee-8eee-${String(n).padStart(12, '0')}`,
+  company_id: companyId,
+  user_id: ADMIN.id,
+  user_email: ADMIN.email,
+  action,
+  entity_type: action.split('.')[0],
+  entity_id: null,
+  old_values: null,
+  new_values: null,
+  metadata: null,
+  ip_address: '127.0.0.1',
+  user_agent: 'jest',
+  created_at: new Date(Date.UTC(2026, 5, n)).toISOString(),
+  ...extra
+});
+
+let server;
+let baseUrl;
+let db;
+
+// Evaluate the service's generated conditions against the in-memory rows
+const matches = (sql, params) => (row) => {
+  const checks = [...sql.matchAll(/al\.(\w+) (=|LIKE|>=|<=) \$(\d+)/g)];
+  return checks.every(([, column, op, index]) => {
+    const value = params[index - 1];
+    if (op === '=') return row[column] === value;
+    if (op === 'LIKE') return row[column].startsWith(value.replace(/%$/, ''));
+    if (op === '>=') return row[column] >= value;
+    return row[column] <= value;
+  });
+};
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/audit-logs', auditRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = {
+    logs: [
+      entry(1, COMPANY_ID, 'persona.update', {
+        entity_id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa',
+        old_values: { name: 'Alex', tagline: 'Old', updated_at: '2026-06-01' },
+        new_values: { name: 'Alex', tagline: 'New, improved', updated_at: '2026-06-02' }
+      }),
+      entry(2, COMPANY_ID, 'training.session_start', { user_agent: '=HYPERLINK("x")' }),
+      entry(3, OTHER_COMPANY_ID, 'persona.delete', { old_values: { name: 'Jo' } })
+    ],
+    inserted: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [ADMIN, SUPER_ADMIN, MEMBER].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.inserted.push({ action: params[2], metadata: JSON.parse(params[7] || 'null') });
+      return { rows: [] };
+    }
+    const rows = db.logs.filter(matches(sql, params)).sort((a, b) => b.created_at.localeCompare(a.created_at));
+    if (sql.includes('SELECT COUNT(*) FROM audit_logs')) {
+      return { rows: [{ count: String(rows.length) }] };
+    }
+    if (sql.includes('FROM audit_logs al')) {
+      const [limit, offset] = params.slice(-2);
+      return { rows: rows.slice(offset, offset + limit) };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(path, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      headers: { Authorization: `Bearer ${generateAccessToken(user)}` }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: data }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const getJSON = async (path, user) => {
+  const res = await request(path, user);
+  return { status: res.status, body: JSON.parse(res.text) };
+};
+
+describe('value diffs', () => {
+  test('lists changed fields only, ignoring updated_at', () => {
+    expect(audit.diffValues({ a: 1, b: [1], updated_at: 'x' }, { a: 1, b: [1, 2], c: 'new', updated_at: 'y' })).toEqual({
+      b: { before: [1], after: [1, 2] },
+      c: { before: null, after: 'new' }
+    });
+    expect(audit.diffValues({ name: 'Jo' }, null)).toEqual({ name: { before: 'Jo', after: null } });
+    expect(audit.diffValues(null, null)).toBeNull();
+  });
+});
+
+describe('audit log routes', () => {
+  test('company admins see their own company with diffs; other users are refused', async () => {
+    const res = await getJSON(`/api/audit-logs?companyId=${OTHER_COMPANY_ID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.logs.map(l => l.action)).toEqual(['training.session_start', 'persona.update']);
+    expect(res.body.logs[1].changes).toEqual({ tagline: { before: 'Old', after: 'New, improved' } });
+
+    expect((await getJSON('/api/audit-logs', MEMBER)).status).toBe(403);
+    expect((await getJSON('/api/audit-logs?startDate=yesterday')).status).toBe(400);
+  });
+
+  test('super admins see every company or filter to one; actions filter by group', async () => {
+    expect((await getJSON('/api/audit-logs', SUPER_ADMIN)).body.total).toBe(3);
+    expect((await getJSON(`/api/audit-logs?companyId=${OTHER_COMPANY_ID}`, SUPER_ADMIN)).body.total).toBe(1);
+
+    const personas = await getJSON('/api/audit-logs?action=persona.', SUPER_ADMIN);
+    expect(personas.body.logs.map(l => l.action)).toEqual(['persona.delete', 'persona.update']);
+
+    const page = await getJSON('/api/audit-logs?page=2&limit=2', SUPER_ADMIN);
+    expect(page.body).toMatchObject({ page: 2, totalPages: 2 });
+    expect(page.body.logs).toHaveLength(1);
+
+    const actions = await getJSON('/api/audit-logs/actions');
+    expect(actions.body.groups.training).toContain('training.session_grade');
+  });
+
+  test('exports CSV with quoting and formula escaping, and records the export', async () => {
+    const res = await request('/api/audit-logs/export?format=csv');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit-logs-.*\.csv"/);
+
+    const lines = res.text.trim().split('\n');
+    expect(lines[0]).toBe('id,created_at,action,entity_type,entity_id,company_id,user_id,user_email,ip_address,user_agent,old_values,new_values,metadata');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(',"\'=HYPERLINK(""x"")",');
+    expect(lines[2]).toContain('"{""name"":""Alex"",""tagline"":""New, improved"",""updated_at"":""2026-06-02""}"');
+    expect(db.inserted).toEqual([{ action: 'admin.audit_export', metadata: expect.objectContaining({ format: 'csv' }) }]);
+  });
+
+  test('exports NDJSON, one log per line', async () => {
+    const res = await request('/api/audit-logs/export?format=ndjson&action=persona.', SUPER_ADMIN);
+    expect(res.headers['content-type']).toContain('application/x-ndjson');
+    const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows.map(r => r.action)).toEqual(['persona.delete', 'persona.update']);
+    expect(rows[0].old_values).toEqual({ name: 'Jo' });
+
+    expect((await request('/api/audit-logs/export?format=xml')).status).toBe(400);
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Questionnaire Campaign Tests
+ *
+ * Recipients (uploaded or picked from company users), personal links sent
+ * through the local SMTP sink, per-recipient progress with anonymous
+ * questionnaires kept unlinked, reminders before ends_at and closing at ends_at.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.FRONTEND_URL = 'http://app.test';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const questionnairesRoutes = require('../src/routes/questionnaires.routes');
+const campaigns = require('../src/services/campaign.service');
+const emailService = require('../src/services/email.service');
+const vectorService = require('../src/services/vector.service');
+const { createSmtpSink } = require('../scripts/smtp-sink');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const COLLEAGUE = { id: '33333333-3333-4333-8333-333333333333', email: 'Kim@Example.com', first_name: 'Kim', last_name: 'Lee', company_id: COMPANY_ID };
+const OUTSIDER_ID = '44444444-4444-4444-8444-444444444444';
+
+const HOUR = 3600 * 1000;
+
+const QUESTIONNAIRE = {
+  id: '77777777-7777-4777-8777-777777777777',
+  company_id: COMPANY_ID,
+  name: 'Engineering survey',
+  status: 'active',
+  access_code: 'ABCD1234',
+  is_anonymous: false,
+  delivery_mode: 'full',
+  custom_questions: [],
+  reminder_hours: [],
+  ends_at: null
+};
+
+// Varied answers to every VCPQ item, so the response passes screening
+const ANSWERS = Object.fromEntries(Object.keys(vectorService.QUESTION_META).map((id, i) => [
+  id,
+  vectorService.QUESTION_META[id].reversed ? 2 : [4, 5, 4, 3, 5][i % 5]
+]));
+
+const STATUS_ORDER = campaigns.RECIPIENT_STATUSES;
+
+describe('recipient parsing', () => {
+  test('reads uploaded CSV with or without a header', () => {
+    const { recipients, invalid } = campaigns.parseRecipientCsv(
+      'Email,Name\nsam@example.com,Sam Park\n"alex@example.com";"Alex"\n\nnot an address\n'
+    );
+    expect(recipients).toEqual([
+      { email: 'sam@example.com', name: 'Sam Park' },
+      { email: 'alex@example.com', name: 'Alex' }
+    ]);
+    expect(invalid).toEqual(['Line 5: no valid email address']);
+    expect(campaigns.parseRecipientCsv('Name,Email\nSam,sam@example.com').recipients).toEqual([
+      { email: 'sam@example.com', name: 'Sam' }
+    ]);
+  });
+
+  test('de-duplicates emails case-insensitively', () => {
+    const { recipients, invalid } = campaigns.normalizeRecipients(['Sam@example.com', { email: 'sam@EXAMPLE.com', name: 'Sam' }, 'nope']);
+    expect(recipients).toEqual([{ email: 'sam@example.com', name: null, user_id: null }]);
+    expect(invalid).toEqual(['Recipient 3: invalid email "nope"']);
+  });
+});
+
+describe('reminder schedule', () => {
+  test('validates offsets and keeps the largest first', () => {
+    expect(campaigns.normalizeReminderHours([24, 72, 24])).toEqual({ hours: [72, 24], errors: [] });
+    expect(campaigns.normalizeReminderHours([0]).errors).toHaveLength(1);
+    expect(campaigns.normalizeReminderHours('24').errors).toHaveLength(1);
+  });
+
+  test('counts the reminders due before ends_at', () => {
+    const now = new Date();
+    const endsAt = new Date(now.getTime() + 30 * HOUR);
+    expect(campaigns.dueReminderCount([72, 24], endsAt, now)).toBe(1);
+    expect(campaigns.dueReminderCount([72, 48], endsAt, now)).toBe(2);
+    expect(campaigns.dueReminderCount([12], endsAt, now)).toBe(0);
+    expect(campaigns.dueReminderCount([72], new Date(now.getTime() - HOUR), now)).toBe(0);
+  });
+});
+
+let server;
+let baseUrl;
+let sink;
+let db;
+
+beforeAll(async () => {
+  sink = await createSmtpSink({ port: 0 });
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(sink.port);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  emailService.initializeTransporter();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/questionnaires', questionnairesRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await sink.close();
+  console.log.mockRestore();
+});
+
+const accepting = (q, now = new Date()) => q.status === 'active' && (!q.ends_at || new Date(q.ends_at) > now);
+
+beforeEach(() => {
+  sink.messages.length = 0;
+  db = { questionnaires: [{ ...QUESTIONNAIRE }], recipients: [], responses: [], audit: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [ADMIN].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push({ action: params[2], entityId: params[4], metadata: JSON.parse(params[7] || 'null') });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT id, email, first_name, last_name FROM users')) {
+      return { rows: [COLLEAGUE].filter(u => u.company_id === params[0] && params[1].includes(u.id)) };
+    }
+    if (sql.includes('SELECT name FROM companies')) {
+      return { rows: [{ name: 'Acme' }] };
+    }
+    if (sql.includes('WHERE access_code')) {
+      return { rows: db.questionnaires.filter(q => q.access_code === params[0] && accepting(q)) };
+    }
+    if (sql.includes('SELECT * FROM questionnaires WHERE id')) {
+      return { rows: db.questionnaires.filter(q => q.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM questionnaires') && sql.includes('reminder_hours')) {
+      return { rows: db.questionnaires.filter(q => accepting(q, params[0]) && q.reminder_hours.length > 0) };
+    }
+    if (sql.includes('UPDATE questionnaires') && sql.includes(`status = 'closed'`)) {
+      const closed = db.questionnaires.filter(q => q.status === 'active' && q.ends_at && new Date(q.ends_at) <= params[0]);
+      closed.forEach(q => { q.status = 'closed'; });
+      return { rows: closed };
+    }
+    if (sql.includes('UPDATE questionnaires SET') && sql.includes('RETURNING')) {
+      return { rows: [{ ...db.questionnaires[0] }] };
+    }
+    if (sql.includes('INSERT INTO questionnaire_recipients')) {
+      const [questionnaireId, , addedBy, emails, names, userIds, tokens] = params;
+      const added = [];
+      emails.forEach((email, i) => {
+        if (db.recipients.some(r => r.questionnaire_id === questionnaireId && r.email === email)) return;
+        const row = {
+          id: `bbbbbbbb-bbbb-4bbb-8bbb-00000000000${db.recipients.length}`,
+          questionnaire_id: questionnaireId, email, name: names[i], user_id: userIds[i], token: tokens[i],
+          added_by: addedBy, status: 'pending', reminder_count: 0, response_id: null, sent_at: null
+        };
+        db.recipients.push(row);
+        const { token: _token, ...visible } = row;
+        added.push(visible);
+      });
+      return { rows: added };
+    }
+    if (sql.includes('SELECT * FROM questionnaire_recipients')) {
+      return { rows: db.recipients.filter(r => r.questionnaire_id === params[0] && r.token === params[1]) };
+    }
+    if (sql.includes('FROM questionnaire_recipients') && sql.includes('ORDER BY')) {
+      return { rows: db.recipients.filter(r => r.questionnaire_id === params[0]).map(({ token: _token, ...r }) => r) };
+    }
+    if (sql.includes(`SET status = 'sent'`)) {
+      const claimed = db.recipients.filter(r => r.questionnaire_id === params[0]
+        && ['pending', 'failed'].includes(r.status) && (!params[1] || params[1].includes(r.id)));
+      claimed.forEach(r => Object.assign(r, { status: 'sent', sent_at: new Date() }));
+      return { rows: claimed.map(r => ({ ...r })) };
+    }
+    if (sql.includes(`SET status = 'failed'`)) {
+      Object.assign(db.recipients.find(r => r.id === params[0]), { status: 'failed', send_error: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('SET opened_at')) {
+      const [questionnaireId, token, event, responseId, , tracked] = params;
+      const row = db.recipients.find(r => r.questionnaire_id === questionnaireId && r.token === token && r.status !== 'completed');
+      if (!row) return { rows: [] };
+      if (tracked) {
+        row.opened_at = row.opened_at || new Date();
+        if (event === 'completed') row.completed_at = new Date();
+      }
+      if (STATUS_ORDER.indexOf(row.status) < STATUS_ORDER.indexOf(event)) row.status = event;
+      row.response_id = responseId || row.response_id;
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('SET reminder_count')) {
+      const [questionnaireId, due, statuses, latestDue] = params;
+      const claimed = db.recipients.filter(r => r.questionnaire_id === questionnaireId && r.reminder_count < due
+        && statuses.includes(r.status) && r.sent_at <= latestDue);
+      claimed.forEach(r => { r.reminder_count = due; });
+      return { rows: claimed.map(r => ({ ...r })) };
+    }
+    if (sql.includes('DELETE FROM questionnaire_recipients')) {
+      const index = db.recipients.findIndex(r => r.id === params[0] && r.questionnaire_id === params[1]);
+      return { rows: index === -1 ? [] : db.recipients.splice(index, 1) };
+    }
+    if (sql.includes('INSERT INTO questionnaire_responses')) {
+      const row = { id: `aaaaaaaa-aaaa-4aaa-8aaa-00000000000${db.responses.length}`, demographics: JSON.parse(params[2]) };
+      db.responses.push(row);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${generateAccessToken(user)}`;
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const url = (suffix = '') => `/api/questionnaires/${QUESTIONNAIRE.id}${suffix}`;
+
+const tokenFromLink = (link) => new URL(link).searchParams.get('r');
+
+// Add two recipients and email them, returning their tokens by email
+async function launch() {
+  await request('POST', url('/recipients'), { csv: 'email,name\nsam@example.com,Sam Park', userIds: [COLLEAGUE.id] });
+  await request('POST', url('/recipients/send'), {});
+  return Object.fromEntries(sink.messages.map(m => [m.envelope.to[0].replace(/[<>]/g, ''), tokenFromLink(m.links[0])]));
+}
+
+describe('recipients', () => {
+  test('adds uploaded recipients and company users, skipping ones already listed', async () => {
+    const res = await request('POST', url('/recipients'), {
+      csv: 'email,name\nsam@example.com,Sam Park',
+      userIds: [COLLEAGUE.id]
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.added.map(r => [r.email, r.name])).toEqual([['sam@example.com', 'Sam Park'], ['kim@example.com', 'Kim Lee']]);
+    expect(res.body.added[0].token).toBeUndefined();
+    expect(db.audit).toContainEqual(expect.objectContaining({ action: 'questionnaire.recipients_add' }));
+
+    const again = await request('POST', url('/recipients'), { recipients: ['SAM@example.com'] });
+    expect(again.body).toEqual({ added: [], skipped: 1 });
+  });
+
+  test('links recipients only to verified company users', async () => {
+    const res = await request('POST', url('/recipients'), {
+      recipients: [{ email: 'sam@example.com', user_id: OUTSIDER_ID }],
+      userIds: [COLLEAGUE.id]
+    });
+    expect(res.status).toBe(201);
+    expect(db.recipients.map(r => [r.email, r.user_id])).toEqual([
+      ['sam@example.com', null],
+      ['kim@example.com', COLLEAGUE.id]
+    ]);
+  });
+
+  test('rejects invalid addresses and users from other companies', async () => {
+    const res = await request('POST', url('/recipients'), { csv: 'sam@example.com\nbroken', userIds: [OUTSIDER_ID] });
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'Line 2: no valid email address',
+      `User ${OUTSIDER_ID} is not an active member of this company`
+    ]);
+    expect(db.recipients).toHaveLength(0);
+  });
+
+  test('removes a recipient', async () => {
+    await request('POST', url('/recipients'), { recipients: ['sam@example.com'] });
+    expect((await request('DELETE', url(`/recipients/${db.recipients[0].id}`))).status).toBe(200);
+    expect((await request('DELETE', url(`/recipients/${QUESTIONNAIRE.id}`))).status).toBe(404);
+  });
+});
+
+describe('sending', () => {
+  test('emails each recipient a personal link once', async () => {
+    const tokens = await launch();
+
+    expect(sink.messages).toHaveLength(2);
+    expect(sink.messages[0].subject).toBe('Acme - Please complete the Engineering survey');
+    expect(sink.messages[0].links[0]).toMatch(/^http:\/\/app\.test\/q\/ABCD1234\?r=/);
+    expect(new Set(Object.values(tokens)).size).toBe(2);
+    expect(db.recipients.every(r => r.status === 'sent')).toBe(true);
+
+    const again = await request('POST', url('/recipients/send'), {});
+    expect(again.body).toEqual({ sent: 0, failed: 0 });
+    expect(sink.messages).toHaveLength(2);
+  });
+
+  test('does not send for closed questionnaires', async () => {
+    db.questionnaires[0].status = 'closed';
+    await request('POST', url('/recipients'), { recipients: ['sam@example.com'] });
+    expect((await request('POST', url('/recipients/send'), {})).status).toBe(400);
+  });
+});
+
+describe('tracking', () => {
+  test('records opened, started and completed from the link', async () => {
+    const tokens = await launch();
+    const token = tokens['sam@example.com'];
+
+    const opened = await request('GET', `/api/questionnaires/access/ABCD1234?r=${token}`, null, null);
+    expect(opened.body.recipient).toEqual({ name: 'Sam Park', completed: false });
+    await request('POST', '/api/questionnaires/access/ABCD1234/started', { recipientToken: token }, null);
+    expect(db.recipients[0].status).toBe('started');
+
+    const submitted = await request('POST', url('/responses'), { answers: ANSWERS, recipientToken: token }, null);
+    expect(submitted.status).toBe(201);
+    expect(db.recipients[0]).toMatchObject({ status: 'completed', response_id: submitted.body.id });
+    expect(db.responses[0].demographics).toMatchObject({ email: 'sam@example.com', name: 'Sam Park' });
+
+    const list = await request('GET', url('/recipients'));
+    expect(list.body.stats).toMatchObject({ total: 2, sent: 2, opened: 1, started: 1, completed: 1, completion_rate: 0.5 });
+    expect(list.body.recipients[0].token).toBeUndefined();
+    expect(list.body.recipients[0].completed_at).toBeTruthy();
+
+    const twice = await request('POST', url('/responses'), { answers: ANSWERS, recipientToken: token }, null);
+    expect(twice.status).toBe(400);
+  });
+
+  test('never links anonymous responses to their recipient', async () => {
+    db.questionnaires[0].is_anonymous = true;
+    const token = (await launch())['sam@example.com'];
+
+    const opened = await request('GET', `/api/questionnaires/access/ABCD1234?r=${token}`, null, null);
+    expect(opened.body.recipient.name).toBeNull();
+
+    await request('POST', url('/responses'), { answers: ANSWERS, recipientToken: token }, null);
+    expect(db.recipients[0]).toMatchObject({ status: 'completed', response_id: null });
+    expect(db.recipients[0].completed_at || null).toBeNull();
+    expect(db.responses[0].demographics).toEqual({});
+
+    // No per-recipient times that could be matched against response times
+    const list = await request('GET', url('/recipients'));
+    expect(list.body.recipients[0].status).toBe('completed');
+    expect(list.body.recipients[0]).not.toHaveProperty('completed_at');
+    expect(list.body.recipients[0]).not.toHaveProperty('opened_at');
+    expect(list.body.stats.completed).toBe(1);
+  });
+
+  test('rejects unknown recipient tokens', async () => {
+    const res = await request('POST', url('/responses'), { answers: ANSWERS, recipientToken: 'x'.repeat(32) }, null);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('scheduler', () => {
+  test('reminds recipients who have not completed, once per offset', async () => {
+    Object.assign(db.questionnaires[0], { ends_at: new Date(Date.now() + 20 * HOUR), reminder_hours: [48, 24] });
+    const tokens = await launch();
+    await request('POST', url('/responses'), { answers: ANSWERS, recipientToken: tokens['sam@example.com'] }, null);
+    sink.messages.length = 0;
+
+    // Invited before either reminder was due
+    db.recipients.forEach(r => { r.sent_at = new Date(Date.now() - 30 * HOUR); });
+    expect(await campaigns.runScheduledTasks()).toEqual({ reminded: 1, closed: 0 });
+    expect(sink.messages.map(m => m.envelope.to[0])).toEqual(['<kim@example.com>']);
+    expect(sink.messages[0].subject).toMatch(/^Reminder: /);
+
+    expect(await campaigns.runScheduledTasks()).toEqual({ reminded: 0, closed: 0 });
+  });
+
+  test('waits for the next offset when invited after the latest reminder', async () => {
+    Object.assign(db.questionnaires[0], { ends_at: new Date(Date.now() + 20 * HOUR), reminder_hours: [24] });
+    await launch();
+    sink.messages.length = 0;
+
+    expect((await campaigns.runScheduledTasks()).reminded).toBe(0);
+  });
+
+  test('closes questionnaires at ends_at', async () => {
+    db.questionnaires[0].ends_at = new Date(Date.now() - 1000);
+
+    expect((await request('GET', '/api/questionnaires/access/ABCD1234', null, null)).status).toBe(404);
+    expect((await request('POST', url('/responses'), { answers: ANSWERS }, null)).status).toBe(400);
+
+    expect(await campaigns.runScheduledTasks()).toEqual({ reminded: 0, closed: 1 });
+    expect(db.questionnaires[0].status).toBe('closed');
+    expect(db.audit).toContainEqual({
+      action: 'questionnaire.close', entityId: QUESTIONNAIRE.id, metadata: expect.objectContaining({ automatic: true })
+    });
+  });
+
+  test('validates the schedule on update', async () => {
+    const res = await request('PUT', url(), { reminderHours: [0] });
+    expect(res.status).toBe(400);
+    expect((await request('PUT', url(), { endsAt: 'soon' })).status).toBe(400);
+    expect((await request('PUT', url(), { endsAt: new Date(Date.now() + 48 * HOUR).toISOString(), reminderHours: [24] })).status).toBe(200);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Clustering Tests
+ *
+ * Each algorithm on well-separated synthetic groups, automatic k
+ * selection, seeded reproducibility and the reported metrics.
+ */
+
+const clustering = require('../src/services/clustering.service');
+
+const DIMENSIONS = ['directness', 'tempo', 'formality', 'risk'];
+
+// `groups` tight blobs of `perGroup` responses around distinct corners
+function syntheticResponses(groups, perGroup, spread = 0.05) {
+  const rng = clustering.createRng('fixture');
+  const responses = [];
+  for (let g = 0; g < groups; g++) {
+    const center = DIMENSIONS.map((_, d) => (((g >> d) & 1) ? 0.8 : -0.8));
+    for (let i = 0; i < perGroup; i++) {
+      const metaVectors = Object.fromEntries(DIMENSIONS.map((key, d) => [key, center[d] + (rng() - 0.5) * 2 * spread]));
+      responses.push({
+        id: `g${g}-r${i}`,
+        vcpqScores: { A1: 3 },
+        demographics: { role: `Role ${g}` },
+        vectorResult: { meta_vectors: metaVectors }
+      });
+    }
+  }
+  return responses;
+}
+
+// Clusters recover the groups when every cluster holds exactly one group
+const groupsOf = (clusters) => clusters
+  .map(c => [...new Set(c.members.map(m => m.id.split('-')[0]))])
+  .map(g => g.join(','))
+  .sort();
+
+describe('clustering.service', () => {
+  const responses = syntheticResponses(4, 8);
+  const expected = ['g0', 'g1', 'g2', 'g3'];
+
+  test.each(clustering.ALGORITHMS)('%s separates well-separated groups', (algorithm) => {
+    const { clusters, metrics } = clustering.runClustering(responses, { algorithm, maxPersonas: 6, minPersonas: 2 });
+    expect(groupsOf(clusters)).toEqual(expected);
+    expect(metrics.algorithm).toBe(algorithm);
+    expect(metrics.k).toBe(4);
+    expect(metrics.silhouette).toBeGreaterThan(0.8);
+  });
+
+  test.each(['silhouette', 'elbow', 'gap'])('%s picks the true number of groups', (kSelection) => {
+    const { metrics } = clustering.runClustering(responses, { kSelection, maxPersonas: 7, minPersonas: 2 });
+    expect(metrics.k).toBe(4);
+    expect(metrics.k_selection.method).toBe(kSelection);
+    expect(metrics.k_selection.candidates.map(c => c.k)).toEqual([2, 3, 4, 5, 6, 7]);
+    if (kSelection === 'gap') {
+      expect(typeof metrics.k_selection.candidates[0].gap).toBe('number');
+    }
+  });
+
+  test('the same seed gives the same clusters', () => {
+    const shuffled = syntheticResponses(3, 10, 0.6);
+    const run = (seed) => clustering.clusterResponses(shuffled, { algorithm: 'gmm', k: 4, seed })
+      .map(c => c.members.map(m => m.id).sort().join());
+
+    expect(run(7)).toEqual(run(7));
+    expect(run('campaign-a')).toEqual(run('campaign-a'));
+  });
+
+  test('honours a fixed k and reports quality metrics', () => {
+    const { clusters, metrics } = clustering.runClustering(responses, { algorithm: 'hierarchical', linkage: 'ward', k: 2 });
+    expect(clusters).toHaveLength(2);
+    expect(metrics).toMatchObject({ k: 2, linkage: 'ward', k_selection: { method: 'fixed' } });
+    expect(metrics.davies_bouldin).toBeGreaterThan(0);
+    expect(metrics.inertia).toBeGreaterThan(0);
+  });
+
+  test('DBSCAN assigns every response and reports noise', () => {
+    const withOutlier = [...responses, {
+      id: 'g9-r0',
+      vcpqScores: { A1: 3 },
+      demographics: {},
+      vectorResult: { meta_vectors: { directness: 0, tempo: 0, formality: 0, risk: 0 } }
+    }];
+    const { clusters, metrics } = clustering.runClustering(withOutlier, { algorithm: 'dbscan' });
+    expect(clusters.reduce((sum, c) => sum + c.size, 0)).toBe(withOutlier.length);
+    expect(metrics.noise_points).toBe(1);
+    expect(metrics.eps).toBeGreaterThan(0);
+  });
+
+  test('handles duplicate responses when k exceeds distinct points', () => {
+    const duplicates = syntheticResponses(2, 6, 0);
+    const clusters = clustering.clusterResponses(duplicates, { maxPersonas: 5, minPersonas: 3 });
+    expect(clusters.reduce((sum, c) => sum + c.size, 0)).toBe(12);
+    expect(groupsOf(clusters)).toEqual(['g0', 'g1']);
+  });
+
+  test('rejects unknown options', () => {
+    expect(clustering.validateClusteringOptions({ algorithm: 'spectral', k: 0 })).toHaveLength(2);
+    expect(clustering.validateClusteringOptions({ maxPersonas: 0, minPts: -2 })).toEqual([
+      'maxPersonas must be a positive integer',
+      'minPts must be a positive integer'
+    ]);
+    expect(clustering.validateClusteringOptions({ maxPersonas: 2.5, minPts: '4' })).toHaveLength(2);
+    expect(clustering.validateClusteringOptions({ maxPersonas: 6, minPts: 4 })).toEqual([]);
+    expect(() => clustering.runClustering(responses, { algorithm: 'dbscan', minPts: 0 })).toThrow(/minPts/);
+    expect(() => clustering.runClustering(responses, { kSelection: 'magic' })).toThrow(/kSelection/);
+  });
+});
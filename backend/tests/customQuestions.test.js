@@ -0,0 +1,127 @@
+/**
+ * Custom Question Tests
+ *
+ * Mapped Likert items weighted into the meta-vectors, per-cluster
+ * summaries of choice and free-text answers, and free-text distillation
+ * against the mock LLM provider.
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+const vectorService = require('../src/services/vector.service');
+const customQuestions = require('../src/services/customQuestion.service');
+const generation = require('../src/services/personaGeneration.service');
+
+const QUESTIONS = [
+  {
+    id: 'custom_pace',
+    question: 'I enjoy shipping several times a day.',
+    type: 'likert',
+    vector_mapping: { meta: 'innovation', weight: 2 }
+  },
+  {
+    id: 'custom_process',
+    question: 'Process slows me down.',
+    type: 'likert',
+    vector_mapping: { meta: 'diligence', reversed: true }
+  },
+  { id: 'custom_team', question: 'Which team are you on?', type: 'single_choice', options: ['Platform', 'Product'] },
+  { id: 'custom_tools', question: 'Which tools do you use?', type: 'multiple_choice', options: ['Jira', 'Linear', 'Notion'] },
+  { id: 'custom_blockers', question: 'What gets in your way?', type: 'text' }
+];
+
+// Neutral VCPQ answers, so only the custom items move the vectors
+const NEUTRAL = Object.fromEntries(Object.keys(vectorService.QUESTION_META).map(id => [id, 3]));
+
+const row = (id, answers) => ({ id, answers: { ...NEUTRAL, ...answers }, demographics: {} });
+
+describe('mapped Likert items', () => {
+  test('are weighted into their meta-vector', () => {
+    const base = vectorService.processVCPQResponses(NEUTRAL).meta_vectors;
+    const mapped = vectorService.processVCPQResponses(NEUTRAL, [
+      { meta: 'innovation', score: 5, weight: 2, reversed: false },
+      { meta: 'diligence', score: 5, weight: 1, reversed: true }
+    ]).meta_vectors;
+
+    // Two VCPQ items at 0 plus one item at +1 weighing 2: (0 + 0 + 2) / 4
+    expect(mapped.innovation).toBe(0.5);
+    // Reversed: (0 + 0 - 1) / 3
+    expect(mapped.diligence).toBe(-0.33);
+    expect(mapped.formality).toBe(base.formality);
+  });
+
+  test('shift the vectors of processed responses', () => {
+    const [processed] = generation.processResponses([row('r1', { custom_pace: 5, custom_process: 1 })], QUESTIONS);
+
+    expect(processed.customAnswers.likert).toEqual({ custom_pace: 5, custom_process: 1 });
+    expect(processed.vectorResult.meta_vectors.innovation).toBe(0.5);
+    expect(processed.vectorResult.meta_vectors.diligence).toBe(0.33);
+  });
+});
+
+describe('cluster summaries', () => {
+  const members = generation.processResponses([
+    row('r1', { custom_pace: 5, custom_team: 'Platform', custom_tools: ['Jira', 'Notion'], custom_blockers: 'Reviews are slow. Everything waits on them.' }),
+    row('r2', { custom_pace: 4, custom_team: 'Platform', custom_tools: ['Jira'], custom_blockers: 'Too many meetings, no time to focus.' }),
+    row('r3', { custom_pace: 2, custom_team: 'Product', custom_blockers: '  ' })
+  ], QUESTIONS);
+
+  test('average mapped items and tally choices', () => {
+    const summary = customQuestions.summarizeCustomAnswers(members, QUESTIONS);
+
+    expect(summary.mapped_items).toEqual([
+      { id: 'custom_pace', meta: 'innovation', score: 3.67, weight: 2, reversed: false }
+    ]);
+    expect(summary.choices[0]).toMatchObject({
+      id: 'custom_team',
+      answered: 3,
+      distribution: [
+        { option: 'Platform', count: 2, percentage: 67 },
+        { option: 'Product', count: 1, percentage: 33 }
+      ]
+    });
+    expect(summary.choices[1].distribution[0]).toEqual({ option: 'Jira', count: 2, percentage: 100 });
+    expect(summary.text).toEqual([{
+      id: 'custom_blockers',
+      question: 'What gets in your way?',
+      answers: ['Reviews are slow. Everything waits on them.', 'Too many meetings, no time to focus.']
+    }]);
+  });
+
+  test('distill free text into quotes and pain points', async () => {
+    const { text } = customQuestions.summarizeCustomAnswers(members, QUESTIONS);
+    const distilled = await customQuestions.distillFreeText(text);
+
+    expect(distilled.generated_by).toBe('llm');
+    expect(distilled.quotes).toEqual(['Reviews are slow.', 'Too many meetings, no time to focus.']);
+    expect(distilled.pain_points).toEqual(['Reviews are slow', 'Too many meetings']);
+    expect(await customQuestions.distillFreeText([])).toBeNull();
+  });
+});
+
+describe('validateCustomQuestions', () => {
+  test('accepts well-formed questions', () => {
+    expect(customQuestions.validateCustomQuestions(QUESTIONS)).toEqual([]);
+  });
+
+  test('rejects bad mappings, reserved ids and missing options', () => {
+    const errors = customQuestions.validateCustomQuestions([
+      { id: 'A1', question: 'Shadowing a VCPQ item', type: 'likert' },
+      { id: 'q2', question: 'Pick one', type: 'single_choice', options: ['Only'] },
+      { id: 'q3', question: 'Mapped', type: 'likert', vector_mapping: { meta: 'charisma', weight: 5 } },
+      { id: 'q4', question: 'Free text', type: 'text', vector_mapping: { meta: 'innovation' } }
+    ]);
+
+    expect(errors).toEqual([
+      'customQuestions[0].id A1 is reserved for VCPQ items',
+      'customQuestions[1].options needs at least 2 options',
+      'customQuestions[2].vector_mapping.meta must be a meta-vector',
+      'customQuestions[2].vector_mapping.weight must be greater than 0 and at most 3',
+      'customQuestions[3].vector_mapping is only allowed on likert questions'
+    ]);
+  });
+
+  test('keeps mappings away from respondents', () => {
+    expect(customQuestions.toPublicQuestions(QUESTIONS)[0]).not.toHaveProperty('vector_mapping');
+  });
+});
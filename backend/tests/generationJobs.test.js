@@ -0,0 +1,527 @@
+/**
+ * Persona Generation Job Tests
+ *
+ * Queue → worker → per-cluster progress, cluster retries and the job
+ * events stream, against the mock LLM provider with the tables held in
+ * memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query, transaction } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const questionnairesRoutes = require('../src/routes/questionnaires.routes');
+const generationJobs = require('../src/services/generationJob.service');
+const vcpqService = require('../src/services/vcpq.service');
+
+const QUESTIONNAIRE = {
+  id: '11111111-1111-4111-8111-111111111111',
+  company_id: '22222222-2222-4222-8222-222222222222',
+  domain: 'general'
+};
+
+const ADMIN = { id: '44444444-4444-4444-8444-444444444444', role: 'company_admin', company_id: QUESTIONNAIRE.company_id };
+
+const LEXICON = {
+  id: '55555555-5555-4555-8555-555555555555',
+  company_id: QUESTIONNAIRE.company_id,
+  name: 'Platform Team',
+  base_domain: 'engineering',
+  extend_base: true,
+  vocabulary: ['golden path'],
+  phrases: [],
+  style: {},
+  formatting: {},
+  emotional: {},
+  is_active: true
+};
+
+const FOREIGN_LEXICON = { ...LEXICON, id: '66666666-6666-4666-8666-666666666666', company_id: '77777777-7777-4777-8777-777777777777' };
+
+const CUSTOM_QUESTIONS = [
+  { id: 'custom_pace', question: 'I enjoy shipping several times a day.', type: 'likert', vector_mapping: { meta: 'innovation', weight: 2 } },
+  { id: 'custom_team', question: 'Which team are you on?', type: 'single_choice', options: ['Platform', 'Product'] },
+  { id: 'custom_blockers', question: 'What gets in your way?', type: 'text' }
+];
+
+const QUESTION_IDS = ['A', 'B', 'C', 'D'].flatMap((module, m) =>
+  Array.from({ length: m < 2 ? 8 : 6 }, (_, i) => `${module}${i + 1}`)
+);
+
+let server;
+let baseUrl;
+let db;
+let counter;
+
+const nextId = (prefix) => `${prefix}-0000-4000-8000-${String(++counter).padStart(12, '0')}`;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/questionnaires', questionnairesRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  counter = 0;
+  db = {
+    jobs: [],
+    clusters: [],
+    personas: [],
+    customQuestions: [],
+    // Two groups of respondents with opposite answers
+    responses: Array.from({ length: 8 }, (_, i) => ({
+      id: nextId('aaaaaaaa'),
+      questionnaire_id: QUESTIONNAIRE.id,
+      processed: false,
+      demographics: { role: i % 2 ? 'Engineer' : 'Manager' },
+      answers: Object.fromEntries(QUESTION_IDS.map((q, j) => [q, i % 2 ? 1 + ((i + j) % 2) : 5 - ((i + j) % 3)]))
+    }))
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    const job = () => db.jobs.find(j => j.id === params[0]);
+    const cluster = () => db.clusters.find(c => c.id === params[0]);
+
+    if (sql.includes('FROM users u')) {
+      return { rows: params[0] === ADMIN.id ? [ADMIN] : [] };
+    }
+    if (sql.includes('FROM company_lexicons WHERE id')) {
+      return { rows: [LEXICON, FOREIGN_LEXICON].filter(l => l.id === params[0]) };
+    }
+    if (sql.includes('SELECT custom_questions FROM questionnaires')) {
+      return { rows: [{ custom_questions: db.customQuestions }] };
+    }
+    if (sql.includes('SELECT * FROM questionnaires WHERE id')) {
+      return { rows: params[0] === QUESTIONNAIRE.id ? [QUESTIONNAIRE] : [] };
+    }
+    if (sql.includes('SELECT COUNT(*) FROM questionnaire_responses')) {
+      return { rows: [{ count: String(db.responses.filter(r => !r.processed).length) }] };
+    }
+    if (sql.includes('SELECT * FROM questionnaire_responses')) {
+      return { rows: db.responses.filter(r => !r.processed) };
+    }
+    if (sql.includes('UPDATE questionnaire_responses SET processed = true')) {
+      db.responses.filter(r => params[0].includes(r.id)).forEach(r => { r.processed = true; });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO generation_jobs')) {
+      if (db.jobs.some(j => j.questionnaire_id === params[0] && ['queued', 'running'].includes(j.status))) {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }
+      const row = {
+        id: nextId('bbbbbbbb'),
+        questionnaire_id: params[0],
+        company_id: params[1],
+        status: 'queued',
+        options: JSON.parse(params[3]),
+        total_clusters: 0,
+        completed_clusters: 0,
+        failed_clusters: 0,
+        stats: {},
+        created_at: new Date(Date.now() + counter).toISOString()
+      };
+      db.jobs.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('SELECT * FROM generation_jobs WHERE id')) {
+      return { rows: job() ? [{ ...job() }] : [] };
+    }
+    if (sql.includes('FROM generation_jobs') && sql.includes('WHERE questionnaire_id')) {
+      return { rows: db.jobs.filter(j => j.questionnaire_id === params[0]).reverse().slice(0, params[1]) };
+    }
+    if (sql.includes("SET status = 'running', started_at = COALESCE")) {
+      const queued = db.jobs.find(j => j.status === 'queued');
+      if (!queued) return { rows: [] };
+      queued.status = 'running';
+      return { rows: [{ ...queued }] };
+    }
+    if (sql.includes("SET status = 'queued'")) {
+      Object.assign(job(), { status: 'queued', error: null });
+      return { rows: [] };
+    }
+    if (sql.includes('SET total_clusters')) {
+      Object.assign(job(), { total_clusters: params[1], stats: { ...job().stats, ...JSON.parse(params[2]) } });
+      return { rows: [] };
+    }
+    if (sql.includes('SET completed_clusters')) {
+      Object.assign(job(), { completed_clusters: params[1], failed_clusters: params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE generation_jobs') && sql.includes('SET status = $2')) {
+      Object.assign(job(), { status: params[1], error: params[1] === 'done' ? null : params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes("UPDATE generation_jobs SET status = 'failed'")) {
+      Object.assign(job(), { status: 'failed', error: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO generation_job_clusters')) {
+      const row = {
+        id: nextId('cccccccc'),
+        job_id: params[0],
+        cluster_index: params[1],
+        status: 'pending',
+        size: params[2],
+        member_ids: JSON.parse(params[3]),
+        centroid: JSON.parse(params[4]),
+        avg_scores: JSON.parse(params[5]),
+        demographics: JSON.parse(params[6]),
+        cohesion: String(params[7]),
+        custom_answers: params[8] ? JSON.parse(params[8]) : null,
+        attempts: 0
+      };
+      db.clusters.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM generation_job_clusters') && sql.includes('COUNT(*)')) {
+      const rows = db.clusters.filter(c => c.job_id === params[0]);
+      return { rows: [{ total: rows.length, done: rows.filter(c => c.status === 'done').length, failed: rows.filter(c => c.status === 'failed').length }] };
+    }
+    if (sql.includes('FROM generation_job_clusters')) {
+      return { rows: db.clusters.filter(c => c.job_id === params[0]).map(c => ({ ...c })) };
+    }
+    if (sql.includes("SET status = 'pending'")) {
+      const rows = db.clusters.filter(c => c.job_id === params[0] && c.status === 'failed' && (!params[1] || params[1].includes(c.id)));
+      rows.forEach(c => { c.status = 'pending'; c.error = null; });
+      return { rows };
+    }
+    if (sql.includes("UPDATE generation_job_clusters SET status = 'running'")) {
+      cluster().status = 'running';
+      return { rows: [] };
+    }
+    if (sql.includes('SET attempts = attempts + 1')) {
+      cluster().attempts += 1;
+      return { rows: [] };
+    }
+    if (sql.includes("SET status = 'done', persona_id")) {
+      Object.assign(cluster(), { status: 'done', persona_id: params[1], result: JSON.parse(params[2]) });
+      return { rows: [] };
+    }
+    if (sql.includes("SET status = 'failed', error")) {
+      Object.assign(cluster(), { status: 'failed', error: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO personas')) {
+      const persona = {
+        id: nextId('dddddddd'),
+        name: params[2],
+        summary: JSON.parse(params[5]),
+        extended_profile: JSON.parse(params[6]),
+        domain_context: params[10],
+        lexicon_id: params[17],
+        grading_rubric: JSON.parse(params[18])
+      };
+      db.personas.push(persona);
+      return { rows: [persona] };
+    }
+    return { rows: [] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function request(method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateAccessToken(ADMIN)}` }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        body: res.headers['content-type']?.includes('json') ? JSON.parse(data) : data
+      }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const startJob = () => request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generate-personas`, {
+  maxPersonas: 3,
+  generateInsights: false
+});
+
+describe('persona generation jobs', () => {
+  test('queues generation and returns immediately', async () => {
+    const res = await startJob();
+    expect(res.status).toBe(202);
+    expect(res.body.job.status).toBe('queued');
+    expect(db.personas).toHaveLength(0);
+
+    const duplicate = await startJob();
+    expect(duplicate.status).toBe(409);
+  });
+
+  test('the worker generates one persona per cluster', async () => {
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+
+    const res = await request('GET', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.job.status).toBe('done');
+    expect(res.body.job.total_clusters).toBeGreaterThan(0);
+    expect(res.body.job.completed_clusters).toBe(res.body.job.total_clusters);
+    expect(res.body.job.clusters.every(c => c.status === 'done' && c.persona_id)).toBe(true);
+    expect(db.personas).toHaveLength(res.body.job.total_clusters);
+    expect(db.responses.every(r => r.processed)).toBe(true);
+    for (const persona of db.personas) {
+      const weights = persona.grading_rubric.criteria.map(c => c.weight);
+      expect(weights.reduce((sum, w) => sum + w, 0)).toBe(100);
+      expect(persona.grading_rubric.generated_from).toBe('personality_vectors');
+    }
+  });
+
+  test('a failing cluster leaves the job partial and can be retried on its own', async () => {
+    const generate = vcpqService.generateVCPQPersona;
+    let calls = 0;
+    jest.spyOn(vcpqService, 'generateVCPQPersona').mockImplementation((...args) => {
+      calls += 1;
+      if (calls <= generationJobs.MAX_CLUSTER_ATTEMPTS) throw new Error('LLM unavailable');
+      return generate(...args);
+    });
+
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+
+    const failed = db.clusters.find(c => c.status === 'failed');
+    expect(db.jobs[0].status).toBe('partial');
+    expect(failed.attempts).toBe(generationJobs.MAX_CLUSTER_ATTEMPTS);
+    expect(failed.error).toBe('LLM unavailable');
+    expect(db.responses.filter(r => !r.processed)).toHaveLength(failed.size);
+
+    const retry = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}/retry`, {
+      clusterIds: [failed.id]
+    });
+    expect(retry.status).toBe(202);
+    expect(retry.body.retried).toBe(1);
+
+    const personasBefore = db.personas.length;
+    await generationJobs.drainQueue();
+    expect(db.jobs[0].status).toBe('done');
+    // Only the failed cluster ran again
+    expect(db.personas).toHaveLength(personasBefore + 1);
+  });
+
+  test('retrying one failed cluster leaves the other failed clusters alone', async () => {
+    const generate = vcpqService.generateVCPQPersona;
+    let calls = 0;
+    jest.spyOn(vcpqService, 'generateVCPQPersona').mockImplementation((...args) => {
+      calls += 1;
+      if (calls <= 2 * generationJobs.MAX_CLUSTER_ATTEMPTS) throw new Error('LLM unavailable');
+      return generate(...args);
+    });
+
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+    const [retried, skipped] = db.clusters.filter(c => c.status === 'failed');
+    expect(skipped).toBeDefined();
+
+    await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}/retry`, {
+      clusterIds: [retried.id]
+    });
+    await generationJobs.drainQueue();
+
+    expect(db.clusters.find(c => c.id === retried.id).status).toBe('done');
+    expect(db.clusters.find(c => c.id === skipped.id)).toMatchObject({ status: 'failed', attempts: generationJobs.MAX_CLUSTER_ATTEMPTS });
+    expect(db.jobs[0].status).toBe('partial');
+  });
+
+  test('a cluster attempt that fails after creating its persona leaves no duplicate', async () => {
+    const run = transaction.getMockImplementation();
+    const stub = query.getMockImplementation();
+    transaction.mockImplementation(async (callback) => {
+      const saved = db.personas.length;
+      try {
+        return await callback({ query });
+      } catch (error) {
+        db.personas.length = saved;
+        throw error;
+      }
+    });
+    let failVersion = true;
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO persona_versions') && failVersion) {
+        failVersion = false;
+        throw new Error('connection lost');
+      }
+      return stub(sql, params);
+    });
+
+    try {
+      await startJob();
+      await generationJobs.drainQueue();
+      expect(db.jobs[0].status).toBe('done');
+      expect(db.personas).toHaveLength(db.jobs[0].total_clusters);
+      expect(db.clusters[0].attempts).toBe(2);
+    } finally {
+      transaction.mockImplementation(run);
+      query.mockImplementation(stub);
+    }
+  });
+
+  test('clusters are stored with the job total or not at all', async () => {
+    // Roll back cluster rows when the transaction fails, and fail storing the total once
+    const run = transaction.getMockImplementation();
+    const stub = query.getMockImplementation();
+    transaction.mockImplementation(async (callback) => {
+      const saved = db.clusters.length;
+      try {
+        return await callback({ query });
+      } catch (error) {
+        db.clusters.length = saved;
+        throw error;
+      }
+    });
+    let failTotal = true;
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SET total_clusters') && failTotal) {
+        failTotal = false;
+        throw new Error('connection lost');
+      }
+      return stub(sql, params);
+    });
+
+    try {
+      const { body } = await startJob();
+      await generationJobs.drainQueue();
+      expect(db.jobs[0]).toMatchObject({ status: 'failed', total_clusters: 0 });
+      expect(db.clusters).toHaveLength(0);
+
+      // The retry clusters again from scratch
+      await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}/retry`);
+      await generationJobs.drainQueue();
+      expect(db.jobs[0].status).toBe('done');
+      expect(db.clusters).toHaveLength(db.jobs[0].total_clusters);
+    } finally {
+      transaction.mockImplementation(run);
+      query.mockImplementation(stub);
+    }
+  });
+
+  test('rejects retrying a job that did not fail', async () => {
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+
+    const res = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}/retry`);
+    expect(res.status).toBe(400);
+  });
+
+  test('streams progress until the job finishes', async () => {
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+
+    const res = await request('GET', `/api/questionnaires/${QUESTIONNAIRE.id}/generation-jobs/${body.job.id}/events`);
+    expect(res.status).toBe(200);
+    expect(res.body).toContain('event: progress');
+    expect(res.body).toContain('event: done');
+  });
+
+  test('hides jobs of other questionnaires', async () => {
+    const { body } = await startJob();
+    const res = await request('GET', `/api/questionnaires/33333333-3333-4333-8333-333333333333/generation-jobs/${body.job.id}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('custom lexicons', () => {
+  test('generates personas with a company lexicon on its base domain', async () => {
+    const res = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generate-personas`, {
+      maxPersonas: 2,
+      generateInsights: false,
+      validate: false,
+      domain: 'legal',
+      lexiconId: LEXICON.id
+    });
+    expect(res.status).toBe(202);
+    expect(res.body.job.options).toMatchObject({ domain: 'engineering', lexiconId: LEXICON.id, lexiconName: 'Platform Team' });
+
+    await generationJobs.drainQueue();
+    expect(db.personas.length).toBeGreaterThan(0);
+    expect(db.personas.every(p => p.lexicon_id === LEXICON.id && p.domain_context === 'engineering')).toBe(true);
+    expect(db.jobs[0].stats.lexicon_used).toEqual({ id: LEXICON.id, name: 'Platform Team' });
+  });
+
+  test("rejects another company's lexicon", async () => {
+    const res = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generate-personas`, {
+      lexiconId: FOREIGN_LEXICON.id
+    });
+    expect(res.status).toBe(400);
+    expect(db.jobs).toHaveLength(0);
+  });
+});
+
+describe('custom questions', () => {
+  test('feed mapped vectors, answer summaries and quotes into each persona', async () => {
+    db.customQuestions = CUSTOM_QUESTIONS;
+    db.responses.forEach((response, i) => {
+      Object.assign(response.answers, {
+        custom_pace: i % 2 ? 1 : 5,
+        custom_team: i % 2 ? 'Product' : 'Platform',
+        custom_blockers: i % 2 ? 'Waiting on approvals is slow.' : 'Too many meetings, no time to build.'
+      });
+    });
+
+    const { body } = await startJob();
+    await generationJobs.drainQueue();
+
+    expect(db.jobs[0].status).toBe('done');
+    expect(db.clusters.every(c => c.custom_answers.mapped_items.length === 1)).toBe(true);
+    for (const persona of db.personas) {
+      expect(persona.summary.custom_answers[0]).toMatchObject({ id: 'custom_team', answered: expect.any(Number) });
+      expect(persona.summary.quotes.length).toBeGreaterThan(0);
+      expect(persona.summary.pain_points.some(point => /meetings|approvals/i.test(point))).toBe(true);
+      expect(persona.extended_profile.vector_profile.mapped_items[0]).toMatchObject({ meta: 'innovation', weight: 2 });
+    }
+    expect(body.job.id).toBe(db.jobs[0].id);
+  });
+});
+
+describe('cluster preview', () => {
+  test('returns the clustering metrics', async () => {
+    const res = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/preview-clusters`, {
+      maxPersonas: 4,
+      algorithm: 'hierarchical',
+      kSelection: 'elbow',
+      seed: 7
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.metrics).toMatchObject({ algorithm: 'hierarchical', seed: 7, k: res.body.suggested_clusters });
+    expect(res.body.metrics.k_selection.method).toBe('elbow');
+  });
+
+  test('rejects unknown clustering options', async () => {
+    const res = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/preview-clusters`, { algorithm: 'spectral' });
+    expect(res.status).toBe(400);
+
+    const job = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generate-personas`, { kSelection: 'magic' });
+    expect(job.status).toBe(400);
+
+    const degenerate = await request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/generate-personas`, { maxPersonas: -1, minPts: 0.5 });
+    expect(degenerate.status).toBe(400);
+    expect(degenerate.body.details).toEqual(['maxPersonas must be a positive integer', 'minPts must be a positive integer']);
+    expect(db.jobs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Grading Calibration Tests
+ *
+ * Bias, band hit rate, inter-pass agreement and drift reporting, the
+ * calibration CLI against the bundled golden transcripts, and the golden
+ * transcript and calibration run routes. Grading runs offline against the
+ * mock LLM provider; the tables are held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const personasRoutes = require('../src/routes/personas.routes');
+const calibration = require('../src/services/calibration.service');
+const cli = require('../scripts/calibrate-grading');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const OUTSIDER = { id: '33333333-3333-4333-8333-333333333333', role: 'company_admin', company_id: '44444444-4444-4444-8444-444444444444' };
+const PERSONA_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const GOLDEN_FILE = path.join(__dirname, '..', 'scripts', 'calibration', 'golden-transcripts.json');
+
+// Mock grader: a resolved, empathetic two-turn conversation scores 87
+const RESOLVED = [
+  { role: 'assistant', content: 'The release slipped again.' },
+  { role: 'user', content: 'I understand it has been a rough week.' },
+  { role: 'assistant', content: 'It has.' },
+  { role: 'user', content: "Let's agree on Thursday as the new date and I'll tell the client." }
+];
+// Mock grader: a single curt line with no outcome scores 41
+const DISMISSIVE = [
+  { role: 'assistant', content: 'Can we talk about the deadline?' },
+  { role: 'user', content: 'Not now.' }
+];
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/personas', personasRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = {
+    users: [ADMIN, OUTSIDER],
+    personas: [{ id: PERSONA_ID, company_id: COMPANY_ID, name: 'Dana', status: 'active', grading_rubric: null }],
+    transcripts: [],
+    runs: [],
+    audit: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: db.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id')) {
+      return { rows: db.personas.filter(p => p.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO grading_golden_transcripts')) {
+      const row = {
+        id: `bbbbbbbb-bbbb-4bbb-8bbb-00000000000${db.transcripts.length + 1}`,
+        persona_id: params[0],
+        scenario_id: params[1],
+        name: params[2],
+        messages: JSON.parse(params[3]),
+        expected_min: params[4],
+        expected_max: params[5],
+        notes: params[6],
+        is_active: true,
+        created_by: params[7]
+      };
+      db.transcripts.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('UPDATE grading_golden_transcripts SET')) {
+      const row = db.transcripts.find(t => t.id === params[0]);
+      const columns = ['name', 'messages', 'expected_min', 'expected_max', 'notes', 'is_active'];
+      columns.forEach((column, i) => {
+        const value = params[i + 1];
+        if (value !== null) row[column] = column === 'messages' ? JSON.parse(value) : value;
+      });
+      return { rows: [row] };
+    }
+    if (sql.includes('DELETE FROM grading_golden_transcripts')) {
+      const before = db.transcripts.length;
+      db.transcripts = db.transcripts.filter(t => t.id !== params[0]);
+      return { rows: [], rowCount: before - db.transcripts.length };
+    }
+    if (sql.includes('FROM grading_golden_transcripts WHERE id = $1 AND persona_id = $2')) {
+      return { rows: db.transcripts.filter(t => t.id === params[0] && t.persona_id === params[1]) };
+    }
+    if (sql.includes('FROM grading_golden_transcripts')) {
+      return {
+        rows: db.transcripts.filter(t => t.persona_id === params[0] && (!sql.includes('is_active = true') || t.is_active))
+      };
+    }
+    if (sql.includes('INSERT INTO grading_calibration_runs')) {
+      const row = {
+        id: `cccccccc-cccc-4ccc-8ccc-00000000000${db.runs.length + 1}`,
+        persona_id: params[0],
+        providers: params[1],
+        source: params[2],
+        passed: params[3],
+        summary: JSON.parse(params[4]),
+        results: JSON.parse(params[5]),
+        tolerance: JSON.parse(params[6]),
+        created_by: params[7],
+        created_at: new Date(Date.now() + db.runs.length).toISOString()
+      };
+      db.runs.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM grading_calibration_runs')) {
+      const rows = db.runs.filter(r => r.persona_id === params[0]).reverse();
+      return { rows: sql.includes('LIMIT 1') ? rows.slice(0, 1) : rows.slice(0, params[1]) };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push({ action: params[2], entity_id: params[4], metadata: params[7] });
+      return { rows: [] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(user)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const result = (id, score, band, strict = score, balanced = score) => ({
+  transcript_id: id,
+  score,
+  strict,
+  balanced,
+  spread: Math.abs(strict - balanced),
+  within_band: score >= band[0] && score <= band[1],
+  deviation: score - (band[0] + band[1]) / 2,
+  band_error: score > band[1] ? score - band[1] : score < band[0] ? score - band[0] : 0
+});
+
+const silentIO = () => ({ log: jest.fn(), error: jest.fn() });
+
+describe('calibration.service', () => {
+  test('reports bias, band hit rate, pass agreement and drift', () => {
+    const results = [result('a', 80, [70, 80], 78, 82), result('b', 50, [40, 50], 50, 50), result('c', 30, [40, 50], 26, 34)];
+    const previous = [{ transcript_id: 'a', score: 76 }, { transcript_id: 'c', score: 30 }];
+
+    const { summary, passed } = calibration.summarizeCalibration(results, previous, calibration.DEFAULT_TOLERANCE);
+
+    expect(summary.band_hit_rate).toBe(0.667);
+    expect(summary.bias).toBe(-1.67); // (5 + 5 - 15) / 3
+    expect(summary.mean_abs_error).toBe(3.33);
+    expect(summary.agreement).toEqual({ mean_spread: 4, max_spread: 8, within_tolerance_rate: 1 });
+    expect(summary.drift).toEqual({ compared: 2, mean_delta: 2, mean_abs_delta: 2, max_abs_delta: 4 });
+    expect(passed).toBe(false); // band hit rate below 0.8
+  });
+
+  test('fails each check that is outside tolerance', () => {
+    const results = [result('a', 95, [70, 80], 80, 110), result('b', 60, [40, 50])];
+    const previous = [{ transcript_id: 'a', score: 75 }, { transcript_id: 'b', score: 45 }];
+
+    const { failures } = calibration.summarizeCalibration(results, previous, calibration.DEFAULT_TOLERANCE);
+
+    expect(failures).toEqual([
+      'Bias +17.5 exceeds ±8 (grader is too lenient)',
+      'Band hit rate 0 is below 0.8',
+      'Mean inter-pass spread 15 exceeds 10',
+      'Drift 17.5 since the previous run exceeds 5'
+    ]);
+  });
+
+  test('records single-pass fallbacks and grading errors', async () => {
+    const persona = { id: PERSONA_ID, name: 'Dana' };
+    const transcript = { id: 't1', name: 'One', messages: RESOLVED, expected_min: 70, expected_max: 90 };
+
+    const fallback = await calibration.gradeTranscript(persona, transcript, {
+      grade: async () => ({ overall_score: 72 })
+    });
+    expect(fallback).toMatchObject({ score: 72, strict: 72, balanced: 72, spread: null, single_pass: true, within_band: true });
+
+    const failed = await calibration.gradeTranscript(persona, transcript, {
+      grade: async () => { throw new Error('Grading failed: rate limited'); }
+    });
+    expect(failed).toMatchObject({ transcript_id: 't1', score: null, error: 'Grading failed: rate limited' });
+
+    const { summary, failures } = calibration.summarizeCalibration([fallback, failed]);
+    expect(summary).toMatchObject({ graded: 1, errors: 1, single_pass: 1 });
+    expect(summary.agreement.mean_spread).toBeNull();
+    expect(failures).toContain('1 transcript could not be graded');
+  });
+
+  test('the bundled golden transcripts pass against the mock provider', async () => {
+    const cases = calibration.loadCasesFromFile(GOLDEN_FILE);
+    expect(new Set(cases.map(c => c.persona.id)).size).toBeGreaterThan(1);
+
+    const run = await calibration.runCalibration({ cases });
+
+    expect(run.failures).toEqual([]);
+    expect(run.passed).toBe(true);
+    expect(run.summary.band_hit_rate).toBe(1);
+    expect(run.results.every(r => r.spread === 0)).toBe(true);
+  });
+
+  test('rejects golden files with invalid bands or conversations', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+    const file = path.join(dir, 'golden.json');
+    fs.writeFileSync(file, JSON.stringify({
+      personas: [{ id: PERSONA_ID, name: 'Dana', transcripts: [{ id: 'x', name: 'Bad', messages: [{ role: 'assistant', content: 'Hi' }], expected_min: 80, expected_max: 60 }] }]
+    }));
+
+    try {
+      expect(() => calibration.loadCasesFromFile(file)).toThrow(/Dana \/ Bad: messages must include at least one user message to grade; expectedMin must not be greater than expectedMax/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('ignores tolerance overrides that are not non-negative numbers', () => {
+    expect(calibration.resolveTolerance({ maxBias: '3', maxDrift: -1, minBandRate: 'lots' })).toEqual({
+      ...calibration.DEFAULT_TOLERANCE,
+      maxBias: 3
+    });
+  });
+});
+
+describe('calibrate-grading CLI', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('passes offline and measures drift against a saved report', async () => {
+    const out = path.join(dir, 'report.json');
+    const io = silentIO();
+
+    expect(await cli.main(['--provider', 'mock', '--out', out], io)).toBe(0);
+    expect(io.log.mock.calls[0][0]).toMatch(/PASS: grader is within tolerance/);
+
+    const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(report).toMatchObject({ passed: true, providers: expect.stringContaining('mock') });
+
+    const second = silentIO();
+    expect(await cli.main(['--provider', 'mock', '--baseline', out, '--json'], second)).toBe(0);
+    expect(JSON.parse(second.log.mock.calls[0][0]).summary.drift).toMatchObject({ compared: report.results.length, mean_abs_delta: 0 });
+  });
+
+  test('exits 1 when the grader is outside tolerance', async () => {
+    const io = silentIO();
+
+    expect(await cli.main(['--provider', 'mock', '--max-bias', '0.1'], io)).toBe(1);
+    expect(io.log.mock.calls[0][0]).toMatch(/FAIL\n {2}- Bias \+\d+(\.\d+)? exceeds ±0\.1/);
+  });
+
+  test('exits 2 on usage errors', async () => {
+    const io = silentIO();
+
+    expect(await cli.main(['--max-drift'], io)).toBe(2);
+    expect(await cli.main(['--persona', PERSONA_ID, '--file', GOLDEN_FILE], io)).toBe(2);
+    expect(io.error).toHaveBeenCalledWith('❌ --max-drift needs a value');
+  });
+});
+
+describe('golden transcript and calibration routes', () => {
+  const create = (body, user) => request('POST', `/api/personas/${PERSONA_ID}/golden-transcripts`, body, user);
+
+  test('validates and stores golden transcripts', async () => {
+    const invalid = await create({ name: 'Bad', messages: [{ role: 'user', content: 'Hi' }], expectedMin: 90, expectedMax: 50 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual(['expectedMin must not be greater than expectedMax']);
+
+    const noUser = await create({ name: 'Bad', messages: [{ role: 'assistant', content: 'Hi' }], expectedMin: 50, expectedMax: 60 });
+    expect(noUser.status).toBe(400);
+
+    const res = await create({ name: 'Resolved', messages: RESOLVED, expectedMin: 80, expectedMax: 95 });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ persona_id: PERSONA_ID, expected_min: 80, expected_max: 95, created_by: ADMIN.id });
+    expect(db.audit.map(a => a.action)).toEqual(['persona.golden_transcript_create']);
+
+    const list = await request('GET', `/api/personas/${PERSONA_ID}/golden-transcripts`);
+    expect(list.body.transcripts).toHaveLength(1);
+  });
+
+  test('checks updated bands against the stored values and scopes to the persona', async () => {
+    const { body: transcript } = await create({ name: 'Resolved', messages: RESOLVED, expectedMin: 80, expectedMax: 95 });
+    const url = `/api/personas/${PERSONA_ID}/golden-transcripts/${transcript.id}`;
+
+    const inverted = await request('PUT', url, { expectedMax: 70 });
+    expect(inverted.status).toBe(400);
+
+    const updated = await request('PUT', url, { expectedMax: 90, isActive: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ expected_min: 80, expected_max: 90, is_active: false });
+
+    const otherPersona = await request('DELETE', `/api/personas/dddddddd-dddd-4ddd-8ddd-dddddddddddd/golden-transcripts/${transcript.id}`);
+    expect(otherPersona.status).toBe(404);
+
+    const deleted = await request('DELETE', url);
+    expect(deleted.status).toBe(200);
+    expect(db.transcripts).toHaveLength(0);
+  });
+
+  test('denies admins of other companies', async () => {
+    const res = await create({ name: 'Resolved', messages: RESOLVED, expectedMin: 80, expectedMax: 95 }, OUTSIDER);
+    expect(res.status).toBe(403);
+    expect(db.transcripts).toHaveLength(0);
+  });
+
+  test('runs, records and compares calibration runs', async () => {
+    const empty = await request('POST', `/api/personas/${PERSONA_ID}/calibration-runs`);
+    expect(empty.status).toBe(400);
+
+    await create({ name: 'Resolved', messages: RESOLVED, expectedMin: 80, expectedMax: 95 });
+    await create({ name: 'Dismissive', messages: DISMISSIVE, expectedMin: 30, expectedMax: 45 });
+
+    const first = await request('POST', `/api/personas/${PERSONA_ID}/calibration-runs`);
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ passed: true, failures: [] });
+    expect(first.body.results.map(r => r.score)).toEqual([87, 41]);
+    expect(first.body.summary.drift).toBeNull();
+    expect(db.runs[0]).toMatchObject({ source: 'api', providers: expect.stringContaining('mock'), created_by: ADMIN.id });
+
+    // Tighten a band so the next run misses it
+    db.transcripts[1].expected_max = 35;
+    const second = await request('POST', `/api/personas/${PERSONA_ID}/calibration-runs`, { tolerance: { minBandRate: 1 } });
+    expect(second.body.passed).toBe(false);
+    expect(second.body.failures).toEqual(['Band hit rate 0.5 is below 1']);
+    expect(second.body.summary.drift).toMatchObject({ compared: 2, mean_abs_delta: 0 });
+
+    const history = await request('GET', `/api/personas/${PERSONA_ID}/calibration-runs`);
+    expect(history.body.runs.map(r => r.passed)).toEqual([false, true]);
+    expect(history.body.runs[0].summary.failures).toEqual(['Band hit rate 0.5 is below 1']);
+    expect(db.audit.filter(a => a.action === 'persona.calibration_run')).toHaveLength(2);
+  });
+});
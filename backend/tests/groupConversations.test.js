@@ -0,0 +1,234 @@
+/**
+ * Group Conversation Tests
+ *
+ * Turn-taking from personality vectors, the per-persona view of the
+ * transcript, and the group conversation routes against the mock LLM
+ * provider, with the tables held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const groupRoutes = require('../src/routes/groupConversations.routes');
+const groups = require('../src/services/groupConversation.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const USER = { id: '11111111-1111-4111-8111-111111111111', role: 'user', company_id: COMPANY_ID, first_name: 'Maya' };
+const OTHER_USER = { ...USER, id: '55555555-5555-4555-8555-555555555555' };
+
+const persona = (id, name, vectors, extra = {}) => ({
+  id,
+  name,
+  tagline: `${name}'s tagline`,
+  company_id: COMPANY_ID,
+  is_default: false,
+  status: 'active',
+  system_prompt: `You are "${name}".`,
+  personality_vectors: vectors,
+  current_version: 1,
+  ...extra
+});
+
+// Outspoken challenger, quiet deferential colleague, and someone in between
+const ALEX = persona('aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', 'Alex Morgan', { social_energy: 0.8, conflict_mode: 0.7, deference: -0.6 });
+const SAM = persona('bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb', 'Sam', { social_energy: -0.6, conflict_mode: -0.5, deference: 0.8 });
+const RILEY = persona('cccccccc-cccc-4ccc-8ccc-cccccccccccc', 'Riley', {});
+const OUTSIDE = persona('dddddddd-dddd-4ddd-8ddd-dddddddddddd', 'Jo', {}, { company_id: '44444444-4444-4444-8444-444444444444' });
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/group-conversations', groupRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  db = { personas: [ALEX, SAM, RILEY, OUTSIDE], conversations: [], participants: [], messages: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [USER, OTHER_USER].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id = ANY($1)')) {
+      return { rows: db.personas.filter(p => params[0].includes(p.id) && p.status === 'active') };
+    }
+    if (sql.includes('INSERT INTO group_conversations')) {
+      const row = { id: `eeeeeeee-eeee-4eee-8eee-00000000000${db.conversations.length}`, user_id: params[0], company_id: params[1], title: params[2], topic: params[3] };
+      db.conversations.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('INSERT INTO group_conversation_participants')) {
+      db.participants.push({ group_conversation_id: params[0], persona_id: params[1], persona_version: params[2], seat: params[3] });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT * FROM group_conversations WHERE id')) {
+      return { rows: db.conversations.filter(c => c.id === params[0]) };
+    }
+    if (sql.includes('FROM group_conversation_participants gp')) {
+      return {
+        rows: db.participants
+          .filter(gp => gp.group_conversation_id === params[0])
+          .sort((a, b) => a.seat - b.seat)
+          .map(gp => ({ ...db.personas.find(p => p.id === gp.persona_id), seat: gp.seat, joined_version: gp.persona_version }))
+      };
+    }
+    if (sql.includes('INSERT INTO group_messages')) {
+      const row = {
+        id: `m${db.messages.length + 1}`,
+        group_conversation_id: params[0],
+        speaker_type: params[1],
+        persona_id: params[2],
+        content: params[3],
+        turn_reason: params[4],
+        tokens_used: params[5]
+      };
+      db.messages.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM group_messages gm')) {
+      return {
+        rows: db.messages
+          .filter(m => m.group_conversation_id === params[0])
+          .map(m => ({ ...m, speaker_name: db.personas.find(p => p.id === m.persona_id)?.name || null }))
+      };
+    }
+    return { rows: [] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function request(method, path, body, user = USER) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(user)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const participants = [ALEX, SAM, RILEY].map((p, seat) => ({ ...p, seat }));
+const fixed = () => 0.5;
+
+describe('turn-taking', () => {
+  test('outgoing personas answer the user first; deferential ones hold back among colleagues', () => {
+    const fromUser = [{ speaker_type: 'user', speaker_name: 'Maya', content: 'What do you all think about moving the launch?' }];
+    expect(groups.pickNextSpeaker({ participants, transcript: fromUser, first: true, random: fixed }))
+      .toMatchObject({ persona: { name: 'Alex Morgan' }, reason: 'Answers the user' });
+
+    const afterAlex = [...fromUser, { speaker_type: 'persona', persona_id: ALEX.id, speaker_name: 'Alex Morgan', content: 'Fine by me.' }];
+    expect(groups.scoreSpeaker(SAM, { last: afterAlex[1], transcript: afterAlex, random: fixed }).score)
+      .toBeLessThan(groups.scoreSpeaker(RILEY, { last: afterAlex[1], transcript: afterAlex, random: fixed }).score);
+    // Nobody is keen enough to react
+    expect(groups.pickNextSpeaker({ participants, transcript: afterAlex, spoken: new Set([ALEX.id]), random: fixed })).toBeNull();
+  });
+
+  test('being named or a disagreement changes who speaks', () => {
+    const named = [{ speaker_type: 'user', speaker_name: 'Maya', content: 'sam, what would you do?' }];
+    expect(groups.pickNextSpeaker({ participants, transcript: named, first: true, random: fixed }))
+      .toMatchObject({ persona: { name: 'Sam' }, reason: 'Addressed by name' });
+
+    const disagreement = [
+      { speaker_type: 'user', speaker_name: 'Maya', content: 'Let us ship Friday.' },
+      { speaker_type: 'persona', persona_id: RILEY.id, speaker_name: 'Riley', content: 'I disagree, QA is not done.' }
+    ];
+    expect(groups.pickNextSpeaker({ participants, transcript: disagreement, random: fixed }))
+      .toMatchObject({ persona: { name: 'Alex Morgan' }, reason: 'Pushes back on the disagreement' });
+    expect(groups.detectTension('Sounds great, thanks')).toBe(false);
+    expect(groups.detectTension('Good idea, but let us loop in QA first.')).toBe(false);
+  });
+
+  test('each persona sees its own lines as the assistant and others with their names', () => {
+    const transcript = [
+      { speaker_type: 'user', speaker_name: 'Maya', content: 'Hi all' },
+      { speaker_type: 'persona', persona_id: ALEX.id, speaker_name: 'Alex Morgan', content: 'Hi' },
+      { speaker_type: 'persona', persona_id: SAM.id, speaker_name: 'Sam', content: 'Hello' },
+      { speaker_type: 'user', speaker_name: 'Maya', content: 'Alex?' }
+    ];
+
+    expect(groups.toPersonaMessages(ALEX, transcript)).toEqual([
+      { role: 'user', content: 'Maya: Hi all' },
+      { role: 'assistant', content: 'Hi' },
+      { role: 'user', content: 'Sam: Hello\n\nMaya: Alex?' }
+    ]);
+    const prompt = groups.buildGroupSystemPrompt(ALEX, { participants, topic: 'Launch date', userName: 'Maya' });
+    expect(prompt).toContain('- Sam (Sam\'s tagline)');
+    expect(prompt).not.toContain('- Alex Morgan');
+    expect(prompt).toContain('The meeting is about: Launch date');
+  });
+});
+
+describe('group conversation routes', () => {
+  const create = (personaIds, user = USER) => request('POST', '/api/group-conversations', { personaIds, topic: 'Launch date' }, user);
+
+  test('convenes 2-6 accessible personas once each', async () => {
+    expect((await create([ALEX.id])).status).toBe(400);
+    expect((await create([ALEX.id, ALEX.id])).status).toBe(400);
+    expect((await create([ALEX.id, OUTSIDE.id])).status).toBe(403);
+    expect((await create([ALEX.id, 'ffffffff-ffff-4fff-8fff-ffffffffffff'])).status).toBe(404);
+
+    const res = await create([SAM.id, ALEX.id, RILEY.id]);
+    expect(res.status).toBe(201);
+    expect(res.body.conversation.title).toBe('Meeting with Sam, Alex Morgan, Riley');
+    expect(res.body.participants.map(p => p.name)).toEqual(['Sam', 'Alex Morgan', 'Riley']);
+  });
+
+  test('stores the transcript with each speaker and lets personas react to each other', async () => {
+    const { body } = await create([ALEX.id, SAM.id, RILEY.id]);
+    const path = `/api/group-conversations/${body.conversation.id}`;
+
+    const first = await request('POST', `${path}/messages`, { content: 'What do you all think about moving the launch?' });
+    expect(first.status).toBe(200);
+    expect(first.body.message.speaker_type).toBe('user');
+    expect(first.body.replies.map(r => r.speaker_name)).toEqual(['Alex Morgan']);
+    expect(first.body.replies[0].content).toContain('As Alex Morgan');
+
+    const second = await request('POST', `${path}/messages`, { content: 'Sam, you have been quiet. Should we wait?' });
+    expect(second.body.replies.map(r => [r.speaker_name, r.turn_reason])).toEqual([
+      ['Sam', 'Addressed by name'],
+      ['Alex Morgan', 'Reacts to Sam']
+    ]);
+
+    const transcript = await request('GET', path);
+    expect(transcript.body.messages.map(m => m.speaker_name || m.speaker_type)).toEqual(['user', 'Alex Morgan', 'user', 'Sam', 'Alex Morgan']);
+    expect(transcript.body.messages.filter(m => m.speaker_type === 'persona').every(m => m.persona_id)).toBe(true);
+
+    expect((await request('GET', path, null, OTHER_USER)).status).toBe(403);
+    expect((await request('POST', `${path}/messages`, { content: 'Hi' }, OTHER_USER)).status).toBe(403);
+  });
+});
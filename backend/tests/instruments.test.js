@@ -0,0 +1,311 @@
+/**
+ * Questionnaire Instrument Tests
+ *
+ * Company instruments scored by vector.service, template management with
+ * versioning, and questionnaires pinned to the instrument version they
+ * were created from.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const vectorService = require('../src/services/vector.service');
+const instruments = require('../src/services/instrument.service');
+const generation = require('../src/services/personaGeneration.service');
+const questionnairesRoutes = require('../src/routes/questionnaires.routes');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_COMPANY_ID = '55555555-5555-4555-8555-555555555555';
+
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const MEMBER = { id: '33333333-3333-4333-8333-333333333333', role: 'user', company_id: COMPANY_ID };
+const OUTSIDER = { id: '44444444-4444-4444-8444-444444444444', role: 'company_admin', company_id: OTHER_COMPANY_ID };
+
+const ITEMS = [
+  { id: 'pace_1', module: 'Pace', question: 'I ship small changes often.', meta_vector: 'innovation' },
+  { id: 'pace_2', module: 'Pace', question: 'I stick to proven tools.', meta_vector: 'innovation', reversed: true },
+  { id: 'care_1', module: 'Care', question: 'I re-read my work before sharing it.', meta_vector: 'diligence', weight: 2 },
+  { id: 'talk_1', module: 'Talk', question: 'I say what I think in meetings.', meta_vector: 'directness' }
+];
+
+const TEMPLATE_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+describe('scoring against an instrument', () => {
+  const instrument = instruments.toInstrument({
+    template_id: TEMPLATE_ID,
+    version: 2,
+    name: 'Delivery style',
+    questions: instruments.normalizeItems(ITEMS)
+  });
+
+  test('maps item ids onto meta-vectors with their weights', () => {
+    const result = vectorService.processVCPQResponses({ pace_1: 5, pace_2: 1, care_1: 5, talk_1: 1 }, [], instrument);
+
+    expect(result.meta_vectors.innovation).toBe(1);
+    expect(result.meta_vectors.directness).toBe(-1);
+    expect(result.version).toBe(`${TEMPLATE_ID}@v2`);
+  });
+
+  test('weights items and leaves unmeasured meta-vectors neutral', () => {
+    const result = vectorService.processVCPQResponses({ pace_1: 3, pace_2: 3, care_1: 5, talk_1: 3 }, [
+      { meta: 'diligence', score: 1, weight: 1, reversed: false }
+    ], instrument);
+
+    // (1 * 2 - 1 * 1) / 3
+    expect(result.meta_vectors.diligence).toBe(0.33);
+    expect(result.meta_vectors.formality).toBe(0);
+    expect(Object.keys(result.meta_vectors)).toEqual(Object.keys(vectorService.META_VECTOR_LABELS));
+  });
+
+  test('processes responses by the instrument\'s items only', () => {
+    const rows = [
+      { id: 'r1', answers: { pace_1: 5, pace_2: 1, care_1: 4, talk_1: 2, A1: 1 }, demographics: {} },
+      { id: 'r2', answers: { A1: 5, A2: 1, A3: 4, A4: 2, A5: 3, A6: 3 }, demographics: {} }
+    ];
+    const processed = generation.processResponses(rows, [], instrument);
+
+    expect(processed.map(r => r.id)).toEqual(['r1']);
+    expect(processed[0].vcpqScores).toEqual({ pace_1: 5, pace_2: 1, care_1: 4, talk_1: 2 });
+  });
+
+  test('the built-in VCPQ keeps scoring as before', () => {
+    const answers = Object.fromEntries(Object.keys(vectorService.QUESTION_META).map(id => [id, 4]));
+    const result = vectorService.processVCPQResponses(answers);
+
+    expect(result.version).toBe('vcpq-v1');
+    expect(result.meta_vectors.innovation).toBe(0);
+  });
+});
+
+describe('validateInstrument', () => {
+  test('accepts well-formed items', () => {
+    expect(instruments.validateInstrument({ name: 'Delivery style', questions: ITEMS })).toEqual([]);
+  });
+
+  test('rejects bad ids, mappings and weights', () => {
+    const errors = instruments.validateInstrument({
+      name: 'Broken',
+      questions: [
+        { id: '1st', question: 'Bad id', meta_vector: 'innovation' },
+        { id: 'x', question: 'Unknown vector', meta_vector: 'charisma' },
+        { id: 'x', question: 'Duplicate', meta_vector: 'innovation', weight: 4 },
+        { id: 'y', question: '', meta_vector: 'innovation', reversed: 'yes' }
+      ]
+    });
+
+    expect(errors).toEqual([
+      'questions[0].id must start with a letter and use only letters, digits, - and _',
+      'questions[1].meta_vector must be a meta-vector',
+      'questions[2].id x is used more than once',
+      'questions[2].weight must be greater than 0 and at most 3',
+      'questions[3].question is required',
+      'questions[3].reversed must be true or false'
+    ]);
+    expect(instruments.validateInstrument({ name: 'Short', questions: ITEMS.slice(0, 2) }))
+      .toEqual(['questions must be a list of 4 to 100 items']);
+  });
+});
+
+describe('template routes', () => {
+  let server;
+  let baseUrl;
+  let db;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/questionnaires', questionnairesRoutes);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    db = { templates: [], versions: [], questionnaires: [], audit: [] };
+
+    query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FROM users u')) {
+        return { rows: [ADMIN, MEMBER, OUTSIDER].filter(u => u.id === params[0]) };
+      }
+      if (sql.includes('INSERT INTO audit_logs')) {
+        db.audit.push({ action: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO questionnaire_templates')) {
+        const row = {
+          id: TEMPLATE_ID,
+          company_id: params[0],
+          name: params[1],
+          description: params[2],
+          questions: JSON.parse(params[3]),
+          created_by: params[4],
+          version: 1,
+          is_active: true
+        };
+        db.templates.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('UPDATE questionnaire_templates SET is_active = false')) {
+        db.templates.find(t => t.id === params[0]).is_active = false;
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE questionnaire_templates')) {
+        const row = db.templates.find(t => t.id === params[0]);
+        Object.assign(row, { name: params[1], description: params[2], questions: JSON.parse(params[3]), version: params[4] });
+        return { rows: [{ ...row }] };
+      }
+      if (sql.includes('SELECT * FROM questionnaire_templates WHERE id')) {
+        return { rows: db.templates.filter(t => t.id === params[0]).map(t => ({ ...t })) };
+      }
+      if (sql.includes('FROM questionnaire_templates t')) {
+        return { rows: db.templates.filter(t => t.is_active && (t.company_id === null || t.company_id === params[0])) };
+      }
+      if (sql.includes('INSERT INTO questionnaire_template_versions')) {
+        const version = sql.includes('VALUES ($1, 1,')
+          ? { template_id: params[0], version: 1, name: params[1], questions: JSON.parse(params[3]) }
+          : { template_id: params[0], version: params[1], name: params[2], questions: JSON.parse(params[4]), note: params[5] };
+        db.versions.push(version);
+        return { rows: [] };
+      }
+      if (sql.includes('FROM questionnaire_template_versions')) {
+        const versions = db.versions
+          .filter(v => v.template_id === params[0] && (params[1] === undefined || params[1] === null || v.version === params[1]))
+          .sort((a, b) => b.version - a.version);
+        return { rows: versions };
+      }
+      if (sql.includes('INSERT INTO questionnaires')) {
+        const row = {
+          id: '99999999-9999-4999-8999-999999999999',
+          name: params[0],
+          template_id: params[2],
+          template_version: params[3],
+          custom_questions: params[4],
+          company_id: params[6],
+          access_code: params[7],
+          status: 'active'
+        };
+        db.questionnaires.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('WHERE access_code')) {
+        return { rows: db.questionnaires.filter(q => q.access_code === params[0]) };
+      }
+      return { rows: [] };
+    });
+  });
+
+  function request(method, path, body, user = ADMIN) {
+    return new Promise((resolve, reject) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (user) headers.Authorization = `Bearer ${generateAccessToken(user)}`;
+      const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+      });
+      req.on('error', reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+  }
+
+  const createTemplate = () => request('POST', '/api/questionnaires/templates', { name: 'Delivery style', questions: ITEMS });
+
+  test('lists the built-in VCPQ next to company instruments', async () => {
+    await createTemplate();
+    const res = await request('GET', '/api/questionnaires/templates', null, MEMBER);
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.map(t => t.id)).toEqual(['vcpq', TEMPLATE_ID]);
+
+    const other = await request('GET', '/api/questionnaires/templates', null, OUTSIDER);
+    expect(other.body.templates.map(t => t.id)).toEqual(['vcpq']);
+  });
+
+  test('creates, versions and retires instruments', async () => {
+    const created = await createTemplate();
+    expect(created.status).toBe(201);
+    expect(created.body.template).toMatchObject({ company_id: COMPANY_ID, version: 1 });
+    expect(created.body.template.questions[0]).toEqual({ ...ITEMS[0], reversed: false, weight: 1 });
+
+    // Renaming keeps the version, changing items adds one
+    const renamed = await request('PUT', `/api/questionnaires/templates/${TEMPLATE_ID}`, { name: 'Delivery' });
+    expect(renamed.body).toMatchObject({ versioned: false, template: { version: 1 } });
+
+    const changed = await request('PUT', `/api/questionnaires/templates/${TEMPLATE_ID}`, {
+      questions: [...ITEMS, { id: 'talk_2', question: 'I keep messages short.', meta_vector: 'verbosity', reversed: true }],
+      note: 'Added a verbosity item'
+    });
+    expect(changed.body).toMatchObject({ versioned: true, template: { version: 2 } });
+
+    const detail = await request('GET', `/api/questionnaires/templates/${TEMPLATE_ID}`);
+    expect(detail.body.versions.map(v => [v.version, v.questions.length])).toEqual([[2, 5], [1, 4]]);
+
+    expect((await request('DELETE', `/api/questionnaires/templates/${TEMPLATE_ID}`)).status).toBe(200);
+    expect(db.audit.map(entry => entry.action)).toEqual([
+      'template.create', 'template.update', 'template.update', 'template.delete'
+    ]);
+  });
+
+  test('keeps instruments to admins of the owning company', async () => {
+    expect((await request('POST', '/api/questionnaires/templates', { name: 'X', questions: ITEMS }, MEMBER)).status).toBe(403);
+
+    await createTemplate();
+    expect((await request('GET', `/api/questionnaires/templates/${TEMPLATE_ID}`, null, OUTSIDER)).status).toBe(403);
+    expect((await request('PUT', `/api/questionnaires/templates/${TEMPLATE_ID}`, { name: 'Mine' }, OUTSIDER)).status).toBe(403);
+
+    const invalid = await request('POST', '/api/questionnaires/templates', { name: 'Short', questions: ITEMS.slice(0, 1) });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid template');
+  });
+
+  test('questionnaires are pinned to the current version and served its items', async () => {
+    await createTemplate();
+    const created = await request('POST', '/api/questionnaires', { name: 'Pulse', templateId: TEMPLATE_ID });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ template_id: TEMPLATE_ID, template_version: 1 });
+
+    // Later edits do not change what the questionnaire asks
+    await request('PUT', `/api/questionnaires/templates/${TEMPLATE_ID}`, {
+      questions: ITEMS.map(item => ({ ...item, question: `${item.question} (v2)` }))
+    });
+
+    const form = await request('GET', `/api/questionnaires/access/${created.body.access_code}`, null, null);
+    expect(form.body.questions.map(q => q.id)).toEqual(ITEMS.map(item => item.id));
+    expect(form.body.questions[0]).toMatchObject({ question: ITEMS[0].question, type: 'likert', category: 'Pace' });
+  });
+
+  test('rejects unknown templates and custom questions that reuse item ids', async () => {
+    await createTemplate();
+
+    const foreign = await request('POST', '/api/questionnaires', { name: 'Pulse', templateId: TEMPLATE_ID }, OUTSIDER);
+    expect(foreign.status).toBe(400);
+    expect(foreign.body.error).toBe('Template not found');
+
+    const clash = await request('POST', '/api/questionnaires', {
+      name: 'Pulse',
+      templateId: TEMPLATE_ID,
+      customQuestions: [{ id: 'pace_1', question: 'Again?', type: 'text' }]
+    });
+    expect(clash.body.details).toEqual(['customQuestions[0].id pace_1 is reserved for instrument items']);
+
+    const builtIn = await request('POST', '/api/questionnaires', { name: 'Pulse', templateId: 'vcpq' });
+    expect(builtIn.body).toMatchObject({ template_id: null, template_version: null });
+  });
+});
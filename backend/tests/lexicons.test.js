@@ -0,0 +1,206 @@
+/**
+ * Company Lexicon Tests
+ *
+ * Inheritance from the built-in domains, lexicon authoring per company
+ * and previewing a lexicon's effect on the compiled prompt, with the
+ * tables held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const lexiconsRoutes = require('../src/routes/lexicons.routes');
+const vcpqRoutes = require('../src/routes/vcpq.routes');
+const lexiconService = require('../src/services/lexicon.service');
+const vectorService = require('../src/services/vector.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const MEMBER = { id: '33333333-3333-4333-8333-333333333333', role: 'user', company_id: COMPANY_ID };
+const OUTSIDER = { id: '44444444-4444-4444-8444-444444444444', role: 'company_admin', company_id: '55555555-5555-4555-8555-555555555555' };
+
+const RESPONSES = Object.fromEntries(Object.keys(vectorService.getQuestionMeta()).map(id => [id, 3]));
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/lexicons', lexiconsRoutes);
+  app.use('/api/vcpq', vcpqRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = { users: [ADMIN, MEMBER, OUTSIDER], lexicons: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: db.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO company_lexicons')) {
+      const columns = sql.match(/\(([^)]+)\)/)[1].split(',').map(c => c.trim());
+      const row = { id: `aaaaaaaa-aaaa-4aaa-8aaa-${String(db.lexicons.length + 1).padStart(12, '0')}`, is_active: true, extend_base: true };
+      columns.forEach((column, i) => {
+        const value = params[i];
+        row[column] = typeof value === 'string' && /^[{[]/.test(value) ? JSON.parse(value) : value;
+      });
+      if (db.lexicons.some(l => l.company_id === row.company_id && l.name === row.name)) {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }
+      db.lexicons.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM company_lexicons WHERE id')) {
+      return { rows: db.lexicons.filter(l => l.id === params[0]) };
+    }
+    if (sql.includes('FROM company_lexicons l')) {
+      return { rows: db.lexicons.filter(l => l.company_id === params[0]) };
+    }
+    if (sql.includes('UPDATE company_lexicons SET')) {
+      const target = db.lexicons.find(l => l.id === params[0]);
+      for (const [, column, index] of sql.matchAll(/(\w+) = \$(\d+)/g)) {
+        const value = params[Number(index) - 1];
+        target[column] = typeof value === 'string' && /^[{[]/.test(value) ? JSON.parse(value) : value;
+      }
+      return { rows: [{ ...target }] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${generateAccessToken(user)}`;
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const PLATFORM_LEXICON = {
+  name: 'Platform Team',
+  base_domain: 'engineering',
+  vocabulary: ['golden path', 'paved road'],
+  style: { formalityModifier: 0.6 },
+  formatting: { useCodeBlocks: false },
+  emotional: { defaultTone: 'dry' }
+};
+
+describe('lexiconService.buildLexicon', () => {
+  test('inherits unset settings from the base domain and extends its lists', () => {
+    const base = lexiconService.getLexicon('engineering');
+    const lexicon = lexiconService.buildLexicon(PLATFORM_LEXICON);
+
+    expect(lexicon).toMatchObject({ name: 'Platform Team', base_domain: 'engineering', custom: true });
+    expect(lexicon.vocabulary).toEqual([...base.vocabulary, 'golden path', 'paved road']);
+    expect(lexicon.phrases).toEqual(base.phrases);
+    expect(lexicon.style).toEqual({ ...base.style, formalityModifier: 0.6 });
+    expect(lexicon.formatting.useCodeBlocks).toBe(false);
+    expect(lexicon.formatting.useBullets).toBe(true);
+    expect(lexicon.emotional).toMatchObject({ defaultTone: 'dry', frustrationTriggers: base.emotional.frustrationTriggers });
+  });
+
+  test('replaces the base lists when extend_base is off', () => {
+    const lexicon = lexiconService.buildLexicon({ ...PLATFORM_LEXICON, extend_base: false });
+    expect(lexicon.vocabulary).toEqual(['golden path', 'paved road']);
+  });
+
+  test('is accepted anywhere a domain name is', () => {
+    const lexicon = lexiconService.buildLexicon({ ...PLATFORM_LEXICON, extend_base: false });
+    expect(lexiconService.getLexicon(lexicon)).toBe(lexicon);
+    expect(lexiconService.getRandomVocabulary(lexicon, 10).sort()).toEqual(['golden path', 'paved road']);
+    expect(lexiconService.applyDomainModifiers({ formality: 0 }, lexicon).formality).toBe(0.3);
+  });
+});
+
+describe('lexicon routes', () => {
+  test('admins create lexicons for their company', async () => {
+    const res = await request('POST', '/api/lexicons', PLATFORM_LEXICON);
+    expect(res.status).toBe(201);
+    expect(res.body.lexicon).toMatchObject({ company_id: COMPANY_ID, created_by: ADMIN.id, base_domain: 'engineering' });
+
+    const list = await request('GET', '/api/lexicons', null, MEMBER);
+    expect(list.body.lexicons).toHaveLength(1);
+    expect(list.body.domains.map(d => d.id)).toContain('engineering');
+
+    const duplicate = await request('POST', '/api/lexicons', PLATFORM_LEXICON);
+    expect(duplicate.status).toBe(409);
+  });
+
+  test('rejects invalid settings and non-admins', async () => {
+    const invalid = await request('POST', '/api/lexicons', {
+      ...PLATFORM_LEXICON,
+      base_domain: 'marketing',
+      style: { formalityModifier: 3, sarcasm: 1 }
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toHaveLength(3);
+
+    const member = await request('POST', '/api/lexicons', PLATFORM_LEXICON, MEMBER);
+    expect(member.status).toBe(403);
+  });
+
+  test('updates a lexicon and returns its resolved form', async () => {
+    const { body } = await request('POST', '/api/lexicons', PLATFORM_LEXICON);
+    const res = await request('PUT', `/api/lexicons/${body.lexicon.id}`, { phrases: ['Ship it on the paved road'] });
+    expect(res.status).toBe(200);
+
+    const detail = await request('GET', `/api/lexicons/${body.lexicon.id}`);
+    expect(detail.body.resolved.phrases).toContain('Ship it on the paved road');
+  });
+
+  test("hides other companies' lexicons", async () => {
+    const { body } = await request('POST', '/api/lexicons', PLATFORM_LEXICON);
+    const res = await request('PUT', `/api/lexicons/${body.lexicon.id}`, { name: 'Mine now' }, OUTSIDER);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('prompt preview with a lexicon', () => {
+  test('previews unsaved lexicon edits', async () => {
+    const res = await request('POST', '/api/vcpq/preview-prompt', {
+      responses: RESPONSES,
+      lexicon: { ...PLATFORM_LEXICON, extend_base: false }
+    }, null);
+
+    expect(res.status).toBe(200);
+    expect(res.body.prompt_preview.domain).toBe('engineering');
+    expect(res.body.prompt_preview.domain_name).toBe('Platform Team');
+    expect(res.body.prompt_preview.system_prompt).toContain('golden path');
+    expect(res.body.prompt_preview.system_prompt).toContain('Default tone: dry');
+  });
+
+  test('previews a saved lexicon for its own company only', async () => {
+    const { body } = await request('POST', '/api/lexicons', PLATFORM_LEXICON);
+    const preview = (user) => request('POST', '/api/vcpq/preview-prompt', { responses: RESPONSES, lexicon_id: body.lexicon.id }, user);
+
+    const own = await preview(MEMBER);
+    expect(own.status).toBe(200);
+    expect(own.body.prompt_preview.lexicon_id).toBe(body.lexicon.id);
+
+    expect((await preview(OUTSIDER)).status).toBe(404);
+    expect((await preview(null)).status).toBe(401);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * LLM Provider Tests
+ *
+ * Runs the persona pipeline against the deterministic mock provider,
+ * so no network access or API keys are needed.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] })
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.LLM_FALLBACK_PROVIDERS;
+
+const { query } = require('../src/config/database');
+const llmProvider = require('../src/services/llmProvider.service');
+const vcpqService = require('../src/services/vcpq.service');
+const vectorService = require('../src/services/vector.service');
+const { gradeWithPersona } = require('../src/services/llm.service');
+
+// Mixed answers so every meta-vector gets a non-neutral value
+function buildResponses() {
+  const responses = {};
+  Object.keys(vectorService.getQuestionMeta()).forEach((id, i) => {
+    responses[id] = i % 3 === 0 ? 5 : i % 3 === 1 ? 2 : 3;
+  });
+  return responses;
+}
+
+describe('provider chain', () => {
+  test('uses LLM_PROVIDER from the environment', () => {
+    const chain = llmProvider.resolveProviderChain();
+    expect(chain[0]).toEqual({ id: 'mock', model: llmProvider.DEFAULT_MODELS.mock });
+  });
+
+  test('company config overrides the environment', () => {
+    const chain = llmProvider.resolveProviderChain({ provider: 'mock', model: 'custom-model' });
+    expect(chain[0].model).toBe('custom-model');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => llmProvider.resolveProviderChain({ provider: 'nope' })).toThrow('Unknown LLM provider: nope');
+    expect(() => llmProvider.resolveProviderChain({ provider: 'mock', fallbacks: 'opnai' })).toThrow('Unknown LLM provider: opnai');
+  });
+
+  test('skips fallbacks that are not configured but rejects an unconfigured selection', () => {
+    delete process.env.OPENAI_COMPAT_BASE_URL;
+    delete process.env.OPENAI_COMPAT_API_KEY;
+    const chain = llmProvider.resolveProviderChain({ provider: 'mock', fallbacks: 'openai' });
+    expect(chain).toEqual([{ id: 'mock', model: llmProvider.DEFAULT_MODELS.mock }]);
+
+    expect(() => llmProvider.resolveProviderChain({ provider: 'openai', fallbacks: 'mock' }))
+      .toThrow('LLM provider openai is selected but not configured');
+  });
+
+  test('fails over to the next provider on rate limits', async () => {
+    process.env.OPENAI_COMPAT_BASE_URL = 'http://localhost:0/v1';
+    const calls = [];
+    const result = await llmProvider.executeWithFailover(async (client, provider) => {
+      calls.push(provider.id);
+      if (provider.id === 'openai') {
+        const error = new Error('rate_limit');
+        error.status = 429;
+        throw error;
+      }
+      return 'ok';
+    }, { provider: 'openai', fallbacks: 'mock' });
+    delete process.env.OPENAI_COMPAT_BASE_URL;
+
+    expect(calls).toEqual(['openai', 'mock']);
+    expect(result).toBe('ok');
+  });
+
+  test('does not fail over on non-retryable errors', async () => {
+    await expect(llmProvider.executeWithFailover(async () => {
+      throw new Error('bad request');
+    })).rejects.toThrow('bad request');
+  });
+
+  test('reads company LLM settings', async () => {
+    query.mockResolvedValueOnce({ rows: [{ settings: { llm: { provider: 'mock', model: 'm1' } } }] });
+    await expect(llmProvider.getCompanyLLMConfig('company-1')).resolves.toEqual({ provider: 'mock', model: 'm1' });
+    await expect(llmProvider.getCompanyLLMConfig(null)).resolves.toEqual({});
+  });
+});
+
+describe('offline persona pipeline', () => {
+  test('generates a persona deterministically', async () => {
+    const first = await vcpqService.generateVCPQPersona(buildResponses(), { role: 'Engineer' }, 'tech');
+    const second = await vcpqService.generateVCPQPersona(buildResponses(), { role: 'Engineer' }, 'tech');
+
+    expect(first.name).toBeTruthy();
+    expect(first.system_prompt).toContain('innovation');
+    expect(first.name).toBe(second.name);
+    expect(first.background).toBe(second.background);
+  });
+
+  test('validates a persona against its own vectors', async () => {
+    const persona = await vcpqService.generateVCPQPersona(buildResponses(), {}, 'general');
+    const { meta_vectors } = vectorService.processVCPQResponses(buildResponses());
+    const validation = await vcpqService.validateVCPQPersona(persona.system_prompt, meta_vectors);
+
+    expect(validation.correlation).toBeGreaterThan(0.8);
+  });
+
+  test('chats and grades without network access', async () => {
+    const persona = await vcpqService.generateVCPQPersona(buildResponses(), {}, 'general');
+    const reply = await vcpqService.chatWithVCPQPersona(persona.system_prompt, [], 'Can we talk about the release plan?');
+    expect(typeof reply).toBe('string');
+    expect(reply.length).toBeGreaterThan(0);
+
+    const grade = await gradeWithPersona(
+      { name: persona.name, system_prompt: persona.system_prompt },
+      [
+        { role: 'user', content: 'I understand the deadline worries you.' },
+        { role: 'assistant', content: 'It does.' },
+        { role: 'user', content: "Let's agree on a plan: I'll schedule a check-in tomorrow." }
+      ]
+    );
+    expect(grade.overall_score).toBeGreaterThan(0);
+    expect(Array.isArray(grade.criteria_scores)).toBe(true);
+  });
+});
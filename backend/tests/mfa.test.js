@@ -0,0 +1,261 @@
+/**
+ * MFA Tests
+ *
+ * TOTP codes against the RFC 6238 vectors, enrollment with recovery codes,
+ * the second login step (no replays, single-use recovery codes) and the
+ * company setting that makes admins enroll before using anything else.
+ * Users, companies and recovery codes are held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { query } = require('../src/config/database');
+const { authenticate, generateAccessToken } = require('../src/middleware/auth');
+const { authLimiter } = require('../src/middleware/security');
+const authRoutes = require('../src/routes/auth.routes');
+const mfa = require('../src/services/mfa.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN_ID = '11111111-1111-4111-8111-111111111111';
+const MEMBER_ID = '33333333-3333-4333-8333-333333333333';
+
+let server;
+let baseUrl;
+let db;
+
+const step = () => Math.floor(Date.now() / 1000 / 30);
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.get('/api/ping', authenticate, (req, res) => res.json({ ok: true }));
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  ['127.0.0.1', '::ffff:127.0.0.1'].forEach(ip => authLimiter.resetKey(ip));
+  const passwordHash = await bcrypt.hash('password-123', 4);
+  const user = (id, email, role) => ({
+    id,
+    email,
+    role,
+    first_name: 'Dana',
+    company_id: COMPANY_ID,
+    is_active: true,
+    email_verified: true,
+    password_hash: passwordHash,
+    mfa_enabled: false,
+    mfa_secret: null,
+    mfa_enabled_at: null,
+    mfa_last_step: null
+  });
+  db = {
+    company: { id: COMPANY_ID, name: 'Acme', require_admin_mfa: false },
+    users: [user(ADMIN_ID, 'admin@acme.test', 'company_admin'), user(MEMBER_ID, 'member@acme.test', 'user')],
+    codes: [],
+    audit: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    const byId = (id) => db.users.find(u => u.id === id);
+    const joined = (u) => ({ ...u, company_name: db.company.name, require_admin_mfa: db.company.require_admin_mfa });
+
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push({ action: params[2], metadata: JSON.parse(params[7] || 'null') });
+      return { rows: [] };
+    }
+    if (sql.trim().startsWith('SELECT COUNT(*) FROM mfa_recovery_codes')) {
+      return { rows: [{ count: String(db.codes.filter(c => c.user_id === params[0] && !c.used_at).length) }] };
+    }
+    if (sql.trim().startsWith('SELECT') && sql.includes('FROM users')) {
+      const u = sql.includes('email = $1') ? db.users.find(x => x.email === params[0]) : byId(params[0]);
+      return { rows: u && u.is_active ? [joined(u)] : [] };
+    }
+    if (sql.includes('SET mfa_secret = $1')) {
+      const u = byId(params[1]);
+      if (!u.mfa_enabled) Object.assign(u, { mfa_secret: params[0], mfa_last_step: null });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET mfa_enabled = true')) {
+      Object.assign(byId(params[1]), { mfa_enabled: true, mfa_enabled_at: new Date(), mfa_last_step: params[0] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET mfa_enabled = false')) {
+      Object.assign(byId(params[0]), { mfa_enabled: false, mfa_secret: null, mfa_enabled_at: null, mfa_last_step: null });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET mfa_last_step = $1')) {
+      const u = byId(params[1]);
+      if (u.mfa_last_step !== null && u.mfa_last_step >= params[0]) return { rows: [], rowCount: 0 };
+      u.mfa_last_step = params[0];
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('DELETE FROM mfa_recovery_codes')) {
+      db.codes = db.codes.filter(c => c.user_id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO mfa_recovery_codes')) {
+      params[1].forEach(hash => db.codes.push({ user_id: params[0], code_hash: hash, used_at: null }));
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE mfa_recovery_codes SET used_at')) {
+      const code = db.codes.find(c => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+      if (code) code.used_at = new Date();
+      return { rows: code ? [{ id: 'code' }] : [] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, accessToken) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+// Put a user straight into the enrolled state with a known secret and recovery code
+const enroll = (user) => {
+  Object.assign(user, { mfa_enabled: true, mfa_secret: mfa.generateSecret(), mfa_last_step: null });
+  db.codes.push({ user_id: user.id, code_hash: crypto.createHash('sha256').update('abcde12345').digest('hex'), used_at: null });
+  return user.mfa_secret;
+};
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 vectors and refuses steps already used', () => {
+    const secret = mfa.base32Encode(Buffer.from('12345678901234567890'));
+    expect(mfa.generateTotp(secret, Math.floor(59 / 30), 8)).toBe('94287082');
+    expect(mfa.generateTotp(secret, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+    expect(mfa.generateTotp(secret, Math.floor(1234567890 / 30))).toBe('005924');
+
+    const now = 1234567890 * 1000;
+    const current = Math.floor(1234567890 / 30);
+    expect(mfa.verifyTotp(secret, '005924', { now })).toBe(current);
+    expect(mfa.verifyTotp(secret, '005924', { now, lastStep: current })).toBeNull();
+    expect(mfa.verifyTotp(secret, mfa.generateTotp(secret, current + 3), { now })).toBeNull();
+    expect(mfa.verifyTotp(secret, 'abcdef', { now })).toBeNull();
+  });
+});
+
+describe('enrollment', () => {
+  test('setup returns a QR code; enabling needs a valid code and returns recovery codes once', async () => {
+    const token = generateAccessToken(db.users[1]);
+    const setup = await request('POST', '/api/auth/mfa/setup', null, token);
+    expect(setup.status).toBe(200);
+    expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(setup.body.otpauthUrl).toBe(`otpauth://totp/Persona:member%40acme.test?secret=${setup.body.secret}&issuer=Persona&algorithm=SHA1&digits=6&period=30`);
+    expect(db.users[1].mfa_enabled).toBe(false);
+
+    expect((await request('POST', '/api/auth/mfa/enable', { code: 'abcdef' }, token)).status).toBe(400);
+
+    const enabled = await request('POST', '/api/auth/mfa/enable', { code: mfa.generateTotp(setup.body.secret, step()) }, token);
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+    expect(enabled.body.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(db.codes.map(c => c.code_hash)).not.toContain(enabled.body.recoveryCodes[0]);
+
+    const status = await request('GET', '/api/auth/mfa', null, token);
+    expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10, required: false });
+    expect((await request('POST', '/api/auth/mfa/setup', null, token)).status).toBe(400);
+    expect(db.audit.map(a => a.action)).toEqual(['user.mfa_enable']);
+  });
+
+  test('disabling needs a code and clears the secret and recovery codes', async () => {
+    const member = db.users[1];
+    const secret = enroll(member);
+    const token = generateAccessToken(member);
+
+    expect((await request('POST', '/api/auth/mfa/disable', { code: 'zzzzz-zzzzz' }, token)).status).toBe(400);
+    const res = await request('POST', '/api/auth/mfa/disable', { code: mfa.generateTotp(secret, step()) }, token);
+    expect(res.status).toBe(200);
+    expect(member).toMatchObject({ mfa_enabled: false, mfa_secret: null });
+    expect(db.codes).toHaveLength(0);
+  });
+});
+
+describe('login challenge', () => {
+  test('tokens wait for a code; codes cannot be replayed and recovery codes work once', async () => {
+    const secret = enroll(db.users[1]);
+    const login = await request('POST', '/api/auth/login', { email: 'member@acme.test', password: 'password-123' });
+    expect(login.status).toBe(200);
+    expect(login.body.mfaRequired).toBe(true);
+    expect(login.body.accessToken).toBeUndefined();
+    const { mfaToken } = login.body;
+
+    // An access token is not a challenge token
+    const accessToken = generateAccessToken(db.users[1]);
+    expect((await request('POST', '/api/auth/login/mfa', { mfaToken: accessToken, code: mfa.generateTotp(secret, step()) })).status).toBe(401);
+
+    const code = mfa.generateTotp(secret, step());
+    const passed = await request('POST', '/api/auth/login/mfa', { mfaToken, code });
+    expect(passed.status).toBe(200);
+    expect(passed.body.accessToken).toBeDefined();
+    expect(passed.body.user).toMatchObject({ email: 'member@acme.test', mfaEnabled: true, mfaSetupRequired: false });
+
+    expect((await request('POST', '/api/auth/login/mfa', { mfaToken, code })).status).toBe(401);
+
+    expect((await request('POST', '/api/auth/login/mfa', { mfaToken, code: 'ABCDE-12345' })).status).toBe(200);
+    expect((await request('POST', '/api/auth/login/mfa', { mfaToken, code: 'abcde-12345' })).status).toBe(401);
+
+    expect(db.audit.map(a => a.metadata)).toEqual([{ mfa: 'totp' }, { mfa: 'recovery_code' }]);
+  });
+});
+
+describe('company requirement', () => {
+  test('admins must enroll before using anything else, and cannot turn MFA off', async () => {
+    db.company.require_admin_mfa = true;
+
+    const login = await request('POST', '/api/auth/login', { email: 'admin@acme.test', password: 'password-123' });
+    expect(login.body.user.mfaSetupRequired).toBe(true);
+    const token = login.body.accessToken;
+
+    const blocked = await request('GET', '/api/ping', null, token);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('MFA_SETUP_REQUIRED');
+    expect((await request('GET', '/api/auth/me', null, token)).body.mfaSetupRequired).toBe(true);
+
+    // Members of the same company are unaffected
+    expect((await request('GET', '/api/ping', null, generateAccessToken(db.users[1]))).status).toBe(200);
+
+    const setup = await request('POST', '/api/auth/mfa/setup', null, token);
+    await request('POST', '/api/auth/mfa/enable', { code: mfa.generateTotp(setup.body.secret, step()) }, token);
+    expect((await request('GET', '/api/ping', null, token)).status).toBe(200);
+
+    const disable = await request('POST', '/api/auth/mfa/disable', { code: mfa.generateTotp(setup.body.secret, step() + 1) }, token);
+    expect(disable.status).toBe(403);
+    expect(db.users[0].mfa_enabled).toBe(true);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Find My Persona Matching Tests
+ *
+ * Vector, LLM and hybrid ranking through POST /api/personas/find-similar,
+ * plus the past-searches history, against the mock LLM provider.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const personasRoutes = require('../src/routes/personas.routes');
+const vectorService = require('../src/services/vector.service');
+const matching = require('../src/services/matching.service');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', role: 'user', company_id: '22222222-2222-4222-8222-222222222222' };
+
+// Answer every item so that its meta-vector lands on `value` (-1 or 1)
+const answersFor = (vectors) => {
+  const responses = {};
+  for (const [id, meta] of Object.entries(vectorService.getQuestionMeta())) {
+    const high = (vectors[meta.meta] ?? 0) > 0;
+    responses[id] = (high !== meta.reversed) ? 5 : 1;
+  }
+  return responses;
+};
+
+const allDimensions = (value) => Object.fromEntries(
+  Object.keys(vectorService.getMetaVectorLabels()).map(key => [key, value])
+);
+
+const TWIN = {
+  id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa',
+  name: 'Twin',
+  tagline: 'Just like you',
+  summary: { key_traits: ['direct'] },
+  personality_vectors: { ...allDimensions(1), domain_risk: 0.4 }
+};
+const OPPOSITE = {
+  id: 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb',
+  name: 'Opposite',
+  tagline: 'Nothing like you',
+  summary: { key_traits: ['cautious'] },
+  personality_vectors: allDimensions(-1)
+};
+const UNPROFILED = {
+  id: 'cccccccc-cccc-4ccc-8ccc-cccccccccccc',
+  name: 'Legacy',
+  tagline: 'Generated before VCPQ',
+  summary: { key_traits: ['direct'] },
+  personality_vectors: {}
+};
+
+let server;
+let baseUrl;
+let searches;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/personas', personasRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  searches = [];
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [USER] };
+    }
+    if (sql.includes('FROM personas') && sql.includes('company_id = $1')) {
+      return { rows: [TWIN, OPPOSITE, UNPROFILED] };
+    }
+    if (sql.includes('FROM personas WHERE id = ANY')) {
+      return { rows: [TWIN, OPPOSITE, UNPROFILED].filter(p => params[0].includes(p.id)) };
+    }
+    if (sql.includes('INSERT INTO similarity_searches')) {
+      const search = {
+        id: `dddddddd-dddd-4ddd-8ddd-00000000000${searches.length + 1}`,
+        user_id: params[1],
+        description: params[2],
+        results: JSON.parse(params[3]),
+        mode: params[4],
+        user_vectors: params[5] ? JSON.parse(params[5]) : null,
+        created_at: new Date().toISOString()
+      };
+      searches.push(search);
+      return { rows: [search] };
+    }
+    if (sql.includes('SELECT COUNT(*) FROM similarity_searches')) {
+      return { rows: [{ count: String(searches.filter(s => s.user_id === params[0]).length) }] };
+    }
+    if (sql.includes('FROM similarity_searches')) {
+      return { rows: searches.filter(s => s.user_id === params[0]).reverse() };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(USER)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe('matching.service', () => {
+  test('scores identical vectors 1 and opposite vectors 0', () => {
+    const same = matching.compareMetaVectors(allDimensions(0.5), allDimensions(0.5));
+    expect(same.similarity_score).toBe(1);
+    expect(same.euclidean_distance).toBe(0);
+    expect(same.matching_traits).toHaveLength(14);
+    expect(same.diverging_traits).toHaveLength(0);
+
+    const opposite = matching.compareMetaVectors(allDimensions(1), allDimensions(-1));
+    expect(opposite.similarity_score).toBe(0);
+    expect(opposite.diverging_traits).toHaveLength(14);
+  });
+
+  test('ignores domain modifiers and personas without vectors', () => {
+    const ranked = matching.rankPersonasByVectors(allDimensions(1), [OPPOSITE, UNPROFILED, TWIN]);
+    expect(ranked.map(r => r.persona_id)).toEqual([TWIN.id, OPPOSITE.id]);
+    expect(ranked[0].dimensions.map(d => d.dimension)).not.toContain('domain_risk');
+  });
+
+  test('labels traits by pole', () => {
+    const result = matching.compareMetaVectors({ directness: 0.9 }, { directness: -0.8 });
+    expect(result.diverging_traits).toEqual(['You: Direct/Blunt / Persona: Indirect/Diplomatic']);
+    expect(matching.describeValue('jargon_density', 0.1)).toBe('Balanced jargon density');
+  });
+
+  test('blends scores and falls back to the available one', () => {
+    const blended = matching.blendRankings(
+      [{ persona_id: 'a', similarity_score: 0.8, matching_traits: ['Direct/Blunt'] }],
+      [{ persona_id: 'a', similarity_score: 0.4, matching_traits: ['direct'] }, { persona_id: 'b', similarity_score: 0.7 }],
+      0.75
+    );
+    expect(blended.find(r => r.persona_id === 'a')).toMatchObject({
+      similarity_score: 0.7,
+      vector_score: 0.8,
+      llm_score: 0.4,
+      matching_traits: ['Direct/Blunt', 'direct']
+    });
+    expect(blended.find(r => r.persona_id === 'b').similarity_score).toBe(0.7);
+  });
+});
+
+describe('POST /api/personas/find-similar', () => {
+  test('ranks by vectors from a VCPQ self-assessment', async () => {
+    const res = await request('POST', '/api/personas/find-similar', {
+      mode: 'vector',
+      responses: answersFor(allDimensions(1))
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mode).toBe('vector');
+    expect(res.body.results[0].persona.name).toBe('Twin');
+    expect(res.body.results[0].similarity_score).toBe(1);
+    expect(res.body.results[1].diverging_traits.length).toBeGreaterThan(0);
+    expect(res.body.user_vectors.directness).toBe(1);
+    expect(searches[0]).toMatchObject({ mode: 'vector', description: null });
+  });
+
+  test('blends both rankings in hybrid mode', async () => {
+    const res = await request('POST', '/api/personas/find-similar', {
+      mode: 'hybrid',
+      description: 'I am direct and like to get to the point quickly.',
+      responses: answersFor(allDimensions(1))
+    });
+
+    expect(res.status).toBe(200);
+    const twin = res.body.results.find(r => r.persona_id === TWIN.id);
+    expect(twin.vector_score).toBe(1);
+    expect(typeof twin.llm_score).toBe('number');
+    // The LLM still ranks personas without vectors
+    expect(res.body.results.map(r => r.persona_id)).toContain(UNPROFILED.id);
+  });
+
+  test('requires the inputs of the chosen mode', async () => {
+    const noDescription = await request('POST', '/api/personas/find-similar', { mode: 'llm' });
+    expect(noDescription.status).toBe(400);
+
+    const partial = await request('POST', '/api/personas/find-similar', { mode: 'vector', responses: { A1: 5 } });
+    expect(partial.status).toBe(400);
+    expect(partial.body.details.length).toBeGreaterThan(0);
+  });
+});
+
+describe('GET /api/personas/similarity-searches', () => {
+  test("lists the user's past searches with persona details", async () => {
+    await request('POST', '/api/personas/find-similar', { mode: 'vector', responses: answersFor(allDimensions(-1)) });
+
+    const res = await request('GET', '/api/personas/similarity-searches');
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.searches[0].mode).toBe('vector');
+    expect(res.body.searches[0].results[0].persona.name).toBe('Opposite');
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Persona Grading Rubric Tests
+ *
+ * Rubrics generated from personality vectors, validation of admin-edited
+ * rubrics, and the update and suggestion routes, with the persona table
+ * held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const personasRoutes = require('../src/routes/personas.routes');
+const rubrics = require('../src/services/rubric.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const OUTSIDER = { id: '33333333-3333-4333-8333-333333333333', role: 'company_admin', company_id: '44444444-4444-4444-8444-444444444444' };
+const PERSONA_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+const VALID_RUBRIC = {
+  grading_style: '  Blunt and impatient.  ',
+  criteria: [
+    { name: 'Directness ', weight: 60, description: 'Straight to the point?' },
+    { name: 'Evidence', weight: 40 }
+  ],
+  likes: ['Data'],
+  dislikes: ['Small talk'],
+  generated_from: 'personality_vectors'
+};
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/personas', personasRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = {
+    users: [ADMIN, OUTSIDER],
+    personas: [{
+      id: PERSONA_ID,
+      company_id: COMPANY_ID,
+      name: 'Dana',
+      status: 'active',
+      summary: {},
+      extended_profile: {},
+      personality_vectors: { directness: 0.9, stress_resilience: -0.6, decision_basis: 0.4, formality: 0.1 },
+      grading_rubric: null,
+      current_version: 1
+    }],
+    versions: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    const persona = () => db.personas.find(p => p.id === params[0]);
+
+    if (sql.includes('FROM users u')) {
+      return { rows: db.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id')) {
+      return { rows: persona() ? [{ ...persona() }] : [] };
+    }
+    if (sql.includes('UPDATE personas SET current_version')) {
+      persona().current_version = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE personas SET')) {
+      const target = db.personas.find(p => p.id === params[params.length - 1]);
+      const assignments = [...sql.matchAll(/(\w+) = \$(\d+)/g)].filter(([, column]) => column !== 'id');
+      for (const [, column, index] of assignments) {
+        const value = params[Number(index) - 1];
+        target[column] = typeof value === 'string' && /^[{[]/.test(value) ? JSON.parse(value) : value;
+      }
+      return { rows: [{ ...target }] };
+    }
+    if (sql.includes('SELECT version, snapshot FROM persona_versions')) {
+      return { rows: db.versions.slice(-1) };
+    }
+    if (sql.includes('INSERT INTO persona_versions')) {
+      const row = { persona_id: params[0], version: params[1], snapshot: JSON.parse(params[3]), changed_fields: params[5] };
+      db.versions.push(row);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(user)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const sum = (criteria) => criteria.reduce((total, c) => total + c.weight, 0);
+
+describe('generateRubric', () => {
+  test('turns the strongest dimensions into weighted criteria', () => {
+    const rubric = rubrics.generateRubric(
+      { directness: 0.9, stress_resilience: -0.6, decision_basis: 0.4, formality: 0.1 },
+      { name: 'Dana' }
+    );
+
+    expect(rubric.criteria.map(c => c.name)).toEqual(['Directness', 'Reassurance', 'Evidence']);
+    expect(sum(rubric.criteria)).toBe(100);
+    expect(rubric.criteria[0].weight).toBeGreaterThan(rubric.criteria[1].weight);
+    expect(rubric.dislikes).toContain('Ignoring the emotional impact of decisions');
+    expect(rubric.grading_style).toMatch(/^Dana is /);
+    expect(rubrics.validateRubric(rubric)).toEqual([]);
+  });
+
+  test('pads weak profiles with general criteria', () => {
+    const rubric = rubrics.generateRubric({ innovation: 0.1, verbosity: -0.5 });
+
+    expect(rubric.criteria.map(c => c.name)).toEqual(['Brevity', 'Clarity', 'Problem-Solving']);
+    expect(sum(rubric.criteria)).toBe(100);
+    expect(rubrics.generateRubric({}).criteria).toHaveLength(3);
+  });
+
+  test('distributeWeights always sums to 100', () => {
+    expect(rubrics.distributeWeights([1, 1, 1])).toEqual([34, 33, 33]);
+    expect(sum(rubrics.distributeWeights([0.7, 0.3, 0.25, 0.9]).map(weight => ({ weight })))).toBe(100);
+  });
+});
+
+describe('validateRubric', () => {
+  test('rejects weights that do not sum to 100', () => {
+    const errors = rubrics.validateRubric({ criteria: [{ name: 'A', weight: 50 }, { name: 'B', weight: 30 }] });
+    expect(errors).toEqual(['Criterion weights must sum to 100 (currently 80)']);
+  });
+
+  test('reports malformed criteria and preferences', () => {
+    const errors = rubrics.validateRubric({
+      criteria: [{ name: 'A', weight: 50.5 }, { name: 'a', weight: 49 }],
+      likes: ['']
+    });
+    expect(errors).toEqual([
+      'criteria[0].weight must be an integer from 1 to 100',
+      'criteria[1].name "a" is used more than once',
+      'likes must be up to 10 non-empty strings of at most 200 characters'
+    ]);
+  });
+});
+
+describe('rubric routes', () => {
+  test('saves a normalized rubric and records a version', async () => {
+    const res = await request('PUT', `/api/personas/${PERSONA_ID}`, { gradingRubric: VALID_RUBRIC });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grading_rubric).toEqual({
+      grading_style: 'Blunt and impatient.',
+      criteria: [
+        { name: 'Directness', weight: 60, description: 'Straight to the point?' },
+        { name: 'Evidence', weight: 40, description: '' }
+      ],
+      likes: ['Data'],
+      dislikes: ['Small talk']
+    });
+    expect(db.versions).toHaveLength(1);
+    expect(db.versions[0].snapshot.grading_rubric).toEqual(res.body.grading_rubric);
+  });
+
+  test('rejects an invalid rubric with details', async () => {
+    const res = await request('PUT', `/api/personas/${PERSONA_ID}`, {
+      gradingRubric: { ...VALID_RUBRIC, criteria: [{ name: 'Directness', weight: 90 }] }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid grading rubric');
+    expect(res.body.details).toEqual(['Criterion weights must sum to 100 (currently 90)']);
+    expect(db.personas[0].grading_rubric).toBeNull();
+  });
+
+  test('null resets the persona to the default rubric', async () => {
+    db.personas[0].grading_rubric = rubrics.normalizeRubric(VALID_RUBRIC);
+    const res = await request('PUT', `/api/personas/${PERSONA_ID}`, { gradingRubric: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grading_rubric).toBeNull();
+  });
+
+  test('suggests a rubric from the persona vectors without saving it', async () => {
+    const res = await request('GET', `/api/personas/${PERSONA_ID}/rubric/suggestion`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.rubric.criteria[0].name).toBe('Directness');
+    expect(db.personas[0].grading_rubric).toBeNull();
+
+    db.personas[0].personality_vectors = {};
+    expect((await request('GET', `/api/personas/${PERSONA_ID}/rubric/suggestion`)).status).toBe(400);
+    expect((await request('GET', `/api/personas/${PERSONA_ID}/rubric/suggestion`, null, OUTSIDER)).status).toBe(403);
+  });
+});
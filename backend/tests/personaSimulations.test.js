@@ -0,0 +1,296 @@
+/**
+ * Persona Simulation Tests
+ *
+ * Transcript scoring, the alternating persona-to-persona discussion, and
+ * the simulation and compatibility matrix routes against the mock LLM
+ * provider, with the simulations table held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const { llmLimiter } = require('../src/middleware/security');
+const simulationRoutes = require('../src/routes/simulations.routes');
+const simulations = require('../src/services/personaSimulation.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_COMPANY_ID = '44444444-4444-4444-8444-444444444444';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const MEMBER = { ...ADMIN, id: '55555555-5555-4555-8555-555555555555', role: 'user' };
+
+const persona = (id, name, extra = {}) => ({
+  id,
+  name,
+  tagline: `${name}'s tagline`,
+  company_id: COMPANY_ID,
+  is_default: false,
+  status: 'active',
+  system_prompt: `You are "${name}".`,
+  ...extra
+});
+
+const ALEX = persona('aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', 'Alex');
+const SAM = persona('bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb', 'Sam');
+const RILEY = persona('cccccccc-cccc-4ccc-8ccc-cccccccccccc', 'Riley');
+const OUTSIDE = persona('dddddddd-dddd-4ddd-8ddd-dddddddddddd', 'Jo', { company_id: OTHER_COMPANY_ID });
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/simulations', simulationRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  ['127.0.0.1', '::ffff:127.0.0.1'].forEach(ip => llmLimiter.resetKey(ip));
+  db = { personas: [ALEX, SAM, RILEY, OUTSIDE], simulations: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [ADMIN, MEMBER].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id = ANY($1)')) {
+      return { rows: db.personas.filter(p => params[0].includes(p.id)) };
+    }
+    if (sql.includes('FROM personas') && sql.includes('WHERE company_id = $1')) {
+      return {
+        rows: db.personas
+          .filter(p => p.company_id === params[0] && p.status === 'active')
+          .sort((a, b) => a.name.localeCompare(b.name))
+      };
+    }
+    if (sql.includes('INSERT INTO persona_simulations')) {
+      const row = {
+        id: `eeeeeeee-eeee-4eee-8eee-${String(db.simulations.length).padStart(12, '0')}`,
+        company_id: params[0],
+        persona_a_id: params[1],
+        persona_b_id: params[2],
+        prompt: params[3],
+        turns: params[4],
+        transcript: JSON.parse(params[5]),
+        friction: params[6],
+        consensus: params[7],
+        dominance: params[8],
+        compatibility: params[9],
+        details: JSON.parse(params[10]),
+        // Never earlier than the request that ran it, and strictly increasing
+        created_at: new Date(Date.now() + db.simulations.length).toISOString()
+      };
+      db.simulations.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('SELECT DISTINCT ON')) {
+      const latest = new Map();
+      db.simulations
+        .filter(s => s.company_id === params[0] && s.prompt === params[1])
+        .forEach(s => latest.set([s.persona_a_id, s.persona_b_id].sort().join(':'), s));
+      return { rows: [...latest.values()] };
+    }
+    if (sql.includes('FROM persona_simulations s')) {
+      return { rows: db.simulations.filter(s => s.id === params[0]) };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(user)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const line = (persona_id, content) => ({ persona_id, content });
+
+// Call the matrix run a pair at a time until nothing remains, as the page does
+async function runMatrix(body) {
+  const calls = [];
+  let next = body;
+  for (;;) {
+    const res = await request('POST', '/api/simulations/compatibility/run', next);
+    calls.push(res);
+    if (res.status !== 200 || res.body.remaining === 0 || res.body.ran === 0) return calls;
+    next = { turns: body.turns, refreshBefore: res.body.refreshBefore || undefined };
+  }
+}
+
+describe('transcript scoring', () => {
+  test('a pair that argues scores high friction and low compatibility', () => {
+    const scores = simulations.scoreTranscript([
+      line(ALEX.id, 'We cut scope, obviously.'),
+      line(SAM.id, 'I disagree, that will not work for the customer.'),
+      line(ALEX.id, 'Frankly that is nonsense, the date is fixed!!'),
+      line(SAM.id, 'I am still not convinced.')
+    ], [ALEX.id, SAM.id]);
+
+    expect(scores.friction).toBe(100);
+    expect(scores.consensus).toBe(0);
+    expect(scores.compatibility).toBeLessThan(20);
+    expect(scores.details).toMatchObject({ disagreements: 2, hostile_turns: 2, agreements: 0 });
+  });
+
+  test('a polite "but" is not friction', () => {
+    const scores = simulations.scoreTranscript([
+      line(ALEX.id, 'Shall we ask for the extension?'),
+      line(SAM.id, 'Good point, but let us check with the customer first.'),
+      line(ALEX.id, 'Sounds good. However we do it, I am happy to make the call.')
+    ], [ALEX.id, SAM.id]);
+
+    expect(scores.friction).toBe(0);
+    expect(scores.details.disagreements).toBe(0);
+  });
+
+  test('agreement late in the discussion counts for more than early agreement', () => {
+    const early = simulations.scoreTranscript([
+      line(ALEX.id, 'Agreed, let us cut scope.'),
+      line(SAM.id, 'Hmm, what about the customer?'),
+      line(ALEX.id, 'We could ask them.'),
+      line(SAM.id, 'Maybe.')
+    ], [ALEX.id, SAM.id]);
+    const late = simulations.scoreTranscript([
+      line(ALEX.id, 'Should we cut scope?'),
+      line(SAM.id, 'Hmm, what about the customer?'),
+      line(ALEX.id, 'We could ask them.'),
+      line(SAM.id, 'Sounds good, let us ask.')
+    ], [ALEX.id, SAM.id]);
+
+    expect(late.consensus).toBeGreaterThan(early.consensus);
+    expect(late.friction).toBe(0);
+  });
+
+  test('dominance measures how unevenly the words were split', () => {
+    const even = simulations.scoreTranscript([line(ALEX.id, 'one two three'), line(SAM.id, 'four five six')], [ALEX.id, SAM.id]);
+    expect(even.dominance).toBe(0);
+    expect(even.details.dominant_persona_id).toBeNull();
+
+    const lopsided = simulations.scoreTranscript([
+      line(ALEX.id, 'one two three four five six seven eight nine'),
+      line(SAM.id, 'ten?')
+    ], [ALEX.id, SAM.id]);
+    expect(lopsided.dominance).toBe(80);
+    expect(lopsided.details.dominant_persona_id).toBe(ALEX.id);
+    expect(lopsided.details.word_share).toEqual({ [ALEX.id]: 0.9, [SAM.id]: 0.1 });
+    expect(lopsided.details.questions[SAM.id]).toBe(1);
+  });
+});
+
+describe('simulated discussion', () => {
+  test('personas alternate, each seeing its own lines as the assistant', async () => {
+    const calls = [];
+    const chat = async (systemPrompt, history, message) => {
+      calls.push({ systemPrompt, history, message });
+      return ` reply ${calls.length} `;
+    };
+
+    const transcript = await simulations.simulateDiscussion({
+      personaA: ALEX,
+      personaB: SAM,
+      prompt: 'Decide on the launch date.',
+      turns: 3,
+      chat
+    });
+
+    expect(transcript.map(t => [t.name, t.content])).toEqual([['Alex', 'reply 1'], ['Sam', 'reply 2'], ['Alex', 'reply 3']]);
+    expect(calls[0].systemPrompt).toContain('You are "Alex".');
+    expect(calls[0].systemPrompt).toContain('discussing this with Sam (Sam\'s tagline): Decide on the launch date.');
+    expect(calls[0].history).toEqual([]);
+    expect(calls[1]).toMatchObject({ history: [], message: 'reply 1' });
+    expect(calls[2].history).toEqual([
+      { role: 'user', content: expect.stringContaining('The discussion with Sam starts now') },
+      { role: 'assistant', content: 'reply 1' }
+    ]);
+    expect(calls[2].message).toBe('reply 2');
+  });
+});
+
+describe('simulation routes', () => {
+  test('simulates two personas of the admin\'s company and stores the scored transcript', async () => {
+    const res = await request('POST', '/api/simulations', { personaAId: ALEX.id, personaBId: SAM.id, turns: 4 });
+    expect(res.status).toBe(201);
+    expect(res.body.transcript.map(t => t.name)).toEqual(['Alex', 'Sam', 'Alex', 'Sam']);
+    expect(res.body.transcript[1].content).toContain('As Sam');
+    expect(res.body.prompt).toBe(simulations.WORKPLACE_PROMPTS[0]);
+    expect(res.body.compatibility).toBeGreaterThanOrEqual(0);
+    expect(res.body.compatibility).toBeLessThanOrEqual(100);
+
+    const fetched = await request('GET', `/api/simulations/${res.body.id}`);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.turns).toBe(4);
+  });
+
+  test('rejects the same persona twice, other companies\' personas and non-admins', async () => {
+    expect((await request('POST', '/api/simulations', { personaAId: ALEX.id, personaBId: ALEX.id })).status).toBe(400);
+    expect((await request('POST', '/api/simulations', { personaAId: ALEX.id, personaBId: SAM.id, turns: 40 })).status).toBe(400);
+    expect((await request('POST', '/api/simulations', { personaAId: ALEX.id, personaBId: OUTSIDE.id })).status).toBe(403);
+    expect((await request('POST', '/api/simulations', { personaAId: ALEX.id, personaBId: SAM.id }, MEMBER)).status).toBe(403);
+    expect((await request('GET', '/api/simulations/compatibility', null, MEMBER)).status).toBe(403);
+  });
+
+  test('re-runs pairs simulated before the refresh started and skips the rest', async () => {
+    await runMatrix({ turns: 2 });
+    // Alex and Riley were simulated first; only that pair predates the cutoff
+    const cutoff = db.simulations[1].created_at;
+    const res = await request('POST', '/api/simulations/compatibility/run', { turns: 2, refreshBefore: cutoff });
+    expect(res.body).toMatchObject({ ran: 1, remaining: 0 });
+    expect(db.simulations[3]).toMatchObject({ persona_a_id: ALEX.id, persona_b_id: RILEY.id });
+  });
+
+  test('fills the compatibility matrix a pair per call and keeps the latest run per pair', async () => {
+    const empty = await request('GET', '/api/simulations/compatibility');
+    expect(empty.body.personas.map(p => p.name)).toEqual(['Alex', 'Riley', 'Sam']);
+    expect(empty.body).toMatchObject({ pairs: [], missing: 3 });
+
+    const calls = await runMatrix({ turns: 2 });
+    expect(calls.map(c => c.status)).toEqual([200, 200, 200]);
+    expect(calls.map(c => c.body.remaining)).toEqual([2, 1, 0]);
+    expect(calls[0].body.matrix.missing).toBe(2);
+    const run = calls[2];
+    expect(run.body.matrix.missing).toBe(0);
+    expect(run.body.matrix.pairs).toHaveLength(3);
+    const alex = run.body.matrix.personas.find(p => p.id === ALEX.id);
+    expect(alex.average_compatibility).toEqual(expect.any(Number));
+    expect([RILEY.id, SAM.id]).toContain(alex.best_match_id);
+
+    // Nothing missing: a plain run is a no-op, refresh runs every pair again
+    expect((await request('POST', '/api/simulations/compatibility/run', { turns: 2 })).body.ran).toBe(0);
+    const refreshes = await runMatrix({ turns: 2, refresh: true });
+    expect(refreshes).toHaveLength(3);
+    expect(new Set(refreshes.map(c => c.body.refreshBefore)).size).toBe(1);
+    const refreshed = refreshes[2];
+    expect(refreshed.body).toMatchObject({ ran: 1, remaining: 0, refreshBefore: expect.any(String) });
+    expect(db.simulations).toHaveLength(6);
+    expect(refreshed.body.matrix.pairs.map(p => p.simulation_id).sort())
+      .toEqual(db.simulations.slice(3).map(s => s.id).sort());
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Persona Conversation Streaming Tests
+ *
+ * Exercises POST /api/personas/conversations/:id/messages/stream end to end
+ * against the mock LLM provider and an in-memory database stub.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const compression = require('compression');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const personasRoutes = require('../src/routes/personas.routes');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', role: 'user', company_id: '22222222-2222-4222-8222-222222222222' };
+const CONVERSATION_ID = '33333333-3333-4333-8333-333333333333';
+
+let server;
+let baseUrl;
+let savedMessages;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(compression());
+  app.use(express.json());
+  app.use('/api/personas', personasRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  savedMessages = [];
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [USER] };
+    }
+    if (sql.includes('FROM conversations c')) {
+      return {
+        rows: [{
+          user_id: USER.id,
+          company_id: USER.company_id,
+          persona_id: 'p1',
+          name: 'Dana Mills',
+          system_prompt: 'You are "Dana Mills", a pragmatic operations lead.'
+        }]
+      };
+    }
+    if (sql.includes('INSERT INTO messages')) {
+      const message = { id: `m${savedMessages.length + 1}`, role: sql.includes("'assistant'") ? 'assistant' : 'user', content: params[1], tokens_used: params[2] };
+      savedMessages.push(message);
+      return { rows: [message] };
+    }
+    if (sql.includes('SELECT role, content FROM messages')) {
+      return { rows: savedMessages.map(({ role, content }) => ({ role, content })) };
+    }
+    return { rows: [] };
+  });
+});
+
+// POST and collect the raw SSE body
+function postStream(path, body, token) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map((raw) => {
+    const event = raw.match(/^event: (.+)$/m)[1];
+    const data = JSON.parse(raw.match(/^data: (.+)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe('POST /api/personas/conversations/:conversationId/messages/stream', () => {
+  test('streams tokens and persists the assistant reply', async () => {
+    const token = generateAccessToken(USER);
+    const res = await postStream(`/api/personas/conversations/${CONVERSATION_ID}/messages/stream`, { content: 'Can we move the launch?' }, token);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+
+    const events = parseEvents(res.body);
+    const tokens = events.filter(e => e.event === 'token');
+    const done = events[events.length - 1];
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(done.event).toBe('done');
+    expect(done.data.aborted).toBe(false);
+    expect(done.data.tokens).toBeGreaterThan(0);
+
+    // The persisted reply is exactly what was streamed
+    const streamed = tokens.map(e => e.data.content).join('');
+    expect(done.data.message.content).toBe(streamed);
+    expect(savedMessages.map(m => m.role)).toEqual(['user', 'assistant']);
+    expect(savedMessages[1].tokens_used).toBe(done.data.tokens);
+  });
+
+  test('rejects conversations owned by another user', async () => {
+    const token = generateAccessToken({ ...USER, id: '44444444-4444-4444-8444-444444444444' });
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users u')) {
+        return { rows: [{ ...USER, id: '44444444-4444-4444-8444-444444444444' }] };
+      }
+      if (sql.includes('FROM conversations c')) {
+        return { rows: [{ user_id: USER.id, company_id: USER.company_id }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await postStream(`/api/personas/conversations/${CONVERSATION_ID}/messages/stream`, { content: 'Hello' }, token);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Persona Validation Gate Tests
+ *
+ * Self-assessment validation of generated personas, prompt reinforcement
+ * below the threshold and what is stored on the persona.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { query } = require('../src/config/database');
+const generation = require('../src/services/personaGeneration.service');
+const vcpqService = require('../src/services/vcpq.service');
+const validateService = require('../src/services/validate.service');
+const vectorService = require('../src/services/vector.service');
+
+const SCORES = Object.fromEntries(
+  Object.keys(vectorService.getQuestionMeta()).map((id, i) => [id, [1, 5, 4, 2, 3][i % 5]])
+);
+
+const CLUSTER = {
+  size: 4,
+  member_ids: ['r1', 'r2', 'r3', 'r4'],
+  centroid: vectorService.processVCPQResponses(SCORES).meta_vectors,
+  avg_scores: SCORES,
+  demographics: { role: 'Engineer' },
+  cohesion: 0.9
+};
+
+// A self-assessment result as returned by vcpqService.validateVCPQPersona
+const assessment = (correlation) => ({
+  success: true,
+  valid: correlation >= 0.8,
+  correlation,
+  cosine_similarity: correlation,
+  mean_absolute_error: 0.4,
+  dimension_analysis: [
+    { dimension: 'directness', input: 0.8, assessed: 0.1, difference: 0.7, accurate: false },
+    { dimension: 'formality', input: -0.2, assessed: -0.1, difference: 0.1, accurate: true }
+  ],
+  worst_dimensions: ['directness', 'formality'],
+  recommendation: 'Consider increasing instruction intensity for: directness, formality'
+});
+
+let inserted;
+
+beforeEach(() => {
+  inserted = null;
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('INSERT INTO personas')) {
+      inserted = {
+        system_prompt: params[7],
+        validation_status: params[13],
+        validation_correlation: params[14],
+        validation_result: params[15] ? JSON.parse(params[15]) : null
+      };
+      return { rows: [{ id: 'persona-1', ...inserted }] };
+    }
+    return { rows: [] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const generate = (validation) => generation.generateClusterPersona({
+  questionnaireId: 'q1',
+  companyId: 'c1',
+  domain: 'engineering',
+  generateInsights: false,
+  llm: {},
+  cluster: CLUSTER,
+  validation
+});
+
+describe('persona validation gate', () => {
+  test('validates every generated persona and stores the result', async () => {
+    const { stats } = await generate();
+
+    expect(inserted.validation_status).toBe('passed');
+    expect(inserted.validation_correlation).toBeGreaterThanOrEqual(generation.VALIDATION_THRESHOLD);
+    expect(inserted.validation_result.dimension_analysis).toHaveLength(14);
+    expect(inserted.validation_result.attempts).toHaveLength(1);
+    expect(inserted.validation_result.regenerated).toBe(false);
+    expect(stats.validation_status).toBe('passed');
+  });
+
+  test('reinforces the prompt below the threshold until it passes', async () => {
+    const spy = jest.spyOn(vcpqService, 'validateVCPQPersona')
+      .mockResolvedValueOnce(assessment(0.42))
+      .mockResolvedValueOnce(assessment(0.91));
+
+    await generate();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[1][0]).toContain('=== PERSONALITY CALIBRATION ===');
+    expect(spy.mock.calls[1][0]).toContain('directness');
+    expect(inserted.system_prompt).toBe(spy.mock.calls[1][0]);
+    expect(inserted.validation_status).toBe('passed');
+    expect(inserted.validation_result).toMatchObject({ regenerated: true, selected_attempt: 2 });
+  });
+
+  test('keeps the best attempt when every attempt fails', async () => {
+    const spy = jest.spyOn(vcpqService, 'validateVCPQPersona')
+      .mockResolvedValueOnce(assessment(0.5))
+      .mockResolvedValueOnce(assessment(0.3));
+
+    await generate({ maxAttempts: 2 });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(inserted.validation_status).toBe('failed');
+    expect(inserted.validation_correlation).toBe(0.5);
+    expect(inserted.system_prompt).toBe(spy.mock.calls[0][0]);
+    expect(inserted.validation_result.needs_adjustment).toBe(true);
+    expect(inserted.validation_result.recommendations[0].dimension).toBe('directness');
+  });
+
+  test('records an error when the self-assessment cannot be parsed', async () => {
+    jest.spyOn(vcpqService, 'validateVCPQPersona').mockResolvedValue({ success: false, error: 'No JSON found in response' });
+
+    await generate({ maxAttempts: 2 });
+
+    expect(inserted.validation_status).toBe('error');
+    expect(inserted.validation_correlation).toBeNull();
+    expect(inserted.validation_result.error).toBe('No JSON found in response');
+  });
+
+  test('can be switched off', async () => {
+    const spy = jest.spyOn(vcpqService, 'validateVCPQPersona');
+    const { stats } = await generate({ enabled: false });
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(inserted.validation_status).toBeNull();
+    expect(stats.validation_status).toBe('skipped');
+  });
+
+  test('ignores domain modifiers when comparing vectors', () => {
+    const result = validateService.validatePersona({ ...CLUSTER.centroid, domain_skepticism: 0.5 }, SCORES);
+    expect(result.error).toBeUndefined();
+    expect(result.correlation).toBe(1);
+  });
+});
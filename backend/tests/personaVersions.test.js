@@ -0,0 +1,249 @@
+/**
+ * Persona Versioning Tests
+ *
+ * Snapshot diffs, version history on update and archive, comparing and rolling back
+ * versions, and conversations tagged with the persona version, with the
+ * tables held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const personasRoutes = require('../src/routes/personas.routes');
+const personaVersions = require('../src/services/personaVersion.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const OUTSIDER = { id: '33333333-3333-4333-8333-333333333333', role: 'company_admin', company_id: '44444444-4444-4444-8444-444444444444' };
+const PERSONA_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/personas', personasRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(async () => {
+  db = {
+    users: [ADMIN, OUTSIDER],
+    personas: [{
+      id: PERSONA_ID,
+      company_id: COMPANY_ID,
+      name: 'Dana',
+      tagline: 'Engineer',
+      status: 'active',
+      summary: { key_traits: ['direct'] },
+      extended_profile: {},
+      system_prompt: 'You are Dana.\nBe direct.',
+      personality_vectors: { directness: 0.8, formality: -0.2 },
+      grading_rubric: null,
+      domain_context: 'engineering',
+      current_version: 1
+    }],
+    versions: [],
+    conversations: []
+  };
+
+  query.mockImplementation(async (sql, params = []) => {
+    const persona = () => db.personas.find(p => p.id === params[0]);
+
+    if (sql.includes('FROM users u')) {
+      return { rows: db.users.filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id = $1 AND status')) {
+      return { rows: persona()?.status === params[1] ? [{ ...persona() }] : [] };
+    }
+    if (sql.includes('SELECT * FROM personas WHERE id')) {
+      return { rows: persona() ? [{ ...persona() }] : [] };
+    }
+    if (sql.includes('UPDATE personas SET current_version')) {
+      persona().current_version = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE personas SET')) {
+      // Apply "column = $n" assignments in order
+      const target = db.personas.find(p => p.id === (sql.includes('WHERE id = $1') ? params[0] : params[params.length - 1]));
+      const assignments = [...sql.matchAll(/(\w+) = \$(\d+)/g)].filter(([, column]) => column !== 'id');
+      for (const [, column, index] of assignments) {
+        const value = params[Number(index) - 1];
+        target[column] = typeof value === 'string' && /^[{[]/.test(value) ? JSON.parse(value) : value;
+      }
+      return { rows: [{ ...target }] };
+    }
+    if (sql.includes('SELECT version, snapshot FROM persona_versions')) {
+      const rows = db.versions.filter(v => v.persona_id === params[0]).sort((a, b) => b.version - a.version);
+      return { rows: rows.slice(0, 1) };
+    }
+    if (sql.includes('INSERT INTO persona_versions')) {
+      const row = {
+        id: `v${db.versions.length + 1}`,
+        persona_id: params[0],
+        version: params[1],
+        change_type: params[2],
+        snapshot: JSON.parse(params[3]),
+        diff: JSON.parse(params[4]),
+        changed_fields: params[5],
+        note: params[6],
+        restored_from: params[7],
+        created_by: params[8]
+      };
+      db.versions.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM persona_versions v')) {
+      return { rows: db.versions.filter(v => v.persona_id === params[0]).reverse() };
+    }
+    if (sql.includes('FROM persona_versions WHERE persona_id = $1 AND version = $2')) {
+      return { rows: db.versions.filter(v => v.persona_id === params[0] && v.version === params[1]) };
+    }
+    if (sql.includes('INSERT INTO conversations')) {
+      const row = { id: `c${db.conversations.length + 1}`, persona_id: params[0], user_id: params[1], title: params[2], persona_version: params[3] };
+      db.conversations.push(row);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+
+  await personaVersions.recordVersion({ persona: db.personas[0], changeType: 'create' });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(user)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe('personaVersion.service', () => {
+  test('diffs prompts line by line', () => {
+    const diff = personaVersions.diffText('a\nb\nc', 'a\nB\nc\nd');
+    expect(diff).toMatchObject({ added: 2, removed: 1 });
+    expect(diff.lines).toEqual(expect.arrayContaining([
+      { type: 'removed', line: 2, text: 'b' },
+      { type: 'added', line: 2, text: 'B' },
+      { type: 'added', line: 4, text: 'd' }
+    ]));
+  });
+
+  test('reports vector deltas and omits unchanged fields', () => {
+    const diff = personaVersions.diffSnapshots(
+      { name: 'Dana', personality_vectors: { directness: 0.8, formality: -0.2 } },
+      { name: 'Dana', personality_vectors: { directness: 0.5, formality: -0.2 } }
+    );
+    expect(Object.keys(diff)).toEqual(['personality_vectors']);
+    expect(diff.personality_vectors.changes).toEqual({ directness: { before: 0.8, after: 0.5, delta: -0.3 } });
+  });
+});
+
+describe('persona version routes', () => {
+  test('records a version for every update', async () => {
+    const res = await request('PUT', `/api/personas/${PERSONA_ID}`, {
+      systemPrompt: 'You are Dana.\nBe blunt.',
+      changeNote: 'Sharper tone'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.current_version).toBe(2);
+
+    const versions = await request('GET', `/api/personas/${PERSONA_ID}/versions`);
+    expect(versions.body.current_version).toBe(2);
+    expect(versions.body.versions[0]).toMatchObject({
+      version: 2,
+      change_type: 'update',
+      changed_fields: ['system_prompt'],
+      note: 'Sharper tone',
+      created_by: ADMIN.id
+    });
+  });
+
+  test('skips versions for updates that change nothing', async () => {
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { name: 'Dana' });
+    expect(db.versions).toHaveLength(1);
+  });
+
+  test('compares two versions', async () => {
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { systemPrompt: 'You are Dana.\nBe blunt.' });
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { name: 'Dana R.' });
+
+    const res = await request('GET', `/api/personas/${PERSONA_ID}/versions/compare?from=1&to=3`);
+    expect(res.status).toBe(200);
+    expect(res.body.diff.name).toEqual({ before: 'Dana', after: 'Dana R.' });
+    expect(res.body.diff.system_prompt).toMatchObject({ added: 1, removed: 1 });
+
+    const missing = await request('GET', `/api/personas/${PERSONA_ID}/versions/compare?from=1&to=9`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('rolls back to an earlier version as a new version', async () => {
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { systemPrompt: 'Broken prompt' });
+
+    const res = await request('POST', `/api/personas/${PERSONA_ID}/versions/1/rollback`);
+    expect(res.status).toBe(200);
+    expect(res.body.version).toMatchObject({ version: 3, change_type: 'rollback', restored_from: 1 });
+    expect(db.personas[0].system_prompt).toBe('You are Dana.\nBe direct.');
+    expect(db.personas[0].current_version).toBe(3);
+
+    const again = await request('POST', `/api/personas/${PERSONA_ID}/versions/3/rollback`);
+    expect(again.status).toBe(400);
+  });
+
+  test('tags new conversations with the current version', async () => {
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { tagline: 'Staff engineer' });
+
+    const res = await request('POST', `/api/personas/${PERSONA_ID}/conversations`, {});
+    expect(res.status).toBe(201);
+    expect(res.body.persona_version).toBe(2);
+  });
+
+  test('archives instead of deleting, keeping the history', async () => {
+    await request('PUT', `/api/personas/${PERSONA_ID}`, { tagline: 'Staff engineer' });
+
+    const res = await request('DELETE', `/api/personas/${PERSONA_ID}`);
+    expect(res.status).toBe(200);
+    expect(db.personas[0].status).toBe('archived');
+    expect(db.versions.map(v => v.change_type)).toEqual(['create', 'update', 'archive']);
+    expect(query.mock.calls.some(([sql]) => sql.includes('DELETE FROM personas'))).toBe(false);
+
+    // Archiving again records nothing new
+    await request('DELETE', `/api/personas/${PERSONA_ID}`);
+    expect(db.versions).toHaveLength(3);
+  });
+
+  test('hides versions from other companies', async () => {
+    const res = await request('GET', `/api/personas/${PERSONA_ID}/versions`, null, OUTSIDER);
+    expect(res.status).toBe(403);
+  });
+});
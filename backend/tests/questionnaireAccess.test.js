@@ -0,0 +1,245 @@
+/**
+ * Questionnaire Access Tests
+ *
+ * Company isolation and role checks on the questionnaire routes: members
+ * of one company cannot read or change another company's questionnaires,
+ * mutations are admin-only, super admins reach every company, and the
+ * respondent endpoints stay public.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const questionnairesRoutes = require('../src/routes/questionnaires.routes');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_COMPANY_ID = '55555555-5555-4555-8555-555555555555';
+
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+const MEMBER = { id: '33333333-3333-4333-8333-333333333333', role: 'user', company_id: COMPANY_ID };
+const OUTSIDER = { id: '44444444-4444-4444-8444-444444444444', role: 'company_admin', company_id: OTHER_COMPANY_ID };
+const SUPER_ADMIN = { id: '66666666-6666-4666-8666-666666666666', role: 'super_admin', company_id: null };
+
+const QUESTIONNAIRE = {
+  id: '77777777-7777-4777-8777-777777777777',
+  company_id: COMPANY_ID,
+  name: 'Engineering survey',
+  status: 'active',
+  access_code: 'ABCD1234',
+  custom_questions: []
+};
+
+const RESPONSE = { id: '88888888-8888-4888-8888-888888888888', questionnaire_id: QUESTIONNAIRE.id, answers: { A1: 4 } };
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/questionnaires', questionnairesRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = { questionnaires: [{ ...QUESTIONNAIRE }], audit: [], sql: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    db.sql.push({ sql, params });
+
+    if (sql.includes('FROM users u')) {
+      return { rows: [ADMIN, MEMBER, OUTSIDER, SUPER_ADMIN].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push({ userId: params[0], companyId: params[1], action: params[2], entityId: params[4] });
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE access_code')) {
+      return { rows: db.questionnaires.filter(q => q.access_code === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM questionnaires WHERE id')) {
+      return { rows: db.questionnaires.filter(q => q.id === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM questionnaires')) {
+      return { rows: params.length ? db.questionnaires.filter(q => q.company_id === params[0]) : db.questionnaires };
+    }
+    if (sql.includes('INSERT INTO questionnaires')) {
+      const row = { id: '99999999-9999-4999-8999-999999999999', name: params[0], template_id: params[2], template_version: params[3], company_id: params[6], status: 'active' };
+      db.questionnaires.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('UPDATE questionnaires SET') && sql.includes('RETURNING')) {
+      return { rows: [{ ...db.questionnaires[0], status: params[0] }] };
+    }
+    if (sql.includes('DELETE FROM questionnaires')) {
+      return { rows: db.questionnaires.filter(q => q.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO questionnaire_responses')) {
+      return { rows: [RESPONSE] };
+    }
+    if (sql.includes('SELECT * FROM questionnaire_responses')) {
+      return { rows: [RESPONSE] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${generateAccessToken(user)}`;
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+const url = (suffix = '') => `/api/questionnaires/${QUESTIONNAIRE.id}${suffix}`;
+
+// Every company-scoped route with its request body
+const SCOPED_ROUTES = [
+  ['GET', url(), null],
+  ['GET', url('/responses'), null],
+  ['PUT', url(), { name: 'Renamed' }],
+  ['POST', url('/preview-clusters'), {}],
+  ['POST', url('/generate-personas'), {}],
+  ['GET', url('/generation-jobs'), null],
+  ['GET', url('/generation-jobs/bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb'), null],
+  ['POST', url('/generation-jobs/bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb/retry'), null],
+  ['DELETE', url('/personas'), null],
+  ['DELETE', url(), null]
+];
+
+describe('authentication', () => {
+  test.each(SCOPED_ROUTES)('%s %s requires a token', async (method, path, body) => {
+    const res = await request(method, path, body, null);
+    expect(res.status).toBe(401);
+  });
+
+  test('listing and templates require a token', async () => {
+    expect((await request('GET', '/api/questionnaires', null, null)).status).toBe(401);
+    expect((await request('GET', '/api/questionnaires/templates', null, null)).status).toBe(401);
+  });
+});
+
+describe('company isolation', () => {
+  test.each(SCOPED_ROUTES)("%s %s denies another company's admin", async (method, path, body) => {
+    const res = await request(method, path, body, OUTSIDER);
+    expect(res.status).toBe(403);
+    expect(db.sql.some(q => /^\s*(UPDATE|DELETE|INSERT INTO (questionnaires|generation_jobs))/.test(q.sql))).toBe(false);
+  });
+
+  test('lists only the caller\'s company, whatever companyId is asked for', async () => {
+    db.questionnaires.push({ ...QUESTIONNAIRE, id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', company_id: OTHER_COMPANY_ID });
+
+    const own = await request('GET', '/api/questionnaires', null, OUTSIDER);
+    expect(own.body.map(q => q.company_id)).toEqual([OTHER_COMPANY_ID]);
+
+    const foreign = await request('GET', `/api/questionnaires?companyId=${COMPANY_ID}`, null, OUTSIDER);
+    expect(foreign.status).toBe(403);
+  });
+
+  test('creates questionnaires in the caller\'s company only', async () => {
+    const res = await request('POST', '/api/questionnaires', { name: 'Pulse', companyId: COMPANY_ID }, OUTSIDER);
+    expect(res.status).toBe(201);
+    expect(res.body.company_id).toBe(OTHER_COMPANY_ID);
+  });
+});
+
+describe('roles', () => {
+  test('members see their company\'s questionnaire without raw responses', async () => {
+    const res = await request('GET', url(), null, MEMBER);
+    expect(res.status).toBe(200);
+    expect(res.body.responses).toBeUndefined();
+
+    const admin = await request('GET', url(), null, ADMIN);
+    expect(admin.body.responses).toEqual([RESPONSE]);
+  });
+
+  test.each(SCOPED_ROUTES.slice(1))('%s %s is admin-only', async (method, path, body) => {
+    const res = await request(method, path, body, MEMBER);
+    expect(res.status).toBe(403);
+  });
+
+  test('super admins reach any company', async () => {
+    const list = await request('GET', `/api/questionnaires?companyId=${COMPANY_ID}`, null, SUPER_ADMIN);
+    expect(list.body).toHaveLength(1);
+
+    const res = await request('DELETE', url(), null, SUPER_ADMIN);
+    expect(res.status).toBe(200);
+
+    const create = await request('POST', '/api/questionnaires', { name: 'Pulse' }, SUPER_ADMIN);
+    expect(create.status).toBe(400);
+  });
+});
+
+describe('public respondent endpoints', () => {
+  test('loads a questionnaire by access code and accepts responses without a token', async () => {
+    const questionnaire = await request('GET', `/api/questionnaires/access/${QUESTIONNAIRE.access_code}`, null, null);
+    expect(questionnaire.status).toBe(200);
+    expect(questionnaire.body.questions.length).toBeGreaterThan(0);
+
+    const res = await request('POST', url('/responses'), { answers: { A1: 4 } }, null);
+    expect(res.status).toBe(201);
+    expect(db.audit).toEqual([
+      { userId: null, companyId: COMPANY_ID, action: 'questionnaire.response_submit', entityId: RESPONSE.id }
+    ]);
+  });
+
+  test('does not tie anonymous responses to the respondent in the audit log', async () => {
+    db.questionnaires[0].is_anonymous = true;
+    const res = await request('POST', url('/responses'), { answers: { A1: 4 } }, null);
+    expect(res.status).toBe(201);
+
+    const insert = db.sql.find(entry => entry.sql.includes('INSERT INTO audit_logs'));
+    const [, , action, entityType, entityId, , , , ipAddress, userAgent] = insert.params;
+    expect(action).toBe('questionnaire.response_submit');
+    expect(entityType).toBe('questionnaire');
+    expect(entityId).toBe(QUESTIONNAIRE.id);
+    expect(ipAddress).toBeNull();
+    expect(userAgent).toBeNull();
+  });
+});
+
+describe('audit trail', () => {
+  test('records publishing, closing and deletion', async () => {
+    db.questionnaires[0].status = 'draft';
+    await request('PUT', url(), { status: 'active' });
+    db.questionnaires[0].status = 'active';
+    await request('PUT', url(), { status: 'closed' });
+    await request('DELETE', url('/personas'));
+    await request('DELETE', url());
+
+    expect(db.audit.map(entry => entry.action)).toEqual([
+      'questionnaire.publish',
+      'questionnaire.close',
+      'persona.delete',
+      'questionnaire.delete'
+    ]);
+    expect(db.audit.every(entry => entry.userId === ADMIN.id && entry.companyId === COMPANY_ID)).toBe(true);
+  });
+});
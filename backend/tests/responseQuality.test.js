@@ -0,0 +1,259 @@
+/**
+ * Response Quality Tests
+ *
+ * Screening of questionnaire submissions (straight-lining, contradictory
+ * item pairs, fast completion, duplicates), storage of the flags, admin
+ * review and the exclusion of flagged responses from generation.
+ */
+
+jest.mock('../src/config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+});
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const questionnairesRoutes = require('../src/routes/questionnaires.routes');
+const responseQuality = require('../src/services/responseQuality.service');
+const generation = require('../src/services/personaGeneration.service');
+const vectorService = require('../src/services/vector.service');
+
+const COMPANY_ID = '22222222-2222-4222-8222-222222222222';
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'company_admin', company_id: COMPANY_ID };
+
+const QUESTIONNAIRE = {
+  id: '77777777-7777-4777-8777-777777777777',
+  company_id: COMPANY_ID,
+  name: 'Engineering survey',
+  status: 'active',
+  access_code: 'ABCD1234',
+  is_anonymous: false,
+  custom_questions: []
+};
+
+const VCPQ = { ...vectorService.VCPQ_INSTRUMENT, delivery_mode: 'full' };
+const ITEM_IDS = Object.keys(vectorService.QUESTION_META);
+
+// A plausible respondent: agrees with forward items, disagrees with reversed ones, with some variety
+const HONEST = Object.fromEntries(ITEM_IDS.map((id, i) => [
+  id,
+  vectorService.QUESTION_META[id].reversed ? 2 : [4, 5, 4, 3, 5][i % 5]
+]));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('screenResponse', () => {
+  const codes = (answers, options = {}) => responseQuality.screenResponse({
+    answers, instrument: VCPQ, startedAt: minutesAgo(5), completedAt: new Date(), ...options
+  }).map(flag => flag.code);
+
+  test('passes a plausible response', () => {
+    expect(codes(HONEST)).toEqual([]);
+  });
+
+  test('flags straight-lining', () => {
+    const answers = Object.fromEntries(ITEM_IDS.map(id => [id, 3]));
+    expect(codes(answers)).toContain('straight_lining');
+  });
+
+  test('flags forward/reversed pairs answered the same way', () => {
+    // Agreeing strongly with both statements of every pair
+    const answers = Object.fromEntries(ITEM_IDS.map((id, i) => [id, i % 3 === 0 ? 4 : 5]));
+    const [flag] = responseQuality.screenResponse({ answers, instrument: VCPQ })
+      .filter(f => f.code === 'contradictions');
+    expect(flag.details.pairs).toContainEqual(['A1', 'A2']);
+    expect(flag.details.pairs.length).toBeGreaterThanOrEqual(responseQuality.CONTRADICTION_LIMIT);
+  });
+
+  test('tolerates fewer contradictions than the limit', () => {
+    expect(codes({ ...HONEST, A2: 5, B2: 5 })).not.toContain('contradictions');
+  });
+
+  test('flags completion faster than the items can be read', () => {
+    const completedAt = new Date();
+    expect(codes(HONEST, { startedAt: new Date(completedAt - 20 * 1000), completedAt })).toEqual(['too_fast']);
+    expect(codes(HONEST, { startedAt: null })).toEqual([]);
+  });
+
+  test('flags incomplete full-form answers but not a short form', () => {
+    const shortForm = Object.fromEntries(vectorService.getShortFormIds().map(id => [id, HONEST[id]]));
+    expect(codes(shortForm)).toEqual(['incomplete']);
+    expect(codes(shortForm, { instrument: { ...VCPQ, delivery_mode: 'short' } })).toEqual([]);
+  });
+
+  test('pairs forward and reversed items of each meta-vector', () => {
+    expect(responseQuality.getItemPairs()).toHaveLength(ITEM_IDS.length / 2);
+  });
+});
+
+describe('helpers', () => {
+  test('fingerprints answers regardless of key order', () => {
+    expect(responseQuality.fingerprintAnswers({ A1: 4, A2: 2 }))
+      .toBe(responseQuality.fingerprintAnswers({ A2: 2, A1: 4 }));
+    expect(responseQuality.fingerprintAnswers({ A1: 4 })).not.toBe(responseQuality.fingerprintAnswers({ A1: 5 }));
+  });
+
+  test('ignores start times in the future or implausibly old', () => {
+    const now = new Date();
+    expect(responseQuality.parseStartedAt(minutesAgo(5).toISOString(), now)).toBeInstanceOf(Date);
+    expect(responseQuality.parseStartedAt(new Date(now.getTime() + 60000).toISOString(), now)).toBeNull();
+    expect(responseQuality.parseStartedAt(minutesAgo(60 * 24 * 30).toISOString(), now)).toBeNull();
+    expect(responseQuality.parseStartedAt('yesterday', now)).toBeNull();
+  });
+});
+
+let server;
+let baseUrl;
+let db;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/questionnaires', questionnairesRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  db = { responses: [], audit: [] };
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [ADMIN].filter(u => u.id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      db.audit.push({ action: params[2], entityId: params[4], newValues: JSON.parse(params[6] || 'null') });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT * FROM questionnaires WHERE id')) {
+      return { rows: [QUESTIONNAIRE].filter(q => q.id === params[0]) };
+    }
+    if (sql.includes('SELECT id, fingerprint FROM questionnaire_responses')) {
+      const [, fingerprint, email] = params;
+      return {
+        rows: db.responses.filter(r => r.quality_status !== 'rejected'
+          && (r.fingerprint === fingerprint || (email && r.demographics.email === email)))
+      };
+    }
+    if (sql.includes('INSERT INTO questionnaire_responses')) {
+      const row = {
+        id: `aaaaaaaa-aaaa-4aaa-8aaa-00000000000${db.responses.length}`,
+        questionnaire_id: params[0],
+        answers: JSON.parse(params[1]),
+        demographics: JSON.parse(params[2]),
+        started_at: params[3],
+        fingerprint: params[5],
+        quality_flags: JSON.parse(params[6]),
+        quality_status: params[7],
+        processed: false
+      };
+      db.responses.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('SELECT * FROM questionnaire_responses WHERE id')) {
+      return { rows: db.responses.filter(r => r.id === params[0] && r.questionnaire_id === params[1]) };
+    }
+    if (sql.includes('UPDATE questionnaire_responses') && sql.includes('quality_status')) {
+      const row = db.responses.find(r => r.id === params[0]);
+      Object.assign(row, { quality_status: params[1], reviewed_by: params[2] });
+      return { rows: [row] };
+    }
+    if (sql.includes('SELECT * FROM questionnaire_responses WHERE questionnaire_id')) {
+      const statuses = params[params.length - 1];
+      return { rows: db.responses.filter(r => (Array.isArray(statuses) ? statuses : [statuses]).includes(r.quality_status)) };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body, user = ADMIN) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${generateAccessToken(user)}`;
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+const submit = (answers, extra = {}) => request('POST', `/api/questionnaires/${QUESTIONNAIRE.id}/responses`, {
+  answers,
+  startedAt: minutesAgo(5).toISOString(),
+  ...extra
+}, null);
+
+describe('submission screening', () => {
+  test('stores a plausible response as ok without telling the respondent', async () => {
+    const res = await submit(HONEST);
+    expect(res.status).toBe(201);
+    expect(res.body.quality_flags).toBeUndefined();
+    expect(db.responses[0]).toMatchObject({ quality_status: 'ok', quality_flags: [] });
+  });
+
+  test('flags duplicate answers and repeat emails', async () => {
+    await submit(HONEST, { demographics: { email: 'sam@example.com' } });
+    await submit(HONEST);
+    await submit({ ...HONEST, A1: 5, A3: 5 }, { demographics: { email: 'sam@example.com' } });
+
+    expect(db.responses.map(r => r.quality_status)).toEqual(['ok', 'flagged', 'flagged']);
+    expect(db.responses[1].quality_flags[0]).toMatchObject({ code: 'duplicate', details: { match: 'answers' } });
+    expect(db.responses[2].quality_flags[0]).toMatchObject({ code: 'duplicate', details: { match: 'email' } });
+  });
+
+  test('skips the timing check without a start time', async () => {
+    const res = await submit(Object.fromEntries(ITEM_IDS.map(id => [id, 3])), { startedAt: undefined });
+    expect(res.status).toBe(201);
+    expect(db.responses[0].started_at).toBeNull();
+    expect(db.responses[0].quality_flags.map(f => f.code)).toEqual(['straight_lining']);
+  });
+});
+
+describe('review', () => {
+  const review = (responseId, status) => request(
+    'PATCH', `/api/questionnaires/${QUESTIONNAIRE.id}/responses/${responseId}/quality`, { status }
+  );
+
+  test('admins approve flagged responses into generation', async () => {
+    await submit(Object.fromEntries(ITEM_IDS.map(id => [id, 3])));
+    const [flagged] = db.responses;
+
+    expect(await generation.loadUnprocessedResponses(QUESTIONNAIRE.id)).toEqual([]);
+    expect(await generation.loadUnprocessedResponses(QUESTIONNAIRE.id, { includeFlagged: true })).toHaveLength(1);
+
+    const res = await review(flagged.id, 'approved');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ quality_status: 'approved', reviewed_by: ADMIN.id });
+    expect(db.audit).toContainEqual({
+      action: 'questionnaire.response_review', entityId: flagged.id, newValues: { quality_status: 'approved' }
+    });
+    expect(await generation.loadUnprocessedResponses(QUESTIONNAIRE.id)).toHaveLength(1);
+  });
+
+  test('rejects unknown decisions and unknown responses', async () => {
+    expect((await review('aaaaaaaa-aaaa-4aaa-8aaa-000000000000', 'ok')).status).toBe(400);
+    expect((await review('aaaaaaaa-aaaa-4aaa-8aaa-000000000009', 'rejected')).status).toBe(404);
+  });
+
+  test('lists responses by quality status', async () => {
+    expect((await request('GET', `/api/questionnaires/${QUESTIONNAIRE.id}/responses?quality=maybe`)).status).toBe(400);
+  });
+});
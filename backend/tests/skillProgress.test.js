@@ -0,0 +1,215 @@
+/**
+ * Skill Progression Tests
+ *
+ * Per-criterion skill levels, streaks, the spaced-practice recommender and
+ * the progress routes, with training sessions held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const trainingRoutes = require('../src/routes/training.routes');
+const skillProgress = require('../src/services/skillProgress.service');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', role: 'user', company_id: '22222222-2222-4222-8222-222222222222' };
+const JORDAN = '33333333-3333-4333-8333-333333333333';
+const SARAH = '44444444-4444-4444-8444-444444444444';
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const session = (id, personaId, scenarioId, days, overall, criteria) => ({
+  id,
+  persona_id: personaId,
+  scenario_id: scenarioId,
+  overall_score: overall,
+  completed_at: daysAgo(days),
+  scenario_title: scenarioId,
+  persona_name: personaId === JORDAN ? 'Jordan' : 'Sarah',
+  criteria_scores: Object.entries(criteria).map(([name, score]) => ({ name, score }))
+});
+
+const SESSIONS = [
+  session('s1', JORDAN, 'hunter-easy', 9, 50, { Directness: 40, Efficiency: 60 }),
+  session('s2', SARAH, 'guardian-easy', 2, 85, { Empathy: 85, Reassurance: 85 }),
+  session('s3', JORDAN, 'hunter-easy', 1, 70, { Directness: 60, Efficiency: 80 }),
+  session('s4', JORDAN, 'hunter-easy', 0, 80, { directness: 80 })
+];
+
+const CATALOG = [
+  {
+    persona_id: JORDAN,
+    persona_name: 'Jordan',
+    grading_criteria: ['Directness', 'Efficiency'],
+    scenarios: [
+      { id: 'a1', key: 'hunter-easy', title: 'Late CRM Update', difficulty: 'easy' },
+      { id: 'a2', key: 'hunter-hard', title: 'Missed Quota', difficulty: 'hard' }
+    ]
+  },
+  {
+    persona_id: SARAH,
+    persona_name: 'Sarah',
+    grading_criteria: ['Empathy', 'Reassurance'],
+    scenarios: [{ id: 'b1', key: 'guardian-easy', title: 'Change Fatigue', difficulty: 'easy' }]
+  }
+];
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/training', trainingRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: params[0] === USER.id ? [USER] : [] };
+    }
+    if (sql.includes("ts.status = 'completed' AND ts.completed_at IS NOT NULL")) {
+      return { rows: [...SESSIONS].reverse() };
+    }
+    if (sql.includes('FROM training_scenarios s')) {
+      return {
+        rows: CATALOG.flatMap(p => p.scenarios.map(s => ({
+          ...s,
+          slug: s.key,
+          persona_id: p.persona_id,
+          persona_name: p.persona_name,
+          grading_rubric: { criteria: p.grading_criteria.map(name => ({ name, weight: 50 })) }
+        })))
+      };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${generateAccessToken(USER)}` }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('skill levels', () => {
+  test('aggregates criteria across sessions, weighting recent ones most', () => {
+    const skills = skillProgress.aggregateSkills(SESSIONS);
+    const directness = skills.find(s => s.name === 'Directness');
+
+    expect(skills.map(s => s.name)).toEqual(['Directness', 'Efficiency', 'Empathy', 'Reassurance']);
+    expect(directness.sessions).toBe(3);
+    expect(directness.latest).toBe(80);
+    // (80 + 60 * 0.8 + 40 * 0.64) / 2.44
+    expect(directness.score).toBe(63);
+    expect(directness.level).toBe('developing');
+    expect(skills.find(s => s.name === 'Empathy').level).toBe('expert');
+  });
+
+  test('trend compares the last three scores with the three before', () => {
+    const scores = [40, 40, 40, 70, 70, 70];
+    const history = scores.map((score, i) => session(`t${i}`, JORDAN, 'hunter-easy', 6 - i, score, { Directness: score }));
+    expect(skillProgress.aggregateSkills(history)[0].trend).toBe(30);
+    expect(skillProgress.aggregateSkills(SESSIONS)[0].trend).toBeNull();
+  });
+
+  test('review interval grows with the score', () => {
+    expect([50, 70, 80, 95].map(skillProgress.getReviewInterval)).toEqual([1, 3, 7, 14]);
+  });
+});
+
+describe('streaks', () => {
+  test('counts consecutive practice days and keeps the streak until a day is missed', () => {
+    expect(skillProgress.calculateStreak(SESSIONS, NOW)).toEqual({
+      current: 3,
+      longest: 3,
+      practiced_today: true,
+      last_practiced: '2026-03-10'
+    });
+
+    const tomorrow = new Date(NOW.getTime() + 24 * 60 * 60 * 1000);
+    expect(skillProgress.calculateStreak(SESSIONS, tomorrow).current).toBe(3);
+
+    const later = new Date(NOW.getTime() + 2 * 24 * 60 * 60 * 1000);
+    expect(skillProgress.calculateStreak(SESSIONS, later)).toMatchObject({ current: 0, longest: 3 });
+    expect(skillProgress.calculateStreak([], NOW).current).toBe(0);
+  });
+});
+
+describe('recommender', () => {
+  test('prefers weak criteria and scenarios that are due, one per persona first', () => {
+    const skills = skillProgress.aggregateSkills(SESSIONS);
+    const recommendations = skillProgress.recommendScenarios({ catalog: CATALOG, sessions: SESSIONS, skills, now: NOW, limit: 2 });
+
+    expect(recommendations.map(r => r.scenario_key)).toEqual(['hunter-hard', 'guardian-easy']);
+    expect(recommendations[0].focus_criteria).toEqual(['Directness']);
+    expect(recommendations[0].reasons).toEqual([
+      'Works on Directness, your weakest skill here (63)',
+      'You have not tried this scenario yet'
+    ]);
+    // Sarah's scenario is not due yet: 85 means a 14 day interval, practised 2 days ago
+    expect(recommendations[1].reasons[0]).toMatch(/^Practised recently; next review in 12 day/);
+    expect(recommendations[1].due_at).toBe(daysAgo(-12));
+  });
+
+  test('halves the priority of mastered scenarios', () => {
+    const mastered = [session('m1', SARAH, 'guardian-easy', 30, 95, { Empathy: 95, Reassurance: 95 })];
+    const [rec] = skillProgress.recommendScenarios({
+      catalog: [CATALOG[1]],
+      sessions: mastered,
+      skills: skillProgress.aggregateSkills(mastered),
+      now: NOW
+    });
+    // need 5, spacing capped at 100, minus 15 for an easy scenario: (0.6 * 5 + 0.4 * 100 - 15) / 2
+    expect(rec.priority).toBe(14);
+    expect(rec.reasons).toContain('Already mastered (best 95)');
+  });
+});
+
+describe('progress routes', () => {
+  test('GET /progress returns skills, trend and streak', async () => {
+    const res = await request('GET', '/api/training/progress');
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions_completed).toBe(4);
+    expect(res.body.average_score).toBe(71);
+    expect(res.body.trend.map(t => t.session_id)).toEqual(['s1', 's2', 's3', 's4']);
+    expect(res.body.trend[0].criteria).toEqual({ Directness: 40, Efficiency: 60 });
+    expect(res.body.skills[0].name).toBe('Directness');
+    expect(res.body.streak.longest).toBe(3);
+  });
+
+  test('GET /recommendations uses the catalog the user can train on', async () => {
+    const res = await request('GET', '/api/training/recommendations?limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.recommendations).toHaveLength(3);
+    expect(res.body.recommendations.map(r => r.scenario_key).sort()).toEqual(['guardian-easy', 'hunter-easy', 'hunter-hard']);
+    expect(res.body.recommendations[0].persona_name).toBe('Jordan');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Training Scoring Tests
+ *
+ * Server-side final scores: rubric-weighted criterion scores blended with
+ * the deterministic conversation signals (questions, dislikes, message
+ * length, resolution).
+ */
+
+const { analyzeConversationSignals, scoreConversation } = require('../src/services/training.service');
+
+const PERSONA = {
+  id: 'p1',
+  name: 'Jordan',
+  personality_vectors: { verbosity: -1 },
+  grading_rubric: {
+    criteria: [
+      { name: 'Directness', weight: 60, description: 'Straight to the point?' },
+      { name: 'Results Focus', weight: 40, description: 'Drove toward outcomes?' }
+    ],
+    dislikes: ['Rambling or vague communication', 'Wasting time with pleasantries', 'Meetings without an agenda']
+  }
+};
+
+const conversation = (...userLines) => userLines.flatMap(content => [
+  { role: 'assistant', content: 'Go on.' },
+  { role: 'user', content }
+]);
+
+const signal = (signals, key) => signals.find(s => s.key === key);
+
+describe('analyzeConversationSignals', () => {
+  test('scores questions, length and a closing commitment', () => {
+    const signals = analyzeConversationSignals(conversation(
+      'What is blocking the CRM updates this week, and who is waiting on you?',
+      'Fine. I will block Friday mornings for them, starting tomorrow.'
+    ), PERSONA);
+
+    expect(signal(signals, 'question_ratio')).toMatchObject({ score: 100, value: 0.5 });
+    // Terse persona: about 15 words suits it
+    expect(signal(signals, 'message_length')).toMatchObject({ score: 100, value: 12 });
+    expect(signal(signals, 'resolution')).toMatchObject({ score: 100, value: true });
+  });
+
+  test('flags dislikes the trainee ran into and credits ones they acknowledged', () => {
+    const signals = analyzeConversationSignals(conversation(
+      'Hi! How are you? Hope you are well. I know meetings without an agenda frustrate you.',
+      'So maybe we could kind of look at the numbers sometime.'
+    ), PERSONA);
+
+    expect(signal(signals, 'dislikes').dislikes).toEqual([
+      { dislike: 'Rambling or vague communication', status: 'triggered' },
+      { dislike: 'Wasting time with pleasantries', status: 'triggered' },
+      { dislike: 'Meetings without an agenda', status: 'acknowledged' }
+    ]);
+    expect(signal(signals, 'dislikes').score).toBe(33);
+    expect(signal(signals, 'resolution')).toMatchObject({ score: 20, value: false });
+  });
+
+  test('leaves out dislikes it cannot check', () => {
+    const persona = { ...PERSONA, grading_rubric: { ...PERSONA.grading_rubric, dislikes: ['Multi-click HR tools'] } };
+    const signals = analyzeConversationSignals(conversation('Can we fix the report by Friday?'), persona);
+
+    expect(signals.map(s => s.key)).toEqual(['question_ratio', 'message_length', 'resolution']);
+  });
+});
+
+describe('scoreConversation', () => {
+  test('weights criteria by the rubric and ignores the LLM overall score', () => {
+    const gradingResult = {
+      overall_score: 99,
+      criteria_scores: [
+        { name: 'Directness', score: 90 },
+        { name: 'results focus', score: 40 },
+        { name: 'Invented Criterion', score: 0 }
+      ]
+    };
+    const messages = conversation('What is blocking you?', "Let's agree on Friday as the deadline.");
+
+    const { overall_score: overall, score_breakdown: breakdown } = scoreConversation(gradingResult, PERSONA, messages);
+
+    expect(breakdown.rubric.score).toBe(70); // 90 * 0.6 + 40 * 0.4
+    expect(breakdown.rubric.criteria).toEqual([
+      { name: 'Directness', score: 90, weight: 60, contribution: 54 },
+      { name: 'results focus', score: 40, weight: 40, contribution: 16 }
+    ]);
+    expect(breakdown.llm_overall_score).toBe(99);
+    expect(breakdown.signals.weight).toBe(20);
+    expect(overall).toBe(Math.round((70 * 80 + breakdown.signals.score * 20) / 100));
+  });
+
+  test('uses the scenario rubric override and falls back to equal weights', () => {
+    const scenario = { rubric_override: { criteria: [{ name: 'Empathy', weight: 100 }] } };
+    const gradingResult = { overall_score: 50, criteria_scores: [{ name: 'Clarity', score: 80 }, { name: 'Tone', score: 60 }] };
+
+    const { score_breakdown: breakdown } = scoreConversation(gradingResult, PERSONA, conversation('Thanks, noted.'), scenario);
+
+    expect(breakdown.rubric.score).toBe(70);
+    expect(breakdown.rubric.criteria.map(c => c.weight)).toEqual([25, 25]);
+  });
+
+  test('falls back to the LLM score when no criteria were returned', () => {
+    const { overall_score: overall, score_breakdown: breakdown } = scoreConversation(
+      { overall_score: 64, criteria_scores: [] },
+      PERSONA,
+      []
+    );
+
+    expect(breakdown.rubric).toMatchObject({ score: 64, weight: 100, criteria: [] });
+    expect(breakdown.signals).toEqual({ score: null, weight: 0, items: [] });
+    expect(overall).toBe(64);
+  });
+
+  test('refuses to score a grading result without any numeric score', () => {
+    expect(() => scoreConversation(
+      { criteria_scores: [{ name: 'Directness', score: 'high' }] },
+      PERSONA,
+      conversation('Thanks, noted.')
+    )).toThrow('Grading returned no scores');
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Training Session Lifecycle Tests
+ *
+ * Start → message → grade against the mock LLM provider, plus scenario
+ * authoring permissions, with the tables held in memory by a database stub.
+ */
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+
+const http = require('http');
+const express = require('express');
+const { query } = require('../src/config/database');
+const { generateAccessToken } = require('../src/middleware/auth');
+const trainingRoutes = require('../src/routes/training.routes');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', role: 'user', company_id: '22222222-2222-4222-8222-222222222222' };
+const OTHER_USER = { ...USER, id: '55555555-5555-4555-8555-555555555555' };
+const ADMIN = { ...USER, id: '66666666-6666-4666-8666-666666666666', role: 'company_admin' };
+const PERSONA = {
+  id: '33333333-3333-4333-8333-333333333333',
+  name: 'Jordan',
+  is_default: true,
+  company_id: null,
+  vector_profile: { archetype: 'The Hunter' },
+  system_prompt: 'You are "Jordan", a top-performing account executive.'
+};
+const COMPANY_PERSONA = {
+  id: '77777777-7777-4777-8777-777777777777',
+  name: 'Priya',
+  is_default: false,
+  company_id: USER.company_id
+};
+const SCENARIO = {
+  id: '88888888-8888-4888-8888-888888888888',
+  slug: 'hunter-easy',
+  persona_id: PERSONA.id,
+  company_id: null,
+  title: 'Late CRM Update',
+  description: "Jordan hasn't updated their big deals in weeks",
+  setup_brief: 'Jordan has been neglecting CRM updates for weeks.',
+  difficulty: 'easy',
+  persona_goal: 'Avoid extra admin work',
+  success_conditions: ['Agree on a concrete CRM update cadence'],
+  is_active: true,
+  persona_name: PERSONA.name,
+  persona_company_id: null,
+  persona_is_default: true,
+  archetype: 'The Hunter'
+};
+
+let server;
+let baseUrl;
+let sessions;
+let audits;
+let currentUser;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/training', trainingRoutes);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  sessions = [];
+  audits = [];
+  currentUser = USER;
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('FROM users u')) {
+      return { rows: [currentUser] };
+    }
+    if (sql.includes('FROM personas WHERE id')) {
+      return { rows: [PERSONA, COMPANY_PERSONA].filter(p => p.id === params[0]) };
+    }
+    if (sql.includes('FROM training_scenarios s') && sql.includes('WHERE s.')) {
+      return { rows: [SCENARIO.id, SCENARIO.slug].includes(params[0]) ? [SCENARIO] : [] };
+    }
+    if (sql.includes('INSERT INTO training_scenarios')) {
+      return { rows: [{ id: '99999999-9999-4999-8999-999999999999', persona_id: params[0], company_id: params[1], title: params[3] }] };
+    }
+    if (sql.includes('INSERT INTO training_sessions')) {
+      const session = {
+        id: `44444444-4444-4444-8444-00000000000${sessions.length + 1}`,
+        user_id: params[0],
+        persona_id: params[1],
+        scenario_id: params[2],
+        scenario: JSON.parse(params[3]),
+        messages: JSON.parse(params[4]),
+        status: 'active'
+      };
+      sessions.push(session);
+      return { rows: [session] };
+    }
+    if (sql.includes("status = 'active'") && sql.includes('SELECT * FROM training_sessions')) {
+      return { rows: sessions.filter(s => s.user_id === params[0] && s.persona_id === params[1] && s.scenario_id === params[2] && s.status === 'active') };
+    }
+    if (sql.includes('FROM training_sessions ts') && sql.includes('WHERE ts.id')) {
+      const session = sessions.find(s => s.id === params[0]);
+      return { rows: session ? [{ ...session, persona_name: PERSONA.name }] : [] };
+    }
+    if (sql.includes('SET messages = messages ||')) {
+      const session = sessions.find(s => s.id === params[0] && s.status === 'active');
+      if (!session) return { rows: [] };
+      session.messages = [...session.messages, ...JSON.parse(params[1])];
+      return { rows: [session] };
+    }
+    if (sql.includes("status = 'completed',")) {
+      const session = sessions.find(s => s.id === params[0] && s.status === 'active');
+      if (!session) return { rows: [] };
+      Object.assign(session, { status: 'completed', grade_result: JSON.parse(params[1]), overall_score: params[2] });
+      return { rows: [session] };
+    }
+    if (sql.includes('INSERT INTO audit_logs')) {
+      audits.push({ action: params[2], entityId: params[4], metadata: JSON.parse(params[7] || 'null') });
+      return { rows: [] };
+    }
+    if (sql.includes('COUNT(*) as attempts')) {
+      return { rows: [{ attempts: '0', best_score: null, average_score: null }] };
+    }
+    return { rows: [] };
+  });
+});
+
+function request(method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${generateAccessToken(currentUser)}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe('training sessions', () => {
+  test('runs a session end to end without sending the transcript', async () => {
+    const start = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+    expect(start.status).toBe(201);
+    expect(start.body.resumed).toBe(false);
+    expect(start.body.session.messages[0].role).toBe('assistant');
+
+    const sessionId = start.body.session.id;
+    const reply = await request('POST', `/api/training/sessions/${sessionId}/message`, {
+      content: "I understand you're busy. Let's agree on a plan: I'll block 15 minutes on Fridays for CRM updates."
+    });
+    expect(reply.status).toBe(200);
+    expect(reply.body.message).toBeTruthy();
+    expect(reply.body.messageCount).toBe(3);
+
+    const grade = await request('POST', '/api/training/grade', { sessionId });
+    expect(grade.status).toBe(200);
+    expect(grade.body.session_id).toBe(sessionId);
+    expect(grade.body.overall_score).toBeGreaterThan(0);
+    expect(sessions[0].status).toBe('completed');
+
+    // The stored score is the server-side blend, not the LLM's own number
+    const { rubric, signals, llm_overall_score: llmScore } = grade.body.score_breakdown;
+    expect(llmScore).toEqual(expect.any(Number));
+    expect(grade.body.overall_score).toBe(Math.round((rubric.score * rubric.weight + signals.score * signals.weight) / 100));
+    expect(sessions[0].overall_score).toBe(grade.body.overall_score);
+    expect(audits.map(a => [a.action, a.entityId])).toEqual([
+      ['training.session_start', sessionId],
+      ['training.session_grade', sessionId]
+    ]);
+    expect(audits[1].metadata.overallScore).toBe(grade.body.overall_score);
+
+    // A graded session is closed
+    const again = await request('POST', `/api/training/sessions/${sessionId}/message`, { content: 'One more thing' });
+    expect(again.status).toBe(409);
+  });
+
+  test('refuses to grade a session another request finished grading meanwhile', async () => {
+    const start = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+    const sessionId = start.body.session.id;
+    await request('POST', `/api/training/sessions/${sessionId}/message`, { content: "Let's agree on Fridays for CRM updates." });
+
+    // Another grade request completes the session while this one is still grading
+    const stub = query.getMockImplementation();
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('COUNT(*) as attempts')) sessions[0].status = 'completed';
+      return stub(sql, params);
+    });
+    try {
+      const res = await request('POST', '/api/training/grade', { sessionId });
+      expect(res.status).toBe(409);
+    } finally {
+      query.mockImplementation(stub);
+    }
+    expect(sessions[0].grade_result).toBeUndefined();
+    expect(audits.map(a => a.action)).not.toContain('training.session_grade');
+  });
+
+  test('one-off grading only accepts active scenarios of the same persona', async () => {
+    const messages = [{ role: 'user', content: 'Can we agree on a CRM cadence?' }];
+    const unknown = await request('POST', '/api/training/grade', { personaId: PERSONA.id, scenarioId: 'no-such-scenario', messages });
+    expect(unknown.status).toBe(404);
+
+    const otherPersona = await request('POST', '/api/training/grade', { personaId: COMPANY_PERSONA.id, scenarioId: SCENARIO.id, messages });
+    expect(otherPersona.status).toBe(404);
+    expect(otherPersona.body.message).toBe('Scenario not found');
+    expect(sessions).toHaveLength(0);
+
+    // Named by id, stored under the scenario's key like server-side sessions
+    const byId = await request('POST', '/api/training/grade', { personaId: PERSONA.id, scenarioId: SCENARIO.id, messages });
+    expect(byId.status).toBe(200);
+    expect(sessions[0].scenario_id).toBe('hunter-easy');
+  });
+
+  test('resumes the unfinished session unless restarted', async () => {
+    const first = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+    const resumed = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+
+    expect(resumed.status).toBe(200);
+    expect(resumed.body.resumed).toBe(true);
+    expect(resumed.body.session.id).toBe(first.body.session.id);
+
+    const restarted = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy', restart: true });
+    expect(restarted.status).toBe(201);
+    expect(restarted.body.session.id).not.toBe(first.body.session.id);
+  });
+
+  test("rejects other users' sessions", async () => {
+    const start = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+
+    currentUser = OTHER_USER;
+    const res = await request('POST', `/api/training/sessions/${start.body.session.id}/message`, { content: 'Hi' });
+    expect(res.status).toBe(403);
+  });
+
+  test('hides success conditions from trainees', async () => {
+    const res = await request('GET', '/api/training/scenarios/hunter-easy');
+    expect(res.status).toBe(200);
+    expect(res.body.scenario.key).toBe('hunter-easy');
+    expect(res.body.scenario.setup_brief).toBeTruthy();
+    expect(res.body.scenario.success_conditions).toBeUndefined();
+    expect(res.body.scenario.persona_goal).toBeUndefined();
+
+    const start = await request('POST', '/api/training/sessions', { personaId: PERSONA.id, scenarioId: 'hunter-easy' });
+    expect(start.body.session.scenario.success_conditions).toBeUndefined();
+    // ...but the stored snapshot keeps them for the persona and the grader
+    expect(sessions[0].scenario.success_conditions).toEqual(SCENARIO.success_conditions);
+
+    const missing = await request('GET', '/api/training/scenarios/nope');
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('scenario authoring', () => {
+  const scenario = {
+    title: 'Missed Handoff',
+    setup_brief: 'Priya missed a customer handoff.',
+    difficulty: 'medium',
+    success_conditions: ['Agree on a handoff checklist']
+  };
+
+  test('company admins author scenarios for their own personas', async () => {
+    currentUser = ADMIN;
+    const res = await request('POST', '/api/training/scenarios', { ...scenario, personaId: COMPANY_PERSONA.id });
+    expect(res.status).toBe(201);
+    expect(res.body.scenario.company_id).toBe(USER.company_id);
+  });
+
+  test('built-in scenarios are read-only for company admins', async () => {
+    currentUser = ADMIN;
+    const create = await request('POST', '/api/training/scenarios', { ...scenario, personaId: PERSONA.id });
+    expect(create.status).toBe(403);
+
+    const update = await request('PUT', `/api/training/scenarios/${SCENARIO.id}`, { title: 'Changed' });
+    expect(update.status).toBe(403);
+  });
+
+  test('regular users cannot author scenarios', async () => {
+    const res = await request('POST', '/api/training/scenarios', { ...scenario, personaId: COMPANY_PERSONA.id });
+    expect(res.status).toBe(403);
+  });
+
+  test('validates required fields', async () => {
+    currentUser = ADMIN;
+    const res = await request('POST', '/api/training/scenarios', { personaId: COMPANY_PERSONA.id, title: 'No brief' });
+    expect(res.status).toBe(400);
+  });
+});
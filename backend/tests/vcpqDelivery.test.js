@@ -0,0 +1,167 @@
+/**
+ * VCPQ Delivery Tests
+ *
+ * Short-form and adaptive delivery: which items each mode asks, when a
+ * dimension is settled, validation per mode, per-dimension confidence and
+ * how clustering weighs uncertain dimensions.
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+const vectorService = require('../src/services/vector.service');
+const clustering = require('../src/services/clustering.service');
+const generation = require('../src/services/personaGeneration.service');
+
+const SHORT_FORM = vectorService.getShortFormIds();
+
+const answerAll = (ids, value) => Object.fromEntries(ids.map(id => [id, value]));
+
+const instrument = (deliveryMode) => ({ ...vectorService.VCPQ_INSTRUMENT, delivery_mode: deliveryMode });
+
+describe('short form', () => {
+  test('asks one forward-keyed item per meta-vector', () => {
+    expect(SHORT_FORM).toHaveLength(Object.keys(vectorService.META_VECTOR_LABELS).length);
+    expect(SHORT_FORM.every(id => !vectorService.QUESTION_META[id].reversed)).toBe(true);
+    const metas = SHORT_FORM.map(id => vectorService.QUESTION_META[id].meta);
+    expect(new Set(metas).size).toBe(SHORT_FORM.length);
+  });
+
+  test('validates with the short-form items only', () => {
+    const answers = answerAll(SHORT_FORM, 4);
+    expect(vectorService.validateResponses(answers).valid).toBe(false);
+
+    const result = vectorService.validateResponses(answers, vectorService.QUESTION_META, 'short');
+    expect(result).toMatchObject({ valid: true, questionCount: SHORT_FORM.length });
+
+    delete answers[SHORT_FORM[0]];
+    expect(vectorService.validateResponses(answers, vectorService.QUESTION_META, 'short').errors)
+      .toEqual([`Missing response for ${SHORT_FORM[0]}`]);
+  });
+
+  test('scores the answered items with partial confidence', () => {
+    const result = vectorService.processVCPQResponses(answerAll(SHORT_FORM, 5), [], instrument('short'));
+
+    expect(result.delivery_mode).toBe('short');
+    expect(result.meta_vectors.innovation).toBe(1);
+    // One of the two innovation items answered
+    expect(result.confidence.innovation).toBe(0.5);
+  });
+
+  test('full delivery still requires every item', () => {
+    expect(() => vectorService.processVCPQResponses(answerAll(SHORT_FORM, 5)))
+      .toThrow('Missing required score');
+  });
+});
+
+describe('adaptive delivery', () => {
+  test.each([
+    [[], 2, false],
+    [[1], 2, true],
+    [[0.5], 2, false],
+    [[0.5, 0], 3, true],
+    [[1, -1], 3, false],
+    [[1, -1], 2, true]
+  ])('answers %j of %i items are stable: %s', (values, totalItems, stable) => {
+    expect(vectorService.isDimensionStable(values, totalItems)).toBe(stable);
+  });
+
+  test('starts with the short form', () => {
+    expect(vectorService.getAdaptiveNextItems({})).toEqual(SHORT_FORM);
+  });
+
+  test('follows up only on dimensions that are not settled', () => {
+    // Strongly held answers settle every dimension
+    expect(vectorService.getAdaptiveNextItems(answerAll(SHORT_FORM, 5))).toEqual([]);
+
+    // A neutral innovation answer asks the reversed innovation item next
+    const answers = { ...answerAll(SHORT_FORM, 5), A1: 3 };
+    expect(vectorService.getAdaptiveNextItems(answers)).toEqual(['A2']);
+
+    // A2 = 3 agrees with A1 = 3 once reversed
+    expect(vectorService.getAdaptiveNextItems({ ...answers, A2: 3 })).toEqual([]);
+  });
+
+  test('requires the follow-ups the answers call for', () => {
+    const answers = { ...answerAll(SHORT_FORM, 5), A1: 3 };
+    expect(vectorService.validateResponses(answers, vectorService.QUESTION_META, 'adaptive').errors)
+      .toEqual(['Missing follow-up response for A2']);
+    expect(vectorService.validateResponses({ ...answers, A2: 3 }, vectorService.QUESTION_META, 'adaptive').valid)
+      .toBe(true);
+  });
+});
+
+describe('confidence', () => {
+  test('is full when every item is answered consistently', () => {
+    const confidence = vectorService.calculateConfidence(vectorService.normalizeAllScores(answerAll(Object.keys(vectorService.QUESTION_META), 3)));
+    expect(Object.values(confidence).every(value => value === 1)).toBe(true);
+  });
+
+  test('drops when answers disagree and is 0 when unmeasured', () => {
+    // A1 = 5 and A2 = 1 agree (A2 is reversed); A1 = 5 and A2 = 5 contradict
+    const normalized = vectorService.normalizeAllScores({ A1: 5, A2: 5, A3: 5, A4: 1 }, vectorService.QUESTION_META, { allowMissing: true });
+    const confidence = vectorService.calculateConfidence(normalized);
+
+    expect(confidence.innovation).toBe(0);
+    expect(confidence.diligence).toBe(1);
+    expect(confidence.social_energy).toBe(0);
+  });
+});
+
+describe('processing partial responses', () => {
+  const row = (id, answers) => ({ id, answers, demographics: {} });
+
+  test('keeps short-form responses and skips those without the short form', () => {
+    const processed = generation.processResponses(
+      [row('complete', answerAll(SHORT_FORM, 4)), row('partial', answerAll(SHORT_FORM.slice(0, 8), 4))],
+      [],
+      instrument('short')
+    );
+    expect(processed.map(r => r.id)).toEqual(['complete']);
+    expect(processed[0].vectorResult.confidence.innovation).toBe(0.5);
+  });
+
+  test('averages each item over the cluster members who answered it', () => {
+    const summary = generation.summarizeCluster({
+      size: 2,
+      centroid: {},
+      members: [
+        { id: 'a', vcpqScores: { A1: 3, A2: 2 }, demographics: {}, customAnswers: {} },
+        { id: 'b', vcpqScores: { A1: 5 }, demographics: {}, customAnswers: {} }
+      ]
+    });
+    expect(summary.avg_scores).toEqual({ A1: 4, A2: 2 });
+  });
+});
+
+describe('confidence-weighted clustering', () => {
+  // Two groups apart on tempo; an unreliable risk dimension splits them the other way
+  const responses = [];
+  for (let i = 0; i < 6; i++) {
+    const fast = i < 3;
+    responses.push({
+      id: `${fast ? 'fast' : 'slow'}-${i}`,
+      vcpqScores: {},
+      demographics: {},
+      vectorResult: {
+        meta_vectors: { tempo: fast ? 0.8 : -0.8, risk: i % 2 ? 1 : -1 },
+        confidence: { tempo: 1, risk: 0.1 }
+      }
+    });
+  }
+
+  test('lets confident dimensions decide the clusters', () => {
+    const clusters = clustering.clusterResponses(responses, { k: 2 });
+    const groups = clusters.map(c => [...new Set(c.members.map(m => m.id.split('-')[0]))]);
+    expect(groups.sort()).toEqual([['fast'], ['slow']]);
+    expect(clusters[0].confidence).toEqual({ tempo: 1, risk: 0.1 });
+  });
+
+  test('weights centroids by confidence', () => {
+    const centroid = clustering.calculateCentroid(
+      [{ risk: 1 }, { risk: -1 }],
+      [{ risk: 0.75 }, { risk: 0.25 }]
+    );
+    expect(centroid.risk).toBe(0.5);
+    expect(clustering.calculateCentroid([{ risk: 1 }, { risk: -1 }]).risk).toBe(0);
+  });
+});
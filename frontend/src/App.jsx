@@ -12,10 +12,14 @@ import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import AuthCallbackPage from './pages/AuthCallbackPage';
 import InvitePage from './pages/InvitePage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import DashboardPage from './pages/DashboardPage';
 import PersonasPage from './pages/PersonasPage';
 import PersonaDetailPage from './pages/PersonaDetailPage';
 import ChatPage from './pages/ChatPage';
+import GroupConversationPage from './pages/GroupConversationPage';
 import FindPersonaPage from './pages/FindPersonaPage';
 import QuestionnairesPage from './pages/QuestionnairesPage';
 import QuestionnaireCreatePage from './pages/QuestionnaireCreatePage';
@@ -28,6 +32,11 @@ import NotFoundPage from './pages/NotFoundPage';
 import VCPQPage from './pages/VCPQPage';
 import TrainingPage from './pages/TrainingPage';
 import TrainingSessionPage from './pages/TrainingSessionPage';
+import ScenarioEditorPage from './pages/ScenarioEditorPage';
+import LexiconEditorPage from './pages/LexiconEditorPage';
+import InstrumentsPage from './pages/InstrumentsPage';
+import TeamFitPage from './pages/TeamFitPage';
+import AuditLogsPage from './pages/AuditLogsPage';
 
 // Loading spinner
 const LoadingScreen = () => (
@@ -52,6 +61,11 @@ const ProtectedRoute = ({ children, roles }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Admins whose company requires MFA enroll before anything else
+  if (user?.mfaSetupRequired && location.pathname !== '/settings') {
+    return <Navigate to="/settings?tab=security" replace />;
+  }
+
   if (roles && !roles.includes(user?.role)) {
     return <Navigate to="/dashboard" replace />;
   }
@@ -109,6 +123,16 @@ function App() {
             </PublicRoute>
           }
         />
+        <Route
+          path="/forgot-password"
+          element={
+            <PublicRoute>
+              <ForgotPasswordPage />
+            </PublicRoute>
+          }
+        />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
         <Route path="/auth/callback" element={<AuthCallbackPage />} />
         <Route path="/invite/:token" element={<InvitePage />} />
       </Route>
@@ -129,11 +153,21 @@ function App() {
         <Route path="/personas/:id" element={<PersonaDetailPage />} />
         <Route path="/personas/:id/chat" element={<ChatPage />} />
         <Route path="/personas/:id/chat/:conversationId" element={<ChatPage />} />
+        <Route path="/group-conversations" element={<GroupConversationPage />} />
+        <Route path="/group-conversations/:id" element={<GroupConversationPage />} />
         <Route path="/find-persona" element={<FindPersonaPage />} />
         <Route path="/vcpq" element={<VCPQPage />} />
         <Route path="/vcpq/:id" element={<VCPQPage />} />
         <Route path="/training" element={<TrainingPage />} />
         <Route path="/training/:personaId/:scenarioId" element={<TrainingSessionPage />} />
+        <Route
+          path="/training/scenarios"
+          element={
+            <ProtectedRoute roles={['super_admin', 'company_admin']}>
+              <ScenarioEditorPage />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Admin routes */}
         <Route
@@ -160,6 +194,38 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/lexicons"
+          element={
+            <ProtectedRoute roles={['super_admin', 'company_admin']}>
+              <LexiconEditorPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/instruments"
+          element={
+            <ProtectedRoute roles={['super_admin', 'company_admin']}>
+              <InstrumentsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/team-fit"
+          element={
+            <ProtectedRoute roles={['super_admin', 'company_admin']}>
+              <TeamFitPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/audit-logs"
+          element={
+            <ProtectedRoute roles={['super_admin', 'company_admin']}>
+              <AuditLogsPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/users"
           element={
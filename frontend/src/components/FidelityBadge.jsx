@@ -0,0 +1,30 @@
+import { ShieldCheck, ShieldAlert, ShieldQuestion } from 'lucide-react';
+
+// Outcome of the self-assessment validation run at generation time
+const FIDELITY_STYLES = {
+  passed: { className: 'badge-success', icon: ShieldCheck, label: 'Fidelity' },
+  failed: { className: 'badge-warning', icon: ShieldAlert, label: 'Low fidelity' },
+  error: { className: 'badge-gray', icon: ShieldQuestion, label: 'Not validated' },
+};
+
+const FidelityBadge = ({ status, correlation, className = '' }) => {
+  const style = FIDELITY_STYLES[status];
+  if (!style) return null;
+
+  const Icon = style.icon;
+  const score = correlation !== null && correlation !== undefined
+    ? ` ${Math.round(parseFloat(correlation) * 100)}%`
+    : '';
+
+  return (
+    <span
+      className={`${style.className} text-xs inline-flex items-center gap-1 ${className}`}
+      title="Correlation between the persona's self-assessment and its input vectors"
+    >
+      <Icon className="w-3 h-3" />
+      {style.label}{score}
+    </span>
+  );
+};
+
+export default FidelityBadge;
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import { personasAPI } from '../services/api';
+import { Loader2, Plus, Trash2, Wand2, Save, ThumbsUp, ThumbsDown } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MAX_CRITERIA = 8;
+
+const emptyCriterion = () => ({ name: '', weight: 0, description: '' });
+
+// Textarea lines <-> list of likes/dislikes
+const toLines = (items) => (items || []).join('\n');
+const fromLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const toDraft = (rubric) => ({
+  grading_style: rubric?.grading_style || '',
+  criteria: (rubric?.criteria || []).map(c => ({ name: c.name, weight: c.weight, description: c.description || '' })),
+  likes: toLines(rubric?.likes),
+  dislikes: toLines(rubric?.dislikes),
+});
+
+// View and (for admins) edit the rubric a persona grades training sessions with
+const PersonaRubricEditor = ({ persona, canEdit, onSaved }) => {
+  const rubric = persona.grading_rubric;
+  const [draft, setDraft] = useState(toDraft(rubric));
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [suggesting, setSuggesting] = useState(false);
+
+  const total = draft.criteria.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+  };
+
+  const updateCriterion = (index, changes) => {
+    update({ criteria: draft.criteria.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+
+  // Even split that still sums to 100
+  const spreadEvenly = () => {
+    const count = draft.criteria.length;
+    update({
+      criteria: draft.criteria.map((c, i) => ({ ...c, weight: Math.floor(100 / count) + (i < 100 % count ? 1 : 0) })),
+    });
+  };
+
+  const suggest = async () => {
+    setSuggesting(true);
+    try {
+      const response = await personasAPI.suggestRubric(persona.id);
+      setDraft(toDraft(response.data.rubric));
+      setDirty(true);
+      toast.success('Rubric generated from personality; review and save it');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate rubric');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const save = async (gradingRubric) => {
+    setSaving(true);
+    try {
+      const response = await personasAPI.update(persona.id, {
+        gradingRubric,
+        changeNote: gradingRubric ? 'Edited grading rubric' : 'Reset grading rubric to default',
+      });
+      onSaved?.(response.data);
+      setDraft(toDraft(response.data.grading_rubric));
+      setDirty(false);
+      toast.success(gradingRubric ? 'Rubric saved' : 'Rubric reset to default');
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(details?.length ? details.join('\n') : (error.response?.data?.error || 'Failed to save rubric'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => save({
+    grading_style: draft.grading_style,
+    criteria: draft.criteria.map(c => ({ ...c, weight: Number(c.weight) })),
+    likes: fromLines(draft.likes),
+    dislikes: fromLines(draft.dislikes),
+  });
+
+  if (!canEdit) {
+    if (!rubric) {
+      return <div className="card p-6 text-sm text-gray-500">This persona grades with the default rubric.</div>;
+    }
+    return (
+      <div className="card p-6 space-y-4">
+        {rubric.grading_style && <p className="text-sm text-gray-600 dark:text-gray-400">{rubric.grading_style}</p>}
+        <ul className="space-y-2">
+          {rubric.criteria.map(c => (
+            <li key={c.name} className="flex justify-between text-sm">
+              <span><span className="font-medium text-gray-900 dark:text-white">{c.name}</span> <span className="text-gray-500">{c.description}</span></span>
+              <span className="font-medium">{c.weight}%</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="font-semibold text-gray-900 dark:text-white">Grading rubric</h3>
+            <p className="text-sm text-gray-500">
+              {rubric
+                ? rubric.generated_from ? 'Generated from this persona\'s personality vectors.' : 'Edited by an admin.'
+                : 'No rubric yet: training sessions are graded with the default rubric.'}
+            </p>
+          </div>
+          <button onClick={suggest} disabled={suggesting} className="btn-outline btn-sm">
+            {suggesting ? <Loader2 className="w-4 h-4 animate-spin" /> : <><Wand2 className="w-4 h-4 mr-2" />Generate from personality</>}
+          </button>
+        </div>
+
+        <label className="label">Grading style</label>
+        <textarea
+          value={draft.grading_style}
+          onChange={(e) => update({ grading_style: e.target.value })}
+          rows={2}
+          className="input"
+          placeholder="How this persona judges a conversation"
+        />
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold text-gray-900 dark:text-white">Criteria</h3>
+          <div className="flex items-center gap-3">
+            <span className={`text-sm font-medium ${total === 100 ? 'text-green-600' : 'text-red-600'}`}>Total {total}/100</span>
+            <button onClick={spreadEvenly} disabled={draft.criteria.length === 0} className="btn-outline btn-sm">Spread evenly</button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {draft.criteria.map((criterion, i) => (
+            <div key={i} className="grid grid-cols-12 gap-2 items-start">
+              <input
+                value={criterion.name}
+                onChange={(e) => updateCriterion(i, { name: e.target.value })}
+                className="input col-span-3"
+                placeholder="Name"
+              />
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={criterion.weight}
+                onChange={(e) => updateCriterion(i, { weight: e.target.value === '' ? '' : Number(e.target.value) })}
+                className="input col-span-2"
+                aria-label="Weight"
+              />
+              <input
+                value={criterion.description}
+                onChange={(e) => updateCriterion(i, { description: e.target.value })}
+                className="input col-span-6"
+                placeholder="What the grader asks, e.g. Were you straight to the point?"
+              />
+              <button
+                onClick={() => update({ criteria: draft.criteria.filter((_, j) => j !== i) })}
+                className="col-span-1 p-2 text-gray-400 hover:text-red-600"
+                title="Remove criterion"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={() => update({ criteria: [...draft.criteria, emptyCriterion()] })}
+          disabled={draft.criteria.length >= MAX_CRITERIA}
+          className="btn-outline btn-sm mt-4"
+        >
+          <Plus className="w-4 h-4 mr-2" />Add criterion
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="card p-6">
+          <label className="label flex items-center gap-2"><ThumbsUp className="w-4 h-4 text-green-600" />Likes (one per line)</label>
+          <textarea value={draft.likes} onChange={(e) => update({ likes: e.target.value })} rows={5} className="input" />
+        </div>
+        <div className="card p-6">
+          <label className="label flex items-center gap-2"><ThumbsDown className="w-4 h-4 text-red-600" />Dislikes (one per line)</label>
+          <textarea value={draft.dislikes} onChange={(e) => update({ dislikes: e.target.value })} rows={5} className="input" />
+          <p className="text-xs text-gray-500 mt-1">Dislikes also feed the automatic conversation signals in the score breakdown.</p>
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        {rubric && (
+          <button onClick={() => save(null)} disabled={saving} className="btn-outline">Reset to default</button>
+        )}
+        <button onClick={handleSave} disabled={saving || !dirty || total !== 100 || draft.criteria.length === 0} className="btn-primary">
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <><Save className="w-4 h-4 mr-2" />Save rubric</>}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaRubricEditor;
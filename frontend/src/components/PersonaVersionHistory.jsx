@@ -0,0 +1,237 @@
+import { useEffect, useState } from 'react';
+import { personasAPI } from '../services/api';
+import { Loader2, GitCompare, Undo2, MessageSquare, Star } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const CHANGE_BADGES = {
+  create: 'badge-primary',
+  update: 'badge-gray',
+  rollback: 'badge-warning',
+  archive: 'badge-danger',
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  tagline: 'Tagline',
+  status: 'Status',
+  summary: 'Summary',
+  extended_profile: 'Extended profile',
+  system_prompt: 'System prompt',
+  personality_vectors: 'Personality vectors',
+  grading_rubric: 'Grading rubric',
+  domain_context: 'Domain',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Rendered diff of two versions, one block per changed field
+const VersionDiff = ({ diff }) => {
+  const fields = Object.entries(diff);
+  if (fields.length === 0) {
+    return <p className="text-sm text-gray-500">No differences between these versions.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {fields.map(([field, change]) => (
+        <div key={field}>
+          <p className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{FIELD_LABELS[field] || field}</p>
+
+          {field === 'system_prompt' && (
+            <>
+              <p className="text-xs text-gray-500 mb-1">+{change.added} / −{change.removed} lines</p>
+              <pre className="text-xs bg-gray-50 dark:bg-gray-900 rounded-lg p-3 max-h-64 overflow-auto whitespace-pre-wrap">
+                {change.lines.map((line, i) => (
+                  <div key={i} className={line.type === 'added' ? 'text-green-700 bg-green-50' : 'text-red-700 bg-red-50'}>
+                    {line.type === 'added' ? '+ ' : '− '}{line.text}
+                  </div>
+                ))}
+              </pre>
+            </>
+          )}
+
+          {change.changes && (
+            <table className="w-full text-xs">
+              <tbody>
+                {Object.entries(change.changes).map(([key, c]) => (
+                  <tr key={key} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                    <td className="py-1 pr-2 font-medium text-gray-700 dark:text-gray-300">{key.replace(/_/g, ' ')}</td>
+                    <td className="py-1 pr-2 text-red-700 break-all">{formatValue(c.before)}</td>
+                    <td className="py-1 pr-2 text-green-700 break-all">{formatValue(c.after)}</td>
+                    {c.delta !== undefined && (
+                      <td className="py-1 text-gray-500">{c.delta > 0 ? '+' : ''}{c.delta}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {'before' in change && (
+            <p className="text-xs">
+              <span className="text-red-700 line-through">{formatValue(change.before)}</span>
+              {' → '}
+              <span className="text-green-700">{formatValue(change.after)}</span>
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const PersonaVersionHistory = ({ personaId, canRollback, onRolledBack }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  const loadVersions = async () => {
+    try {
+      const response = await personasAPI.getVersions(personaId);
+      setVersions(response.data.versions);
+      setCurrentVersion(response.data.current_version);
+    } catch (error) {
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadVersions();
+  }, [personaId]);
+
+  // Keep at most two versions selected for comparison
+  const toggleSelected = (version) => {
+    setComparison(null);
+    setSelected(prev => prev.includes(version)
+      ? prev.filter(v => v !== version)
+      : [...prev, version].slice(-2));
+  };
+
+  const compare = async () => {
+    const [from, to] = [...selected].sort((a, b) => a - b);
+    setComparing(true);
+    try {
+      const response = await personasAPI.compareVersions(personaId, from, to);
+      setComparison(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to compare versions');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const rollback = async (version) => {
+    if (!confirm(`Restore version ${version}? The current state is kept in the history.`)) return;
+    setRollingBack(version);
+    try {
+      const response = await personasAPI.rollbackVersion(personaId, version);
+      toast.success(`Restored version ${version}`);
+      onRolledBack?.(response.data.persona);
+      setSelected([]);
+      setComparison(null);
+      await loadVersions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to roll back');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Version History</h3>
+          <button
+            onClick={compare}
+            disabled={selected.length !== 2 || comparing}
+            className="btn-outline btn-sm"
+          >
+            {comparing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <GitCompare className="w-4 h-4 mr-2" />}
+            Compare selected
+          </button>
+        </div>
+
+        <div className="divide-y divide-gray-100 dark:divide-gray-700">
+          {versions.map(v => (
+            <div key={v.id} className="py-3 flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={selected.includes(v.version)}
+                onChange={() => toggleSelected(v.version)}
+                className="mt-1"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold text-gray-900 dark:text-white">v{v.version}</span>
+                  <span className={`${CHANGE_BADGES[v.change_type] || 'badge-gray'} text-xs`}>{v.change_type}</span>
+                  {v.version === currentVersion && <span className="badge-success text-xs">current</span>}
+                  <span className="text-xs text-gray-500">
+                    {new Date(v.created_at).toLocaleString()}
+                    {' • '}
+                    {v.created_by ? `${v.first_name || ''} ${v.last_name || ''}`.trim() || v.created_by_email : 'System'}
+                  </span>
+                </div>
+                {v.note && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">{v.note}</p>}
+                {v.changed_fields?.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Changed: {v.changed_fields.map(f => FIELD_LABELS[f] || f).join(', ')}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mt-1 flex items-center gap-3">
+                  <span className="inline-flex items-center gap-1">
+                    <MessageSquare className="w-3 h-3" /> {v.conversation_count} conversations
+                  </span>
+                  {v.avg_feedback_rating && (
+                    <span className="inline-flex items-center gap-1">
+                      <Star className="w-3 h-3" /> {v.avg_feedback_rating} avg feedback
+                    </span>
+                  )}
+                </p>
+              </div>
+              {canRollback && v.version !== currentVersion && (
+                <button
+                  onClick={() => rollback(v.version)}
+                  disabled={rollingBack !== null}
+                  className="btn-secondary btn-sm"
+                  title="Restore this version"
+                >
+                  {rollingBack === v.version ? <Loader2 className="w-4 h-4 animate-spin" /> : <Undo2 className="w-4 h-4" />}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {comparison && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+            v{comparison.from} → v{comparison.to}
+          </h3>
+          <VersionDiff diff={comparison.diff} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PersonaVersionHistory;
@@ -0,0 +1,260 @@
+import { useCallback, useEffect, useState } from 'react';
+import { questionnairesAPI, usersAPI } from '../services/api';
+import { Loader2, Send, Upload, Trash2, Clock, UserPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const RECIPIENT_BADGES = {
+  pending: 'badge-gray',
+  sent: 'badge-primary',
+  failed: 'badge-danger',
+  opened: 'badge-primary',
+  started: 'badge-warning',
+  completed: 'badge-success',
+};
+
+const FUNNEL = [
+  { key: 'total', label: 'Recipients' },
+  { key: 'sent', label: 'Sent' },
+  { key: 'opened', label: 'Opened' },
+  { key: 'started', label: 'Started' },
+  { key: 'completed', label: 'Completed' },
+];
+
+// <input type="datetime-local"> wants local time without a zone
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Email distribution of a questionnaire: schedule, recipients and their progress
+const QuestionnaireCampaign = ({ questionnaire, onUpdated }) => {
+  const [recipients, setRecipients] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [companyUsers, setCompanyUsers] = useState([]);
+  const [selectedUsers, setSelectedUsers] = useState([]);
+  const [recipientText, setRecipientText] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [endsAt, setEndsAt] = useState(toLocalInput(questionnaire.ends_at));
+  const [reminderHours, setReminderHours] = useState((questionnaire.reminder_hours || []).join(', '));
+  const [savingSchedule, setSavingSchedule] = useState(false);
+
+  const loadRecipients = useCallback(async () => {
+    try {
+      const response = await questionnairesAPI.getRecipients(questionnaire.id);
+      setRecipients(response.data.recipients);
+      setStats(response.data.stats);
+    } catch (error) {
+      console.error('Failed to fetch recipients:', error);
+      toast.error('Failed to load recipients');
+    } finally {
+      setLoading(false);
+    }
+  }, [questionnaire.id]);
+
+  useEffect(() => {
+    loadRecipients();
+  }, [loadRecipients]);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await usersAPI.list({ companyId: questionnaire.company_id, limit: 200 });
+        setCompanyUsers(response.data.users.filter(u => u.is_active !== false));
+      } catch (error) {
+        console.error('Failed to fetch users:', error);
+      }
+    };
+    fetchUsers();
+  }, [questionnaire.company_id]);
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setRecipientText(prev => [prev.trim(), String(reader.result).trim()].filter(Boolean).join('\n'));
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const addRecipients = async () => {
+    if (!recipientText.trim() && selectedUsers.length === 0) {
+      toast.error('Enter emails, upload a CSV or pick users first');
+      return;
+    }
+    setAdding(true);
+    try {
+      const response = await questionnairesAPI.addRecipients(questionnaire.id, {
+        csv: recipientText.trim() || undefined,
+        userIds: selectedUsers,
+      });
+      const { added, skipped } = response.data;
+      toast.success(`Added ${added.length} recipient${added.length === 1 ? '' : 's'}${skipped ? ` (${skipped} already listed)` : ''}`);
+      setRecipientText('');
+      setSelectedUsers([]);
+      await loadRecipients();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(details?.length ? details.slice(0, 3).join('\n') : (error.response?.data?.error || 'Failed to add recipients'));
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const sendInvitations = async () => {
+    setSending(true);
+    try {
+      const response = await questionnairesAPI.sendInvitations(questionnaire.id);
+      const { sent, failed } = response.data;
+      if (failed > 0) toast.error(`${failed} invitation${failed === 1 ? '' : 's'} could not be sent`);
+      if (sent > 0) toast.success(`Sent ${sent} invitation${sent === 1 ? '' : 's'}`);
+      await loadRecipients();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send invitations');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const removeRecipient = async (recipient) => {
+    if (!window.confirm(`Remove ${recipient.email} from this campaign?`)) return;
+    try {
+      await questionnairesAPI.removeRecipient(questionnaire.id, recipient.id);
+      await loadRecipients();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove recipient');
+    }
+  };
+
+  const saveSchedule = async () => {
+    const hours = reminderHours.split(',').map(h => h.trim()).filter(Boolean).map(Number);
+    setSavingSchedule(true);
+    try {
+      const response = await questionnairesAPI.update(questionnaire.id, {
+        endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+        reminderHours: hours,
+      });
+      onUpdated?.(response.data);
+      toast.success('Schedule saved');
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(details?.length ? details.join('\n') : (error.response?.data?.error || 'Failed to save schedule'));
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
+  const unsent = recipients.filter(r => r.status === 'pending' || r.status === 'failed').length;
+  const canSend = questionnaire.status === 'active';
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2"><Clock className="w-4 h-4" />Schedule</h3>
+        <p className="text-sm text-gray-500 mb-4">The questionnaire closes automatically at the end date. Recipients who have not completed it are reminded the given number of hours before.</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="label">Ends at</label>
+            <input type="datetime-local" value={endsAt} onChange={(e) => setEndsAt(e.target.value)} className="input" />
+          </div>
+          <div>
+            <label className="label">Reminders (hours before end)</label>
+            <input type="text" value={reminderHours} onChange={(e) => setReminderHours(e.target.value)} placeholder="e.g. 72, 24" className="input" />
+          </div>
+          <button onClick={saveSchedule} disabled={savingSchedule} className="btn-outline">
+            {savingSchedule ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save schedule'}
+          </button>
+        </div>
+      </div>
+
+      {stats && stats.total > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+          {FUNNEL.map(({ key, label }) => (
+            <div key={key} className="card p-4 text-center">
+              <p className="text-2xl font-bold text-gray-900">{stats[key]}</p>
+              <p className="text-sm text-gray-500">{label}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card p-6">
+        <h3 className="font-semibold text-gray-900 mb-4 flex items-center gap-2"><UserPlus className="w-4 h-4" />Add recipients</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Emails or CSV (email, name per line)</label>
+            <textarea value={recipientText} onChange={(e) => setRecipientText(e.target.value)} rows={5} className="input font-mono text-sm" placeholder={'sam@example.com, Sam Park\nalex@example.com'} />
+            <label className="btn-outline btn-sm mt-2 cursor-pointer inline-flex">
+              <Upload className="w-4 h-4 mr-2" />Upload CSV
+              <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <div>
+            <label className="label">Company users</label>
+            <select multiple value={selectedUsers} onChange={(e) => setSelectedUsers([...e.target.selectedOptions].map(o => o.value))} className="input h-32">
+              {companyUsers.map((u) => (
+                <option key={u.id} value={u.id}>{[u.first_name, u.last_name].filter(Boolean).join(' ') || u.email} ({u.email})</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Hold Ctrl (Cmd on Mac) to pick several.</p>
+          </div>
+        </div>
+        <div className="flex justify-end mt-4">
+          <button onClick={addRecipients} disabled={adding} className="btn-outline">
+            {adding ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Add recipients'}
+          </button>
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="flex items-center justify-between px-6 py-3 border-b border-gray-200">
+          <p className="text-sm text-gray-500">
+            {questionnaire.is_anonymous
+              ? 'Anonymous questionnaire: only each recipient\'s status is tracked, and responses are never linked to them.'
+              : 'Each recipient gets a personal link.'}
+          </p>
+          <button onClick={sendInvitations} disabled={sending || unsent === 0 || !canSend} className="btn-primary btn-sm">
+            {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <><Send className="w-4 h-4 mr-2" />Send to {unsent} unsent</>}
+          </button>
+        </div>
+        {loading ? (
+          <div className="p-12 text-center"><Loader2 className="w-8 h-8 animate-spin mx-auto text-gray-400" /></div>
+        ) : recipients.length > 0 ? (
+          <table className="w-full">
+            <thead className="bg-gray-50"><tr><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recipient</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sent</th>{!questionnaire.is_anonymous && <><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Opened</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Completed</th></>}<th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reminders</th><th className="px-6 py-3" /></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {recipients.map((r) => (
+                <tr key={r.id}>
+                  <td className="px-6 py-4"><p className="text-gray-900">{r.name || r.email}</p>{r.name && <p className="text-xs text-gray-500">{r.email}</p>}</td>
+                  <td className="px-6 py-4">
+                    <span className={RECIPIENT_BADGES[r.status]}>{r.status.charAt(0).toUpperCase() + r.status.slice(1)}</span>
+                    {r.send_error && <p className="text-xs text-red-600 mt-1">{r.send_error}</p>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{formatTime(r.sent_at)}</td>
+                  {!questionnaire.is_anonymous && (
+                    <>
+                      <td className="px-6 py-4 text-sm text-gray-500">{formatTime(r.opened_at)}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{formatTime(r.completed_at)}</td>
+                    </>
+                  )}
+                  <td className="px-6 py-4 text-sm text-gray-500">{r.reminder_count}</td>
+                  <td className="px-6 py-4 text-right">
+                    <button onClick={() => removeRecipient(r)} className="p-1.5 text-gray-400 hover:text-red-600" title="Remove"><Trash2 className="w-4 h-4" /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="p-12 text-center"><Send className="w-12 h-12 mx-auto text-gray-400 mb-4" /><p className="text-gray-500">No recipients yet</p></div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionnaireCampaign;
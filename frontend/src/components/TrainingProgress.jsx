@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { trainingAPI } from '../services/api';
+import { Flame, TrendingUp, TrendingDown, Minus, Lightbulb, BarChart3, ChevronRight } from 'lucide-react';
+
+const LEVEL_BADGES = {
+  expert: 'badge-success',
+  proficient: 'badge-primary',
+  developing: 'badge-warning',
+  novice: 'badge-danger',
+};
+
+// Plain SVG line chart of scores (0-100) in session order
+const ScoreChart = ({ points, width = 480, height = 120, color = '#6366f1' }) => {
+  if (points.length < 2) {
+    return <p className="text-sm text-gray-500">Complete another session to see a trend.</p>;
+  }
+  const step = width / (points.length - 1);
+  const y = (score) => height - (score / 100) * height;
+  const path = points.map((score, i) => `${i * step},${y(score)}`).join(' ');
+
+  return (
+    <svg viewBox={`-4 -4 ${width + 8} ${height + 8}`} className="w-full h-32" preserveAspectRatio="none">
+      {[25, 50, 75].map(line => (
+        <line key={line} x1={0} x2={width} y1={y(line)} y2={y(line)} stroke="#e5e7eb" strokeWidth="1" />
+      ))}
+      <polyline points={path} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      {points.map((score, i) => (
+        <circle key={i} cx={i * step} cy={y(score)} r="3" fill={color} />
+      ))}
+    </svg>
+  );
+};
+
+const Sparkline = ({ points }) => {
+  if (points.length < 2) return null;
+  const width = 80;
+  const height = 24;
+  const step = width / (points.length - 1);
+  const path = points.map((score, i) => `${i * step},${height - (score / 100) * height}`).join(' ');
+  return (
+    <svg width={width} height={height} className="flex-shrink-0">
+      <polyline points={path} fill="none" stroke="#6366f1" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+const TrendIcon = ({ trend }) => {
+  if (trend === null || trend === undefined) return null;
+  if (trend > 0) return <span className="flex items-center text-xs text-green-600"><TrendingUp className="w-3 h-3 mr-0.5" />+{trend}</span>;
+  if (trend < 0) return <span className="flex items-center text-xs text-red-600"><TrendingDown className="w-3 h-3 mr-0.5" />{trend}</span>;
+  return <span className="flex items-center text-xs text-gray-500"><Minus className="w-3 h-3" /></span>;
+};
+
+// Trainee progress: streak, recommended next scenarios, score trend and per-criterion skills
+const TrainingProgress = () => {
+  const [progress, setProgress] = useState(null);
+  const [recommendations, setRecommendations] = useState([]);
+
+  useEffect(() => {
+    Promise.all([trainingAPI.getProgress(), trainingAPI.getRecommendations({ limit: 3 })])
+      .then(([progressResponse, recommendationsResponse]) => {
+        setProgress(progressResponse.data);
+        setRecommendations(recommendationsResponse.data.recommendations || []);
+      })
+      // Progress is optional on the training page
+      .catch(error => console.error(error));
+  }, []);
+
+  if (!progress) return null;
+
+  const { skills, trend, streak } = progress;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card p-4 flex items-center gap-3">
+          <Flame className={`w-8 h-8 ${streak.current > 0 ? 'text-orange-500' : 'text-gray-300'}`} />
+          <div>
+            <p className="text-2xl font-bold text-gray-900 dark:text-white">{streak.current} day{streak.current === 1 ? '' : 's'}</p>
+            <p className="text-sm text-gray-500">
+              Current streak · best {streak.longest}{!streak.practiced_today && streak.current > 0 ? ' · practise today to keep it' : ''}
+            </p>
+          </div>
+        </div>
+        <div className="card p-4">
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{progress.sessions_completed}</p>
+          <p className="text-sm text-gray-500">Sessions completed</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{progress.average_score ?? '-'}</p>
+          <p className="text-sm text-gray-500">Average score</p>
+        </div>
+      </div>
+
+      {recommendations.length > 0 && (
+        <div className="card">
+          <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+            <Lightbulb className="w-5 h-5 text-yellow-500" />
+            <h2 className="font-semibold text-gray-900 dark:text-white">Practise Next</h2>
+          </div>
+          <div className="divide-y divide-gray-100 dark:divide-gray-700">
+            {recommendations.map(rec => (
+              <Link
+                key={`${rec.persona_id}-${rec.scenario_key}`}
+                to={`/training/${rec.persona_id}/${rec.scenario_key}`}
+                className="flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+              >
+                <div className="flex-1">
+                  <h3 className="font-medium text-gray-900 dark:text-white">{rec.title}</h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">{rec.persona_name} · {rec.difficulty}</p>
+                  <p className="text-xs text-gray-500 mt-1">{rec.reasons.join(' · ')}</p>
+                </div>
+                <ChevronRight className="w-5 h-5 text-gray-400" />
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {trend.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="card p-4">
+            <h2 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2 mb-3">
+              <BarChart3 className="w-5 h-5 text-gray-500" />
+              Score Trend
+            </h2>
+            <ScoreChart points={trend.map(t => t.overall_score)} />
+          </div>
+
+          <div className="card p-4">
+            <h2 className="font-semibold text-gray-900 dark:text-white mb-3">Skills</h2>
+            <div className="space-y-3">
+              {skills.map(skill => (
+                <div key={skill.name} className="flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{skill.name}</span>
+                      <span className={`badge ${LEVEL_BADGES[skill.level]}`}>{skill.level}</span>
+                      <TrendIcon trend={skill.trend} />
+                    </div>
+                    <div className="h-1.5 bg-gray-100 dark:bg-gray-700 rounded-full mt-1">
+                      <div className="h-1.5 bg-primary-500 rounded-full" style={{ width: `${skill.score}%` }} />
+                    </div>
+                  </div>
+                  <Sparkline points={trend.map(t => t.criteria[skill.name]).filter(score => score !== undefined)} />
+                  <span className="w-8 text-right text-sm font-medium">{skill.score}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrainingProgress;
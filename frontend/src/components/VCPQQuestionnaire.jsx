@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   ChevronLeft, 
   ChevronRight, 
@@ -11,6 +11,7 @@ import {
   AlertCircle,
   CheckCircle2
 } from 'lucide-react';
+import { useAdaptiveItems } from '../hooks';
 
 // Module icons and colors
 const MODULE_CONFIG = {
@@ -52,15 +53,29 @@ const LIKERT_OPTIONS = [
   { value: 5, label: 'Strongly Agree', shortLabel: 'SA' }
 ];
 
+// Delivery modes: every item, one item per dimension, or follow-ups only where answers disagree
+const DELIVERY_OPTIONS = [
+  { value: 'full', label: 'Full (28)', subtitle: 'Answer these 28 questions to generate a psychometrically-grounded persona.' },
+  { value: 'short', label: 'Short (14)', subtitle: 'Answer one question per trait - 14 in all - for a quicker, less certain persona.' },
+  { value: 'adaptive', label: 'Adaptive', subtitle: 'Start with 14 questions; follow-ups appear only where your answers leave a trait unclear.' }
+];
+
 export default function VCPQQuestionnaire({ 
   onComplete, 
   onCancel,
+  onSubmitResponses,
   initialResponses = {},
   demographics = {},
-  domain = 'general'
+  domain = 'general',
+  title = 'VCPQ Assessment',
+  subtitle,
+  submitLabel = 'Generate Persona',
+  mode: initialMode = 'full',
+  allowModeChange = false
 }) {
   const [questions, setQuestions] = useState([]);
   const [responses, setResponses] = useState(initialResponses);
+  const [mode, setMode] = useState(initialMode);
   const [currentModule, setCurrentModule] = useState(0);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -88,11 +103,29 @@ export default function VCPQQuestionnaire({
     }
   };
 
+  const fetchNextItems = useCallback(async (answers) => {
+    const res = await fetch('/api/vcpq/next-items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ responses: answers })
+    });
+    const data = await res.json();
+    return data.next || [];
+  }, []);
+
+  const { next: followUps, pending: followUpsPending } = useAdaptiveItems(mode === 'adaptive', responses, fetchNextItems);
+
+  // Questions the current delivery mode asks (answered follow-ups stay visible)
+  const isAsked = (q) => mode === 'full'
+    || q.short_form
+    || (mode === 'adaptive' && (responses[q.id] !== undefined || followUps.includes(q.id)));
+  const askedQuestions = questions.filter(isAsked);
+
   // Group questions by module
   const moduleOrder = ['Cognition', 'Communication', 'Hierarchy', 'Operational'];
   const questionsByModule = moduleOrder.map(moduleName => ({
     name: moduleName,
-    questions: questions.filter(q => q.module === moduleName)
+    questions: askedQuestions.filter(q => q.module === moduleName)
   }));
 
   // Current module data
@@ -101,8 +134,8 @@ export default function VCPQQuestionnaire({
   const ModuleIcon = moduleConfig?.icon || Brain;
 
   // Progress calculations
-  const totalQuestions = questions.length;
-  const answeredQuestions = Object.keys(responses).length;
+  const totalQuestions = askedQuestions.length;
+  const answeredQuestions = askedQuestions.filter(q => responses[q.id] !== undefined).length;
   const progress = totalQuestions > 0 ? (answeredQuestions / totalQuestions) * 100 : 0;
 
   const currentModuleAnswered = currentModuleData?.questions.filter(
@@ -122,7 +155,7 @@ export default function VCPQQuestionnaire({
   // Navigation
   const canGoNext = currentModule < moduleOrder.length - 1;
   const canGoPrev = currentModule > 0;
-  const canSubmit = answeredQuestions === totalQuestions;
+  const canSubmit = answeredQuestions === totalQuestions && !(mode === 'adaptive' && followUpsPending);
 
   const handleNext = () => {
     if (canGoNext) {
@@ -142,12 +175,28 @@ export default function VCPQQuestionnaire({
     setSubmitting(true);
     setError(null);
 
+    // Only send answers to questions this mode asked
+    const askedResponses = Object.fromEntries(askedQuestions.map(q => [q.id, responses[q.id]]));
+
+    // Self-assessment: hand the answers back instead of generating a persona
+    if (onSubmitResponses) {
+      try {
+        await onSubmitResponses(askedResponses);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
+
     try {
       const res = await fetch('/api/vcpq/generate-persona', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          responses,
+          responses: askedResponses,
+          mode,
           domain,
           demographics,
           save: true
@@ -198,13 +247,34 @@ export default function VCPQQuestionnaire({
       {/* Header */}
       <div className="mb-8">
         <h1 className="text-2xl font-bold text-gray-900 mb-2">
-          VCPQ Assessment
+          {title}
         </h1>
         <p className="text-gray-600">
-          Answer these 28 questions to generate a psychometrically-grounded persona.
+          {subtitle || DELIVERY_OPTIONS.find(option => option.value === mode)?.subtitle}
         </p>
       </div>
 
+      {/* Delivery Mode */}
+      {allowModeChange && (
+        <div className="flex gap-2 mb-6">
+          {DELIVERY_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              className={`
+                px-4 py-2 rounded-lg text-sm font-medium transition-all
+                ${mode === option.value
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
+                }
+              `}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Overall Progress Bar */}
       <div className="mb-6">
         <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
@@ -354,12 +424,12 @@ export default function VCPQQuestionnaire({
               {submitting ? (
                 <>
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  Generating...
+                  {onSubmitResponses ? 'Submitting...' : 'Generating...'}
                 </>
               ) : (
                 <>
                   <Check className="w-5 h-5" />
-                  Generate Persona
+                  {submitLabel}
                 </>
               )}
             </button>
@@ -370,7 +440,7 @@ export default function VCPQQuestionnaire({
       {/* Skip unanswered hint */}
       {!canSubmit && currentModule === moduleOrder.length - 1 && (
         <p className="text-center text-sm text-gray-500 mt-4">
-          Please answer all questions to generate a persona.
+          Please answer all questions to {onSubmitResponses ? 'continue' : 'generate a persona'}.
           {answeredQuestions < totalQuestions && (
             <span className="ml-1">
               ({totalQuestions - answeredQuestions} remaining)
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../../context/authStore';
+import { authAPI } from '../../services/api';
 import ThemeToggle from './ThemeToggle';
 import {
   LayoutDashboard,
@@ -16,13 +17,34 @@ import {
   ChevronDown,
   Sparkles,
   GraduationCap,
+  BookOpen,
+  ClipboardList,
+  MessagesSquare,
+  LayoutGrid,
+  History,
+  MailWarning,
+  Loader2,
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 const MainLayout = () => {
   const { user, logout, isAdmin, isSuperAdmin } = useAuthStore();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [userMenuOpen, setUserMenuOpen] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
 
   const handleLogout = async () => {
     await logout();
@@ -33,12 +55,17 @@ const MainLayout = () => {
     { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
     { name: 'Personas', href: '/personas', icon: Users },
     { name: 'Training', href: '/training', icon: GraduationCap },
+    { name: 'Group Conversations', href: '/group-conversations', icon: MessagesSquare },
     { name: 'Find My Persona', href: '/find-persona', icon: Search },
   ];
 
   const adminNavigation = [
     { name: 'Questionnaires', href: '/questionnaires', icon: FileQuestion },
+    { name: 'Instruments', href: '/instruments', icon: ClipboardList },
+    { name: 'Lexicons', href: '/lexicons', icon: BookOpen },
+    { name: 'Team Fit', href: '/team-fit', icon: LayoutGrid },
     { name: 'Team Members', href: '/users', icon: Users },
+    { name: 'Audit Log', href: '/audit-logs', icon: History },
   ];
 
   const superAdminNavigation = [
@@ -242,6 +269,23 @@ const MainLayout = () => {
           </div>
         </header>
 
+        {/* Unverified email notice */}
+        {user?.emailVerified === false && (
+          <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 bg-amber-50 dark:bg-amber-900/20 border-b border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-200">
+            <span className="flex items-center gap-2">
+              <MailWarning className="w-4 h-4" />
+              Please confirm your email address using the link we sent to {user.email}.
+            </span>
+            <button
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="font-medium underline hover:no-underline disabled:opacity-50"
+            >
+              {resending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Resend link'}
+            </button>
+          </div>
+        )}
+
         {/* Page content */}
         <main className="p-4 sm:p-6 lg:p-8">
           <Outlet />
@@ -9,6 +9,8 @@ export const useAuthStore = create(
       isAuthenticated: false,
       isLoading: true,
       error: null,
+      // Pending second sign-in step (from /login or an OAuth callback)
+      mfaToken: null,
 
       // Initialize auth state
       initialize: async () => {
@@ -43,6 +45,13 @@ export const useAuthStore = create(
         set({ isLoading: true, error: null });
         try {
           const response = await authAPI.login(email, password);
+
+          // Second step: the login page asks for a code and calls verifyMfa
+          if (response.data.mfaRequired) {
+            set({ isLoading: false, mfaToken: response.data.mfaToken });
+            return { success: false, mfaRequired: true };
+          }
+
           const { user, accessToken, refreshToken } = response.data;
 
           localStorage.setItem('accessToken', accessToken);
@@ -63,6 +72,33 @@ export const useAuthStore = create(
         }
       },
 
+      // Finish an MFA login with an authenticator or recovery code
+      verifyMfa: async (code) => {
+        try {
+          const response = await authAPI.verifyMfa(get().mfaToken, code);
+          const { user, accessToken, refreshToken } = response.data;
+
+          localStorage.setItem('accessToken', accessToken);
+          localStorage.setItem('refreshToken', refreshToken);
+
+          set({
+            user,
+            isAuthenticated: true,
+            mfaToken: null,
+            error: null,
+          });
+
+          return { success: true };
+        } catch (error) {
+          const message = error.response?.data?.error || 'Verification failed';
+          set({ error: message });
+          return { success: false, error: message };
+        }
+      },
+
+      // Start or abandon the second sign-in step
+      setMfaToken: (mfaToken) => set({ mfaToken }),
+
       // Register
       register: async (data) => {
         set({ isLoading: true, error: null });
@@ -239,3 +239,29 @@ export function useMounted() {
   
   return mounted;
 }
+
+/**
+ * Hook for adaptive questionnaire delivery: asks which items are still
+ * needed whenever the answers change. fetchNext(answers) resolves to item ids.
+ */
+export function useAdaptiveItems(enabled, answers, fetchNext) {
+  const [next, setNext] = useState([]);
+  const [pending, setPending] = useState(false);
+  const latest = useRef(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const request = ++latest.current;
+    setPending(true);
+    fetchNext(answers)
+      .then(ids => {
+        if (request === latest.current) setNext(ids);
+      })
+      .catch(err => console.error('Failed to fetch next items:', err))
+      .finally(() => {
+        if (request === latest.current) setPending(false);
+      });
+  }, [enabled, answers, fetchNext]);
+
+  return { next, pending };
+}
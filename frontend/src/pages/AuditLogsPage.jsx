@@ -0,0 +1,275 @@
+import { Fragment, useEffect, useState } from 'react';
+import { auditLogsAPI, companiesAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import { History, Loader2, Download, ChevronLeft, ChevronRight, ChevronDown } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { action: '', entityType: '', startDate: '', endDate: '', companyId: '' };
+
+const ACTION_BADGES = {
+  create: 'badge-success',
+  delete: 'badge-danger',
+  update: 'badge-warning',
+};
+
+const actionBadge = (action) => {
+  const verb = Object.keys(ACTION_BADGES).find(v => action.includes(v));
+  return verb ? ACTION_BADGES[verb] : 'badge-gray';
+};
+
+// Empty filters are left out; the end date covers the whole day
+const toParams = (filters) => Object.fromEntries(Object.entries({
+  ...filters,
+  startDate: filters.startDate ? new Date(`${filters.startDate}T00:00:00`).toISOString() : '',
+  endDate: filters.endDate ? new Date(`${filters.endDate}T23:59:59.999`).toISOString() : '',
+}).filter(([, value]) => value));
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+// Before/after table of the fields an entry changed
+const ChangesTable = ({ changes }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-left text-gray-500">
+        <th className="py-1 pr-4 font-medium w-1/5">Field</th>
+        <th className="py-1 pr-4 font-medium">Before</th>
+        <th className="py-1 font-medium">After</th>
+      </tr>
+    </thead>
+    <tbody>
+      {Object.entries(changes).map(([field, { before, after }]) => (
+        <tr key={field} className="align-top border-t border-gray-100 dark:border-gray-700">
+          <td className="py-1 pr-4 font-mono text-xs text-gray-700 dark:text-gray-300">{field}</td>
+          <td className="py-1 pr-4">
+            <pre className="whitespace-pre-wrap break-all text-xs bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-200 rounded px-2 py-1 max-h-48 overflow-y-auto">
+              {formatValue(before)}
+            </pre>
+          </td>
+          <td className="py-1">
+            <pre className="whitespace-pre-wrap break-all text-xs bg-green-50 text-green-800 dark:bg-green-900/20 dark:text-green-200 rounded px-2 py-1 max-h-48 overflow-y-auto">
+              {formatValue(after)}
+            </pre>
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const AuditLogsPage = () => {
+  const { isSuperAdmin } = useAuthStore();
+  const [groups, setGroups] = useState({});
+  const [companies, setCompanies] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    auditLogsAPI.getActions()
+      .then(response => setGroups(response.data.groups))
+      .catch(() => toast.error('Failed to load audit actions'));
+    if (isSuperAdmin()) {
+      companiesAPI.list()
+        .then(response => setCompanies(response.data.companies || []))
+        .catch(() => setCompanies([]));
+    }
+  }, [isSuperAdmin]);
+
+  useEffect(() => {
+    setLoading(true);
+    setExpanded(null);
+    auditLogsAPI.list({ ...toParams(filters), page, limit: PAGE_SIZE })
+      .then(response => setResult(response.data))
+      .catch(() => toast.error('Failed to load audit logs'))
+      .finally(() => setLoading(false));
+  }, [filters, page]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await auditLogsAPI.export({ ...toParams(filters), format });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export audit logs');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const userName = (log) => (
+    [log.first_name, log.last_name].filter(Boolean).join(' ') || log.user_email || 'System'
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+            <History className="w-7 h-7 text-primary-600" />
+            Audit Log
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Who changed what and when{isSuperAdmin() ? ', across all companies' : ' in your company'}.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {['csv', 'ndjson'].map(format => (
+            <button key={format} onClick={() => handleExport(format)} disabled={!!exporting} className="btn-outline btn-sm">
+              {exporting === format ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="card p-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+        <div>
+          <label className="label">Action</label>
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className="input">
+            <option value="">All actions</option>
+            {Object.entries(groups).map(([group, actions]) => (
+              <optgroup key={group} label={group}>
+                <option value={`${group}.`}>All {group} actions</option>
+                {actions.map(action => <option key={action} value={action}>{action}</option>)}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Entity type</label>
+          <input
+            value={filters.entityType}
+            onChange={(e) => setFilter('entityType', e.target.value.trim())}
+            className="input"
+            placeholder="e.g. persona"
+          />
+        </div>
+        <div>
+          <label className="label">From</label>
+          <input type="date" value={filters.startDate} onChange={(e) => setFilter('startDate', e.target.value)} className="input" />
+        </div>
+        <div>
+          <label className="label">To</label>
+          <input type="date" value={filters.endDate} onChange={(e) => setFilter('endDate', e.target.value)} className="input" />
+        </div>
+        {isSuperAdmin() && (
+          <div>
+            <label className="label">Company</label>
+            <select value={filters.companyId} onChange={(e) => setFilter('companyId', e.target.value)} className="input">
+              <option value="">All companies</option>
+              {companies.map(company => <option key={company.id} value={company.id}>{company.name}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <div className="flex items-center justify-center min-h-[200px]">
+            <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+          </div>
+        ) : !result?.logs.length ? (
+          <p className="p-6 text-center text-gray-500">No audit entries match these filters.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-800 text-left text-gray-600 dark:text-gray-400">
+              <tr>
+                <th className="px-4 py-2 font-medium">Time</th>
+                <th className="px-4 py-2 font-medium">User</th>
+                <th className="px-4 py-2 font-medium">Action</th>
+                <th className="px-4 py-2 font-medium">Entity</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {result.logs.map(log => {
+                const changed = log.changes ? Object.keys(log.changes).length : 0;
+                const open = expanded === log.id;
+                return (
+                  <Fragment key={log.id}>
+                    <tr
+                      onClick={() => setExpanded(open ? null : log.id)}
+                      className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                    >
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-600 dark:text-gray-400">
+                        {new Date(log.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 text-gray-900 dark:text-white">{userName(log)}</td>
+                      <td className="px-4 py-2">
+                        <span className={`badge ${actionBadge(log.action)}`}>{log.action}</span>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600 dark:text-gray-400">
+                        {log.entity_type || '—'}
+                        {log.entity_id && <span className="block font-mono text-xs">{log.entity_id}</span>}
+                      </td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap text-gray-500">
+                        {changed > 0 && <span className="text-xs mr-2">{changed} field{changed === 1 ? '' : 's'}</span>}
+                        <ChevronDown className={`w-4 h-4 inline transition-transform ${open ? 'rotate-180' : ''}`} />
+                      </td>
+                    </tr>
+                    {open && (
+                      <tr>
+                        <td colSpan={5} className="px-4 py-3 bg-gray-50 dark:bg-gray-800/50 space-y-3">
+                          {changed > 0 ? <ChangesTable changes={log.changes} /> : (
+                            <p className="text-sm text-gray-500">No recorded value changes.</p>
+                          )}
+                          {log.metadata && (
+                            <div>
+                              <p className="text-xs font-medium text-gray-500 mb-1">Details</p>
+                              <pre className="whitespace-pre-wrap break-all text-xs text-gray-700 dark:text-gray-300">
+                                {JSON.stringify(log.metadata, null, 2)}
+                              </pre>
+                            </div>
+                          )}
+                          <p className="text-xs text-gray-500">
+                            {log.ip_address || 'Unknown IP'}{log.user_agent ? ` · ${log.user_agent}` : ''}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {result && result.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-500">{result.total} entries</span>
+          <div className="flex items-center gap-2">
+            <button onClick={() => setPage(p => p - 1)} disabled={page <= 1 || loading} className="btn-outline btn-sm">
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-sm text-gray-600 dark:text-gray-400">Page {page} of {result.totalPages}</span>
+            <button onClick={() => setPage(p => p + 1)} disabled={page >= result.totalPages || loading} className="btn-outline btn-sm">
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogsPage;
@@ -6,11 +6,12 @@ import { Loader2 } from 'lucide-react';
 const AuthCallbackPage = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
-  const { handleOAuthCallback } = useAuthStore();
+  const { handleOAuthCallback, setMfaToken } = useAuthStore();
 
   useEffect(() => {
     const accessToken = searchParams.get('accessToken');
     const refreshToken = searchParams.get('refreshToken');
+    const mfaToken = searchParams.get('mfaToken');
     const error = searchParams.get('error');
 
     if (error) {
@@ -18,13 +19,20 @@ const AuthCallbackPage = () => {
       return;
     }
 
+    // The provider sign-in worked; the login page asks for the MFA code
+    if (mfaToken) {
+      setMfaToken(mfaToken);
+      navigate('/login', { replace: true });
+      return;
+    }
+
     if (accessToken && refreshToken) {
       handleOAuthCallback(accessToken, refreshToken);
       navigate('/dashboard');
     } else {
       navigate('/login?error=missing_tokens');
     }
-  }, [searchParams, handleOAuthCallback, navigate]);
+  }, [searchParams, handleOAuthCallback, setMfaToken, navigate]);
 
   return (
     <div className="flex flex-col items-center justify-center min-h-[60vh]">
@@ -12,6 +12,7 @@ import {
   MoreVertical,
   Trash2,
   Save,
+  Square,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -20,6 +21,7 @@ const ChatPage = () => {
   const navigate = useNavigate();
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamAbortRef = useRef(null);
 
   const [persona, setPersona] = useState(null);
   const [conversations, setConversations] = useState([]);
@@ -28,6 +30,7 @@ const ChatPage = () => {
   const [inputValue, setInputValue] = useState('');
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
+  const [streamingId, setStreamingId] = useState(null);
   const [menuOpen, setMenuOpen] = useState(false);
 
   // Fetch persona and conversations
@@ -64,6 +67,9 @@ const ChatPage = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Stop any in-flight stream when leaving the page
+  useEffect(() => () => streamAbortRef.current?.abort(), []);
+
   // Focus input on load
   useEffect(() => {
     if (!loading) {
@@ -119,20 +125,62 @@ const ChatPage = () => {
       },
     ]);
 
+    // Placeholder for the assistant reply, filled in as tokens arrive
+    const streamId = `stream-${Date.now()}`;
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+    let received = false;
+
     try {
-      const response = await personasAPI.sendMessage(convId, userMessage);
-      // Add assistant message
-      setMessages((prev) => [...prev, response.data.message]);
+      await personasAPI.streamMessage(convId, userMessage, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'token') {
+            if (!received) {
+              received = true;
+              setStreamingId(streamId);
+              setMessages((prev) => [
+                ...prev,
+                {
+                  id: streamId,
+                  role: 'assistant',
+                  content: data.content,
+                  created_at: new Date().toISOString(),
+                },
+              ]);
+            } else {
+              setMessages((prev) =>
+                prev.map((m) => (m.id === streamId ? { ...m, content: m.content + data.content } : m))
+              );
+            }
+          } else if (event === 'done' && data.message) {
+            // Swap the placeholder for the persisted message
+            setMessages((prev) => prev.map((m) => (m.id === streamId ? data.message : m)));
+          } else if (event === 'error') {
+            throw new Error(data.error);
+          }
+        },
+      });
     } catch (error) {
-      toast.error('Failed to send message');
-      // Remove optimistic message on error
-      setMessages((prev) => prev.filter((m) => !m.id.toString().startsWith('temp-')));
+      if (error.name !== 'AbortError') {
+        toast.error('Failed to send message');
+        // Remove optimistic messages on error
+        if (!received) {
+          setMessages((prev) => prev.filter((m) => !m.id.toString().startsWith('temp-')));
+        }
+      }
     } finally {
+      streamAbortRef.current = null;
+      setStreamingId(null);
       setSending(false);
       inputRef.current?.focus();
     }
   };
 
+  const stopStreaming = () => {
+    streamAbortRef.current?.abort();
+  };
+
   const loadConversation = async (convId) => {
     try {
       const response = await personasAPI.getConversation(convId);
@@ -339,14 +387,19 @@ const ChatPage = () => {
                       : 'bg-white border border-gray-200 text-gray-900 rounded-bl-md'
                   }`}
                 >
-                  <p className="whitespace-pre-wrap">{message.content}</p>
+                  <p className="whitespace-pre-wrap">
+                    {message.content}
+                    {message.id === streamingId && (
+                      <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" />
+                    )}
+                  </p>
                 </div>
               </div>
             ))
           )}
 
-          {/* Typing indicator */}
-          {sending && (
+          {/* Typing indicator (until the first token arrives) */}
+          {sending && !streamingId && (
             <div className="flex items-start gap-3">
               <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-primary-400 to-secondary-500 flex items-center justify-center">
                 <span className="text-white text-sm font-bold">{persona?.name[0]}</span>
@@ -376,17 +429,28 @@ const ChatPage = () => {
               disabled={sending}
               className="input flex-1"
             />
-            <button
-              type="submit"
-              disabled={!inputValue.trim() || sending}
-              className="btn-primary p-3"
-            >
-              {sending ? (
-                <Loader2 className="w-5 h-5 animate-spin" />
-              ) : (
+            {sending ? (
+              <button
+                type="button"
+                onClick={stopStreaming}
+                className="btn-secondary p-3"
+                title="Stop generating"
+              >
+                {streamingId ? (
+                  <Square className="w-5 h-5" />
+                ) : (
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                )}
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputValue.trim()}
+                className="btn-primary p-3"
+              >
                 <Send className="w-5 h-5" />
-              )}
-            </button>
+              </button>
+            )}
           </form>
         </div>
       </div>
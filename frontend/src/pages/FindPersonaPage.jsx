@@ -1,36 +1,91 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { personasAPI } from '../services/api';
 import { useAuthStore } from '../context/authStore';
+import VCPQQuestionnaire from '../components/VCPQQuestionnaire';
 import {
   Search,
   Loader2,
   MessageSquare,
   ChevronRight,
   Sparkles,
+  ClipboardList,
+  Layers,
+  History,
+  CheckCircle2,
+  RotateCcw,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const MODES = [
+  {
+    id: 'llm',
+    label: 'Describe yourself',
+    icon: Sparkles,
+    hint: 'AI ranks personas against a free-text description',
+  },
+  {
+    id: 'vector',
+    label: 'Self-assessment',
+    icon: ClipboardList,
+    hint: 'Deterministic: your VCPQ answers are compared with each persona\'s vectors',
+  },
+  {
+    id: 'hybrid',
+    label: 'Hybrid',
+    icon: Layers,
+    hint: 'Blends the self-assessment score with the AI ranking',
+  },
+];
+
+const MODE_LABELS = { llm: 'Description', vector: 'Self-assessment', hybrid: 'Hybrid' };
+
 const FindPersonaPage = () => {
   const { user } = useAuthStore();
+  const [mode, setMode] = useState('llm');
   const [description, setDescription] = useState('');
+  const [responses, setResponses] = useState(null);
+  const [showAssessment, setShowAssessment] = useState(false);
   const [results, setResults] = useState(null);
+  const [resultMode, setResultMode] = useState('llm');
   const [loading, setLoading] = useState(false);
+  const [view, setView] = useState('search');
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!description.trim() || description.length < 10) {
-      toast.error('Please provide a longer description (at least 10 characters)');
-      return;
+  const needsDescription = mode !== 'vector';
+  const needsAssessment = mode !== 'llm';
+  const canSearch = (!needsDescription || description.trim().length >= 10) && (!needsAssessment || responses);
+
+  useEffect(() => {
+    if (view === 'history') {
+      fetchHistory();
     }
+  }, [view]);
 
+  const fetchHistory = async () => {
+    setHistoryLoading(true);
+    try {
+      const response = await personasAPI.getSimilaritySearches({ limit: 20 });
+      setHistory(response.data.searches);
+    } catch (error) {
+      toast.error('Failed to load past searches');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const runSearch = async (answers = responses) => {
     setLoading(true);
     try {
       const response = await personasAPI.findSimilar({
-        description,
+        mode,
+        description: needsDescription ? description : undefined,
+        responses: needsAssessment ? answers : undefined,
         companyId: user?.company?.id,
       });
       setResults(response.data.results);
+      setResultMode(response.data.mode);
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to find similar personas');
     } finally {
@@ -38,6 +93,34 @@ const FindPersonaPage = () => {
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (needsDescription && (!description.trim() || description.length < 10)) {
+      toast.error('Please provide a longer description (at least 10 characters)');
+      return;
+    }
+    if (needsAssessment && !responses) {
+      toast.error('Please complete the self-assessment first');
+      return;
+    }
+    runSearch();
+  };
+
+  const handleAssessmentComplete = async (answers) => {
+    setResponses(answers);
+    setShowAssessment(false);
+    // Nothing else to fill in for a pure vector search
+    if (mode === 'vector') {
+      await runSearch(answers);
+    }
+  };
+
+  const openSearch = (search) => {
+    setResults(search.results);
+    setResultMode(search.mode);
+    setView('search');
+  };
+
   const getSimilarityColor = (score) => {
     if (score >= 0.8) return 'text-green-600 bg-green-100';
     if (score >= 0.6) return 'text-yellow-600 bg-yellow-100';
@@ -76,6 +159,18 @@ const FindPersonaPage = () => {
             >
               {Math.round(result.similarity_score * 100)}% match
             </span>
+            {resultMode === 'hybrid' && (
+              <span className="text-xs text-gray-500">
+                {typeof result.vector_score === 'number' && `Vectors ${Math.round(result.vector_score * 100)}%`}
+                {typeof result.vector_score === 'number' && typeof result.llm_score === 'number' && ' · '}
+                {typeof result.llm_score === 'number' && `AI ${Math.round(result.llm_score * 100)}%`}
+              </span>
+            )}
+            {resultMode === 'vector' && typeof result.cosine_similarity === 'number' && (
+              <span className="text-xs text-gray-500">
+                Cosine {result.cosine_similarity.toFixed(2)} · Distance {result.euclidean_distance.toFixed(2)}
+              </span>
+            )}
           </div>
 
           {/* Matching traits */}
@@ -97,6 +192,25 @@ const FindPersonaPage = () => {
             </div>
           )}
 
+          {/* Diverging traits */}
+          {result.diverging_traits && result.diverging_traits.length > 0 && (
+            <div className="mb-4">
+              <p className="text-xs text-gray-500 uppercase tracking-wider mb-2">
+                Where You Differ
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {result.diverging_traits.map((trait) => (
+                  <span
+                    key={trait}
+                    className="px-2 py-1 bg-orange-50 text-orange-700 rounded-lg text-sm"
+                  >
+                    {trait}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Actions */}
           <div className="flex items-center gap-3">
             <Link
@@ -128,54 +242,185 @@ const FindPersonaPage = () => {
         </div>
         <h1 className="text-3xl font-bold text-gray-900">Find My Persona</h1>
         <p className="text-gray-600 mt-2 max-w-md mx-auto">
-          Describe yourself, your communication style, and work preferences.
+          Describe yourself or take a short self-assessment.
           We'll find the persona that matches you best.
         </p>
       </div>
 
+      {/* View tabs */}
+      <div className="flex justify-center gap-2">
+        <button
+          onClick={() => setView('search')}
+          className={view === 'search' ? 'btn-primary btn-sm' : 'btn-secondary btn-sm'}
+        >
+          <Search className="w-4 h-4 mr-1" />
+          New Search
+        </button>
+        <button
+          onClick={() => setView('history')}
+          className={view === 'history' ? 'btn-primary btn-sm' : 'btn-secondary btn-sm'}
+        >
+          <History className="w-4 h-4 mr-1" />
+          My Past Searches
+        </button>
+      </div>
+
+      {/* Past searches */}
+      {view === 'history' && (
+        <div className="card divide-y divide-gray-100">
+          {historyLoading ? (
+            <div className="p-8 flex justify-center">
+              <Loader2 className="w-6 h-6 animate-spin text-primary-600" />
+            </div>
+          ) : history.length === 0 ? (
+            <p className="p-8 text-center text-gray-500">You haven't searched yet.</p>
+          ) : (
+            history.map((search) => (
+              <button
+                key={search.id}
+                onClick={() => openSearch(search)}
+                className="w-full p-4 text-left hover:bg-gray-50 flex items-center gap-4"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="px-2 py-0.5 rounded-lg bg-primary-50 text-primary-700 text-xs font-medium">
+                      {MODE_LABELS[search.mode] || search.mode}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {new Date(search.created_at).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 truncate">
+                    {search.description || 'VCPQ self-assessment'}
+                  </p>
+                  {search.results[0]?.persona && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Best match: {search.results[0].persona.name} ({Math.round(search.results[0].similarity_score * 100)}%)
+                    </p>
+                  )}
+                </div>
+                <ChevronRight className="w-5 h-5 text-gray-400" />
+              </button>
+            ))
+          )}
+        </div>
+      )}
+
+      {/* Self-assessment */}
+      {view === 'search' && showAssessment && (
+        <div className="card p-6">
+          <VCPQQuestionnaire
+            title="Self-Assessment"
+            subtitle="Rate how well each statement describes you. Your answers become the vectors we compare with each persona."
+            submitLabel={mode === 'vector' ? 'Find Matches' : 'Save Answers'}
+            initialResponses={responses || {}}
+            onSubmitResponses={handleAssessmentComplete}
+            onCancel={() => setShowAssessment(false)}
+          />
+        </div>
+      )}
+
       {/* Search form */}
-      <div className="card p-6">
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="description" className="label">
-              Describe yourself
-            </label>
-            <textarea
-              id="description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              placeholder="I'm someone who prefers direct communication and values efficiency. I like to get straight to the point in meetings and appreciate when others do the same. I'm motivated by solving complex problems and learning new technologies. I can sometimes get frustrated by unclear requirements or too many unnecessary meetings..."
-              rows={6}
-              className="input resize-none"
-            />
-            <p className="mt-1 text-xs text-gray-500">
-              Include details about your communication style, values, motivations,
-              and what frustrates you at work.
-            </p>
-          </div>
+      {view === 'search' && !showAssessment && (
+        <div className="card p-6">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {/* Mode */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {MODES.map(({ id, label, icon: Icon, hint }) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setMode(id)}
+                  className={`p-3 rounded-xl border text-left transition-all ${
+                    mode === id
+                      ? 'border-primary-500 bg-primary-50'
+                      : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-center gap-2 font-medium text-gray-900">
+                    <Icon className="w-4 h-4 text-primary-600" />
+                    {label}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{hint}</p>
+                </button>
+              ))}
+            </div>
 
-          <button
-            type="submit"
-            disabled={loading || description.length < 10}
-            className="btn-primary w-full py-3"
-          >
-            {loading ? (
-              <>
-                <Loader2 className="w-5 h-5 animate-spin mr-2" />
-                Finding matches...
-              </>
-            ) : (
-              <>
-                <Search className="w-5 h-5 mr-2" />
-                Find Matching Personas
-              </>
+            {needsAssessment && (
+              <div className="flex items-center justify-between p-4 rounded-xl bg-gray-50">
+                {responses ? (
+                  <span className="flex items-center gap-2 text-sm text-green-700">
+                    <CheckCircle2 className="w-4 h-4" />
+                    Self-assessment complete
+                  </span>
+                ) : (
+                  <span className="text-sm text-gray-600">
+                    28 quick statements about how you work
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setShowAssessment(true)}
+                  className="btn-secondary btn-sm"
+                >
+                  {responses ? (
+                    <>
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Retake
+                    </>
+                  ) : (
+                    <>
+                      <ClipboardList className="w-4 h-4 mr-1" />
+                      Take Self-Assessment
+                    </>
+                  )}
+                </button>
+              </div>
             )}
-          </button>
-        </form>
-      </div>
+
+            {needsDescription && (
+              <div>
+                <label htmlFor="description" className="label">
+                  Describe yourself
+                </label>
+                <textarea
+                  id="description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="I'm someone who prefers direct communication and values efficiency. I like to get straight to the point in meetings and appreciate when others do the same. I'm motivated by solving complex problems and learning new technologies. I can sometimes get frustrated by unclear requirements or too many unnecessary meetings..."
+                  rows={6}
+                  className="input resize-none"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Include details about your communication style, values, motivations,
+                  and what frustrates you at work.
+                </p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading || !canSearch}
+              className="btn-primary w-full py-3"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin mr-2" />
+                  Finding matches...
+                </>
+              ) : (
+                <>
+                  <Search className="w-5 h-5 mr-2" />
+                  Find Matching Personas
+                </>
+              )}
+            </button>
+          </form>
+        </div>
+      )}
 
       {/* Results */}
-      {results && (
+      {view === 'search' && !showAssessment && results && (
         <div className="space-y-4">
           <h2 className="text-xl font-semibold text-gray-900">
             {results.length > 0
@@ -200,7 +445,7 @@ const FindPersonaPage = () => {
       )}
 
       {/* Tips */}
-      {!results && (
+      {view === 'search' && !showAssessment && !results && mode !== 'vector' && (
         <div className="card p-6 bg-blue-50 border-blue-100">
           <h3 className="font-semibold text-blue-900 mb-3">
             💡 Tips for better matches
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { authAPI } from '../services/api';
+import { Loader2, MailCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const forgotSchema = z.object({
+  email: z.string().email('Please enter a valid email'),
+});
+
+const ForgotPasswordPage = () => {
+  const [sentTo, setSentTo] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(forgotSchema),
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await authAPI.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to request password reset');
+    }
+  };
+
+  if (sentTo) {
+    return (
+      <div className="animate-fade-in text-center">
+        <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-green-100 flex items-center justify-center">
+          <MailCheck className="w-8 h-8 text-green-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900">Check your email</h2>
+        <p className="text-gray-600 mt-2">
+          If an account exists for <span className="font-medium">{sentTo}</span>, we've sent a link
+          to reset your password. The link expires in one hour.
+        </p>
+        <Link to="/login" className="btn-primary w-full py-3 mt-8">
+          Back to sign in
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      <div className="text-center mb-8">
+        <h2 className="text-2xl font-bold text-gray-900">Forgot your password?</h2>
+        <p className="text-gray-600 mt-2">Enter your email and we'll send you a reset link</p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div>
+          <label htmlFor="email" className="label">
+            Email address
+          </label>
+          <input
+            {...register('email')}
+            type="email"
+            id="email"
+            autoComplete="email"
+            className={`input ${errors.email ? 'input-error' : ''}`}
+            placeholder="you@company.com"
+          />
+          {errors.email && (
+            <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="btn-primary w-full py-3"
+        >
+          {isSubmitting ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            'Send reset link'
+          )}
+        </button>
+      </form>
+
+      <p className="mt-6 text-center text-sm text-gray-600">
+        Remembered it?{' '}
+        <Link to="/login" className="font-medium text-primary-600 hover:text-primary-700">
+          Sign in
+        </Link>
+      </p>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,295 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { groupConversationsAPI, personasAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import { ArrowLeft, Loader2, Plus, Send, MessagesSquare, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MIN_PERSONAS = 2;
+const MAX_PERSONAS = 6;
+
+// One colour per seat so speakers are easy to tell apart
+const SEAT_COLORS = [
+  'bg-blue-100 text-blue-900 dark:bg-blue-900/30 dark:text-blue-100',
+  'bg-purple-100 text-purple-900 dark:bg-purple-900/30 dark:text-purple-100',
+  'bg-amber-100 text-amber-900 dark:bg-amber-900/30 dark:text-amber-100',
+  'bg-teal-100 text-teal-900 dark:bg-teal-900/30 dark:text-teal-100',
+  'bg-rose-100 text-rose-900 dark:bg-rose-900/30 dark:text-rose-100',
+  'bg-lime-100 text-lime-900 dark:bg-lime-900/30 dark:text-lime-100',
+];
+
+// Pick personas and a topic, or reopen an earlier meeting
+const NewMeeting = () => {
+  const { user } = useAuthStore();
+  const navigate = useNavigate();
+  const [personas, setPersonas] = useState([]);
+  const [meetings, setMeetings] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [topic, setTopic] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [companyRes, defaultsRes, meetingsRes] = await Promise.all([
+          user?.company?.id ? personasAPI.list({ companyId: user.company.id }) : Promise.resolve({ data: { personas: [] } }),
+          personasAPI.getDefaults(),
+          groupConversationsAPI.list(),
+        ]);
+        setPersonas([...companyRes.data.personas, ...defaultsRes.data.personas]);
+        setMeetings(meetingsRes.data.conversations);
+      } catch (error) {
+        console.error('Failed to load personas:', error);
+        toast.error('Failed to load personas');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [user?.company?.id]);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id)
+      ? prev.filter(p => p !== id)
+      : prev.length < MAX_PERSONAS ? [...prev, id] : prev));
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const response = await groupConversationsAPI.create({ personaIds: selected, topic: topic.trim() || undefined });
+      navigate(`/group-conversations/${response.data.conversation.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start meeting');
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <MessagesSquare className="w-7 h-7 text-primary-600" />
+          Group Conversations
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Bring {MIN_PERSONAS} to {MAX_PERSONAS} personas into one meeting. They take turns according to their personalities and react to each other.
+        </p>
+      </div>
+
+      <div className="card p-6 space-y-4">
+        <h2 className="font-semibold text-gray-900 dark:text-white">New meeting</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {personas.map(persona => {
+            const seat = selected.indexOf(persona.id);
+            return (
+              <button
+                key={persona.id}
+                onClick={() => toggle(persona.id)}
+                className={`flex items-center gap-3 p-3 rounded-lg border text-left transition-colors ${seat >= 0
+                  ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                  : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
+              >
+                <div className="w-9 h-9 rounded-full bg-gradient-to-br from-primary-500 to-purple-600 flex items-center justify-center text-white font-bold">
+                  {seat >= 0 ? <Check className="w-4 h-4" /> : persona.name.charAt(0)}
+                </div>
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">{persona.name}</p>
+                  <p className="text-xs text-gray-500 truncate">{persona.tagline}</p>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div>
+          <label className="label">Topic (optional)</label>
+          <input
+            value={topic}
+            onChange={(e) => setTopic(e.target.value)}
+            className="input"
+            placeholder="e.g. Should we delay the Q3 launch by two weeks?"
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-500">{selected.length}/{MAX_PERSONAS} selected</span>
+          <button
+            onClick={handleCreate}
+            disabled={creating || selected.length < MIN_PERSONAS}
+            className="btn-primary"
+          >
+            {creating ? <Loader2 className="w-4 h-4 animate-spin" /> : <><Plus className="w-4 h-4 mr-2" />Start meeting</>}
+          </button>
+        </div>
+      </div>
+
+      {meetings.length > 0 && (
+        <div className="card divide-y divide-gray-100 dark:divide-gray-700">
+          {meetings.map(meeting => (
+            <Link
+              key={meeting.id}
+              to={`/group-conversations/${meeting.id}`}
+              className="flex items-center justify-between p-4 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+            >
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">{meeting.title}</p>
+                <p className="text-sm text-gray-500">{(meeting.persona_names || []).join(', ')} · {meeting.message_count} messages</p>
+              </div>
+              <span className="text-xs text-gray-500">
+                {new Date(meeting.last_message_at || meeting.created_at).toLocaleDateString()}
+              </span>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The meeting room: transcript with a colour per speaker
+const MeetingRoom = ({ id }) => {
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const endRef = useRef(null);
+  const [conversation, setConversation] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    groupConversationsAPI.get(id)
+      .then(response => {
+        setConversation(response.data.conversation);
+        setParticipants(response.data.participants);
+        setMessages(response.data.messages);
+      })
+      .catch(() => {
+        toast.error('Failed to load meeting');
+        navigate('/group-conversations');
+      });
+  }, [id, navigate]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const seatOf = (personaId) => participants.find(p => p.id === personaId)?.seat ?? 0;
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const content = input.trim();
+    if (!content || sending) return;
+
+    setSending(true);
+    setInput('');
+    const pending = { id: `pending-${Date.now()}`, speaker_type: 'user', content };
+    setMessages(prev => [...prev, pending]);
+
+    try {
+      const response = await groupConversationsAPI.sendMessage(id, { content });
+      setMessages(prev => [...prev.filter(m => m.id !== pending.id), response.data.message, ...response.data.replies]);
+    } catch (error) {
+      setMessages(prev => prev.filter(m => m.id !== pending.id));
+      setInput(content);
+      toast.error(error.response?.data?.error || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!conversation) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-[calc(100vh-8rem)]">
+      <div className="flex items-center gap-3 pb-4 border-b border-gray-200 dark:border-gray-700">
+        <Link to="/group-conversations" className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700">
+          <ArrowLeft className="w-5 h-5" />
+        </Link>
+        <div className="flex-1 min-w-0">
+          <h1 className="font-semibold text-gray-900 dark:text-white truncate">{conversation.title}</h1>
+          {conversation.topic && <p className="text-sm text-gray-500 truncate">{conversation.topic}</p>}
+        </div>
+        <div className="flex -space-x-2">
+          {participants.map(p => (
+            <span
+              key={p.id}
+              title={p.name}
+              className={`w-8 h-8 rounded-full border-2 border-white dark:border-gray-800 flex items-center justify-center text-xs font-bold ${SEAT_COLORS[p.seat % SEAT_COLORS.length]}`}
+            >
+              {p.name.charAt(0)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto py-4 space-y-3">
+        {messages.length === 0 && (
+          <p className="text-center text-sm text-gray-500 py-12">
+            Open the meeting. Mention someone by name to give them the floor.
+          </p>
+        )}
+        {messages.map(message => (
+          message.speaker_type === 'user' ? (
+            <div key={message.id} className="flex justify-end">
+              <div className="max-w-[75%] rounded-xl px-4 py-2 bg-primary-600 text-white">
+                <p className="text-xs opacity-75 mb-0.5">{user?.firstName || 'You'}</p>
+                <p className="whitespace-pre-wrap">{message.content}</p>
+              </div>
+            </div>
+          ) : (
+            <div key={message.id} className="flex justify-start">
+              <div className={`max-w-[75%] rounded-xl px-4 py-2 ${SEAT_COLORS[seatOf(message.persona_id) % SEAT_COLORS.length]}`}>
+                <p className="text-xs font-semibold mb-0.5" title={message.turn_reason || undefined}>{message.speaker_name}</p>
+                <p className="whitespace-pre-wrap">{message.content}</p>
+              </div>
+            </div>
+          )
+        ))}
+        {sending && (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            The room is responding...
+          </div>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={handleSend} className="flex gap-2 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          className="input flex-1"
+          placeholder="Say something to the room..."
+          disabled={sending}
+        />
+        <button type="submit" disabled={sending || !input.trim()} className="btn-primary">
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const GroupConversationPage = () => {
+  const { id } = useParams();
+  return id ? <MeetingRoom id={id} /> : <NewMeeting />;
+};
+
+export default GroupConversationPage;
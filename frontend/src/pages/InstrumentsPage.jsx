@@ -0,0 +1,389 @@
+import { useEffect, useState } from 'react';
+import { questionnairesAPI, vcpqAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import {
+  Plus,
+  Loader2,
+  Pencil,
+  Trash2,
+  Copy,
+  ClipboardList,
+  History,
+  X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_ITEM = { id: '', module: '', question: '', meta_vector: '', reversed: false, weight: 1 };
+
+const EMPTY_INSTRUMENT = { name: '', description: '', note: '', questions: [] };
+
+// Next free item id like item_5
+const nextItemId = (questions) => {
+  let n = questions.length + 1;
+  while (questions.some((q) => q.id === `item_${n}`)) n += 1;
+  return `item_${n}`;
+};
+
+// Convert a template row into form state
+const toForm = (template) => ({
+  name: template.name,
+  description: template.description || '',
+  note: '',
+  questions: template.questions.map((q) => ({
+    id: q.id,
+    module: q.module || '',
+    question: q.question,
+    meta_vector: q.meta_vector,
+    reversed: q.reversed === true,
+    weight: q.weight ?? 1,
+  })),
+});
+
+const InstrumentsPage = () => {
+  const { isSuperAdmin } = useAuthStore();
+  const [templates, setTemplates] = useState([]);
+  const [vectorLabels, setVectorLabels] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_INSTRUMENT);
+  const [versions, setVersions] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [templatesRes, labelsRes] = await Promise.all([
+          questionnairesAPI.getTemplates(),
+          vcpqAPI.getVectorLabels(),
+        ]);
+        setTemplates(templatesRes.data.templates);
+        setVectorLabels(labelsRes.data.labels);
+      } catch (error) {
+        toast.error('Failed to load instruments');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const openEditor = async (template = null, copy = false) => {
+    setEditing(template && !copy ? template.id : 'new');
+    setForm(template ? { ...toForm(template), name: copy ? `${template.name} (copy)` : template.name } : EMPTY_INSTRUMENT);
+    setVersions([]);
+
+    if (template && !copy) {
+      try {
+        const response = await questionnairesAPI.getTemplate(template.id);
+        setVersions(response.data.versions);
+      } catch (error) {
+        console.error('Failed to fetch versions:', error);
+      }
+    }
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setForm(EMPTY_INSTRUMENT);
+    setVersions([]);
+  };
+
+  const handleChange = (field) => (e) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const updateItem = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (i === index ? { ...q, [field]: value } : q)),
+    }));
+  };
+
+  const addItem = () => {
+    setForm((prev) => ({
+      ...prev,
+      questions: [...prev.questions, { ...EMPTY_ITEM, id: nextItemId(prev.questions) }],
+    }));
+  };
+
+  const removeItem = (index) => {
+    setForm((prev) => ({ ...prev, questions: prev.questions.filter((_, i) => i !== index) }));
+  };
+
+  const showError = (error, fallback) => {
+    const data = error.response?.data;
+    toast.error(data?.details?.[0] || data?.error || fallback);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      name: form.name,
+      description: form.description || null,
+      questions: form.questions.map((q) => ({
+        ...q,
+        module: q.module || null,
+        weight: parseFloat(q.weight) || 1,
+      })),
+    };
+
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        const response = await questionnairesAPI.createTemplate(data);
+        setTemplates((prev) => [...prev, {
+          ...response.data.template,
+          question_count: data.questions.length,
+          questionnaire_count: 0,
+        }]);
+        toast.success('Instrument created');
+      } else {
+        const response = await questionnairesAPI.updateTemplate(editing, { ...data, note: form.note || null });
+        const { template, versioned } = response.data;
+        setTemplates((prev) => prev.map((t) => (
+          t.id === editing ? { ...t, ...template, question_count: data.questions.length } : t
+        )));
+        toast.success(versioned ? `Saved as version ${template.version}` : 'Instrument saved');
+      }
+      closeEditor();
+    } catch (error) {
+      showError(error, 'Failed to save instrument');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Retire "${template.name}"? Questionnaires created from it keep their version.`)) return;
+
+    try {
+      await questionnairesAPI.deleteTemplate(template.id);
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+      toast.success('Instrument retired');
+    } catch (error) {
+      toast.error('Failed to retire instrument');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  const canEdit = (template) => !template.is_built_in && (template.company_id || isSuperAdmin());
+  const vectorName = (key) => key && vectorLabels[key]
+    ? `${key.replace(/_/g, ' ')} (${vectorLabels[key].low} ↔ ${vectorLabels[key].high})`
+    : key;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Questionnaire Instruments</h1>
+          <p className="text-gray-600">Scored Likert items and the personality dimension each one measures.</p>
+        </div>
+        {!editing && (
+          <button onClick={() => openEditor()} className="btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New Instrument
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          <form onSubmit={handleSave} className="card p-6 space-y-4 xl:col-span-2">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {editing === 'new' ? 'New Instrument' : 'Edit Instrument'}
+              </h2>
+              <button type="button" onClick={closeEditor} className="p-2 rounded-lg hover:bg-gray-100">
+                <X className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input className="input" value={form.name} onChange={handleChange('name')} required maxLength={255} />
+              </div>
+              <div>
+                <label className="label">Description</label>
+                <input className="input" value={form.description} onChange={handleChange('description')} />
+              </div>
+            </div>
+
+            <div className="border-t border-gray-200 pt-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-700">
+                  Items ({form.questions.length}) · answered on a 1-5 agreement scale
+                </p>
+                <button type="button" onClick={addItem} className="btn-outline btn-sm">
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Item
+                </button>
+              </div>
+
+              {form.questions.map((item, index) => (
+                <div key={index} className="p-3 bg-gray-50 rounded-lg space-y-2">
+                  <div className="flex items-start gap-2">
+                    <input
+                      className="input w-28 font-mono text-sm"
+                      value={item.id}
+                      onChange={(e) => updateItem(index, 'id', e.target.value)}
+                      placeholder="id"
+                      required
+                    />
+                    <input
+                      className="input flex-1"
+                      value={item.question}
+                      onChange={(e) => updateItem(index, 'question', e.target.value)}
+                      placeholder="Statement, e.g. I double-check my work before sharing it."
+                      required
+                    />
+                    <button type="button" onClick={() => removeItem(index)} className="p-2 text-gray-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                    <input
+                      className="input text-sm"
+                      value={item.module}
+                      onChange={(e) => updateItem(index, 'module', e.target.value)}
+                      placeholder="Module (optional)"
+                    />
+                    <select
+                      className="input text-sm md:col-span-2"
+                      value={item.meta_vector}
+                      onChange={(e) => updateItem(index, 'meta_vector', e.target.value)}
+                      required
+                    >
+                      <option value="">Measures…</option>
+                      {Object.keys(vectorLabels).map((key) => (
+                        <option key={key} value={key}>{vectorName(key)}</option>
+                      ))}
+                    </select>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="number"
+                        min={0.5}
+                        max={3}
+                        step={0.5}
+                        className="input text-sm w-20"
+                        value={item.weight}
+                        onChange={(e) => updateItem(index, 'weight', e.target.value)}
+                        title="Weight"
+                      />
+                      <label className="flex items-center gap-1 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={item.reversed}
+                          onChange={(e) => updateItem(index, 'reversed', e.target.checked)}
+                        />
+                        Reversed
+                      </label>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {editing !== 'new' && (
+              <div>
+                <label className="label">Change note</label>
+                <input
+                  className="input"
+                  value={form.note}
+                  onChange={handleChange('note')}
+                  placeholder="What changed in this version (saved when the items change)"
+                />
+              </div>
+            )}
+
+            <div className="flex justify-end pt-2">
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Save
+              </button>
+            </div>
+          </form>
+
+          <div className="card p-6 h-fit">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center gap-2">
+              <History className="w-5 h-5 text-gray-500" />
+              Versions
+            </h2>
+            {versions.length > 0 ? (
+              <ul className="space-y-3">
+                {versions.map((version) => (
+                  <li key={version.version} className="text-sm">
+                    <p className="font-medium text-gray-900">
+                      v{version.version} · {version.question_count} items
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(version.created_at).toLocaleString()}
+                      {version.note && ` · ${version.note}`}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Changing the items saves a new version. Questionnaires keep scoring against the
+                version they were created with.
+              </p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {templates.map((template) => (
+            <div key={template.id} className="card p-4 flex items-start gap-4">
+              <ClipboardList className="w-5 h-5 text-primary-600 mt-1 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <h3 className="font-medium text-gray-900">{template.name}</h3>
+                  {template.is_built_in ? (
+                    <span className="text-xs px-2 py-0.5 rounded bg-primary-100 text-primary-700">Built-in</span>
+                  ) : (
+                    <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">v{template.version}</span>
+                  )}
+                  {!template.is_built_in && !template.company_id && (
+                    <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">Shared</span>
+                  )}
+                </div>
+                {template.description && <p className="text-sm text-gray-600 mt-1">{template.description}</p>}
+                <p className="text-xs text-gray-500 mt-2">
+                  {template.question_count} items
+                  {template.questionnaire_count > 0 && ` · used by ${template.questionnaire_count} questionnaire${template.questionnaire_count === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <button onClick={() => openEditor(template, true)} className="p-2 rounded-lg hover:bg-gray-100" title="Duplicate">
+                  <Copy className="w-4 h-4 text-gray-500" />
+                </button>
+                {canEdit(template) && (
+                  <>
+                    <button onClick={() => openEditor(template)} className="p-2 rounded-lg hover:bg-gray-100" title="Edit">
+                      <Pencil className="w-4 h-4 text-gray-500" />
+                    </button>
+                    <button onClick={() => handleDelete(template)} className="p-2 rounded-lg hover:bg-gray-100" title="Retire">
+                      <Trash2 className="w-4 h-4 text-gray-500" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstrumentsPage;
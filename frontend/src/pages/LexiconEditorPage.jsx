@@ -0,0 +1,441 @@
+import { useEffect, useState } from 'react';
+import { lexiconsAPI, vcpqAPI } from '../services/api';
+import {
+  Plus,
+  Loader2,
+  Pencil,
+  Trash2,
+  BookOpen,
+  Eye,
+  X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STYLE_NUMBERS = [
+  { key: 'defaultSkepticism', label: 'Skepticism', min: 0, max: 1 },
+  { key: 'dataEmphasis', label: 'Data emphasis', min: 0, max: 1 },
+  { key: 'verbosityModifier', label: 'Verbosity modifier', min: -1, max: 1 },
+  { key: 'formalityModifier', label: 'Formality modifier', min: -1, max: 1 },
+];
+
+const FORMATTING_FLAGS = [
+  { key: 'useBullets', label: 'Bullet points' },
+  { key: 'useCodeBlocks', label: 'Code blocks' },
+  { key: 'includeMetrics', label: 'Metrics and data points' },
+  { key: 'usePassiveVoice', label: 'Passive voice' },
+  { key: 'requireExecutiveSummary', label: 'Executive summary first' },
+  { key: 'useSandwichFeedback', label: 'Feedback sandwich' },
+  { key: 'warmClosings', label: 'Warm closings' },
+];
+
+const EMPTY_LEXICON = {
+  name: '',
+  description: '',
+  base_domain: 'general',
+  extend_base: true,
+  vocabulary: '',
+  phrases: '',
+  style: {},
+  formatting: {},
+  defaultTone: '',
+  frustrationTriggers: '',
+  enthusiasmTriggers: '',
+  is_active: true,
+};
+
+const splitLines = (value) => value.split('\n').map((line) => line.trim()).filter(Boolean);
+
+// Convert a lexicon row into form state (lists edited one per line, blank settings inherit)
+const toForm = (lexicon) => ({
+  ...EMPTY_LEXICON,
+  name: lexicon.name,
+  description: lexicon.description || '',
+  base_domain: lexicon.base_domain,
+  extend_base: lexicon.extend_base,
+  vocabulary: (lexicon.vocabulary || []).join('\n'),
+  phrases: (lexicon.phrases || []).join('\n'),
+  style: lexicon.style || {},
+  formatting: lexicon.formatting || {},
+  defaultTone: lexicon.emotional?.defaultTone || '',
+  frustrationTriggers: (lexicon.emotional?.frustrationTriggers || []).join('\n'),
+  enthusiasmTriggers: (lexicon.emotional?.enthusiasmTriggers || []).join('\n'),
+  is_active: lexicon.is_active,
+});
+
+// Convert form state into the API payload, dropping settings left to inherit
+const toPayload = (form) => {
+  const emotional = {};
+  if (form.defaultTone.trim()) emotional.defaultTone = form.defaultTone.trim();
+  if (splitLines(form.frustrationTriggers).length) emotional.frustrationTriggers = splitLines(form.frustrationTriggers);
+  if (splitLines(form.enthusiasmTriggers).length) emotional.enthusiasmTriggers = splitLines(form.enthusiasmTriggers);
+
+  const clean = (section) => Object.fromEntries(
+    Object.entries(section).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+
+  return {
+    name: form.name,
+    description: form.description || null,
+    base_domain: form.base_domain,
+    extend_base: form.extend_base,
+    vocabulary: splitLines(form.vocabulary),
+    phrases: splitLines(form.phrases),
+    style: clean(form.style),
+    formatting: clean(form.formatting),
+    emotional,
+    is_active: form.is_active,
+  };
+};
+
+const LexiconEditorPage = () => {
+  const [lexicons, setLexicons] = useState([]);
+  const [domains, setDomains] = useState([]);
+  const [sampleResponses, setSampleResponses] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_LEXICON);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [lexiconsRes, questionsRes] = await Promise.all([
+          lexiconsAPI.list(),
+          vcpqAPI.getQuestions(),
+        ]);
+        setLexicons(lexiconsRes.data.lexicons);
+        setDomains(lexiconsRes.data.domains);
+        // Neutral answers, so the preview shows the lexicon rather than a personality
+        setSampleResponses(Object.fromEntries(
+          questionsRes.data.questionnaire.questions.map((q) => [q.id, 3])
+        ));
+      } catch (error) {
+        toast.error('Failed to load lexicons');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const openEditor = (lexicon = null) => {
+    setEditing(lexicon ? lexicon.id : 'new');
+    setForm(lexicon ? toForm(lexicon) : EMPTY_LEXICON);
+    setPreview(null);
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setForm(EMPTY_LEXICON);
+    setPreview(null);
+  };
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleStyleChange = (key, numeric) => (e) => {
+    const raw = e.target.value;
+    const value = numeric && raw !== '' ? parseFloat(raw) : raw;
+    setForm((prev) => ({ ...prev, style: { ...prev.style, [key]: value } }));
+  };
+
+  const handleFormattingChange = (key) => (e) => {
+    const { value } = e.target;
+    const parsed = value === '' ? '' : key === 'maxParagraphLength' ? parseInt(value) : value === 'true';
+    setForm((prev) => ({ ...prev, formatting: { ...prev.formatting, [key]: parsed } }));
+  };
+
+  const showError = (error, fallback) => {
+    const data = error.response?.data;
+    const message = data?.details?.[0]
+      || (data?.errors?.[0] && `${data.errors[0].path}: ${data.errors[0].msg}`)
+      || data?.error;
+    toast.error(message || fallback);
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    try {
+      const response = await vcpqAPI.previewPrompt({
+        responses: sampleResponses,
+        lexicon: toPayload(form),
+      });
+      setPreview(response.data.prompt_preview);
+    } catch (error) {
+      showError(error, 'Failed to preview prompt');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = toPayload(form);
+
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        const response = await lexiconsAPI.create(data);
+        setLexicons((prev) => [...prev, { ...response.data.lexicon, persona_count: 0 }]);
+        toast.success('Lexicon created');
+      } else {
+        const response = await lexiconsAPI.update(editing, data);
+        setLexicons((prev) => prev.map((l) => (l.id === editing ? { ...l, ...response.data.lexicon } : l)));
+        toast.success('Lexicon saved');
+      }
+      closeEditor();
+    } catch (error) {
+      showError(error, 'Failed to save lexicon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (lexicon) => {
+    if (!confirm(`Delete "${lexicon.name}"? Personas generated with it keep their prompts.`)) return;
+
+    try {
+      await lexiconsAPI.delete(lexicon.id);
+      setLexicons((prev) => prev.filter((l) => l.id !== lexicon.id));
+      toast.success('Lexicon deleted');
+    } catch (error) {
+      toast.error('Failed to delete lexicon');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  const domainName = (id) => domains.find((d) => d.id === id)?.name || id;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Domain Lexicons</h1>
+          <p className="text-gray-600">Company vocabulary and communication style, built on a standard domain.</p>
+        </div>
+        {!editing && (
+          <button onClick={() => openEditor()} className="btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New Lexicon
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <form onSubmit={handleSave} className="card p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {editing === 'new' ? 'New Lexicon' : 'Edit Lexicon'}
+              </h2>
+              <button type="button" onClick={closeEditor} className="p-2 rounded-lg hover:bg-gray-100">
+                <X className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input className="input" value={form.name} onChange={handleChange('name')} required maxLength={100} />
+              </div>
+              <div>
+                <label className="label">Based on</label>
+                <select className="input" value={form.base_domain} onChange={handleChange('base_domain')}>
+                  {domains.map((d) => (
+                    <option key={d.id} value={d.id}>{d.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="label">Description</label>
+              <input className="input" value={form.description} onChange={handleChange('description')} maxLength={1000} />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.extend_base} onChange={handleChange('extend_base')} />
+              Add to the base vocabulary and phrases (uncheck to replace them)
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Vocabulary (one per line)</label>
+                <textarea className="input" rows={5} value={form.vocabulary} onChange={handleChange('vocabulary')} />
+              </div>
+              <div>
+                <label className="label">Phrases (one per line)</label>
+                <textarea className="input" rows={5} value={form.phrases} onChange={handleChange('phrases')} />
+              </div>
+            </div>
+
+            {/* Style modifiers: blank inherits the base domain */}
+            <div className="border-t border-gray-200 pt-4 space-y-3">
+              <p className="text-sm font-medium text-gray-700">Style (leave blank to inherit)</p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {STYLE_NUMBERS.map(({ key, label, min, max }) => (
+                  <div key={key}>
+                    <label className="label text-xs">{label}</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min={min}
+                      max={max}
+                      className="input"
+                      value={form.style[key] ?? ''}
+                      onChange={handleStyleChange(key, true)}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <label className="label text-xs">Preferred format</label>
+                  <input className="input" value={form.style.preferredFormat ?? ''} onChange={handleStyleChange('preferredFormat')} maxLength={50} />
+                </div>
+                <div>
+                  <label className="label text-xs">Questioning style</label>
+                  <input className="input" value={form.style.questioningStyle ?? ''} onChange={handleStyleChange('questioningStyle')} maxLength={50} />
+                </div>
+                <div>
+                  <label className="label text-xs">Default tone</label>
+                  <input className="input" value={form.defaultTone} onChange={handleChange('defaultTone')} maxLength={50} />
+                </div>
+              </div>
+            </div>
+
+            {/* Formatting rules */}
+            <div className="border-t border-gray-200 pt-4 space-y-3">
+              <p className="text-sm font-medium text-gray-700">Formatting rules</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {FORMATTING_FLAGS.map(({ key, label }) => (
+                  <div key={key} className="flex items-center justify-between gap-2">
+                    <span className="text-sm text-gray-700">{label}</span>
+                    <select
+                      className="input w-32"
+                      value={form.formatting[key] === undefined || form.formatting[key] === '' ? '' : String(form.formatting[key])}
+                      onChange={handleFormattingChange(key)}
+                    >
+                      <option value="">Inherit</option>
+                      <option value="true">Yes</option>
+                      <option value="false">No</option>
+                    </select>
+                  </div>
+                ))}
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-700">Max sentences per paragraph</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={20}
+                    className="input w-32"
+                    value={form.formatting.maxParagraphLength ?? ''}
+                    onChange={handleFormattingChange('maxParagraphLength')}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Frustrated by (one per line)</label>
+                <textarea className="input" rows={3} value={form.frustrationTriggers} onChange={handleChange('frustrationTriggers')} />
+              </div>
+              <div>
+                <label className="label">Enthusiastic about (one per line)</label>
+                <textarea className="input" rows={3} value={form.enthusiasmTriggers} onChange={handleChange('enthusiasmTriggers')} />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between pt-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={form.is_active} onChange={handleChange('is_active')} />
+                Available for persona generation
+              </label>
+              <div className="flex gap-2">
+                <button type="button" onClick={handlePreview} disabled={previewing || !sampleResponses} className="btn-outline">
+                  {previewing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Eye className="w-4 h-4 mr-2" />}
+                  Preview
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                  Save
+                </button>
+              </div>
+            </div>
+          </form>
+
+          <div className="card p-6 h-fit">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Prompt Preview</h2>
+            {preview ? (
+              <>
+                <p className="text-xs text-gray-500 mb-3">
+                  Compiled for a neutral personality • sample vocabulary: {preview.vocabulary_sample.join(', ')}
+                </p>
+                <pre className="text-xs bg-gray-50 rounded-lg p-3 max-h-[600px] overflow-auto whitespace-pre-wrap">
+                  {preview.system_prompt}
+                </pre>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Preview the system prompt this lexicon produces before saving it.
+              </p>
+            )}
+          </div>
+        </div>
+      ) : lexicons.length === 0 ? (
+        <div className="card p-8 text-center text-gray-500">
+          No custom lexicons yet. Personas use the standard domains until you add one.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {lexicons.map((lexicon) => (
+            <div key={lexicon.id} className="card p-4 flex items-start gap-4">
+              <BookOpen className="w-5 h-5 text-primary-600 mt-1 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <h3 className="font-medium text-gray-900">{lexicon.name}</h3>
+                  <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">
+                    {domainName(lexicon.base_domain)}
+                  </span>
+                  {!lexicon.is_active && (
+                    <span className="text-xs px-2 py-0.5 rounded bg-yellow-100 text-yellow-700">Inactive</span>
+                  )}
+                </div>
+                {lexicon.description && <p className="text-sm text-gray-600 mt-1">{lexicon.description}</p>}
+                <p className="text-xs text-gray-500 mt-2">
+                  {lexicon.vocabulary.length} terms · {lexicon.phrases.length} phrases
+                  {lexicon.extend_base ? ' added to the base' : ' replacing the base'}
+                  {lexicon.persona_count > 0 && ` · used by ${lexicon.persona_count} persona${lexicon.persona_count === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <button onClick={() => openEditor(lexicon)} className="p-2 rounded-lg hover:bg-gray-100" title="Edit">
+                  <Pencil className="w-4 h-4 text-gray-500" />
+                </button>
+                <button onClick={() => handleDelete(lexicon)} className="p-2 rounded-lg hover:bg-gray-100" title="Delete">
+                  <Trash2 className="w-4 h-4 text-gray-500" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LexiconEditorPage;
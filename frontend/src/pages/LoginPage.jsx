@@ -4,7 +4,7 @@ import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useAuthStore } from '../context/authStore';
-import { Eye, EyeOff, Loader2 } from 'lucide-react';
+import { Eye, EyeOff, Loader2, ShieldCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const loginSchema = z.object({
@@ -12,10 +12,84 @@ const loginSchema = z.object({
   password: z.string().min(6, 'Password must be at least 6 characters'),
 });
 
+// Second sign-in step for accounts with MFA
+const MfaStep = ({ onVerified }) => {
+  const { verifyMfa, setMfaToken } = useAuthStore();
+  const [code, setCode] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    const result = await verifyMfa(code.trim());
+    setVerifying(false);
+    if (result.success) {
+      onVerified();
+    } else {
+      toast.error(result.error);
+      setCode('');
+    }
+  };
+
+  return (
+    <div className="animate-fade-in">
+      <div className="text-center mb-8">
+        <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-primary-100 flex items-center justify-center">
+          <ShieldCheck className="w-8 h-8 text-primary-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900">Two-step verification</h2>
+        <p className="text-gray-600 mt-2">Enter the 6-digit code from your authenticator app</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="code" className="label">
+            Authentication code
+          </label>
+          <input
+            id="code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            autoFocus
+            className="input text-center tracking-widest"
+            placeholder="123456"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Lost your device? Enter one of your recovery codes instead.
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={verifying || code.trim().length < 6}
+          className="btn-primary w-full py-3"
+        >
+          {verifying ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            'Verify'
+          )}
+        </button>
+      </form>
+
+      <p className="mt-6 text-center text-sm text-gray-600">
+        <button
+          type="button"
+          onClick={() => setMfaToken(null)}
+          className="font-medium text-primary-600 hover:text-primary-700"
+        >
+          Back to sign in
+        </button>
+      </p>
+    </div>
+  );
+};
+
 const LoginPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isLoading } = useAuthStore();
+  const { login, isLoading, mfaToken } = useAuthStore();
   const [showPassword, setShowPassword] = useState(false);
 
   const from = location.state?.from?.pathname || '/dashboard';
@@ -33,7 +107,7 @@ const LoginPage = () => {
     if (result.success) {
       toast.success('Welcome back!');
       navigate(from, { replace: true });
-    } else {
+    } else if (!result.mfaRequired) {
       toast.error(result.error);
     }
   };
@@ -42,6 +116,17 @@ const LoginPage = () => {
     window.location.href = `/api/auth/${provider}`;
   };
 
+  if (mfaToken) {
+    return (
+      <MfaStep
+        onVerified={() => {
+          toast.success('Welcome back!');
+          navigate(from, { replace: true });
+        }}
+      />
+    );
+  }
+
   return (
     <div className="animate-fade-in">
       <div className="text-center mb-8">
@@ -122,9 +207,14 @@ const LoginPage = () => {
         </div>
 
         <div>
-          <label htmlFor="password" className="label">
-            Password
-          </label>
+          <div className="flex items-center justify-between">
+            <label htmlFor="password" className="label">
+              Password
+            </label>
+            <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-700">
+              Forgot password?
+            </Link>
+          </div>
           <div className="relative">
             <input
               {...register('password')}
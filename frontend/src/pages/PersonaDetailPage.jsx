@@ -2,11 +2,14 @@
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { personasAPI } from '../services/api';
 import { useAuthStore } from '../context/authStore';
+import FidelityBadge from '../components/FidelityBadge';
+import PersonaVersionHistory from '../components/PersonaVersionHistory';
+import PersonaRubricEditor from '../components/PersonaRubricEditor';
 import {
   ArrowLeft,
   MessageSquare,
   Loader2,
-  Trash2,
+  Archive,
   Users,
   Target,
   Heart,
@@ -23,6 +26,10 @@ import {
   TrendingDown,
   ChevronRight,
   User,
+  History,
+  Quote,
+  ListChecks,
+  Scale,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -53,15 +60,15 @@ const PersonaDetailPage = () => {
   }, [id, navigate]);
 
   const handleDelete = async () => {
-    if (!confirm('Are you sure you want to delete this persona?')) return;
+    if (!confirm('Archive this persona? Its history and conversations are kept.')) return;
 
     setDeleting(true);
     try {
       await personasAPI.delete(id);
-      toast.success('Persona deleted');
+      toast.success('Persona archived');
       navigate('/personas');
     } catch (error) {
-      toast.error('Failed to delete persona');
+      toast.error('Failed to archive persona');
     } finally {
       setDeleting(false);
     }
@@ -83,6 +90,7 @@ const PersonaDetailPage = () => {
   // VCPQ data
   const vectors = persona.personality_vectors || {};
   const vectorProfile = persona.vector_profile || {};
+  const validation = persona.validation_result;
   const demographics = persona.demographics || persona.summary?.demographics || {};
 
   // Legacy data
@@ -236,6 +244,62 @@ const PersonaDetailPage = () => {
     </div>
   );
 
+  // Pain points, quotes and choice distributions drawn from the questionnaire's answers
+  const renderSurveySections = () => (
+    <>
+      {/* Pain points */}
+      {summary.pain_points && summary.pain_points.length > 0 && (
+        <Section title="Pain Points" icon={AlertTriangle} color="bg-orange-100">
+          <ul className="space-y-2">
+            {summary.pain_points.map((point) => (
+              <li key={point} className="flex items-start gap-2">
+                <span className="w-1.5 h-1.5 rounded-full bg-orange-500 mt-2 flex-shrink-0" />
+                <span className="text-gray-700">{point}</span>
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {/* Representative quotes from free-text answers */}
+      {summary.quotes && summary.quotes.length > 0 && (
+        <Section title="In Their Words" icon={Quote} color="bg-indigo-100">
+          <div className="space-y-3">
+            {summary.quotes.map((quote) => (
+              <blockquote key={quote} className="border-l-4 border-indigo-200 pl-4 italic text-gray-700">
+                "{quote}"
+              </blockquote>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {/* Answers to the questionnaire's custom choice questions */}
+      {summary.custom_answers && summary.custom_answers.length > 0 && (
+        <Section title="Survey Answers" icon={ListChecks} color="bg-teal-100">
+          <div className="space-y-4">
+            {summary.custom_answers.map((answer) => (
+              <div key={answer.id}>
+                <p className="font-medium text-gray-900 mb-2">{answer.question}</p>
+                <div className="space-y-1">
+                  {answer.distribution.filter(d => d.count > 0).map((d) => (
+                    <div key={d.option} className="flex items-center gap-3 text-sm">
+                      <span className="w-32 truncate text-gray-700">{d.option}</span>
+                      <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div className="h-2 bg-teal-500 rounded-full" style={{ width: `${d.percentage}%` }} />
+                      </div>
+                      <span className="w-10 text-right text-gray-500">{d.percentage}%</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+    </>
+  );
+
   const TraitBadge = ({ trait, color }) => (
     <span className={`px-3 py-1.5 rounded-lg text-sm font-medium ${color}`}>
       {trait}
@@ -272,6 +336,8 @@ const PersonaDetailPage = () => {
     { id: 'personality', label: 'Personality', icon: Brain },
     { id: 'communication', label: 'Communication', icon: MessageSquare },
     { id: 'growth', label: 'Strengths & Growth', icon: TrendingUp },
+    { id: 'grading', label: 'Grading', icon: Scale },
+    { id: 'history', label: 'History', icon: History },
   ];
 
   return (
@@ -293,12 +359,13 @@ const PersonaDetailPage = () => {
             <button
               onClick={handleDelete}
               disabled={deleting}
+              title="Archive persona"
               className="btn-outline text-red-600 hover:bg-red-50 border-red-200"
             >
               {deleting ? (
                 <Loader2 className="w-4 h-4 animate-spin" />
               ) : (
-                <Trash2 className="w-4 h-4" />
+                <Archive className="w-4 h-4" />
               )}
             </button>
           )}
@@ -393,6 +460,11 @@ const PersonaDetailPage = () => {
                   </span>
                 </div>
               )}
+              <FidelityBadge
+                status={persona.validation_status}
+                correlation={persona.validation_correlation}
+                className="px-3 py-1.5 rounded-lg"
+              />
             </div>
           </div>
         </div>
@@ -451,6 +523,8 @@ const PersonaDetailPage = () => {
                   </ul>
                 </Section>
               )}
+
+              {renderSurveySections()}
             </div>
           )}
 
@@ -464,6 +538,55 @@ const PersonaDetailPage = () => {
                 </div>
               </Section>
 
+              {validation && (
+                <Section title="Fidelity Check" icon={Shield} color="bg-green-100">
+                  <div className="space-y-4">
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      The persona answered the VCPQ about itself. Correlation with its input vectors:{' '}
+                      <strong>{persona.validation_correlation ?? '—'}</strong>
+                      {' '}(threshold {validation.threshold}
+                      {validation.attempts?.length > 1 && `, ${validation.attempts.length} attempts`}
+                      {validation.regenerated && ', prompt reinforced'})
+                    </p>
+                    {validation.error && (
+                      <p className="text-sm text-red-600">{validation.error}</p>
+                    )}
+                    {validation.dimension_analysis?.length > 0 && (
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="font-medium py-1">Dimension</th>
+                            <th className="font-medium py-1">Input</th>
+                            <th className="font-medium py-1">Self-assessed</th>
+                            <th className="font-medium py-1">Gap</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {validation.dimension_analysis.map(d => (
+                            <tr key={d.dimension} className={d.accurate ? 'text-gray-700 dark:text-gray-300' : 'text-orange-600'}>
+                              <td className="py-0.5">{d.dimension.replace(/_/g, ' ')}</td>
+                              <td className="py-0.5">{d.input.toFixed(2)}</td>
+                              <td className="py-0.5">{d.assessed.toFixed(2)}</td>
+                              <td className="py-0.5">{d.difference.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {validation.recommendations?.length > 0 && (
+                      <ul className="space-y-1 text-sm text-gray-600 dark:text-gray-400">
+                        {validation.recommendations.map(r => (
+                          <li key={r.dimension} className="flex items-start gap-2">
+                            <AlertTriangle className="w-4 h-4 text-orange-500 flex-shrink-0 mt-0.5" />
+                            {r.suggestion} (gap {r.current_gap})
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </Section>
+              )}
+
               {vectorProfile.domain_context && (
                 <Section title="Domain Context" icon={Briefcase} color="bg-blue-100">
                   <div className="space-y-3">
@@ -548,6 +671,22 @@ const PersonaDetailPage = () => {
               </Section>
             </div>
           )}
+
+          {activeTab === 'grading' && (
+            <PersonaRubricEditor
+              persona={persona}
+              canEdit={isAdmin()}
+              onSaved={(updated) => setPersona(prev => ({ ...prev, ...updated }))}
+            />
+          )}
+
+          {activeTab === 'history' && (
+            <PersonaVersionHistory
+              personaId={persona.id}
+              canRollback={isAdmin()}
+              onRolledBack={(restored) => setPersona(prev => ({ ...prev, ...restored }))}
+            />
+          )}
         </div>
       ) : (
         /* Legacy format display */
@@ -632,19 +771,7 @@ const PersonaDetailPage = () => {
               </Section>
             )}
 
-            {/* Pain points */}
-            {summary.pain_points && summary.pain_points.length > 0 && (
-              <Section title="Pain Points" icon={AlertTriangle} color="bg-orange-100">
-                <ul className="space-y-2">
-                  {summary.pain_points.map((point) => (
-                    <li key={point} className="flex items-start gap-2">
-                      <span className="w-1.5 h-1.5 rounded-full bg-orange-500 mt-2 flex-shrink-0" />
-                      <span className="text-gray-700">{point}</span>
-                    </li>
-                  ))}
-                </ul>
-              </Section>
-            )}
+            {renderSurveySections()}
 
             {/* Background story */}
             {extended.background_story && (
@@ -2,6 +2,7 @@ import { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { personasAPI } from '../services/api';
 import { useAuthStore } from '../context/authStore';
+import FidelityBadge from '../components/FidelityBadge';
 import {
   Users,
   MessageSquare,
@@ -98,11 +99,14 @@ const PersonasPage = () => {
               <Sparkles className="w-3 h-3 text-amber-500 flex-shrink-0" />
             )}
           </div>
-          {persona.cluster_size && (
-            <span className="badge-primary text-xs">
-              {persona.cluster_size} people
-            </span>
-          )}
+          <div className="flex flex-wrap items-center gap-1">
+            {persona.cluster_size && (
+              <span className="badge-primary text-xs">
+                {persona.cluster_size} people
+              </span>
+            )}
+            <FidelityBadge status={persona.validation_status} correlation={persona.validation_correlation} />
+          </div>
         </div>
         <ChevronRight className="w-4 h-4 text-gray-400 group-hover:text-primary-600 group-hover:translate-x-1 transition-all flex-shrink-0" />
       </div>
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { questionnairesAPI } from '../services/api';
+import { questionnairesAPI, vcpqAPI } from '../services/api';
 import { useAuthStore } from '../context/authStore';
 import { ArrowLeft, Loader2, Plus, Trash2 } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -12,8 +12,9 @@ const QuestionnaireCreatePage = () => {
   const [templates, setTemplates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
-  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [selectedTemplate, setSelectedTemplate] = useState('vcpq');
   const [customQuestions, setCustomQuestions] = useState([]);
+  const [vectorLabels, setVectorLabels] = useState({});
 
   const {
     register,
@@ -24,6 +25,7 @@ const QuestionnaireCreatePage = () => {
       name: '',
       description: '',
       isAnonymous: false,
+      deliveryMode: 'full',
     },
   });
 
@@ -45,6 +47,9 @@ const QuestionnaireCreatePage = () => {
     };
 
     fetchTemplates();
+    vcpqAPI.getVectorLabels()
+      .then(response => setVectorLabels(response.data.labels))
+      .catch(error => console.error('Failed to fetch vector labels:', error));
   }, []);
 
   const addCustomQuestion = () => {
@@ -67,6 +72,17 @@ const QuestionnaireCreatePage = () => {
     );
   };
 
+  // Likert questions can count towards a meta-vector; null removes the mapping
+  const updateVectorMapping = (index, updates) => {
+    setCustomQuestions(prev =>
+      prev.map((q, i) => {
+        if (i !== index) return q;
+        if (!updates) return { ...q, vector_mapping: undefined };
+        return { ...q, vector_mapping: { weight: 1, reversed: false, ...q.vector_mapping, ...updates } };
+      })
+    );
+  };
+
   const removeCustomQuestion = (index) => {
     setCustomQuestions(prev => prev.filter((_, i) => i !== index));
   };
@@ -110,6 +126,7 @@ const QuestionnaireCreatePage = () => {
         templateId: selectedTemplate,
         customQuestions: customQuestions.filter(q => q.question.trim()),
         isAnonymous: data.isAnonymous,
+        deliveryMode: data.deliveryMode,
         companyId: user?.company?.id,
       });
 
@@ -190,9 +207,15 @@ const QuestionnaireCreatePage = () => {
 
         {/* Template selection */}
         <div className="card p-6 space-y-4">
-          <h2 className="font-semibold text-gray-900">Question Template</h2>
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold text-gray-900">Question Template</h2>
+            <Link to="/instruments" className="text-sm text-primary-600 hover:text-primary-700">
+              Manage instruments
+            </Link>
+          </div>
           <p className="text-sm text-gray-500">
-            Choose a template to start with pre-defined questions
+            Choose the instrument responses are scored against. The questionnaire keeps the
+            version it was created with, even if the instrument changes later.
           </p>
 
           <div className="space-y-2">
@@ -221,7 +244,9 @@ const QuestionnaireCreatePage = () => {
                     )}
                   </p>
                   <p className="text-sm text-gray-500">
-                    {template.description} • {template.question_count} questions
+                    {template.description && `${template.description} • `}
+                    {template.question_count} questions
+                    {!template.is_built_in && ` • v${template.version}`}
                   </p>
                 </div>
                 <span
@@ -238,39 +263,19 @@ const QuestionnaireCreatePage = () => {
               </label>
             ))}
 
-            <label
-              className={`flex items-center p-4 rounded-lg border cursor-pointer transition-all ${
-                selectedTemplate === null
-                  ? 'border-primary-500 bg-primary-50'
-                  : 'border-gray-200 hover:border-gray-300'
-              }`}
-            >
-              <input
-                type="radio"
-                name="template"
-                value=""
-                checked={selectedTemplate === null}
-                onChange={() => setSelectedTemplate(null)}
-                className="sr-only"
-              />
-              <div className="flex-1">
-                <p className="font-medium text-gray-900">No template</p>
-                <p className="text-sm text-gray-500">
-                  Start from scratch with only your custom questions
-                </p>
-              </div>
-              <span
-                className={`w-5 h-5 rounded-full border-2 flex items-center justify-center ${
-                  selectedTemplate === null
-                    ? 'border-primary-500'
-                    : 'border-gray-300'
-                }`}
-              >
-                {selectedTemplate === null && (
-                  <span className="w-2.5 h-2.5 rounded-full bg-primary-500" />
-                )}
-              </span>
-            </label>
+          </div>
+
+          <div>
+            <label className="label">Delivery</label>
+            <select {...register('deliveryMode')} className="input">
+              <option value="full">Full - every question</option>
+              <option value="short">Short form - one question per trait</option>
+              <option value="adaptive">Adaptive - follow-ups only where answers are unclear</option>
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Short and adaptive responses are quicker to complete; each trait is scored with a
+              confidence, and less certain traits count for less when responses are grouped.
+            </p>
           </div>
         </div>
 
@@ -280,7 +285,8 @@ const QuestionnaireCreatePage = () => {
             <div>
               <h2 className="font-semibold text-gray-900">Custom Questions</h2>
               <p className="text-sm text-gray-500">
-                Add additional questions specific to your needs
+                Add additional questions specific to your needs. Likert answers can count towards a
+                personality dimension; choice and text answers are summarized on each persona.
               </p>
             </div>
             <button
@@ -330,12 +336,16 @@ const QuestionnaireCreatePage = () => {
                       <label className="label">Type</label>
                       <select
                         value={question.type}
-                        onChange={(e) => updateCustomQuestion(qIndex, { type: e.target.value })}
+                        onChange={(e) => updateCustomQuestion(qIndex, {
+                          type: e.target.value,
+                          vector_mapping: e.target.value === 'likert' ? question.vector_mapping : undefined,
+                        })}
                         className="input"
                       >
                         <option value="single_choice">Single Choice</option>
                         <option value="multiple_choice">Multiple Choice</option>
                         <option value="text">Text</option>
+                        <option value="likert">Likert (1-5)</option>
                       </select>
                     </div>
                     <div className="flex items-end">
@@ -351,6 +361,53 @@ const QuestionnaireCreatePage = () => {
                     </div>
                   </div>
 
+                  {question.type === 'likert' && (
+                    <div className="grid grid-cols-3 gap-4">
+                      <div>
+                        <label className="label">Scores towards</label>
+                        <select
+                          value={question.vector_mapping?.meta || ''}
+                          onChange={(e) => updateVectorMapping(qIndex, e.target.value ? { meta: e.target.value } : null)}
+                          className="input"
+                        >
+                          <option value="">Not scored</option>
+                          {Object.entries(vectorLabels).map(([key, labels]) => (
+                            <option key={key} value={key}>
+                              {key.replace(/_/g, ' ')} ({labels.low} → {labels.high})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      {question.vector_mapping && (
+                        <>
+                          <div>
+                            <label className="label">Weight</label>
+                            <input
+                              type="number"
+                              min="0.5"
+                              max="3"
+                              step="0.5"
+                              value={question.vector_mapping.weight}
+                              onChange={(e) => updateVectorMapping(qIndex, { weight: parseFloat(e.target.value) || 1 })}
+                              className="input"
+                            />
+                          </div>
+                          <div className="flex items-end">
+                            <label className="flex items-center gap-2">
+                              <input
+                                type="checkbox"
+                                checked={question.vector_mapping.reversed}
+                                onChange={(e) => updateVectorMapping(qIndex, { reversed: e.target.checked })}
+                                className="w-4 h-4 text-primary-600 rounded border-gray-300"
+                              />
+                              <span className="text-sm text-gray-700">Reversed</span>
+                            </label>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  )}
+
                   {(question.type === 'single_choice' || question.type === 'multiple_choice') && (
                     <div>
                       <label className="label">Options</label>
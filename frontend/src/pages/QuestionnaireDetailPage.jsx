@@ -1,6 +1,6 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { questionnairesAPI } from '../services/api';
+import { questionnairesAPI, lexiconsAPI } from '../services/api';
 import {
   ArrowLeft,
   Loader2,
@@ -20,8 +20,48 @@ import {
   TrendingDown,
   X,
   CheckCircle,
+  AlertCircle,
+  RotateCcw,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import FidelityBadge from '../components/FidelityBadge';
+import QuestionnaireCampaign from '../components/QuestionnaireCampaign';
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const QUALITY_BADGES = {
+  ok: 'badge-success',
+  flagged: 'badge-warning',
+  approved: 'badge-primary',
+  rejected: 'badge-danger',
+};
+
+const DELIVERY_LABELS = {
+  full: 'Full - every question',
+  short: 'Short form - one question per trait',
+  adaptive: 'Adaptive - follow-ups where answers are unclear',
+};
+
+const JOB_STATUS_BADGES = {
+  queued: 'badge-gray',
+  running: 'badge-primary',
+  done: 'badge-success',
+  partial: 'badge-warning',
+  failed: 'badge-danger',
+};
+
+const CLUSTERING_ALGORITHMS = [
+  { value: 'kmeans', label: 'K-means' },
+  { value: 'hierarchical', label: 'Hierarchical (agglomerative)' },
+  { value: 'dbscan', label: 'DBSCAN (density-based)' },
+  { value: 'gmm', label: 'Gaussian mixture' },
+];
+
+const K_SELECTION_METHODS = [
+  { value: 'silhouette', label: 'Silhouette score' },
+  { value: 'elbow', label: 'Elbow' },
+  { value: 'gap', label: 'Gap statistic' },
+];
 
 const QuestionnaireDetailPage = () => {
   const { id } = useParams();
@@ -29,7 +69,7 @@ const QuestionnaireDetailPage = () => {
   const [questionnaire, setQuestionnaire] = useState(null);
   const [responses, setResponses] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [generating, setGenerating] = useState(false);
+  const [startingGeneration, setStartingGeneration] = useState(false);
   const [deletingPersonas, setDeletingPersonas] = useState(false);
   const [activeTab, setActiveTab] = useState('overview');
 
@@ -37,15 +77,27 @@ const QuestionnaireDetailPage = () => {
   const [showSettingsModal, setShowSettingsModal] = useState(false);
   const [maxPersonas, setMaxPersonas] = useState(5);
   const [selectedDomain, setSelectedDomain] = useState('general');
+  const [lexicons, setLexicons] = useState([]);
+  const [selectedLexicon, setSelectedLexicon] = useState('');
   const [generateInsights, setGenerateInsights] = useState(true);
+  const [validatePersonas, setValidatePersonas] = useState(true);
+  const [includeFlagged, setIncludeFlagged] = useState(false);
+  const [qualityFilter, setQualityFilter] = useState('all');
+  const [reviewing, setReviewing] = useState(null);
+  const [algorithm, setAlgorithm] = useState('kmeans');
+  const [kSelection, setKSelection] = useState('silhouette');
+  // A ref, not state: the settings modal remounts on every state change
+  const seedRef = useRef('');
 
   // Cluster preview state
   const [showPreviewModal, setShowPreviewModal] = useState(false);
   const [clusterPreview, setClusterPreview] = useState(null);
   const [loadingPreview, setLoadingPreview] = useState(false);
 
-  // Generation stats state
-  const [generationStats, setGenerationStats] = useState(null);
+  // Latest generation job, followed over SSE while it runs
+  const [job, setJob] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const followRef = useRef(null);
 
   const domains = [
     { value: 'general', label: 'General' },
@@ -75,6 +127,62 @@ const QuestionnaireDetailPage = () => {
     fetchData();
   }, [id, navigate]);
 
+  useEffect(() => {
+    const fetchLexicons = async () => {
+      try {
+        const response = await lexiconsAPI.list({ active: true });
+        setLexicons(response.data.lexicons);
+      } catch (error) {
+        console.error('Failed to fetch lexicons:', error);
+      }
+    };
+    fetchLexicons();
+  }, []);
+
+  useEffect(() => {
+    const fetchLatestJob = async () => {
+      try {
+        const jobsRes = await questionnairesAPI.getGenerationJobs(id, { limit: 1 });
+        const latest = jobsRes.data.jobs[0];
+        if (!latest) return;
+        const jobRes = await questionnairesAPI.getGenerationJob(id, latest.id);
+        setJob(jobRes.data.job);
+        if (ACTIVE_JOB_STATUSES.includes(latest.status)) followJob(latest.id);
+      } catch (error) {
+        console.error('Failed to fetch generation jobs:', error);
+      }
+    };
+    fetchLatestJob();
+    return () => followRef.current?.abort();
+  }, [id]);
+
+  const refreshResponses = async () => {
+    const responsesRes = await questionnairesAPI.getResponses(id);
+    setResponses(Array.isArray(responsesRes.data) ? responsesRes.data : (responsesRes.data.responses || []));
+  };
+
+  const followJob = (jobId) => {
+    followRef.current?.abort();
+    const controller = new AbortController();
+    followRef.current = controller;
+
+    questionnairesAPI.followGenerationJob(id, jobId, {
+      signal: controller.signal,
+      onEvent: (event, data) => {
+        if (data.job) setJob(data.job);
+        if (event === 'done') {
+          const { status, completed_clusters: done, total_clusters: total } = data.job;
+          if (status === 'done') toast.success(`Generated ${done} persona${done !== 1 ? 's' : ''}`);
+          else if (status === 'partial') toast.error(`Generated ${done} of ${total} personas - some clusters failed`);
+          else toast.error(data.job.error || 'Persona generation failed');
+          refreshResponses().catch(() => {});
+        }
+      },
+    }).catch((error) => {
+      if (error.name !== 'AbortError') toast.error('Lost connection to the generation job');
+    });
+  };
+
   const copyAccessLink = () => {
     const link = `${window.location.origin}/q/${questionnaire.access_code}`;
     navigator.clipboard.writeText(link);
@@ -92,10 +200,16 @@ const QuestionnaireDetailPage = () => {
     }
   };
 
+  const clusteringOptions = () => ({
+    algorithm,
+    ...(algorithm !== 'dbscan' && { kSelection }),
+    ...(seedRef.current !== '' && { seed: /^\d+$/.test(seedRef.current) ? parseInt(seedRef.current) : seedRef.current }),
+  });
+
   const previewClusters = async () => {
     setLoadingPreview(true);
     try {
-      const response = await questionnairesAPI.previewClusters(id, { maxPersonas });
+      const response = await questionnairesAPI.previewClusters(id, { maxPersonas, includeFlagged, ...clusteringOptions() });
       setClusterPreview(response.data);
       setShowPreviewModal(true);
     } catch (error) {
@@ -110,22 +224,51 @@ const QuestionnaireDetailPage = () => {
       toast.error('Need at least 5 responses to generate personas');
       return;
     }
-    setGenerating(true);
+    setStartingGeneration(true);
     setShowSettingsModal(false);
     try {
       const response = await questionnairesAPI.generatePersonas(id, {
         maxPersonas,
         domain: selectedDomain,
-        generateInsights
+        lexiconId: selectedLexicon || undefined,
+        generateInsights,
+        validate: validatePersonas,
+        includeFlagged,
+        ...clusteringOptions()
       });
-      setGenerationStats(response.data.generation_stats);
-      toast.success(`Generated ${response.data.personas?.length || 0} personas with insights!`);
-      // Show stats briefly then navigate
-      setTimeout(() => navigate('/personas'), 2000);
+      setJob({ ...response.data.job, clusters: [] });
+      toast.success('Persona generation started');
+      followJob(response.data.job.id);
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to generate personas');
     } finally {
-      setGenerating(false);
+      setStartingGeneration(false);
+    }
+  };
+
+  const reviewResponse = async (responseId, status) => {
+    setReviewing(responseId);
+    try {
+      await questionnairesAPI.reviewResponse(id, responseId, status);
+      await refreshResponses();
+      toast.success(status === 'approved' ? 'Response approved' : 'Response rejected');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to review response');
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  const retryJob = async (clusterIds) => {
+    setRetrying(true);
+    try {
+      const response = await questionnairesAPI.retryGenerationJob(id, job.id, clusterIds);
+      setJob(response.data.job);
+      followJob(job.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry generation');
+    } finally {
+      setRetrying(false);
     }
   };
 
@@ -141,13 +284,13 @@ const QuestionnaireDetailPage = () => {
   };
 
   const deleteAllPersonas = async () => {
-    if (!confirm('Delete ALL personas for this questionnaire? Raw responses will be preserved.')) return;
+    if (!confirm('Archive ALL personas for this questionnaire? Raw responses, version history and conversations are preserved.')) return;
     setDeletingPersonas(true);
     try {
       await questionnairesAPI.deletePersonas(id);
-      toast.success('Personas deleted. Responses preserved.');
+      toast.success('Personas archived. Responses preserved.');
     } catch (error) {
-      toast.error('Failed to delete personas');
+      toast.error('Failed to archive personas');
     } finally {
       setDeletingPersonas(false);
     }
@@ -163,9 +306,14 @@ const QuestionnaireDetailPage = () => {
   if (!questionnaire) return null;
 
   const responseCount = responses.length;
-  const unprocessedCount = responses.filter(r => !r.processed).length;
+  // Flagged responses wait for review unless the generation settings include them
+  const isUsable = (r) => ['ok', 'approved'].includes(r.quality_status || 'ok') || (includeFlagged && r.quality_status === 'flagged');
+  const unprocessedCount = responses.filter(r => !r.processed && isUsable(r)).length;
+  const flaggedCount = responses.filter(r => !r.processed && r.quality_status === 'flagged').length;
+  const listedResponses = qualityFilter === 'flagged' ? responses.filter(r => r.quality_status === 'flagged') : responses;
   const canGeneratePersonas = unprocessedCount >= 3;
   const responsesNeeded = Math.max(0, 3 - unprocessedCount);
+  const generating = startingGeneration || ACTIVE_JOB_STATUSES.includes(job?.status);
 
   const getStatusBadge = (status) => {
     const badges = { draft: 'badge-gray', active: 'badge-success', closed: 'badge-warning' };
@@ -190,7 +338,7 @@ const QuestionnaireDetailPage = () => {
           {/* Max Personas */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              Number of Personas: <span className="text-primary-600 font-bold">{maxPersonas}</span>
+              Maximum Personas: <span className="text-primary-600 font-bold">{maxPersonas}</span>
             </label>
             <input
               type="range"
@@ -206,6 +354,54 @@ const QuestionnaireDetailPage = () => {
             </div>
           </div>
 
+          {/* Clustering */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Clustering Algorithm
+              </label>
+              <select
+                value={algorithm}
+                onChange={(e) => setAlgorithm(e.target.value)}
+                className="input w-full"
+              >
+                {CLUSTERING_ALGORITHMS.map(a => (
+                  <option key={a.value} value={a.value}>{a.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Choose Persona Count By
+              </label>
+              <select
+                value={kSelection}
+                onChange={(e) => setKSelection(e.target.value)}
+                disabled={algorithm === 'dbscan'}
+                className="input w-full"
+              >
+                {K_SELECTION_METHODS.map(m => (
+                  <option key={m.value} value={m.value}>{m.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Random Seed
+              </label>
+              <input
+                type="text"
+                defaultValue={seedRef.current}
+                onChange={(e) => { seedRef.current = e.target.value.trim(); }}
+                placeholder="Default (42)"
+                className="input w-full"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                The same responses and seed always produce the same clusters
+              </p>
+            </div>
+          </div>
+
           {/* Domain */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -214,6 +410,7 @@ const QuestionnaireDetailPage = () => {
             <select
               value={selectedDomain}
               onChange={(e) => setSelectedDomain(e.target.value)}
+              disabled={!!selectedLexicon}
               className="input w-full"
             >
               {domains.map(d => (
@@ -225,6 +422,28 @@ const QuestionnaireDetailPage = () => {
             </p>
           </div>
 
+          {/* Company lexicon */}
+          {lexicons.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Company Lexicon
+              </label>
+              <select
+                value={selectedLexicon}
+                onChange={(e) => setSelectedLexicon(e.target.value)}
+                className="input w-full"
+              >
+                <option value="">None (standard domain)</option>
+                {lexicons.map(l => (
+                  <option key={l.id} value={l.id}>{l.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Uses your company's vocabulary on top of the lexicon's base domain
+              </p>
+            </div>
+          )}
+
           {/* Generate Insights Toggle */}
           <div className="flex items-center justify-between p-4 bg-primary-50 dark:bg-primary-900/20 rounded-xl">
             <div>
@@ -238,6 +457,36 @@ const QuestionnaireDetailPage = () => {
               <div className={`w-5 h-5 bg-white rounded-full shadow transform transition-transform ${generateInsights ? 'translate-x-6' : 'translate-x-0.5'}`} />
             </button>
           </div>
+
+          {/* Validation Toggle */}
+          <div className="flex items-center justify-between p-4 bg-green-50 dark:bg-green-900/20 rounded-xl">
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">Validate Fidelity</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Personas self-assess; weak prompts are reinforced and re-checked</p>
+            </div>
+            <button
+              onClick={() => setValidatePersonas(!validatePersonas)}
+              className={`w-12 h-6 rounded-full transition-colors ${validatePersonas ? 'bg-primary-600' : 'bg-gray-300'}`}
+            >
+              <div className={`w-5 h-5 bg-white rounded-full shadow transform transition-transform ${validatePersonas ? 'translate-x-6' : 'translate-x-0.5'}`} />
+            </button>
+          </div>
+
+          {/* Flagged Responses Toggle */}
+          {flaggedCount > 0 && (
+            <div className="flex items-center justify-between p-4 bg-yellow-50 dark:bg-yellow-900/20 rounded-xl">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">Include Flagged Responses</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">{flaggedCount} unreviewed response{flaggedCount === 1 ? '' : 's'} failed quality screening</p>
+              </div>
+              <button
+                onClick={() => setIncludeFlagged(!includeFlagged)}
+                className={`w-12 h-6 rounded-full transition-colors ${includeFlagged ? 'bg-primary-600' : 'bg-gray-300'}`}
+              >
+                <div className={`w-5 h-5 bg-white rounded-full shadow transform transition-transform ${includeFlagged ? 'translate-x-6' : 'translate-x-0.5'}`} />
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="flex gap-3 mt-8">
@@ -262,6 +511,60 @@ const QuestionnaireDetailPage = () => {
     </div>
   );
 
+  // How the clusters were formed and why this many
+  const ClusteringMetrics = ({ metrics }) => (
+    <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-500">Algorithm</span>
+        <span className="font-medium text-gray-900 dark:text-white">
+          {CLUSTERING_ALGORITHMS.find(a => a.value === metrics.algorithm)?.label || metrics.algorithm}
+          {metrics.linkage && ` (${metrics.linkage} linkage)`} • seed {metrics.seed}
+        </span>
+      </div>
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div className="p-2 bg-white dark:bg-gray-800 rounded-lg">
+          <p className="text-xs text-gray-500">Silhouette</p>
+          <p className="font-semibold text-gray-900 dark:text-white">{metrics.silhouette ?? '—'}</p>
+        </div>
+        <div className="p-2 bg-white dark:bg-gray-800 rounded-lg">
+          <p className="text-xs text-gray-500">Davies-Bouldin</p>
+          <p className="font-semibold text-gray-900 dark:text-white">{metrics.davies_bouldin ?? '—'}</p>
+        </div>
+        <div className="p-2 bg-white dark:bg-gray-800 rounded-lg">
+          <p className="text-xs text-gray-500">{metrics.noise_points !== undefined ? 'Noise points' : 'Inertia'}</p>
+          <p className="font-semibold text-gray-900 dark:text-white">{metrics.noise_points ?? metrics.inertia}</p>
+        </div>
+      </div>
+      {metrics.k_selection && (
+        <p className="text-xs text-gray-600 dark:text-gray-400">
+          {metrics.k} clusters: {metrics.k_selection.reason}
+        </p>
+      )}
+      {metrics.k_selection?.candidates && (
+        <table className="w-full text-xs text-gray-600 dark:text-gray-400">
+          <thead>
+            <tr className="text-left">
+              <th className="font-medium py-1">k</th>
+              <th className="font-medium py-1">Silhouette</th>
+              <th className="font-medium py-1">Inertia</th>
+              {metrics.k_selection.method === 'gap' && <th className="font-medium py-1">Gap</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.k_selection.candidates.map(c => (
+              <tr key={c.k} className={c.k === metrics.k ? 'font-semibold text-primary-600' : ''}>
+                <td className="py-0.5">{c.k}</td>
+                <td className="py-0.5">{c.silhouette ?? '—'}</td>
+                <td className="py-0.5">{c.inertia}</td>
+                {metrics.k_selection.method === 'gap' && <td className="py-0.5">{c.gap}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
   // Cluster Preview Modal
   const PreviewModal = () => (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -288,6 +591,9 @@ const QuestionnaireDetailPage = () => {
                   <span className="text-sm text-gray-500">Suggested Clusters</span>
                   <span className="font-bold text-primary-600">{clusterPreview.suggested_clusters}</span>
                 </div>
+                {clusterPreview.metrics && (
+                  <ClusteringMetrics metrics={clusterPreview.metrics} />
+                )}
                 {clusterPreview.recommendation && (
                   <p className="text-sm text-blue-600 dark:text-blue-400 mt-3 flex items-start gap-2">
                     <Info className="w-4 h-4 flex-shrink-0 mt-0.5" />
@@ -320,6 +626,12 @@ const QuestionnaireDetailPage = () => {
                       ))}
                     </div>
 
+                    {cluster.low_confidence_traits?.length > 0 && (
+                      <p className="text-xs text-gray-500 mb-2">
+                        Low confidence: {cluster.low_confidence_traits.map(t => t.replace('_', ' ')).join(', ')}
+                      </p>
+                    )}
+
                     <p className="text-sm text-gray-600 dark:text-gray-400">
                       {cluster.demographic_snapshot.common_role} • {cluster.demographic_snapshot.common_department}
                     </p>
@@ -340,44 +652,101 @@ const QuestionnaireDetailPage = () => {
     </div>
   );
 
-  // Generation Stats Display
-  const StatsDisplay = () => generationStats && (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white dark:bg-gray-800 rounded-2xl max-w-md w-full p-6 shadow-xl text-center">
-        <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-green-100 flex items-center justify-center">
-          <CheckCircle className="w-8 h-8 text-green-600" />
-        </div>
-        <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Personas Generated!</h3>
+  // Generation Job Progress
+  const JobProgress = () => {
+    const total = job.total_clusters;
+    const finished = job.completed_clusters + job.failed_clusters;
+    const percent = total > 0 ? Math.round((finished / total) * 100) : 0;
+    const failedClusters = job.clusters?.filter(c => c.status === 'failed') || [];
+    const canRetry = ['partial', 'failed'].includes(job.status);
 
-        <div className="grid grid-cols-2 gap-4 text-left mb-6">
-          <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
-            <p className="text-2xl font-bold text-primary-600">{generationStats.clusters_formed}</p>
-            <p className="text-sm text-gray-500">Personas Created</p>
-          </div>
-          <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
-            <p className="text-2xl font-bold text-gray-900 dark:text-white">{generationStats.total_responses_processed}</p>
-            <p className="text-sm text-gray-500">Responses Processed</p>
-          </div>
-          <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
-            <p className="text-2xl font-bold text-gray-900 dark:text-white">{(generationStats.processing_time_ms / 1000).toFixed(1)}s</p>
-            <p className="text-sm text-gray-500">Processing Time</p>
+    return (
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <h3 className="font-semibold text-gray-900">Persona Generation</h3>
+            <span className={JOB_STATUS_BADGES[job.status]}>{job.status}</span>
           </div>
-          <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
-            <p className="text-2xl font-bold text-gray-900 dark:text-white capitalize">{generationStats.domain_used}</p>
-            <p className="text-sm text-gray-500">Domain</p>
+          <div className="flex items-center gap-3">
+            {canRetry && (
+              <button onClick={() => retryJob()} disabled={retrying} className="btn-outline btn-sm">
+                {retrying ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <RotateCcw className="w-4 h-4 mr-1" />}
+                {failedClusters.length > 0 ? `Retry ${failedClusters.length} failed` : 'Retry'}
+              </button>
+            )}
+            {job.completed_clusters > 0 && !generating && (
+              <Link to="/personas" className="btn-primary btn-sm">View Personas</Link>
+            )}
           </div>
         </div>
 
-        <p className="text-sm text-gray-500">Redirecting to personas...</p>
+        {job.status === 'queued' && <p className="text-sm text-gray-500">Waiting for a worker...</p>}
+        {job.status === 'running' && total === 0 && <p className="text-sm text-gray-500">Clustering responses...</p>}
+
+        {total > 0 && (
+          <>
+            <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+              <span>{job.completed_clusters} of {total} personas generated{job.failed_clusters > 0 && ` • ${job.failed_clusters} failed`}</span>
+              <span>{percent}%</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden mb-4">
+              <div className="h-full bg-primary-600 transition-all duration-300" style={{ width: `${percent}%` }} />
+            </div>
+
+            <div className="divide-y divide-gray-100">
+              {job.clusters?.map((cluster) => (
+                <div key={cluster.id} className="py-3 flex items-center gap-3">
+                  {cluster.status === 'done' && <CheckCircle className="w-5 h-5 text-green-600" />}
+                  {cluster.status === 'failed' && <AlertCircle className="w-5 h-5 text-red-500" />}
+                  {cluster.status === 'running' && <Loader2 className="w-5 h-5 text-primary-600 animate-spin" />}
+                  {cluster.status === 'pending' && <div className="w-5 h-5 rounded-full border-2 border-gray-300" />}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      Cluster {cluster.cluster_index + 1}
+                      <span className="text-gray-500 font-normal"> • {cluster.size} responses</span>
+                      {cluster.persona_id && (
+                        <Link to={`/personas/${cluster.persona_id}`} className="ml-2 text-primary-600 hover:underline">{cluster.persona_name || 'View persona'}</Link>
+                      )}
+                      {cluster.result?.validation_status && (
+                        <FidelityBadge
+                          status={cluster.result.validation_status}
+                          correlation={cluster.result.validation_correlation}
+                          className="ml-2"
+                        />
+                      )}
+                    </p>
+                    {cluster.error && (
+                      <p className="text-xs text-red-600 truncate">{cluster.error} (after {cluster.attempts} attempt{cluster.attempts !== 1 ? 's' : ''})</p>
+                    )}
+                  </div>
+                  {cluster.status === 'failed' && canRetry && (
+                    <button onClick={() => retryJob([cluster.id])} disabled={retrying} className="p-2 rounded-lg hover:bg-gray-100" title="Retry this cluster">
+                      <RotateCcw className="w-4 h-4 text-gray-500" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {job.status === 'failed' && job.error && total === 0 && (
+          <p className="text-sm text-red-600 flex items-center gap-2"><AlertCircle className="w-4 h-4" />{job.error}</p>
+        )}
+
+        {!generating && job.stats?.processing_time_ms !== undefined && (
+          <p className="text-xs text-gray-500 mt-4">
+            {job.stats.total_responses_processed} responses • {(job.stats.processing_time_ms / 1000).toFixed(1)}s • <span className="capitalize">{job.stats.domain_used}</span> domain{job.stats.lexicon_used && ` • ${job.stats.lexicon_used.name} lexicon`}
+          </p>
+        )}
       </div>
-    </div>
-  );
+    );
+  };
 
   return (
     <div className="space-y-6 animate-fade-in">
       {showSettingsModal && <SettingsModal />}
       {showPreviewModal && <PreviewModal />}
-      {generationStats && <StatsDisplay />}
 
       <div className="flex items-center gap-4">
         <Link to="/questionnaires" className="p-2 rounded-lg hover:bg-gray-100 transition-colors">
@@ -416,7 +785,7 @@ const QuestionnaireDetailPage = () => {
             <div className="p-3 rounded-xl bg-purple-100"><FileText className="w-6 h-6 text-purple-600" /></div>
             <div>
               <p className="text-2xl font-bold text-gray-900">{questionnaire.questions?.length || 0}</p>
-              <p className="text-sm text-gray-500">VCPQ Questions</p>
+              <p className="text-sm text-gray-500">Questions</p>
             </div>
           </div>
         </div>
@@ -457,11 +826,13 @@ const QuestionnaireDetailPage = () => {
 
         <button onClick={deleteAllPersonas} disabled={deletingPersonas} className="btn-outline text-orange-600 border-orange-200 hover:bg-orange-50">
           {deletingPersonas ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <UserX className="w-4 h-4 mr-2" />}
-          Delete Personas
+          Archive Personas
         </button>
         <button onClick={deleteQuestionnaire} className="btn-outline text-red-600 border-red-200 hover:bg-red-50"><Trash2 className="w-4 h-4 mr-2" />Delete</button>
       </div>
 
+      {job && <JobProgress />}
+
       {!canGeneratePersonas && unprocessedCount > 0 && (
         <div className="card p-4 bg-yellow-50 border-yellow-200">
           <div className="flex items-start gap-3">
@@ -476,7 +847,7 @@ const QuestionnaireDetailPage = () => {
 
       <div className="border-b border-gray-200">
         <nav className="flex gap-8">
-          {['overview', 'responses', 'questions'].map((tab) => (
+          {['overview', 'responses', 'campaign', 'questions'].map((tab) => (
             <button key={tab} onClick={() => setActiveTab(tab)} className={`pb-4 px-1 text-sm font-medium border-b-2 transition-colors ${activeTab === tab ? 'border-primary-600 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}>
               {tab.charAt(0).toUpperCase() + tab.slice(1)}{tab === 'responses' && ` (${responseCount})`}
             </button>
@@ -489,23 +860,73 @@ const QuestionnaireDetailPage = () => {
           <h3 className="font-semibold text-gray-900 mb-4">Details</h3>
           <dl className="space-y-4">
             <div><dt className="text-sm text-gray-500">Created</dt><dd className="text-gray-900">{new Date(questionnaire.created_at).toLocaleDateString()}</dd></div>
-            <div><dt className="text-sm text-gray-500">Template</dt><dd className="text-gray-900">{questionnaire.template_id ? 'Custom' : 'VCPQ (28 questions)'}</dd></div>
+            <div><dt className="text-sm text-gray-500">Template</dt><dd className="text-gray-900">{questionnaire.template_id ? `${questionnaire.instrument?.name} (v${questionnaire.instrument?.version})` : 'VCPQ (28 questions)'}</dd></div>
+            <div><dt className="text-sm text-gray-500">Delivery</dt><dd className="text-gray-900">{DELIVERY_LABELS[questionnaire.delivery_mode] || DELIVERY_LABELS.full}</dd></div>
             <div><dt className="text-sm text-gray-500">Anonymous</dt><dd className="text-gray-900">{questionnaire.is_anonymous ? 'Yes' : 'No'}</dd></div>
+            <div><dt className="text-sm text-gray-500">Ends</dt><dd className="text-gray-900">{questionnaire.ends_at ? new Date(questionnaire.ends_at).toLocaleString() : 'No end date'}</dd></div>
           </dl>
         </div>
       )}
 
+      {activeTab === 'campaign' && (
+        <QuestionnaireCampaign
+          questionnaire={questionnaire}
+          onUpdated={(updated) => setQuestionnaire(prev => ({ ...prev, ...updated }))}
+        />
+      )}
+
       {activeTab === 'responses' && (
         <div className="card overflow-hidden">
-          {responses.length > 0 ? (
+          {responses.length > 0 && (
+            <div className="flex items-center justify-between px-6 py-3 border-b border-gray-200">
+              <p className="text-sm text-gray-500">
+                {flaggedCount > 0
+                  ? `${flaggedCount} flagged response${flaggedCount === 1 ? '' : 's'} left out of generation until reviewed`
+                  : 'All pending responses passed quality screening'}
+              </p>
+              <select value={qualityFilter} onChange={(e) => setQualityFilter(e.target.value)} className="input w-auto py-1 text-sm">
+                <option value="all">All responses</option>
+                <option value="flagged">Flagged only</option>
+              </select>
+            </div>
+          )}
+          {listedResponses.length > 0 ? (
             <table className="w-full">
-              <thead className="bg-gray-50"><tr><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">ID</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th></tr></thead>
+              <thead className="bg-gray-50"><tr><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">ID</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quality</th><th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th><th className="px-6 py-3" /></tr></thead>
               <tbody className="divide-y divide-gray-200">
-                {responses.map((r) => (
-                  <tr key={r.id}><td className="px-6 py-4 font-mono text-sm">{r.id?.slice(0, 8)}...</td><td className="px-6 py-4"><span className={r.processed ? 'badge-success' : 'badge-warning'}>{r.processed ? 'Processed' : 'Pending'}</span></td><td className="px-6 py-4 text-gray-500">{r.created_at ? new Date(r.created_at).toLocaleString() : '-'}</td></tr>
+                {listedResponses.map((r) => (
+                  <tr key={r.id}>
+                    <td className="px-6 py-4 font-mono text-sm">{r.id?.slice(0, 8)}...</td>
+                    <td className="px-6 py-4"><span className={r.processed ? 'badge-success' : 'badge-warning'}>{r.processed ? 'Processed' : 'Pending'}</span></td>
+                    <td className="px-6 py-4">
+                      <span className={QUALITY_BADGES[r.quality_status || 'ok']}>{(r.quality_status || 'ok').charAt(0).toUpperCase() + (r.quality_status || 'ok').slice(1)}</span>
+                      {r.quality_flags?.length > 0 && (
+                        <ul className="mt-1 space-y-0.5">
+                          {r.quality_flags.map((flag) => (
+                            <li key={flag.code} className="text-xs text-gray-500">{flag.message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-gray-500">{r.created_at ? new Date(r.created_at).toLocaleString() : '-'}</td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      {!r.processed && r.quality_flags?.length > 0 && (
+                        <div className="flex justify-end gap-2">
+                          {r.quality_status !== 'approved' && (
+                            <button onClick={() => reviewResponse(r.id, 'approved')} disabled={reviewing === r.id} className="btn-outline btn-sm">Approve</button>
+                          )}
+                          {r.quality_status !== 'rejected' && (
+                            <button onClick={() => reviewResponse(r.id, 'rejected')} disabled={reviewing === r.id} className="btn-outline btn-sm text-red-600">Reject</button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
                 ))}
               </tbody>
             </table>
+          ) : responses.length > 0 ? (
+            <div className="p-12 text-center"><CheckCircle className="w-12 h-12 mx-auto text-gray-400 mb-4" /><p className="text-gray-500">No flagged responses</p></div>
           ) : (
             <div className="p-12 text-center"><Users className="w-12 h-12 mx-auto text-gray-400 mb-4" /><p className="text-gray-500">No responses yet</p>{questionnaire.status === 'active' && <button onClick={copyAccessLink} className="mt-4 btn-outline btn-sm"><Copy className="w-4 h-4 mr-2" />Copy share link</button>}</div>
           )}
@@ -520,11 +941,23 @@ const QuestionnaireDetailPage = () => {
                 <span className="w-8 h-8 rounded-full bg-primary-100 text-primary-700 text-sm font-medium flex items-center justify-center">{q.id}</span>
                 <div className="flex-1">
                   <p className="font-medium text-gray-900">{q.question}</p>
-                  <div className="flex flex-wrap gap-2 mt-2">
-                    <span className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded">{q.module}</span>
-                    <span className="text-xs px-2 py-1 bg-purple-100 text-purple-700 rounded">Meta: {q.meta_vector}</span>
-                    {q.reversed && <span className="text-xs px-2 py-1 bg-orange-100 text-orange-700 rounded">Reversed</span>}
-                  </div>
+                  {q.category === 'custom' ? (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      <span className="text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded">Custom · {q.type.replace('_', ' ')}</span>
+                      {q.vector_mapping && (
+                        <span className="text-xs px-2 py-1 bg-purple-100 text-purple-700 rounded">
+                          Meta: {q.vector_mapping.meta} · weight {q.vector_mapping.weight ?? 1}
+                        </span>
+                      )}
+                      {q.vector_mapping?.reversed && <span className="text-xs px-2 py-1 bg-orange-100 text-orange-700 rounded">Reversed</span>}
+                    </div>
+                  ) : (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      <span className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded">{q.module}</span>
+                      <span className="text-xs px-2 py-1 bg-purple-100 text-purple-700 rounded">Meta: {q.meta_vector}</span>
+                      {q.reversed && <span className="text-xs px-2 py-1 bg-orange-100 text-orange-700 rounded">Reversed</span>}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
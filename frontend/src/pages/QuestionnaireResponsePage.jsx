@@ -1,6 +1,7 @@
-import { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { questionnairesAPI } from '../services/api';
+import { useAdaptiveItems } from '../hooks';
 import { Loader2, CheckCircle, AlertCircle, Sparkles, ChevronLeft, ChevronRight, User, Mail, Briefcase, Building2 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -16,6 +17,10 @@ const LIKERT_SCALE = {
 const QuestionnaireResponsePage = () => {
   const { code } = useParams();
   const navigate = useNavigate();
+  // Personal token from a campaign email link (/q/:code?r=...)
+  const [searchParams] = useSearchParams();
+  const recipientToken = searchParams.get('r');
+  const startReportedRef = useRef(false);
   const [questionnaire, setQuestionnaire] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -23,12 +28,18 @@ const QuestionnaireResponsePage = () => {
   const [answers, setAnswers] = useState({});
   const [currentModule, setCurrentModule] = useState(0);
   const [respondentInfo, setRespondentInfo] = useState({ email: '', name: '', role: '', department: '' });
+  // Sent with the response so implausibly fast submissions can be screened out
+  const [startedAt] = useState(() => new Date().toISOString());
 
   useEffect(() => {
     const fetchQuestionnaire = async () => {
       try {
-        const response = await questionnairesAPI.getByAccessCode(code);
+        const response = await questionnairesAPI.getByAccessCode(code, recipientToken);
         setQuestionnaire(response.data);
+        if (response.data.recipient?.completed) setSubmitted(true);
+        if (response.data.recipient?.name) {
+          setRespondentInfo(prev => ({ ...prev, name: prev.name || response.data.recipient.name }));
+        }
       } catch (error) {
         console.error('Failed to fetch questionnaire:', error);
         toast.error(error.response?.data?.error || 'Questionnaire not found');
@@ -37,7 +48,31 @@ const QuestionnaireResponsePage = () => {
       }
     };
     fetchQuestionnaire();
-  }, [code]);
+  }, [code, recipientToken]);
+
+  // Let the campaign know the recipient started answering
+  useEffect(() => {
+    if (!recipientToken || startReportedRef.current || Object.keys(answers).length === 0) return;
+    startReportedRef.current = true;
+    questionnairesAPI.markStarted(code, recipientToken).catch((error) => {
+      console.error('Failed to record start:', error);
+    });
+  }, [answers, code, recipientToken]);
+
+  // Adaptive questionnaires ask follow-ups only where the answers so far leave a trait unclear
+  const isAdaptive = questionnaire?.delivery_mode === 'adaptive';
+  const fetchNextItems = useCallback(
+    async (current) => (await questionnairesAPI.getNextItems(code, current)).data.next,
+    [code]
+  );
+  const { next: followUps, pending: followUpsPending } = useAdaptiveItems(isAdaptive, answers, fetchNextItems);
+
+  // Questions to show: all of them, except adaptive follow-ups nobody needs
+  const isAsked = (q) => !isAdaptive
+    || q.type !== 'likert'
+    || q.short_form
+    || answers[q.id] !== undefined
+    || followUps.includes(q.id);
 
   // Handle Likert scale answer - store numeric value for VCPQ processing
   const handleLikertAnswer = (questionId, labelOrValue) => {
@@ -63,9 +98,15 @@ const QuestionnaireResponsePage = () => {
   };
 
   const handleSubmit = async () => {
-    const questions = questionnaire.questions || [];
-    const unanswered = questions.filter(q => q.required && answers[q.id] === undefined).map(q => q.id);
+    const questions = (questionnaire.questions || []).filter(isAsked);
+    const unanswered = questions
+      .filter(q => (q.required || followUps.includes(q.id)) && answers[q.id] === undefined)
+      .map(q => q.id);
 
+    if (isAdaptive && followUpsPending) {
+      toast.error('Loading follow-up questions, please try again in a moment');
+      return;
+    }
     if (unanswered.length > 0) {
       toast.error(`Please answer all required questions. Missing: ${unanswered.join(', ')}`);
       return;
@@ -76,6 +117,8 @@ const QuestionnaireResponsePage = () => {
       // Submit with numeric answers for VCPQ vector processing
       await questionnairesAPI.submitResponse(questionnaire.id, {
         answers,  // Already numeric for Likert questions
+        startedAt,
+        recipientToken: recipientToken || undefined,
         demographics: {
           email: respondentInfo.email || undefined,
           name: respondentInfo.name || undefined,
@@ -134,7 +177,7 @@ const QuestionnaireResponsePage = () => {
     );
   }
 
-  const questions = questionnaire.questions || [];
+  const questions = (questionnaire.questions || []).filter(isAsked);
 
   // Group questions by module for VCPQ
   const modules = [...new Set(questions.map(q => q.category))].filter(Boolean);
@@ -143,7 +186,7 @@ const QuestionnaireResponsePage = () => {
     ? questions.filter(q => q.category === modules[currentModule])
     : questions;
 
-  const totalAnswered = Object.keys(answers).length;
+  const totalAnswered = questions.filter(q => answers[q.id] !== undefined).length;
   const progress = (totalAnswered / questions.length) * 100;
 
   const LikertQuestion = ({ question }) => {
@@ -158,7 +201,11 @@ const QuestionnaireResponsePage = () => {
           </span>
           <div className="flex-1">
             <p className="font-medium text-slate-900 text-lg leading-relaxed">{question.question}</p>
-            {question.required && <span className="text-red-500 text-sm font-medium">* Required</span>}
+            {(question.required || followUps.includes(question.id))
+              && <span className="text-red-500 text-sm font-medium">* Required</span>}
+            {isAdaptive && !question.short_form && (
+              <span className="ml-2 text-xs text-indigo-600 font-medium">Follow-up</span>
+            )}
           </div>
         </div>
 
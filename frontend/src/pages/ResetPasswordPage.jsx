@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { authAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import { Eye, EyeOff, Loader2, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const resetSchema = z.object({
+  password: z
+    .string()
+    .min(8, 'Password must be at least 8 characters')
+    .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
+    .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
+    .regex(/[0-9]/, 'Password must contain at least one number'),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ['confirmPassword'],
+});
+
+const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, logout } = useAuthStore();
+  const [showPassword, setShowPassword] = useState(false);
+  const [linkError, setLinkError] = useState(null);
+
+  const token = searchParams.get('token');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resetSchema),
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      const response = await authAPI.resetPassword(token, data.password);
+      // Every existing session was revoked, including this browser's
+      if (isAuthenticated) {
+        await logout();
+      }
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      if (error.response?.status === 400 && error.response.data?.error) {
+        setLinkError(error.response.data.error);
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to reset password');
+      }
+    }
+  };
+
+  if (!token || linkError) {
+    return (
+      <div className="animate-fade-in text-center">
+        <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-red-100 flex items-center justify-center">
+          <XCircle className="w-8 h-8 text-red-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900">Reset link not valid</h2>
+        <p className="text-gray-600 mt-2">
+          {linkError || 'This link is missing its reset token.'} Reset links expire after an hour
+          and can only be used once.
+        </p>
+        <Link to="/forgot-password" className="btn-primary w-full py-3 mt-8">
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fade-in">
+      <div className="text-center mb-8">
+        <h2 className="text-2xl font-bold text-gray-900">Choose a new password</h2>
+        <p className="text-gray-600 mt-2">You'll be signed out everywhere and can sign in again with it</p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div>
+          <label htmlFor="password" className="label">
+            New password
+          </label>
+          <div className="relative">
+            <input
+              {...register('password')}
+              type={showPassword ? 'text' : 'password'}
+              id="password"
+              autoComplete="new-password"
+              className={`input pr-10 ${errors.password ? 'input-error' : ''}`}
+              placeholder="••••••••"
+            />
+            <button
+              type="button"
+              onClick={() => setShowPassword(!showPassword)}
+              className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+            >
+              {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+            </button>
+          </div>
+          {errors.password && (
+            <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="confirmPassword" className="label">
+            Confirm new password
+          </label>
+          <input
+            {...register('confirmPassword')}
+            type={showPassword ? 'text' : 'password'}
+            id="confirmPassword"
+            autoComplete="new-password"
+            className={`input ${errors.confirmPassword ? 'input-error' : ''}`}
+            placeholder="••••••••"
+          />
+          {errors.confirmPassword && (
+            <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="btn-primary w-full py-3"
+        >
+          {isSubmitting ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            'Reset password'
+          )}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,367 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { personasAPI, trainingAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import {
+  ArrowLeft,
+  Plus,
+  Loader2,
+  Pencil,
+  Trash2,
+  Target,
+  EyeOff,
+  X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_SCENARIO = {
+  title: '',
+  description: '',
+  setup_brief: '',
+  difficulty: 'medium',
+  skills: '',
+  opening_message: '',
+  persona_goal: '',
+  success_conditions: '',
+  rubric_override: '',
+  is_active: true,
+};
+
+// Convert a scenario row into form state (lists edited one per line, rubric as JSON)
+const toForm = (scenario) => ({
+  ...EMPTY_SCENARIO,
+  ...scenario,
+  description: scenario.description || '',
+  opening_message: scenario.opening_message || '',
+  persona_goal: scenario.persona_goal || '',
+  skills: (scenario.skills || []).join('\n'),
+  success_conditions: (scenario.success_conditions || []).join('\n'),
+  rubric_override: scenario.rubric_override ? JSON.stringify(scenario.rubric_override, null, 2) : '',
+});
+
+const splitLines = (value) => value.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const ScenarioEditorPage = () => {
+  const { isSuperAdmin } = useAuthStore();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [personas, setPersonas] = useState([]);
+  const [scenarios, setScenarios] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingScenarios, setLoadingScenarios] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_SCENARIO);
+  const [saving, setSaving] = useState(false);
+
+  const personaId = searchParams.get('persona') || personas[0]?.id;
+
+  useEffect(() => {
+    const fetchPersonas = async () => {
+      try {
+        const requests = [personasAPI.list()];
+        // Built-in scenarios for the default personas are super admin only
+        if (isSuperAdmin()) {
+          requests.push(personasAPI.getDefaults());
+        }
+        const responses = await Promise.allSettled(requests);
+        setPersonas(
+          responses.flatMap((r, i) =>
+            r.status === 'fulfilled'
+              ? (r.value.data.personas || []).map((p) => ({ ...p, is_default: i === 1 }))
+              : []
+          )
+        );
+      } catch (error) {
+        toast.error('Failed to load personas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPersonas();
+  }, []);
+
+  useEffect(() => {
+    if (personaId) {
+      fetchScenarios(personaId);
+    }
+  }, [personaId]);
+
+  const fetchScenarios = async (id) => {
+    setLoadingScenarios(true);
+    try {
+      const response = await trainingAPI.getPersonaScenarios(id);
+      setScenarios(response.data.scenarios);
+    } catch (error) {
+      toast.error('Failed to load scenarios');
+      setScenarios([]);
+    } finally {
+      setLoadingScenarios(false);
+    }
+  };
+
+  const openEditor = (scenario = null) => {
+    setEditing(scenario ? scenario.id : 'new');
+    setForm(scenario ? toForm(scenario) : EMPTY_SCENARIO);
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setForm(EMPTY_SCENARIO);
+  };
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    let rubricOverride = null;
+    if (form.rubric_override.trim()) {
+      try {
+        rubricOverride = JSON.parse(form.rubric_override);
+      } catch (error) {
+        toast.error('Rubric override must be valid JSON');
+        return;
+      }
+    }
+
+    const data = {
+      title: form.title,
+      description: form.description || null,
+      setup_brief: form.setup_brief,
+      difficulty: form.difficulty,
+      skills: splitLines(form.skills),
+      opening_message: form.opening_message || null,
+      persona_goal: form.persona_goal || null,
+      success_conditions: splitLines(form.success_conditions),
+      rubric_override: rubricOverride,
+      is_active: form.is_active,
+    };
+
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        const response = await trainingAPI.createScenario({ ...data, personaId });
+        setScenarios((prev) => [...prev, response.data.scenario]);
+        toast.success('Scenario created');
+      } else {
+        const response = await trainingAPI.updateScenario(editing, data);
+        setScenarios((prev) => prev.map((s) => (s.id === editing ? response.data.scenario : s)));
+        toast.success('Scenario saved');
+      }
+      closeEditor();
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg
+        ? `${error.response.data.errors[0].path}: ${error.response.data.errors[0].msg}`
+        : error.response?.data?.message;
+      toast.error(message || 'Failed to save scenario');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!confirm(`Delete "${scenario.title}"? Past sessions keep their transcript.`)) return;
+
+    try {
+      await trainingAPI.deleteScenario(scenario.id);
+      setScenarios((prev) => prev.filter((s) => s.id !== scenario.id));
+      toast.success('Scenario deleted');
+    } catch (error) {
+      toast.error('Failed to delete scenario');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Link to="/training" className="p-2 hover:bg-gray-100 rounded-lg">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Training Scenarios</h1>
+            <p className="text-gray-600">Author the situations trainees practice with each persona.</p>
+          </div>
+        </div>
+        {personaId && !editing && (
+          <button onClick={() => openEditor()} className="btn-primary">
+            <Plus className="w-4 h-4 mr-2" />
+            New Scenario
+          </button>
+        )}
+      </div>
+
+      {personas.length === 0 ? (
+        <div className="card p-8 text-center text-gray-500">
+          Generate personas from a questionnaire first, then add training scenarios for them here.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Persona picker */}
+          <div className="card p-2 h-fit">
+            {personas.map((persona) => (
+              <button
+                key={persona.id}
+                onClick={() => {
+                  closeEditor();
+                  setSearchParams({ persona: persona.id });
+                }}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  persona.id === personaId ? 'bg-primary-50 text-primary-700 font-medium' : 'hover:bg-gray-100'
+                }`}
+              >
+                {persona.name}
+                {persona.is_default && <span className="ml-2 text-xs text-gray-400">built-in</span>}
+              </button>
+            ))}
+          </div>
+
+          <div className="lg:col-span-3 space-y-4">
+            {editing ? (
+              <form onSubmit={handleSave} className="card p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    {editing === 'new' ? 'New Scenario' : 'Edit Scenario'}
+                  </h2>
+                  <button type="button" onClick={closeEditor} className="p-2 rounded-lg hover:bg-gray-100">
+                    <X className="w-5 h-5 text-gray-500" />
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="md:col-span-2">
+                    <label className="label">Title</label>
+                    <input className="input" value={form.title} onChange={handleChange('title')} required maxLength={255} />
+                  </div>
+                  <div>
+                    <label className="label">Difficulty</label>
+                    <select className="input" value={form.difficulty} onChange={handleChange('difficulty')}>
+                      <option value="easy">Easy</option>
+                      <option value="medium">Medium</option>
+                      <option value="hard">Hard</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="label">Short description</label>
+                  <input className="input" value={form.description} onChange={handleChange('description')} maxLength={1000} />
+                </div>
+
+                <div>
+                  <label className="label">Setup brief (shown to the trainee)</label>
+                  <textarea className="input" rows={3} value={form.setup_brief} onChange={handleChange('setup_brief')} required />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">Skills practiced (one per line)</label>
+                    <textarea className="input" rows={3} value={form.skills} onChange={handleChange('skills')} />
+                  </div>
+                  <div>
+                    <label className="label">Opening message (optional)</label>
+                    <textarea className="input" rows={3} value={form.opening_message} onChange={handleChange('opening_message')} />
+                  </div>
+                </div>
+
+                {/* Hidden from trainees */}
+                <div className="border-t border-gray-200 pt-4 space-y-4">
+                  <p className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <EyeOff className="w-4 h-4" />
+                    Hidden from trainees
+                  </p>
+                  <div>
+                    <label className="label">Persona goal</label>
+                    <textarea className="input" rows={2} value={form.persona_goal} onChange={handleChange('persona_goal')} />
+                  </div>
+                  <div>
+                    <label className="label">Success conditions (one per line)</label>
+                    <textarea className="input" rows={3} value={form.success_conditions} onChange={handleChange('success_conditions')} />
+                  </div>
+                  <div>
+                    <label className="label">Grading rubric override (JSON, optional)</label>
+                    <textarea
+                      className="input font-mono text-xs"
+                      rows={6}
+                      value={form.rubric_override}
+                      onChange={handleChange('rubric_override')}
+                      placeholder={'{\n  "grading_style": "...",\n  "criteria": [{ "name": "Empathy", "weight": 50, "description": "..." }]\n}'}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between pt-2">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.is_active} onChange={handleChange('is_active')} />
+                    Available to trainees
+                  </label>
+                  <div className="flex gap-2">
+                    <button type="button" onClick={closeEditor} className="btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving} className="btn-primary">
+                      {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                      Save
+                    </button>
+                  </div>
+                </div>
+              </form>
+            ) : loadingScenarios ? (
+              <div className="flex justify-center py-12">
+                <Loader2 className="w-6 h-6 animate-spin text-primary-600" />
+              </div>
+            ) : scenarios.length === 0 ? (
+              <div className="card p-8 text-center text-gray-500">
+                No scenarios for this persona yet.
+              </div>
+            ) : (
+              scenarios.map((scenario) => (
+                <div key={scenario.id} className="card p-4 flex items-start gap-4">
+                  <Target className="w-5 h-5 text-primary-600 mt-1 flex-shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-medium text-gray-900">{scenario.title}</h3>
+                      <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600 capitalize">{scenario.difficulty}</span>
+                      {!scenario.is_active && (
+                        <span className="text-xs px-2 py-0.5 rounded bg-yellow-100 text-yellow-700">Inactive</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">{scenario.setup_brief}</p>
+                    {scenario.success_conditions?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        {scenario.success_conditions.length} hidden success condition{scenario.success_conditions.length === 1 ? '' : 's'}
+                        {scenario.rubric_override && ' · custom rubric'}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex gap-1">
+                    <button onClick={() => openEditor(scenario)} className="p-2 rounded-lg hover:bg-gray-100" title="Edit">
+                      <Pencil className="w-4 h-4 text-gray-500" />
+                    </button>
+                    <button onClick={() => handleDelete(scenario)} className="p-2 rounded-lg hover:bg-gray-100" title="Delete">
+                      <Trash2 className="w-4 h-4 text-gray-500" />
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioEditorPage;
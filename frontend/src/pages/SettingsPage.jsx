@@ -1,14 +1,227 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuthStore } from '../context/authStore';
-import { usersAPI } from '../services/api';
-import { User, Building2, Shield, Loader2 } from 'lucide-react';
+import { authAPI, companiesAPI, usersAPI } from '../services/api';
+import { User, Building2, Shield, Loader2, ShieldCheck, ShieldAlert, KeyRound, Copy, Download } from 'lucide-react';
 import toast from 'react-hot-toast';
 
-const SettingsPage = () => {
+// Shown once after enabling MFA or replacing the codes
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'persona-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="p-4 border border-amber-200 bg-amber-50 rounded-lg space-y-3">
+      <p className="text-sm text-amber-800">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator, and they won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => navigator.clipboard.writeText(text).then(() => toast.success('Copied'))}
+          className="btn-outline btn-sm"
+        >
+          <Copy className="w-4 h-4 mr-2" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-outline btn-sm">
+          <Download className="w-4 h-4 mr-2" />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary btn-sm">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// TOTP enrollment, recovery codes and turning MFA off
+const TwoFactorSection = () => {
   const { user, updateUser } = useAuthStore();
-  const [activeTab, setActiveTab] = useState('profile');
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  const fetchStatus = () => authAPI.getMfa()
+    .then(response => setStatus(response.data))
+    .catch(() => toast.error('Failed to load two-step verification status'));
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const run = async (action, request, onSuccess) => {
+    setBusy(action);
+    try {
+      const response = await request();
+      await onSuccess(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(null);
+      setCode('');
+    }
+  };
+
+  const handleSetup = () => run('setup', authAPI.setupMfa, setEnrollment);
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run('enable', () => authAPI.enableMfa(code.trim()), async (data) => {
+      setEnrollment(null);
+      setRecoveryCodes(data.recoveryCodes);
+      updateUser({ mfaEnabled: true, mfaSetupRequired: false });
+      toast.success('Two-step verification is on');
+      await fetchStatus();
+    });
+  };
+
+  const handleRegenerate = () => run('regenerate', () => authAPI.regenerateRecoveryCodes(code.trim()), async (data) => {
+    setRecoveryCodes(data.recoveryCodes);
+    await fetchStatus();
+  });
+
+  const handleDisable = () => run('disable', () => authAPI.disableMfa(code.trim()), async () => {
+    updateUser({ mfaEnabled: false });
+    toast.success('Two-step verification is off');
+    await fetchStatus();
+  });
+
+  if (!status) {
+    return <Loader2 className="w-5 h-5 animate-spin text-primary-600" />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {user?.mfaSetupRequired && (
+        <div className="flex items-start gap-2 p-3 border border-amber-200 bg-amber-50 rounded-lg text-sm text-amber-800">
+          <ShieldAlert className="w-5 h-5 flex-shrink-0" />
+          Your company requires two-step verification for admins. Set it up to continue using the app.
+        </div>
+      )}
+
+      <div className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+        <div className="flex items-center gap-3">
+          {status.enabled ? (
+            <ShieldCheck className="w-6 h-6 text-green-600" />
+          ) : (
+            <KeyRound className="w-6 h-6 text-gray-400" />
+          )}
+          <div>
+            <p className="text-gray-900">Authenticator app</p>
+            <p className="text-sm text-gray-500">
+              {status.enabled
+                ? `On since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesRemaining} recovery codes left`
+                : 'Use a code from an app like Google Authenticator or 1Password when you sign in'}
+            </p>
+          </div>
+        </div>
+        {!status.enabled && !enrollment && (
+          <button type="button" onClick={handleSetup} disabled={!!busy} className="btn-primary btn-sm">
+            {busy === 'setup' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+            Set up
+          </button>
+        )}
+      </div>
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+      {enrollment && (
+        <form onSubmit={handleEnable} className="p-4 border border-gray-200 rounded-lg space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row items-center gap-4">
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="w-44 h-44 border border-gray-200 rounded" />
+            <div className="text-sm">
+              <p className="text-gray-500">Can't scan it? Enter this key instead:</p>
+              <p className="font-mono text-gray-900 break-all mt-1">
+                {enrollment.secret.match(/.{1,4}/g).join(' ')}
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              className="input max-w-[10rem] tracking-widest"
+              placeholder="123456"
+            />
+            <button type="submit" disabled={!!busy || code.trim().length < 6} className="btn-primary">
+              {busy === 'enable' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Verify and turn on
+            </button>
+            <button type="button" onClick={() => setEnrollment(null)} className="btn-outline">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && !recoveryCodes && (
+        <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+          <p className="text-sm text-gray-600">
+            Enter a current code (or a recovery code) to get new recovery codes or turn two-step verification off.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              className="input max-w-[12rem] tracking-widest"
+              placeholder="123456"
+            />
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              disabled={!!busy || code.trim().length < 6}
+              className="btn-outline"
+            >
+              {busy === 'regenerate' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              New recovery codes
+            </button>
+            <button
+              type="button"
+              onClick={handleDisable}
+              disabled={!!busy || status.required || code.trim().length < 6}
+              className="btn-outline text-red-600"
+            >
+              {busy === 'disable' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+              Turn off
+            </button>
+          </div>
+          {status.required && (
+            <p className="text-xs text-gray-500">Your company requires two-step verification for admins, so it can't be turned off.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SettingsPage = () => {
+  const { user, updateUser, isAdmin } = useAuthStore();
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
   const [saving, setSaving] = useState(false);
+  const [savingMfaPolicy, setSavingMfaPolicy] = useState(false);
 
   const {
     register,
@@ -34,6 +247,19 @@ const SettingsPage = () => {
     }
   };
 
+  const handleRequireAdminMfa = async (requireAdminMfa) => {
+    setSavingMfaPolicy(true);
+    try {
+      await companiesAPI.update(user.company.id, { requireAdminMfa });
+      updateUser({ company: { ...user.company, requireAdminMfa } });
+      toast.success(requireAdminMfa ? 'Admins now need two-step verification' : 'Two-step verification is optional for admins');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update company');
+    } finally {
+      setSavingMfaPolicy(false);
+    }
+  };
+
   const tabs = [
     { id: 'profile', name: 'Profile', icon: User },
     { id: 'company', name: 'Company', icon: Building2 },
@@ -193,6 +419,25 @@ const SettingsPage = () => {
                       </dd>
                     </div>
                   </dl>
+
+                  {isAdmin() && (
+                    <label className="flex items-start gap-3 p-4 border border-gray-200 rounded-lg cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={!!user.company.requireAdminMfa}
+                        disabled={savingMfaPolicy}
+                        onChange={(e) => handleRequireAdminMfa(e.target.checked)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="block font-medium text-gray-900">Require two-step verification for admins</span>
+                        <span className="block text-sm text-gray-500">
+                          Company admins must set up an authenticator app before they can use the app. Turn it on
+                          for your own account first.
+                        </span>
+                      </span>
+                    </label>
+                  )}
                 </div>
               ) : (
                 <div className="text-center py-8">
@@ -250,6 +495,12 @@ const SettingsPage = () => {
                   </div>
                 </div>
 
+                {/* Two-step verification */}
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">Two-Step Verification</h3>
+                  <TwoFactorSection />
+                </div>
+
                 {/* Session info */}
                 <div>
                   <h3 className="text-sm font-medium text-gray-700 mb-3">Session</h3>
@@ -0,0 +1,254 @@
+import { useEffect, useState } from 'react';
+import { simulationsAPI } from '../services/api';
+import { LayoutGrid, Loader2, Play, RefreshCw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Red (poor fit) to green (good fit)
+const cellColor = (score) => `hsl(${Math.round((score / 100) * 120)}, 70%, 45%)`;
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+const ScoreBar = ({ label, value, hint }) => (
+  <div>
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-600 dark:text-gray-400" title={hint}>{label}</span>
+      <span className="font-medium text-gray-900 dark:text-white">{value}</span>
+    </div>
+    <div className="h-2 rounded-full bg-gray-100 dark:bg-gray-700 mt-1">
+      <div className="h-2 rounded-full bg-primary-600" style={{ width: `${value}%` }} />
+    </div>
+  </div>
+);
+
+// Transcript and score breakdown of one pair
+const SimulationPanel = ({ simulationId, onClose }) => {
+  const [simulation, setSimulation] = useState(null);
+
+  useEffect(() => {
+    setSimulation(null);
+    simulationsAPI.get(simulationId)
+      .then(response => setSimulation(response.data))
+      .catch(() => toast.error('Failed to load simulation'));
+  }, [simulationId]);
+
+  if (!simulation) {
+    return (
+      <div className="card p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  const nameOf = (id) => (id === simulation.persona_a_id ? simulation.persona_a_name : simulation.persona_b_name);
+  const dominant = simulation.details?.dominant_persona_id;
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="font-semibold text-gray-900 dark:text-white">
+            {simulation.persona_a_name} &amp; {simulation.persona_b_name}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {simulation.turns} turns · {new Date(simulation.created_at).toLocaleString()}
+          </p>
+        </div>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <ScoreBar label="Compatibility" value={simulation.compatibility} />
+        <ScoreBar label="Consensus" value={simulation.consensus} hint="Agreement, weighted toward the end of the discussion" />
+        <ScoreBar label="Friction" value={simulation.friction} hint="Share of turns with pushback or hostility" />
+        <ScoreBar label="Turn dominance" value={simulation.dominance} hint="How unevenly the talking was split" />
+      </div>
+      {dominant && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {nameOf(dominant)} did {Math.round(simulation.details.word_share[dominant] * 100)}% of the talking.
+        </p>
+      )}
+
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {simulation.transcript.map((turn, i) => (
+          <div
+            key={i}
+            className={`flex ${turn.persona_id === simulation.persona_a_id ? 'justify-start' : 'justify-end'}`}
+          >
+            <div className={`max-w-[80%] rounded-xl px-4 py-2 ${turn.persona_id === simulation.persona_a_id
+              ? 'bg-blue-100 text-blue-900 dark:bg-blue-900/30 dark:text-blue-100'
+              : 'bg-purple-100 text-purple-900 dark:bg-purple-900/30 dark:text-purple-100'}`}
+            >
+              <p className="text-xs font-semibold mb-0.5">{turn.name}</p>
+              <p className="whitespace-pre-wrap text-sm">{turn.content}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const TeamFitPage = () => {
+  const [prompts, setPrompts] = useState([]);
+  const [prompt, setPrompt] = useState('');
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    simulationsAPI.getPrompts()
+      .then(response => {
+        setPrompts(response.data.prompts);
+        setPrompt(response.data.prompts[0]);
+      })
+      .catch(() => toast.error('Failed to load prompts'));
+  }, []);
+
+  useEffect(() => {
+    if (!prompt) return;
+    setLoading(true);
+    setSelected(null);
+    simulationsAPI.getCompatibility({ prompt })
+      .then(response => setMatrix(response.data))
+      .catch(() => toast.error('Failed to load compatibility matrix'))
+      .finally(() => setLoading(false));
+  }, [prompt]);
+
+  // The server simulates one pair per call; keep calling until done
+  const handleRun = async (refresh) => {
+    setRunning(true);
+    try {
+      let request = { prompt, refresh };
+      let done = 0;
+      for (;;) {
+        const response = await simulationsAPI.runCompatibility(request);
+        const { ran, remaining, refreshBefore } = response.data;
+        done += ran;
+        setMatrix(response.data.matrix);
+        setProgress({ done, total: done + remaining });
+        if (remaining === 0 || ran === 0) break;
+        request = { prompt, refreshBefore: refreshBefore || undefined };
+      }
+      toast.success(done ? `Simulated ${done} pair${done === 1 ? '' : 's'}` : 'Every pair is already simulated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to run simulations');
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const cells = new Map((matrix?.pairs || []).map(p => [pairKey(p.persona_a_id, p.persona_b_id), p]));
+  const personas = matrix?.personas || [];
+  const nameOf = (id) => personas.find(p => p.id === id)?.name;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          <LayoutGrid className="w-7 h-7 text-primary-600" />
+          Team Fit
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Every pair of personas discusses a workplace prompt. Their transcripts are scored for friction, consensus and who dominated the conversation.
+        </p>
+      </div>
+
+      <div className="card p-6 space-y-4">
+        <div>
+          <label className="label">Workplace prompt</label>
+          <select value={prompt} onChange={(e) => setPrompt(e.target.value)} className="input" disabled={running}>
+            {prompts.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <button onClick={() => handleRun(false)} disabled={running || !matrix?.missing} className="btn-primary">
+            {running ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+            Simulate missing pairs{matrix?.missing ? ` (${matrix.missing})` : ''}
+          </button>
+          <button onClick={() => handleRun(true)} disabled={running || !matrix?.pairs.length} className="btn-outline">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Re-run all
+          </button>
+          {progress && (
+            <span className="text-sm text-gray-500">{progress.done}/{progress.total} pairs simulated</span>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+        </div>
+      ) : personas.length < 2 ? (
+        <div className="card p-6 text-center text-gray-500">
+          Create at least two personas to compare how they work together.
+        </div>
+      ) : (
+        <div className="card p-6 overflow-x-auto">
+          <table className="border-separate" style={{ borderSpacing: 4 }}>
+            <thead>
+              <tr>
+                <th />
+                {personas.map(p => (
+                  <th key={p.id} className="text-xs font-medium text-gray-600 dark:text-gray-400 w-14 align-bottom">
+                    <span className="block truncate w-14" title={p.name}>{p.name}</span>
+                  </th>
+                ))}
+                <th className="text-xs font-medium text-gray-600 dark:text-gray-400 pl-4 text-left">Average</th>
+              </tr>
+            </thead>
+            <tbody>
+              {personas.map(row => (
+                <tr key={row.id}>
+                  <th className="text-sm font-medium text-gray-900 dark:text-white text-right pr-2 whitespace-nowrap">
+                    {row.name}
+                  </th>
+                  {personas.map(col => {
+                    if (row.id === col.id) {
+                      return <td key={col.id} className="w-14 h-14 rounded bg-gray-100 dark:bg-gray-700" />;
+                    }
+                    const cell = cells.get(pairKey(row.id, col.id));
+                    return (
+                      <td key={col.id} className="w-14 h-14 p-0">
+                        {cell ? (
+                          <button
+                            onClick={() => setSelected(cell.simulation_id)}
+                            title={`${row.name} & ${col.name}: friction ${cell.friction}, consensus ${cell.consensus}, dominance ${cell.dominance}`}
+                            className={`w-14 h-14 rounded text-white font-semibold text-sm ${selected === cell.simulation_id ? 'ring-2 ring-offset-2 ring-primary-600' : ''}`}
+                            style={{ backgroundColor: cellColor(cell.compatibility) }}
+                          >
+                            {cell.compatibility}
+                          </button>
+                        ) : (
+                          <div className="w-14 h-14 rounded border border-dashed border-gray-300 dark:border-gray-600" title="Not simulated yet" />
+                        )}
+                      </td>
+                    );
+                  })}
+                  <td className="pl-4 text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                    {row.average_compatibility ?? '—'}
+                    {row.best_match_id && (
+                      <span className="block text-xs">Best with {nameOf(row.best_match_id)}</span>
+                    )}
+                    {row.most_friction_id && (
+                      <span className="block text-xs">Most friction with {nameOf(row.most_friction_id)}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && <SimulationPanel simulationId={selected} onClose={() => setSelected(null)} />}
+    </div>
+  );
+};
+
+export default TeamFitPage;
@@ -1,6 +1,8 @@
 import { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { personasAPI, trainingAPI } from '../services/api';
+import { trainingAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import TrainingProgress from '../components/TrainingProgress';
 import {
     GraduationCap,
     Users,
@@ -12,22 +14,27 @@ import {
     Trophy,
     Target,
     Sparkles,
+    Settings,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const TrainingPage = () => {
+    const { isAdmin } = useAuthStore();
     const [personas, setPersonas] = useState([]);
     const [loading, setLoading] = useState(true);
     const [selectedDifficulty, setSelectedDifficulty] = useState('all');
+    const [recentSessions, setRecentSessions] = useState([]);
 
     useEffect(() => {
-        fetchDefaultPersonas();
+        fetchCatalog();
+        fetchRecentSessions();
     }, []);
 
-    const fetchDefaultPersonas = async () => {
+    const fetchCatalog = async () => {
         try {
-            const response = await personasAPI.getDefaults();
-            setPersonas(response.data.personas || []);
+            // Scenarios grouped by persona: default personas plus the company's own
+            const response = await trainingAPI.getScenarios();
+            setPersonas(response.data.scenarios || []);
         } catch (error) {
             toast.error('Failed to load training personas');
             console.error(error);
@@ -36,39 +43,14 @@ const TrainingPage = () => {
         }
     };
 
-    // Training scenarios for each persona type
-    const getScenarios = (persona) => {
-        const archetype = persona.vector_profile?.archetype || persona.name;
-
-        const scenarioMap = {
-            'The Hunter': [
-                { id: 'hunter-easy', difficulty: 'easy', title: 'Late CRM Update', description: 'Jordan hasn\'t updated their big deals in weeks', skills: ['Managing accountability', 'Empathy'] },
-                { id: 'hunter-medium', difficulty: 'medium', title: 'Commission Dispute', description: 'Jordan claims quota was unfair this quarter', skills: ['Negotiation', 'Policy explanation'] },
-                { id: 'hunter-hard', difficulty: 'hard', title: 'Top Performer Leaving', description: 'Jordan got a competing offer, wants counteroffer', skills: ['Retention', 'Executive presence'] },
-            ],
-            'The Craftsman': [
-                { id: 'craft-easy', difficulty: 'easy', title: 'Meeting Overload', description: 'Alex refuses to attend standups', skills: ['Finding common ground'] },
-                { id: 'craft-medium', difficulty: 'medium', title: 'Documentation Resistance', description: 'Alex won\'t document critical system', skills: ['Influencing without authority'] },
-                { id: 'craft-hard', difficulty: 'hard', title: 'Production Outage Blame', description: 'Alex\'s code caused downtime, being defensive', skills: ['Crisis communication'] },
-            ],
-            'The Diplomat': [
-                { id: 'diplo-easy', difficulty: 'easy', title: 'Feature Prioritization', description: 'Maya overwhelmed by conflicting requests', skills: ['Active listening', 'Prioritization'] },
-                { id: 'diplo-medium', difficulty: 'medium', title: 'Stakeholder Conflict', description: 'Engineering and Sales disagree on roadmap', skills: ['Mediation', 'Decision-making'] },
-                { id: 'diplo-hard', difficulty: 'hard', title: 'Product Launch Crisis', description: 'Major bug found day before launch', skills: ['Crisis management', 'Leadership'] },
-            ],
-            'The Guardian': [
-                { id: 'guard-easy', difficulty: 'easy', title: 'Benefits Confusion', description: 'Employee frustrated about policy', skills: ['Clear communication', 'Patience'] },
-                { id: 'guard-medium', difficulty: 'medium', title: 'Harassment Complaint', description: 'Sensitive report requiring investigation', skills: ['Empathy', 'Compliance'] },
-                { id: 'guard-hard', difficulty: 'hard', title: 'Mass Layoff Announcement', description: 'Preparing managers for reductions', skills: ['Emotional intelligence', 'Leadership'] },
-            ],
-            'The Oracle': [
-                { id: 'oracle-easy', difficulty: 'easy', title: 'Data Access Request', description: 'David needs database permissions urgently', skills: ['Service orientation'] },
-                { id: 'oracle-medium', difficulty: 'medium', title: 'Strategy Disagreement', description: 'David\'s analysis contradicts exec decision', skills: ['Influence', 'Diplomacy'] },
-                { id: 'oracle-hard', difficulty: 'hard', title: 'Model Bias Discovery', description: 'AI model has discriminatory patterns', skills: ['Ethics', 'Stakeholder management'] },
-            ],
-        };
-
-        return scenarioMap[archetype] || [];
+    const fetchRecentSessions = async () => {
+        try {
+            const response = await trainingAPI.getHistory({ limit: 5 });
+            setRecentSessions(response.data.sessions || []);
+        } catch (error) {
+            // History is optional on this page
+            console.error(error);
+        }
     };
 
     const getDifficultyColor = (difficulty) => {
@@ -110,6 +92,12 @@ const TrainingPage = () => {
                         Practice communication skills with AI personas. Each persona grades you based on their unique character.
                     </p>
                 </div>
+                {isAdmin() && (
+                    <Link to="/training/scenarios" className="btn-secondary">
+                        <Settings className="w-4 h-4 mr-2" />
+                        Manage Scenarios
+                    </Link>
+                )}
             </div>
 
             {/* Info Banner */}
@@ -125,6 +113,49 @@ const TrainingPage = () => {
                 </div>
             </div>
 
+            {/* Skills, streak and what to practise next */}
+            <TrainingProgress />
+
+            {/* Recent Sessions */}
+            {recentSessions.length > 0 && (
+                <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700">
+                    <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+                        <Clock className="w-5 h-5 text-gray-500" />
+                        <h2 className="font-semibold text-gray-900 dark:text-white">Recent Sessions</h2>
+                    </div>
+                    <div className="divide-y divide-gray-100 dark:divide-gray-700">
+                        {recentSessions.map((session) => (
+                            <Link
+                                key={session.id}
+                                to={`/training/${session.persona_id}/${session.scenario_id}`}
+                                className="flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                            >
+                                <div className="flex-1">
+                                    <h3 className="font-medium text-gray-900 dark:text-white">
+                                        {session.scenario_title || session.scenario_id}
+                                    </h3>
+                                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                                        {session.persona_name} · {new Date(session.completed_at || session.updated_at || session.created_at).toLocaleDateString()}
+                                    </p>
+                                </div>
+                                {session.status === 'active' ? (
+                                    <span className="flex items-center gap-1 text-sm font-medium text-primary-600">
+                                        <Play className="w-4 h-4" />
+                                        Resume
+                                    </span>
+                                ) : session.overall_score !== null ? (
+                                    <span className="flex items-center gap-1 text-sm font-medium text-gray-900 dark:text-white">
+                                        <Trophy className="w-4 h-4 text-yellow-500" />
+                                        {session.overall_score}/100
+                                    </span>
+                                ) : null}
+                                <ChevronRight className="w-5 h-5 text-gray-400" />
+                            </Link>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Filter */}
             <div className="flex gap-2">
                 {['all', 'easy', 'medium', 'hard'].map((diff) => (
@@ -144,7 +175,7 @@ const TrainingPage = () => {
             {/* Personas with Scenarios */}
             <div className="space-y-6">
                 {personas.map((persona) => {
-                    const scenarios = getScenarios(persona);
+                    const scenarios = persona.scenarios || [];
                     const filteredScenarios = selectedDifficulty === 'all'
                         ? scenarios
                         : scenarios.filter(s => s.difficulty === selectedDifficulty);
@@ -152,20 +183,20 @@ const TrainingPage = () => {
                     if (filteredScenarios.length === 0) return null;
 
                     return (
-                        <div key={persona.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+                        <div key={persona.persona_id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
                             {/* Persona Header */}
                             <div className="p-4 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50">
                                 <div className="flex items-center gap-3">
                                     <div className="w-12 h-12 rounded-full bg-gradient-to-br from-primary-500 to-purple-600 flex items-center justify-center text-white font-bold">
-                                        {persona.name?.charAt(0) || 'P'}
+                                        {persona.persona_name?.charAt(0) || 'P'}
                                     </div>
                                     <div>
-                                        <h2 className="font-semibold text-gray-900 dark:text-white">{persona.name}</h2>
-                                        <p className="text-sm text-gray-600 dark:text-gray-400">{persona.tagline}</p>
+                                        <h2 className="font-semibold text-gray-900 dark:text-white">{persona.persona_name}</h2>
+                                        <p className="text-sm text-gray-600 dark:text-gray-400">{persona.persona_tagline}</p>
                                     </div>
                                     <div className="ml-auto">
                                         <span className="text-xs px-2 py-1 rounded-full bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400">
-                                            {persona.grading_rubric?.criteria?.[0]?.name || 'Custom'} focused
+                                            {persona.grading_focus || 'Custom'} focused
                                         </span>
                                     </div>
                                 </div>
@@ -176,7 +207,7 @@ const TrainingPage = () => {
                                 {filteredScenarios.map((scenario) => (
                                     <Link
                                         key={scenario.id}
-                                        to={`/training/${persona.id}/${scenario.id}`}
+                                        to={`/training/${persona.persona_id}/${scenario.key}`}
                                         className="flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
                                     >
                                         <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${getDifficultyColor(scenario.difficulty)}`}>
@@ -186,7 +217,7 @@ const TrainingPage = () => {
                                             <h3 className="font-medium text-gray-900 dark:text-white">{scenario.title}</h3>
                                             <p className="text-sm text-gray-600 dark:text-gray-400">{scenario.description}</p>
                                             <div className="flex gap-2 mt-1">
-                                                {scenario.skills.map((skill, i) => (
+                                                {(scenario.skills || []).map((skill, i) => (
                                                     <span key={i} className="text-xs px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400">
                                                         {skill}
                                                     </span>
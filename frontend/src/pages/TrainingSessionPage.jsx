@@ -11,9 +11,79 @@ import {
     Star,
     Bot,
     User,
+    Calculator,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+/**
+ * Final score = rubric-weighted criteria blended with deterministic conversation signals
+ */
+const ScoreCalculation = ({ breakdown, overall }) => {
+    const { rubric, signals } = breakdown;
+
+    return (
+        <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 mb-6 border border-gray-200 dark:border-gray-700">
+            <h3 className="font-medium text-gray-900 dark:text-white mb-3 flex items-center gap-2">
+                <Calculator className="w-4 h-4 text-gray-500" />
+                How Your Score Was Calculated
+            </h3>
+
+            <div className="grid grid-cols-3 gap-3 text-sm mb-4">
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">Rubric ({rubric.weight}%)</p>
+                    <p className="text-lg font-semibold text-gray-900 dark:text-white">{rubric.score}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">Signals ({signals.weight}%)</p>
+                    <p className="text-lg font-semibold text-gray-900 dark:text-white">{signals.score ?? '-'}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">Final</p>
+                    <p className="text-lg font-semibold text-gray-900 dark:text-white">{overall}</p>
+                </div>
+            </div>
+
+            {rubric.criteria.length > 0 && (
+                <div className="mb-4">
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-2">Rubric criteria</p>
+                    <ul className="space-y-1 text-sm">
+                        {rubric.criteria.map((criterion) => (
+                            <li key={criterion.name} className="flex justify-between text-gray-700 dark:text-gray-300">
+                                <span>{criterion.name} <span className="text-gray-400">× {criterion.weight}%</span></span>
+                                <span className="font-medium">{criterion.score} → {criterion.contribution}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {signals.items.length > 0 && (
+                <div>
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-2">Conversation signals</p>
+                    <div className="space-y-3">
+                        {signals.items.map((signal) => (
+                            <div key={signal.key} className="space-y-1">
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-gray-700 dark:text-gray-300">{signal.label}</span>
+                                    <span className="font-medium">{signal.score}/100</span>
+                                </div>
+                                <div className="h-1.5 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                                    <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${signal.score}%` }} />
+                                </div>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">{signal.detail}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+                The grader's own overall impression was {breakdown.llm_overall_score}/100; the final score is computed from the weighted criteria and signals above.
+            </p>
+        </div>
+    );
+};
+
 const TrainingSessionPage = () => {
     const { personaId, scenarioId } = useParams();
     const navigate = useNavigate();
@@ -21,6 +91,7 @@ const TrainingSessionPage = () => {
 
     const [persona, setPersona] = useState(null);
     const [scenario, setScenario] = useState(null);
+    const [sessionId, setSessionId] = useState(null);
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(true);
@@ -43,20 +114,16 @@ const TrainingSessionPage = () => {
 
     const fetchData = async () => {
         try {
-            const personaRes = await personasAPI.get(personaId);
+            const [personaRes, scenarioRes] = await Promise.all([
+                personasAPI.get(personaId),
+                trainingAPI.getScenario(scenarioId),
+            ]);
             // API returns persona data directly, not wrapped in 'persona' key
-            const personaData = personaRes.data;
-            setPersona(personaData);
-
-            // Get scenario from the hardcoded list based on ID
-            const scenarioData = getScenarioById(scenarioId, personaData);
-            setScenario(scenarioData);
+            setPersona(personaRes.data);
+            setScenario(scenarioRes.data.scenario);
 
-            // Start with persona's opening message based on scenario
-            if (scenarioData && personaData) {
-                const openingMessage = generateOpeningMessage(personaData, scenarioData);
-                setMessages([{ role: 'assistant', content: openingMessage }]);
-            }
+            // Resumes the unfinished session for this scenario if there is one
+            await startSession(false);
         } catch (error) {
             toast.error('Failed to load training scenario');
             console.error(error);
@@ -65,48 +132,20 @@ const TrainingSessionPage = () => {
         }
     };
 
-    const getScenarioById = (id, persona) => {
-        const archetype = persona.vector_profile?.archetype || 'The Hunter';
-
-        const allScenarios = {
-            'hunter-easy': { title: 'Late CRM Update', description: 'Jordan hasn\'t updated their big deals in weeks', difficulty: 'easy', context: 'You are Jordan\'s manager. Jordan has been neglecting CRM updates for weeks, leaving leadership without visibility into the sales pipeline.' },
-            'hunter-medium': { title: 'Commission Dispute', description: 'Jordan claims quota was unfair this quarter', difficulty: 'medium', context: 'Jordan is disputing their commission, claiming the quota was set unfairly high compared to other AEs.' },
-            'hunter-hard': { title: 'Top Performer Leaving', description: 'Jordan got a competing offer', difficulty: 'hard', context: 'Jordan just received a lucrative offer from a competitor and is considering leaving. They\'ve been your top performer.' },
-            'craft-easy': { title: 'Meeting Overload', description: 'Alex refuses to attend standups', difficulty: 'easy', context: 'Alex has stopped attending daily standups, saying they\'re a waste of time that interrupts deep work.' },
-            'craft-medium': { title: 'Documentation Resistance', description: 'Alex won\'t document critical system', difficulty: 'medium', context: 'Alex built a critical system that only they understand, but refuses to write documentation.' },
-            'craft-hard': { title: 'Production Outage Blame', description: 'Alex\'s code caused downtime', difficulty: 'hard', context: 'Alex\'s recent deployment caused a 4-hour production outage. They\'re being defensive and blaming QA.' },
-            'diplo-easy': { title: 'Feature Prioritization', description: 'Maya overwhelmed by requests', difficulty: 'easy', context: 'Maya is overwhelmed by conflicting feature requests from sales, support, and engineering.' },
-            'diplo-medium': { title: 'Stakeholder Conflict', description: 'Engineering vs Sales disagreement', difficulty: 'medium', context: 'Engineering wants to focus on tech debt while Sales demands new features. Maya is caught in the middle.' },
-            'diplo-hard': { title: 'Product Launch Crisis', description: 'Major bug found before launch', difficulty: 'hard', context: 'A critical bug was found 24 hours before a major product launch. Stakeholders are panicking.' },
-            'guard-easy': { title: 'Benefits Confusion', description: 'Employee frustrated about policy', difficulty: 'easy', context: 'An employee is frustrated and confused about recent changes to the benefits policy.' },
-            'guard-medium': { title: 'Harassment Complaint', description: 'Sensitive report requiring investigation', difficulty: 'medium', context: 'An employee has come to you with a harassment complaint about their manager.' },
-            'guard-hard': { title: 'Mass Layoff Announcement', description: 'Preparing for reductions', difficulty: 'hard', context: 'The company is planning a 20% workforce reduction. You need to prepare managers for the announcement.' },
-            'oracle-easy': { title: 'Data Access Request', description: 'Urgent permissions needed', difficulty: 'easy', context: 'David needs urgent database access for an important analysis, but normal approval takes a week.' },
-            'oracle-medium': { title: 'Strategy Disagreement', description: 'Analysis contradicts executives', difficulty: 'medium', context: 'David\'s data analysis contradicts a strategic decision already announced by the CEO.' },
-            'oracle-hard': { title: 'Model Bias Discovery', description: 'AI shows discriminatory patterns', difficulty: 'hard', context: 'David discovered that your company\'s AI model has significant bias against certain demographics.' },
-        };
-
-        return allScenarios[id] || null;
-    };
-
-    const generateOpeningMessage = (persona, scenario) => {
-        const name = persona.name?.split('"')[0]?.trim() || 'I';
-        const archetype = persona.vector_profile?.archetype;
+    const startSession = async (restart) => {
+        const response = await trainingAPI.startSession({ personaId, scenarioId, restart });
+        const { session, resumed } = response.data;
 
-        const openings = {
-            'The Hunter': `Look, I know you wanted to talk about ${scenario.title.toLowerCase()}. Can we make this quick? I've got three calls back-to-back this afternoon.`,
-            'The Craftsman': `*responds via Slack* Hey. About ${scenario.title.toLowerCase()} - I assume this is why you pinged me? What do you need?`,
-            'The Diplomat': `Thanks for reaching out. I know we need to discuss ${scenario.title.toLowerCase()}. I have about 15 minutes before my next sync - let's make the most of it.`,
-            'The Guardian': `Hi there. I appreciate you taking the time to meet. I understand you wanted to talk about ${scenario.title.toLowerCase()}. How can I help?`,
-            'The Oracle': `*looks up from laptop* Oh, right - ${scenario.title.toLowerCase()}. I was just running some analysis. What's your take on it?`,
-        };
-
-        return openings[archetype] || `Let's discuss ${scenario.title.toLowerCase()}.`;
+        setSessionId(session.id);
+        setMessages(session.messages || []);
+        if (resumed && session.messages?.some(m => m.role === 'user')) {
+            toast.success('Resumed your unfinished session');
+        }
     };
 
     const sendMessage = async (e) => {
         e.preventDefault();
-        if (!input.trim() || sending) return;
+        if (!input.trim() || sending || !sessionId) return;
 
         const userMessage = { role: 'user', content: input.trim() };
         setMessages(prev => [...prev, userMessage]);
@@ -114,17 +153,8 @@ const TrainingSessionPage = () => {
         setSending(true);
 
         try {
-            // Use the new training chat endpoint with dynamic LLM responses
-            const response = await trainingAPI.chat({
-                personaId,
-                messages: [...messages, userMessage],
-                scenario: {
-                    title: scenario.title,
-                    description: scenario.description,
-                    context: scenario.context,
-                    difficulty: scenario.difficulty
-                }
-            });
+            // The server keeps the transcript; only the new turn is sent
+            const response = await trainingAPI.sendMessage(sessionId, userMessage.content);
 
             if (response.data?.message) {
                 setMessages(prev => [...prev, { role: 'assistant', content: response.data.message }]);
@@ -132,6 +162,9 @@ const TrainingSessionPage = () => {
         } catch (error) {
             console.error('Training chat error:', error);
             toast.error('Failed to get response. Please try again.');
+            // The turn wasn't stored, so drop it and give the text back
+            setMessages(prev => prev.filter(m => m !== userMessage));
+            setInput(userMessage.content);
         } finally {
             setSending(false);
         }
@@ -165,48 +198,27 @@ const TrainingSessionPage = () => {
     const completeSession = async () => {
         setGrading(true);
         try {
-            // Call grading endpoint
-            const response = await trainingAPI.gradeSession({
-                personaId,
-                scenarioId,
-                messages: messages.filter(m => m.role === 'user')
-            });
+            // Graded from the transcript stored with the session
+            const response = await trainingAPI.gradeSession({ sessionId });
 
             setGradingResult(response.data);
             setSessionComplete(true);
         } catch (error) {
-            // Mock grading for demo
-            const mockGrade = generateMockGrade(persona);
-            setGradingResult(mockGrade);
-            setSessionComplete(true);
+            console.error('Training grade error:', error);
+            toast.error(error.response?.data?.message || 'Failed to grade session. Please try again.');
         } finally {
             setGrading(false);
         }
     };
 
-    const generateMockGrade = (persona) => {
-        const archetype = persona?.vector_profile?.archetype || 'The Hunter';
-        const rubric = persona?.grading_rubric;
-
-        return {
-            overall_score: 72 + Math.floor(Math.random() * 20),
-            criteria_scores: (rubric?.criteria || [
-                { name: 'Communication', weight: 25 },
-                { name: 'Empathy', weight: 25 },
-                { name: 'Problem Solving', weight: 25 },
-                { name: 'Professionalism', weight: 25 },
-            ]).map(c => ({
-                name: c.name,
-                score: 60 + Math.floor(Math.random() * 35),
-                feedback: `Good effort on ${c.name.toLowerCase()}.`
-            })),
-            overall_feedback: rubric?.grading_style || 'Good conversation overall. Keep practicing to improve.',
-            tips: ['Be more concise', 'Show more empathy early on'],
-            graded_by: {
-                persona_name: persona?.name,
-                grading_style: rubric?.grading_style || 'Standard evaluation'
-            }
-        };
+    const restartSession = async () => {
+        try {
+            await startSession(true);
+            setSessionComplete(false);
+            setGradingResult(null);
+        } catch (error) {
+            toast.error('Failed to start a new session');
+        }
     };
 
     const getLetterGrade = (score) => {
@@ -321,11 +333,16 @@ const TrainingSessionPage = () => {
                                 </div>
                             </div>
                             <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                                Your final score is averaged from two grading passes for improved accuracy
+                                Criterion scores are averaged from two grading passes for improved accuracy
                             </p>
                         </div>
                     )}
 
+                    {/* How the final score was computed */}
+                    {gradingResult.score_breakdown && (
+                        <ScoreCalculation breakdown={gradingResult.score_breakdown} overall={gradingResult.overall_score} />
+                    )}
+
                     {/* Criteria Scores */}
                     <div className="space-y-4 mb-6">
                         <h3 className="font-medium text-gray-900 dark:text-white">Score Breakdown</h3>
@@ -371,11 +388,7 @@ const TrainingSessionPage = () => {
                         Back to Training
                     </Link>
                     <button
-                        onClick={() => {
-                            setSessionComplete(false);
-                            setGradingResult(null);
-                            setMessages([{ role: 'assistant', content: generateOpeningMessage(persona, scenario) }]);
-                        }}
+                        onClick={restartSession}
                         className="flex-1 py-3 text-center bg-primary-600 hover:bg-primary-700 text-white rounded-lg font-medium transition-colors"
                     >
                         Try Again
@@ -418,7 +431,7 @@ const TrainingSessionPage = () => {
                 <div className="flex items-start gap-2">
                     <Target className="w-4 h-4 text-amber-600 mt-0.5" />
                     <p className="text-sm text-amber-800 dark:text-amber-300">
-                        <strong>Scenario:</strong> {scenario?.context}
+                        <strong>Scenario:</strong> {scenario?.setup_brief}
                     </p>
                 </div>
             </div>
@@ -147,6 +147,7 @@ export default function VCPQPage() {
               domain={domain}
               onComplete={handleQuestionnaireComplete}
               onCancel={() => setStep('demographics')}
+              allowModeChange
             />
           </div>
         )}
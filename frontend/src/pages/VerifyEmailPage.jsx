@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuthStore } from '../context/authStore';
+import { Loader2, CheckCircle, XCircle } from 'lucide-react';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, updateUser } = useAuthStore();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState(null);
+  const requested = useRef(false);
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Verify once, even when effects run twice in development
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('error');
+      setMessage('This link is missing its verification token.');
+      return;
+    }
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.email);
+        if (isAuthenticated) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.error || 'Failed to verify email');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-12 h-12 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  const verified = status === 'verified';
+
+  return (
+    <div className="animate-fade-in text-center">
+      <div className={`w-16 h-16 mx-auto mb-4 rounded-full flex items-center justify-center ${verified ? 'bg-green-100' : 'bg-red-100'}`}>
+        {verified ? (
+          <CheckCircle className="w-8 h-8 text-green-600" />
+        ) : (
+          <XCircle className="w-8 h-8 text-red-600" />
+        )}
+      </div>
+      <h2 className="text-2xl font-bold text-gray-900">
+        {verified ? 'Email verified' : 'Verification failed'}
+      </h2>
+      <p className="text-gray-600 mt-2">
+        {verified ? (
+          <>Thanks for confirming <span className="font-medium">{message}</span>.</>
+        ) : (
+          <>{message} You can request a new link from the banner once you sign in.</>
+        )}
+      </p>
+      <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary w-full py-3 mt-8">
+        {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+      </Link>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -55,10 +55,82 @@ api.interceptors.response.use(
       }
     }
 
+    // The company requires MFA for admins and this one hasn't enrolled yet
+    if (error.response?.status === 403 && error.response?.data?.code === 'MFA_SETUP_REQUIRED'
+      && window.location.pathname !== '/settings') {
+      window.location.href = '/settings?tab=security';
+    }
+
     return Promise.reject(error);
   }
 );
 
+/**
+ * Request a server-sent-events response (POST with a JSON body, or GET without one).
+ * Axios can't read a response body incrementally in the browser, so this uses fetch
+ * and mirrors the interceptors above (bearer token, one refresh on TOKEN_EXPIRED).
+ * Calls onEvent(event, data) for every event; abort via the signal to stop early.
+ */
+const requestEventStream = async (method, path, body, { onEvent, signal } = {}, retried = false) => {
+  const token = localStorage.getItem('accessToken');
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && data.code === 'TOKEN_EXPIRED' && !retried) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (refreshToken) {
+        const refreshed = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+        localStorage.setItem('accessToken', refreshed.data.accessToken);
+        localStorage.setItem('refreshToken', refreshed.data.refreshToken);
+        return requestEventStream(method, path, body, { onEvent, signal }, true);
+      }
+    }
+
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const raw of events) {
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent?.(event, JSON.parse(data));
+    }
+  }
+};
+
+const postEventStream = (path, body, handlers) => requestEventStream('POST', path, body, handlers);
+
+const getEventStream = (path, handlers) => requestEventStream('GET', path, undefined, handlers);
+
 // Auth API
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
@@ -67,6 +139,16 @@ export const authAPI = {
   getMe: () => api.get('/auth/me'),
   refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   validateInvite: (token) => api.get(`/auth/invite/${token}`),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  verifyMfa: (mfaToken, code) => api.post('/auth/login/mfa', { mfaToken, code }),
+  getMfa: () => api.get('/auth/mfa'),
+  setupMfa: () => api.post('/auth/mfa/setup'),
+  enableMfa: (code) => api.post('/auth/mfa/enable', { code }),
+  disableMfa: (code) => api.post('/auth/mfa/disable', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/mfa/recovery-codes', { code }),
 };
 
 // Companies API
@@ -98,16 +180,31 @@ export const usersAPI = {
 export const questionnairesAPI = {
   getTemplates: () => api.get('/questionnaires/templates'),
   getTemplate: (id) => api.get(`/questionnaires/templates/${id}`),
+  createTemplate: (data) => api.post('/questionnaires/templates', data),
+  updateTemplate: (id, data) => api.put(`/questionnaires/templates/${id}`, data),
+  deleteTemplate: (id) => api.delete(`/questionnaires/templates/${id}`),
   list: (params) => api.get('/questionnaires', { params }),
   create: (data) => api.post('/questionnaires', data),
   get: (id) => api.get(`/questionnaires/${id}`),
   update: (id, data) => api.put(`/questionnaires/${id}`, data),
   delete: (id) => api.delete(`/questionnaires/${id}`),
-  getByAccessCode: (code) => api.get(`/questionnaires/access/${code}`),
+  getByAccessCode: (code, recipientToken) => api.get(`/questionnaires/access/${code}`, { params: { r: recipientToken || undefined } }),
+  markStarted: (code, recipientToken) => api.post(`/questionnaires/access/${code}/started`, { recipientToken }),
+  getNextItems: (code, answers) => api.post(`/questionnaires/access/${code}/next-items`, { answers }),
   submitResponse: (id, data) => api.post(`/questionnaires/${id}/responses`, data),
   getResponses: (id, params) => api.get(`/questionnaires/${id}/responses`, { params }),
+  reviewResponse: (id, responseId, status) => api.patch(`/questionnaires/${id}/responses/${responseId}/quality`, { status }),
+  // Distribution campaigns
+  getRecipients: (id) => api.get(`/questionnaires/${id}/recipients`),
+  addRecipients: (id, data) => api.post(`/questionnaires/${id}/recipients`, data),
+  sendInvitations: (id, recipientIds) => api.post(`/questionnaires/${id}/recipients/send`, { recipientIds }),
+  removeRecipient: (id, recipientId) => api.delete(`/questionnaires/${id}/recipients/${recipientId}`),
   previewClusters: (id, data) => api.post(`/questionnaires/${id}/preview-clusters`, data),
   generatePersonas: (id, data) => api.post(`/questionnaires/${id}/generate-personas`, data),
+  getGenerationJobs: (id, params) => api.get(`/questionnaires/${id}/generation-jobs`, { params }),
+  getGenerationJob: (id, jobId) => api.get(`/questionnaires/${id}/generation-jobs/${jobId}`),
+  followGenerationJob: (id, jobId, handlers) => getEventStream(`/questionnaires/${id}/generation-jobs/${jobId}/events`, handlers),
+  retryGenerationJob: (id, jobId, clusterIds) => api.post(`/questionnaires/${id}/generation-jobs/${jobId}/retry`, { clusterIds }),
   deletePersonas: (id) => api.delete(`/questionnaires/${id}/personas`),
 };
 
@@ -118,13 +215,21 @@ export const personasAPI = {
   update: (id, data) => api.put(`/personas/${id}`, data),
   delete: (id) => api.delete(`/personas/${id}`),
   findSimilar: (data) => api.post('/personas/find-similar', data),
+  getSimilaritySearches: (params) => api.get('/personas/similarity-searches', { params }),
   getEngagementStats: () => api.get('/personas/engagement-stats'),
   getDefaults: () => api.get('/personas/defaults'),
+  suggestRubric: (id) => api.get(`/personas/${id}/rubric/suggestion`),
+  // Versions
+  getVersions: (id) => api.get(`/personas/${id}/versions`),
+  getVersion: (id, version) => api.get(`/personas/${id}/versions/${version}`),
+  compareVersions: (id, from, to) => api.get(`/personas/${id}/versions/compare`, { params: { from, to } }),
+  rollbackVersion: (id, version, data) => api.post(`/personas/${id}/versions/${version}/rollback`, data),
   // Conversations
   getConversations: (personaId) => api.get(`/personas/${personaId}/conversations`),
   createConversation: (personaId, data) => api.post(`/personas/${personaId}/conversations`, data),
   getConversation: (conversationId) => api.get(`/personas/conversations/${conversationId}`),
   sendMessage: (conversationId, content, options = {}) => api.post(`/personas/conversations/${conversationId}/messages`, { content, ...options }),
+  streamMessage: (conversationId, content, handlers) => postEventStream(`/personas/conversations/${conversationId}/messages/stream`, { content }, handlers),
   saveConversation: (conversationId, data) => api.put(`/personas/conversations/${conversationId}/save`, data),
   deleteConversation: (conversationId) => api.delete(`/personas/conversations/${conversationId}`),
 };
@@ -137,7 +242,56 @@ export const trainingAPI = {
   sendMessage: (sessionId, content) => api.post(`/training/sessions/${sessionId}/message`, { content }),
   chat: (data) => api.post('/training/chat', data),
   gradeSession: (data) => api.post('/training/grade', data),
-  getHistory: () => api.get('/training/sessions'),
+  getHistory: (params) => api.get('/training/sessions', { params }),
+  getSession: (id) => api.get(`/training/sessions/${id}`),
+  getProgress: () => api.get('/training/progress'),
+  getRecommendations: (params) => api.get('/training/recommendations', { params }),
+  // Scenario authoring (admin)
+  getPersonaScenarios: (personaId) => api.get(`/training/personas/${personaId}/scenarios`),
+  createScenario: (data) => api.post('/training/scenarios', data),
+  updateScenario: (id, data) => api.put(`/training/scenarios/${id}`, data),
+  deleteScenario: (id) => api.delete(`/training/scenarios/${id}`),
+};
+
+// Group conversations API (several personas in one meeting)
+export const groupConversationsAPI = {
+  list: () => api.get('/group-conversations'),
+  get: (id) => api.get(`/group-conversations/${id}`),
+  create: (data) => api.post('/group-conversations', data),
+  sendMessage: (id, data) => api.post(`/group-conversations/${id}/messages`, data),
+};
+
+// Persona simulations API (persona-to-persona team-fit analysis)
+export const simulationsAPI = {
+  getPrompts: () => api.get('/simulations/prompts'),
+  run: (data) => api.post('/simulations', data),
+  get: (id) => api.get(`/simulations/${id}`),
+  getCompatibility: (params) => api.get('/simulations/compatibility', { params }),
+  runCompatibility: (data) => api.post('/simulations/compatibility/run', data),
+};
+
+// Audit logs API (admin)
+export const auditLogsAPI = {
+  list: (params) => api.get('/audit-logs', { params }),
+  getActions: () => api.get('/audit-logs/actions'),
+  export: (params) => api.get('/audit-logs/export', { params, responseType: 'blob' }),
+};
+
+// Lexicons API (company custom domain lexicons)
+export const lexiconsAPI = {
+  list: (params) => api.get('/lexicons', { params }),
+  get: (id) => api.get(`/lexicons/${id}`),
+  create: (data) => api.post('/lexicons', data),
+  update: (id, data) => api.put(`/lexicons/${id}`, data),
+  delete: (id) => api.delete(`/lexicons/${id}`),
+};
+
+// VCPQ API
+export const vcpqAPI = {
+  getQuestions: () => api.get('/vcpq/questions'),
+  getDomains: () => api.get('/vcpq/domains'),
+  getVectorLabels: () => api.get('/vcpq/vector-labels'),
+  previewPrompt: (data) => api.post('/vcpq/preview-prompt', data),
 };
 
 export default api;